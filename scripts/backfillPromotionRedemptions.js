@@ -0,0 +1,124 @@
+/**
+ * Migration script to seed promotion use counters
+ *
+ * Checkout now reserves promo code uses on the promotion's own counters.
+ * This counts the uses made before that - live bookings and paid orders
+ * carrying the promotion - and marks them as held, so cancelling one
+ * gives its use back.
+ *
+ * Run this once: node scripts/backfillPromotionRedemptions.js
+ */
+
+import mongoose from "mongoose";
+import Appointment from "../src/models/Appointment.js";
+import Order from "../src/models/Order.js";
+import Promotion from "../src/models/Promotion.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const REDEEMED_BOOKING_STATUSES = ["confirmed", "completed", "no_show"];
+
+function clientKey(email) {
+  const key = String(email || "")
+    .trim()
+    .toLowerCase();
+  return key || null;
+}
+
+async function backfillPromotionRedemptions() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+    if (!mongoUri) {
+      console.error(
+        "❌ Error: MONGODB_URI or MONGO_URI not found in .env file"
+      );
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoUri);
+    console.log("✅ Connected to MongoDB\n");
+
+    const promotions = await Promotion.find({}).select("code").lean();
+    console.log(`📋 Found ${promotions.length} promotion(s)\n`);
+
+    for (const promotion of promotions) {
+      const uses = [];
+      const bookings = await Appointment.find({
+        "promotion.promotionId": promotion._id,
+        "promotion.usage": { $exists: false },
+        status: { $in: REDEEMED_BOOKING_STATUSES },
+      })
+        .select("client.email")
+        .lean();
+      for (const booking of bookings) {
+        uses.push({
+          model: Appointment,
+          _id: booking._id,
+          email: clientKey(booking.client?.email),
+        });
+      }
+      const orders = await Order.find({
+        "promotion.promotionId": promotion._id,
+        "promotion.usage": { $exists: false },
+        paymentStatus: "paid",
+      })
+        .select("shippingAddress.email")
+        .lean();
+      for (const order of orders) {
+        uses.push({
+          model: Order,
+          _id: order._id,
+          email: clientKey(order.shippingAddress?.email),
+        });
+      }
+
+      if (uses.length === 0) continue;
+
+      const byClient = new Map();
+      for (const use of uses) {
+        await use.model.updateOne(
+          { _id: use._id },
+          {
+            $set: {
+              "promotion.usage": "held",
+              ...(use.email ? { "promotion.clientEmail": use.email } : {}),
+            },
+          }
+        );
+        if (use.email) {
+          byClient.set(use.email, (byClient.get(use.email) || 0) + 1);
+        }
+      }
+
+      // Uses taken since the deploy are already on the counters
+      await Promotion.updateOne(
+        { _id: promotion._id },
+        { $inc: { redemptions: uses.length } }
+      );
+      for (const [email, count] of byClient) {
+        const updated = await Promotion.updateOne(
+          { _id: promotion._id, "clientRedemptions.email": email },
+          { $inc: { "clientRedemptions.$.count": count } }
+        );
+        if (!updated.modifiedCount) {
+          await Promotion.updateOne(
+            { _id: promotion._id },
+            { $push: { clientRedemptions: { email, count } } }
+          );
+        }
+      }
+
+      console.log(`✅ ${promotion.code}: ${uses.length} use(s) counted`);
+    }
+
+    console.log("\n🎉 Promotion counters seeded!");
+  } catch (error) {
+    console.error("❌ Migration error:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("\n✅ Database connection closed");
+  }
+}
+
+backfillPromotionRedemptions();
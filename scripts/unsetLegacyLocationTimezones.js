@@ -0,0 +1,72 @@
+/**
+ * Migration script to clear the old location timezone default
+ *
+ * Locations used to be saved with settings.timezone "Europe/London" by
+ * default. A location timezone now overrides the tenant's, so that stored
+ * default would pin every older location to London. This unsets it so
+ * those locations inherit tenant.timezone again; set a location's
+ * timezone afterwards if it really differs from its tenant.
+ *
+ * Run this once: node scripts/unsetLegacyLocationTimezones.js
+ */
+
+import mongoose from "mongoose";
+import Location from "../src/models/Location.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const LEGACY_DEFAULT_TIMEZONE = "Europe/London";
+
+async function unsetLegacyLocationTimezones() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+    if (!mongoUri) {
+      console.error(
+        "❌ Error: MONGODB_URI or MONGO_URI not found in .env file"
+      );
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoUri);
+    console.log("✅ Connected to MongoDB\n");
+
+    const locations = await Location.find({
+      "settings.timezone": LEGACY_DEFAULT_TIMEZONE,
+    })
+      .select("name tenantId")
+      .lean();
+
+    console.log(
+      `📋 Found ${locations.length} location(s) with the old default timezone\n`
+    );
+
+    if (locations.length === 0) {
+      console.log("✅ Nothing to update!");
+      return;
+    }
+
+    const result = await Location.updateMany(
+      {
+        _id: { $in: locations.map((location) => location._id) },
+        "settings.timezone": LEGACY_DEFAULT_TIMEZONE,
+      },
+      { $unset: { "settings.timezone": "" } }
+    );
+
+    for (const location of locations) {
+      console.log(`✅ ${location.name} (tenant ${location.tenantId})`);
+    }
+
+    console.log(
+      `\n🎉 Cleared the timezone on ${result.modifiedCount} location(s)!`
+    );
+  } catch (error) {
+    console.error("❌ Migration error:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("\n✅ Database connection closed");
+  }
+}
+
+unsetLegacyLocationTimezones();
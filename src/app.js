@@ -12,6 +12,7 @@ import specialistsRouter from "./routes/specialists.js";
 import slotsRouter from "./routes/slots.js";
 import checkoutRouter from "./routes/checkout.js";
 import appointmentsRouter from "./routes/appointments.js";
+import appointmentSeriesRouter from "./routes/appointmentSeries.js";
 import webhooksRouter from "./routes/webhooks.js";
 import salonRouter from "./routes/salon.js";
 import settingsRouter from "./routes/settings.js";
@@ -29,6 +30,7 @@ import reportsRouter from "./routes/reports.js";
 import adminsRouter from "./routes/admins.js";
 import aboutUsRouter from "./routes/aboutUs.js";
 import locationsRouter from "./routes/locations.js";
+import resourcesRouter from "./routes/resources.js";
 import analyticsRouter from "./routes/analytics.js";
 import shippingRouter from "./routes/shipping.js";
 import subscriptionsRouter from "./routes/subscriptions.js";
@@ -44,6 +46,10 @@ import clientRouter from "./routes/client.js";
 import cancellationPolicyRouter from "./routes/cancellationPolicy.js";
 import favoritesRouter from "./routes/favorites.js";
 import giftCardsRouter from "./routes/giftCards.js";
+import packagesRouter from "./routes/packages.js";
+import membershipsRouter from "./routes/memberships.js";
+import promotionsRouter from "./routes/promotions.js";
+import inventoryRouter from "./routes/inventory.js";
 import paymentsRouter from "./routes/payments.js";
 import supportRouter from "./routes/support.js";
 import demoRouter from "./routes/demo.js";
@@ -208,10 +214,13 @@ export function createApp({
   app.use("/api/waitlist", bookingLimiter, waitlistRouter);
 
   // Protected admin routes (authentication required)
+  app.use("/api/appointments/series", appointmentSeriesRouter);
   app.use("/api/appointments", appointmentsRouter);
   app.use("/api/settings", settingsRouter);
   app.use("/api/revenue", revenueRouter);
   app.use("/api/timeoff", timeoffRouter);
+  app.use("/api/resources", resourcesRouter);
+  app.use("/api/inventory", inventoryRouter);
   app.use("/api/connect", connectRouter);
   app.use("/api/reports", reportsRouter);
   app.use("/api/admin/admins", adminsRouter);
@@ -226,6 +235,9 @@ export function createApp({
   app.use("/api/client", clientRouter);
   app.use("/api/favorites", favoritesRouter);
   app.use("/api/gift-cards", giftCardsRouter);
+  app.use("/api/packages", packagesRouter);
+  app.use("/api/memberships", membershipsRouter);
+  app.use("/api/promotions", promotionsRouter);
   app.use("/api/cancellation-policy", cancellationPolicyRouter);
 
   // Referral system routes (mixed: public validation + protected dashboard)
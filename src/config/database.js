@@ -1,6 +1,11 @@
 import mongoose from "mongoose";
 import { startReminderCron } from "../services/reminderService.js";
 import { startGiftCardDeliveryCron } from "../services/giftCardDeliveryService.js";
+import { startGiftCardExpiryCron } from "../services/giftCardLedgerService.js";
+import { startWaitlistOfferCron } from "../services/waitlistOfferService.js";
+import { startSeminarSeatCron } from "../services/seminarSeatService.js";
+import { startSeminarChangeCron } from "../services/seminarCancellationService.js";
+import { startCalendarSyncCron } from "../services/googleCalendarSync.js";
 import { rootLogger } from "../utils/logger.js";
 
 const mongoOptions = {
@@ -35,6 +40,16 @@ export async function connectToDatabase({
     startReminderCron();
     logger.log("Starting scheduled gift card delivery cron job...");
     startGiftCardDeliveryCron();
+    logger.log("Starting gift card expiry cron job...");
+    startGiftCardExpiryCron();
+    logger.log("Starting waitlist offer cron job...");
+    startWaitlistOfferCron();
+    logger.log("Starting seminar seat hold cron job...");
+    startSeminarSeatCron();
+    logger.log("Starting seminar cancellation cron job...");
+    startSeminarChangeCron();
+    logger.log("Starting Google Calendar sync cron job...");
+    startCalendarSyncCron();
   } else {
     logger.log("Skipping cron startup (RUN_SCHEDULERS=false or test mode)");
   }
@@ -5,18 +5,101 @@ import timezone from "dayjs/plugin/timezone.js";
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
+/**
+ * @typedef {Object} RefundBand
+ * @property {number} minHoursBefore // band applies from this many hours before start
+ * @property {number|null} maxHoursBefore // up to the next band (null = no limit)
+ * @property {number} [percent] // 0..100 of the refundable base
+ * @property {number} [fixed] // pence, used when percent is not set
+ * @property {string} [label]
+ */
+
 /**
  * @typedef {Object} Outcome
  * @property {number} refundAmount // in minor units (pence)
  * @property {"cancelled_full_refund"|"cancelled_partial_refund"|"cancelled_no_refund"} outcomeStatus
  * @property {string} reasonCode
+ * @property {RefundBand|null} [band] // band for the notice given (null inside the grace window)
  */
 
+/**
+ * Refund bands of a policy, widest notice first.
+ * Policies without refundBands get bands equivalent to the two-threshold
+ * rules: full refund from freeCancelHours, partialRefund above
+ * noRefundHours, nothing at or below noRefundHours.
+ * @param {any} policy
+ * @returns {(RefundBand & { exclusive?: boolean })[]}
+ */
+export function getRefundBands(policy) {
+  let bands;
+  if (Array.isArray(policy?.refundBands) && policy.refundBands.length) {
+    bands = policy.refundBands.map((band) => ({
+      minHoursBefore: Math.max(0, Number(band.minHoursBefore) || 0),
+      ...(band.percent != null ? { percent: Number(band.percent) } : {}),
+      ...(band.fixed != null ? { fixed: toInt(band.fixed) } : {}),
+      ...(band.label ? { label: band.label } : {}),
+    }));
+  } else {
+    const freeH = Number(policy?.freeCancelHours ?? 24);
+    const noH = Number(policy?.noRefundHours ?? 2);
+    const partial = policy?.partialRefund || {};
+    bands = [
+      { minHoursBefore: freeH, percent: 100, label: "free_window" },
+      {
+        minHoursBefore: noH,
+        ...(partial.percent != null
+          ? { percent: Number(partial.percent) }
+          : partial.fixed != null
+            ? { fixed: toInt(partial.fixed) }
+            : { percent: 0 }),
+        label: "partial_window",
+        exclusive: true, // historically exactly noRefundHours gets nothing
+      },
+      { minHoursBefore: 0, percent: 0, label: "inside_no_refund" },
+    ];
+  }
+
+  bands.sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+  return bands.map((band, i) => ({
+    ...band,
+    maxHoursBefore: i === 0 ? null : bands[i - 1].minHoursBefore,
+  }));
+}
+
+/**
+ * The band that applies with hoursToStart of notice, or null when the
+ * notice is shorter than every band.
+ */
+export function findRefundBand(bands, hoursToStart) {
+  return (
+    bands.find((band) =>
+      band.exclusive
+        ? hoursToStart > band.minHoursBefore
+        : hoursToStart >= band.minHoursBefore,
+    ) || null
+  );
+}
+
+function bandRefundAmount(band, base) {
+  if (!band) return 0;
+  if (band.percent != null) {
+    return Math.round((base * Math.max(0, Math.min(100, band.percent))) / 100);
+  }
+  if (band.fixed != null) return Math.max(0, Math.min(base, band.fixed));
+  return 0;
+}
+
+function describeBand(band) {
+  if (!band) return null;
+  const { exclusive, ...rest } = band;
+  return rest;
+}
+
 /**
  * Compute cancellation outcome without side effects.
  * @param {Object} params
  * @param {any} params.appointment // expects { start, createdAt, payment: { mode, amountTotal, amountDeposit }, ... }
- * @param {any} params.policy // expects { freeCancelHours, noRefundHours, partialRefund, appliesTo, graceMinutes, currency }
+ * @param {any} params.policy // expects { refundBands?, freeCancelHours, noRefundHours, partialRefund, appliesTo, graceMinutes, currency }
  * @param {Date} params.now
  * @param {string} [params.salonTz="Europe/London"]
  * @returns {Outcome}
@@ -96,56 +179,47 @@ export function computeCancellationOutcome({
     base = Math.min(base, refundableCap);
   }
 
+  const hasBands =
+    Array.isArray(policy?.refundBands) && policy.refundBands.length > 0;
+  const band = findRefundBand(getRefundBands(policy), hoursToStart);
+
   // Default no refund when base is 0
   if (!base) {
     return {
       refundAmount: 0,
       outcomeStatus: "cancelled_no_refund",
       reasonCode: "base_zero",
+      band: describeBand(band),
     };
   }
 
-  const freeH = Number(policy?.freeCancelHours ?? 24);
-  const noH = Number(policy?.noRefundHours ?? 2);
   const graceMin = Number(policy?.graceMinutes ?? 15);
-
   if (minutesSinceBooked <= graceMin) {
     return {
       refundAmount: base,
       outcomeStatus: "cancelled_full_refund",
       reasonCode: "grace_window",
-    };
-  }
-  if (hoursToStart >= freeH) {
-    return {
-      refundAmount: base,
-      outcomeStatus: "cancelled_full_refund",
-      reasonCode: "free_window",
-    };
-  }
-  if (hoursToStart <= noH) {
-    return {
-      refundAmount: 0,
-      outcomeStatus: "cancelled_no_refund",
-      reasonCode: "inside_no_refund",
+      band: null,
     };
   }
 
-  // Partial window
-  const partial = policy?.partialRefund || {};
-  let amount = 0;
-  if (partial.percent != null) {
-    amount = Math.round(
-      (base * Math.max(0, Math.min(100, partial.percent))) / 100,
-    );
-  } else if (partial.fixed != null) {
-    amount = Math.max(0, Math.min(base, toInt(partial.fixed)));
-  } else {
-    amount = 0;
-  }
+  const amount = bandRefundAmount(band, base);
   const outcomeStatus =
-    amount > 0 ? "cancelled_partial_refund" : "cancelled_no_refund";
-  return { refundAmount: amount, outcomeStatus, reasonCode: "partial_window" };
+    amount >= base
+      ? "cancelled_full_refund"
+      : amount > 0
+        ? "cancelled_partial_refund"
+        : "cancelled_no_refund";
+  return {
+    refundAmount: amount,
+    outcomeStatus,
+    reasonCode: hasBands
+      ? band
+        ? "refund_band"
+        : "below_refund_bands"
+      : band?.label || "inside_no_refund",
+    band: describeBand(band),
+  };
 }
 
 function toInt(n) {
@@ -159,4 +233,8 @@ function inferModeFromPayment(pay) {
   return "pay_in_salon";
 }
 
-export default { computeCancellationOutcome };
+export default {
+  computeCancellationOutcome,
+  getRefundBands,
+  findRefundBand,
+};
@@ -5,6 +5,11 @@
 
 import ReferralCode from "../models/ReferralCode.js";
 import Referral from "../models/Referral.js";
+import Tenant from "../models/Tenant.js";
+import {
+  getClientReferralSettings,
+  getReferralCreditBalance,
+} from "../services/referralRewardService.js";
 import {
   isValidFormat,
   normalizeCode,
@@ -160,6 +165,7 @@ async function getDashboard(req, res) {
           businessEmail:
             ref.referredBusinessId?.email || ref.referredBusinessEmail,
           businessSlug: ref.referredBusinessId?.slug,
+          clientName: ref.referredClientName,
           signupDate: ref.createdAt,
           firstBookingDate: ref.firstBookingAt,
           status: ref.status,
@@ -334,6 +340,53 @@ async function getStats(req, res) {
   }
 }
 
+/**
+ * Get authenticated client's referral credit at the current business
+ * GET /api/referrals/credit
+ */
+async function getReferralCredit(req, res) {
+  try {
+    if (!req.client) {
+      return res.status(401).json({
+        success: false,
+        error: "Client authentication required",
+      });
+    }
+    if (!req.tenantId) {
+      return res.status(400).json({
+        success: false,
+        error: "Business not found",
+      });
+    }
+
+    const [credit, tenant] = await Promise.all([
+      getReferralCreditBalance({
+        tenantId: req.tenantId,
+        clientId: req.client._id,
+      }),
+      Tenant.findById(req.tenantId).select("referralSettings").lean(),
+    ]);
+    const settings = getClientReferralSettings(tenant);
+
+    return res.json({
+      success: true,
+      data: {
+        balance: credit.balance,
+        earned: credit.earned,
+        used: credit.used,
+        rewardsEnabled: settings.enabled,
+        rewardAmount: settings.rewardAmount,
+      },
+    });
+  } catch (error) {
+    console.error("Get referral credit error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to load referral credit",
+    });
+  }
+}
+
 /**
  * Get top referrers leaderboard (admin only)
  * GET /api/referrals/leaderboard
@@ -373,5 +426,6 @@ export {
   getDashboard,
   validateCode,
   getStats,
+  getReferralCredit,
   getLeaderboard,
 };
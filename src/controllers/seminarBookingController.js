@@ -1,8 +1,45 @@
+import mongoose from "mongoose";
 import Seminar from "../models/Seminar.js";
 import SeminarBooking from "../models/SeminarBooking.js";
-import Tenant from "../models/Tenant.js";
+import SeminarOrder from "../models/SeminarOrder.js";
 import Stripe from "stripe";
-import { sendSeminarConfirmationEmail } from "../emails/mailer.js";
+import {
+  releaseGiftCardReservation,
+  reserveGiftCard,
+  roundMoney,
+} from "../services/giftCardRedemptionService.js";
+import { refundToGiftCard } from "../services/giftCardLedgerService.js";
+import {
+  confirmSeminarBooking,
+  giftCardFromMetadata,
+} from "../services/seminarBookingService.js";
+import {
+  CHECKOUT_HOLD_MINUTES,
+  claimSeminarWaitlistOffer,
+  freeSeminarSeat,
+  joinSeminarWaitlist,
+  removeSeminarWaitlistEntry,
+} from "../services/seminarSeatService.js";
+import {
+  confirmSeminarOrder,
+  holdSeminarOrderSeats,
+  releaseSeminarOrderSeats,
+  selectSeminarBooking,
+} from "../services/seminarOrderService.js";
+import {
+  checkInSeminarAttendee,
+  completeSeminarSession,
+  ensureCheckInCodes,
+  verifySeminarCertificate,
+} from "../services/seminarAttendanceService.js";
+import {
+  cancelSeminarSession,
+  getSeminarBookingChange,
+  rescheduleSeminarSession,
+  respondToSeminarChange,
+} from "../services/seminarCancellationService.js";
+import SeminarRefund from "../models/SeminarRefund.js";
+import SeminarWaitlistEntry from "../models/SeminarWaitlistEntry.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
@@ -38,33 +75,411 @@ export const getSessionAttendees = async (req, res) => {
     const bookings = await SeminarBooking.find({
       seminarId,
       sessionId,
-      status: { $in: ["confirmed", "attended"] },
+      status: { $in: ["confirmed", "attended", "no-show"] },
     })
       .populate("clientId", "name email phone")
       .sort("attendeeInfo.name")
       .lean();
+    await ensureCheckInCodes({ bookings });
 
-    res.status(200).json({ attendees: bookings });
+    const checkedIn = bookings.filter((b) => b.status === "attended").length;
+    res.status(200).json({
+      attendees: bookings,
+      summary: {
+        total: bookings.length,
+        checkedIn,
+        notCheckedIn: bookings.length - checkedIn,
+      },
+    });
   } catch (error) {
     console.error("Error in getSessionAttendees:", error);
     res.status(500).json({ error: "Failed to fetch attendees" });
   }
 };
 
+/**
+ * Check an attendee in by their ticket's QR code, or by booking ID
+ * @route POST /api/seminars/:id/sessions/:sessionId/check-in
+ */
+export const checkInAttendee = async (req, res) => {
+  try {
+    const { id: seminarId, sessionId } = req.params;
+    const { code, bookingId } = req.body;
+
+    if (!code && !bookingId) {
+      return res.status(400).json({
+        error: "Check-in code or booking ID required",
+      });
+    }
+    if (
+      !mongoose.isValidObjectId(seminarId) ||
+      (!code && !mongoose.isValidObjectId(bookingId))
+    ) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+
+    const result = await checkInSeminarAttendee({
+      seminarId,
+      sessionId,
+      code: code ? String(code).trim() : undefined,
+      bookingId,
+      checkedInBy: req.admin?._id,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(200).json({
+      booking: result.booking,
+      alreadyCheckedIn: result.alreadyCheckedIn,
+    });
+  } catch (error) {
+    console.error("Error in checkInAttendee:", error);
+    res.status(500).json({ error: "Failed to check in attendee" });
+  }
+};
+
+/**
+ * Mark a session completed and send attendees their certificates
+ * @route POST /api/seminars/:id/sessions/:sessionId/complete
+ */
+export const completeSession = async (req, res) => {
+  try {
+    const { id: seminarId, sessionId } = req.params;
+    if (!mongoose.isValidObjectId(seminarId)) {
+      return res.status(404).json({ error: "Seminar not found" });
+    }
+
+    const result = await completeSeminarSession({ seminarId, sessionId });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(200).json({
+      noShows: result.noShows,
+      certificates: result.certificates,
+    });
+  } catch (error) {
+    console.error("Error in completeSession:", error);
+    res.status(500).json({ error: "Failed to complete session" });
+  }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Cancel a session for all its attendees: refund them, or offer them
+ * other sessions to move to
+ * @route POST /api/seminars/:id/sessions/:sessionId/cancel
+ */
+export const cancelSession = async (req, res) => {
+  try {
+    const { id: seminarId, sessionId } = req.params;
+    const { reason, transferSessionIds = [] } = req.body;
+    if (!mongoose.isValidObjectId(seminarId)) {
+      return res.status(404).json({ error: "Seminar not found" });
+    }
+    if (!Array.isArray(transferSessionIds)) {
+      return res.status(400).json({
+        error: "transferSessionIds must be a list of session IDs",
+      });
+    }
+
+    const result = await cancelSeminarSession({
+      seminarId,
+      sessionId,
+      reason: reason ? String(reason).trim() : "",
+      transferSessionIds,
+      by: req.admin?.email || String(req.admin?._id),
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(200).json({
+      session: result.session,
+      refunded: result.refunded,
+      transferOffered: result.transferOffered,
+      failed: result.failed,
+    });
+  } catch (error) {
+    console.error("Error in cancelSession:", error);
+    res.status(500).json({ error: "Failed to cancel session" });
+  }
+};
+
+/**
+ * Move a session to a new date; attendees can keep their seat or get a
+ * refund
+ * @route POST /api/seminars/:id/sessions/:sessionId/reschedule
+ */
+export const rescheduleSession = async (req, res) => {
+  try {
+    const { id: seminarId, sessionId } = req.params;
+    const { date, startTime, endTime, reason } = req.body;
+    if (!mongoose.isValidObjectId(seminarId)) {
+      return res.status(404).json({ error: "Seminar not found" });
+    }
+    if (!date) {
+      return res.status(400).json({ error: "New date is required" });
+    }
+    if (
+      (startTime && !TIME_PATTERN.test(startTime)) ||
+      (endTime && !TIME_PATTERN.test(endTime))
+    ) {
+      return res.status(400).json({ error: "Times must be HH:mm" });
+    }
+
+    const result = await rescheduleSeminarSession({
+      seminarId,
+      sessionId,
+      date,
+      startTime,
+      endTime,
+      reason: reason ? String(reason).trim() : "",
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(200).json({
+      session: result.session,
+      notified: result.notified,
+    });
+  } catch (error) {
+    console.error("Error in rescheduleSession:", error);
+    res.status(500).json({ error: "Failed to reschedule session" });
+  }
+};
+
+/**
+ * Refunds given for a seminar's cancelled and rescheduled sessions,
+ * newest first, failed attempts included
+ * @route GET /api/seminars/:id/refunds
+ */
+export const getSeminarRefunds = async (req, res) => {
+  try {
+    const { id: seminarId } = req.params;
+    if (!mongoose.isValidObjectId(seminarId)) {
+      return res.status(404).json({ error: "Seminar not found" });
+    }
+
+    const filter = { seminarId };
+    if (req.query.sessionId) filter.sessionId = String(req.query.sessionId);
+    const refunds = await SeminarRefund.find(filter)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const totals = refunds
+      .filter((refund) => refund.status === "succeeded")
+      .reduce(
+        (sum, refund) => ({
+          count: sum.count + 1,
+          amount: roundMoney(sum.amount + refund.amount),
+        }),
+        { count: 0, amount: 0 },
+      );
+
+    res.status(200).json({ refunds, totals });
+  } catch (error) {
+    console.error("Error in getSeminarRefunds:", error);
+    res.status(500).json({ error: "Failed to fetch refunds" });
+  }
+};
+
+/**
+ * What an attendee was offered when their session was cancelled or
+ * rescheduled (from the link in their email)
+ * @route GET /api/seminars/bookings/change/:token
+ */
+export const getBookingChange = async (req, res) => {
+  try {
+    const result = await getSeminarBookingChange({ token: req.params.token });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    const { ok, ...change } = result;
+    res.status(200).json(change);
+  } catch (error) {
+    console.error("Error in getBookingChange:", error);
+    res.status(500).json({ error: "Failed to load booking change" });
+  }
+};
+
+/**
+ * An attendee's answer: move to another session, keep the new date, or
+ * take a refund
+ * @route POST /api/seminars/bookings/change/:token
+ */
+export const respondToBookingChange = async (req, res) => {
+  try {
+    const { action, sessionId } = req.body;
+    if (!action) {
+      return res.status(400).json({ error: "Action is required" });
+    }
+
+    const result = await respondToSeminarChange({
+      token: req.params.token,
+      action: String(action),
+      sessionId,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    const { ok, ...answer } = result;
+    res.status(200).json(answer);
+  } catch (error) {
+    console.error("Error in respondToBookingChange:", error);
+    res.status(500).json({ error: "Failed to update booking" });
+  }
+};
+
+/**
+ * Check a certificate of completion by its number
+ * @route GET /api/seminars/certificates/:number
+ */
+export const verifyCertificate = async (req, res) => {
+  try {
+    const result = await verifySeminarCertificate({
+      number: req.params.number,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(200).json({ certificate: result.certificate });
+  } catch (error) {
+    console.error("Error in verifyCertificate:", error);
+    res.status(500).json({ error: "Failed to verify certificate" });
+  }
+};
+
+/**
+ * Get the waitlist for a session, in offer order
+ * @route GET /api/seminars/:id/sessions/:sessionId/waitlist
+ */
+export const getSessionWaitlist = async (req, res) => {
+  try {
+    const { id: seminarId, sessionId } = req.params;
+
+    const entries = await SeminarWaitlistEntry.find({
+      seminarId,
+      sessionId,
+      status: { $in: ["waiting", "offered"] },
+    })
+      .sort("createdAt")
+      .lean();
+
+    res.status(200).json({ waitlist: entries });
+  } catch (error) {
+    console.error("Error in getSessionWaitlist:", error);
+    res.status(500).json({ error: "Failed to fetch waitlist" });
+  }
+};
+
+/**
+ * Join the waitlist for a full session
+ * @route POST /api/seminars/:id/sessions/:sessionId/waitlist
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { id: seminarId, sessionId } = req.params;
+    const { attendeeInfo } = req.body;
+
+    if (!attendeeInfo?.name || !attendeeInfo?.email) {
+      return res.status(400).json({
+        error: "Attendee name and email required",
+      });
+    }
+    if (!mongoose.isValidObjectId(seminarId)) {
+      return res.status(404).json({ error: "Seminar not found" });
+    }
+
+    const result = await joinSeminarWaitlist({
+      seminarId,
+      sessionId,
+      attendee: attendeeInfo,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      entry: result.entry,
+      position: result.position,
+    });
+  } catch (error) {
+    console.error("Error in joinWaitlist:", error);
+    res.status(500).json({ error: "Failed to join waitlist" });
+  }
+};
+
+/**
+ * Remove someone from a session's waitlist
+ * @route DELETE /api/seminars/:id/waitlist/:entryId
+ */
+export const removeWaitlistEntry = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.entryId)) {
+      return res.status(404).json({ error: "Waitlist entry not found" });
+    }
+    const result = await removeSeminarWaitlistEntry({
+      seminarId: req.params.id,
+      entryId: req.params.entryId,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(200).json({ entry: result.entry });
+  } catch (error) {
+    console.error("Error in removeWaitlistEntry:", error);
+    res.status(500).json({ error: "Failed to remove waitlist entry" });
+  }
+};
+
 /**
  * Create Stripe checkout session for seminar booking
  * @route POST /api/seminars/checkout/create-session
  */
 export const createCheckoutSession = async (req, res) => {
+  let reservationContext = null;
+  let heldSeats = null;
+  const releaseHeldSeats = async () => {
+    if (!heldSeats) return;
+    await releaseSeminarOrderSeats(heldSeats).catch((err) =>
+      console.error("Failed to release seminar seat holds:", err)
+    );
+    heldSeats = null;
+  };
   try {
-    const { seminarId, sessionId, attendeeInfo } = req.body;
+    const {
+      seminarId,
+      sessionId,
+      bundleKey,
+      tierKey,
+      attendeeInfo,
+      attendees: groupAttendees,
+      giftCardCode,
+      waitlistToken,
+    } = req.body;
+
+    // A group books everyone in attendees; attendeeInfo alone books one
+    const attendeeList =
+      Array.isArray(groupAttendees) && groupAttendees.length
+        ? groupAttendees
+        : attendeeInfo
+          ? [attendeeInfo]
+          : [];
 
     // Validation
-    if (!seminarId || !sessionId || !attendeeInfo) {
+    if (!seminarId || (!sessionId && !bundleKey) || !attendeeList.length) {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
-    if (!attendeeInfo.name || !attendeeInfo.email) {
+    if (attendeeList.some((attendee) => !attendee?.name || !attendee?.email)) {
       return res.status(400).json({
         error: "Attendee name and email required",
       });
@@ -81,80 +496,239 @@ export const createCheckoutSession = async (req, res) => {
       return res.status(400).json({ error: "Seminar not available" });
     }
 
-    // Find session by sessionId field
-    const session = seminar.sessions.find(
-      (s) => s.sessionId === sessionId || s._id.toString() === sessionId
-    );
-    if (!session) {
-      return res.status(404).json({ error: "Session not found" });
+    // The session, or a bundle's sessions, the ticket tier and the price
+    const selection = selectSeminarBooking({
+      seminar,
+      sessionId,
+      bundleKey,
+      tierKey,
+      attendeeCount: attendeeList.length
+    });
+    if (!selection.ok) {
+      return res.status(selection.status).json(selection.body);
     }
-
-    // Check if session is bookable
-    if (!seminar.isSessionBookable(session._id)) {
-      return res.status(400).json({
-        error: "Session is not available for booking",
+    const { tier, bundle, sessions, quote } = selection;
+
+    // Seats are held until the Stripe session expires
+    const holdUntil = new Date(Date.now() + CHECKOUT_HOLD_MINUTES * 60 * 1000);
+
+    // The bookings are created on payment, but their ids are fixed now so
+    // seats and a gift card can be held against them
+    let bookings;
+    if (waitlistToken) {
+      // Paying for a seat offered from the waitlist, already held
+      if (bundle || attendeeList.length > 1) {
+        return res.status(400).json({
+          error: "A waitlist offer is for one seat on one session",
+        });
+      }
+      const session = sessions[0];
+      const claim = await claimSeminarWaitlistOffer({
+        token: waitlistToken,
+        seminarId: seminar._id,
+        sessionId: session._id.toString(),
+        holdUntil
+      });
+      if (!claim.ok) {
+        return res.status(claim.status).json(claim.body);
+      }
+      bookings = [
+        {
+          bookingId: new mongoose.Types.ObjectId(claim.bookingId),
+          sessionId: session._id.toString(),
+          attendeeIndex: 0,
+        },
+      ];
+    } else {
+      const held = await holdSeminarOrderSeats({
+        seminar,
+        sessions,
+        tier,
+        attendeeCount: attendeeList.length,
+        expiresAt: holdUntil
       });
+      if (!held.ok) {
+        return res.status(held.status).json(held.body);
+      }
+      bookings = held.bookings;
+      heldSeats = { seminarId: seminar._id, bookings };
     }
+    // The lead booking carries the checkout's gift card
+    const bookingId = bookings[0].bookingId;
 
-    // Get active price
-    const price = seminar.getActivePrice();
+    const price = quote.total;
     const bookingFee = 0.99;
+    const currency = seminar.pricing.currency.toLowerCase();
+
+    let appliedGiftCard = null;
+    if (giftCardCode) {
+      const target = { seminarBookingId: bookingId };
+      const reservation = await reserveGiftCard({
+        code: giftCardCode,
+        tenantId: seminar.tenantId,
+        target,
+        amountDue: roundMoney(price + bookingFee),
+      });
+      if (!reservation.ok) {
+        await releaseHeldSeats();
+        return res.status(reservation.status).json(reservation.body);
+      }
+      appliedGiftCard = reservation.applied;
+      if (appliedGiftCard) {
+        reservationContext = { application: appliedGiftCard, target };
+      }
+    }
 
-    // Create Stripe checkout session
-    const stripeSession = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      mode: "payment",
-      line_items: [
-        {
-          price_data: {
-            currency: seminar.pricing.currency.toLowerCase(),
-            unit_amount: Math.round(price * 100), // Convert to cents
-            product_data: {
-              name: seminar.title,
-              description: `${new Date(session.date).toLocaleDateString()} at ${
-                session.startTime
-              }`,
-              images: seminar.images?.main?.url
-                ? [seminar.images.main.url]
-                : [],
-            },
+    const attendeeRecords = attendeeList.map((attendee) => ({
+      name: attendee.name,
+      email: attendee.email,
+      phone: attendee.phone || "",
+      specialRequests: attendee.specialRequests || "",
+    }));
+    const attendee = attendeeRecords[0];
+
+    const order = await SeminarOrder.create({
+      seminarId: seminar._id,
+      tenantId: seminar.tenantId,
+      specialistId: seminar.specialistId,
+      ...(tier.key ? { ticketTier: { key: tier.key, name: tier.name } } : {}),
+      ...(bundle ? { bundleKey: bundle.key } : {}),
+      attendees: attendeeRecords,
+      bookings,
+      pricing: { ...quote, bookingFee, currency: currency.toUpperCase() },
+    });
+
+    // Gift card pays the seminar price first, then the booking fee
+    const appliedAmount = appliedGiftCard?.appliedAmount || 0;
+    const priceDue = roundMoney(price - Math.min(appliedAmount, price));
+    const feeDue = roundMoney(
+      bookingFee - Math.max(0, roundMoney(appliedAmount - price))
+    );
+
+    if (appliedGiftCard && priceDue + feeDue < 0.01) {
+      const confirmed = await confirmSeminarOrder({
+        orderId: order._id,
+        payment: {
+          amount: 0,
+          currency: currency.toUpperCase(),
+          status: "paid",
+          paidAt: new Date(),
+        },
+        giftCard: appliedGiftCard,
+      });
+      reservationContext = null;
+      if (!confirmed.ok) {
+        await releaseHeldSeats();
+        return res.status(confirmed.status).json(confirmed.body);
+      }
+      heldSeats = null;
+      const lead = confirmed.bookings[0];
+      return res.status(200).json({
+        completed: true,
+        orderId: order._id,
+        bookingId: lead._id,
+        bookingReference: lead.bookingReference,
+        bookings: confirmed.bookings.map((booking) => ({
+          bookingId: booking._id,
+          bookingReference: booking.bookingReference,
+          sessionId: booking.sessionId,
+        })),
+        url: `${FRONTEND_URL}/seminars/booking-success?bookingId=${lead._id}`,
+      });
+    }
+
+    const firstSession = sessions[0];
+    const when = bundle
+      ? `${bundle.name}: ${sessions.length} sessions from ${new Date(
+          firstSession.date
+        ).toLocaleDateString()}`
+      : `${new Date(firstSession.date).toLocaleDateString()} at ${
+          firstSession.startTime
+        }`;
+    const who =
+      attendeeRecords.length > 1
+        ? ` for ${attendeeRecords.length} attendees`
+        : "";
+
+    const lineItems = [
+      {
+        price_data: {
+          currency,
+          unit_amount: Math.round(priceDue * 100), // Convert to cents
+          product_data: {
+            name: tier.key ? `${seminar.title} - ${tier.name}` : seminar.title,
+            description: `${when}${who}`,
+            images: seminar.images?.main?.url ? [seminar.images.main.url] : [],
           },
-          quantity: 1,
         },
-        {
-          price_data: {
-            currency: seminar.pricing.currency.toLowerCase(),
-            unit_amount: Math.round(bookingFee * 100), // Convert to cents
-            product_data: {
-              name: "Booking Fee",
-              description: "Service charge for processing your booking",
-            },
+        quantity: 1,
+      },
+      {
+        price_data: {
+          currency,
+          unit_amount: Math.round(feeDue * 100), // Convert to cents
+          product_data: {
+            name: "Booking Fee",
+            description: "Service charge for processing your booking",
           },
-          quantity: 1,
         },
-      ],
-      customer_email: attendeeInfo.email,
+        quantity: 1,
+      },
+    ].filter((item) => item.price_data.unit_amount > 0);
+
+    // Create Stripe checkout session
+    const stripeSession = await stripe.checkout.sessions.create({
+      payment_method_types: ["card"],
+      mode: "payment",
+      expires_at: Math.floor(holdUntil.getTime() / 1000),
+      line_items: lineItems,
+      customer_email: attendee.email,
       metadata: {
         type: "seminar",
+        seminarOrderId: order._id.toString(),
+        bookingId: bookingId.toString(),
         seminarId: seminarId.toString(),
-        sessionId: session._id.toString(),
-        attendeeName: attendeeInfo.name,
-        attendeeEmail: attendeeInfo.email,
-        attendeePhone: attendeeInfo.phone || "",
-        specialRequests: attendeeInfo.specialRequests || "",
+        sessionId: firstSession._id.toString(),
+        attendeeName: attendee.name,
+        attendeeEmail: attendee.email,
+        attendeePhone: attendee.phone,
+        specialRequests: attendee.specialRequests,
         specialistId: seminar.specialistId.toString(),
         tenantId: seminar.tenantId.toString(),
+        ...(appliedGiftCard
+          ? {
+              giftCardId: appliedGiftCard.id.toString(),
+              giftCardCode: appliedGiftCard.code,
+              giftCardAmount: String(appliedGiftCard.appliedAmount),
+            }
+          : {}),
       },
       success_url: `${FRONTEND_URL}/seminars/booking-success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${FRONTEND_URL}/seminars/${seminar.slug}`,
     });
+    reservationContext = null;
+    heldSeats = null;
+    await SeminarOrder.updateOne(
+      { _id: order._id },
+      { $set: { stripeSessionId: stripeSession.id } }
+    );
 
     res.status(200).json({
       sessionId: stripeSession.id,
       url: stripeSession.url,
+      orderId: order._id,
+      bookingId,
+      pricing: order.pricing,
+      giftCard: appliedGiftCard,
     });
   } catch (error) {
     console.error("Error in createCheckoutSession:", error);
+    if (reservationContext) {
+      await releaseGiftCardReservation(reservationContext).catch((err) =>
+        console.error("Failed to release gift card reservation:", err)
+      );
+    }
+    await releaseHeldSeats();
     res.status(500).json({ error: "Failed to create checkout session" });
   }
 };
@@ -183,6 +757,7 @@ export const confirmPayment = async (req, res) => {
     try {
       // Extract metadata
       const {
+        bookingId,
         seminarId,
         sessionId,
         attendeeName,
@@ -193,69 +768,47 @@ export const confirmPayment = async (req, res) => {
         tenantId,
       } = session.metadata;
 
-      // Find seminar and session
-      const seminar = await Seminar.findById(seminarId);
-      if (!seminar) {
-        console.error("Seminar not found:", seminarId);
-        return res.status(404).json({ error: "Seminar not found" });
-      }
-
-      const seminarSession = seminar.sessions.id(sessionId);
-      if (!seminarSession) {
-        console.error("Session not found:", sessionId);
-        return res.status(404).json({ error: "Session not found" });
-      }
-
-      // Check if session still has space
-      if (seminarSession.currentAttendees >= seminarSession.maxAttendees) {
-        console.error("Session is full:", sessionId);
-        // TODO: Handle refund
-        return res.status(400).json({ error: "Session is full" });
-      }
-
-      // Create booking
-      const booking = await SeminarBooking.create({
-        seminarId,
-        sessionId,
-        clientId: session.customer || null, // If customer is logged in
-        specialistId,
-        tenantId,
-        attendeeInfo: {
-          name: attendeeName,
-          email: attendeeEmail,
-          phone: attendeePhone,
-          specialRequests,
-        },
-        payment: {
-          stripeSessionId: session.id,
-          stripePaymentIntentId: session.payment_intent,
-          amount: session.amount_total / 100, // Convert from cents
-          currency: session.currency.toUpperCase(),
-          status: "paid",
-          paidAt: new Date(),
-        },
-        status: "confirmed",
-      });
-
-      // Increment session attendees
-      seminarSession.currentAttendees += 1;
-      seminar.updateSessionStatus(sessionId);
-      await seminar.save();
-
-      // Send confirmation email to attendee
-      try {
-        const tenant = await Tenant.findById(tenantId);
-        await sendSeminarConfirmationEmail({
-          booking,
-          seminar,
-          session: seminarSession,
-          tenant,
-        });
-      } catch (emailError) {
-        console.error("Failed to send confirmation email:", emailError);
-        // Don't fail the booking if email fails
+      const payment = {
+        stripeSessionId: session.id,
+        stripePaymentIntentId: session.payment_intent,
+        amount: session.amount_total / 100, // Convert from cents
+        currency: session.currency.toUpperCase(),
+        status: "paid",
+        paidAt: new Date(),
+      };
+      const giftCard = giftCardFromMetadata(session.metadata);
+
+      // Checkouts started before orders existed carry a single booking
+      const confirmed = session.metadata.seminarOrderId
+        ? await confirmSeminarOrder({
+            orderId: session.metadata.seminarOrderId,
+            payment,
+            clientId: session.customer || null,
+            giftCard,
+          })
+        : await confirmSeminarBooking({
+            bookingId,
+            seminarId,
+            sessionId,
+            attendee: {
+              name: attendeeName,
+              email: attendeeEmail,
+              phone: attendeePhone,
+              specialRequests,
+            },
+            clientId: session.customer || null, // If customer is logged in
+            specialistId,
+            tenantId,
+            payment,
+            giftCard,
+          });
+
+      if (!confirmed.ok) {
+        console.error(confirmed.body.error, sessionId);
+        return res.status(confirmed.status).json(confirmed.body);
       }
 
+      const booking = confirmed.booking || confirmed.bookings[0];
       console.log("Booking created:", booking.bookingReference);
 
       res.status(200).json({ received: true, bookingId: booking._id });
@@ -410,24 +963,48 @@ export const cancelBooking = async (req, res) => {
       }
     }
 
+    // Gift card share goes back onto the card under the same policy
+    let giftCardRefundAmount = 0;
+    const giftCard = booking.payment.giftCard;
+    if (giftCard?.redemptionStatus === "redeemed") {
+      const giftCardRefund = await refundToGiftCard({
+        application: giftCard,
+        amount: booking.calculateRefund(session.date, giftCard.appliedAmount),
+        target: { seminarBookingId: booking._id },
+        by: req.user.email || String(req.user._id),
+        note: reason || "Seminar booking cancelled"
+      });
+      giftCardRefundAmount = giftCardRefund.amount;
+      if (giftCardRefundAmount > 0) {
+        giftCard.refundedAmount = roundMoney(
+          Number(giftCard.refundedAmount || 0) + giftCardRefundAmount
+        );
+        if (!booking.payment.stripePaymentIntentId) {
+          booking.payment.refundedAt = new Date();
+          booking.payment.status = "refunded";
+        }
+      }
+    }
+
     // Update booking
     booking.status = "cancelled";
     booking.cancellationReason = reason;
     booking.cancelledAt = new Date();
     await booking.save();
 
-    // Decrement session attendees
-    if (session.currentAttendees > 0) {
-      session.currentAttendees -= 1;
-      seminar.updateSessionStatus(booking.sessionId);
-      await seminar.save();
-    }
+    // Give the seat back; it's offered to the waitlist first
+    await freeSeminarSeat({
+      seminarId: seminar._id,
+      sessionId: session._id.toString(),
+      tierKey: booking.ticketTier?.key || null
+    });
 
     // TODO: Send cancellation email
 
     res.status(200).json({
       message: "Booking cancelled successfully",
       refundAmount,
+      giftCardRefundAmount,
       booking,
     });
   } catch (error) {
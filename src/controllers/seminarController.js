@@ -2,6 +2,26 @@ import Seminar from "../models/Seminar.js";
 import { v4 as uuidv4 } from "uuid";
 import { uploadImage, deleteImage } from "../utils/cloudinary.js";
 import Tenant from "../models/Tenant.js";
+import {
+  getSeminarFromPrice,
+  getTicketTiers,
+  getTierPrice,
+  getTierSeatsLeft,
+} from "../utils/seminarPricing.js";
+import { validateSeminarTicketing } from "../validations/seminar.schema.js";
+
+// Listings filter and sort on pricing.price: with tiers, the cheapest
+function withListingPrice(pricing, ticketTiers = []) {
+  if (!ticketTiers.length) return pricing;
+  return { ...pricing, price: Math.min(...ticketTiers.map((t) => t.price)) };
+}
+
+function ticketingError(res, errors) {
+  return res.status(400).json({
+    error: errors.map((e) => e.message).join(", ") || "Validation failed",
+    details: errors,
+  });
+}
 
 /**
  * Get all published seminars (public)
@@ -96,15 +116,8 @@ export const getPublicSeminars = async (req, res) => {
         (s) => new Date(s.date) > now && s.status !== "cancelled"
       );
 
-      // Calculate active price (early bird or regular)
-      let activePrice = seminar.pricing.price;
-      if (
-        seminar.pricing.earlyBirdPrice &&
-        seminar.pricing.earlyBirdDeadline &&
-        new Date(seminar.pricing.earlyBirdDeadline) > now
-      ) {
-        activePrice = seminar.pricing.earlyBirdPrice;
-      }
+      // Cheapest ticket now (early bird or regular)
+      const activePrice = getSeminarFromPrice(seminar, now);
 
       return {
         ...seminar,
@@ -113,7 +126,8 @@ export const getPublicSeminars = async (req, res) => {
         spotsAvailable:
           upcomingSessions.length > 0
             ? upcomingSessions[0].maxAttendees -
-              upcomingSessions[0].currentAttendees
+              upcomingSessions[0].currentAttendees -
+              (upcomingSessions[0].heldSeats || 0)
             : 0,
         activePrice,
       };
@@ -166,22 +180,37 @@ export const getPublicSeminarBySlug = async (req, res) => {
 
     // Filter out past sessions
     const now = new Date();
-    const upcomingSessions = seminar.sessions.filter(
-      (s) => new Date(s.date) > now && s.status !== "cancelled"
-    );
+    const tiers = getTicketTiers(seminar).filter((t) => t.active !== false);
+    const upcomingSessions = seminar.sessions
+      .filter((s) => new Date(s.date) > now && s.status !== "cancelled")
+      .map((s) => {
+        const spotsAvailable = Math.max(
+          0,
+          s.maxAttendees - s.currentAttendees - (s.heldSeats || 0)
+        );
+        return {
+          ...s,
+          spotsAvailable,
+          // Seats left per tier, for tiers with a capacity
+          tierSpotsAvailable: Object.fromEntries(
+            tiers
+              .filter((t) => t.key && t.capacity)
+              .map((t) => [
+                t.key,
+                Math.min(spotsAvailable, getTierSeatsLeft(s, t)),
+              ])
+          ),
+        };
+      });
 
-    // Calculate active price (early bird or regular)
-    let activePrice = seminar.pricing.price;
-    if (
-      seminar.pricing.earlyBirdPrice &&
-      seminar.pricing.earlyBirdDeadline &&
-      new Date(seminar.pricing.earlyBirdDeadline) > now
-    ) {
-      activePrice = seminar.pricing.earlyBirdPrice;
-    }
+    // Cheapest ticket now (early bird or regular)
+    const activePrice = getSeminarFromPrice(seminar, now);
 
     res.status(200).json({
       ...seminar,
+      ticketTiers: (seminar.ticketTiers || [])
+        .filter((t) => t.active !== false)
+        .map((t) => ({ ...t, activePrice: getTierPrice(seminar, t, now) })),
       upcomingSessions,
       activePrice,
     });
@@ -309,6 +338,9 @@ export const createSeminar = async (req, res) => {
       category,
       level,
       pricing,
+      ticketTiers,
+      bundles,
+      groupDiscounts,
       location,
       sessions,
       requirements,
@@ -321,7 +353,7 @@ export const createSeminar = async (req, res) => {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
-    if (!pricing || !pricing.price) {
+    if (!pricing || (!pricing.price && !ticketTiers?.length)) {
       return res.status(400).json({ error: "Pricing information required" });
     }
 
@@ -333,6 +365,16 @@ export const createSeminar = async (req, res) => {
       return res.status(400).json({ error: "At least one session required" });
     }
 
+    const ticketing = validateSeminarTicketing({
+      ticketTiers,
+      bundles,
+      groupDiscounts,
+      sessions,
+    });
+    if (!ticketing.success) {
+      return ticketingError(res, ticketing.errors);
+    }
+
     // Generate slug
     const slug = title
       .toLowerCase()
@@ -347,7 +389,7 @@ export const createSeminar = async (req, res) => {
     }
 
     // Generate session IDs
-    const sessionsWithIds = sessions.map((session) => ({
+    const sessionsWithIds = ticketing.data.sessions.map((session) => ({
       ...session,
       sessionId: uuidv4(),
       currentAttendees: 0,
@@ -365,7 +407,10 @@ export const createSeminar = async (req, res) => {
       description,
       category,
       level,
-      pricing,
+      pricing: withListingPrice(pricing, ticketing.data.ticketTiers),
+      ticketTiers: ticketing.data.ticketTiers || [],
+      bundles: ticketing.data.bundles || [],
+      groupDiscounts: ticketing.data.groupDiscounts || [],
       location,
       sessions: sessionsWithIds,
       requirements: requirements || [],
@@ -399,6 +444,9 @@ export const updateSeminar = async (req, res) => {
       category,
       level,
       pricing,
+      ticketTiers,
+      bundles,
+      groupDiscounts,
       location,
       sessions,
       requirements,
@@ -406,6 +454,18 @@ export const updateSeminar = async (req, res) => {
       images,
     } = req.body;
 
+    // Sessions can only reference bundles the seminar will have
+    const ticketing = validateSeminarTicketing({
+      ticketTiers,
+      bundles: bundles ?? seminar.bundles.map((b) => b.toObject()),
+      groupDiscounts,
+      sessions:
+        sessions ?? seminar.sessions.map((s) => ({ bundleKey: s.bundleKey })),
+    });
+    if (!ticketing.success) {
+      return ticketingError(res, ticketing.errors);
+    }
+
     // Update fields
     if (title) {
       seminar.title = title;
@@ -422,7 +482,15 @@ export const updateSeminar = async (req, res) => {
     if (description) seminar.description = description;
     if (category) seminar.category = category;
     if (level) seminar.level = level;
-    if (pricing) seminar.pricing = pricing;
+    if (ticketTiers) seminar.ticketTiers = ticketing.data.ticketTiers;
+    if (bundles) seminar.bundles = ticketing.data.bundles;
+    if (groupDiscounts) seminar.groupDiscounts = ticketing.data.groupDiscounts;
+    if (pricing || ticketTiers) {
+      seminar.pricing = withListingPrice(
+        pricing || seminar.toObject().pricing,
+        seminar.ticketTiers
+      );
+    }
     if (location) seminar.location = location;
     if (requirements) seminar.requirements = requirements;
     if (whatYouWillLearn) seminar.whatYouWillLearn = whatYouWillLearn;
@@ -431,7 +499,7 @@ export const updateSeminar = async (req, res) => {
     // Update sessions
     if (sessions) {
       // Preserve existing session IDs and attendee counts
-      const updatedSessions = sessions.map((newSession) => {
+      const updatedSessions = ticketing.data.sessions.map((newSession) => {
         const existingSession = seminar.sessions.find(
           (s) => s.sessionId === newSession.sessionId
         );
@@ -441,6 +509,9 @@ export const updateSeminar = async (req, res) => {
           currentAttendees: existingSession
             ? existingSession.currentAttendees
             : 0,
+          heldSeats: existingSession ? existingSession.heldSeats : 0,
+          seatHolds: existingSession ? existingSession.seatHolds : [],
+          tierAttendees: existingSession ? existingSession.tierAttendees : {},
           status: existingSession ? existingSession.status : "scheduled",
         };
       });
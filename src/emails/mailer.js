@@ -4,6 +4,9 @@ import {
   sendEmail,
 } from "./transport.js";
 import { createConsoleLogger } from "../utils/logger.js";
+import { formatAddOnSuffix } from "../utils/serviceAddOns.js";
+import { buildAppointmentEvent, buildCalendar } from "../utils/icalendar.js";
+import { renderQrCodePng } from "../utils/qrCode.js";
 
 const LOG_EMAIL =
   process.env.LOG_EMAIL === "true" || process.env.LOG_VERBOSE === "true";
@@ -227,13 +230,42 @@ export async function sendCancellationEmails({
   }
 }
 
+/**
+ * Calendar attachment for an appointment email. The UID is stable per
+ * appointment, so a reschedule email updates the event already imported.
+ */
+function buildAppointmentIcsAttachment({ appointment, summary }) {
+  return {
+    filename: "appointment.ics",
+    content: buildCalendar({
+      events: [buildAppointmentEvent(appointment, { summary })],
+    }),
+    contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+  };
+}
+
+// Seminar ticket QR code, shown inline in the email by its cid
+const CHECK_IN_QR_CID = "check-in-qr";
+
+async function buildCheckInQrAttachment(code) {
+  return {
+    filename: "check-in.png",
+    content: await renderQrCodePng(code),
+    contentType: "image/png",
+    cid: CHECK_IN_QR_CID,
+  };
+}
+
 /**
  * Send appointment confirmation email to customer
+ * @param {Date} [params.rescheduledFrom] previous start when the email
+ *   confirms a reschedule
  */
 export async function sendConfirmationEmail({
   appointment,
   service,
   specialist,
+  rescheduledFrom,
 }) {
   if (process.env.NODE_ENV === "test") {
     return;
@@ -263,6 +295,18 @@ export async function sendConfirmationEmail({
     minute: "2-digit",
   });
 
+  const previousTime = rescheduledFrom
+    ? new Date(rescheduledFrom).toLocaleString("en-GB", {
+        timeZone: salonTz,
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : null;
+
   const customerEmail = appointment.client?.email;
   console.log("[MAILER] Customer email:", customerEmail || "NOT SET");
   if (!customerEmail) {
@@ -294,7 +338,9 @@ export async function sendConfirmationEmail({
           variantName && serviceName !== variantName
             ? `${serviceName} (${variantName})`
             : serviceName;
-        return `${i + 1}. ${displayName} (${s.duration}min - ${formatCurrency(
+        return `${i + 1}. ${displayName}${formatAddOnSuffix(
+          s.addOns,
+        )} (${s.duration}min - ${formatCurrency(
           s.price,
           currency,
         )})`;
@@ -313,7 +359,9 @@ export async function sendConfirmationEmail({
                 variantName && serviceName !== variantName
                   ? `${serviceName} (${variantName})`
                   : serviceName;
-              return `<li>${displayName} <span style="color: #6b7280;">(${
+              return `<li>${displayName}${formatAddOnSuffix(
+                s.addOns,
+              )} <span style="color: #6b7280;">(${
                 s.duration
               }min - ${formatCurrency(s.price, currency)})</span></li>`;
             })
@@ -322,8 +370,10 @@ export async function sendConfirmationEmail({
       </div>
     `;
   } else {
-    servicesList = serviceName;
-    servicesHtml = `<p style="margin: 8px 0; color: #374151;"><strong>Service:</strong> ${serviceName}</p>`;
+    // Add-ons booked with a single service, e.g. "Lash lift + Lash tint"
+    const addOnSuffix = formatAddOnSuffix(appointment.services?.[0]?.addOns);
+    servicesList = `${serviceName}${addOnSuffix}`;
+    servicesHtml = `<p style="margin: 8px 0; color: #374151;"><strong>Service:</strong> ${serviceName}${addOnSuffix}</p>`;
   }
   const price = appointment.price
     ? formatCurrency(appointment.price, currency)
@@ -399,20 +449,25 @@ export async function sendConfirmationEmail({
       ? appointment.payment.checkoutUrl
       : null;
 
+  let headline = "Confirmed";
+  let intro = "Your appointment has been confirmed!";
+  if (paymentLink) {
+    headline = "Reserved - Deposit Required";
+    intro =
+      "Your appointment has been reserved and requires a deposit payment to be confirmed.";
+  } else if (previousTime) {
+    headline = "Rescheduled";
+    intro = `Your appointment has been moved from ${previousTime}.`;
+  }
+
   try {
     const info = await tx.sendMail({
       from,
       to: customerEmail,
-      subject: `Appointment ${
-        paymentLink ? "Reserved - Deposit Required" : "Confirmed"
-      } - ${serviceName}`,
+      subject: `Appointment ${headline} - ${serviceName}`,
       text: `Hi ${appointment.client?.name || ""},
 
-${
-  paymentLink
-    ? "Your appointment has been reserved and requires a deposit payment to be confirmed."
-    : "Your appointment has been confirmed!"
-}
+${intro}
 
 ${
   paymentLink
@@ -459,17 +514,11 @@ Thank you for choosing us!`,
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff;">
         <div style="background-color: #7c3aed; background: linear-gradient(135deg, #7c3aed 0%, #ec4899 50%, #06b6d4 100%); padding: 30px 20px; border-radius: 12px 12px 0 0; margin: -20px -20px 20px -20px;">
           <h2 style="color: #ffffff !important; margin: 0; font-size: 24px; text-align: center; line-height: 1.4;">${
-            paymentLink
-              ? "⏰ Appointment Reserved - Deposit Required"
-              : "✓ Appointment Confirmed"
-          }</h2>
+            paymentLink ? "⏰" : "✓"
+          } Appointment ${headline}</h2>
         </div>
         <p style="color: #1f2937;">Hi ${appointment.client?.name || ""},</p>
-        <p style="color: #1f2937;">${
-          paymentLink
-            ? "Your appointment has been reserved and requires a deposit payment to be confirmed."
-            : "Your appointment has been confirmed!"
-        }</p>
+        <p style="color: #1f2937;">${intro}</p>
         
         ${
           paymentLink
@@ -547,6 +596,12 @@ Thank you for choosing us!`,
         }</p>
       </div>
     `,
+      attachments: [
+        buildAppointmentIcsAttachment({
+          appointment,
+          summary: `${serviceName} with ${beauticianName}`,
+        }),
+      ],
     });
     console.log(
       "[MAILER] ✓ Confirmation email sent successfully. MessageId:",
@@ -563,9 +618,16 @@ Thank you for choosing us!`,
   if (beauticianEmail) {
     console.log("[MAILER] Preparing specialist notification email...");
 
+    const beauticianHeadline = previousTime
+      ? "Booking Rescheduled"
+      : "New Booking";
+    const beauticianIntro = previousTime
+      ? `A booking has been moved from ${previousTime}.`
+      : "You have a new booking!";
+
     const beauticianTextContent = `Hi ${beauticianName},
 
-You have a new booking!
+${beauticianIntro}
 
 Service: ${serviceName}
 Client: ${appointment.client?.name || "Unknown"}
@@ -604,10 +666,12 @@ Please ensure you're prepared for this appointment.`;
     const beauticianHtmlContent = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <div style="background-color: #7c3aed; background: linear-gradient(135deg, #7c3aed 0%, #ec4899 50%, #06b6d4 100%); padding: 30px 20px; border-radius: 12px 12px 0 0; margin: -20px -20px 20px -20px;">
-          <h2 style="color: white; margin: 0; font-size: 24px; text-align: center;">📅 New Booking Received</h2>
+          <h2 style="color: white; margin: 0; font-size: 24px; text-align: center;">📅 ${
+            previousTime ? beauticianHeadline : "New Booking Received"
+          }</h2>
         </div>
         <p>Hi ${beauticianName},</p>
-        <p style="font-size: 16px; color: #374151; font-weight: 600;">You have a new booking!</p>
+        <p style="font-size: 16px; color: #374151; font-weight: 600;">${beauticianIntro}</p>
         
         <div style="background-color: #f7f3ff; background: linear-gradient(135deg, rgba(124, 58, 237, 0.05) 0%, rgba(236, 72, 153, 0.05) 100%); padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #7c3aed;">
           <h3 style="margin-top: 0; color: #7c3aed;">Appointment Details</h3>
@@ -684,7 +748,7 @@ Please ensure you're prepared for this appointment.`;
       const info = await tx.sendMail({
         from,
         to: beauticianEmail,
-        subject: `New Booking - ${serviceName} on ${startTime}`,
+        subject: `${beauticianHeadline} - ${serviceName} on ${startTime}`,
         text: beauticianTextContent,
         html: beauticianHtmlContent,
       });
@@ -705,7 +769,12 @@ Please ensure you're prepared for this appointment.`;
 /**
  * Send appointment reminder email to customer (24 hours before)
  */
-export async function sendReminderEmail({ appointment, service, specialist }) {
+export async function sendReminderEmail({
+  appointment,
+  service,
+  specialist,
+  salonTz = process.env.SALON_TZ || "Europe/London",
+}) {
   console.log("[MAILER] Preparing reminder email...");
   console.log("[MAILER] Appointment ID:", appointment._id);
 
@@ -724,6 +793,7 @@ export async function sendReminderEmail({ appointment, service, specialist }) {
   // Format start time
   const startDate = new Date(appointment.start);
   const startTime = startDate.toLocaleString("en-GB", {
+    timeZone: salonTz,
     weekday: "long",
     day: "numeric",
     month: "long",
@@ -748,7 +818,9 @@ export async function sendReminderEmail({ appointment, service, specialist }) {
           variantName && serviceName !== variantName
             ? `${serviceName} (${variantName})`
             : serviceName;
-        return `${i + 1}. ${displayName} (${s.duration}min - ${formatCurrency(
+        return `${i + 1}. ${displayName}${formatAddOnSuffix(
+          s.addOns,
+        )} (${s.duration}min - ${formatCurrency(
           s.price,
           currency,
         )})`;
@@ -767,7 +839,9 @@ export async function sendReminderEmail({ appointment, service, specialist }) {
                 variantName && serviceName !== variantName
                   ? `${serviceName} (${variantName})`
                   : serviceName;
-              return `<li>${displayName} <span style="color: #6b7280;">(${
+              return `<li>${displayName}${formatAddOnSuffix(
+                s.addOns,
+              )} <span style="color: #6b7280;">(${
                 s.duration
               }min - ${formatCurrency(s.price, currency)})</span></li>`;
             })
@@ -782,7 +856,8 @@ export async function sendReminderEmail({ appointment, service, specialist }) {
     const svcName = svc.serviceName || "Service";
     const varName = svc.variantName || "";
     serviceName =
-      varName && svcName !== varName ? `${svcName} (${varName})` : svcName;
+      (varName && svcName !== varName ? `${svcName} (${varName})` : svcName) +
+      formatAddOnSuffix(svc.addOns);
     servicesList = serviceName;
     servicesHtml = `<p style="margin: 8px 0;"><strong>Service:</strong> ${serviceName}</p>`;
   } else {
@@ -1951,6 +2026,16 @@ export async function sendSeminarConfirmationEmail({
   const amount = formatCurrency(booking.payment?.amount || 0, currency);
   const tenantName = tenant?.businessName || "Our Business";
 
+  // Scanned at the door; a ticket without one still shows the code
+  let checkInQr = null;
+  if (booking.checkIn?.code) {
+    try {
+      checkInQr = await buildCheckInQrAttachment(booking.checkIn.code);
+    } catch (error) {
+      console.error("[MAILER] Failed to render check-in QR code:", error);
+    }
+  }
+
   const subject = `Seminar Booking Confirmation - ${seminar.title}`;
   const text = `
 Dear ${booking.attendeeInfo.name},
@@ -1960,9 +2045,11 @@ Thank you for booking ${seminar.title}!
 BOOKING DETAILS
 Booking Reference: ${booking.bookingReference}
 Seminar: ${seminar.title}
+${booking.ticketTier?.name ? `Ticket: ${booking.ticketTier.name}` : ""}
 Date: ${sessionDate}
 Time: ${session.startTime} - ${session.endTime}
 Amount Paid: ${amount}
+${booking.checkIn?.code ? `Check-in Code: ${booking.checkIn.code} (show the QR code in this email at the door)` : ""}
 
 ${seminar.location?.address ? `Location: ${seminar.location.address}` : ""}
 ${
@@ -2025,6 +2112,16 @@ ${tenantName}
                       seminar.title
                     }</td>
                   </tr>
+                  ${
+                    booking.ticketTier?.name
+                      ? `
+                  <tr>
+                    <td style="color: #6b7280; font-size: 14px; padding: 4px 0;">Ticket:</td>
+                    <td style="color: #1f2937; font-weight: bold; font-size: 14px; text-align: right; padding: 4px 0;">${booking.ticketTier.name}</td>
+                  </tr>
+                  `
+                      : ""
+                  }
                   <tr>
                     <td style="color: #6b7280; font-size: 14px; padding: 4px 0;">Date:</td>
                     <td style="color: #1f2937; font-weight: bold; font-size: 14px; text-align: right; padding: 4px 0;">${sessionDate}</td>
@@ -2039,6 +2136,28 @@ ${tenantName}
                     <td style="color: #6b7280; font-size: 14px; padding: 4px 0;">Amount Paid:</td>
                     <td style="color: #10b981; font-weight: bold; font-size: 16px; text-align: right; padding: 4px 0;">${amount}</td>
                   </tr>
+                  ${
+                    booking.checkIn?.code
+                      ? `
+                  <tr>
+                    <td style="color: #6b7280; font-size: 14px; padding: 4px 0;">Check-in Code:</td>
+                    <td style="color: #1f2937; font-weight: bold; font-size: 14px; text-align: right; padding: 4px 0; font-family: monospace;">${booking.checkIn.code}</td>
+                  </tr>
+                  ${
+                    checkInQr
+                      ? `
+                  <tr>
+                    <td colspan="2" style="text-align: center; padding: 16px 0 4px;">
+                      <img src="cid:${CHECK_IN_QR_CID}" width="180" height="180" alt="Check-in QR code" style="display: block; margin: 0 auto;">
+                      <p style="color: #6b7280; font-size: 12px; margin: 8px 0 0;">Show this at the door to check in</p>
+                    </td>
+                  </tr>
+                  `
+                      : ""
+                  }
+                  `
+                      : ""
+                  }
                   ${
                     seminar.location?.address
                       ? `
@@ -2100,6 +2219,7 @@ ${tenantName}
       subject,
       text,
       html,
+      ...(checkInQr ? { attachments: [checkInQr] } : {}),
     });
     console.log(
       `[MAILER] ✓ Seminar confirmation email sent to ${attendeeEmail}`,
@@ -2112,6 +2232,691 @@ ${tenantName}
   }
 }
 
+/**
+ * Send a waitlist slot offer with its claim link
+ */
+export async function sendWaitlistOfferEmail({
+  entry,
+  link,
+  serviceName,
+  specialistName,
+  start,
+  expiresAt,
+  tz = "Europe/London",
+}) {
+  const to = entry?.client?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+
+  const formatDate = (date, options) =>
+    new Date(date).toLocaleString("en-GB", { timeZone: tz, ...options });
+  const startLabel = formatDate(start, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  const expiryLabel = formatDate(expiresAt, {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  const subject = `A slot is free: ${serviceName} on ${startLabel}`;
+  const text = `Hi ${entry.client?.name || ""},
+
+A slot you were waiting for has opened up:
+- Service: ${serviceName}
+- With: ${specialistName}
+- Date & Time: ${startLabel}
+
+This offer has also been sent to other clients on the waitlist. The first to claim it and pay the deposit gets the appointment.
+
+Claim it before ${expiryLabel}: ${link}
+
+Best regards,
+Elite Booker`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${entry.client?.name || ""},</p>
+      <p>A slot you were waiting for has opened up:</p>
+      <ul>
+        <li><strong>Service:</strong> ${serviceName}</li>
+        <li><strong>With:</strong> ${specialistName}</li>
+        <li><strong>Date &amp; Time:</strong> ${startLabel}</li>
+      </ul>
+      <p>This offer has also been sent to other clients on the waitlist. The first to claim it and pay the deposit gets the appointment.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 6px;">Claim this slot</a>
+      </p>
+      <p style="color: #666; font-size: 14px;">This link expires at ${expiryLabel}.</p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Waitlist offer email sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send waitlist offer email to ${to}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Offer a freed seminar seat to someone on the session's waitlist
+ */
+export async function sendSeminarWaitlistOfferEmail({
+  entry,
+  seminar,
+  session,
+  link,
+  expiresAt,
+  tenant,
+  tz = process.env.SALON_TZ || "Europe/London",
+}) {
+  const to = entry?.attendeeInfo?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+  const tenantName = tenant?.businessName || "Our Business";
+
+  const sessionDate = new Date(session.date).toLocaleString("en-GB", {
+    timeZone: tz,
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+  const expiryLabel = new Date(expiresAt).toLocaleString("en-GB", {
+    timeZone: tz,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  const subject = `A seat is free: ${seminar.title} on ${sessionDate}`;
+  const text = `Hi ${entry.attendeeInfo.name || ""},
+
+A seat has opened up on a seminar you were waiting for:
+- Seminar: ${seminar.title}
+- Date: ${sessionDate}
+- Time: ${session.startTime} - ${session.endTime}
+
+We're holding the seat for you until ${expiryLabel}. After that it goes to the next person on the waitlist.
+
+Book it here: ${link}
+
+Best regards,
+${tenantName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${entry.attendeeInfo.name || ""},</p>
+      <p>A seat has opened up on a seminar you were waiting for:</p>
+      <ul>
+        <li><strong>Seminar:</strong> ${seminar.title}</li>
+        <li><strong>Date:</strong> ${sessionDate}</li>
+        <li><strong>Time:</strong> ${session.startTime} - ${session.endTime}</li>
+      </ul>
+      <p>We're holding the seat for you until <strong>${expiryLabel}</strong>. After that it goes to the next person on the waitlist.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 6px;">Book my seat</a>
+      </p>
+      <p>Best regards,<br><strong>${tenantName}</strong></p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Seminar waitlist offer email sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send seminar waitlist offer email to ${to}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Certificate of completion for a seminar attendee, with the PDF attached.
+ * Returns false when there's no transport or address; throws if sending
+ * fails so the certificate can be sent again.
+ */
+export async function sendSeminarCertificateEmail({
+  booking,
+  seminar,
+  session,
+  tenant,
+  pdf,
+  verifyUrl,
+  tz = process.env.SALON_TZ || "Europe/London",
+}) {
+  const to = booking?.attendeeInfo?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return false;
+  }
+  const from = getDefaultFromEmail();
+  const tenantName = tenant?.businessName || "Our Business";
+  const number = booking.certificate.number;
+
+  const sessionDate = new Date(session.date).toLocaleString("en-GB", {
+    timeZone: tz,
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+  const subject = `Your certificate: ${seminar.title}`;
+  const text = `Hi ${booking.attendeeInfo.name || ""},
+
+Thank you for attending ${seminar.title} on ${sessionDate}. Your certificate of completion is attached.
+
+Certificate number: ${number}
+Anyone can check it at: ${verifyUrl}
+
+Best regards,
+${tenantName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${booking.attendeeInfo.name || ""},</p>
+      <p>Thank you for attending <strong>${seminar.title}</strong> on ${sessionDate}. Your certificate of completion is attached.</p>
+      <p><strong>Certificate number:</strong> ${number}<br>
+      Anyone can check it at: <a href="${verifyUrl}" style="color: #667eea;">${verifyUrl}</a></p>
+      <p>Best regards,<br><strong>${tenantName}</strong></p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({
+      from,
+      to,
+      subject,
+      text,
+      html,
+      attachments: [
+        {
+          filename: `certificate-${number}.pdf`,
+          content: pdf,
+          contentType: "application/pdf",
+        },
+      ],
+    });
+    console.log(`[MAILER] ✓ Seminar certificate ${number} sent to ${to}`);
+    return true;
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send seminar certificate ${number} to ${to}:`,
+      error,
+    );
+    throw error;
+  }
+}
+
+// "£20.00 to your card, £5.00 to your gift card" for a seminar refund
+function describeSeminarRefund(refund, currency) {
+  const money = (amount) => formatCurrency(Number(amount || 0), currency);
+  return [
+    refund?.cardAmount > 0 && `${money(refund.cardAmount)} to your card`,
+    refund?.giftCardAmount > 0 &&
+      `${money(refund.giftCardAmount)} to your gift card`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function formatSeminarDate(date, tz, options = {}) {
+  return new Date(date).toLocaleString("en-GB", {
+    timeZone: tz,
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    ...options,
+  });
+}
+
+/**
+ * Tell an attendee the organiser cancelled their seminar session: either
+ * the refund they've been given, or the sessions they can move to with a
+ * link to choose one (or a refund) before expiresAt
+ */
+export async function sendSeminarSessionCancelledEmail({
+  booking,
+  seminar,
+  session,
+  reason,
+  refund = null,
+  transferSessions = [],
+  link,
+  expiresAt,
+  tenant,
+  tz = process.env.SALON_TZ || "Europe/London",
+}) {
+  const to = booking?.attendeeInfo?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+  const tenantName = tenant?.businessName || "Our Business";
+  const currency = booking.payment?.currency || "GBP";
+
+  const sessionDate = formatSeminarDate(session.date, tz);
+  const options = transferSessions.map(
+    (s) =>
+      `${formatSeminarDate(s.date, tz)}, ${s.startTime} - ${s.endTime}`,
+  );
+  const deadline =
+    expiresAt &&
+    formatSeminarDate(expiresAt, tz, {
+      weekday: "short",
+      month: "short",
+      year: undefined,
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  const paidBack = describeSeminarRefund(refund, currency);
+  const refundLine = refund
+    ? `We've refunded ${formatCurrency(refund.amount, currency)}: ${paidBack}. Card refunds can take 5-10 business days to show, depending on your bank.`
+    : "There was nothing to refund on this booking.";
+
+  const subject = `Cancelled: ${seminar.title} on ${sessionDate}`;
+  const text = `Hi ${booking.attendeeInfo.name || ""},
+
+We're sorry, but ${seminar.title} on ${sessionDate} (${session.startTime} - ${session.endTime}) has been cancelled.
+${reason ? `\nReason: ${reason}\n` : ""}
+Booking reference: ${booking.bookingReference}
+
+${
+  options.length
+    ? `You can move your booking to one of these sessions instead:
+${options.map((option) => `- ${option}`).join("\n")}
+
+Choose a session or a full refund here: ${link}
+
+If we don't hear from you by ${deadline}, we'll refund you in full.`
+    : refundLine
+}
+
+Best regards,
+${tenantName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${booking.attendeeInfo.name || ""},</p>
+      <p>We're sorry, but <strong>${seminar.title}</strong> on ${sessionDate} (${session.startTime} - ${session.endTime}) has been cancelled.</p>
+      ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+      <p><strong>Booking reference:</strong> ${booking.bookingReference}</p>
+      ${
+        options.length
+          ? `
+      <p>You can move your booking to one of these sessions instead:</p>
+      <ul>${options.map((option) => `<li>${option}</li>`).join("")}</ul>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 6px;">Choose a session or refund</a>
+      </p>
+      <p>If we don't hear from you by <strong>${deadline}</strong>, we'll refund you in full.</p>`
+          : `<p>${refundLine}</p>`
+      }
+      <p>Best regards,<br><strong>${tenantName}</strong></p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Seminar cancellation email sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send seminar cancellation email to ${to}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Tell an attendee their seminar session has a new date, with a link to
+ * keep their seat or take a refund
+ */
+export async function sendSeminarSessionRescheduledEmail({
+  booking,
+  seminar,
+  session,
+  previous,
+  reason,
+  link,
+  expiresAt,
+  tenant,
+  tz = process.env.SALON_TZ || "Europe/London",
+}) {
+  const to = booking?.attendeeInfo?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+  const tenantName = tenant?.businessName || "Our Business";
+
+  const oldDate = `${formatSeminarDate(previous.date, tz)}, ${previous.startTime} - ${previous.endTime}`;
+  const newDate = `${formatSeminarDate(session.date, tz)}, ${session.startTime} - ${session.endTime}`;
+  const deadline = formatSeminarDate(expiresAt, tz, {
+    weekday: "short",
+    month: "short",
+    year: undefined,
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  const subject = `New date: ${seminar.title}`;
+  const text = `Hi ${booking.attendeeInfo.name || ""},
+
+${seminar.title} has moved to a new date.
+
+- Was: ${oldDate}
+- Now: ${newDate}
+${reason ? `\nReason: ${reason}\n` : ""}
+Booking reference: ${booking.bookingReference}
+
+Your seat is kept for the new date. If you can't make it, you can take a full refund instead until ${deadline}: ${link}
+
+Best regards,
+${tenantName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${booking.attendeeInfo.name || ""},</p>
+      <p><strong>${seminar.title}</strong> has moved to a new date.</p>
+      <ul>
+        <li><strong>Was:</strong> ${oldDate}</li>
+        <li><strong>Now:</strong> ${newDate}</li>
+      </ul>
+      ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+      <p><strong>Booking reference:</strong> ${booking.bookingReference}</p>
+      <p>Your seat is kept for the new date. If you can't make it, you can take a full refund instead until <strong>${deadline}</strong>.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 6px;">Keep my seat or get a refund</a>
+      </p>
+      <p>Best regards,<br><strong>${tenantName}</strong></p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Seminar reschedule email sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send seminar reschedule email to ${to}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Refund receipt for a seminar booking given up after the organiser
+ * cancelled or rescheduled its session
+ */
+export async function sendSeminarRefundEmail({
+  booking,
+  seminar,
+  session,
+  refund,
+  tenant,
+  tz = process.env.SALON_TZ || "Europe/London",
+}) {
+  const to = booking?.attendeeInfo?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+  const tenantName = tenant?.businessName || "Our Business";
+  const currency = booking.payment?.currency || "GBP";
+  const sessionDate = session ? formatSeminarDate(session.date, tz) : "";
+  const paidBack = refund
+    ? `We've refunded ${formatCurrency(refund.amount, currency)}: ${describeSeminarRefund(refund, currency)}.`
+    : "There was nothing to refund on this booking.";
+
+  const subject = `Booking cancelled: ${seminar?.title || "Seminar"}`;
+  const text = `Hi ${booking.attendeeInfo.name || ""},
+
+Your booking ${booking.bookingReference} for ${seminar?.title || "the seminar"}${sessionDate ? ` on ${sessionDate}` : ""} is cancelled.
+
+${paidBack}
+Card refunds can take 5-10 business days to show, depending on your bank.
+
+Best regards,
+${tenantName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${booking.attendeeInfo.name || ""},</p>
+      <p>Your booking <strong>${booking.bookingReference}</strong> for ${seminar?.title || "the seminar"}${sessionDate ? ` on ${sessionDate}` : ""} is cancelled.</p>
+      <p>${paidBack}</p>
+      <p style="color: #666; font-size: 14px;">Card refunds can take 5-10 business days to show, depending on your bank.</p>
+      <p>Best regards,<br><strong>${tenantName}</strong></p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Seminar refund email sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send seminar refund email to ${to}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Tell whoever paid for a seminar seat (an order's buyer, or the attendee
+ * of a single booking) that it couldn't be booked (the session filled or
+ * was cancelled before payment came through), and what was refunded for it
+ */
+export async function sendSeminarSeatRefundEmail({
+  order,
+  attendee,
+  seminar,
+  session,
+  refund,
+  tenant,
+  tz = process.env.SALON_TZ || "Europe/London",
+}) {
+  // An order's buyer, or the attendee of a booking made on its own
+  const buyer = order?.attendees?.[0] || attendee;
+  const to = buyer?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+  const tenantName = tenant?.businessName || "Our Business";
+  const currency = refund?.currency || order?.pricing?.currency || "GBP";
+  const title = seminar?.title || "the seminar";
+  const sessionDate = session ? formatSeminarDate(session.date, tz) : "";
+  const who = order && attendee?.name ? ` for ${attendee.name}` : "";
+  const when = sessionDate ? ` on ${sessionDate}` : "";
+  const seat = `a place${who} on ${title}${when}`;
+  const paidBack =
+    refund?.status === "succeeded"
+      ? `We've refunded ${formatCurrency(refund.amount, currency)}: ${describeSeminarRefund(refund, currency)}.`
+      : "We're sorting out your refund for it and will be in touch.";
+
+  const subject = `Place not booked: ${seminar?.title || "Seminar"}`;
+  const text = `Hi ${buyer.name || ""},
+
+Sorry, we couldn't book ${seat}: it was no longer available by the time your payment came through.
+
+${paidBack}
+Card refunds can take 5-10 business days to show, depending on your bank.
+
+Best regards,
+${tenantName}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${buyer.name || ""},</p>
+      <p>Sorry, we couldn't book ${seat}: it was no longer available by the time your payment came through.</p>
+      <p>${paidBack}</p>
+      <p style="color: #666; font-size: 14px;">Card refunds can take 5-10 business days to show, depending on your bank.</p>
+      <p>Best regards,<br><strong>${tenantName}</strong></p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Seminar seat refund email sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send seminar seat refund email to ${to}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Refund receipt for a product order (whole or partial)
+ */
+export async function sendOrderRefundEmail({ order, refund }) {
+  const to = order?.shippingAddress?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+  const currency = order.currency || "GBP";
+  const money = (amount) => formatCurrency(Number(amount || 0), currency);
+
+  const lines = (refund.items || []).map((line) => ({
+    label: `${line.title} x ${line.quantity}`,
+    amount: money(line.amount),
+  }));
+  if (refund.shipping > 0) {
+    lines.push({ label: "Shipping", amount: money(refund.shipping) });
+  }
+  const paidBack = [
+    refund.cardAmount > 0 && `${money(refund.cardAmount)} to your card`,
+    refund.giftCardAmount > 0 &&
+      `${money(refund.giftCardAmount)} to your gift card`,
+  ].filter(Boolean);
+  const whole = order.refundStatus === "full";
+
+  const subject = `${whole ? "Refund" : "Partial refund"} for order #${order.orderNumber}`;
+  const text = `Hi ${order.shippingAddress.firstName || ""},
+
+We've refunded ${money(refund.amount)} for order #${order.orderNumber}.
+
+${lines.map((line) => `- ${line.label}: ${line.amount}`).join("\n")}
+
+Paid back: ${paidBack.join(", ") || "nothing"}
+${refund.reason ? `Reason: ${refund.reason}\n` : ""}
+Card refunds can take 5-10 business days to show, depending on your bank.
+
+Best regards,
+Elite Booker`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${order.shippingAddress.firstName || ""},</p>
+      <p>We've refunded <strong>${money(refund.amount)}</strong> for order #${order.orderNumber}.</p>
+      <table style="width: 100%; border-collapse: collapse;">
+        ${lines
+          .map(
+            (line) => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${line.label}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right;">${line.amount}</td>
+        </tr>`,
+          )
+          .join("")}
+      </table>
+      <p><strong>Paid back:</strong> ${paidBack.join(", ") || "nothing"}</p>
+      ${refund.reason ? `<p><strong>Reason:</strong> ${refund.reason}</p>` : ""}
+      <p style="color: #666; font-size: 14px;">Card refunds can take 5-10 business days to show, depending on your bank.</p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Order refund email sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send order refund email to ${to}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Tell a specialist one of their products is running low
+ */
+export async function sendLowStockAlertEmail({
+  specialist,
+  product,
+  variant,
+  stock,
+  threshold,
+}) {
+  const to = specialist?.email;
+  const tx = getTransport();
+  if (!tx || !to) {
+    return;
+  }
+  const from = getDefaultFromEmail();
+
+  const label = variant?.size
+    ? `${product.title} (${variant.size})`
+    : product.title;
+  const sku = variant?.sku ? ` - SKU ${variant.sku}` : "";
+  const stockLabel = stock > 0 ? `Only ${stock} left` : "Out of stock";
+
+  const subject = `Low stock: ${label}`;
+  const text = `Hi ${specialist.name || ""},
+
+${label}${sku} is running low.
+
+- ${stockLabel} to sell
+- Alert level: ${threshold}
+
+Record a delivery in your dashboard once it's restocked. We won't email about this item again until stock has gone back above the alert level.
+
+Best regards,
+Elite Booker`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <p>Hi ${specialist.name || ""},</p>
+      <p><strong>${label}</strong>${sku} is running low.</p>
+      <ul>
+        <li><strong>${stockLabel}</strong> to sell</li>
+        <li>Alert level: ${threshold}</li>
+      </ul>
+      <p style="color: #666; font-size: 14px;">Record a delivery in your dashboard once it's restocked. We won't email about this item again until stock has gone back above the alert level.</p>
+    </div>
+  `;
+
+  try {
+    await tx.sendMail({ from, to, subject, text, html });
+    console.log(`[MAILER] ✓ Low stock alert sent to ${to}`);
+  } catch (error) {
+    console.error(
+      `[MAILER] ✗ Failed to send low stock alert to ${to}:`,
+      error,
+    );
+  }
+}
+
 export { sendEmail };
 
 export default {
@@ -2124,4 +2929,13 @@ export default {
   sendOrderReadyForCollectionEmail,
   sendSpecialistCredentialsEmail,
   sendSeminarConfirmationEmail,
+  sendWaitlistOfferEmail,
+  sendSeminarWaitlistOfferEmail,
+  sendSeminarCertificateEmail,
+  sendSeminarSessionCancelledEmail,
+  sendSeminarSessionRescheduledEmail,
+  sendSeminarRefundEmail,
+  sendSeminarSeatRefundEmail,
+  sendOrderRefundEmail,
+  sendLowStockAlertEmail,
 };
@@ -31,6 +31,99 @@ const PaymentStripeSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Gift card balance applied at online checkout (amounts in pounds)
+const PaymentGiftCardSchema = new mongoose.Schema(
+  {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: "GiftCard" },
+    code: String,
+    appliedAmount: Number,
+    remainingBeforeApply: Number,
+    redemptionStatus: {
+      type: String,
+      enum: ["pending", "redeeming", "redeemed", "failed"],
+      default: "pending",
+    },
+    redeemedAt: Date,
+    refundedAmount: Number, // Credited back to the card on cancellation
+    error: String,
+  },
+  { _id: false }
+);
+
+// Package session spent instead of a payment
+const PaymentPackageCreditSchema = new mongoose.Schema(
+  {
+    clientPackageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ClientPackage",
+    },
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: "Package" },
+    name: String,
+    redeemedAt: Date,
+    returnedAt: Date, // Credit put back on the package on cancellation
+  },
+  { _id: false }
+);
+
+// Member pricing applied at checkout (see utils/memberPricing.js)
+const MemberPricingSchema = new mongoose.Schema(
+  {
+    membershipId: { type: mongoose.Schema.Types.ObjectId, ref: "Membership" },
+    planName: String,
+    listPrice: Number, // Pounds, before member pricing
+    discount: Number, // Pounds
+    // Lines booked free as part of the membership's included services
+    included: {
+      type: [
+        {
+          serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+          variantName: String,
+          _id: false,
+        },
+      ],
+      default: undefined,
+    },
+    appliedAt: Date,
+  },
+  { _id: false }
+);
+
+// Promo code applied at checkout (see services/promotionService.js)
+const AppliedPromotionSchema = new mongoose.Schema(
+  {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+    code: String,
+    name: String,
+    discount: Number, // Pounds
+    appliedAt: Date,
+    // The promotion use this booking holds, and the client it counts for
+    usage: { type: String, enum: ["held", "released"] },
+    clientEmail: String,
+  },
+  { _id: false }
+);
+
+// Referral credit spent at checkout (see services/referralRewardService.js)
+const AppliedReferralCreditSchema = new mongoose.Schema(
+  {
+    amount: Number, // Pounds
+    appliedAt: Date,
+  },
+  { _id: false }
+);
+
+// Gift card redeemed at the desk against the in-salon balance
+const GiftCardRedemptionSchema = new mongoose.Schema(
+  {
+    giftCardId: { type: mongoose.Schema.Types.ObjectId, ref: "GiftCard" },
+    code: String,
+    amount: Number, // Pounds
+    redeemedAt: Date,
+    redeemedBy: String,
+  },
+  { _id: false }
+);
+
 const PaymentSchema = new mongoose.Schema(
   {
     mode: {
@@ -40,7 +133,16 @@ const PaymentSchema = new mongoose.Schema(
     },
     provider: {
       type: String,
-      enum: ["stripe", "cash", "pos"],
+      enum: [
+        "stripe",
+        "cash",
+        "pos",
+        "gift_card",
+        "package",
+        "membership",
+        "promotion",
+        "referral_credit",
+      ],
       default: "stripe",
     },
     status: {
@@ -60,11 +162,13 @@ const PaymentSchema = new mongoose.Schema(
     checkoutUrl: String, // Stripe Checkout URL for deposit payments
     amountTotal: { type: Number, default: 0 },
     amountDeposit: { type: Number },
-    amountBalance: { type: Number },
+    amountBalance: { type: Number }, // Left to pay at the salon, in pence
     depositAmount: { type: Number }, // Deposit amount in pence
     depositPercentage: { type: Number }, // Deposit percentage (e.g., 30 for 30%)
     fullAmount: { type: Number }, // Full service price in pence
     stripe: { type: PaymentStripeSchema, default: undefined },
+    giftCard: { type: PaymentGiftCardSchema, default: undefined },
+    packageCredit: { type: PaymentPackageCreditSchema, default: undefined },
   },
   { _id: false }
 );
@@ -79,6 +183,91 @@ const AuditSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Freed slot being offered to waitlisted clients (waitlist offer mode)
+const WaitlistOfferSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["open", "claimed", "closed"],
+      default: "open",
+    },
+    round: { type: Number, default: 0 },
+    expiresAt: Date, // When the current round's claim links expire
+    offers: [
+      {
+        waitlistEntryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WaitlistEntry",
+        },
+        round: Number,
+        sentAt: Date,
+        expiresAt: Date,
+        _id: false,
+      },
+    ],
+    claimedEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WaitlistEntry",
+    },
+    claimedAppointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    claimExpiresAt: Date, // Unpaid claim holds the offer until then
+    closedAt: Date,
+    closeReason: String,
+  },
+  { _id: false }
+);
+
+const WaitlistClaimSchema = new mongoose.Schema(
+  {
+    waitlistEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WaitlistEntry",
+    },
+    sourceAppointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+  },
+  { _id: false }
+);
+
+// Card saved at booking (SetupIntent on the connected account) for fees
+const CardOnFileSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["pending", "saved"], default: "pending" },
+    stripeAccountId: String, // Connected account holding customer and card
+    customerId: String,
+    setupIntentId: String,
+    paymentMethodId: String,
+    cardBrand: String,
+    cardLast4: String,
+    savedAt: Date,
+  },
+  { _id: false }
+);
+
+// Off-session no-show / late-cancellation fee charged to the saved card
+const FeeChargeSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["no_show", "late_cancel"] },
+    amount: Number, // pence
+    currency: String,
+    status: {
+      type: String,
+      enum: ["succeeded", "requires_action", "failed"],
+    },
+    paymentIntentId: String,
+    receiptNumber: String,
+    error: { code: String, message: String, declineCode: String },
+    chargedAt: Date,
+    chargedBy: String,
+  },
+  { _id: false }
+);
+
 const AppointmentSchema = new mongoose.Schema(
   {
     // Link to registered user (optional - null for guest bookings)
@@ -107,8 +296,12 @@ const AppointmentSchema = new mongoose.Schema(
         serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
         serviceName: String, // Service name for display
         variantName: String,
-        price: Number,
-        duration: Number, // in minutes
+        price: Number, // Includes add-ons
+        duration: Number, // in minutes, includes add-ons
+        addOns: {
+          type: [{ name: String, price: Number, duration: Number, _id: false }],
+          default: undefined,
+        },
         _id: false,
       },
     ],
@@ -137,11 +330,22 @@ const AppointmentSchema = new mongoose.Schema(
     cancelReason: String,
     cancelledBy: { type: String, enum: ["customer", "staff", "system"] },
     payment: { type: PaymentSchema, default: undefined },
+    cardOnFile: { type: CardOnFileSchema, default: undefined },
+    feeCharges: { type: [FeeChargeSchema], default: undefined },
+    memberPricing: { type: MemberPricingSchema, default: undefined },
+    promotion: { type: AppliedPromotionSchema, default: undefined },
+    referralCredit: { type: AppliedReferralCreditSchema, default: undefined },
+    giftCardRedemptions: {
+      type: [GiftCardRedemptionSchema],
+      default: undefined,
+    },
     audit: { type: [AuditSchema], default: [] },
     policySnapshot: mongoose.Schema.Types.Mixed,
 
     // Google Calendar integration
     googleCalendarEventId: String, // Store event ID for updates/deletions
+    // iCalendar SEQUENCE; bumped on reschedule so calendars update the event
+    calendarSequence: { type: Number, default: 0 },
 
     // Reminder tracking
     reminder: {
@@ -156,6 +360,36 @@ const AppointmentSchema = new mongoose.Schema(
       ref: "Location",
       index: true,
     },
+
+    // Shared rooms/equipment held for the duration of the appointment
+    resourceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Resource" }],
+
+    // Processing phases (e.g. colour developing) during which the specialist
+    // can take another client; the chair and resources stay booked
+    processingWindows: {
+      type: [{ start: Date, end: Date, _id: false }],
+      default: undefined,
+    },
+
+    // Recurring series this appointment belongs to (if any)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+      default: null,
+    },
+    seriesIndex: Number, // 0-based position within the series
+
+    // Group booking this appointment is one guest of (if any)
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingGroup",
+      default: null,
+    },
+
+    // Set on a cancelled appointment whose slot is offered to the waitlist
+    waitlistOffer: { type: WaitlistOfferSchema, default: undefined },
+    // Set on a booking made from a waitlist claim link
+    waitlistClaim: { type: WaitlistClaimSchema, default: undefined },
   },
   { timestamps: true }
 );
@@ -171,6 +405,13 @@ AppointmentSchema.index({ status: 1, start: 1 }); // Status-based filtering
 AppointmentSchema.index({ userId: 1, start: -1 }); // User's appointments sorted by date
 AppointmentSchema.index({ "client.email": 1 }); // Guest booking lookups
 AppointmentSchema.index({ createdAt: -1 }); // Recent appointments
+AppointmentSchema.index({ tenantId: 1, resourceIds: 1, start: 1 }); // Resource availability checks
+AppointmentSchema.index({ seriesId: 1, start: 1 }); // Series occurrences
+AppointmentSchema.index({ groupId: 1 }); // Group booking guests
+AppointmentSchema.index(
+  { "waitlistOffer.status": 1, "waitlistOffer.expiresAt": 1 },
+  { sparse: true }
+); // Waitlist offer cron scan
 
 // TTL index to automatically delete abandoned unpaid reservations after 3 minutes
 // This prevents reserved_unpaid appointments from blocking slots forever if payment is not completed
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true,
+    },
+    interval: { type: Number, min: 1, default: 1 },
+    count: { type: Number, min: 1 },
+    until: Date,
+  },
+  { _id: false }
+);
+
+const SeriesAuditSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    action: String,
+    by: String,
+    meta: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+/**
+ * A recurring booking ("every 3 weeks for 6 months").
+ * Occurrences are ordinary Appointments linked back via appointment.seriesId.
+ */
+const AppointmentSeriesSchema = new mongoose.Schema(
+  {
+    client: { name: String, email: String, phone: String, notes: String },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    specialistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Specialist",
+      required: true,
+      index: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: true,
+    },
+    variantName: { type: String, required: true },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    recurrence: { type: RecurrenceSchema, required: true },
+    firstStart: { type: Date, required: true },
+    // Timezone the wall-clock time of occurrences is anchored to
+    timezone: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+      index: true,
+    },
+    audit: { type: [SeriesAuditSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+AppointmentSeriesSchema.index({ tenantId: 1, specialistId: 1, status: 1 });
+AppointmentSeriesSchema.index({ tenantId: 1, "client.email": 1 });
+
+AppointmentSeriesSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("AppointmentSeries", AppointmentSeriesSchema);
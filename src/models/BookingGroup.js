@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+const GroupAuditSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    action: String,
+    by: String,
+    meta: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+/**
+ * Several clients booked in parallel at the same start time (bridal parties,
+ * parent and child). Each guest is an ordinary Appointment with
+ * appointment.groupId pointing here; the organiser pays for everyone in a
+ * single Stripe checkout.
+ */
+const BookingGroupSchema = new mongoose.Schema(
+  {
+    organiser: {
+      name: { type: String, required: true },
+      email: { type: String, required: true, lowercase: true, trim: true },
+      phone: String,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    start: { type: Date, required: true },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    appointmentIds: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+    ],
+    status: {
+      type: String,
+      enum: ["reserved_unpaid", "confirmed", "cancelled"],
+      default: "reserved_unpaid",
+      index: true,
+    },
+    payment: {
+      mode: { type: String, enum: ["pay_now", "deposit"] },
+      status: {
+        type: String,
+        enum: ["pending", "succeeded", "expired"],
+        default: "pending",
+      },
+      sessionId: String,
+      paymentIntentId: String,
+      amountTotal: Number, // minor units, including the booking fee
+      platformFee: Number, // minor units, charged once per group
+      // "destination" when every guest pays one connected account,
+      // "transfers" when the payment is split across specialists
+      payoutMode: { type: String, enum: ["destination", "transfers"] },
+      transfers: [
+        {
+          accountId: String,
+          transferId: String,
+          amount: Number,
+          _id: false,
+        },
+      ],
+    },
+    audit: { type: [GroupAuditSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+BookingGroupSchema.index({ "payment.sessionId": 1 });
+
+BookingGroupSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("BookingGroup", BookingGroupSchema);
@@ -9,6 +9,25 @@ const PartialRefundSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Refund for cancellations made at least minHoursBefore the start
+const RefundBandSchema = new mongoose.Schema(
+  {
+    minHoursBefore: { type: Number, required: true, min: 0 },
+    percent: { type: Number, min: 0, max: 100 }, // 0..100
+    fixed: { type: Number, min: 0 }, // pence, when percent is not set
+    label: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const FeeSchema = new mongoose.Schema(
+  {
+    percent: { type: Number, min: 0, max: 100 }, // 0..100 of the appointment price
+    fixed: { type: Number, min: 0 }, // pence
+  },
+  { _id: false }
+);
+
 const PolicySchema = new mongoose.Schema(
   {
     scope: {
@@ -26,6 +45,10 @@ const PolicySchema = new mongoose.Schema(
     freeCancelHours: { type: Number, default: 24 },
     noRefundHours: { type: Number, default: 2 },
     partialRefund: { type: PartialRefundSchema, default: undefined },
+    // When set, replaces freeCancelHours/noRefundHours/partialRefund
+    refundBands: { type: [RefundBandSchema], default: undefined },
+    noShowFee: { type: FeeSchema, default: undefined },
+    lateCancelFee: { type: FeeSchema, default: undefined }, // Charged on request after a late cancellation
     appliesTo: {
       type: String,
       enum: ["auto", "full", "deposit_only"],
@@ -96,6 +96,14 @@ const clientSchema = new mongoose.Schema(
       default: Date.now,
     },
 
+    // iCalendar feed; bumping the version revokes previously issued links
+    calendarFeed: {
+      version: {
+        type: Number,
+        default: 0,
+      },
+    },
+
     // Account Status
     isActive: {
       type: Boolean,
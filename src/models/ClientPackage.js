@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+
+/**
+ * ClientPackage - a package bought by a client: the booking credits it
+ * gave them and the appointments they were used on.
+ */
+const redemptionSchema = new mongoose.Schema(
+  {
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    // used: the session is spent; returned: the booking was cancelled in
+    // time and the credit went back on the package
+    status: {
+      type: String,
+      enum: ["used", "returned"],
+      default: "used",
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    returnedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+const clientPackageSchema = new mongoose.Schema(
+  {
+    // Purchases are made outside any tenant context (like gift cards), so
+    // tenantId is set explicitly
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Package",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+      index: true,
+    },
+
+    // Snapshot of the package at purchase time
+    name: {
+      type: String,
+      required: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: true,
+    },
+    variantName: {
+      type: String,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "GBP",
+    },
+    validityDays: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    sessionsTotal: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    sessionsUsed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    redemptions: {
+      type: [redemptionSchema],
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "active", "cancelled"],
+      default: "pending",
+      index: true,
+    },
+    purchasedAt: {
+      type: Date,
+    },
+    // Set when the purchase is paid for
+    expiresAt: {
+      type: Date,
+      index: true,
+    },
+
+    // Payment Information
+    stripeCheckoutSessionId: {
+      type: String,
+    },
+    stripePaymentIntentId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+clientPackageSchema.index({ clientId: 1, tenantId: 1, status: 1 });
+clientPackageSchema.index({ stripeCheckoutSessionId: 1 });
+
+const ClientPackage = mongoose.model("ClientPackage", clientPackageSchema);
+
+export default ClientPackage;
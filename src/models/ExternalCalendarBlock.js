@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+/**
+ * ExternalCalendarBlock - busy time imported from a specialist's external
+ * calendar (Google). Slot planning treats it like time off. Only the
+ * interval is kept, not the event's title or attendees.
+ */
+const ExternalCalendarBlockSchema = new mongoose.Schema(
+  {
+    specialistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Specialist",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["google"],
+      default: "google",
+    },
+    calendarId: { type: String, default: "primary" },
+    externalEventId: { type: String, required: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    allDay: { type: Boolean, default: false },
+    // Bookings that already overlapped the event when it was imported
+    conflictAppointmentIds: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+    ],
+  },
+  { timestamps: true }
+);
+
+ExternalCalendarBlockSchema.index(
+  { specialistId: 1, source: 1, externalEventId: 1 },
+  { unique: true }
+);
+ExternalCalendarBlockSchema.index({ specialistId: 1, start: 1, end: 1 });
+
+// Apply multi-tenant plugin
+ExternalCalendarBlockSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model(
+  "ExternalCalendarBlock",
+  ExternalCalendarBlockSchema
+);
@@ -1,5 +1,63 @@
 import mongoose from "mongoose";
 import crypto from "crypto";
+import {
+  ADJUSTMENT_REASONS,
+  LEDGER_ENTRY_TYPES,
+  LEDGER_TARGET_KEYS,
+  affectsBalance,
+  getLedgerBalance,
+  getRefundableAmount,
+  roundMoney,
+} from "../utils/giftCardLedger.js";
+
+/**
+ * One balance change or checkout hold (see utils/giftCardLedger.js)
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true,
+  },
+  // Signed change to the balance; for reserve/release, the amount held
+  amount: {
+    type: Number,
+    required: true,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Appointment",
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  seminarBookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SeminarBooking",
+  },
+  // Adjustments only
+  reasonCode: {
+    type: String,
+    enum: ADJUSTMENT_REASONS,
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+  },
+  // Admin email, client id or "system"
+  by: {
+    type: String,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 /**
  * GiftCard Model
@@ -124,12 +182,21 @@ const giftCardSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Balance held for a checkout in progress; exactly one of appointmentId,
+    // orderId or seminarBookingId identifies what it is held for
     pendingRedemptions: [
       {
         appointmentId: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "Appointment",
-          required: true,
+        },
+        orderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        seminarBookingId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "SeminarBooking",
         },
         sessionId: {
           type: String,
@@ -154,6 +221,11 @@ const giftCardSchema = new mongoose.Schema(
       ref: "Appointment",
     },
 
+    // Append-only history of balance changes and holds. The balance is
+    // derived from it; redeemedAmount is kept as a running total for
+    // older readers.
+    ledger: [ledgerEntrySchema],
+
     // Payment tracking
     stripeCheckoutSessionId: {
       type: String,
@@ -176,6 +248,57 @@ const giftCardSchema = new mongoose.Schema(
   },
 );
 
+// Statuses in which the card has been paid for and carries a balance
+const ISSUED_STATUSES = ["sent", "redeemed", "expired"];
+
+function getReservationTarget(params = {}) {
+  const key = LEDGER_TARGET_KEYS.find((k) => params[k]);
+  if (!key) {
+    throw new Error(
+      "Gift card reservation needs an appointment, order or seminar booking",
+    );
+  }
+  return { key, id: String(params[key]) };
+}
+
+function findTarget(params = {}) {
+  const key = LEDGER_TARGET_KEYS.find((k) => params[k]);
+  return key ? { key, id: String(params[key]) } : null;
+}
+
+function isReservationFor(entry, target) {
+  return String(entry?.[target.key]) === target.id;
+}
+
+function sumReservations(pending) {
+  return pending.reduce((sum, entry) => sum + Number(entry.amount || 0), 0);
+}
+
+function appendLedgerEntry(card, { type, amount, target, at, ...details }) {
+  const value = roundMoney(amount);
+  const balance = getLedgerBalance(card.ledger);
+  card.ledger.push({
+    type,
+    amount: value,
+    balanceAfter: affectsBalance(type) ? roundMoney(balance + value) : balance,
+    ...(target ? { [target.key]: target.id } : {}),
+    ...details,
+    at: at || new Date(),
+  });
+}
+
+// Keep status in step with the balance after it changes
+function syncStatusWithBalance(card) {
+  const balance = card.getBalance();
+  if (card.status === "sent" && balance <= 0) {
+    card.status = "redeemed";
+    card.redeemedDate = new Date();
+  } else if (card.status === "redeemed" && balance > 0) {
+    card.status = "sent";
+    card.redeemedDate = undefined;
+  }
+}
+
 // Generate unique gift card code
 giftCardSchema.statics.generateCode = function () {
   // Generate format: GIFT-XXXX-XXXX-XXXX (16 chars)
@@ -190,13 +313,46 @@ giftCardSchema.statics.generateCode = function () {
   return code;
 };
 
+/**
+ * Open the ledger of a paid card that has none yet: the issued value,
+ * plus whatever was redeemed before the ledger existed.
+ */
+giftCardSchema.methods.openLedger = function () {
+  if (this.ledger.length > 0 || !ISSUED_STATUSES.includes(this.status)) {
+    return;
+  }
+
+  appendLedgerEntry(this, {
+    type: "issue",
+    amount: this.amount,
+    by: "system",
+    at: this.sentDate || this.purchaseDate,
+  });
+  if (Number(this.redeemedAmount || 0) > 0) {
+    appendLedgerEntry(this, {
+      type: "redeem",
+      amount: -this.redeemedAmount,
+      note: "Redeemed before the ledger was introduced",
+      by: "system",
+    });
+  }
+};
+
+// Balance from the ledger (before any checkout holds)
+giftCardSchema.methods.getBalance = function (asOf) {
+  if (this.ledger.length === 0) {
+    return ISSUED_STATUSES.includes(this.status)
+      ? roundMoney(Number(this.amount || 0) - Number(this.redeemedAmount || 0))
+      : 0;
+  }
+  return getLedgerBalance(this.ledger, { asOf });
+};
+
 // Check if gift card is valid and can be used
 giftCardSchema.methods.isValid = function () {
   const now = new Date();
   return (
-    this.status === "sent" &&
-    this.expiryDate > now &&
-    this.redeemedAmount < this.amount
+    this.status === "sent" && this.expiryDate > now && this.getBalance() > 0
   );
 };
 
@@ -215,10 +371,8 @@ giftCardSchema.methods.getHeldAmount = function (at = new Date()) {
 };
 
 giftCardSchema.methods.getRemainingBalance = function () {
-  const heldAmount = this.getHeldAmount();
-  const remaining =
-    Number(this.amount || 0) - Number(this.redeemedAmount || 0) - heldAmount;
-  return Math.max(0, Math.round(remaining * 100) / 100);
+  const remaining = this.getBalance() - this.getHeldAmount();
+  return Math.max(0, roundMoney(remaining));
 };
 
 giftCardSchema.methods.cleanupExpiredReservations = function () {
@@ -227,14 +381,24 @@ giftCardSchema.methods.cleanupExpiredReservations = function () {
     ? this.pendingRedemptions
     : [];
 
-  this.pendingRedemptions = pending.filter(
-    (entry) => entry?.expiresAt && new Date(entry.expiresAt) > now,
-  );
+  const active = [];
+  for (const entry of pending) {
+    if (entry?.expiresAt && new Date(entry.expiresAt) > now) {
+      active.push(entry);
+      continue;
+    }
+    this.openLedger();
+    appendLedgerEntry(this, {
+      type: "release",
+      amount: entry.amount,
+      target: findTarget(entry),
+      note: "Hold expired",
+      by: "system",
+    });
+  }
 
-  this.reservedAmount = this.pendingRedemptions.reduce(
-    (sum, entry) => sum + Number(entry.amount || 0),
-    0,
-  );
+  this.pendingRedemptions = active;
+  this.reservedAmount = sumReservations(this.pendingRedemptions);
 };
 
 // Mark as sent
@@ -244,12 +408,13 @@ giftCardSchema.methods.markAsSent = async function () {
   return this.save();
 };
 
-// Redeem gift card
+// Redeem gift card (appointmentId is optional, e.g. for orders)
 giftCardSchema.methods.redeem = async function (
   amount,
   clientId,
   appointmentId,
 ) {
+  this.openLedger();
   this.cleanupExpiredReservations();
 
   if (!this.isValid()) {
@@ -261,43 +426,62 @@ giftCardSchema.methods.redeem = async function (
     throw new Error(`Insufficient balance. Remaining: ${remaining}`);
   }
 
-  this.redeemedAmount += amount;
+  appendLedgerEntry(this, {
+    type: "redeem",
+    amount: -amount,
+    target: appointmentId ? { key: "appointmentId", id: appointmentId } : null,
+    by: clientId ? String(clientId) : undefined,
+  });
+  this.redeemedAmount = roundMoney(this.redeemedAmount + amount);
   this.redeemedBy = clientId;
-  this.appointmentId = appointmentId;
-
-  if (this.redeemedAmount >= this.amount) {
-    this.status = "redeemed";
-    this.redeemedDate = new Date();
+  if (appointmentId) {
+    this.appointmentId = appointmentId;
   }
 
+  syncStatusWithBalance(this);
   return this.save();
 };
 
-giftCardSchema.methods.reserveForAppointment = async function ({
-  appointmentId,
+/**
+ * Hold balance for a checkout. Pass appointmentId, orderId or
+ * seminarBookingId; reserving again for the same target replaces the hold.
+ */
+giftCardSchema.methods.reserve = async function ({
   amount,
   sessionId,
   holdMinutes = 30,
+  ...targetParams
 }) {
+  const target = getReservationTarget(targetParams);
+  this.openLedger();
   this.cleanupExpiredReservations();
 
-  const requested = Math.round((Number(amount) || 0) * 100) / 100;
+  const requested = roundMoney(amount);
   if (!Number.isFinite(requested) || requested <= 0) {
     throw new Error("Invalid reservation amount");
   }
 
-  const remaining = this.getRemainingBalance();
+  const pending = this.pendingRedemptions.find((entry) =>
+    isReservationFor(entry, target),
+  );
+
+  // The hold being replaced doesn't count against the new one
+  const remaining = roundMoney(
+    this.getRemainingBalance() + Number(pending?.amount || 0),
+  );
   if (requested > remaining) {
     throw new Error(`Insufficient balance. Remaining: ${remaining}`);
   }
 
-  const pending = this.pendingRedemptions.find(
-    (entry) => String(entry.appointmentId) === String(appointmentId),
-  );
-
   const expiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
 
   if (pending) {
+    appendLedgerEntry(this, {
+      type: "release",
+      amount: pending.amount,
+      target,
+      note: "Replaced by a new hold",
+    });
     pending.amount = requested;
     pending.expiresAt = expiresAt;
     if (sessionId) {
@@ -305,82 +489,221 @@ giftCardSchema.methods.reserveForAppointment = async function ({
     }
   } else {
     this.pendingRedemptions.push({
-      appointmentId,
+      [target.key]: target.id,
       amount: requested,
       sessionId,
       expiresAt,
     });
   }
+  appendLedgerEntry(this, { type: "reserve", amount: requested, target });
 
-  this.reservedAmount = this.pendingRedemptions.reduce(
-    (sum, entry) => sum + Number(entry.amount || 0),
-    0,
-  );
+  this.reservedAmount = sumReservations(this.pendingRedemptions);
 
   return this.save();
 };
 
-giftCardSchema.methods.releaseReservation = async function ({ appointmentId }) {
+giftCardSchema.methods.reserveForAppointment = function ({
+  appointmentId,
+  ...options
+}) {
+  return this.reserve({ appointmentId, ...options });
+};
+
+giftCardSchema.methods.releaseReservation = async function (targetParams) {
+  const target = getReservationTarget(targetParams);
+  this.openLedger();
   this.cleanupExpiredReservations();
 
-  this.pendingRedemptions = this.pendingRedemptions.filter(
-    (entry) => String(entry.appointmentId) !== String(appointmentId),
+  const released = this.pendingRedemptions.filter((entry) =>
+    isReservationFor(entry, target),
   );
+  for (const entry of released) {
+    appendLedgerEntry(this, { type: "release", amount: entry.amount, target });
+  }
 
-  this.reservedAmount = this.pendingRedemptions.reduce(
-    (sum, entry) => sum + Number(entry.amount || 0),
-    0,
+  this.pendingRedemptions = this.pendingRedemptions.filter(
+    (entry) => !isReservationFor(entry, target),
   );
+  this.reservedAmount = sumReservations(this.pendingRedemptions);
 
   return this.save();
 };
 
 giftCardSchema.methods.consumeReservation = async function ({
-  appointmentId,
   amount,
   clientId,
+  ...targetParams
 }) {
+  const target = getReservationTarget(targetParams);
+  this.openLedger();
   this.cleanupExpiredReservations();
 
-  const requested = Math.round((Number(amount) || 0) * 100) / 100;
+  const requested = roundMoney(amount);
   if (!Number.isFinite(requested) || requested <= 0) {
     throw new Error("Invalid redemption amount");
   }
 
-  const reservation = this.pendingRedemptions.find(
-    (entry) => String(entry.appointmentId) === String(appointmentId),
+  const reservation = this.pendingRedemptions.find((entry) =>
+    isReservationFor(entry, target),
   );
 
   if (!reservation) {
     throw new Error("No active gift card reservation found");
   }
 
-  const reservedAmount =
-    Math.round((Number(reservation.amount) || 0) * 100) / 100;
+  const reservedAmount = roundMoney(reservation.amount);
   if (Math.abs(reservedAmount - requested) > 0.009) {
     throw new Error("Reserved amount does not match redemption amount");
   }
 
   this.pendingRedemptions = this.pendingRedemptions.filter(
-    (entry) => String(entry.appointmentId) !== String(appointmentId),
+    (entry) => !isReservationFor(entry, target),
   );
-  this.reservedAmount = this.pendingRedemptions.reduce(
-    (sum, entry) => sum + Number(entry.amount || 0),
-    0,
+  this.reservedAmount = sumReservations(this.pendingRedemptions);
+
+  appendLedgerEntry(this, {
+    type: "redeem",
+    amount: -requested,
+    target,
+    by: clientId ? String(clientId) : undefined,
+  });
+  this.redeemedAmount = roundMoney(this.redeemedAmount + requested);
+  this.redeemedBy = clientId;
+  if (target.key === "appointmentId") {
+    this.appointmentId = target.id;
+  }
+
+  syncStatusWithBalance(this);
+  return this.save();
+};
+
+/**
+ * Put money back on the card after a redeemed booking or order is
+ * refunded. Capped at what was redeemed for that target and not yet
+ * refunded; returns the amount actually refunded.
+ */
+giftCardSchema.methods.refund = async function ({
+  amount,
+  by,
+  note,
+  ...targetParams
+}) {
+  const target = getReservationTarget(targetParams);
+  this.openLedger();
+
+  const requested = roundMoney(amount);
+  if (!Number.isFinite(requested) || requested <= 0) {
+    throw new Error("Invalid refund amount");
+  }
+
+  const refundable = getRefundableAmount(this.ledger, target);
+  const refunded = Math.min(requested, refundable);
+  if (refunded <= 0) return 0;
+
+  appendLedgerEntry(this, {
+    type: "refund",
+    amount: refunded,
+    target,
+    by,
+    note,
+  });
+  this.redeemedAmount = roundMoney(
+    Math.max(0, Number(this.redeemedAmount || 0) - refunded),
   );
 
-  this.redeemedAmount += requested;
-  this.redeemedBy = clientId;
-  this.appointmentId = appointmentId;
+  // Credit returned to a card that has already expired is written off again
+  if (this.status === "expired") {
+    appendLedgerEntry(this, {
+      type: "expire",
+      amount: -refunded,
+      target,
+      by,
+      note: "Refund to expired card",
+    });
+  } else {
+    syncStatusWithBalance(this);
+  }
+  await this.save();
+  return refunded;
+};
+
+/**
+ * Manual balance correction by staff. amount is signed; the balance can't
+ * drop below what is held for checkouts in progress.
+ */
+giftCardSchema.methods.adjust = async function ({
+  amount,
+  reasonCode,
+  note,
+  by,
+}) {
+  if (!ISSUED_STATUSES.includes(this.status) || this.status === "expired") {
+    throw new Error("Only active gift cards can be adjusted");
+  }
+  if (!ADJUSTMENT_REASONS.includes(reasonCode)) {
+    throw new Error("Invalid adjustment reason");
+  }
+
+  const value = roundMoney(amount);
+  if (!Number.isFinite(value) || value === 0) {
+    throw new Error("Invalid adjustment amount");
+  }
+
+  this.openLedger();
+  this.cleanupExpiredReservations();
 
-  if (this.redeemedAmount >= this.amount) {
-    this.status = "redeemed";
-    this.redeemedDate = new Date();
+  const newBalance = roundMoney(this.getBalance() + value);
+  if (newBalance < roundMoney(this.getHeldAmount())) {
+    throw new Error(
+      `Adjustment exceeds available balance. Available: ${this.getRemainingBalance()}`,
+    );
   }
 
+  appendLedgerEntry(this, {
+    type: "adjust",
+    amount: value,
+    reasonCode,
+    note,
+    by,
+  });
+
+  syncStatusWithBalance(this);
+  return this.save();
+};
+
+/**
+ * Write off the remaining balance of a card past its expiry date
+ */
+giftCardSchema.methods.expire = async function ({ by = "system" } = {}) {
+  this.openLedger();
+
+  for (const entry of this.pendingRedemptions) {
+    appendLedgerEntry(this, {
+      type: "release",
+      amount: entry.amount,
+      target: findTarget(entry),
+      note: "Card expired",
+      by,
+    });
+  }
+  this.pendingRedemptions = [];
+  this.reservedAmount = 0;
+
+  const balance = this.getBalance();
+  if (balance > 0) {
+    appendLedgerEntry(this, { type: "expire", amount: -balance, by });
+  }
+
+  this.status = "expired";
   return this.save();
 };
 
+// Paid cards always have their opening ledger entries
+giftCardSchema.pre("save", function (next) {
+  this.openLedger();
+  next();
+});
+
 // Indexes
 giftCardSchema.index({ tenantId: 1, status: 1 });
 giftCardSchema.index({ purchaserEmail: 1, purchaseDate: -1 });
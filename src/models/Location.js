@@ -87,9 +87,36 @@ const LocationSchema = new mongoose.Schema(
         type: [String],
         default: [],
       },
+      // Unset = inherit the tenant timezone
       timezone: {
         type: String,
-        default: "Europe/London",
+      },
+      // Unset = inherit tenant.schedulingSettings.slotStepMinutes
+      slotStepMinutes: {
+        type: Number,
+        min: 5,
+        max: 240,
+      },
+      // Click-and-collect for shop orders (offered as a shipping option)
+      collection: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        fee: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Shown with the option, e.g. "Ready within 2 working days"
+        readyIn: {
+          type: String,
+          default: "",
+        },
+        instructions: {
+          type: String,
+          default: "",
+        },
       },
     },
 
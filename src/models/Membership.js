@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+/**
+ * Membership - a client's subscription to a MembershipPlan. Status mirrors
+ * the Stripe subscription on the business's connected account and is kept
+ * in sync by the subscription and invoice webhooks.
+ */
+const membershipSchema = new mongoose.Schema(
+  {
+    // Clients subscribe outside any tenant context (like packages), so
+    // tenantId is set explicitly
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MembershipPlan",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+      index: true,
+    },
+
+    // Snapshot of the plan at sign-up: members keep the terms they joined on
+    planName: {
+      type: String,
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "GBP",
+    },
+    discountPercent: {
+      type: Number,
+      default: 0,
+    },
+    discountServiceIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+      },
+    ],
+    includedServices: {
+      type: [
+        {
+          serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+          variantName: { type: String, default: null },
+          sessionsPerPeriod: Number,
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+
+    // Stripe subscription status. incomplete until the first payment;
+    // past_due/unpaid while Stripe retries a failed renewal
+    status: {
+      type: String,
+      enum: [
+        "incomplete",
+        "incomplete_expired",
+        "trialing",
+        "active",
+        "past_due",
+        "unpaid",
+        "canceled",
+        "paused",
+      ],
+      default: "incomplete",
+      index: true,
+    },
+    currentPeriodStart: {
+      type: Date,
+    },
+    currentPeriodEnd: {
+      type: Date,
+    },
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false,
+    },
+    canceledAt: {
+      type: Date,
+    },
+
+    // Failed renewal payments (dunning)
+    failedPaymentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastPaymentFailedAt: {
+      type: Date,
+    },
+    nextPaymentAttempt: {
+      type: Date,
+    },
+    lastPaymentAt: {
+      type: Date,
+    },
+
+    // Stripe (all objects live on the connected account)
+    stripeAccountId: {
+      type: String,
+      required: true,
+    },
+    stripeCheckoutSessionId: {
+      type: String,
+    },
+    stripeSubscriptionId: {
+      type: String,
+    },
+    stripeCustomerId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+membershipSchema.index({ clientId: 1, tenantId: 1, status: 1 });
+membershipSchema.index({ tenantId: 1, status: 1 });
+membershipSchema.index({ stripeSubscriptionId: 1 }, { sparse: true });
+membershipSchema.index({ stripeCheckoutSessionId: 1 });
+
+const Membership = mongoose.model("Membership", membershipSchema);
+
+export default Membership;
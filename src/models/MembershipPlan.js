@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+/**
+ * MembershipPlan - a monthly membership a business sells to its clients,
+ * billed through Stripe on the business's connected account. Members get
+ * discountPercent off the covered services and a number of bookings of
+ * the included services free each billing period (see Membership).
+ */
+const includedServiceSchema = new mongoose.Schema(
+  {
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: true,
+    },
+    // Only this variant is included (unset = any variant of the service)
+    variantName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    sessionsPerPeriod: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const MembershipPlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Monthly price, in major units (pounds)
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "GBP",
+    },
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    // Services the discount applies to (empty = every service)
+    discountServiceIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+      },
+    ],
+    includedServices: {
+      type: [includedServiceSchema],
+      default: [],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+MembershipPlanSchema.index({ tenantId: 1, active: 1 });
+
+// Apply multi-tenant plugin
+MembershipPlanSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("MembershipPlan", MembershipPlanSchema);
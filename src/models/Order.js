@@ -46,10 +46,52 @@ const OrderItemSchema = new Schema(
       ref: "Specialist",
       default: null, // null means platform-owned
     },
+    // Units refunded so far (see services/orderRefundService.js)
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   { _id: false }
 );
 
+// One refund on an order (amounts in pounds)
+const OrderRefundSchema = new Schema(
+  {
+    amount: { type: Number, required: true, min: 0 },
+    cardAmount: { type: Number, default: 0, min: 0 },
+    giftCardAmount: { type: Number, default: 0, min: 0 },
+    shipping: { type: Number, default: 0, min: 0 },
+    items: [
+      {
+        _id: false,
+        itemIndex: Number,
+        title: String,
+        quantity: Number,
+        amount: Number,
+      },
+    ],
+    // Connected-account money taken back, per specialist; error means
+    // the reversal failed and the amount is still to take back
+    transferReversals: [
+      {
+        _id: false,
+        specialistId: { type: Schema.Types.ObjectId, ref: "Specialist" },
+        amount: Number,
+        transferReversalId: String,
+        error: String,
+      },
+    ],
+    restocked: { type: Boolean, default: false },
+    reason: { type: String, default: "" },
+    stripeRefundId: String,
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
 const ShippingAddressSchema = new Schema(
   {
     firstName: {
@@ -135,11 +177,34 @@ const OrderSchema = new Schema(
       default: "12 Blackfriars Rd, PE13 1AT",
       // Default collection address
     },
+    // Location the order is collected from (click-and-collect)
+    collectionLocationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    // Shipping option chosen at checkout, as quoted by the rate engine
+    shippingMethod: {
+      id: { type: String, default: "" },
+      type: {
+        type: String,
+        enum: ["delivery", "collection"],
+        default: "delivery",
+      },
+      name: { type: String, default: "" },
+      estimatedDays: { type: String, default: "" },
+    },
     subtotal: {
       type: Number,
       required: true,
       min: 0,
     },
+    // Promo code discount off the subtotal
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     shipping: {
       type: Number,
       default: 0,
@@ -163,7 +228,7 @@ const OrderSchema = new Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ["card", "paypal", "cash"],
+      enum: ["card", "paypal", "cash", "gift_card"],
       default: "card",
     },
     paymentStatus: {
@@ -204,6 +269,61 @@ const OrderSchema = new Schema(
       declineCode: String, // e.g., 'generic_decline', 'insufficient_funds'
       type: String, // e.g., 'card_error', 'validation_error'
     },
+    // Promo code applied at checkout (see services/promotionService.js)
+    promotion: {
+      type: new Schema(
+        {
+          promotionId: { type: Schema.Types.ObjectId, ref: "Promotion" },
+          code: String,
+          name: String,
+          discount: Number,
+          // The promotion use this order holds, and the client it counts for
+          usage: { type: String, enum: ["held", "released"] },
+          clientEmail: String,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    // Gift card balance applied at checkout (amounts in pounds)
+    giftCard: {
+      type: new Schema(
+        {
+          id: { type: Schema.Types.ObjectId, ref: "GiftCard" },
+          code: String,
+          appliedAmount: Number,
+          remainingBeforeApply: Number,
+          redemptionStatus: {
+            type: String,
+            enum: ["pending", "redeeming", "redeemed", "failed"],
+            default: "pending",
+          },
+          redeemedAt: Date,
+          refundedAmount: Number,
+          error: String,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    // Stock held for this order (see services/inventoryService.js).
+    // Orders from before reservations have none.
+    inventory: {
+      type: new Schema(
+        {
+          status: {
+            type: String,
+            enum: ["reserved", "committed", "released", "restocked"],
+          },
+          reservedAt: Date,
+          committedAt: Date,
+          releasedAt: Date,
+          restockedAt: Date,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
     // Stripe Connect payment tracking
     stripeConnectPayments: [
       {
@@ -217,6 +337,7 @@ const OrderSchema = new Schema(
           enum: ["pending", "succeeded", "failed", "refunded"],
           default: "pending",
         },
+        refundedAmount: { type: Number, default: 0 },
       },
     ],
     refundStatus: {
@@ -224,6 +345,19 @@ const OrderSchema = new Schema(
       enum: ["none", "partial", "full"],
       default: "none",
     },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    shippingRefunded: {
+      type: Boolean,
+      default: false,
+    },
+    refunds: {
+      type: [OrderRefundSchema],
+      default: [],
+    },
     refundedAt: Date,
     refundReason: String,
     notes: {
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+/**
+ * Package - a prepaid bundle of sessions of one service, e.g. "6 laser
+ * sessions for the price of 5". Clients buy it through Stripe and get
+ * sessionCount booking credits (see ClientPackage).
+ */
+const PackageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: true,
+      index: true,
+    },
+    // Credits only cover this variant (unset = any variant of the service)
+    variantName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    sessionCount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Price of the whole bundle, in major units (pounds)
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "GBP",
+    },
+    // Credits expire this many days after purchase
+    validityDays: {
+      type: Number,
+      default: 365,
+      min: 1,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+PackageSchema.index({ tenantId: 1, active: 1, serviceId: 1 });
+
+// Apply multi-tenant plugin
+PackageSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("Package", PackageSchema);
@@ -204,6 +204,7 @@ const paymentSchema = new mongoose.Schema(
           name: String,
           price: Number,
           quantity: { type: Number, default: 1 },
+          addOn: { type: Boolean, default: false }, // Add-on of the line above
         },
       ],
 
@@ -49,11 +49,27 @@ const VariantSchema = new Schema(
       min: 0,
       // Cost price for margin/profit calculations
     },
+    // Available to sell; units held by open checkouts are in reserved
     stock: {
       type: Number,
       default: 0,
       min: 0,
     },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Overrides the product's lowStockThreshold for this size
+    lowStockThreshold: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    lowStockAlertedAt: {
+      type: Date,
+      default: null,
+    },
     sku: {
       type: String,
       default: "",
@@ -152,6 +168,21 @@ const ProductSchema = new Schema(
       type: Number,
       default: 0,
     },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lowStockAlertedAt: {
+      type: Date,
+      default: null,
+    },
+    // Email the specialist once stock falls to this (see inventoryService)
+    lowStockThreshold: {
+      type: Number,
+      default: 3,
+      min: 0,
+    },
     image: {
       type: ImageSchema,
       default: null,
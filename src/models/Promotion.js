@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+/**
+ * Promotion - a promo code clients enter at booking or shop checkout.
+ * Takes a percentage or a fixed amount off the lines it's scoped to; see
+ * services/promotionService.js for how it's applied and counted.
+ */
+const PromotionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+    // Percent off (0-100), or a fixed amount in major units (pounds)
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    appliesTo: {
+      type: String,
+      enum: ["all", "bookings", "products"],
+      default: "all",
+    },
+
+    // Scope (all empty = everything appliesTo allows). A line qualifies if
+    // it matches any of the services, categories or products, and was
+    // booked with / sold by one of the specialists
+    serviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Service" }],
+    productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: String, trim: true }],
+    specialistIds: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Specialist" },
+    ],
+
+    // Booking price or order subtotal needed, in pounds
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    // Usage limits (null = unlimited)
+    maxRedemptions: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    maxRedemptionsPerClient: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Uses held or made, overall and per client email. Checkout reserves a
+    // use with a conditional $inc against the limits above; an expired or
+    // cancelled checkout gives it back.
+    redemptions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    clientRedemptions: {
+      type: [
+        new mongoose.Schema(
+          {
+            email: { type: String, lowercase: true, trim: true },
+            count: { type: Number, default: 0, min: 0 },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    // Only for clients who've never had a booking (or paid order) here
+    firstVisitOnly: {
+      type: Boolean,
+      default: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+PromotionSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+
+// Apply multi-tenant plugin
+PromotionSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("Promotion", PromotionSchema);
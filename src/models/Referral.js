@@ -1,10 +1,17 @@
 /**
  * Referral Model
- * Tracks individual referrals made using referral codes
+ * Tracks individual referrals made using referral codes: a business
+ * referred to the platform, or a client referred to a business by
+ * another client (see services/referralRewardService.js)
  */
 
 import mongoose from "mongoose";
 
+// Business fields are only required for business referrals
+function isBusinessReferral() {
+  return !this.referredClientId;
+}
+
 const referralSchema = new mongoose.Schema(
   {
     referralCodeId: {
@@ -15,17 +22,34 @@ const referralSchema = new mongoose.Schema(
     referredBusinessId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Tenant",
-      required: true,
+      required: isBusinessReferral,
     },
     referredBusinessName: {
       type: String,
-      required: true,
+      required: isBusinessReferral,
     },
     referredBusinessEmail: {
       type: String,
-      required: true,
+      required: isBusinessReferral,
       lowercase: true,
     },
+    // Client referrals: the friend referred, and the business they booked
+    referredClientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+    },
+    referredClientName: {
+      type: String,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+    },
+    // Completed appointment that earned the reward
+    qualifyingAppointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
     status: {
       type: String,
       enum: ["pending", "active", "churned"],
@@ -40,9 +64,21 @@ const referralSchema = new mongoose.Schema(
     },
     rewardStatus: {
       type: String,
-      enum: ["pending", "paid", "cancelled"],
+      enum: ["pending", "paid", "cancelled", "rejected"],
       default: "pending",
     },
+    rewardedAt: {
+      type: Date,
+    },
+    // Why a client referral wasn't rewarded (shared email, phone or card)
+    rejectionReason: {
+      type: String,
+    },
+    // Card the referred client paid with, to spot one card behind many
+    // referrals
+    cardFingerprint: {
+      type: String,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -56,6 +92,14 @@ const referralSchema = new mongoose.Schema(
 // Add indexes
 referralSchema.index({ referralCodeId: 1 });
 referralSchema.index({ referredBusinessId: 1 });
+// A client can only be referred to a business once
+referralSchema.index(
+  { tenantId: 1, referredClientId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { referredClientId: { $exists: true } },
+  },
+);
 referralSchema.index({ referredBusinessEmail: 1 });
 referralSchema.index({ status: 1 });
 referralSchema.index({ createdAt: 1 });
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+/**
+ * Resource - a bookable room or piece of equipment shared by specialists.
+ * capacity > 1 models a pool of identical units (e.g. two laser machines).
+ */
+const ResourceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["room", "equipment"],
+      required: true,
+      default: "room",
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Location the resource physically belongs to (unset = all locations)
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      index: true,
+      default: null,
+    },
+    // Number of identical units that can be in use at the same time
+    capacity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ResourceSchema.index({ tenantId: 1, locationId: 1, active: 1 });
+
+// Apply multi-tenant plugin
+ResourceSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("Resource", ResourceSchema);
@@ -1,5 +1,128 @@
 import mongoose from "mongoose";
 
+// A seat kept for one booking until it's paid for or the hold expires
+const seatHoldSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the seat was offered to someone on the waitlist
+    waitlistEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SeminarWaitlistEntry",
+      default: null,
+    },
+    // Ticket tier the seat is held for, counted against its capacity
+    tierKey: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// A ticket option (e.g. "Standard", "With kit") with its own price and
+// seats per session. Referenced by key so it survives seminar updates.
+const ticketTierSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    // Price per session booked
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Applies until pricing.earlyBirdDeadline
+    earlyBirdPrice: {
+      type: Number,
+      min: 0,
+    },
+    // Seats per session; unset means any free seat
+    capacity: {
+      type: Number,
+      min: 1,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+// Sessions sold together, e.g. the three days of a course. Its sessions
+// are the ones with its key as their bundleKey.
+const bundleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    // Otherwise its sessions can only be booked as the bundle
+    allowSingleSessions: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// Discount for booking several attendees in one checkout
+const groupDiscountSchema = new mongoose.Schema(
+  {
+    minAttendees: {
+      type: Number,
+      required: true,
+      min: 2,
+    },
+    percentOff: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
 const sessionSchema = new mongoose.Schema({
   sessionId: {
     type: String,
@@ -28,11 +151,37 @@ const sessionSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  // Seats held for checkouts in progress and waitlist offers; always
+  // seatHolds.length, kept as a counter so seats can be taken atomically
+  heldSeats: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  seatHolds: [seatHoldSchema],
+  // Confirmed attendees per ticket tier key
+  tierAttendees: {
+    type: Map,
+    of: Number,
+    default: () => ({}),
+  },
+  bundleKey: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
   status: {
     type: String,
     enum: ["scheduled", "full", "cancelled", "completed"],
     default: "scheduled",
   },
+  // Set when the organiser cancels the session
+  cancelledAt: {
+    type: Date,
+  },
+  cancellationReason: {
+    type: String,
+  },
 });
 
 const seminarSchema = new mongoose.Schema(
@@ -119,6 +268,10 @@ const seminarSchema = new mongoose.Schema(
         type: Date,
       },
     },
+    // With no tiers, every seat is sold at pricing.price
+    ticketTiers: [ticketTierSchema],
+    bundles: [bundleSchema],
+    groupDiscounts: [groupDiscountSchema],
     location: {
       type: {
         type: String,
@@ -197,7 +350,8 @@ seminarSchema.methods.isSessionBookable = function (sessionId) {
   return (
     this.status === "published" &&
     session.status === "scheduled" &&
-    session.currentAttendees < session.maxAttendees &&
+    session.currentAttendees + (session.heldSeats || 0) <
+      session.maxAttendees &&
     new Date(session.date) > new Date()
   );
 };
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 
 const seminarBookingSchema = new mongoose.Schema(
@@ -30,6 +31,26 @@ const seminarBookingSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Ticket tier booked; unset for seminars sold without tiers
+    ticketTier: {
+      key: {
+        type: String,
+      },
+      name: {
+        type: String,
+      },
+    },
+    // Set when booked as part of a bundle (e.g. every day of a course)
+    bundleKey: {
+      type: String,
+    },
+    // Checkout this booking was bought in, with the other attendees and
+    // sessions bought alongside it
+    seminarOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SeminarOrder",
+      index: true,
+    },
     attendeeInfo: {
       name: {
         type: String,
@@ -82,6 +103,33 @@ const seminarBookingSchema = new mongoose.Schema(
       refundedAt: {
         type: Date,
       },
+      // Gift card applied at checkout; amount above is what Stripe charged
+      giftCard: {
+        id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "GiftCard",
+        },
+        code: {
+          type: String,
+        },
+        appliedAmount: {
+          type: Number,
+          min: 0,
+        },
+        redemptionStatus: {
+          type: String,
+          enum: ["pending", "redeeming", "redeemed", "failed"],
+        },
+        redeemedAt: {
+          type: Date,
+        },
+        refundedAmount: {
+          type: Number,
+        },
+        error: {
+          type: String,
+        },
+      },
     },
     status: {
       type: String,
@@ -104,6 +152,101 @@ const seminarBookingSchema = new mongoose.Schema(
     cancelledAt: {
       type: Date,
     },
+    // Attendance: the code is what the attendee's QR ticket encodes
+    checkIn: {
+      code: {
+        type: String,
+        default: () => crypto.randomBytes(12).toString("base64url"),
+      },
+      checkedInAt: {
+        type: Date,
+      },
+      checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+      },
+      method: {
+        type: String,
+        enum: ["qr", "manual"],
+      },
+    },
+    // Set when the organiser cancels or reschedules the booked session:
+    // what the attendee was offered and what became of it. Pending
+    // changes lapse at expiresAt: a cancellation is refunded, a new date
+    // is kept.
+    organiserChange: {
+      action: {
+        type: String,
+        enum: ["cancelled", "rescheduled"],
+      },
+      reason: {
+        type: String,
+      },
+      requestedAt: {
+        type: Date,
+      },
+      // Sessions a cancelled booking can move to instead of a refund
+      transferSessionIds: [String],
+      // The session's date and times before it was rescheduled
+      previous: {
+        date: {
+          type: Date,
+        },
+        startTime: {
+          type: String,
+        },
+        endTime: {
+          type: String,
+        },
+      },
+      expiresAt: {
+        type: Date,
+      },
+      status: {
+        type: String,
+        enum: [
+          "pending",
+          "refunding",
+          "refunded",
+          "refund_failed",
+          "transferred",
+          "kept",
+        ],
+      },
+      // When the refund was last claimed, and the Stripe idempotency key
+      // it uses (kept when an interrupted refund is retried)
+      refundingAt: {
+        type: Date,
+      },
+      refundKey: {
+        type: String,
+      },
+      resolvedAt: {
+        type: Date,
+      },
+      transferredFrom: {
+        type: String,
+      },
+      error: {
+        type: String,
+      },
+    },
+    // Certificate of completion, issued to attendees when the session is
+    // marked completed
+    certificate: {
+      number: {
+        type: String,
+      },
+      issuedAt: {
+        type: Date,
+      },
+      emailedAt: {
+        type: Date,
+      },
+      error: {
+        type: String,
+      },
+    },
   },
   {
     timestamps: true,
@@ -116,6 +259,18 @@ seminarBookingSchema.index({ clientId: 1, status: 1 });
 seminarBookingSchema.index({ specialistId: 1, status: 1 });
 seminarBookingSchema.index({ "payment.status": 1 });
 seminarBookingSchema.index({ createdAt: -1 });
+seminarBookingSchema.index(
+  { "checkIn.code": 1 },
+  { unique: true, sparse: true }
+);
+seminarBookingSchema.index(
+  { "certificate.number": 1 },
+  { unique: true, sparse: true }
+);
+seminarBookingSchema.index({
+  "organiserChange.status": 1,
+  "organiserChange.expiresAt": 1,
+});
 
 // Generate booking reference before saving
 seminarBookingSchema.pre("save", async function (next) {
@@ -143,7 +298,12 @@ seminarBookingSchema.virtual("isCancellable").get(function () {
 });
 
 // Method to check if refund is applicable
-seminarBookingSchema.methods.calculateRefund = function (sessionDate) {
+// amount defaults to the card payment; pass the gift card share to apply
+// the same policy to it
+seminarBookingSchema.methods.calculateRefund = function (
+  sessionDate,
+  amount = this.payment.amount
+) {
   if (this.payment.status !== "paid") return 0;
 
   const now = new Date();
@@ -155,9 +315,9 @@ seminarBookingSchema.methods.calculateRefund = function (sessionDate) {
   // - 24-48 hours: 50% refund
   // - Less than 24 hours: No refund
   if (hoursUntilSession > 48) {
-    return this.payment.amount;
+    return amount;
   } else if (hoursUntilSession > 24) {
-    return this.payment.amount * 0.5;
+    return amount * 0.5;
   }
   return 0;
 };
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+
+const attendeeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    phone: {
+      type: String,
+    },
+    specialRequests: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// One booking to create on payment: an attendee on a session
+const orderBookingSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    attendeeIndex: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * A seminar checkout: the attendees, sessions and ticket tier paid for in
+ * one Stripe session. The bookings' _ids are fixed at checkout so their
+ * seats can be held; the bookings themselves are created when it's paid.
+ */
+const seminarOrderSchema = new mongoose.Schema(
+  {
+    seminarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seminar",
+      required: true,
+      index: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    specialistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Specialist",
+      required: true,
+    },
+    ticketTier: {
+      key: {
+        type: String,
+      },
+      name: {
+        type: String,
+      },
+    },
+    bundleKey: {
+      type: String,
+    },
+    attendees: [attendeeSchema],
+    // The first booking is the lead one; a gift card is redeemed on it
+    bookings: [orderBookingSchema],
+    pricing: {
+      unitPrice: {
+        type: Number,
+        min: 0,
+      },
+      seats: {
+        type: Number,
+        min: 1,
+      },
+      subtotal: {
+        type: Number,
+        min: 0,
+      },
+      bundleDiscount: {
+        percent: Number,
+        amount: Number,
+      },
+      groupDiscount: {
+        percent: Number,
+        amount: Number,
+      },
+      bookingFee: {
+        type: Number,
+        min: 0,
+      },
+      total: {
+        type: Number,
+        min: 0,
+      },
+      currency: {
+        type: String,
+        default: "GBP",
+      },
+    },
+    stripeSessionId: {
+      type: String,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "expired"],
+      default: "pending",
+    },
+    confirmedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SeminarOrder = mongoose.model("SeminarOrder", seminarOrderSchema);
+
+export default SeminarOrder;
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+/**
+ * A refund given on a seminar booking because the organiser cancelled or
+ * rescheduled its session, or on a seat a paid order couldn't book. One
+ * record per attempt, failed ones included, so the organiser can see every
+ * refund issued for a seminar.
+ */
+const seminarRefundSchema = new mongoose.Schema(
+  {
+    seminarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seminar",
+      required: true,
+    },
+    // Session _id, as stored on SeminarBooking.sessionId
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    // For an unbooked seat, the _id its booking would have had
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SeminarBooking",
+      required: true,
+      index: true,
+    },
+    seminarOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SeminarOrder",
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    bookingReference: {
+      type: String,
+    },
+    attendeeEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // The organiser change that led to the refund, or a seat the order
+    // paid for that was gone by the time it was confirmed
+    cause: {
+      type: String,
+      enum: ["session_cancelled", "session_rescheduled", "seat_unavailable"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    cardAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    giftCardAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "GBP",
+    },
+    stripeRefundId: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+    reason: {
+      type: String,
+    },
+    // Admin email or id, "attendee", or "system" for lapsed decisions
+    initiatedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+seminarRefundSchema.index({ seminarId: 1, sessionId: 1, createdAt: -1 });
+
+const SeminarRefund = mongoose.model("SeminarRefund", seminarRefundSchema);
+
+export default SeminarRefund;
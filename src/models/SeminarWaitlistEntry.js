@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+/**
+ * Someone waiting for a seat on a full seminar session. Freed seats are
+ * offered in join order: the seat is held for the entry until the offer
+ * expires, and the offer email carries a claim link to pay for it.
+ */
+const seminarWaitlistEntrySchema = new mongoose.Schema(
+  {
+    seminarId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seminar",
+      required: true,
+    },
+    // Session _id, as stored on SeminarBooking.sessionId
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+      index: true,
+    },
+    attendeeInfo: {
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "removed"],
+      default: "waiting",
+    },
+    // Current offer; bookingId is the seat hold's (and booking's) _id
+    offer: {
+      bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      sentAt: {
+        type: Date,
+      },
+      expiresAt: {
+        type: Date,
+      },
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SeminarBooking",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+seminarWaitlistEntrySchema.index({
+  seminarId: 1,
+  sessionId: 1,
+  status: 1,
+  createdAt: 1,
+});
+seminarWaitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+
+const SeminarWaitlistEntry = mongoose.model(
+  "SeminarWaitlistEntry",
+  seminarWaitlistEntrySchema
+);
+
+export default SeminarWaitlistEntry;
@@ -1,6 +1,17 @@
 ﻿import mongoose from "mongoose";
 import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
 
+// A stretch of the service: "active" needs the specialist, "processing"
+// (e.g. colour developing) leaves them free for another client while the
+// chair stays occupied
+const PhaseSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["active", "processing"], required: true },
+    durationMin: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
 const VariantSchema = new mongoose.Schema(
   {
     name: String,
@@ -9,6 +20,18 @@ const VariantSchema = new mongoose.Schema(
     promoPrice: Number, // Promotional price (optional) - if set, variant is on special offer
     bufferBeforeMin: { type: Number, default: 0 },
     bufferAfterMin: { type: Number, default: 10 },
+    // Optional breakdown of durationMin, in order (phases sum to durationMin)
+    phases: { type: [PhaseSchema], default: undefined },
+  },
+  { _id: false }
+);
+// Optional extras picked at booking time (e.g. "+ lash tint, 10 min, £8")
+const AddOnSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    durationMin: { type: Number, default: 0, min: 0 }, // Extends the service time
+    price: { type: Number, default: 0, min: 0 },
+    active: { type: Boolean, default: true },
   },
   { _id: false }
 );
@@ -19,6 +42,7 @@ const ServiceSchema = new mongoose.Schema(
     category: String,
     imageUrl: String,
     variants: [VariantSchema],
+    addOns: { type: [AddOnSchema], default: [] },
     // Admin system field (preferred) - single primary specialist
     primaryBeauticianId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -60,6 +84,18 @@ const ServiceSchema = new mongoose.Schema(
       },
     ],
 
+    // Advance booking window overrides (optional) - unset fields inherit
+    // tenant.schedulingSettings (e.g. 48h lead time for patch-test services)
+    bookingWindow: {
+      minAdvanceHours: { type: Number, min: 0 },
+      maxAdvanceDays: { type: Number, min: 1 },
+    },
+
+    // Shared rooms/equipment that must be free for this service to be booked
+    requiredResourceIds: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Resource" },
+    ],
+
     // Multi-Location Support
     availableAt: {
       type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Location" }],
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+// One delivery option in a zone, for parcels in its weight and price bands
+const ShippingRateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // e.g. "2-3 business days"
+    estimatedDays: {
+      type: String,
+      default: "",
+    },
+    // Parcel weight band in kg (packaging included); null = no upper limit
+    minWeight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxWeight: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Basket subtotal band in pounds; null = no upper limit
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxSubtotal: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * ShippingZone - where a tenant ships to and what it charges. An address
+ * falls in the zone with its country and the longest matching postcode
+ * prefix (a zone without prefixes covers the rest of its countries). See
+ * utils/shippingRates.js.
+ */
+const ShippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // ISO 3166-1 alpha-2 codes, e.g. "GB"
+    countries: [{ type: String, uppercase: true, trim: true }],
+    // Outward code starts, e.g. "BT", "HS", "ZE1"
+    postcodePrefixes: [{ type: String, uppercase: true, trim: true }],
+    rates: {
+      type: [ShippingRateSchema],
+      default: [],
+    },
+    // Baskets at or over this get the zone's cheapest option free
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    displayOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+ShippingZoneSchema.index({ tenantId: 1, active: 1, displayOrder: 1 });
+
+// Apply multi-tenant plugin
+ShippingZoneSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("ShippingZone", ShippingZoneSchema);
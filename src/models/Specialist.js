@@ -162,6 +162,21 @@ const SpecialistSchema = new mongoose.Schema(
       expiryDate: { type: Number },
       email: String, // Google account email
       calendarId: { type: String, default: "primary" },
+      // Busy-time import
+      syncToken: { type: String, select: false }, // Incremental sync cursor
+      lastSyncedAt: Date,
+      lastSyncError: String,
+      channel: {
+        id: String, // Push notification channel
+        resourceId: String,
+        token: { type: String, select: false },
+        expiration: Date,
+      },
+    },
+
+    // iCalendar feed; bumping the version revokes previously issued links
+    calendarFeed: {
+      version: { type: Number, default: 0 },
     },
 
     // Multi-Location Support
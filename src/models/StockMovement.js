@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { multiTenantPlugin } from "../middleware/multiTenantPlugin.js";
+
+/**
+ * StockMovement - one line of a product's stock ledger. Entries are only
+ * ever added; see services/inventoryService.js for how they're written.
+ * Checkout holds (Product reserved counts) aren't movements: stock only
+ * leaves the shelf when the order is paid.
+ */
+const StockMovementSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Null for products sold without a variant (legacy stock field)
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ["sale", "refund_restock", "adjustment", "delivery"],
+      required: true,
+    },
+    // Signed change to units on hand
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    // Available and held stock straight after the movement
+    stockAfter: {
+      type: Number,
+      default: null,
+    },
+    reservedAfter: {
+      type: Number,
+      default: null,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    note: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Staff email for adjustments and deliveries, "system" otherwise
+    createdBy: {
+      type: String,
+      default: "system",
+    },
+  },
+  { timestamps: true }
+);
+
+StockMovementSchema.index({ tenantId: 1, productId: 1, createdAt: -1 });
+StockMovementSchema.index({ orderId: 1 });
+
+// Apply multi-tenant plugin
+StockMovementSchema.plugin(multiTenantPlugin);
+
+export default mongoose.model("StockMovement", StockMovementSchema);
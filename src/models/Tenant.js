@@ -182,6 +182,7 @@ const TenantSchema = new mongoose.Schema(
       depositPercentage: { type: Number, default: 0, min: 0, max: 100 }, // 0 = fixed amount
       depositAmount: { type: Number, default: 0 }, // Fixed deposit amount in pence
       bookingBuffer: { type: Number, default: 15 }, // Minutes buffer between appointments
+      slotStepMinutes: { type: Number, min: 5, max: 240 }, // Slot grid step; falls back to SLOTS_STEP_MIN
       maxAdvanceBookingDays: { type: Number, default: 60 },
       minAdvanceBookingHours: { type: Number, default: 2 },
       cancellationPolicyHours: { type: Number, default: 24 },
@@ -189,12 +190,36 @@ const TenantSchema = new mongoose.Schema(
       allowClientRescheduling: { type: Boolean, default: true }, // Allow clients to reschedule online
       showBeauticianPhotos: { type: Boolean, default: true },
       allowBeauticianSelection: { type: Boolean, default: true },
+      // Freed slots: confirm the first waitlist entry, or offer claim links
+      waitlistMode: {
+        type: String,
+        enum: ["auto_confirm", "offer"],
+        default: "auto_confirm",
+      },
+      waitlistOfferBatchSize: { type: Number, default: 3, min: 1, max: 20 }, // Entries offered per round
+      waitlistOfferExpiryMinutes: { type: Number, default: 30, min: 5 }, // Claim window per round
     },
     // Payment settings
     paymentSettings: {
       acceptOnlinePayments: { type: Boolean, default: true },
       acceptCash: { type: Boolean, default: true },
       acceptCardInSalon: { type: Boolean, default: true },
+      saveCardsForFees: { type: Boolean, default: false }, // Save a card at booking for no-show/late-cancel fees
+    },
+    // Client-to-client referrals (see services/referralRewardService.js)
+    referralSettings: {
+      clientRewardsEnabled: { type: Boolean, default: false },
+      clientRewardAmount: { type: Number, default: 10, min: 0 }, // Booking credit in pounds, per referred client
+    },
+    // Shop shipping (see services/shippingRateService.js)
+    shippingSettings: {
+      provider: {
+        type: String,
+        enum: ["local", "shipengine"],
+        default: "local",
+      }, // shipengine falls back to local zones when it can't quote
+      originPostalCode: { type: String, default: "" }, // Where parcels are sent from (ShipEngine)
+      originCountryCode: { type: String, default: "GB" },
     },
     // Status
     status: {
@@ -121,6 +121,13 @@ const tenantClientSchema = new mongoose.Schema(
       enum: ["bronze", "silver", "gold", "platinum"],
       default: "bronze",
     },
+    // Booking credit earned by referring friends (pounds), and how much of
+    // it bookings have spent (see referralRewardService)
+    referralCredit: {
+      earned: { type: Number, default: 0, min: 0 },
+      used: { type: Number, default: 0, min: 0 },
+      lastEarnedAt: Date,
+    },
 
     // Metadata
     source: {
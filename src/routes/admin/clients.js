@@ -13,7 +13,16 @@ const router = express.Router();
 router.get("/", requireAdmin, async (req, res) => {
   try {
     const { tenantId, role, specialistId } = req.admin;
-    const { status, search, sortBy, order, limit, skip, cursor } = req.query;
+    const {
+      status,
+      search,
+      sortBy,
+      order,
+      limit,
+      skip,
+      cursor,
+      membershipStatus,
+    } = req.query;
     const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
     const safeSkip = Math.max(parseInt(skip, 10) || 0, 0);
 
@@ -25,6 +34,7 @@ router.get("/", requireAdmin, async (req, res) => {
       limit: safeLimit,
       skip: safeSkip,
       cursor,
+      membershipStatus,
       specialistId: role === "specialist" ? specialistId : null, // Filter by specialist if role is specialist
     });
 
@@ -44,6 +54,8 @@ router.get("/", requireAdmin, async (req, res) => {
         tags: tc.tags,
         loyaltyPoints: tc.loyaltyPoints,
         membershipTier: tc.membershipTier,
+        // Paid membership, including failed renewals Stripe is retrying
+        membership: tc.membership,
         isBlocked: tc.isBlocked,
       })),
       total: result.total,
@@ -113,6 +125,7 @@ router.get("/:clientId", requireAdmin, async (req, res) => {
         marketingEmails: clientDetails.relationship.marketingEmails,
       },
       bookings: clientDetails.bookings,
+      memberships: clientDetails.memberships,
     });
   } catch (error) {
     console.error("[Admin Clients] Error fetching client details:", error);
@@ -0,0 +1,293 @@
+import { Router } from "express";
+import Appointment from "../models/Appointment.js";
+import AppointmentSeries from "../models/AppointmentSeries.js";
+import Service from "../models/Service.js";
+import Specialist from "../models/Specialist.js";
+import {
+  validateCreateSeries,
+  validateCancelSeries,
+  validateRescheduleSeries,
+  validateListSeriesQuery,
+  validateSeriesId,
+} from "../validations/appointmentSeries.schema.js";
+import {
+  createAppointmentSeries,
+  cancelAppointmentSeries,
+  rescheduleAppointmentSeries,
+} from "../services/appointmentSeriesService.js";
+import { parseRecurrenceRule } from "../utils/recurrence.js";
+import { loadSchedulingContext } from "../utils/schedulingContext.js";
+import requireAdmin from "../middleware/requireAdmin.js";
+
+const router = Router();
+
+// Series are created and managed by staff
+router.use(requireAdmin);
+
+function validationErrorBody(validation) {
+  const errorMessages = validation.errors.map((e) => e.message).join(", ");
+  return {
+    error: errorMessages || "Validation failed",
+    details: validation.errors,
+  };
+}
+
+/**
+ * Load the specialist, service and variant a series books.
+ * @returns {Promise<{ error?: { status: number, body: object }, specialist?: object, service?: object, variant?: object }>}
+ */
+async function loadBookingSubjects({ specialistId, serviceId, variantName }) {
+  const service = await Service.findById(serviceId).lean();
+  if (!service) {
+    return { error: { status: 404, body: { error: "Service not found" } } };
+  }
+  const variant = (service.variants || []).find((v) => v.name === variantName);
+  if (!variant) {
+    return { error: { status: 404, body: { error: "Variant not found" } } };
+  }
+  const specialist = await Specialist.findById(specialistId).lean();
+  if (!specialist) {
+    return { error: { status: 404, body: { error: "Specialist not found" } } };
+  }
+  return { specialist, service, variant };
+}
+
+/**
+ * GET /api/appointments/series
+ * List recurring series for the tenant
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const validation = validateListSeriesQuery(req.query);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        details: validation.errors,
+      });
+    }
+
+    const query = { tenantId: req.tenantId };
+    if (validation.data.specialistId) {
+      query.specialistId = validation.data.specialistId;
+    }
+    if (validation.data.status) query.status = validation.data.status;
+
+    const series = await AppointmentSeries.find(query)
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(series);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/appointments/series/:id
+ * A series with all of its occurrences
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const validation = validateSeriesId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid series ID",
+        details: validation.errors,
+      });
+    }
+
+    const series = await AppointmentSeries.findOne({
+      _id: validation.data.id,
+      tenantId: req.tenantId,
+    }).lean();
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" });
+    }
+
+    const occurrences = await Appointment.find({
+      tenantId: req.tenantId,
+      seriesId: series._id,
+    })
+      .select("start end status seriesIndex payment.status")
+      .sort({ start: 1 })
+      .lean();
+
+    res.json({ series, occurrences });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/appointments/series
+ * Create a recurring series. Every occurrence is checked against the slot
+ * planner; free occurrences are booked and the rest are reported.
+ * With dryRun the report is returned without booking anything.
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const validation = validateCreateSeries(req.body);
+    if (!validation.success) {
+      return res.status(400).json(validationErrorBody(validation));
+    }
+    const data = validation.data;
+
+    let recurrence = data.recurrence;
+    if (data.rrule) {
+      try {
+        recurrence = parseRecurrenceRule(data.rrule);
+      } catch (ruleError) {
+        return res
+          .status(400)
+          .json({ error: "Invalid rrule", message: ruleError.message });
+      }
+    }
+
+    const subjects = await loadBookingSubjects(data);
+    if (subjects.error) {
+      return res.status(subjects.error.status).json(subjects.error.body);
+    }
+
+    const { salonTz, stepMin, tenant } = await loadSchedulingContext({
+      tenantId: req.tenantId,
+      tenant: req.tenant,
+      locationId: data.locationId,
+    });
+
+    const result = await createAppointmentSeries({
+      tenantId: req.tenantId,
+      tenant,
+      salonTz,
+      stepMin,
+      ...subjects,
+      recurrence,
+      firstStart: new Date(data.startISO),
+      client: data.client,
+      userId: data.userId,
+      locationId: data.locationId,
+      dryRun: data.dryRun,
+    });
+
+    if (data.dryRun) {
+      return res.json({ dryRun: true, ...result });
+    }
+    if (!result.series) {
+      return res.status(409).json({
+        error: "No occurrences available",
+        message: "None of the requested occurrences could be booked",
+        occurrences: result.occurrences,
+      });
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/appointments/series/:id/cancel
+ * Cancel upcoming occurrences (all, or from fromISO on). Refunds follow the
+ * cancellation policy for each occurrence individually.
+ */
+router.post("/:id/cancel", async (req, res, next) => {
+  try {
+    const idValidation = validateSeriesId(req.params);
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: "Invalid series ID",
+        details: idValidation.errors,
+      });
+    }
+    const validation = validateCancelSeries(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json(validationErrorBody(validation));
+    }
+
+    const series = await AppointmentSeries.findOne({
+      _id: idValidation.data.id,
+      tenantId: req.tenantId,
+    }).lean();
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" });
+    }
+
+    const { salonTz } = await loadSchedulingContext({
+      tenantId: req.tenantId,
+      tenant: req.tenant,
+      locationId: series.locationId,
+    });
+
+    const result = await cancelAppointmentSeries({
+      series,
+      requestedBy: validation.data.requestedBy,
+      reason: validation.data.reason,
+      from: validation.data.fromISO ? new Date(validation.data.fromISO) : null,
+      salonTz,
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/appointments/series/:id/reschedule
+ * Move upcoming occurrences to a new start (optionally a new cadence).
+ */
+router.post("/:id/reschedule", async (req, res, next) => {
+  try {
+    const idValidation = validateSeriesId(req.params);
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: "Invalid series ID",
+        details: idValidation.errors,
+      });
+    }
+    const validation = validateRescheduleSeries(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json(validationErrorBody(validation));
+    }
+    const data = validation.data;
+
+    const series = await AppointmentSeries.findOne({
+      _id: idValidation.data.id,
+      tenantId: req.tenantId,
+    }).lean();
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" });
+    }
+    if (series.status !== "active") {
+      return res.status(409).json({ error: "Series is cancelled" });
+    }
+
+    const subjects = await loadBookingSubjects(series);
+    if (subjects.error) {
+      return res.status(subjects.error.status).json(subjects.error.body);
+    }
+
+    const { salonTz, stepMin, tenant } = await loadSchedulingContext({
+      tenantId: req.tenantId,
+      tenant: req.tenant,
+      locationId: series.locationId,
+    });
+
+    const result = await rescheduleAppointmentSeries({
+      series,
+      newStart: new Date(data.startISO),
+      recurrence:
+        data.frequency || data.interval
+          ? { frequency: data.frequency, interval: data.interval }
+          : null,
+      tenant,
+      salonTz,
+      stepMin,
+      ...subjects,
+      requestedBy: data.requestedBy,
+      dryRun: data.dryRun,
+    });
+    res.json({ ...(data.dryRun ? { dryRun: true } : {}), ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -2,18 +2,50 @@ import { Router } from "express";
 import Service from "../models/Service.js";
 import Specialist from "../models/Specialist.js";
 import Appointment from "../models/Appointment.js";
-import CancellationPolicy from "../models/CancellationPolicy.js";
 import { z } from "zod";
 import { computeCancellationOutcome } from "../controllers/appointments/computeCancellationOutcome.js";
-import { refundPayment, getStripe } from "../payments/stripe.js";
+import { getStripe } from "../payments/stripe.js";
 import {
   sendCancellationEmails,
   sendConfirmationEmail,
 } from "../emails/mailer.js";
 import { autoFillCancelledSlot } from "../services/waitlistAutoFillService.js";
+import {
+  FEE_TYPES,
+  chargeAppointmentFee,
+} from "../services/appointmentFeeService.js";
 import AppointmentService from "../services/appointmentService.js";
+import {
+  CANCELLED_STATUSES,
+  loadCancellationPolicy,
+  cancelAppointment,
+} from "../services/appointmentCancellationService.js";
+import {
+  getRequiredResources,
+  findResourceConflict,
+  resourceConflictErrorBody,
+} from "../services/resourceService.js";
+import {
+  redeemGiftCardInSalon,
+} from "../services/giftCardRedemptionService.js";
+import { rewardClientReferral } from "../services/referralRewardService.js";
 import requireAdmin from "../middleware/requireAdmin.js";
-import { retrieveStripeCheckoutSession } from "../utils/stripeSessionResolver.js";
+import { loadSchedulingContext } from "../utils/schedulingContext.js";
+import {
+  computeProcessingWindows,
+  appointmentsClash,
+} from "../utils/slotPlanner.js";
+import {
+  resolveBookingWindow,
+  checkBookingWindow,
+  bookingWindowErrorBody,
+} from "../utils/bookingWindow.js";
+import {
+  resolveAddOns,
+  summarizeAddOns,
+  formatAddOnSuffix,
+  addOnErrorBody,
+} from "../utils/serviceAddOns.js";
 import {
   applyQueryOptimizations,
   executePaginatedQuery,
@@ -140,11 +172,22 @@ r.post("/", async (req, res) => {
     mode,
     userId,
     locationId, // NEW: Accept locationId
+    addOns,
   } = req.body;
   const service = await Service.findById(serviceId).lean();
   if (!service) return res.status(404).json({ error: "Service not found" });
   const variant = (service.variants || []).find((v) => v.name === variantName);
   if (!variant) return res.status(404).json({ error: "Variant not found" });
+  const resolvedAddOns = resolveAddOns(service, addOns);
+  if (!resolvedAddOns.ok)
+    return res.status(400).json(addOnErrorBody(resolvedAddOns.missing));
+  const extras = summarizeAddOns(resolvedAddOns.addOns);
+  const price = Number(variant.price || 0) + extras.price;
+  const duration =
+    variant.durationMin +
+    (variant.bufferBeforeMin || 0) +
+    (variant.bufferAfterMin || 0) +
+    extras.durationMin;
   let specialist = null;
   if (any) {
     specialist = await Specialist.findOne({
@@ -157,18 +200,29 @@ r.post("/", async (req, res) => {
   if (!specialist)
     return res.status(400).json({ error: "No specialist available" });
   const start = new Date(startISO);
-  const end = new Date(
-    start.getTime() +
-      (variant.durationMin +
-        (variant.bufferBeforeMin || 0) +
-        (variant.bufferAfterMin || 0)) *
-        60000,
-  );
+  if (Number.isNaN(start.getTime()))
+    return res.status(400).json({ error: "Invalid startISO" });
+  const { tenant } = await loadSchedulingContext({
+    tenantId: req.tenantId,
+    tenant: req.tenant,
+  });
+  const windowCheck = checkBookingWindow({
+    start,
+    window: resolveBookingWindow({ tenant, services: [service] }),
+  });
+  if (!windowCheck.ok)
+    return res.status(400).json(bookingWindowErrorBody(windowCheck));
+  const end = new Date(start.getTime() + duration * 60000);
+  const processingWindows = computeProcessingWindows({
+    start,
+    services: [{ ...variant, totalMin: duration }],
+  });
   // Check for conflicts, excluding:
   // - Cancelled appointments
   // - reserved_unpaid appointments older than 3 minutes (expired)
+  // - overlaps that only touch a processing (hands-free) phase
   const threeMinutesAgo = new Date(Date.now() - 3 * 60 * 1000);
-  const conflict = await Appointment.findOne({
+  const overlapping = await Appointment.find({
     specialistId: specialist._id,
     tenantId: req.tenantId,
     start: { $lt: end },
@@ -183,8 +237,24 @@ r.post("/", async (req, res) => {
       },
     ],
   }).lean();
+  const conflict = overlapping.find((existing) =>
+    appointmentsClash(existing, { start, end, processingWindows }),
+  );
   if (conflict)
     return res.status(409).json({ error: "Slot no longer available" });
+  const requiredResources = await getRequiredResources({
+    tenantId: req.tenantId,
+    services: [service],
+    locationId,
+  });
+  const resourceConflict = await findResourceConflict({
+    tenantId: req.tenantId,
+    resources: requiredResources,
+    start,
+    end,
+  });
+  if (resourceConflict)
+    return res.status(409).json(resourceConflictErrorBody(resourceConflict));
   const paymentStatus = req.body.paymentStatus || mode;
   const isInSalon = String(mode).toLowerCase() === "pay_in_salon";
   const isDeposit = paymentStatus === "deposit";
@@ -207,16 +277,14 @@ r.post("/", async (req, res) => {
       mode: "pay_in_salon",
       provider: "cash",
       status: "unpaid",
-      amountTotal: Math.round(Number(variant.price || 0) * 100),
+      amountTotal: Math.round(price * 100),
     };
   } else if (isDeposit) {
     // For deposit, create a pending payment that will be completed via link
     status = "reserved_unpaid";
     // Get custom deposit percentage (default 30%)
     const depositPercentage = Number(req.body.depositAmount) || 30;
-    const depositAmount = Math.round(
-      Number(variant.price || 0) * (depositPercentage / 100) * 100,
-    ); // in pence
+    const depositAmount = Math.round(price * (depositPercentage / 100) * 100); // pence
     payment = {
       mode: "deposit",
       provider: "stripe",
@@ -224,7 +292,7 @@ r.post("/", async (req, res) => {
       amountTotal: depositAmount,
       depositAmount: depositAmount,
       depositPercentage: depositPercentage,
-      fullAmount: Math.round(Number(variant.price || 0) * 100),
+      fullAmount: Math.round(price * 100),
     };
   }
   const appt = await Appointment.create({
@@ -232,14 +300,33 @@ r.post("/", async (req, res) => {
     specialistId: specialist._id,
     serviceId,
     variantName,
+    ...(resolvedAddOns.addOns.length
+      ? {
+          services: [
+            {
+              serviceId,
+              serviceName: service.name,
+              variantName,
+              price,
+              duration,
+              addOns: resolvedAddOns.addOns,
+            },
+          ],
+          totalDuration: duration,
+        }
+      : {}),
     start,
     end,
-    price: variant.price,
+    ...(processingWindows.length ? { processingWindows } : {}),
+    price,
     status,
     tenantId: req.tenantId, // Add tenantId from request context
     ...(userId ? { userId } : {}), // Add userId if provided (logged-in users)
     ...(payment ? { payment } : {}),
     ...(locationId ? { locationId } : {}), // Add locationId if provided
+    ...(requiredResources.length
+      ? { resourceIds: requiredResources.map((resource) => resource._id) }
+      : {}),
   });
 
   // Handle deposit mode: create Stripe checkout session
@@ -247,8 +334,7 @@ r.post("/", async (req, res) => {
     try {
       // Get deposit percentage and amounts
       const depositPercentage = Number(req.body.depositAmount) || 30;
-      const depositAmount =
-        Number(variant.price || 0) * (depositPercentage / 100);
+      const depositAmount = price * (depositPercentage / 100);
       const platformFee = 0.99; // £0.99 booking fee
       const totalAmount = depositAmount + platformFee;
 
@@ -260,7 +346,9 @@ r.post("/", async (req, res) => {
           price_data: {
             currency: "gbp",
             product_data: {
-              name: `Deposit for ${service.name} - ${variant.name}`,
+              name: `Deposit for ${service.name} - ${
+                variant.name
+              }${formatAddOnSuffix(resolvedAddOns.addOns)}`,
               description: `With ${specialist.name}`,
             },
             unit_amount: Math.round(depositAmount * 100),
@@ -387,16 +475,14 @@ r.post("/:id/cancel", async (req, res) => {
   try {
     const { id } = IdSchema.parse(req.params);
     const body = BodySchema.parse(req.body || {});
-    const salonTz = process.env.SALON_TZ || "Europe/London";
     const appt = await Appointment.findById(id).lean();
     if (!appt) return res.status(404).json({ error: "Appointment not found" });
-    if (
-      [
-        "cancelled_no_refund",
-        "cancelled_partial_refund",
-        "cancelled_full_refund",
-      ].includes(appt.status)
-    ) {
+    const { salonTz } = await loadSchedulingContext({
+      tenantId: appt.tenantId || req.tenantId,
+      tenant: req.tenant,
+      locationId: appt.locationId,
+    });
+    if (CANCELLED_STATUSES.includes(appt.status)) {
       return res.json({
         outcome: appt.status.replace("cancelled_", ""),
         refundAmount: 0,
@@ -404,183 +490,25 @@ r.post("/:id/cancel", async (req, res) => {
         alreadyCancelled: true,
       });
     }
-    const policy = (await CancellationPolicy.findOne({
-      scope: "specialist",
+    const policy = await loadCancellationPolicy({
       specialistId: appt.specialistId,
-    }).lean()) ||
-      (await CancellationPolicy.findOne({ scope: "salon" }).lean()) || {
-        freeCancelHours: 24,
-        noRefundHours: 2,
-        partialRefund: { percent: 50 },
-        appliesTo: "deposit_only",
-        graceMinutes: 15,
-        currency: "GBP",
-      };
-    // For unpaid appointments, skip refund logic entirely
-    let outcome;
-    let stripeRefundId;
-    let newStatus;
-
-    if (appt.status === "reserved_unpaid") {
-      // Unpaid appointment - no refund needed
-      outcome = {
-        refundAmount: 0,
-        outcomeStatus: "cancelled_no_refund",
-        reasonCode: "unpaid_appointment",
-      };
-      newStatus = "cancelled_no_refund";
-    } else {
-      // Paid appointment - calculate refund
-      outcome = computeCancellationOutcome({
+    });
+    let result;
+    try {
+      result = await cancelAppointment({
         appointment: appt,
         policy,
-        now: new Date(),
+        requestedBy: body.requestedBy,
+        reason: body.reason,
         salonTz,
       });
-
-      if (outcome.refundAmount > 0 && appt.payment?.provider === "stripe") {
-        const key = `cancel:${id}:${new Date(
-          appt.updatedAt || appt.createdAt || Date.now(),
-        ).getTime()}`;
-        const ref = { ...(appt.payment?.stripe || {}) };
-        let paymentIntentId = ref.paymentIntentId;
-        let chargeId = ref.chargeId;
-
-        const isConnectedSession =
-          ref.sessionAccount === "connected" ||
-          ref.chargeType === "direct_charge";
-        let connectedAccountId = isConnectedSession
-          ? ref.beauticianStripeAccount || null
-          : null;
-
-        if (isConnectedSession && !connectedAccountId) {
-          const specialist = await Specialist.findById(appt.specialistId)
-            .select("stripeAccountId")
-            .lean();
-          connectedAccountId = specialist?.stripeAccountId || null;
-        }
-
-        if (
-          !paymentIntentId &&
-          !chargeId &&
-          (appt.payment?.sessionId || appt.payment?.checkoutSessionId)
-        ) {
-          const sessionId =
-            appt.payment?.sessionId || appt.payment?.checkoutSessionId;
-          try {
-            const preferredSource =
-              ref.sessionAccount === "connected" ? "connected" : "platform";
-            const { session } = await retrieveStripeCheckoutSession({
-              sessionId: String(sessionId),
-              preferredSource,
-              connectedAccountId,
-              getPlatformStripe: () => getStripe(),
-              getConnectedStripe: (accountId) =>
-                accountId ? getStripe(accountId) : null,
-              logger: console,
-            });
-
-            const paymentIntent = session?.payment_intent;
-            paymentIntentId =
-              typeof paymentIntent === "string"
-                ? paymentIntent
-                : paymentIntent?.id || undefined;
-            chargeId =
-              typeof paymentIntent === "object"
-                ? typeof paymentIntent?.latest_charge === "string"
-                  ? paymentIntent.latest_charge
-                  : paymentIntent?.latest_charge?.id
-                : undefined;
-
-            if (paymentIntentId || chargeId) {
-              await Appointment.findByIdAndUpdate(appt._id, {
-                $set: {
-                  "payment.stripe.paymentIntentId":
-                    paymentIntentId || ref.paymentIntentId,
-                  ...(chargeId ? { "payment.stripe.chargeId": chargeId } : {}),
-                },
-              });
-            }
-          } catch (sessionLookupError) {
-            console.error("refund_reference_lookup_err", {
-              id,
-              sessionId,
-              err: sessionLookupError.message,
-            });
-          }
-        }
-
-        const isDestinationCharge =
-          ref.chargeType === "destination_charge" ||
-          (!ref.chargeType &&
-            ref.beauticianStripeAccount &&
-            ref.sessionAccount !== "connected");
-        const refundApplicationFee = false;
-        const reverseTransfer = isDestinationCharge;
-
-        if (!paymentIntentId && !chargeId) {
-          return res.status(502).json({
-            error: "Refund failed",
-            details:
-              "Missing Stripe payment reference for refund (payment_intent/charge)",
-          });
-        }
-
-        try {
-          const rf = await refundPayment({
-            paymentIntentId,
-            chargeId,
-            amount: outcome.refundAmount,
-            idempotencyKey: key,
-            refundApplicationFee,
-            reverseTransfer,
-            connectedAccountId,
-          });
-          stripeRefundId = rf.id;
-        } catch (e) {
-          console.error("Refund error", { id, err: e.message });
-          return res
-            .status(502)
-            .json({ error: "Refund failed", details: e.message });
-        }
-      }
-      newStatus =
-        outcome.refundAmount > 0
-          ? outcome.outcomeStatus
-          : "cancelled_no_refund";
-    }
-    const update = {
-      $set: {
-        status: newStatus,
-        cancelledAt: new Date(),
-        cancelledBy: body.requestedBy,
-        cancelReason: body.reason,
-        policySnapshot: policy,
-      },
-      $push: {
-        audit: {
-          at: new Date(),
-          action: "cancel",
-          by: body.requestedBy,
-          meta: { outcome, stripeRefundId },
-        },
-      },
-    };
-    if (stripeRefundId) {
-      update.$set["payment.status"] =
-        outcome.refundAmount === (appt.payment?.amountTotal || 0)
-          ? "refunded"
-          : "partial_refunded";
-      update.$set["payment.stripe.refundIds"] = [
-        ...(appt.payment?.stripe?.refundIds || []),
-        stripeRefundId,
-      ];
+    } catch (refundError) {
+      if (refundError.code !== "REFUND_FAILED") throw refundError;
+      return res
+        .status(502)
+        .json({ error: "Refund failed", details: refundError.message });
     }
-    const updated = await Appointment.findOneAndUpdate(
-      { _id: id, status: { $in: ["confirmed", "reserved_unpaid"] } },
-      update,
-      { new: true },
-    ).lean();
+    const { updated, outcome, status: newStatus, stripeRefundId } = result;
     if (!updated) {
       const cur = await Appointment.findById(id).lean();
       return res.json({
@@ -607,6 +535,7 @@ r.post("/:id/cancel", async (req, res) => {
       waitlistAutoFill = await autoFillCancelledSlot({
         appointmentId: updated._id,
         tenantId: req.tenantId || updated.tenantId,
+        salonTz,
       });
     } catch (waitlistError) {
       console.error("waitlist_autofill_err", waitlistError);
@@ -631,27 +560,25 @@ r.get("/:id/cancel/preview", async (req, res) => {
     const { id } = IdSchema.parse(req.params);
     const appt = await Appointment.findById(id).lean();
     if (!appt) return res.status(404).json({ error: "Appointment not found" });
-    const policy = (await CancellationPolicy.findOne({
-      scope: "specialist",
+    const policy = await loadCancellationPolicy({
       specialistId: appt.specialistId,
-    }).lean()) ||
-      (await CancellationPolicy.findOne({ scope: "salon" }).lean()) || {
-        freeCancelHours: 24,
-        noRefundHours: 2,
-        partialRefund: { percent: 50 },
-        appliesTo: "deposit_only",
-        graceMinutes: 15,
-        currency: "GBP",
-      };
+    });
+    const { salonTz } = await loadSchedulingContext({
+      tenantId: appt.tenantId || req.tenantId,
+      tenant: req.tenant,
+      locationId: appt.locationId,
+    });
     const outcome = computeCancellationOutcome({
       appointment: appt,
       policy,
       now: new Date(),
-      salonTz: process.env.SALON_TZ || "Europe/London",
+      salonTz,
     });
     res.json({
       refundAmount: outcome.refundAmount,
       status: outcome.outcomeStatus,
+      reasonCode: outcome.reasonCode,
+      band: outcome.band,
       policy,
     });
   } catch (e) {
@@ -668,6 +595,7 @@ r.patch("/:id/status", async (req, res) => {
     const validStatuses = [
       "reserved_unpaid",
       "confirmed",
+      "completed",
       "cancelled_no_refund",
       "cancelled_partial_refund",
       "cancelled_full_refund",
@@ -685,6 +613,15 @@ r.patch("/:id/status", async (req, res) => {
     appointment.status = status;
     await appointment.save();
 
+    // A referred client's first completed visit earns their referrer credit
+    if (status === "completed") {
+      try {
+        await rewardClientReferral({ appointment: appointment.toObject() });
+      } catch (err) {
+        console.error("referral_reward_err", err);
+      }
+    }
+
     res.json({ success: true, status: appointment.status });
   } catch (err) {
     console.error("status_update_err", err);
@@ -692,6 +629,57 @@ r.patch("/:id/status", async (req, res) => {
   }
 });
 
+// Mark a no-show or late cancellation and charge the fee to the saved card
+r.post("/:id/fees", requireAdmin, async (req, res) => {
+  const IdSchema = z.object({ id: z.string() });
+  const BodySchema = z.object({ type: z.enum(FEE_TYPES) });
+  try {
+    const { id } = IdSchema.parse(req.params);
+    const { type } = BodySchema.parse(req.body || {});
+    const result = await chargeAppointmentFee({
+      appointmentId: id,
+      type,
+      by: req.admin?.email || String(req.admin?._id || "staff"),
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json({ success: true, status: result.status, charge: result.charge });
+  } catch (err) {
+    console.error("fee_charge_err", err);
+    res.status(400).json({ error: err.message || "Failed to charge fee" });
+  }
+});
+
+// Redeem a gift card at the desk against what's left to pay in salon
+r.post("/:id/gift-card", requireAdmin, async (req, res) => {
+  const IdSchema = z.object({ id: z.string() });
+  const BodySchema = z.object({
+    code: z.string().trim().min(1),
+    amount: z.number().positive().optional(),
+  });
+  try {
+    const { id } = IdSchema.parse(req.params);
+    const { code, amount } = BodySchema.parse(req.body || {});
+    const result = await redeemGiftCardInSalon({
+      appointmentId: id,
+      code,
+      amount,
+      by: req.admin?.email || String(req.admin?._id || "staff"),
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+    res.json({
+      success: true,
+      redemption: result.redemption,
+      balanceDue: result.balanceDue,
+      giftCardBalance: result.giftCardBalance,
+    });
+  } catch (err) {
+    console.error("gift_card_redeem_err", err);
+    res
+      .status(400)
+      .json({ error: err.message || "Failed to redeem gift card" });
+  }
+});
+
 r.patch("/:id", async (req, res) => {
   try {
     const { id } = req.params;
@@ -703,6 +691,17 @@ r.patch("/:id", async (req, res) => {
       return res.status(404).json({ error: "Appointment not found" });
     }
 
+    // Processing windows move with the appointment
+    const shiftMs = start
+      ? new Date(start).getTime() - appointment.start.getTime()
+      : 0;
+    const processingWindows = (appointment.processingWindows || []).map(
+      (w) => ({
+        start: new Date(w.start.getTime() + shiftMs),
+        end: new Date(w.end.getTime() + shiftMs),
+      }),
+    );
+
     // Check if time slot is available for the new time/specialist
     if (start && specialistId) {
       const appointmentStart = new Date(start);
@@ -710,18 +709,49 @@ r.patch("/:id", async (req, res) => {
         ? new Date(end)
         : new Date(appointmentStart.getTime() + 60 * 60000); // default 1 hour if no end
 
-      const conflict = await Appointment.findOne({
+      const overlapping = await Appointment.find({
         _id: { $ne: id }, // exclude current appointment
         specialistId: specialistId,
         start: { $lt: appointmentEnd },
         end: { $gt: appointmentStart },
       }).lean();
+      const conflict = overlapping.find((existing) =>
+        appointmentsClash(existing, {
+          start: appointmentStart,
+          end: appointmentEnd,
+          processingWindows,
+        }),
+      );
 
       if (conflict) {
         return res
           .status(409)
           .json({ error: "Time slot not available for this specialist" });
       }
+
+      const resourceService = await Service.findById(
+        serviceId || appointment.serviceId,
+      ).lean();
+      const requiredResources = await getRequiredResources({
+        tenantId: appointment.tenantId,
+        services: [resourceService],
+        locationId: appointment.locationId,
+      });
+      const resourceConflict = await findResourceConflict({
+        tenantId: appointment.tenantId,
+        resources: requiredResources,
+        start: appointmentStart,
+        end: appointmentEnd,
+        excludeAppointmentId: appointment._id,
+      });
+      if (resourceConflict) {
+        return res
+          .status(409)
+          .json(resourceConflictErrorBody(resourceConflict));
+      }
+      appointment.resourceIds = requiredResources.map(
+        (resource) => resource._id,
+      );
     }
 
     // Update fields if provided
@@ -729,8 +759,18 @@ r.patch("/:id", async (req, res) => {
     if (specialistId) appointment.specialistId = specialistId;
     if (serviceId) appointment.serviceId = serviceId;
     if (variantName) appointment.variantName = variantName;
+    // Moved appointments need a higher iCalendar SEQUENCE to update feeds
+    const timeChanged =
+      (start && new Date(start).getTime() !== appointment.start.getTime()) ||
+      (end && new Date(end).getTime() !== appointment.end.getTime());
+    if (timeChanged) {
+      appointment.calendarSequence = (appointment.calendarSequence || 0) + 1;
+    }
     if (start) appointment.start = new Date(start);
     if (end) appointment.end = new Date(end);
+    if (processingWindows.length) {
+      appointment.processingWindows = processingWindows;
+    }
     if (price !== undefined) appointment.price = price;
 
     await appointment.save();
@@ -5,6 +5,18 @@
 import { Router } from "express";
 import { requireAdmin } from "../middleware/requireAdmin.js";
 import * as calendarService from "../services/googleCalendar.js";
+import {
+  syncSpecialistCalendar,
+  startCalendarWatch,
+  handleCalendarNotification,
+  stopCalendarSync,
+  listCalendarConflicts,
+} from "../services/googleCalendarSync.js";
+import {
+  getCalendarFeedLinks,
+  rotateCalendarFeed,
+  renderCalendarFeed,
+} from "../services/calendarFeedService.js";
 import Specialist from "../models/Specialist.js";
 
 const router = Router();
@@ -55,6 +67,13 @@ router.get("/callback", async (req, res) => {
     // Save tokens to specialist record
     await calendarService.saveTokensForBeautician(specialistId, tokens);
 
+    // Import busy time and subscribe to changes in the background
+    syncSpecialistCalendar({ specialistId })
+      .then(() => startCalendarWatch({ specialistId }))
+      .catch((error) =>
+        console.error("[Calendar] Initial sync error:", error.message)
+      );
+
     // Redirect to admin settings page with success message
     res.redirect("/admin/settings?calendar=connected");
   } catch (error) {
@@ -77,6 +96,7 @@ router.post("/disconnect", requireAdmin, async (req, res) => {
       });
     }
 
+    await stopCalendarSync({ specialistId });
     await calendarService.disconnectCalendar(specialistId);
 
     res.json({
@@ -111,6 +131,8 @@ router.get("/status", requireAdmin, async (req, res) => {
     res.json({
       connected: specialist?.googleCalendar?.enabled || false,
       email: specialist?.googleCalendar?.email || null,
+      lastSyncedAt: specialist?.googleCalendar?.lastSyncedAt || null,
+      lastSyncError: specialist?.googleCalendar?.lastSyncError || null,
     });
   } catch (error) {
     console.error("[Calendar] Status error:", error);
@@ -121,4 +143,177 @@ router.get("/status", requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/calendar/sync
+ * Import busy time from Google Calendar now
+ */
+router.post("/sync", requireAdmin, async (req, res) => {
+  try {
+    const specialistId = req.admin.specialistId;
+
+    if (!specialistId) {
+      return res.status(400).json({
+        error: "Only specialists can sync Google Calendar",
+      });
+    }
+
+    const result = await syncSpecialistCalendar({ specialistId });
+    if (!result.synced) {
+      return res.status(409).json({
+        error: "Google Calendar not connected",
+        code: result.reason,
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("[Calendar] Sync error:", error);
+    res.status(502).json({
+      error: "Failed to sync calendar",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/calendar/conflicts
+ * Upcoming imported events that overlap existing bookings
+ */
+router.get("/conflicts", requireAdmin, async (req, res) => {
+  try {
+    const specialistId = req.admin.specialistId;
+
+    if (!specialistId) {
+      return res.json({ conflicts: [] });
+    }
+
+    const blocks = await listCalendarConflicts({ specialistId });
+
+    res.json({
+      conflicts: blocks.map((block) => ({
+        blockId: block._id,
+        start: block.start,
+        end: block.end,
+        allDay: block.allDay,
+        appointments: block.conflictAppointmentIds,
+      })),
+    });
+  } catch (error) {
+    console.error("[Calendar] Conflicts error:", error);
+    res.status(500).json({
+      error: "Failed to load calendar conflicts",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/calendar/notifications
+ * Google push notification for a watched calendar (no body; headers only)
+ */
+router.post("/notifications", async (req, res) => {
+  try {
+    const result = await handleCalendarNotification({
+      channelId: req.get("X-Goog-Channel-ID"),
+      channelToken: req.get("X-Goog-Channel-Token"),
+      resourceState: req.get("X-Goog-Resource-State"),
+    });
+
+    res.status(result.status).end();
+  } catch (error) {
+    console.error("[Calendar] Notification error:", error);
+    res.status(500).end();
+  }
+});
+
+/**
+ * GET /api/calendar/feed
+ * Subscribe link for the specialist's iCalendar feed
+ */
+router.get("/feed", requireAdmin, async (req, res) => {
+  try {
+    const specialistId = req.admin.specialistId;
+
+    if (!specialistId) {
+      return res.status(400).json({
+        error: "Only specialists have a calendar feed",
+      });
+    }
+
+    const links = await getCalendarFeedLinks({
+      owner: "specialist",
+      id: specialistId,
+    });
+    if (!links) {
+      return res.status(404).json({ error: "Specialist not found" });
+    }
+
+    res.json(links);
+  } catch (error) {
+    console.error("[Calendar] Feed link error:", error);
+    res.status(500).json({
+      error: "Failed to load calendar feed link",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/calendar/feed/regenerate
+ * Revoke the current feed link and issue a new one
+ */
+router.post("/feed/regenerate", requireAdmin, async (req, res) => {
+  try {
+    const specialistId = req.admin.specialistId;
+
+    if (!specialistId) {
+      return res.status(400).json({
+        error: "Only specialists have a calendar feed",
+      });
+    }
+
+    const links = await rotateCalendarFeed({
+      owner: "specialist",
+      id: specialistId,
+    });
+    if (!links) {
+      return res.status(404).json({ error: "Specialist not found" });
+    }
+
+    res.json(links);
+  } catch (error) {
+    console.error("[Calendar] Feed regenerate error:", error);
+    res.status(500).json({
+      error: "Failed to regenerate calendar feed link",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/calendar/feeds/:token.ics
+ * Public iCalendar feed (specialist or client); the signed token is the key
+ */
+router.get("/feeds/:token.ics", async (req, res) => {
+  try {
+    const result = await renderCalendarFeed({ token: req.params.token });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="bookings.ics"',
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(result.ics);
+  } catch (error) {
+    console.error("[Calendar] Feed error:", error);
+    res.status(500).json({
+      error: "Failed to load calendar feed",
+      message: error.message,
+    });
+  }
+});
+
 export default router;
@@ -4,6 +4,91 @@ import requireAdmin from "../middleware/requireAdmin.js";
 
 const router = express.Router();
 
+/**
+ * Validate refund bands from a request body, widest notice first.
+ * An empty list switches the policy back to the two-threshold rules.
+ * @returns {{ bands: object[] } | { error: string }}
+ */
+function parseRefundBands(refundBands) {
+  if (!Array.isArray(refundBands)) {
+    return { error: "refundBands must be an array" };
+  }
+  const bands = [];
+  for (const band of refundBands) {
+    const minHoursBefore = Number(band?.minHoursBefore);
+    if (!Number.isFinite(minHoursBefore) || minHoursBefore < 0) {
+      return { error: "Band hours must be non-negative" };
+    }
+    const fee = parseFee(band);
+    if (fee.error) return fee;
+    bands.push({
+      minHoursBefore,
+      ...fee.fee,
+      ...(band.label ? { label: String(band.label) } : {}),
+    });
+  }
+  const hours = new Set(bands.map((band) => band.minHoursBefore));
+  if (hours.size !== bands.length) {
+    return { error: "Each refund band needs different hours" };
+  }
+  bands.sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+  return { bands };
+}
+
+/**
+ * Validate a { percent } or { fixed } amount (refund band or no-show fee).
+ * @returns {{ fee: object } | { error: string }}
+ */
+function parseFee(value) {
+  const hasPercent = value?.percent != null;
+  const hasFixed = value?.fixed != null;
+  if (hasPercent === hasFixed) {
+    return { error: "Set either percent or fixed" };
+  }
+  if (hasPercent) {
+    const percent = Number(value.percent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      return { error: "Percent must be between 0 and 100" };
+    }
+    return { fee: { percent } };
+  }
+  const fixed = Number(value.fixed);
+  if (!Number.isInteger(fixed) || fixed < 0) {
+    return { error: "Fixed amounts must be whole pence" };
+  }
+  return { fee: { fixed } };
+}
+
+const FEE_FIELDS = [
+  ["noShowFee", "No-show fee"],
+  ["lateCancelFee", "Late-cancellation fee"],
+];
+
+/**
+ * Refund bands and no-show/late-cancellation fee fields of a policy update.
+ * @returns {{ update: object } | { error: string }}
+ */
+function parseBandedFields(body) {
+  const update = {};
+  if (body.refundBands !== undefined) {
+    const parsed = parseRefundBands(body.refundBands || []);
+    if (parsed.error) return parsed;
+    update.refundBands = parsed.bands;
+  }
+  for (const [field, label] of FEE_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null) {
+      update[field] = null;
+      continue;
+    }
+    const parsed = parseFee(value);
+    if (parsed.error) return { error: `${label}: ${parsed.error}` };
+    update[field] = parsed.fee;
+  }
+  return { update };
+}
+
 // GET /api/cancellation-policy/salon - Get salon-wide policy
 router.get("/salon", requireAdmin, async (req, res) => {
   try {
@@ -45,6 +130,9 @@ router.put("/salon", requireAdmin, async (req, res) => {
       graceMinutes,
       partialRefund,
       appliesTo,
+      refundBands,
+      noShowFee,
+      lateCancelFee,
     } = req.body;
 
     // Validate inputs
@@ -59,12 +147,22 @@ router.put("/salon", requireAdmin, async (req, res) => {
       });
     }
 
+    const banded = parseBandedFields({
+      refundBands,
+      noShowFee,
+      lateCancelFee,
+    });
+    if (banded.error) {
+      return res.status(400).json({ error: banded.error });
+    }
+
     const updateData = {
       freeCancelHours: Number(freeCancelHours),
       noRefundHours: Number(noRefundHours),
       rescheduleAllowedHours: Number(rescheduleAllowedHours),
       graceMinutes: Number(graceMinutes),
       appliesTo,
+      ...banded.update,
     };
 
     if (partialRefund) {
@@ -145,6 +243,9 @@ router.put("/specialist/:specialistId", requireAdmin, async (req, res) => {
       graceMinutes,
       partialRefund,
       appliesTo,
+      refundBands,
+      noShowFee,
+      lateCancelFee,
     } = req.body;
 
     // Validate inputs
@@ -159,6 +260,15 @@ router.put("/specialist/:specialistId", requireAdmin, async (req, res) => {
       });
     }
 
+    const banded = parseBandedFields({
+      refundBands,
+      noShowFee,
+      lateCancelFee,
+    });
+    if (banded.error) {
+      return res.status(400).json({ error: banded.error });
+    }
+
     const updateData = {
       scope: "specialist",
       specialistId,
@@ -167,6 +277,7 @@ router.put("/specialist/:specialistId", requireAdmin, async (req, res) => {
       rescheduleAllowedHours: Number(rescheduleAllowedHours),
       graceMinutes: Number(graceMinutes),
       appliesTo,
+      ...banded.update,
     };
 
     if (partialRefund) {
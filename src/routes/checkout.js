@@ -4,16 +4,82 @@ import mongoose from "mongoose";
 import Service from "../models/Service.js";
 import Specialist from "../models/Specialist.js";
 import Appointment from "../models/Appointment.js";
-import GiftCard from "../models/GiftCard.js";
 import Tenant from "../models/Tenant.js";
 import { sendConfirmationEmail } from "../emails/mailer.js";
 import ClientService from "../services/clientService.js";
 import AppointmentService from "../services/appointmentService.js";
+import {
+  getRequiredResources,
+  findResourceConflict,
+  resourceConflictErrorBody,
+} from "../services/resourceService.js";
+import {
+  reserveGroupBooking,
+  releaseGroupBooking,
+  confirmGroupBooking,
+  planGroupPayment,
+  getGroupPlatformFee,
+  findUnpayableSpecialist,
+} from "../services/groupBookingService.js";
+import BookingGroup from "../models/BookingGroup.js";
+import {
+  validateCreateGroupSession,
+  validateGroupId,
+} from "../validations/groupBooking.schema.js";
 import { retrieveStripeCheckoutSession } from "../utils/stripeSessionResolver.js";
 import { createConsoleLogger } from "../utils/logger.js";
+import { loadSchedulingContext } from "../utils/schedulingContext.js";
+import {
+  computeProcessingWindows,
+  appointmentsClash,
+} from "../utils/slotPlanner.js";
+import {
+  buildServiceLine,
+  formatAddOnSuffix,
+  addOnErrorBody,
+} from "../utils/serviceAddOns.js";
+import {
+  resolveBookingWindow,
+  checkBookingWindow,
+  bookingWindowErrorBody,
+} from "../utils/bookingWindow.js";
 import jwt from "jsonwebtoken";
 import Client from "../models/Client.js";
 import smsService from "../services/smsService.js";
+import {
+  createCardSetup,
+  recordSavedCard,
+} from "../services/appointmentFeeService.js";
+import {
+  WAITLIST_CLAIM_SESSION_MINUTES,
+  checkWaitlistClaimPayable,
+  completeWaitlistClaim,
+} from "../services/waitlistOfferService.js";
+import {
+  GIFT_CARD_CODES,
+  reserveGiftCard,
+  attachGiftCardSession,
+  releaseGiftCardReservation,
+  redeemGiftCardReservation,
+  settleGiftCardRedemption,
+} from "../services/giftCardRedemptionService.js";
+import {
+  PACKAGE_CODES,
+  consumePackageCredit,
+  returnPackageCredit,
+} from "../services/packageService.js";
+import { applyMemberPricing } from "../services/membershipService.js";
+import {
+  applyPromotionToAppointment,
+  PROMOTION_HOLD_MINUTES,
+  releaseAppointmentPromotion,
+} from "../services/promotionService.js";
+import {
+  applyReferralCreditToAppointment,
+  recordClientReferral,
+  returnReferralCredit,
+} from "../services/referralRewardService.js";
+import { JWT_SECRET } from "../config/security.js";
 
 const LOG_VERBOSE = process.env.LOG_VERBOSE === "true";
 const console = createConsoleLogger({
@@ -48,6 +114,247 @@ function toMinorUnits(amountFloat) {
   return Math.round((Number(amountFloat) || 0) * 100);
 }
 
+/**
+ * Confirm a booking whose online amount is fully covered by a gift card,
+ * redeeming the reservation instead of creating a Stripe session
+ */
+async function completeGiftCardBooking({
+  appt,
+  specialist,
+  appliedGiftCard,
+  payment,
+}) {
+  const target = { appointmentId: appt._id };
+  const redemption = await redeemGiftCardReservation({
+    application: appliedGiftCard,
+    target,
+    clientId: appt.clientId,
+  });
+  if (redemption.status !== "redeemed") {
+    await releaseGiftCardReservation({ application: appliedGiftCard, target });
+    return {
+      ok: false,
+      status: 409,
+      body: {
+        error: "Gift card could not be redeemed",
+        message: redemption.error,
+        code: GIFT_CARD_CODES.INVALID,
+      },
+    };
+  }
+
+  const now = new Date();
+  const confirmed = await Appointment.findByIdAndUpdate(
+    appt._id,
+    {
+      $set: {
+        status: "confirmed",
+        payment: {
+          provider: "gift_card",
+          status: "succeeded",
+          amountTotal: 0,
+          ...payment,
+          giftCard: {
+            ...appliedGiftCard,
+            redemptionStatus: "redeemed",
+            redeemedAt: now,
+          },
+        },
+      },
+      $push: {
+        audit: {
+          at: now,
+          action: "paid_by_gift_card",
+          meta: {
+            code: appliedGiftCard.code,
+            amount: appliedGiftCard.appliedAmount,
+          },
+        },
+      },
+    },
+    { new: true },
+  );
+
+  await finishInstantBooking({
+    appt,
+    confirmed,
+    specialist,
+    source: "gift_card_checkout",
+  });
+  return { ok: true };
+}
+
+/**
+ * Confirm a booking paid for with a package session instead of a payment
+ */
+async function completePackageBooking({
+  appt,
+  specialist,
+  clientPackageId,
+  clientId,
+}) {
+  const consumed = await consumePackageCredit({
+    purchaseId: clientPackageId,
+    clientId,
+    appointment: appt,
+  });
+  if (!consumed.ok) return consumed;
+
+  const now = new Date();
+  const confirmed = await Appointment.findOneAndUpdate(
+    { _id: appt._id, status: "reserved_unpaid" },
+    {
+      $set: {
+        status: "confirmed",
+        payment: {
+          provider: "package",
+          status: "succeeded",
+          mode: "pay_now",
+          amountTotal: 0,
+          packageCredit: consumed.credit,
+        },
+      },
+      $push: {
+        audit: {
+          at: now,
+          action: "paid_by_package",
+          meta: {
+            clientPackageId: consumed.credit.clientPackageId,
+            name: consumed.credit.name,
+          },
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!confirmed) {
+    await returnPackageCredit({ clientPackageId, appointmentId: appt._id });
+    return {
+      ok: false,
+      status: 400,
+      body: { error: "Appointment not in payable state" },
+    };
+  }
+
+  await finishInstantBooking({
+    appt,
+    confirmed,
+    specialist,
+    source: "package_checkout",
+  });
+  return { ok: true };
+}
+
+/**
+ * Confirm a booking that member pricing, a promo code or referral credit
+ * made free
+ */
+async function completeDiscountedBooking({ appt, specialist }) {
+  const now = new Date();
+  let cover;
+  if (appt.memberPricing) {
+    cover = {
+      provider: "membership",
+      meta: {
+        membershipId: appt.memberPricing.membershipId,
+        planName: appt.memberPricing.planName,
+      },
+    };
+  } else if (appt.promotion) {
+    cover = { provider: "promotion", meta: { code: appt.promotion.code } };
+  } else {
+    cover = {
+      provider: "referral_credit",
+      meta: { amount: appt.referralCredit.amount },
+    };
+  }
+  const confirmed = await Appointment.findOneAndUpdate(
+    { _id: appt._id, status: "reserved_unpaid" },
+    {
+      $set: {
+        status: "confirmed",
+        payment: {
+          provider: cover.provider,
+          status: "succeeded",
+          mode: "pay_now",
+          amountTotal: 0,
+        },
+      },
+      $push: {
+        audit: {
+          at: now,
+          action: `covered_by_${cover.provider}`,
+          meta: cover.meta,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!confirmed) {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: "Appointment not in payable state" },
+    };
+  }
+
+  await finishInstantBooking({
+    appt,
+    confirmed,
+    specialist,
+    source: `${cover.provider}_checkout`,
+  });
+  return { ok: true };
+}
+
+// Client metrics and confirmation email for a booking confirmed without
+// a Stripe session
+async function finishInstantBooking({ appt, confirmed, specialist, source }) {
+  if (appt.clientId) {
+    try {
+      await ClientService.updateTenantClientMetrics(
+        appt.tenantId,
+        appt.clientId,
+      );
+    } catch (error) {
+      console.error("[CHECKOUT] Failed to update client metrics:", error);
+    }
+  }
+
+  try {
+    const service =
+      (await Service.findById(
+        appt.serviceId || appt.services?.[0]?.serviceId,
+      ).lean()) || null;
+    await sendConfirmationEmail({ appointment: confirmed, service, specialist });
+    await Appointment.findByIdAndUpdate(appt._id, {
+      $push: {
+        audit: {
+          at: new Date(),
+          action: "confirmation_email_sent",
+          meta: { source },
+        },
+      },
+    });
+  } catch (emailErr) {
+    console.error("[CHECKOUT] Failed to send confirmation email:", emailErr);
+  }
+}
+
+// Client signed in on this request (cookie or bearer token), if any
+function getSignedInClientId(req) {
+  const token =
+    req.cookies?.clientToken ||
+    req.headers.authorization?.replace("Bearer ", "");
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === "client" ? decoded.id : null;
+  } catch {
+    return null;
+  }
+}
+
 r.get("/confirm", async (req, res, next) => {
   try {
     const { session_id } = req.query || {};
@@ -68,6 +375,36 @@ r.get("/confirm", async (req, res, next) => {
 
     console.log("[CHECKOUT CONFIRM] Found appointment:", appt._id);
 
+    // Group bookings are paid in one platform session for every guest
+    if (appt.groupId) {
+      const stripe = getStripe();
+      const session = await stripe.checkout.sessions.retrieve(
+        String(session_id),
+        { expand: ["payment_intent"] },
+      );
+      const paid =
+        session.payment_status === "paid" || session.status === "complete";
+      if (!paid)
+        return res.status(409).json({
+          error: "Session not paid yet",
+          session: {
+            payment_status: session.payment_status,
+            status: session.status,
+          },
+        });
+
+      const result = await confirmGroupBooking({
+        groupId: appt.groupId,
+        session,
+        stripe,
+      });
+      return res.json({
+        ok: true,
+        status: result.status,
+        groupId: String(appt.groupId),
+      });
+    }
+
     // Get specialist to determine which Stripe account has the session
     const specialist = await Specialist.findById(appt.specialistId).lean();
 
@@ -212,65 +549,30 @@ r.get("/confirm", async (req, res, next) => {
       });
       console.log("[CHECKOUT CONFIRM] Appointment updated to confirmed.");
 
-      const giftCardMeta = appt?.payment?.giftCard;
-      if (giftCardMeta?.code && Number(giftCardMeta.appliedAmount) > 0) {
+      if (appt.waitlistClaim) {
         try {
-          const giftCard = await GiftCard.findOne({ code: giftCardMeta.code });
-          if (giftCard && giftCard.isValid()) {
-            try {
-              await giftCard.consumeReservation({
-                appointmentId: appt._id,
-                amount: Number(giftCardMeta.appliedAmount),
-                clientId: appt.clientId,
-              });
-            } catch (reservationError) {
-              const isMissingReservation =
-                reservationError?.message ===
-                "No active gift card reservation found";
-
-              if (!isMissingReservation) {
-                throw reservationError;
-              }
-
-              await giftCard.redeem(
-                Number(giftCardMeta.appliedAmount),
-                appt.clientId,
-                appt._id,
-              );
-            }
-
-            await Appointment.findByIdAndUpdate(appt._id, {
-              $set: {
-                "payment.giftCard.redemptionStatus": "redeemed",
-                "payment.giftCard.redeemedAt": new Date(),
-              },
-            });
+          const claim = await completeWaitlistClaim({ appointment: appt });
+          if (claim.lost) {
             console.log(
-              "[CHECKOUT CONFIRM] Gift card redeemed:",
-              giftCardMeta.code,
-              giftCardMeta.appliedAmount,
+              "[CHECKOUT CONFIRM] Waitlist slot already claimed, refunded.",
             );
-          } else {
-            await Appointment.findByIdAndUpdate(appt._id, {
-              $set: {
-                "payment.giftCard.redemptionStatus": "failed",
-                "payment.giftCard.error": "Gift card invalid during redemption",
-              },
-            });
+            return res.json({ ok: true, status: claim.status });
           }
-        } catch (giftCardError) {
+        } catch (waitlistError) {
           console.error(
-            "[CHECKOUT CONFIRM] Gift card redemption failed:",
-            giftCardError,
+            "[CHECKOUT CONFIRM] Waitlist claim update failed:",
+            waitlistError,
           );
-          await Appointment.findByIdAndUpdate(appt._id, {
-            $set: {
-              "payment.giftCard.redemptionStatus": "failed",
-              "payment.giftCard.error": giftCardError.message,
-            },
-          });
         }
       }
+
+      await settleGiftCardRedemption({
+        Model: Appointment,
+        id: appt._id,
+        path: "payment.giftCard",
+        target: { appointmentId: appt._id },
+        clientId: appt.clientId,
+      });
     }
 
     // Update client metrics after successful booking
@@ -446,7 +748,19 @@ r.get("/confirm", async (req, res, next) => {
 
 r.post("/create-session", async (req, res, next) => {
   let reservationContext = null;
+  let referralCreditContext = null;
+  let promotionContext = null;
   let stripeSessionCreated = false;
+  // Gives back the referral credit and promo code use taken for this
+  // checkout when it doesn't go ahead
+  const returnDiscounts = async () => {
+    if (referralCreditContext) {
+      await returnReferralCredit(referralCreditContext);
+    }
+    if (promotionContext) {
+      await releaseAppointmentPromotion(promotionContext);
+    }
+  };
 
   try {
     const {
@@ -454,10 +768,30 @@ r.post("/create-session", async (req, res, next) => {
       mode,
       currency: requestedCurrency,
       giftCardCode,
+      clientPackageId,
+      promoCode,
+      referralCode,
+      useReferralCredit,
     } = req.body || {};
     let appt = null;
     let service = null;
 
+    // Package credits belong to a signed-in client
+    const packageClientId = clientPackageId ? getSignedInClientId(req) : null;
+    if (clientPackageId && !packageClientId) {
+      return res
+        .status(401)
+        .json({ error: "Sign in to book with a package" });
+    }
+    if (clientPackageId && (giftCardCode || promoCode || useReferralCredit)) {
+      let discount = "referral credit";
+      if (giftCardCode) discount = "a gift card";
+      else if (promoCode) discount = "a promo code";
+      return res.status(400).json({
+        error: `A package booking can't also use ${discount}`,
+      });
+    }
+
     if (appointmentId) {
       appt = await Appointment.findById(appointmentId).lean();
       if (!appt)
@@ -468,6 +802,9 @@ r.post("/create-session", async (req, res, next) => {
           .json({ error: "Appointment not in payable state" });
       service = await Service.findById(appt.serviceId).lean();
       if (!service) return res.status(404).json({ error: "Service not found" });
+      const claimCheck = await checkWaitlistClaimPayable({ appointment: appt });
+      if (!claimCheck.ok)
+        return res.status(claimCheck.status).json(claimCheck.body);
     } else {
       // Create a reserved-unpaid appointment first (same logic as /api/appointments)
       const {
@@ -476,6 +813,7 @@ r.post("/create-session", async (req, res, next) => {
         serviceId,
         variantName,
         services, // NEW: Support multiple services
+        addOns, // Add-on names for a single-service booking
         startISO,
         client,
         userId,
@@ -486,6 +824,7 @@ r.post("/create-session", async (req, res, next) => {
       let totalPrice = 0;
       let totalDuration = 0;
       let servicesData = [];
+      let phaseBlocks = []; // Per booked line, for processing windows
       let requestedServicesMap = new Map();
 
       if (services && Array.isArray(services) && services.length > 0) {
@@ -514,22 +853,23 @@ r.post("/create-session", async (req, res, next) => {
           );
           if (!variant) continue;
 
-          const servicePrice = variant.promoPrice || variant.price || 0;
-          const serviceDuration =
-            variant.durationMin +
-            (variant.bufferBeforeMin || 0) +
-            (variant.bufferAfterMin || 0);
+          const serviceLine = buildServiceLine({
+            service: fullService,
+            variant,
+            addOnNames: svc.addOns,
+          });
+          if (!serviceLine.ok) {
+            return res.status(400).json(addOnErrorBody(serviceLine.missing));
+          }
 
-          totalPrice += servicePrice;
-          totalDuration += serviceDuration;
+          totalPrice += serviceLine.line.price;
+          totalDuration += serviceLine.line.duration;
 
           servicesData.push({
+            ...serviceLine.line,
             serviceId: svc.serviceId,
-            serviceName: fullService.name,
-            variantName: svc.variantName,
-            price: servicePrice,
-            duration: serviceDuration,
           });
+          phaseBlocks.push({ ...variant, totalMin: serviceLine.line.duration });
         }
       } else {
         // Legacy single service booking
@@ -542,19 +882,20 @@ r.post("/create-session", async (req, res, next) => {
         if (!variant)
           return res.status(404).json({ error: "Variant not found" });
 
-        totalPrice = variant.promoPrice || variant.price;
-        totalDuration =
-          variant.durationMin +
-          (variant.bufferBeforeMin || 0) +
-          (variant.bufferAfterMin || 0);
-
-        servicesData.push({
-          serviceId,
-          serviceName: service.name,
-          variantName,
-          price: totalPrice,
-          duration: totalDuration,
+        const serviceLine = buildServiceLine({
+          service,
+          variant,
+          addOnNames: addOns,
         });
+        if (!serviceLine.ok) {
+          return res.status(400).json(addOnErrorBody(serviceLine.missing));
+        }
+
+        totalPrice = serviceLine.line.price;
+        totalDuration = serviceLine.line.duration;
+
+        servicesData.push({ ...serviceLine.line, serviceId });
+        phaseBlocks.push({ ...variant, totalMin: serviceLine.line.duration });
       }
       let specialist = null;
       if (any) {
@@ -577,7 +918,34 @@ r.post("/create-session", async (req, res, next) => {
         return res.status(400).json({ error: "No specialist available" });
 
       const start = new Date(startISO);
+      if (Number.isNaN(start.getTime()))
+        return res.status(400).json({ error: "Invalid startISO" });
+
+      const { tenant: windowTenant } = await loadSchedulingContext({
+        tenantId: req.tenantId,
+        tenant: req.tenant,
+      });
+      const bookedServices = service
+        ? [service]
+        : servicesData.map((svc) =>
+            requestedServicesMap.get(svc.serviceId?.toString()),
+          );
+      const windowCheck = checkBookingWindow({
+        start,
+        window: resolveBookingWindow({
+          tenant: windowTenant,
+          services: bookedServices,
+        }),
+      });
+      if (!windowCheck.ok) {
+        return res.status(400).json(bookingWindowErrorBody(windowCheck));
+      }
+
       const end = new Date(start.getTime() + totalDuration * 60000);
+      const processingWindows = computeProcessingWindows({
+        start,
+        services: phaseBlocks,
+      });
 
       console.log("[CHECKOUT] Checking slot availability:", {
         specialistId: specialist._id,
@@ -590,8 +958,9 @@ r.post("/create-session", async (req, res, next) => {
       // Check for conflicts, excluding:
       // - Cancelled appointments
       // - reserved_unpaid appointments older than 3 minutes (expired)
+      // - overlaps that only touch a processing (hands-free) phase
       const threeMinutesAgo = new Date(Date.now() - 3 * 60 * 1000);
-      const conflict = await Appointment.findOne({
+      const overlapping = await Appointment.find({
         specialistId: specialist._id,
         start: { $lt: end },
         end: { $gt: start },
@@ -605,6 +974,9 @@ r.post("/create-session", async (req, res, next) => {
           },
         ],
       }).lean();
+      const conflict = overlapping.find((existing) =>
+        appointmentsClash(existing, { start, end, processingWindows }),
+      );
 
       if (conflict) {
         console.log("[CHECKOUT] Slot conflict detected:", {
@@ -618,6 +990,28 @@ r.post("/create-session", async (req, res, next) => {
         return res.status(409).json({ error: "Slot no longer available" });
       }
 
+      const requiredResources = await getRequiredResources({
+        tenantId: req.tenantId,
+        services: bookedServices,
+        locationId,
+      });
+      const resourceConflict = await findResourceConflict({
+        tenantId: req.tenantId,
+        resources: requiredResources,
+        start,
+        end,
+      });
+      if (resourceConflict) {
+        console.log("[CHECKOUT] Resource conflict detected:", {
+          resourceId: resourceConflict._id,
+          requestedStart: start.toISOString(),
+          requestedEnd: end.toISOString(),
+        });
+        return res
+          .status(409)
+          .json(resourceConflictErrorBody(resourceConflict));
+      }
+
       console.log("[CHECKOUT] No conflicts found, slot is available");
 
       // Check if client is logged in via clientToken cookie
@@ -669,11 +1063,15 @@ r.post("/create-session", async (req, res, next) => {
         variantName: servicesData[0]?.variantName,
         start,
         end,
+        ...(processingWindows.length ? { processingWindows } : {}),
         price: totalPrice,
         status: "reserved_unpaid",
         tenantId: req.tenantId,
         ...(userId ? { userId } : {}),
         ...(locationId ? { locationId } : {}),
+        ...(requiredResources.length
+          ? { resourceIds: requiredResources.map((resource) => resource._id) }
+          : {}),
       });
 
       console.log(
@@ -683,6 +1081,69 @@ r.post("/create-session", async (req, res, next) => {
       appt = appt.toObject();
     }
 
+    // A friend's referral code is rewarded once this client's first
+    // appointment is completed. It never holds up the booking.
+    if (referralCode && appt.clientId) {
+      try {
+        const referral = await recordClientReferral({
+          code: referralCode,
+          appointment: appt,
+        });
+        if (!referral.ok) {
+          console.log("[CHECKOUT] Referral not recorded:", referral.body.code);
+        }
+      } catch (error) {
+        console.error("[CHECKOUT] Failed to record referral:", error);
+      }
+    }
+
+    // A package session pays for the booking: no Stripe session, no fee
+    if (clientPackageId) {
+      if (String(appt.clientId) !== String(packageClientId)) {
+        return res.status(404).json({
+          error: "Package not found",
+          code: PACKAGE_CODES.NOT_FOUND,
+        });
+      }
+      const specialist = await Specialist.findById(appt.specialistId).lean();
+      const completed = await completePackageBooking({
+        appt,
+        specialist,
+        clientPackageId,
+        clientId: packageClientId,
+      });
+      if (!completed.ok) {
+        return res.status(completed.status).json(completed.body);
+      }
+      const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+      const tenantPath = req.tenant?.slug ? `/salon/${req.tenant.slug}` : "";
+      return res.json({
+        completed: true,
+        appointmentId: appt._id,
+        url: `${frontend}${tenantPath}/success?appointmentId=${appt._id}`,
+      });
+    }
+
+    // Member pricing when a signed-in member books for themselves
+    const memberPricing = await applyMemberPricing({
+      appointment: appt,
+      clientId: getSignedInClientId(req),
+    });
+    appt = memberPricing.appointment;
+
+    if (promoCode) {
+      const promotion = await applyPromotionToAppointment({
+        appointment: appt,
+        code: promoCode,
+      });
+      if (!promotion.ok) {
+        return res.status(promotion.status).json(promotion.body);
+      }
+      appt = promotion.appointment;
+      // Given back below if this checkout doesn't go ahead
+      promotionContext = { appointmentId: appt._id };
+    }
+
     // Use requested currency or default to environment/gbp
     const currency = (
       requestedCurrency ||
@@ -747,6 +1208,38 @@ r.post("/create-session", async (req, res, next) => {
     console.log("[CHECKOUT] Platform fee (pence):", platformFee);
     console.log("[CHECKOUT] Platform fee (pounds):", platformFee / 100);
 
+    // In-salon balances are paid at the desk, where gift cards can be
+    // redeemed against them (POST /api/appointments/:id/gift-card)
+    if (giftCardCode && specialist?.inSalonPayment) {
+      return res.status(400).json({
+        error: "Gift card can't be applied online",
+        message:
+          "This specialist takes payment at the salon. Please present your gift card at your appointment.",
+        code: GIFT_CARD_CODES.IN_SALON_ONLY,
+      });
+    }
+
+    // Referral credit belongs to the signed-in client who earned it
+    if (useReferralCredit) {
+      const creditClientId = getSignedInClientId(req);
+      if (!creditClientId || String(appt.clientId) !== creditClientId) {
+        await returnDiscounts();
+        return res
+          .status(401)
+          .json({ error: "Sign in to use your referral credit" });
+      }
+      const credit = await applyReferralCreditToAppointment({
+        appointment: appt,
+      });
+      if (!credit.ok) {
+        await returnDiscounts();
+        return res.status(credit.status).json(credit.body);
+      }
+      appt = credit.appointment;
+      // Given back below if this checkout doesn't go ahead
+      referralCreditContext = { appointmentId: appt._id };
+    }
+
     const baseAmount = Number(appt.price || 0);
 
     // If specialist accepts in-salon payment, charge only the booking fee
@@ -763,99 +1256,37 @@ r.post("/create-session", async (req, res, next) => {
     console.log("[CHECKOUT] Base amount:", baseAmount);
     console.log("[CHECKOUT] Amount before fee:", amountBeforeFee);
 
-    let appliedGiftCard = null;
-    if (giftCardCode && !specialist?.inSalonPayment) {
-      const normalizedCode = String(giftCardCode).trim().toUpperCase();
-      let giftCard = await GiftCard.findOne({ code: normalizedCode });
-
-      if (!giftCard) {
-        return res.status(400).json({ error: "Gift card not found" });
-      }
-
-      if (String(giftCard.tenantId) !== String(appt.tenantId)) {
-        return res
-          .status(400)
-          .json({ error: "Gift card is not valid for this business" });
-      }
+    // Left to pay at the salon after this checkout (in-salon or deposit)
+    const amountBalance = toMinorUnits(
+      Math.max(0, baseAmount - Number(amountBeforeFee || 0)),
+    );
+    const depositAmount = isDeposit
+      ? toMinorUnits(amountBeforeFee)
+      : undefined;
 
-      if (!giftCard.isValid()) {
-        return res.status(400).json({
-          error: "Gift card is expired, already redeemed, or invalid",
-        });
+    let appliedGiftCard = null;
+    if (giftCardCode) {
+      const reservation = await reserveGiftCard({
+        code: giftCardCode,
+        tenantId: appt.tenantId,
+        target: { appointmentId: appt._id },
+        amountDue: amountBeforeFee,
+      });
+      if (!reservation.ok) {
+        await returnDiscounts();
+        return res.status(reservation.status).json(reservation.body);
       }
 
-      giftCard.cleanupExpiredReservations();
-
-      const remainingBalance = Number(giftCard.getRemainingBalance() || 0);
-      const toApply = Math.min(Number(amountBeforeFee || 0), remainingBalance);
-
-      if (toApply > 0) {
-        let reserved = false;
-        let reserveError = null;
-
-        for (let attempt = 0; attempt < 2; attempt++) {
-          try {
-            await giftCard.reserveForAppointment({
-              appointmentId: appt._id,
-              amount: toApply,
-            });
-            reserved = true;
-            break;
-          } catch (error) {
-            const isVersionError = error?.name === "VersionError";
-
-            if (isVersionError && attempt === 0) {
-              giftCard = await GiftCard.findById(giftCard._id);
-              if (!giftCard) {
-                reserveError = new Error("Gift card not found");
-                break;
-              }
-
-              giftCard.cleanupExpiredReservations();
-              const refreshedRemaining = Number(
-                giftCard.getRemainingBalance() || 0,
-              );
-              if (toApply > refreshedRemaining) {
-                reserveError = new Error(
-                  `Insufficient balance. Remaining: ${refreshedRemaining}`,
-                );
-                break;
-              }
-
-              continue;
-            }
-
-            reserveError = error;
-            break;
-          }
-        }
-
-        if (!reserved) {
-          const message =
-            reserveError?.message || "Unable to reserve gift card balance";
-
-          if (/Insufficient balance/i.test(message)) {
-            return res.status(400).json({ error: message });
-          }
-
-          return res.status(409).json({
-            error:
-              "Gift card is currently being used in another checkout. Please try again.",
-          });
-        }
-
+      appliedGiftCard = reservation.applied;
+      if (appliedGiftCard) {
         reservationContext = {
-          giftCardId: giftCard._id,
-          appointmentId: appt._id,
-        };
-
-        amountBeforeFee = Math.max(0, Number(amountBeforeFee || 0) - toApply);
-        appliedGiftCard = {
-          id: giftCard._id,
-          code: giftCard.code,
-          appliedAmount: Math.round(toApply * 100) / 100,
-          remainingBeforeApply: remainingBalance,
+          application: appliedGiftCard,
+          target: { appointmentId: appt._id },
         };
+        amountBeforeFee = Math.max(
+          0,
+          Number(amountBeforeFee || 0) - appliedGiftCard.appliedAmount,
+        );
       }
     }
 
@@ -866,8 +1297,51 @@ r.post("/create-session", async (req, res, next) => {
     const unit_amount = toMinorUnits(amountToPay);
     console.log("[CHECKOUT] Unit amount (pence):", unit_amount);
 
-    if (unit_amount < 1)
+    // Gift card covers everything (no booking fee): confirm without Stripe
+    if (unit_amount < 1 && appliedGiftCard) {
+      const completed = await completeGiftCardBooking({
+        appt,
+        specialist,
+        appliedGiftCard,
+        payment: {
+          mode: isDeposit ? "deposit" : "pay_now",
+          depositAmount,
+          amountBalance,
+        },
+      });
+      reservationContext = null;
+      if (!completed.ok) {
+        await returnDiscounts();
+        return res.status(completed.status).json(completed.body);
+      }
+      return res.json({
+        completed: true,
+        appointmentId: appt._id,
+        url: `${frontend}${tenantPath}/success?appointmentId=${appt._id}`,
+      });
+    }
+
+    // Member pricing, a promo code or referral credit made it free (and
+    // there's no booking fee): confirm without Stripe
+    const discounted =
+      appt.memberPricing || appt.promotion || appt.referralCredit;
+    if (unit_amount < 1 && discounted && Number(appt.price) === 0) {
+      const completed = await completeDiscountedBooking({ appt, specialist });
+      if (!completed.ok) {
+        await returnDiscounts();
+        return res.status(completed.status).json(completed.body);
+      }
+      return res.json({
+        completed: true,
+        appointmentId: appt._id,
+        url: `${frontend}${tenantPath}/success?appointmentId=${appt._id}`,
+      });
+    }
+
+    if (unit_amount < 1) {
+      await returnDiscounts();
       return res.status(400).json({ error: "Invalid amount" });
+    }
 
     // Build service name for Stripe checkout
     let serviceName;
@@ -881,13 +1355,17 @@ r.post("/create-session", async (req, res, next) => {
       if (appt.services.length === 1) {
         const svc = serviceMap.get(appt.services[0].serviceId.toString());
         serviceName = svc
-          ? `${svc.name} - ${appt.services[0].variantName}`
+          ? `${svc.name} - ${appt.services[0].variantName}${formatAddOnSuffix(
+              appt.services[0].addOns,
+            )}`
           : "Service";
       } else {
         serviceName = `${appt.services.length} Services`;
         const serviceNames = appt.services.map((s) => {
           const svc = serviceMap.get(s.serviceId.toString());
-          return svc ? `${svc.name} (${s.variantName})` : "Service";
+          return svc
+            ? `${svc.name} (${s.variantName})${formatAddOnSuffix(s.addOns)}`
+            : "Service";
         });
         serviceDescription = serviceNames.join(", ");
       }
@@ -981,15 +1459,26 @@ r.post("/create-session", async (req, res, next) => {
                   : `Full payment (total ${baseAmount.toFixed(2)})`) +
                   (appliedGiftCard
                     ? ` • Gift card applied: £${appliedGiftCard.appliedAmount.toFixed(2)}`
+                    : "") +
+                  (appt.promotion
+                    ? ` • Promo ${appt.promotion.code}: -£${appt.promotion.discount.toFixed(2)}`
                     : ""),
             },
           },
           quantity: 1,
         },
       ],
-      allow_promotion_codes: true,
       billing_address_collection: "required",
     };
+    if (appt.waitlistClaim) {
+      // The claim holds the waitlist offer only while this session can be paid
+      sessionConfig.expires_at =
+        Math.floor(Date.now() / 1000) + WAITLIST_CLAIM_SESSION_MINUTES * 60;
+    } else if (appt.promotion) {
+      // Expiring the session gives the held promo code use back
+      sessionConfig.expires_at =
+        Math.floor(Date.now() / 1000) + PROMOTION_HOLD_MINUTES * 60;
+    }
 
     // Use customer ID if we have one (this pre-fills all their info)
     if (stripeCustomerId) {
@@ -1043,17 +1532,11 @@ r.post("/create-session", async (req, res, next) => {
     stripeSessionCreated = true;
 
     if (appliedGiftCard) {
-      await GiftCard.updateOne(
-        {
-          _id: appliedGiftCard.id,
-          "pendingRedemptions.appointmentId": appt._id,
-        },
-        {
-          $set: {
-            "pendingRedemptions.$.sessionId": session.id,
-          },
-        },
-      );
+      await attachGiftCardSession({
+        applied: appliedGiftCard,
+        target: { appointmentId: appt._id },
+        sessionId: session.id,
+      });
     }
 
     await Appointment.findByIdAndUpdate(appt._id, {
@@ -1064,17 +1547,9 @@ r.post("/create-session", async (req, res, next) => {
           status: "pending",
           mode: isDeposit ? "deposit" : "pay_now", // Save the payment mode
           amountTotal: unit_amount, // Save intended amount in minor units (e.g. pence)
-          ...(appliedGiftCard
-            ? {
-                giftCard: {
-                  id: appliedGiftCard.id,
-                  code: appliedGiftCard.code,
-                  appliedAmount: appliedGiftCard.appliedAmount,
-                  remainingBeforeApply: appliedGiftCard.remainingBeforeApply,
-                  redemptionStatus: "pending",
-                },
-              }
-            : {}),
+          depositAmount,
+          amountBalance,
+          ...(appliedGiftCard ? { giftCard: appliedGiftCard } : {}),
           stripe: {
             ...(appt.payment?.stripe || {}),
             sessionAccount: "platform",
@@ -1091,12 +1566,7 @@ r.post("/create-session", async (req, res, next) => {
   } catch (err) {
     if (reservationContext && !stripeSessionCreated) {
       try {
-        const giftCard = await GiftCard.findById(reservationContext.giftCardId);
-        if (giftCard) {
-          await giftCard.releaseReservation({
-            appointmentId: reservationContext.appointmentId,
-          });
-        }
+        await releaseGiftCardReservation(reservationContext);
       } catch (releaseErr) {
         console.error(
           "[CHECKOUT] Failed to release gift card reservation after create-session error:",
@@ -1104,7 +1574,320 @@ r.post("/create-session", async (req, res, next) => {
         );
       }
     }
+    if (referralCreditContext && !stripeSessionCreated) {
+      try {
+        await returnReferralCredit(referralCreditContext);
+      } catch (returnErr) {
+        console.error(
+          "[CHECKOUT] Failed to return referral credit after create-session error:",
+          returnErr,
+        );
+      }
+    }
+    if (promotionContext && !stripeSessionCreated) {
+      try {
+        await releaseAppointmentPromotion(promotionContext);
+      } catch (releaseErr) {
+        console.error(
+          "[CHECKOUT] Failed to release promo code use after create-session error:",
+          releaseErr,
+        );
+      }
+    }
+
+    next(err);
+  }
+});
+
+// POST /api/checkout/group-session - Reserve every guest of a group booking
+// and create one checkout session for the organiser
+r.post("/group-session", async (req, res, next) => {
+  let group = null;
+  let stripeSessionCreated = false;
+
+  try {
+    const validation = validateCreateGroupSession(req.body || {});
+    if (!validation.success) {
+      const errorMessages = validation.errors.map((e) => e.message).join(", ");
+      return res.status(400).json({
+        error: errorMessages || "Validation failed",
+        details: validation.errors,
+      });
+    }
+    const data = validation.data;
+
+    const currency = (
+      data.currency ||
+      process.env.STRIPE_CURRENCY ||
+      "gbp"
+    ).toLowerCase();
+    const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+    const depositPct = Number(process.env.STRIPE_DEPOSIT_PERCENT || 0);
+    const isDeposit =
+      data.mode === "deposit" && depositPct > 0 && depositPct < 100;
+    if (data.mode === "deposit" && !isDeposit) {
+      return res.status(400).json({
+        error:
+          "Deposit mode requested but STRIPE_DEPOSIT_PERCENT not configured (1-99)",
+      });
+    }
+
+    const { salonTz, tenant } = await loadSchedulingContext({
+      tenantId: req.tenantId,
+      tenant: req.tenant,
+      locationId: data.locationId,
+    });
+
+    const reservation = await reserveGroupBooking({
+      tenantId: req.tenantId,
+      tenant,
+      salonTz,
+      organiser: data.organiser,
+      guests: data.guests,
+      start: new Date(data.startISO),
+      locationId: data.locationId || null,
+      userId: data.userId || null,
+    });
+    if (!reservation.ok) {
+      return res.status(reservation.status).json(reservation.body);
+    }
+    group = reservation.group;
+
+    const specialists = reservation.guests.map((guest) => guest.specialist);
+    const plan = planGroupPayment({
+      guests: reservation.guests,
+      depositPct: isDeposit ? depositPct : 0,
+      platformFee: getGroupPlatformFee(specialists),
+    });
+
+    const unpayable = findUnpayableSpecialist(
+      reservation.guests,
+      plan.shares,
+    );
+    if (unpayable) {
+      await releaseGroupBooking({ groupId: group._id });
+      return res.status(400).json({
+        error: "Online payments not available",
+        message: `${unpayable.name} has not connected their Stripe account yet, so this group cannot be paid online.`,
+        code: "STRIPE_NOT_CONNECTED",
+        specialistId: String(unpayable._id),
+      });
+    }
+    if (plan.totalAmount < 1) {
+      await releaseGroupBooking({ groupId: group._id });
+      return res.status(400).json({ error: "Invalid amount" });
+    }
+
+    const tenantSlug = req.tenant?.slug || "";
+    const tenantPath = tenantSlug ? `/salon/${tenantSlug}` : "";
+
+    const line_items = reservation.guests
+      .map((guest, i) => ({
+        price_data: {
+          currency,
+          unit_amount: plan.shares[i],
+          product_data: {
+            name: `${guest.name}: ${guest.service.name} - ${guest.variantName}`,
+            description: isDeposit
+              ? `Deposit payment (${depositPct}% of total ${Number(
+                  guest.price,
+                ).toFixed(2)})`
+              : `Full payment (total ${Number(guest.price).toFixed(2)})`,
+          },
+        },
+        quantity: 1,
+      }))
+      .filter((item) => item.price_data.unit_amount > 0);
+    if (plan.platformFee > 0) {
+      line_items.push({
+        price_data: {
+          currency,
+          unit_amount: plan.platformFee,
+          product_data: { name: "Booking Fee" },
+        },
+        quantity: 1,
+      });
+    }
+
+    const metadata = {
+      type: "group_booking",
+      groupId: String(group._id),
+      tenantId: String(req.tenantId || "default"),
+      ...(isDeposit ? { depositPercentage: String(depositPct) } : {}),
+    };
+    const sessionConfig = {
+      mode: "payment",
+      client_reference_id: `group_${group._id}`,
+      success_url: `${frontend}${tenantPath}/success?groupId=${group._id}&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${frontend}${tenantPath}/cancel?groupId=${group._id}`,
+      metadata,
+      line_items,
+      customer_email: data.organiser.email,
+      customer_creation: "always",
+      billing_address_collection: "required",
+      payment_intent_data:
+        plan.payoutMode === "destination"
+          ? {
+              application_fee_amount: plan.platformFee,
+              transfer_data: { destination: plan.destinationAccountId },
+              metadata,
+            }
+          : { transfer_group: `group_${group._id}`, metadata },
+    };
+
+    const stripe = getStripe();
+    const session = await stripe.checkout.sessions.create(sessionConfig);
+    stripeSessionCreated = true;
+
+    const chargeType =
+      plan.payoutMode === "destination"
+        ? "destination_charge"
+        : "platform_charge";
+    await Promise.all(
+      reservation.guests.map((guest, i) => {
+        const accountId =
+          guest.specialist?.stripeStatus === "connected"
+            ? guest.specialist.stripeAccountId
+            : null;
+        return Appointment.updateOne(
+          { _id: guest.appointmentId },
+          {
+            $set: {
+              payment: {
+                provider: "stripe",
+                sessionId: session.id,
+                status: "pending",
+                mode: isDeposit ? "deposit" : "pay_now",
+                amountTotal: plan.shares[i] + (i === 0 ? plan.platformFee : 0),
+                stripe: {
+                  sessionAccount: "platform",
+                  chargeType,
+                  // The booking fee is charged once, on the first guest
+                  platformFee: i === 0 ? plan.platformFee : 0,
+                  ...(accountId ? { beauticianStripeAccount: accountId } : {}),
+                },
+              },
+            },
+          },
+        );
+      }),
+    );
+    await BookingGroup.updateOne(
+      { _id: group._id },
+      {
+        $set: {
+          payment: {
+            mode: isDeposit ? "deposit" : "pay_now",
+            status: "pending",
+            sessionId: session.id,
+            amountTotal: plan.totalAmount,
+            platformFee: plan.platformFee,
+            payoutMode: plan.payoutMode,
+            transfers: plan.transfers,
+          },
+        },
+      },
+    );
+
+    res.json({
+      url: session.url,
+      sessionId: session.id,
+      groupId: String(group._id),
+      guests: reservation.guests.map((guest, i) => ({
+        appointmentId: String(guest.appointmentId),
+        name: guest.name,
+        specialistId: String(guest.specialistId),
+        serviceId: String(guest.serviceId),
+        variantName: guest.variantName,
+        amount: plan.shares[i],
+        consents: guest.consents,
+      })),
+    });
+  } catch (err) {
+    if (group && !stripeSessionCreated) {
+      try {
+        await releaseGroupBooking({ groupId: group._id });
+      } catch (releaseErr) {
+        console.error(
+          "[CHECKOUT] Failed to release group after group-session error:",
+          releaseErr,
+        );
+      }
+    }
+    next(err);
+  }
+});
+
+// DELETE /api/checkout/group/:groupId - Release an unpaid group booking when
+// the organiser abandons checkout
+r.delete("/group/:groupId", async (req, res, next) => {
+  try {
+    const validation = validateGroupId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid group ID",
+        details: validation.errors,
+      });
+    }
+
+    const group = await BookingGroup.findById(validation.data.groupId).lean();
+    if (!group) {
+      return res.status(404).json({ error: "Group booking not found" });
+    }
+
+    const released = await releaseGroupBooking({ groupId: group._id });
+    if (!released) {
+      return res.status(400).json({
+        error: "Can only delete unpaid group bookings",
+        status: group.status,
+      });
+    }
+
+    console.log(`[CHECKOUT CANCEL] Released unpaid group ${group._id}`);
+    res.json({
+      success: true,
+      message: "Unpaid group booking deleted successfully",
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/checkout/card-setup - Save the client's card for no-show/late-cancel fees
+r.post("/card-setup", async (req, res, next) => {
+  try {
+    const { appointmentId } = req.body || {};
+    if (!appointmentId || !mongoose.Types.ObjectId.isValid(appointmentId)) {
+      return res.status(400).json({ error: "Invalid appointment ID" });
+    }
 
+    const tenant =
+      req.tenant || (await Tenant.findById(req.tenantId).lean()) || null;
+    const result = await createCardSetup({ appointmentId, tenant });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    const { ok, ...body } = result;
+    res.json(body);
+  } catch (err) {
+    console.error("[CARD SETUP] Error:", err);
+    next(err);
+  }
+});
+
+// POST /api/checkout/card-setup/confirm - Record the card after Stripe.js confirms the SetupIntent
+r.post("/card-setup/confirm", async (req, res, next) => {
+  try {
+    const { appointmentId, setupIntentId } = req.body || {};
+    if (!appointmentId || !mongoose.Types.ObjectId.isValid(appointmentId)) {
+      return res.status(400).json({ error: "Invalid appointment ID" });
+    }
+
+    const result = await recordSavedCard({ appointmentId, setupIntentId });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    res.json({ saved: true, card: result.card });
+  } catch (err) {
+    console.error("[CARD SETUP] Confirm error:", err);
     next(err);
   }
 });
@@ -1128,13 +1911,12 @@ r.delete("/cancel-appointment/:appointmentId", async (req, res, next) => {
       });
     }
 
-    const giftCardCode = appointment?.payment?.giftCard?.code;
-    if (giftCardCode) {
-      const giftCard = await GiftCard.findOne({ code: giftCardCode });
-      if (giftCard) {
-        await giftCard.releaseReservation({ appointmentId: appointment._id });
-      }
-    }
+    await releaseGiftCardReservation({
+      application: appointment.payment?.giftCard,
+      target: { appointmentId: appointment._id },
+    });
+    await returnReferralCredit({ appointmentId: appointment._id });
+    await releaseAppointmentPromotion({ appointmentId: appointment._id });
 
     // Delete the appointment to free up the timeslot
     await Appointment.findByIdAndDelete(appointmentId);
@@ -5,12 +5,18 @@ import Client from "../models/Client.js";
 import Appointment from "../models/Appointment.js";
 import Tenant from "../models/Tenant.js";
 import Specialist from "../models/Specialist.js";
+import Service from "../models/Service.js";
 import jwt from "jsonwebtoken";
 import smsService from "../services/smsService.js";
 import { sendConfirmationEmail } from "../emails/mailer.js";
 import { resetReminderOnReschedule } from "../services/reminderService.js";
 import { updateCalendarEvent } from "../services/googleCalendar.js";
 import { JWT_SECRET } from "../config/security.js";
+import { getClientPackages } from "../services/packageService.js";
+import {
+  getCalendarFeedLinks,
+  rotateCalendarFeed,
+} from "../services/calendarFeedService.js";
 
 const router = express.Router();
 
@@ -256,12 +262,18 @@ router.get("/bookings", authenticateClient, async (req, res) => {
       .lean(); // Return plain objects for better performance
 
     const total = await Appointment.countDocuments(filter);
+    const { packages, sessionsRemaining } = await getClientPackages({
+      clientId,
+      tenantId,
+    });
 
     res.json({
       success: true,
       bookings,
       total,
       hasMore: skip + bookings.length < total,
+      packages,
+      packageSessionsRemaining: sessionsRemaining,
     });
   } catch (error) {
     console.error("[Client Bookings] Error:", error);
@@ -272,6 +284,52 @@ router.get("/bookings", authenticateClient, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/client/calendar-feed
+ * Subscribe link for the client's iCalendar feed of upcoming bookings
+ */
+router.get("/calendar-feed", authenticateClient, async (req, res) => {
+  try {
+    const links = await getCalendarFeedLinks({
+      owner: "client",
+      id: req.client._id,
+    });
+
+    res.json({ success: true, ...links });
+  } catch (error) {
+    console.error("[Client Calendar Feed] Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to load calendar feed link",
+    });
+  }
+});
+
+/**
+ * POST /api/client/calendar-feed/regenerate
+ * Revoke the current feed link and issue a new one
+ */
+router.post(
+  "/calendar-feed/regenerate",
+  authenticateClient,
+  async (req, res) => {
+    try {
+      const links = await rotateCalendarFeed({
+        owner: "client",
+        id: req.client._id,
+      });
+
+      res.json({ success: true, ...links });
+    } catch (error) {
+      console.error("[Client Calendar Feed] Regenerate error:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Failed to regenerate calendar feed link",
+      });
+    }
+  },
+);
+
 /**
  * PATCH /api/client/profile
  * Update client's global profile
@@ -541,6 +599,7 @@ router.post(
       // Update appointment
       appointment.start = new Date(newStart);
       appointment.end = new Date(newEnd);
+      appointment.calendarSequence = (appointment.calendarSequence || 0) + 1;
       appointment.audit.push({
         at: new Date(),
         action: "rescheduled",
@@ -608,21 +667,16 @@ router.post(
           );
         }
 
-        // Send email notification
+        // Send email notification; the .ics attachment updates the same event
         if (appointment.client?.email) {
+          const service = await Service.findById(
+            appointment.serviceId || appointment.services?.[0]?.serviceId,
+          ).lean();
           await sendConfirmationEmail({
-            to: appointment.client.email,
-            clientName: appointment.client.name,
-            serviceName:
-              appointment.services?.[0]?.serviceName || "Appointment",
-            specialistName: appointment.specialistId?.name || "Your specialist",
-            date: appointment.start,
-            duration:
-              appointment.totalDuration ||
-              appointment.services?.[0]?.duration ||
-              60,
-            businessName: tenant?.name || "Our Business",
-            rescheduleNote: `This appointment was rescheduled from ${oldDate} at ${oldTime}.`,
+            appointment,
+            service,
+            specialist: appointment.specialistId,
+            rescheduledFrom: oldStart,
           });
         }
       } catch (notifErr) {
@@ -4,6 +4,18 @@ import GiftCard from "../models/GiftCard.js";
 import Tenant from "../models/Tenant.js";
 import Specialist from "../models/Specialist.js";
 import { authenticateClient } from "../middleware/clientAuth.js";
+import requireAdmin from "../middleware/requireAdmin.js";
+import {
+  ADJUSTMENT_REASONS,
+  adjustGiftCardBalance,
+  buildLiabilityReport,
+  getGiftCardLedger,
+} from "../services/giftCardLedgerService.js";
+import {
+  findPayoutDestination,
+  getPayoutDestinationCandidates,
+  normalizePlatformFeeMinor,
+} from "../services/payoutDestinationService.js";
 import {
   sendGiftCardPurchaseConfirmation,
   sendGiftCardToRecipient,
@@ -61,138 +73,6 @@ const buildExpiryDate = () => {
   return expiryDate;
 };
 
-const normalizePlatformFeeMinor = (amountMinor) => {
-  const configuredFee = Number(process.env.STRIPE_PLATFORM_FEE || 99);
-  if (!Number.isFinite(configuredFee) || configuredFee < 0) return 0;
-  return Math.min(Math.round(configuredFee), Math.max(0, amountMinor - 1));
-};
-
-const getGiftCardDestinationCandidates = async ({ tenantId, specialistId }) => {
-  const candidates = [];
-  const seen = new Set();
-
-  const addCandidate = (candidate) => {
-    if (!candidate?.accountId) return;
-    const key = `${candidate.recipientType}:${candidate.recipientId}:${candidate.accountId}`;
-    if (seen.has(key)) return;
-    seen.add(key);
-    candidates.push(candidate);
-  };
-
-  if (specialistId) {
-    const selectedSpecialist = await Specialist.findOne({
-      _id: specialistId,
-      tenantId,
-      active: { $ne: false },
-      stripeAccountId: { $exists: true, $ne: null },
-      stripeStatus: "connected",
-      stripePayoutsEnabled: true,
-    })
-      .select("_id stripeAccountId")
-      .lean();
-
-    if (selectedSpecialist?.stripeAccountId) {
-      addCandidate({
-        accountId: selectedSpecialist.stripeAccountId,
-        recipientType: "specialist",
-        recipientId: String(selectedSpecialist._id),
-      });
-    }
-  }
-
-  const tenant = await Tenant.findById(tenantId)
-    .select("stripeAccountId")
-    .lean();
-
-  if (tenant?.stripeAccountId) {
-    addCandidate({
-      accountId: tenant.stripeAccountId,
-      recipientType: "tenant",
-      recipientId: String(tenantId),
-    });
-  }
-
-  const fallbackSpecialists = await Specialist.find({
-    tenantId,
-    active: { $ne: false },
-    stripeAccountId: { $exists: true, $ne: null },
-    stripeStatus: "connected",
-    stripePayoutsEnabled: true,
-  })
-    .sort({ createdAt: 1 })
-    .select("_id stripeAccountId")
-    .lean();
-
-  fallbackSpecialists.forEach((specialist) => {
-    addCandidate({
-      accountId: specialist.stripeAccountId,
-      recipientType: "specialist",
-      recipientId: String(specialist._id),
-    });
-  });
-
-  return candidates;
-};
-
-const validateStripeDestinationAccount = async ({ stripe, accountId }) => {
-  const normalizedAccountId = String(accountId || "").trim();
-  if (
-    !normalizedAccountId ||
-    !/^acct_[A-Za-z0-9]+$/.test(normalizedAccountId)
-  ) {
-    return {
-      isValid: false,
-      reason: "invalid_account_id",
-    };
-  }
-
-  try {
-    const account = await stripe.accounts.retrieve(normalizedAccountId);
-
-    if (!account || account.deleted) {
-      return {
-        isValid: false,
-        reason: "account_not_found",
-      };
-    }
-
-    if (!account.charges_enabled) {
-      return {
-        isValid: false,
-        reason: "charges_not_enabled",
-      };
-    }
-
-    if (!account.payouts_enabled) {
-      return {
-        isValid: false,
-        reason: "payouts_not_enabled",
-      };
-    }
-
-    return {
-      isValid: true,
-      reason: "ok",
-    };
-  } catch (error) {
-    const isMissingAccount = error?.code === "resource_missing";
-    const isInvalidOrRevokedAccount =
-      error?.code === "account_invalid" ||
-      error?.type === "StripePermissionError" ||
-      error?.statusCode === 403;
-
-    if (isMissingAccount || isInvalidOrRevokedAccount) {
-      return {
-        isValid: false,
-        reason: isMissingAccount
-          ? "account_not_found"
-          : "account_not_accessible",
-      };
-    }
-    throw error;
-  }
-};
-
 const generateUniqueGiftCardCode = async () => {
   let code;
   let codeExists = true;
@@ -411,7 +291,7 @@ router.post("/create-session", authenticateClient, async (req, res) => {
       }
     }
 
-    const payoutCandidates = await getGiftCardDestinationCandidates({
+    const payoutCandidates = await getPayoutDestinationCandidates({
       tenantId,
       specialistId,
     });
@@ -428,25 +308,12 @@ router.post("/create-session", authenticateClient, async (req, res) => {
     const stripe = getStripe();
     const platformFeeMinor = normalizePlatformFeeMinor(amountMinor);
 
-    let payoutDestination = null;
-    for (const candidate of payoutCandidates) {
-      const destinationValidation = await validateStripeDestinationAccount({
-        stripe,
-        accountId: candidate.accountId,
-      });
-
-      if (destinationValidation.isValid) {
-        payoutDestination = candidate;
-        break;
-      }
-
-      console.warn("[GIFT CARDS] Skipping invalid payout destination", {
-        tenantId,
-        specialistId,
-        destinationAccount: candidate.accountId,
-        reason: destinationValidation.reason,
-      });
-    }
+    const payoutDestination = await findPayoutDestination({
+      stripe,
+      candidates: payoutCandidates,
+      context: { tenantId, specialistId },
+      logPrefix: "[GIFT CARDS]",
+    });
 
     if (!payoutDestination?.accountId) {
       return res.status(400).json({
@@ -901,6 +768,127 @@ router.post("/", authenticateClient, async (req, res) => {
   }
 });
 
+// Super admins work across tenants; everyone else within their own
+const getAdminTenantScope = (req) =>
+  req.isSuperAdmin ? req.query?.tenantId || null : req.tenantId;
+
+/**
+ * GET /api/gift-cards/admin/liability?asOf=YYYY-MM-DD
+ * Outstanding gift card balances per tenant, for accounting
+ * Requires admin (super admins see every tenant, or ?tenantId=...)
+ */
+router.get("/admin/liability", requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getAdminTenantScope(req);
+    if (!tenantId && !req.isSuperAdmin) {
+      return res.status(403).json({ error: "No business selected" });
+    }
+
+    // A bare date means the end of that day
+    const asOfParam = String(req.query.asOf || "");
+    const asOf = !asOfParam
+      ? new Date()
+      : parseDeliveryDate(
+          /^\d{4}-\d{2}-\d{2}$/.test(asOfParam)
+            ? `${asOfParam}T23:59:59.999Z`
+            : asOfParam,
+        );
+    if (!asOf) {
+      return res.status(400).json({ error: "Invalid asOf date" });
+    }
+
+    const report = await buildLiabilityReport({ tenantId, asOf });
+    res.json(report);
+  } catch (error) {
+    console.error("[GIFT CARDS] Liability report error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to build gift card liability report" });
+  }
+});
+
+/**
+ * GET /api/gift-cards/admin/:id/ledger
+ * Every balance change and checkout hold on a gift card
+ * Requires admin
+ */
+router.get("/admin/:id/ledger", requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getAdminTenantScope(req);
+    if (!tenantId && !req.isSuperAdmin) {
+      return res.status(403).json({ error: "No business selected" });
+    }
+
+    const result = await getGiftCardLedger({
+      giftCardId: req.params.id,
+      tenantId,
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    res.json({
+      giftCard: result.giftCard,
+      summary: result.summary,
+      entries: result.entries,
+    });
+  } catch (error) {
+    console.error("[GIFT CARDS] Ledger error:", error);
+    res.status(500).json({ error: "Failed to fetch gift card ledger" });
+  }
+});
+
+/**
+ * POST /api/gift-cards/admin/:id/adjustments
+ * Manually add to (positive amount) or take from (negative) a card's
+ * balance. reasonCode is one of ADJUSTMENT_REASONS; "other" needs a note.
+ * Requires admin
+ */
+router.post("/admin/:id/adjustments", requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getAdminTenantScope(req);
+    if (!tenantId && !req.isSuperAdmin) {
+      return res.status(403).json({ error: "No business selected" });
+    }
+
+    const amount = sanitizeAmount(req.body?.amount);
+    const reasonCode = String(req.body?.reasonCode || "").trim();
+    const note = String(req.body?.note || "").trim();
+
+    if (!Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json({ error: "Invalid amount" });
+    }
+    if (!ADJUSTMENT_REASONS.includes(reasonCode)) {
+      return res.status(400).json({
+        error: `reasonCode must be one of: ${ADJUSTMENT_REASONS.join(", ")}`,
+      });
+    }
+    if (reasonCode === "other" && !note) {
+      return res
+        .status(400)
+        .json({ error: "A note is required for reason \"other\"" });
+    }
+    if (note.length > 500) {
+      return res
+        .status(400)
+        .json({ error: "Note must be 500 characters or less" });
+    }
+
+    const result = await adjustGiftCardBalance({
+      giftCardId: req.params.id,
+      tenantId,
+      amount,
+      reasonCode,
+      note: note || undefined,
+      by: req.admin?.email || String(req.admin?._id || "staff"),
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    res.status(201).json({ giftCard: result.giftCard, entry: result.entry });
+  } catch (error) {
+    console.error("[GIFT CARDS] Adjustment error:", error);
+    res.status(500).json({ error: "Failed to adjust gift card" });
+  }
+});
+
 /**
  * GET /api/gift-cards/:code
  * Validate and get gift card details
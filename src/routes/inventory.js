@@ -0,0 +1,145 @@
+import { Router } from "express";
+import requireAdmin from "../middleware/requireAdmin.js";
+import {
+  adjustStock,
+  getLowStockItems,
+  getStockMovements,
+} from "../services/inventoryService.js";
+import {
+  validateProductId,
+  validateStockAdjustment,
+  validateStockDelivery,
+  validateStockMovementsQuery,
+} from "../validations/inventory.schema.js";
+
+const router = Router();
+
+router.use(requireAdmin);
+
+const validationError = (res, errors) => {
+  const errorMessages = errors.map((e) => e.message).join(", ");
+  return res.status(400).json({
+    error: errorMessages || "Validation failed",
+    details: errors,
+  });
+};
+
+const invalidProductId = (res, errors) =>
+  res.status(400).json({ error: "Invalid product ID", details: errors });
+
+/**
+ * GET /api/inventory/low-stock
+ * Variants at or below their alert level. Specialists only see their own
+ * products.
+ */
+router.get("/low-stock", async (req, res, next) => {
+  try {
+    const items = await getLowStockItems({
+      tenantId: req.tenantId,
+      specialistId: req.admin.specialistId || null,
+    });
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/inventory/products/:id/movements
+ * A product's stock ledger, newest first
+ */
+router.get("/products/:id/movements", async (req, res, next) => {
+  try {
+    const idValidation = validateProductId(req.params);
+    if (!idValidation.success) {
+      return invalidProductId(res, idValidation.errors);
+    }
+    const queryValidation = validateStockMovementsQuery(req.query);
+    if (!queryValidation.success) {
+      return validationError(res, queryValidation.errors);
+    }
+
+    const movements = await getStockMovements({
+      tenantId: req.tenantId,
+      productId: idValidation.data.id,
+      ...queryValidation.data,
+    });
+    res.json(movements);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/inventory/products/:id/adjustments
+ * Correct the count (stocktake, damage, samples)
+ */
+router.post("/products/:id/adjustments", async (req, res, next) => {
+  try {
+    const idValidation = validateProductId(req.params);
+    if (!idValidation.success) {
+      return invalidProductId(res, idValidation.errors);
+    }
+    const validation = validateStockAdjustment(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+
+    const result = await adjustStock({
+      tenantId: req.tenantId,
+      productId: idValidation.data.id,
+      variantId: validation.data.variantId || null,
+      quantity: validation.data.quantity,
+      type: "adjustment",
+      note: validation.data.note,
+      createdBy: req.admin.email || "staff",
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+    res.status(201).json({
+      product: result.product,
+      movement: result.movement,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/inventory/products/:id/deliveries
+ * Book in a delivery from the supplier
+ */
+router.post("/products/:id/deliveries", async (req, res, next) => {
+  try {
+    const idValidation = validateProductId(req.params);
+    if (!idValidation.success) {
+      return invalidProductId(res, idValidation.errors);
+    }
+    const validation = validateStockDelivery(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+
+    const result = await adjustStock({
+      tenantId: req.tenantId,
+      productId: idValidation.data.id,
+      variantId: validation.data.variantId || null,
+      quantity: validation.data.quantity,
+      type: "delivery",
+      note: validation.data.note,
+      createdBy: req.admin.email || "staff",
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+    res.status(201).json({
+      product: result.product,
+      movement: result.movement,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
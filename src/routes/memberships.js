@@ -0,0 +1,509 @@
+import { Router } from "express";
+import Stripe from "stripe";
+import Membership from "../models/Membership.js";
+import MembershipPlan from "../models/MembershipPlan.js";
+import Service from "../models/Service.js";
+import Tenant from "../models/Tenant.js";
+import { authenticateClient } from "../middleware/clientAuth.js";
+import requireAdmin from "../middleware/requireAdmin.js";
+import {
+  findPayoutDestination,
+  getPayoutDestinationCandidates,
+} from "../services/payoutDestinationService.js";
+import {
+  LIVE_STATUSES,
+  MEMBERSHIP_CODES,
+  describeMembership,
+  getClientMemberships,
+  syncMembershipFromSubscription,
+} from "../services/membershipService.js";
+import {
+  validateCreateMembershipPlan,
+  validateUpdateMembershipPlan,
+  validateCreateMembershipSession,
+  validateMembershipId,
+} from "../validations/membership.schema.js";
+
+const router = Router();
+let stripeInstance = null;
+
+function getStripe() {
+  if (!stripeInstance) {
+    const stripeKey = process.env.STRIPE_SECRET;
+    if (!stripeKey) {
+      throw new Error("STRIPE_SECRET not configured");
+    }
+    stripeInstance = new Stripe(stripeKey, { apiVersion: "2024-06-20" });
+  }
+  return stripeInstance;
+}
+
+const NOT_READY_FOR_PAYMENTS =
+  "This business is not yet ready to take membership payments. Please try again later.";
+
+const validationError = (res, errors) => {
+  const errorMessages = errors.map((e) => e.message).join(", ");
+  return res.status(400).json({
+    error: errorMessages || "Validation failed",
+    details: errors,
+  });
+};
+
+// Every service (and variant) a plan refers to must belong to the tenant
+const checkPlanServices = async ({
+  tenantId,
+  discountServiceIds = [],
+  includedServices = [],
+}) => {
+  const serviceIds = [
+    ...new Set([
+      ...discountServiceIds.map(String),
+      ...includedServices.map((included) => String(included.serviceId)),
+    ]),
+  ];
+  if (serviceIds.length === 0) return null;
+
+  const services = await Service.find({ _id: { $in: serviceIds }, tenantId })
+    .select("variants")
+    .lean();
+  const byId = new Map(
+    services.map((service) => [String(service._id), service]),
+  );
+  if (serviceIds.some((id) => !byId.has(id))) return "Service not found";
+
+  const unknownVariant = includedServices.some(
+    (included) =>
+      included.variantName &&
+      !(byId.get(String(included.serviceId)).variants || []).some(
+        (variant) => variant.name === included.variantName,
+      ),
+  );
+  return unknownVariant ? "Variant not found" : null;
+};
+
+/**
+ * GET /api/memberships/my
+ * Memberships of the authenticated client
+ * Optional ?tenantId= to only show one business
+ */
+router.get("/my", authenticateClient, async (req, res) => {
+  try {
+    const memberships = await getClientMemberships({
+      clientId: req.clientId,
+      tenantId: req.query.tenantId,
+    });
+    res.json({ memberships });
+  } catch (error) {
+    console.error("[MEMBERSHIPS] Get my memberships error:", error);
+    res.status(500).json({ error: "Failed to fetch memberships" });
+  }
+});
+
+/**
+ * GET /api/memberships/admin
+ * The tenant's members, optionally filtered by ?status=
+ */
+router.get("/admin", requireAdmin, async (req, res, next) => {
+  try {
+    const filter = {
+      tenantId: req.tenantId,
+      status: { $nin: ["incomplete", "incomplete_expired"] },
+    };
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+
+    const memberships = await Membership.find(filter)
+      .populate("clientId", "name email phone")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(
+      memberships.map((membership) => ({
+        ...describeMembership(membership),
+        client: membership.clientId,
+      })),
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/memberships/admin/plans
+ * All of the tenant's membership plans, including inactive ones
+ */
+router.get("/admin/plans", requireAdmin, async (req, res, next) => {
+  try {
+    const plans = await MembershipPlan.find({ tenantId: req.tenantId })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(plans);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/memberships/admin/plans
+ * Create a membership plan
+ */
+router.post("/admin/plans", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validateCreateMembershipPlan(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+
+    const tenantId = req.tenantId || req.admin.tenantId;
+    const serviceError = await checkPlanServices({
+      tenantId,
+      ...validation.data,
+    });
+    if (serviceError) {
+      return res.status(400).json({ error: serviceError });
+    }
+
+    const plan = await MembershipPlan.create({ ...validation.data, tenantId });
+    res.status(201).json(plan);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/memberships/admin/plans/:id
+ * Update a membership plan. Existing members keep the price and benefits
+ * they signed up with.
+ */
+router.patch("/admin/plans/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const idValidation = validateMembershipId(req.params);
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: "Invalid plan ID",
+        details: idValidation.errors,
+      });
+    }
+
+    const dataValidation = validateUpdateMembershipPlan(req.body);
+    if (!dataValidation.success) {
+      return validationError(res, dataValidation.errors);
+    }
+
+    const updates = dataValidation.data;
+    const serviceError = await checkPlanServices({
+      tenantId: req.tenantId,
+      discountServiceIds: updates.discountServiceIds,
+      includedServices: updates.includedServices,
+    });
+    if (serviceError) {
+      return res.status(400).json({ error: serviceError });
+    }
+
+    const plan = await MembershipPlan.findOneAndUpdate(
+      { _id: idValidation.data.id, tenantId: req.tenantId },
+      { $set: updates },
+      { new: true, runValidators: true },
+    );
+    if (!plan) {
+      return res.status(404).json({ error: "Membership plan not found" });
+    }
+    res.json(plan);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/memberships/admin/plans/:id
+ * Stop selling a plan (soft delete); existing memberships carry on
+ */
+router.delete("/admin/plans/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validateMembershipId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid plan ID",
+        details: validation.errors,
+      });
+    }
+
+    const plan = await MembershipPlan.findOneAndUpdate(
+      { _id: validation.data.id, tenantId: req.tenantId },
+      { $set: { active: false } },
+      { new: true },
+    );
+    if (!plan) {
+      return res.status(404).json({ error: "Membership plan not found" });
+    }
+
+    res.json({ message: "Membership plan deleted successfully", plan });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/memberships/subscribe
+ * Create a Stripe subscription Checkout for a plan, on the business's
+ * connected account
+ */
+router.post("/subscribe", authenticateClient, async (req, res) => {
+  let membership = null;
+
+  try {
+    const validation = validateCreateMembershipSession(req.body || {});
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+
+    const plan = await MembershipPlan.findOne({
+      _id: validation.data.planId,
+      active: true,
+    }).lean();
+    if (!plan) {
+      return res.status(404).json({
+        error: "Membership plan not found",
+        code: MEMBERSHIP_CODES.PLAN_NOT_FOUND,
+      });
+    }
+
+    const existing = await Membership.findOne({
+      tenantId: plan.tenantId,
+      clientId: req.clientId,
+      status: { $in: LIVE_STATUSES },
+    }).lean();
+    if (existing) {
+      return res.status(409).json({
+        error: "You already have a membership with this business",
+        code: MEMBERSHIP_CODES.ALREADY_MEMBER,
+        membership: describeMembership(existing),
+      });
+    }
+
+    const tenant = await Tenant.findById(plan.tenantId)
+      .select("name slug")
+      .lean();
+    if (!tenant) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+
+    const payoutCandidates = await getPayoutDestinationCandidates({
+      tenantId: plan.tenantId,
+    });
+    if (payoutCandidates.length === 0) {
+      return res.status(400).json({ error: NOT_READY_FOR_PAYMENTS });
+    }
+
+    const stripe = getStripe();
+    const payoutDestination = await findPayoutDestination({
+      stripe,
+      candidates: payoutCandidates,
+      context: { tenantId: plan.tenantId, planId: plan._id },
+      logPrefix: "[MEMBERSHIPS]",
+    });
+    if (!payoutDestination?.accountId) {
+      return res.status(400).json({ error: NOT_READY_FOR_PAYMENTS });
+    }
+
+    membership = await Membership.create({
+      tenantId: plan.tenantId,
+      planId: plan._id,
+      clientId: req.clientId,
+      planName: plan.name,
+      price: plan.price,
+      currency: plan.currency,
+      discountPercent: plan.discountPercent,
+      discountServiceIds: plan.discountServiceIds,
+      includedServices: plan.includedServices,
+      status: "incomplete",
+      stripeAccountId: payoutDestination.accountId,
+    });
+
+    const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+    const tenantPath = tenant.slug ? `/salon/${tenant.slug}` : "";
+    const metadata = {
+      membershipId: String(membership._id),
+      planId: String(plan._id),
+      tenantId: String(plan.tenantId),
+      clientId: String(req.clientId),
+      type: "client_membership",
+    };
+
+    const session = await stripe.checkout.sessions.create(
+      {
+        mode: "subscription",
+        client_reference_id: String(membership._id),
+        success_url: `${frontend}${tenantPath}/membership/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${frontend}${tenantPath}/membership`,
+        customer_email: req.client.email,
+        metadata,
+        subscription_data: { metadata },
+        line_items: [
+          {
+            price_data: {
+              currency: String(plan.currency || "GBP").toLowerCase(),
+              unit_amount: Math.round(Number(plan.price) * 100),
+              recurring: { interval: "month" },
+              product_data: {
+                name: `${plan.name} - ${tenant.name || "Business"}`,
+              },
+            },
+            quantity: 1,
+          },
+        ],
+      },
+      { stripeAccount: payoutDestination.accountId },
+    );
+
+    membership.stripeCheckoutSessionId = session.id;
+    await membership.save();
+
+    return res.json({
+      sessionId: session.id,
+      url: session.url,
+      membershipId: membership._id,
+    });
+  } catch (error) {
+    console.error("[MEMBERSHIPS] Subscribe error:", error);
+
+    if (membership?._id) {
+      await Membership.updateOne(
+        { _id: membership._id, status: "incomplete" },
+        { $set: { status: "incomplete_expired" } },
+      );
+    }
+
+    res
+      .status(500)
+      .json({ error: "Failed to create membership checkout session" });
+  }
+});
+
+/**
+ * GET /api/memberships/confirm?session_id=...
+ * Confirm a subscription Checkout without waiting for the webhook
+ */
+router.get("/confirm", async (req, res) => {
+  try {
+    const sessionId = String(req.query?.session_id || "").trim();
+    if (!sessionId) {
+      return res.status(400).json({ error: "Missing session_id" });
+    }
+
+    const membership = await Membership.findOne({
+      stripeCheckoutSessionId: sessionId,
+    }).lean();
+    if (!membership) {
+      return res.status(404).json({
+        error: "Membership not found",
+        code: MEMBERSHIP_CODES.NOT_FOUND,
+      });
+    }
+
+    const stripe = getStripe();
+    const stripeAccount = { stripeAccount: membership.stripeAccountId };
+    const session = await stripe.checkout.sessions.retrieve(
+      sessionId,
+      stripeAccount,
+    );
+    if (session?.status !== "complete" || !session.subscription) {
+      return res.status(409).json({
+        error: "Membership not paid yet",
+        session: {
+          payment_status: session?.payment_status,
+          status: session?.status,
+        },
+      });
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(
+      String(session.subscription),
+      stripeAccount,
+    );
+    const synced = await syncMembershipFromSubscription({
+      subscription: {
+        ...subscription,
+        metadata: {
+          ...subscription.metadata,
+          membershipId: String(membership._id),
+        },
+      },
+    });
+
+    return res.json({
+      ok: true,
+      membership: describeMembership(synced || membership),
+    });
+  } catch (error) {
+    console.error("[MEMBERSHIPS] Confirm error:", error);
+    res.status(500).json({ error: "Failed to confirm membership" });
+  }
+});
+
+/**
+ * POST /api/memberships/:id/cancel
+ * Cancel the authenticated client's membership at the end of the period
+ * they've paid for
+ */
+router.post("/:id/cancel", authenticateClient, async (req, res) => {
+  try {
+    const validation = validateMembershipId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid membership ID",
+        details: validation.errors,
+      });
+    }
+
+    const membership = await Membership.findOne({
+      _id: validation.data.id,
+      clientId: req.clientId,
+    }).lean();
+    if (!membership || !LIVE_STATUSES.includes(membership.status)) {
+      return res.status(404).json({
+        error: "Membership not found",
+        code: MEMBERSHIP_CODES.NOT_FOUND,
+      });
+    }
+
+    const subscription = await getStripe().subscriptions.update(
+      membership.stripeSubscriptionId,
+      { cancel_at_period_end: true },
+      { stripeAccount: membership.stripeAccountId },
+    );
+    const synced = await syncMembershipFromSubscription({ subscription });
+
+    res.json({
+      ok: true,
+      message: "Membership will end at the end of the current period",
+      membership: describeMembership(synced || membership),
+    });
+  } catch (error) {
+    console.error("[MEMBERSHIPS] Cancel error:", error);
+    res.status(500).json({ error: "Failed to cancel membership" });
+  }
+});
+
+/**
+ * GET /api/memberships?tenantId=...
+ * Membership plans a business sells
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const tenantId = String(req.query.tenantId || req.tenantId || "");
+    if (!/^[0-9a-fA-F]{24}$/.test(tenantId)) {
+      return res.status(400).json({ error: "Missing or invalid tenantId" });
+    }
+
+    const plans = await MembershipPlan.find({ tenantId, active: true })
+      .populate("includedServices.serviceId", "name")
+      .sort({ price: 1 })
+      .lean();
+    res.json(plans);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
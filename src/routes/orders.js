@@ -15,6 +15,30 @@ import {
   MAX_LIMIT,
 } from "../utils/queryHelpers.js";
 import { createConsoleLogger } from "../utils/logger.js";
+import {
+  GIFT_CARD_CODES,
+  attachGiftCardSession,
+  redeemGiftCardReservation,
+  releaseGiftCardReservation,
+  reserveGiftCard,
+  roundMoney,
+  settleGiftCardRedemption,
+} from "../services/giftCardRedemptionService.js";
+import {
+  evaluatePromotion,
+  releaseOrderPromotion,
+  reserveOrderPromotion,
+} from "../services/promotionService.js";
+import {
+  commitOrderStock,
+  releaseOrderStock,
+  reserveOrderStock,
+  restockOrder,
+  STOCK_HOLD_MINUTES,
+} from "../services/inventoryService.js";
+import { refundOrder } from "../services/orderRefundService.js";
+import { resolveShippingOption } from "../services/shippingRateService.js";
+import { validateRefundOrder } from "../validations/order.schema.js";
 
 const router = Router();
 const LOG_ORDERS =
@@ -31,6 +55,122 @@ function getStripe() {
   return stripeInstance;
 }
 
+// Give back what an unpaid order's checkout held: its stock and promo use
+async function releaseOrderHolds(order) {
+  await releaseOrderStock({ order });
+  await releaseOrderPromotion({ order });
+}
+
+/**
+ * Take stock and send confirmation emails for an order that has just been
+ * paid (by card or fully by gift card)
+ */
+async function fulfilPaidOrder(order) {
+  // Turn the checkout's stock hold into sales
+  await commitOrderStock({ order });
+
+  // Send order confirmation emails
+  console.log("[ORDER CONFIRM] About to send order confirmation emails...");
+  try {
+    // Reload order with populated product data for emails
+    const populatedOrder = await Order.findById(order._id).populate(
+      "items.productId",
+    );
+    console.log(
+      "[ORDER CONFIRM] Loaded order with products. Customer email:",
+      populatedOrder.customer?.email,
+    );
+
+    // Send customer confirmation email
+    await sendOrderConfirmationEmail({ order: populatedOrder });
+    console.log(
+      "[ORDER CONFIRM] Customer confirmation email sent to:",
+      populatedOrder.customer?.email,
+    );
+
+    // Send admin notification email
+
+    // Send notifications to specialists for their products
+    const itemsByBeautician = {};
+    for (const item of populatedOrder.items) {
+      const specialistId = item.productId?.specialistId;
+      if (specialistId) {
+        const beauticianIdStr = specialistId.toString();
+        if (!itemsByBeautician[beauticianIdStr]) {
+          itemsByBeautician[beauticianIdStr] = [];
+        }
+        itemsByBeautician[beauticianIdStr].push(item);
+      }
+    }
+
+    for (const [specialistId, items] of Object.entries(itemsByBeautician)) {
+      try {
+        const specialist = await Specialist.findById(specialistId);
+        if (specialist?.email) {
+          await sendBeauticianProductOrderNotification({
+            order: populatedOrder,
+            specialist,
+            beauticianItems: items,
+          });
+          console.log(
+            `[ORDER CONFIRM] Specialist notification sent to ${specialist.email} for ${items.length} product(s)`,
+          );
+        }
+      } catch (beauticianEmailErr) {
+        console.error(
+          `[ORDER CONFIRM] Failed to send specialist notification to ${specialistId}:`,
+          beauticianEmailErr,
+        );
+        // Continue with other specialists
+      }
+    }
+  } catch (emailErr) {
+    console.error("[ORDER CONFIRM] Failed to send order emails:", emailErr);
+    // Don't fail the request if email fails
+  }
+}
+
+/**
+ * Pay an order entirely from its gift card reservation, without Stripe
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, body: object }>}
+ */
+async function completeGiftCardOrder({ order, appliedGiftCard }) {
+  const target = { orderId: order._id };
+  const redemption = await redeemGiftCardReservation({
+    application: appliedGiftCard,
+    target,
+    clientId: order.userId,
+  });
+  if (redemption.status !== "redeemed") {
+    await releaseGiftCardReservation({ application: appliedGiftCard, target });
+    order.paymentStatus = "failed";
+    order.giftCard = undefined;
+    await order.save();
+    return {
+      ok: false,
+      status: 409,
+      body: {
+        error: "Gift card could not be redeemed",
+        message: redemption.error,
+        code: GIFT_CARD_CODES.INVALID,
+      },
+    };
+  }
+
+  order.paymentMethod = "gift_card";
+  order.paymentStatus = "paid";
+  order.orderStatus = "processing";
+  order.giftCard = {
+    ...appliedGiftCard,
+    redemptionStatus: "redeemed",
+    redeemedAt: new Date(),
+  };
+  await order.save();
+
+  await fulfilPaidOrder(order);
+  return { ok: true };
+}
+
 // GET /api/orders - List all orders (admin)
 router.get("/", async (req, res) => {
   try {
@@ -45,7 +185,7 @@ router.get("/", async (req, res) => {
     // Build optimized query with lean and select
     let orderQuery = Order.find(filter)
       .select(
-        "orderNumber userId items subtotal shipping total orderStatus paymentStatus createdAt shippingAddress",
+        "orderNumber userId items subtotal discount shipping total orderStatus paymentStatus createdAt shippingAddress",
       )
       .lean();
 
@@ -119,8 +259,8 @@ router.get("/confirm-checkout", async (req, res) => {
 
         if (
           specialist &&
-          Specialist.stripeAccountId &&
-          Specialist.stripeStatus === "connected"
+          specialist.stripeAccountId &&
+          specialist.stripeStatus === "connected"
         ) {
           try {
             // Destination charge: payment already sent directly to specialist
@@ -130,16 +270,16 @@ router.get("/confirm-checkout", async (req, res) => {
               session.payment_intent?.id || session.payment_intent;
 
             // Update specialist earnings
-            await Specialist.findByIdAndUpdate(Specialist._id, {
+            await Specialist.findByIdAndUpdate(specialist._id, {
               $inc: { totalEarnings: payment.amount },
             });
 
             console.log(
-              `[PRODUCT ORDER] Direct payment processed for specialist ${Specialist._id} - amount: £${payment.amount}`,
+              `[PRODUCT ORDER] Direct payment processed for specialist ${specialist._id} - amount: £${payment.amount}`,
             );
           } catch (error) {
             console.error(
-              `[PRODUCT ORDER] Payment processing failed for specialist ${Specialist._id}:`,
+              `[PRODUCT ORDER] Payment processing failed for specialist ${specialist._id}:`,
               error,
             );
             payment.status = "failed";
@@ -155,81 +295,15 @@ router.get("/confirm-checkout", async (req, res) => {
 
     await order.save();
 
-    // Update stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        if (item.variantId && product.variants) {
-          const variant = product.variants.id(item.variantId);
-          if (variant) {
-            variant.stock -= item.quantity;
-          }
-        } else {
-          product.stock -= item.quantity;
-        }
-        await product.save();
-      }
-    }
-
-    // Send order confirmation emails
-    console.log("[ORDER CONFIRM] About to send order confirmation emails...");
-    try {
-      // Reload order with populated product data for emails
-      const populatedOrder = await Order.findById(order._id).populate(
-        "items.productId",
-      );
-      console.log(
-        "[ORDER CONFIRM] Loaded order with products. Customer email:",
-        populatedOrder.customer?.email,
-      );
-
-      // Send customer confirmation email
-      await sendOrderConfirmationEmail({ order: populatedOrder });
-      console.log(
-        "[ORDER CONFIRM] Customer confirmation email sent to:",
-        populatedOrder.customer?.email,
-      );
+    await settleGiftCardRedemption({
+      Model: Order,
+      id: order._id,
+      path: "giftCard",
+      target: { orderId: order._id },
+      clientId: order.userId,
+    });
 
-      // Send admin notification email
-
-      // Send notifications to specialists for their products
-      const itemsByBeautician = {};
-      for (const item of populatedOrder.items) {
-        const specialistId = item.productId?.specialistId;
-        if (specialistId) {
-          const beauticianIdStr = specialistId.toString();
-          if (!itemsByBeautician[beauticianIdStr]) {
-            itemsByBeautician[beauticianIdStr] = [];
-          }
-          itemsByBeautician[beauticianIdStr].push(item);
-        }
-      }
-
-      for (const [specialistId, items] of Object.entries(itemsByBeautician)) {
-        try {
-          const specialist = await Specialist.findById(specialistId);
-          if (specialist?.email) {
-            await sendBeauticianProductOrderNotification({
-              order: populatedOrder,
-              specialist,
-              beauticianItems: items,
-            });
-            console.log(
-              `[ORDER CONFIRM] Specialist notification sent to ${Specialist.email} for ${items.length} product(s)`,
-            );
-          }
-        } catch (beauticianEmailErr) {
-          console.error(
-            `[ORDER CONFIRM] Failed to send specialist notification to ${specialistId}:`,
-            beauticianEmailErr,
-          );
-          // Continue with other specialists
-        }
-      }
-    } catch (emailErr) {
-      console.error("[ORDER CONFIRM] Failed to send order emails:", emailErr);
-      // Don't fail the request if email fails
-    }
+    await fulfilPaidOrder(order);
 
     res.json({ success: true, order });
   } catch (error) {
@@ -271,6 +345,8 @@ router.get("/:id", async (req, res) => {
 
 // POST /api/orders/checkout - Create Stripe checkout session for product order
 router.post("/checkout", async (req, res) => {
+  let reservationContext = null;
+  let heldOrder = null;
   try {
     const stripe = getStripe();
     const {
@@ -278,6 +354,8 @@ router.post("/checkout", async (req, res) => {
       shippingAddress,
       shippingMethod,
       currency: requestedCurrency,
+      giftCardCode,
+      promoCode,
     } = req.body;
 
     console.log("[CHECKOUT] Requested currency:", requestedCurrency);
@@ -376,14 +454,57 @@ router.post("/checkout", async (req, res) => {
         image: product.image?.url || product.images?.[0]?.url || "",
         specialistId: product.specialistId._id,
         specialist: product.specialistId,
+        category: product.category,
+        // Variant weights are in grams; the rate engine works in kg
+        weight: variant?.weight ? variant.weight / 1000 : undefined,
       });
 
       subtotal += price * item.quantity;
     }
 
-    // Use selected shipping method price, or calculate default
-    const shipping = shippingMethod?.price ?? (subtotal >= 50 ? 0 : 5.99);
-    const total = subtotal + shipping;
+    // Promo code: taken off the subtotal, before shipping
+    let promotion = null;
+    if (promoCode) {
+      const result = await evaluatePromotion({
+        code: promoCode,
+        tenantId: req.tenantId,
+        kind: "order",
+        lines: validatedItems.map((item) => ({
+          productId: item.productId,
+          category: item.category,
+          specialistId: item.specialistId,
+          amount: item.price * item.quantity,
+        })),
+        subtotal,
+        email: shippingAddress?.email,
+      });
+      if (!result.ok) {
+        return res.status(result.status).json(result.body);
+      }
+      promotion = result.applied;
+    }
+    const discount = promotion ? promotion.discount : 0;
+
+    // Priced by the rate engine; the client only picks the option
+    const shippingResult = await resolveShippingOption({
+      tenantId: req.tenantId,
+      methodId: shippingMethod?.id || null,
+      collection: Boolean(req.body.isCollection),
+      destination: {
+        countryCode: shippingAddress?.country,
+        postalCode: shippingAddress?.postalCode,
+        city: shippingAddress?.city,
+      },
+      items: validatedItems,
+      subtotal: roundMoney(subtotal - discount),
+    });
+    if (!shippingResult.ok) {
+      return res.status(shippingResult.status).json(shippingResult.body);
+    }
+    const shippingOption = shippingResult.option;
+    const isCollection = shippingOption.type === "collection";
+    const shipping = shippingOption.price;
+    const total = roundMoney(subtotal - discount + shipping);
 
     // Use requested currency or default to environment/gbp
     const currency = (
@@ -407,8 +528,22 @@ router.post("/checkout", async (req, res) => {
         specialistId: item.specialistId,
       })),
       shippingAddress,
-      isCollection: req.body.isCollection || false,
+      isCollection,
+      ...(shippingOption.address
+        ? {
+            collectionAddress: shippingOption.address,
+            collectionLocationId: shippingOption.locationId,
+          }
+        : {}),
+      shippingMethod: {
+        id: shippingOption.id,
+        type: shippingOption.type,
+        name: shippingOption.name,
+        estimatedDays: shippingOption.estimatedDays,
+      },
       subtotal,
+      discount,
+      ...(promotion ? { promotion } : {}),
       shipping,
       tax: 0,
       total,
@@ -438,6 +573,28 @@ router.post("/checkout", async (req, res) => {
       });
     }
 
+    // Hold the promo code use and the stock while the checkout is open; the
+    // webhook gives them back if the session expires unpaid
+    if (promotion) {
+      const promotionUse = await reserveOrderPromotion({ order });
+      if (!promotionUse.ok) {
+        order.paymentStatus = "failed";
+        await order.save();
+        return res.status(promotionUse.status).json(promotionUse.body);
+      }
+    }
+    heldOrder = order;
+    const stockReservation = await reserveOrderStock({ order });
+    if (!stockReservation.ok) {
+      heldOrder = null;
+      await releaseOrderPromotion({ order });
+      order.paymentStatus = "failed";
+      await order.save();
+      return res
+        .status(stockReservation.status)
+        .json(stockReservation.body);
+    }
+
     const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
 
     // Build line items for Stripe
@@ -469,12 +626,76 @@ router.post("/checkout", async (req, res) => {
 
       stripeConnectPayments.push({
         specialistId,
-        beauticianStripeAccount: firstItem.Specialist.stripeAccountId,
+        beauticianStripeAccount: firstItem.specialist.stripeAccountId,
         amount: itemsTotal,
         status: "pending",
       });
     }
 
+    // Gift card: reserve what it covers, Stripe charges the rest
+    let appliedGiftCard = null;
+    if (giftCardCode) {
+      const target = { orderId: order._id };
+      const reservation = await reserveGiftCard({
+        code: giftCardCode,
+        tenantId: order.tenantId,
+        target,
+        amountDue: total,
+      });
+      if (!reservation.ok) {
+        heldOrder = null;
+        await releaseOrderHolds(order);
+        return res.status(reservation.status).json(reservation.body);
+      }
+      appliedGiftCard = reservation.applied;
+      if (appliedGiftCard) {
+        reservationContext = { application: appliedGiftCard, target };
+      }
+    }
+
+    const amountToPay = appliedGiftCard
+      ? roundMoney(total - appliedGiftCard.appliedAmount)
+      : total;
+
+    if (appliedGiftCard && amountToPay < 0.01) {
+      const completed = await completeGiftCardOrder({ order, appliedGiftCard });
+      reservationContext = null;
+      heldOrder = null;
+      if (!completed.ok) {
+        await releaseOrderHolds(order);
+        return res.status(completed.status).json(completed.body);
+      }
+      return res.json({
+        completed: true,
+        orderId: order._id,
+        url: `${frontend}/shop/success?orderId=${order._id}`,
+      });
+    }
+
+    // Stripe can't discount a session without a coupon, so a promo code
+    // or gift card charges the remainder (shipping included) as one line
+    const singleLine = Boolean(appliedGiftCard || promotion);
+    if (singleLine) {
+      if (appliedGiftCard) order.giftCard = appliedGiftCard;
+      const adjustments = [
+        promotion &&
+          `Promo ${promotion.code}: -${promotion.discount.toFixed(2)}`,
+        appliedGiftCard &&
+          `Gift card ${appliedGiftCard.code} applied: ${appliedGiftCard.appliedAmount.toFixed(2)}`,
+      ].filter(Boolean);
+      lineItems.splice(0, lineItems.length, {
+        price_data: {
+          currency,
+          unit_amount: Math.round(amountToPay * 100),
+          product_data: {
+            name: `Order ${order.orderNumber}`,
+            description: adjustments.join(" • "),
+          },
+        },
+        quantity: 1,
+      });
+    }
+
     // Note: Shipping is now handled via shipping_options in Stripe Checkout
     // Don't add shipping as a line item since Stripe will add it based on shipping_options
 
@@ -514,6 +735,8 @@ router.post("/checkout", async (req, res) => {
     if (stripeConnectPayments.length === 1) {
       const payment = stripeConnectPayments[0];
       if (!payment.beauticianStripeAccount) {
+        heldOrder = null;
+        await releaseOrderHolds(order);
         return res.status(400).json({
           error:
             "Product owner has not set up payment processing. Please contact support.",
@@ -523,6 +746,8 @@ router.post("/checkout", async (req, res) => {
 
     const sessionConfig = {
       mode: "payment",
+      // Expiring the session puts the held stock and promo use back
+      expires_at: Math.floor(Date.now() / 1000) + STOCK_HOLD_MINUTES * 60,
       client_reference_id: String(order._id),
       customer: customer.id,
       success_url: `${frontend}/shop/success?orderId=${order._id}&session_id={CHECKOUT_SESSION_ID}`,
@@ -541,19 +766,19 @@ router.post("/checkout", async (req, res) => {
               currency,
             },
             display_name:
-              shippingMethod?.name ||
+              shippingOption.name ||
               (shipping === 0 ? "Free Shipping" : "Standard Shipping"),
-            delivery_estimate: shippingMethod?.estimatedDays
+            delivery_estimate: shippingOption.estimatedDays
               ? {
                   minimum: {
                     unit: "business_day",
                     value:
-                      parseInt(shippingMethod.estimatedDays.split("-")[0]) || 3,
+                      parseInt(shippingOption.estimatedDays.split("-")[0]) || 3,
                   },
                   maximum: {
                     unit: "business_day",
                     value:
-                      parseInt(shippingMethod.estimatedDays.split("-")[1]) || 5,
+                      parseInt(shippingOption.estimatedDays.split("-")[1]) || 5,
                   },
                 }
               : {
@@ -572,9 +797,13 @@ router.post("/checkout", async (req, res) => {
       phone_number_collection: {
         enabled: false, // Already have phone from customer
       },
-      allow_promotion_codes: true,
     };
 
+    // Shipping is already in the single line
+    if (singleLine) {
+      delete sessionConfig.shipping_options;
+    }
+
     // Multi-tenant: Apply platform fee for product orders
     const tenant = req.tenant;
     const platformFee =
@@ -588,7 +817,11 @@ router.post("/checkout", async (req, res) => {
     ) {
       const payment = stripeConnectPayments[0];
       sessionConfig.payment_intent_data = {
-        application_fee_amount: platformFee, // Platform fee
+        // Platform fee, never more than what's left after a gift card
+        application_fee_amount: Math.min(
+          platformFee,
+          Math.round(amountToPay * 100),
+        ),
         transfer_data: {
           destination: payment.beauticianStripeAccount,
         },
@@ -608,10 +841,20 @@ router.post("/checkout", async (req, res) => {
 
     const session = await stripe.checkout.sessions.create(sessionConfig);
 
+    if (appliedGiftCard) {
+      await attachGiftCardSession({
+        applied: appliedGiftCard,
+        target: reservationContext.target,
+        sessionId: session.id,
+      });
+    }
+
     // Update order with session ID and Connect payment tracking
     order.stripePaymentIntentId = session.id;
     order.stripeConnectPayments = stripeConnectPayments;
     await order.save();
+    reservationContext = null;
+    heldOrder = null;
 
     res.json({
       url: session.url,
@@ -620,6 +863,16 @@ router.post("/checkout", async (req, res) => {
     });
   } catch (error) {
     console.error("Error creating product checkout:", error);
+    if (reservationContext) {
+      await releaseGiftCardReservation(reservationContext).catch((err) =>
+        console.error("Failed to release gift card reservation:", err),
+      );
+    }
+    if (heldOrder) {
+      await releaseOrderHolds(heldOrder).catch((err) =>
+        console.error("Failed to release held stock or promo code use:", err),
+      );
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -683,13 +936,27 @@ router.post("/", async (req, res) => {
         price: price,
         quantity: item.quantity,
         image: product.image?.url || product.images?.[0]?.url || "",
+        weight: variant?.weight ? variant.weight / 1000 : undefined,
       });
 
       subtotal += price * item.quantity;
     }
 
-    // Calculate shipping
-    const shipping = subtotal >= 50 ? 0 : 5.99; // Free shipping over £50
+    // Cheapest delivery from the rate engine
+    const shippingResult = await resolveShippingOption({
+      tenantId: req.tenantId,
+      destination: {
+        countryCode: shippingAddress?.country,
+        postalCode: shippingAddress?.postalCode,
+        city: shippingAddress?.city,
+      },
+      items: validatedItems,
+      subtotal,
+    });
+    if (!shippingResult.ok) {
+      return res.status(shippingResult.status).json(shippingResult.body);
+    }
+    const shipping = shippingResult.option.price;
     const total = subtotal + shipping;
 
     // Create order with userId if provided (logged-in users)
@@ -706,19 +973,13 @@ router.post("/", async (req, res) => {
 
     await order.save();
 
-    // Update stock for each item
-    for (const item of validatedItems) {
-      const product = await Product.findById(item.productId);
-      if (item.variantId && product.variants) {
-        const variant = product.variants.id(item.variantId);
-        if (variant) {
-          variant.stock -= item.quantity;
-        }
-      } else {
-        product.stock -= item.quantity;
-      }
-      await product.save();
+    // Take the stock, unless another order got to it first
+    const reservation = await reserveOrderStock({ order });
+    if (!reservation.ok) {
+      await Order.deleteOne({ _id: order._id });
+      return res.status(reservation.status).json(reservation.body);
     }
+    await commitOrderStock({ order });
 
     res.status(201).json(order);
   } catch (error) {
@@ -838,20 +1099,12 @@ router.delete("/:id", async (req, res) => {
 
     // Restore stock when deleting orders (except cancelled/refunded which already restored stock)
     if (!["cancelled", "refunded"].includes(order.orderStatus)) {
-      for (const item of order.items) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          if (item.variantId && product.variants) {
-            const variant = product.variants.id(item.variantId);
-            if (variant) {
-              variant.stock += item.quantity;
-            }
-          } else {
-            product.stock += item.quantity;
-          }
-          await product.save();
-        }
-      }
+      await restockOrder({
+        order,
+        note: `Order ${order.orderNumber} deleted`,
+        createdBy: req.admin?.email || "staff",
+      });
+      await releaseOrderPromotion({ order });
     }
 
     await Order.findByIdAndDelete(req.params.id);
@@ -880,21 +1133,13 @@ router.post("/:id/cancel", async (req, res) => {
     order.orderStatus = "cancelled";
     await order.save();
 
-    // Restore stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        if (item.variantId && product.variants) {
-          const variant = product.variants.id(item.variantId);
-          if (variant) {
-            variant.stock += item.quantity;
-          }
-        } else {
-          product.stock += item.quantity;
-        }
-        await product.save();
-      }
-    }
+    // Put sold stock back (or release the checkout hold)
+    await restockOrder({
+      order,
+      note: `Order ${order.orderNumber} cancelled`,
+      createdBy: req.admin?.email || "staff",
+    });
+    await releaseOrderPromotion({ order });
 
     res.json(order);
   } catch (error) {
@@ -903,79 +1148,50 @@ router.post("/:id/cancel", async (req, res) => {
   }
 });
 
-// POST /api/orders/:id/refund - Issue refund for order
+// POST /api/orders/:id/refund - Refund an order, or some of its items
+// Body: { items?: [{ itemIndex, quantity }], includeShipping?, restock?,
+// reason? }. Without items, everything not yet refunded (and shipping).
 router.post("/:id/refund", async (req, res) => {
   try {
-    const stripe = getStripe();
-    const { reason } = req.body;
+    const validation = validateRefundOrder(req.body || {});
+    if (!validation.success) {
+      const errorMessages = validation.errors.map((e) => e.message).join(", ");
+      return res.status(400).json({
+        error: errorMessages || "Validation failed",
+        details: validation.errors,
+      });
+    }
 
-    const order = await Order.findById(req.params.id).populate(
-      "items.productId",
-    );
+    const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ error: "Order not found" });
     }
 
-    if (order.paymentStatus !== "paid") {
-      return res.status(400).json({ error: "Order payment not completed" });
-    }
-
-    if (order.refundStatus === "full") {
-      return res.status(400).json({ error: "Order already fully refunded" });
-    }
-
-    // Create Stripe refund
-    // For product orders with destination charges, use reverse_transfer
-    const refund = await stripe.refunds.create({
-      payment_intent: order.stripePaymentIntentId,
-      reverse_transfer: true, // Return money from specialist to customer
-      metadata: {
-        orderId: String(order._id),
-        reason: reason || "Customer request",
-        type: "product_order_refund",
-      },
+    const { items, includeShipping, restock, reason } = validation.data;
+    const result = await refundOrder({
+      order,
+      items,
+      includeShipping,
+      restock,
+      reason,
+      by: req.admin?.email || "staff",
+      stripe: order.stripePaymentIntentId ? getStripe() : null,
     });
-
-    // Update Connect payment statuses
-    if (order.stripeConnectPayments && order.stripeConnectPayments.length > 0) {
-      for (const payment of order.stripeConnectPayments) {
-        if (payment.status === "succeeded") {
-          payment.status = "refunded";
-
-          // Deduct from specialist earnings
-          await Specialist.findByIdAndUpdate(payment.specialistId, {
-            $inc: { totalEarnings: -payment.amount },
-          });
-        }
-      }
-    }
-
-    // Update order status
-    order.paymentStatus = "refunded";
-    order.orderStatus = "refunded";
-    order.refundStatus = "full";
-    order.refundedAt = new Date();
-    order.refundReason = reason || "Customer request";
-    await order.save();
-
-    // Restore stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        if (item.variantId && product.variants) {
-          const variant = product.variants.id(item.variantId);
-          if (variant) {
-            variant.stock += item.quantity;
-          }
-        } else {
-          product.stock += item.quantity;
-        }
-        await product.save();
-      }
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
     }
 
-    console.log(`[ORDER REFUND] Order ${order._id} refunded: ${refund.id}`);
-    res.json({ success: true, order, refund });
+    console.log(
+      `[ORDER REFUND] Order ${order._id} refunded ${result.refund.amount} (${order.refundStatus}):`,
+      result.stripeRefund?.id || "gift card only",
+    );
+    res.json({
+      success: true,
+      order: result.order,
+      refund: result.stripeRefund,
+      orderRefund: result.refund,
+      giftCardRefund: result.giftCardRefund,
+    });
   } catch (error) {
     console.error("Error refunding order:", error);
     res.status(500).json({ error: error.message });
@@ -992,20 +1208,12 @@ router.delete("/:id", async (req, res) => {
 
     // Restore stock if order was not already cancelled/refunded
     if (!["cancelled", "refunded"].includes(order.orderStatus)) {
-      for (const item of order.items) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          if (item.variantId && product.variants) {
-            const variant = product.variants.id(item.variantId);
-            if (variant) {
-              variant.stock += item.quantity;
-            }
-          } else {
-            product.stock += item.quantity;
-          }
-          await product.save();
-        }
-      }
+      await restockOrder({
+        order,
+        note: `Order ${order.orderNumber} deleted`,
+        createdBy: req.admin?.email || "staff",
+      });
+      await releaseOrderPromotion({ order });
     }
 
     await Order.findByIdAndDelete(req.params.id);
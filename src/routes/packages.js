@@ -0,0 +1,471 @@
+import { Router } from "express";
+import Stripe from "stripe";
+import Package from "../models/Package.js";
+import ClientPackage from "../models/ClientPackage.js";
+import Service from "../models/Service.js";
+import Tenant from "../models/Tenant.js";
+import { authenticateClient } from "../middleware/clientAuth.js";
+import requireAdmin from "../middleware/requireAdmin.js";
+import {
+  findPayoutDestination,
+  getPayoutDestinationCandidates,
+  normalizePlatformFeeMinor,
+} from "../services/payoutDestinationService.js";
+import {
+  activatePackagePurchase,
+  cancelPendingPackagePurchase,
+  describeClientPackage,
+  getClientPackages,
+} from "../services/packageService.js";
+import {
+  validateCreatePackage,
+  validateUpdatePackage,
+  validateCreatePackageSession,
+  validatePackageId,
+} from "../validations/package.schema.js";
+
+const router = Router();
+let stripeInstance = null;
+
+function getStripe() {
+  if (!stripeInstance) {
+    const stripeKey = process.env.STRIPE_SECRET;
+    if (!stripeKey) {
+      throw new Error("STRIPE_SECRET not configured");
+    }
+    stripeInstance = new Stripe(stripeKey, { apiVersion: "2024-06-20" });
+  }
+  return stripeInstance;
+}
+
+const NOT_READY_FOR_PAYMENTS =
+  "This business is not yet ready to receive package payments. Please try another business.";
+
+const validationError = (res, errors) => {
+  const errorMessages = errors.map((e) => e.message).join(", ");
+  return res.status(400).json({
+    error: errorMessages || "Validation failed",
+    details: errors,
+  });
+};
+
+// The service (and variant) a package is for must belong to the tenant
+const checkPackageService = async ({ tenantId, serviceId, variantName }) => {
+  const service = await Service.findOne({ _id: serviceId, tenantId })
+    .select("variants")
+    .lean();
+  if (!service) return "Service not found";
+  if (
+    variantName &&
+    !(service.variants || []).some((variant) => variant.name === variantName)
+  ) {
+    return "Variant not found";
+  }
+  return null;
+};
+
+/**
+ * GET /api/packages/my
+ * Packages bought by the authenticated client, with sessions remaining
+ * Optional ?tenantId= to only show one business
+ */
+router.get("/my", authenticateClient, async (req, res) => {
+  try {
+    const result = await getClientPackages({
+      clientId: req.clientId,
+      tenantId: req.query.tenantId,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("[PACKAGES] Get my packages error:", error);
+    res.status(500).json({ error: "Failed to fetch packages" });
+  }
+});
+
+/**
+ * GET /api/packages/admin
+ * All of the tenant's packages, including inactive ones
+ */
+router.get("/admin", requireAdmin, async (req, res, next) => {
+  try {
+    const packages = await Package.find({ tenantId: req.tenantId })
+      .populate("serviceId", "name")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(packages);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/packages/admin
+ * Create a package
+ */
+router.post("/admin", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validateCreatePackage(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+
+    const tenantId = req.tenantId || req.admin.tenantId;
+    const serviceError = await checkPackageService({
+      tenantId,
+      ...validation.data,
+    });
+    if (serviceError) {
+      return res.status(400).json({ error: serviceError });
+    }
+
+    const pkg = await Package.create({ ...validation.data, tenantId });
+    res.status(201).json(pkg);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/packages/admin/:id
+ * Update a package. Packages already bought keep the terms they were
+ * sold with.
+ */
+router.patch("/admin/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const idValidation = validatePackageId(req.params);
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: "Invalid package ID",
+        details: idValidation.errors,
+      });
+    }
+
+    const dataValidation = validateUpdatePackage(req.body);
+    if (!dataValidation.success) {
+      return validationError(res, dataValidation.errors);
+    }
+
+    const existing = await Package.findOne({
+      _id: idValidation.data.id,
+      tenantId: req.tenantId,
+    }).lean();
+    if (!existing) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+
+    const updates = dataValidation.data;
+    if (updates.serviceId || updates.variantName) {
+      const serviceError = await checkPackageService({
+        tenantId: req.tenantId,
+        serviceId: updates.serviceId || existing.serviceId,
+        variantName:
+          updates.variantName !== undefined
+            ? updates.variantName
+            : existing.variantName,
+      });
+      if (serviceError) {
+        return res.status(400).json({ error: serviceError });
+      }
+    }
+
+    const updated = await Package.findOneAndUpdate(
+      { _id: existing._id, tenantId: req.tenantId },
+      { $set: updates },
+      { new: true, runValidators: true },
+    );
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/packages/admin/:id
+ * Stop selling a package (soft delete); credits already bought still work
+ */
+router.delete("/admin/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validatePackageId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid package ID",
+        details: validation.errors,
+      });
+    }
+
+    const pkg = await Package.findOneAndUpdate(
+      { _id: validation.data.id, tenantId: req.tenantId },
+      { $set: { active: false } },
+      { new: true },
+    );
+    if (!pkg) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+
+    res.json({ message: "Package deleted successfully", package: pkg });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/packages/create-session
+ * Create Stripe checkout session for a package purchase
+ */
+router.post("/create-session", authenticateClient, async (req, res) => {
+  let purchase = null;
+
+  try {
+    const validation = validateCreatePackageSession(req.body || {});
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+
+    const pkg = await Package.findOne({
+      _id: validation.data.packageId,
+      active: true,
+    }).lean();
+    if (!pkg) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+
+    const amountMinor = Math.round(Number(pkg.price) * 100);
+    if (!(amountMinor > 0)) {
+      return res
+        .status(400)
+        .json({ error: "This package can't be bought online" });
+    }
+
+    const tenant = await Tenant.findById(pkg.tenantId)
+      .select("name slug")
+      .lean();
+    if (!tenant) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+
+    const payoutCandidates = await getPayoutDestinationCandidates({
+      tenantId: pkg.tenantId,
+    });
+    if (payoutCandidates.length === 0) {
+      return res.status(400).json({ error: NOT_READY_FOR_PAYMENTS });
+    }
+
+    const stripe = getStripe();
+    const payoutDestination = await findPayoutDestination({
+      stripe,
+      candidates: payoutCandidates,
+      context: { tenantId: pkg.tenantId, packageId: pkg._id },
+      logPrefix: "[PACKAGES]",
+    });
+    if (!payoutDestination?.accountId) {
+      return res.status(400).json({ error: NOT_READY_FOR_PAYMENTS });
+    }
+
+    purchase = await ClientPackage.create({
+      tenantId: pkg.tenantId,
+      packageId: pkg._id,
+      clientId: req.clientId,
+      name: pkg.name,
+      serviceId: pkg.serviceId,
+      variantName: pkg.variantName || null,
+      price: pkg.price,
+      currency: pkg.currency,
+      validityDays: pkg.validityDays,
+      sessionsTotal: pkg.sessionCount,
+      status: "pending",
+    });
+
+    const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+    const tenantPath = tenant.slug ? `/salon/${tenant.slug}` : "";
+    const metadata = {
+      clientPackageId: String(purchase._id),
+      packageId: String(pkg._id),
+      tenantId: String(pkg.tenantId),
+      payoutRecipientType: payoutDestination.recipientType,
+      payoutRecipientId: payoutDestination.recipientId,
+      type: "package_purchase",
+    };
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      client_reference_id: String(purchase._id),
+      success_url: `${frontend}${tenantPath}/packages/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${frontend}${tenantPath}/packages/cancel?clientPackageId=${purchase._id}`,
+      payment_method_types: ["card"],
+      customer_email: req.client.email,
+      metadata,
+      payment_intent_data: {
+        application_fee_amount: normalizePlatformFeeMinor(amountMinor),
+        transfer_data: {
+          destination: payoutDestination.accountId,
+        },
+        metadata,
+      },
+      line_items: [
+        {
+          price_data: {
+            currency: String(pkg.currency || "GBP").toLowerCase(),
+            unit_amount: amountMinor,
+            product_data: {
+              name: `${pkg.name} - ${tenant.name || "Business"}`,
+              description: `${pkg.sessionCount} sessions, valid for ${pkg.validityDays} days`,
+            },
+          },
+          quantity: 1,
+        },
+      ],
+    });
+
+    purchase.stripeCheckoutSessionId = session.id;
+    await purchase.save();
+
+    return res.json({
+      sessionId: session.id,
+      url: session.url,
+      clientPackageId: purchase._id,
+    });
+  } catch (error) {
+    console.error("[PACKAGES] Create session error:", error);
+
+    if (purchase?._id) {
+      await cancelPendingPackagePurchase({ purchaseId: purchase._id });
+    }
+
+    res
+      .status(500)
+      .json({ error: "Failed to create package checkout session" });
+  }
+});
+
+/**
+ * GET /api/packages/confirm?session_id=...
+ * Confirm Stripe checkout session and activate the package's credits
+ */
+router.get("/confirm", async (req, res) => {
+  try {
+    const sessionId = String(req.query?.session_id || "").trim();
+    if (!sessionId) {
+      return res.status(400).json({ error: "Missing session_id" });
+    }
+
+    const stripe = getStripe();
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Checkout session not found" });
+    }
+
+    const paid =
+      session.payment_status === "paid" || session.status === "complete";
+    if (!paid) {
+      return res.status(409).json({
+        error: "Session not paid yet",
+        session: {
+          payment_status: session.payment_status,
+          status: session.status,
+        },
+      });
+    }
+
+    const purchaseId =
+      session.metadata?.clientPackageId || session.client_reference_id;
+    if (!purchaseId) {
+      return res
+        .status(400)
+        .json({ error: "Package reference missing from session" });
+    }
+
+    const result = await activatePackagePurchase({
+      purchaseId,
+      stripeCheckoutSessionId: session.id,
+      stripePaymentIntentId: session.payment_intent || undefined,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json(result.body);
+    }
+
+    return res.json({
+      ok: true,
+      message: result.activated
+        ? "Package purchase confirmed"
+        : "Package already confirmed",
+      clientPackage: describeClientPackage(result.purchase),
+    });
+  } catch (error) {
+    console.error("[PACKAGES] Confirm error:", error);
+    res.status(500).json({ error: "Failed to confirm package purchase" });
+  }
+});
+
+/**
+ * POST /api/packages/cancel
+ * Cancel pending package checkout when user abandons Stripe checkout
+ */
+router.post("/cancel", async (req, res) => {
+  try {
+    const purchaseId = String(req.body?.clientPackageId || "").trim();
+    const sessionId = String(req.body?.session_id || "").trim();
+    if (!purchaseId && !sessionId) {
+      return res
+        .status(400)
+        .json({ error: "Missing clientPackageId or session_id" });
+    }
+
+    const purchase = purchaseId
+      ? await ClientPackage.findById(purchaseId)
+      : await ClientPackage.findOne({ stripeCheckoutSessionId: sessionId });
+    if (!purchase) {
+      return res.status(404).json({ error: "Package purchase not found" });
+    }
+
+    if (purchase.status !== "pending") {
+      return res.json({ ok: true, status: purchase.status });
+    }
+
+    const sessionLookupId = sessionId || purchase.stripeCheckoutSessionId;
+    if (sessionLookupId) {
+      const session =
+        await getStripe().checkout.sessions.retrieve(sessionLookupId);
+      const paid =
+        session?.payment_status === "paid" || session?.status === "complete";
+      if (paid) {
+        return res.status(409).json({
+          error: "Session is already paid",
+          status: "paid",
+        });
+      }
+    }
+
+    await cancelPendingPackagePurchase({ purchaseId: purchase._id });
+    return res.json({
+      ok: true,
+      status: "cancelled",
+      message: "Package purchase cancelled",
+    });
+  } catch (error) {
+    console.error("[PACKAGES] Cancel error:", error);
+    res.status(500).json({ error: "Failed to cancel package purchase" });
+  }
+});
+
+/**
+ * GET /api/packages?tenantId=...
+ * Packages a business sells
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const tenantId = String(req.query.tenantId || req.tenantId || "");
+    if (!/^[0-9a-fA-F]{24}$/.test(tenantId)) {
+      return res.status(400).json({ error: "Missing or invalid tenantId" });
+    }
+
+    const packages = await Package.find({ tenantId, active: true })
+      .populate("serviceId", "name")
+      .sort({ price: 1 })
+      .lean();
+    res.json(packages);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -8,6 +8,7 @@ import Stripe from "stripe";
 import { z } from "zod";
 import requireAdmin from "../middleware/requireAdmin.js";
 import { createConsoleLogger } from "../utils/logger.js";
+import { buildReceiptLines } from "../utils/serviceAddOns.js";
 
 const router = express.Router();
 const LOG_PAYMENTS =
@@ -393,12 +394,8 @@ router.post("/intents", async (req, res) => {
       },
       metadata: {
         ...metadata,
-        services: appointment?.services.map((s) => ({
-          serviceId: s.service._id,
-          name: s.service.name,
-          price: s.service.price,
-          quantity: s.quantity || 1,
-        })),
+        // Receipt lines, including any booked add-ons
+        services: buildReceiptLines(appointment?.services || []),
       },
     });
 
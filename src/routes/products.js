@@ -1,6 +1,10 @@
 import { Router } from "express";
 import multer from "multer";
 import Product from "../models/Product.js";
+import {
+  getStockHolder,
+  recordProductStockEdit,
+} from "../services/inventoryService.js";
 import { uploadImage, deleteImage } from "../utils/cloudinary.js";
 import fs from "fs/promises";
 
@@ -109,8 +113,16 @@ router.post("/", async (req, res) => {
           : [],
     };
 
+    delete productData.reserved;
+
     const product = new Product(productData);
     await product.save();
+    await recordProductStockEdit({
+      before: null,
+      after: product.toObject(),
+      note: "Opening stock",
+      createdBy: req.admin?.email || "staff",
+    });
     res.status(201).json(product);
   } catch (error) {
     console.error("Error creating product:", error);
@@ -130,6 +142,25 @@ router.patch("/:id", async (req, res) => {
         : updates.keyBenefits.split("\n").filter((b) => b.trim());
     }
 
+    // Units held by open checkouts aren't edited here; the form's variants
+    // keep the holds and alert flags they already have
+    delete updates.reserved;
+    const before = Array.isArray(updates.variants)
+      ? await Product.findById(req.params.id).lean()
+      : null;
+    if (before) {
+      updates.variants = updates.variants.map((variant) => {
+        const existing = variant._id
+          ? getStockHolder(before, variant._id)
+          : null;
+        return {
+          ...variant,
+          reserved: existing?.reserved || 0,
+          lowStockAlertedAt: existing?.lowStockAlertedAt || null,
+        };
+      });
+    }
+
     const product = await Product.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
@@ -139,6 +170,15 @@ router.patch("/:id", async (req, res) => {
       return res.status(404).json({ error: "Product not found" });
     }
 
+    // Log stock typed into the form in the ledger
+    if (before) {
+      await recordProductStockEdit({
+        before,
+        after: product.toObject(),
+        createdBy: req.admin?.email || "staff",
+      });
+    }
+
     res.json(product);
   } catch (error) {
     console.error("Error updating product:", error);
@@ -0,0 +1,295 @@
+import { Router } from "express";
+import Product from "../models/Product.js";
+import Promotion from "../models/Promotion.js";
+import Service from "../models/Service.js";
+import requireAdmin from "../middleware/requireAdmin.js";
+import {
+  evaluatePromotion,
+  getPromotionStats,
+} from "../services/promotionService.js";
+import {
+  validateCreatePromotion,
+  validateUpdatePromotion,
+  validatePromotionCode,
+  validatePromotionId,
+} from "../validations/promotion.schema.js";
+
+const router = Router();
+
+const validationError = (res, errors) => {
+  const errorMessages = errors.map((e) => e.message).join(", ");
+  return res.status(400).json({
+    error: errorMessages || "Validation failed",
+    details: errors,
+  });
+};
+
+const duplicateCodeError = (res) =>
+  res.status(409).json({ error: "A promotion with this code already exists" });
+
+// Booked services priced like checkout does, in promotion terms
+const getBookingLines = async ({ tenantId, booking }) => {
+  const services = await Service.find({
+    _id: { $in: booking.services.map((line) => line.serviceId) },
+    tenantId,
+  })
+    .select("category variants")
+    .lean();
+  const byId = new Map(
+    services.map((service) => [String(service._id), service]),
+  );
+
+  const lines = [];
+  for (const line of booking.services) {
+    const service = byId.get(line.serviceId);
+    const variant = (service?.variants || []).find(
+      (v) => v.name === line.variantName,
+    );
+    if (!variant) return null;
+    lines.push({
+      serviceId: service._id,
+      category: service.category,
+      specialistId: booking.specialistId,
+      amount: variant.promoPrice || variant.price || 0,
+    });
+  }
+  return lines;
+};
+
+// Basket lines at database prices, in promotion terms
+const getOrderLines = async ({ items }) => {
+  const products = await Product.find({
+    _id: { $in: items.map((item) => item.productId) },
+  })
+    .select("category price variants specialistId")
+    .lean();
+  const byId = new Map(
+    products.map((product) => [String(product._id), product]),
+  );
+
+  const lines = [];
+  for (const item of items) {
+    const product = byId.get(item.productId);
+    if (!product) return null;
+    const variant = item.variantId
+      ? (product.variants || []).find(
+          (v) => String(v._id) === String(item.variantId),
+        )
+      : null;
+    if (item.variantId && !variant) return null;
+    lines.push({
+      productId: product._id,
+      category: product.category,
+      specialistId: product.specialistId,
+      amount: Number((variant || product).price || 0) * item.quantity,
+    });
+  }
+  return lines;
+};
+
+/**
+ * POST /api/promotions/validate
+ * Check a promo code against a booking ({ booking }) or basket ({ items })
+ * before checkout, and show the discount it would give
+ */
+router.post("/validate", async (req, res) => {
+  try {
+    const validation = validatePromotionCode(req.body || {});
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+    const { code, email, booking, items } = validation.data;
+    if (!booking && !items) {
+      return res
+        .status(400)
+        .json({ error: "Send the booking or basket to check the code on" });
+    }
+
+    const tenantId = req.tenantId;
+    if (!tenantId) {
+      return res.status(400).json({ error: "Tenant not resolved" });
+    }
+
+    const kind = booking ? "booking" : "order";
+    const lines = booking
+      ? await getBookingLines({ tenantId, booking })
+      : await getOrderLines({ items });
+    if (!lines) {
+      return res
+        .status(404)
+        .json({ error: booking ? "Service not found" : "Product not found" });
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const result = await evaluatePromotion({
+      code,
+      tenantId,
+      kind,
+      lines,
+      subtotal,
+      email,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ valid: false, ...result.body });
+    }
+
+    res.json({
+      valid: true,
+      code: result.promotion.code,
+      name: result.promotion.name,
+      description: result.promotion.description,
+      discount: result.discount,
+      subtotal: Math.round(subtotal * 100) / 100,
+      totalAfterDiscount:
+        Math.round((subtotal - result.discount) * 100) / 100,
+    });
+  } catch (error) {
+    console.error("[PROMOTIONS] Validate error:", error);
+    res.status(500).json({ error: "Failed to check promo code" });
+  }
+});
+
+/**
+ * GET /api/promotions/admin
+ * All of the tenant's promotions with their redemption stats
+ */
+router.get("/admin", requireAdmin, async (req, res, next) => {
+  try {
+    const promotions = await Promotion.find({ tenantId: req.tenantId })
+      .sort({ createdAt: -1 })
+      .lean();
+    const stats = await getPromotionStats({
+      tenantId: req.tenantId,
+      promotionIds: promotions.map((promotion) => promotion._id),
+    });
+    res.json(
+      promotions.map((promotion) => ({
+        ...promotion,
+        stats: stats.get(String(promotion._id)),
+      })),
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/promotions/admin/:id/stats
+ * Redemptions, discount given and revenue for one promotion
+ */
+router.get("/admin/:id/stats", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validatePromotionId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid promotion ID",
+        details: validation.errors,
+      });
+    }
+
+    const promotion = await Promotion.findOne({
+      _id: validation.data.id,
+      tenantId: req.tenantId,
+    }).lean();
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+
+    const stats = await getPromotionStats({
+      tenantId: req.tenantId,
+      promotionIds: [promotion._id],
+    });
+    res.json({
+      promotion,
+      stats: stats.get(String(promotion._id)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/promotions/admin
+ * Create a promotion
+ */
+router.post("/admin", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validateCreatePromotion(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+
+    const tenantId = req.tenantId || req.admin.tenantId;
+    const promotion = await Promotion.create({ ...validation.data, tenantId });
+    res.status(201).json(promotion);
+  } catch (err) {
+    if (err?.code === 11000) return duplicateCodeError(res);
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/promotions/admin/:id
+ * Update a promotion. Bookings and orders it's already on keep their
+ * discount.
+ */
+router.patch("/admin/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const idValidation = validatePromotionId(req.params);
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: "Invalid promotion ID",
+        details: idValidation.errors,
+      });
+    }
+
+    const dataValidation = validateUpdatePromotion(req.body);
+    if (!dataValidation.success) {
+      return validationError(res, dataValidation.errors);
+    }
+
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: idValidation.data.id, tenantId: req.tenantId },
+      { $set: dataValidation.data },
+      { new: true, runValidators: true },
+    );
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    res.json(promotion);
+  } catch (err) {
+    if (err?.code === 11000) return duplicateCodeError(res);
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/promotions/admin/:id
+ * Switch a promotion off (soft delete) so its stats are kept
+ */
+router.delete("/admin/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validatePromotionId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid promotion ID",
+        details: validation.errors,
+      });
+    }
+
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: validation.data.id, tenantId: req.tenantId },
+      { $set: { active: false } },
+      { new: true },
+    );
+    if (!promotion) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+
+    res.json({ message: "Promotion deleted successfully", promotion });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -10,6 +10,7 @@ import {
   getDashboard,
   validateCode,
   getStats,
+  getReferralCredit,
   getLeaderboard,
 } from "../controllers/referralController.js";
 import { universalAuth } from "../middleware/universalAuth.js";
@@ -25,6 +26,7 @@ router.post("/generate", universalAuth, generateReferralCode);
 router.get("/my-code", universalAuth, getMyCode);
 router.get("/dashboard", universalAuth, getDashboard);
 router.get("/stats", universalAuth, getStats);
+router.get("/credit", universalAuth, getReferralCredit);
 
 // Leaderboard (auth optional for now)
 router.get("/leaderboard", optionalAuth, getLeaderboard);
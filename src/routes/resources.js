@@ -0,0 +1,148 @@
+import { Router } from "express";
+import Resource from "../models/Resource.js";
+import Service from "../models/Service.js";
+import {
+  validateCreateResource,
+  validateUpdateResource,
+  validateListResourcesQuery,
+  validateResourceId,
+} from "../validations/resource.schema.js";
+import requireAdmin from "../middleware/requireAdmin.js";
+
+const router = Router();
+
+// All resource management is admin only
+router.use(requireAdmin);
+
+/**
+ * GET /api/resources
+ * List rooms and equipment for the tenant
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const validation = validateListResourcesQuery(req.query);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        details: validation.errors,
+      });
+    }
+
+    const query = { tenantId: req.tenantId };
+    if (validation.data.type) query.type = validation.data.type;
+    if (validation.data.locationId) {
+      // Resources at this location plus those shared across all locations
+      query.locationId = { $in: [validation.data.locationId, null] };
+    }
+
+    const resources = await Resource.find(query)
+      .sort({ name: 1 })
+      .lean();
+    res.json(resources);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/resources
+ * Create a room or piece of equipment
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const validation = validateCreateResource(req.body);
+    if (!validation.success) {
+      const errorMessages = validation.errors.map((e) => e.message).join(", ");
+      return res.status(400).json({
+        error: errorMessages || "Validation failed",
+        details: validation.errors,
+      });
+    }
+
+    const resource = await Resource.create({
+      ...validation.data,
+      tenantId: req.tenantId || req.admin.tenantId,
+    });
+    res.status(201).json(resource);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/resources/:id
+ * Update a resource
+ */
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const idValidation = validateResourceId(req.params);
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: "Invalid resource ID",
+        details: idValidation.errors,
+      });
+    }
+
+    const dataValidation = validateUpdateResource(req.body);
+    if (!dataValidation.success) {
+      const errorMessages = dataValidation.errors
+        .map((e) => e.message)
+        .join(", ");
+      return res.status(400).json({
+        error: errorMessages || "Validation failed",
+        details: dataValidation.errors,
+      });
+    }
+
+    const updated = await Resource.findOneAndUpdate(
+      { _id: idValidation.data.id, tenantId: req.tenantId },
+      { $set: dataValidation.data },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ error: "Resource not found" });
+    }
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/resources/:id
+ * Deactivate a resource (soft delete) and detach it from services
+ */
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const validation = validateResourceId(req.params);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid resource ID",
+        details: validation.errors,
+      });
+    }
+
+    const resource = await Resource.findOneAndUpdate(
+      { _id: validation.data.id, tenantId: req.tenantId },
+      { $set: { active: false } },
+      { new: true }
+    );
+
+    if (!resource) {
+      return res.status(404).json({ error: "Resource not found" });
+    }
+
+    await Service.updateMany(
+      { tenantId: req.tenantId, requiredResourceIds: resource._id },
+      { $pull: { requiredResourceIds: resource._id } }
+    );
+
+    res.json({ message: "Resource deleted successfully", resource });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
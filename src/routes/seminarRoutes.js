@@ -33,6 +33,12 @@ router.get("/public", seminarController.getPublicSeminars);
 // Get single seminar by slug (client-facing)
 router.get("/public/:slug", seminarController.getPublicSeminarBySlug);
 
+// Verify a certificate of completion
+router.get(
+  "/certificates/:number",
+  seminarBookingController.verifyCertificate
+);
+
 // ============================================
 // ADMIN/SPECIALIST ROUTES (Auth required)
 // ============================================
@@ -119,10 +125,72 @@ router.get(
   seminarBookingController.getSessionAttendees
 );
 
+// Check an attendee in (QR code scan or by booking)
+router.post(
+  "/:id/sessions/:sessionId/check-in",
+  requireAdmin,
+  isSeminarOwner,
+  seminarBookingController.checkInAttendee
+);
+
+// Mark a session completed and email certificates
+router.post(
+  "/:id/sessions/:sessionId/complete",
+  requireAdmin,
+  isSeminarOwner,
+  seminarBookingController.completeSession
+);
+
+// Cancel a session: refund attendees or offer them other sessions
+router.post(
+  "/:id/sessions/:sessionId/cancel",
+  requireAdmin,
+  isSeminarOwner,
+  seminarBookingController.cancelSession
+);
+
+// Move a session to a new date and time
+router.post(
+  "/:id/sessions/:sessionId/reschedule",
+  requireAdmin,
+  isSeminarOwner,
+  seminarBookingController.rescheduleSession
+);
+
+// Refunds given for cancelled and rescheduled sessions
+router.get(
+  "/:id/refunds",
+  requireAdmin,
+  isSeminarOwner,
+  seminarBookingController.getSeminarRefunds
+);
+
+// Get the waitlist for a session
+router.get(
+  "/:id/sessions/:sessionId/waitlist",
+  requireAdmin,
+  isSeminarOwner,
+  seminarBookingController.getSessionWaitlist
+);
+
+// Remove someone from a waitlist
+router.delete(
+  "/:id/waitlist/:entryId",
+  requireAdmin,
+  isSeminarOwner,
+  seminarBookingController.removeWaitlistEntry
+);
+
 // ============================================
 // BOOKING ROUTES
 // ============================================
 
+// Join the waitlist for a full session
+router.post(
+  "/:id/sessions/:sessionId/waitlist",
+  seminarBookingController.joinWaitlist
+);
+
 // Create Stripe checkout session for booking
 router.post(
   "/checkout/create-session",
@@ -135,6 +203,18 @@ router.post(
   seminarBookingController.confirmPayment
 );
 
+// Attendee's options after their session was cancelled or rescheduled
+// (token from the email link)
+router.get(
+  "/bookings/change/:token",
+  seminarBookingController.getBookingChange
+);
+
+router.post(
+  "/bookings/change/:token",
+  seminarBookingController.respondToBookingChange
+);
+
 // Get client's seminar bookings
 router.get(
   "/bookings/my-bookings",
@@ -1,5 +1,18 @@
 import { Router } from "express";
+import requireAdmin from "../middleware/requireAdmin.js";
+import Product from "../models/Product.js";
+import ShippingZone from "../models/ShippingZone.js";
+import Tenant from "../models/Tenant.js";
+import { getShippingQuote } from "../services/shippingRateService.js";
+import { DEFAULT_ZONES } from "../utils/shippingRates.js";
 import { createConsoleLogger } from "../utils/logger.js";
+import {
+  validateCreateShippingZone,
+  validateShippingQuote,
+  validateShippingSettings,
+  validateShippingZoneId,
+  validateUpdateShippingZone,
+} from "../validations/shipping.schema.js";
 
 const router = Router();
 const LOG_SHIPPING =
@@ -9,92 +22,123 @@ const console = createConsoleLogger({
   verbose: LOG_SHIPPING,
 });
 
-// Royal Mail carrier ID (you'll need to get this from your ShipEngine account)
-// For now, we'll use a fallback approach
-const ROYAL_MAIL_CARRIER_ID = process.env.ROYAL_MAIL_CARRIER_ID || "";
+const validationError = (res, errors) => {
+  const errorMessages = errors.map((e) => e.message).join(", ");
+  return res.status(400).json({
+    error: errorMessages || "Validation failed",
+    details: errors,
+  });
+};
+
+const invalidZoneId = (res, errors) =>
+  res.status(400).json({ error: "Invalid zone ID", details: errors });
 
 /**
- * Get shipping rates from ShipEngine
- * @route POST /api/shipping/rates
- * @access Public
+ * Basket items with their weight (kg) and price from the product, where
+ * the client sent a product. Variant weights are stored in grams.
  */
-router.post("/rates", async (req, res) => {
-  try {
-    const SHIPENGINE_API_KEY = process.env.SHIPENGINE_API_KEY;
+async function withProductDetails(items) {
+  return Promise.all(
+    items.map(async (item) => {
+      if (!item.productId) return item;
+      const product = await Product.findById(item.productId)
+        .select("price variants")
+        .lean();
+      if (!product) return item;
+      const variant = item.variantId
+        ? product.variants?.find(
+            (candidate) => String(candidate._id) === item.variantId,
+          )
+        : null;
+      return {
+        ...item,
+        weight: variant?.weight ? variant.weight / 1000 : item.weight,
+        price: variant ? variant.price : product.price,
+      };
+    }),
+  );
+}
 
-    if (!SHIPENGINE_API_KEY) {
-      return res.status(500).json({
-        message: "ShipEngine API key not configured",
-      });
-    }
+async function quoteBasket(req, res, body) {
+  const validation = validateShippingQuote(body);
+  if (!validation.success) {
+    return validationError(res, validation.errors);
+  }
+  const { postalCode, countryCode, city, subtotal } = validation.data;
+  const items = await withProductDetails(validation.data.items);
 
-    const { shipment, service_codes } = req.body;
+  const quote = await getShippingQuote({
+    tenantId: req.tenantId,
+    destination: { countryCode, postalCode, city },
+    items,
+    subtotal:
+      subtotal ??
+      items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0),
+  });
+  if (!quote.ok) {
+    return res.status(quote.status).json(quote.body);
+  }
 
-    // Validate required fields
-    if (!shipment?.ship_from?.postal_code || !shipment?.ship_to?.postal_code) {
-      return res.status(400).json({
-        message: "Origin and destination postal codes are required",
-      });
-    }
+  console.log("🚚 Shipping options generated:", {
+    provider: quote.provider,
+    zone: quote.zone?.name,
+    options: quote.options.map((o) => ({ id: o.id, price: o.price })),
+    weight: quote.weight,
+    destination: { postalCode, countryCode },
+  });
 
-    if (!shipment?.packages?.[0]?.weight?.value) {
-      return res.status(400).json({
-        message: "Package weight is required",
-      });
-    }
+  const { ok, ...result } = quote;
+  res.json({ ...result, calculation: "weight-based" });
+}
 
-    // Prepare request with all required fields
-    const estimateRequest = {
-      carrier_ids: ROYAL_MAIL_CARRIER_ID ? [ROYAL_MAIL_CARRIER_ID] : [],
-      from_country_code: shipment.ship_from.country_code || "GB",
-      from_postal_code: shipment.ship_from.postal_code,
-      to_country_code: shipment.ship_to.country_code || "GB",
-      to_postal_code: shipment.ship_to.postal_code,
-      to_city_locality: shipment.ship_to.city || "London",
-      to_state_province: shipment.ship_to.state || "",
-      weight: {
-        value: shipment.packages[0].weight.value,
-        unit: shipment.packages[0].weight.unit || "kilogram",
-      },
-      dimensions: shipment.packages[0].dimensions || {
-        length: 40,
-        width: 30,
-        height: 15,
-        unit: "centimeter",
-      },
-    };
+/**
+ * Shipping options for a basket
+ * @route POST /api/shipping/calculate
+ * @access Public
+ * Body: { postalCode, countryCode?, city?, items: [{ productId?,
+ * variantId?, weight?, quantity, price? }], subtotal? }
+ */
+router.post("/calculate", async (req, res) => {
+  try {
+    await quoteBasket(req, res, req.body);
+  } catch (error) {
+    console.error("Shipping calculation error:", error);
+    res.status(500).json({
+      message: "Failed to calculate shipping",
+      error: error.message,
+    });
+  }
+});
 
-    // Add service codes if specified
-    if (service_codes && service_codes.length > 0 && service_codes[0]) {
-      estimateRequest.service_codes = service_codes;
+/**
+ * Shipping options for a basket, or for a single parcel in the old
+ * ShipEngine shipment format ({ shipment: { ship_to, packages } })
+ * @route POST /api/shipping/rates
+ * @access Public
+ */
+router.post("/rates", async (req, res) => {
+  try {
+    const { shipment } = req.body;
+    if (!shipment) {
+      return await quoteBasket(req, res, req.body);
     }
 
-    // Make request to ShipEngine API
-    const response = await fetch(
-      "https://api.shipengine.com/v1/rates/estimate",
-      {
-        method: "POST",
-        headers: {
-          "API-Key": SHIPENGINE_API_KEY,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(estimateRequest),
-      }
-    );
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      console.error("ShipEngine API error:", data);
-      return res.status(response.status).json({
-        message: "Failed to get shipping rates from ShipEngine",
-        error: data,
+    const parcel = shipment.packages?.[0]?.weight;
+    if (!shipment.ship_to?.postal_code || !parcel?.value) {
+      return res.status(400).json({
+        message: "Destination postal code and package weight are required",
       });
     }
+    const weight =
+      parcel.unit === "gram" ? parcel.value / 1000 : Number(parcel.value);
 
-    console.log("✅ ShipEngine rates response:", JSON.stringify(data, null, 2));
-
-    res.json(data);
+    await quoteBasket(req, res, {
+      postalCode: shipment.ship_to.postal_code,
+      countryCode: shipment.ship_to.country_code || "GB",
+      city: shipment.ship_to.city,
+      items: [{ weight, quantity: 1 }],
+      subtotal: req.body.subtotal,
+    });
   } catch (error) {
     console.error("Shipping rates error:", error);
     res.status(500).json({
@@ -105,181 +149,138 @@ router.post("/rates", async (req, res) => {
 });
 
 /**
- * Calculate shipping cost based on cart weight and destination
- * @route POST /api/shipping/calculate
- * @access Public
+ * GET /api/shipping/settings
+ * Rate provider and origin, plus the built-in defaults used until the
+ * tenant adds zones
  */
-router.post("/calculate", async (req, res) => {
+router.get("/settings", requireAdmin, async (req, res, next) => {
   try {
-    const { postalCode, countryCode = "GB", items, city } = req.body;
-
-    console.log("📦 Shipping calculation request:", {
-      postalCode,
-      countryCode,
-      city,
-      itemCount: items?.length,
-      items: items?.map((i) => ({
-        productId: i.productId,
-        quantity: i.quantity,
-        weight: i.weight,
-      })),
+    const tenant = await Tenant.findById(req.tenantId)
+      .select("shippingSettings")
+      .lean();
+    res.json({
+      settings: tenant?.shippingSettings || {},
+      shipEngineAvailable: Boolean(process.env.SHIPENGINE_API_KEY),
+      defaultZones: DEFAULT_ZONES,
     });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (!postalCode || !items || items.length === 0) {
-      return res.status(400).json({
-        message: "Postal code and items are required",
-      });
+/**
+ * PATCH /api/shipping/settings
+ */
+router.patch("/settings", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validateShippingSettings(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
     }
+    const update = Object.fromEntries(
+      Object.entries(validation.data).map(([key, value]) => [
+        `shippingSettings.${key}`,
+        value,
+      ]),
+    );
 
-    // Calculate total weight from items
-    const totalWeight = items.reduce((sum, item) => {
-      const weight = item.weight || 0.1; // Default 100g if not specified
-      return sum + weight * item.quantity;
-    }, 0);
-
-    // Calculate total number of items
-    const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
-
-    // Add packaging weight based on number of items
-    let packagingWeight = 0;
-    if (totalItems <= 6) {
-      packagingWeight = 0.025; // 25g for up to 6 items
-    } else if (totalItems <= 12) {
-      packagingWeight = 0.05; // 50g for 7-12 items
-    } else if (totalItems <= 24) {
-      packagingWeight = 0.1; // 100g for 13-24 items
-    } else {
-      packagingWeight = 0.15; // 150g for 25+ items
+    const tenant = await Tenant.findByIdAndUpdate(
+      req.tenantId,
+      { $set: update },
+      { new: true, runValidators: true },
+    )
+      .select("shippingSettings")
+      .lean();
+    if (!tenant) {
+      return res.status(404).json({ error: "Tenant not found" });
     }
+    res.json({ settings: tenant.shippingSettings });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const totalWeightWithPackaging = totalWeight + packagingWeight;
+/**
+ * GET /api/shipping/zones
+ */
+router.get("/zones", requireAdmin, async (req, res, next) => {
+  try {
+    const zones = await ShippingZone.find({ tenantId: req.tenantId })
+      .sort({ displayOrder: 1, name: 1 })
+      .lean();
+    res.json(zones);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    console.log("⚖️ Weight breakdown:", {
-      productWeight: totalWeight.toFixed(3) + "kg",
-      totalItems,
-      packagingWeight: packagingWeight.toFixed(3) + "kg",
-      finalWeight: totalWeightWithPackaging.toFixed(3) + "kg",
+/**
+ * POST /api/shipping/zones
+ */
+router.post("/zones", requireAdmin, async (req, res, next) => {
+  try {
+    const validation = validateCreateShippingZone(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
+    }
+    const zone = await ShippingZone.create({
+      ...validation.data,
+      tenantId: req.tenantId,
     });
+    res.status(201).json(zone);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Weight-based shipping options
-    let shippingOptions = [];
-
-    if (countryCode === "GB") {
-      // UK domestic shipping options based on Royal Mail pricing
-      console.log(
-        "🇬🇧 UK domestic shipping - selecting tier for",
-        totalWeightWithPackaging.toFixed(3),
-        "kg"
-      );
-
-      if (totalWeightWithPackaging <= 2) {
-        // Small parcel (up to 2kg) - Maximum size: 45 x 35 x 16cm
-        console.log("✅ Selected tier: Small Parcel (up to 2kg)");
-        shippingOptions = [
-          {
-            id: "tracked-48",
-            name: "Tracked 48",
-            price: 3.55,
-            estimatedDays: "2-3 business days",
-            description: "Two day delivery aim",
-          },
-          {
-            id: "tracked-24",
-            name: "Tracked 24",
-            price: 4.45,
-            estimatedDays: "1 business day",
-            description: "Next day delivery aim",
-          },
-          {
-            id: "tracked-24-signature",
-            name: "Tracked 24 with Signature",
-            price: 5.95,
-            estimatedDays: "1 business day",
-            description: "Next day delivery aim",
-          },
-        ];
-      } else if (totalWeightWithPackaging <= 10) {
-        // Medium parcel (2-10kg) - Maximum size: 61 x 46 x 46cm
-        console.log("✅ Selected tier: Medium Parcel (2-10kg)");
-        shippingOptions = [
-          {
-            id: "tracked-48-signature",
-            name: "Tracked 48 with Signature",
-            price: 8.55,
-            estimatedDays: "2-3 business days",
-            description: "Two day delivery aim with signature",
-          },
-        ];
-      } else {
-        // Over 10kg - custom quote needed
-        console.log("⚠️ Weight over 10kg - custom quote needed");
-        shippingOptions = [
-          {
-            id: "custom-quote",
-            name: "Custom Shipping Quote",
-            price: 15.99,
-            estimatedDays: "Contact us",
-            description: "Please contact us for a custom shipping quote",
-          },
-        ];
-      }
-    } else {
-      // International shipping options
-      console.log("🌍 International shipping for country:", countryCode);
-      shippingOptions = [
-        {
-          id: "international-standard",
-          name: "International Standard",
-          price: 15.99,
-          estimatedDays: "7-14 business days",
-          description: "Standard international delivery",
-        },
-        {
-          id: "international-tracked",
-          name: "International Tracked",
-          price: 22.99,
-          estimatedDays: "5-10 business days",
-          description: "Tracked international delivery",
-        },
-      ];
+/**
+ * PATCH /api/shipping/zones/:id
+ * Rates, when sent, replace the zone's rates
+ */
+router.patch("/zones/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const idValidation = validateShippingZoneId(req.params);
+    if (!idValidation.success) {
+      return invalidZoneId(res, idValidation.errors);
+    }
+    const validation = validateUpdateShippingZone(req.body);
+    if (!validation.success) {
+      return validationError(res, validation.errors);
     }
 
-    console.log("🚚 Shipping options generated:", {
-      optionCount: shippingOptions.length,
-      options: shippingOptions.map((o) => ({
-        id: o.id,
-        name: o.name,
-        price: o.price,
-      })),
-      totalWeight: totalWeightWithPackaging.toFixed(3) + "kg",
-      breakdown: {
-        products: totalWeight.toFixed(3) + "kg",
-        packaging: packagingWeight.toFixed(3) + "kg",
-      },
-      destination: { postalCode, city, countryCode },
-    });
+    const zone = await ShippingZone.findOneAndUpdate(
+      { _id: idValidation.data.id, tenantId: req.tenantId },
+      { $set: validation.data },
+      { new: true, runValidators: true },
+    );
+    if (!zone) {
+      return res.status(404).json({ error: "Shipping zone not found" });
+    }
+    res.json(zone);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.json({
-      options: shippingOptions,
-      weight: totalWeightWithPackaging,
-      productWeight: totalWeight,
-      packagingWeight: packagingWeight,
-      calculation: "weight-based",
-    });
-  } catch (error) {
-    console.error("Shipping calculation error:", error);
-    // Fallback to fixed shipping on error
-    res.json({
-      options: [
-        {
-          id: "standard",
-          name: "Standard Shipping",
-          price: 4.99,
-          estimatedDays: "3-5 business days",
-          description: "Standard delivery",
-        },
-      ],
+/**
+ * DELETE /api/shipping/zones/:id
+ */
+router.delete("/zones/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const idValidation = validateShippingZoneId(req.params);
+    if (!idValidation.success) {
+      return invalidZoneId(res, idValidation.errors);
+    }
+    const zone = await ShippingZone.findOneAndDelete({
+      _id: idValidation.data.id,
+      tenantId: req.tenantId,
     });
+    if (!zone) {
+      return res.status(404).json({ error: "Shipping zone not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
   }
 });
 
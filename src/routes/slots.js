@@ -3,13 +3,31 @@ import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
 import { z } from "zod";
+import mongoose from "mongoose";
 import Specialist from "../models/Specialist.js";
 import Service from "../models/Service.js";
 import Appointment from "../models/Appointment.js";
 import {
   computeSlotsForBeautician,
   computeSlotsAnyStaff,
+  computeResourceBlackouts,
+  normalizeBeautician,
 } from "../utils/slotPlanner.js";
+import { loadSchedulingContext } from "../utils/schedulingContext.js";
+import { attachExternalBlocks } from "../utils/externalCalendarBlocks.js";
+import {
+  getRequiredResources,
+  loadResourceBookings,
+} from "../services/resourceService.js";
+import {
+  resolveBookingWindow,
+  getBookingWindowBounds,
+} from "../utils/bookingWindow.js";
+import {
+  resolveAddOns,
+  summarizeAddOns,
+  addOnErrorBody,
+} from "../utils/serviceAddOns.js";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -32,27 +50,59 @@ function setFullyBookedCache(cacheKey, data) {
 }
 
 /**
- * Normalize specialist object for slot computation
- * Converts Date objects to ISO strings for timeOff and Map to object for customSchedule
+ * Local-day bounds for a YYYY-MM-DD date in the salon timezone
+ */
+function getLocalDayRange(date, salonTz) {
+  const dayStart = dayjs.tz(date, salonTz).startOf("day");
+  return {
+    dayStart: dayStart.toDate(),
+    dayEnd: dayStart.add(1, "day").toDate(),
+  };
+}
+
+/**
+ * Advance booking window bounds as slotPlanner params
+ */
+function getWindowParams(tenant, service) {
+  const { notBefore, notAfter } = getBookingWindowBounds(
+    resolveBookingWindow({ tenant, services: [service] }),
+  );
+  return {
+    notBeforeISO: notBefore.toISOString(),
+    ...(notAfter ? { notAfterISO: notAfter.toISOString() } : {}),
+  };
+}
+
+/**
+ * Appointment in slotPlanner format (ISO strings, with processing windows)
  */
-function normalizeBeautician(specialist) {
-  if (!specialist) return specialist;
-
-  const normalized = {
-    ...specialist,
-    timeOff: (specialist.timeOff || []).map((off) => ({
-      start: off.start instanceof Date ? off.start.toISOString() : off.start,
-      end: off.end instanceof Date ? off.end.toISOString() : off.end,
-      reason: off.reason,
-    })),
-    // Convert Map to plain object for customSchedule (only if it's a Map)
-    customSchedule:
-      specialist.customSchedule instanceof Map
-        ? Object.fromEntries(specialist.customSchedule)
-        : specialist.customSchedule || {},
+function toPlannerAppointment(appt) {
+  return {
+    start: new Date(appt.start).toISOString(),
+    end: new Date(appt.end).toISOString(),
+    status: appt.status,
+    ...(appt.processingWindows?.length
+      ? {
+          processingWindows: appt.processingWindows.map((w) => ({
+            start: new Date(w.start).toISOString(),
+            end: new Date(w.end).toISOString(),
+          })),
+        }
+      : {}),
   };
+}
 
-  return normalized;
+/**
+ * Add salon-local startTime/endTime labels to computed slots
+ */
+function formatSlotsForResponse(slots, salonTz) {
+  return slots.map((slot) => ({
+    startTime: dayjs(slot.startISO).tz(salonTz).format("HH:mm"),
+    endTime: dayjs(slot.endISO).tz(salonTz).format("HH:mm"),
+    startISO: slot.startISO,
+    endISO: slot.endISO,
+    specialistId: slot.specialistId,
+  }));
 }
 
 /**
@@ -71,7 +121,7 @@ r.get("/fully-booked", async (req, res) => {
       });
     }
 
-    const { specialistId, year, month } = req.query;
+    const { specialistId, year, month, locationId } = req.query;
 
     // Validation
     if (!specialistId || !year || !month) {
@@ -86,11 +136,12 @@ r.get("/fully-booked", async (req, res) => {
     if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
       return res.status(400).json({ error: "Invalid year or month" });
     }
+    if (locationId && !mongoose.isValidObjectId(locationId)) {
+      return res.status(400).json({ error: "Invalid locationId" });
+    }
 
     // Check cache
-    const cacheKey = `${req.tenantId}:${specialistId}:${year}-${String(
-      monthNum,
-    ).padStart(2, "0")}`;
+    const cacheKey = `${req.tenantId}:${locationId || "default"}:${specialistId}:${year}-${String(monthNum).padStart(2, "0")}`;
     const cached = fullyBookedCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
       return res.json({ fullyBooked: cached.data });
@@ -129,7 +180,32 @@ r.get("/fully-booked", async (req, res) => {
       return res.json({ fullyBooked: allDates });
     }
 
-    const salonTz = process.env.SALON_TZ || "Europe/London";
+    const { salonTz, stepMin, tenant } = await loadSchedulingContext({
+      tenantId: req.tenantId,
+      tenant: req.tenant,
+      locationId,
+    });
+    // Shared rooms/equipment: load once for all services, split per service
+    const allResources = await getRequiredResources({
+      tenantId: req.tenantId,
+      services,
+      locationId,
+    });
+    const resourcesByService = new Map(
+      services.map((service) => {
+        const ids = new Set((service.requiredResourceIds || []).map(String));
+        return [
+          String(service._id),
+          allResources.filter((resource) => ids.has(String(resource._id))),
+        ];
+      }),
+    );
+    const windowParamsByService = new Map(
+      services.map((service) => [
+        String(service._id),
+        getWindowParams(tenant, service),
+      ]),
+    );
     const fullyBookedSet = new Set();
 
     // Get month boundaries
@@ -156,15 +232,29 @@ r.get("/fully-booked", async (req, res) => {
     allMonthAppts.forEach((appt) => {
       const dateStr = dayjs(appt.start).tz(salonTz).format("YYYY-MM-DD");
       if (!apptsByDate[dateStr]) apptsByDate[dateStr] = [];
-      apptsByDate[dateStr].push({
-        start: new Date(appt.start).toISOString(),
-        end: new Date(appt.end).toISOString(),
-        status: appt.status,
-      });
+      apptsByDate[dateStr].push(toPlannerAppointment(appt));
     });
 
+    const monthResourceBookings = await loadResourceBookings({
+      tenantId: req.tenantId,
+      resources: allResources,
+      rangeStart: monthStartDate,
+      rangeEnd: monthEndExclusiveDate,
+    });
+    const resourceBlackoutsByService = new Map(
+      [...resourcesByService.entries()].map(([serviceId, resources]) => [
+        serviceId,
+        computeResourceBlackouts({ resources, bookings: monthResourceBookings }),
+      ]),
+    );
+
     // OPTIMIZATION: Normalize specialist once before loop instead of per-day
-    const normalizedSpecialist = normalizeBeautician(specialist);
+    const normalizedSpecialist = normalizeBeautician(
+      await attachExternalBlocks(specialist, {
+        rangeStart: monthStartDate,
+        rangeEnd: monthEndExclusiveDate,
+      }),
+    );
 
     // Check each day in the month
     const daysInMonth = monthStart.daysInMonth();
@@ -209,14 +299,17 @@ r.get("/fully-booked", async (req, res) => {
           const slots = computeSlotsForBeautician({
             date: dateStr,
             salonTz,
-            stepMin: 15,
+            stepMin,
             service: {
               durationMin: variant.durationMin,
               bufferBeforeMin: variant.bufferBeforeMin || 0,
               bufferAfterMin: variant.bufferAfterMin || 0,
+              ...(variant.phases?.length ? { phases: variant.phases } : {}),
             },
             specialist: normalizedSpecialist, // Use pre-normalized specialist
             appointments: dayAppts, // Already in correct format!
+            extraBlackouts: resourceBlackoutsByService.get(String(service._id)),
+            ...windowParamsByService.get(String(service._id)),
           });
 
           if (slots.length > 0) {
@@ -248,7 +341,10 @@ r.get("/fully-booked", async (req, res) => {
   }
 });
 
-r.get("/", async (req, res) => {
+// Errors are passed on to the error handler rather than left unhandled
+r.get("/", (req, res, next) => getSlots(req, res).catch(next));
+
+async function getSlots(req, res) {
   // TENANT FILTERING: REQUIRED - Multi-tenant app must always filter by tenant
   if (!req.tenantId) {
     console.error("[SLOTS] ERROR: No tenantId found in request");
@@ -257,30 +353,71 @@ r.get("/", async (req, res) => {
     });
   }
 
-  const { specialistId, serviceId, variantName, date, any, totalDuration } =
-    req.query;
+  const {
+    specialistId,
+    serviceId,
+    variantName,
+    date,
+    any,
+    totalDuration,
+    locationId,
+    addOns,
+  } = req.query;
 
   if (!serviceId || !variantName || !date)
     return res.status(400).json({ error: "Missing params" });
+  if (locationId && !mongoose.isValidObjectId(locationId))
+    return res.status(400).json({ error: "Invalid locationId" });
 
   const service = await Service.findById(serviceId).lean();
   if (!service) return res.status(404).json({ error: "Service not found" });
   const variant = (service.variants || []).find((v) => v.name === variantName);
   if (!variant) return res.status(404).json({ error: "Variant not found" });
 
+  // Selected add-ons of this service (?addOns=a,b) extend the time needed,
+  // on top of totalDuration for multi-service bookings
+  const resolvedAddOns = resolveAddOns(service, addOns);
+  if (!resolvedAddOns.ok)
+    return res.status(400).json(addOnErrorBody(resolvedAddOns.missing));
+  const addOnMinutes = summarizeAddOns(resolvedAddOns.addOns).durationMin;
+
   // Use totalDuration if provided (multi-service booking), otherwise use variant duration
-  const durationMin = totalDuration
-    ? parseInt(totalDuration)
-    : variant.durationMin;
+  const durationMin =
+    (totalDuration ? parseInt(totalDuration) : variant.durationMin) +
+    addOnMinutes;
 
   const svc = {
     durationMin: durationMin,
     bufferBeforeMin: variant.bufferBeforeMin || 0,
     bufferAfterMin: variant.bufferAfterMin || 0,
+    // Processing phases let other appointments fit in; a multi-service
+    // totalDuration has no single phase layout, so it stays one block
+    ...(!totalDuration && variant.phases?.length
+      ? { phases: variant.phases }
+      : {}),
   };
 
-  const salonTz = process.env.SALON_TZ || "Europe/London";
-  const stepMin = Number(process.env.SLOTS_STEP_MIN || 15);
+  const { salonTz, stepMin, tenant } = await loadSchedulingContext({
+    tenantId: req.tenantId,
+    tenant: req.tenant,
+    locationId,
+  });
+  const { dayStart, dayEnd } = getLocalDayRange(date, salonTz);
+  const windowParams = getWindowParams(tenant, service);
+  const requiredResources = await getRequiredResources({
+    tenantId: req.tenantId,
+    services: [service],
+    locationId,
+  });
+  const resourceBlackouts = computeResourceBlackouts({
+    resources: requiredResources,
+    bookings: await loadResourceBookings({
+      tenantId: req.tenantId,
+      resources: requiredResources,
+      rangeStart: dayStart,
+      rangeEnd: dayEnd,
+    }),
+  });
   let slots = [];
   if (any === "true") {
     // Single-specialist per service: resolve assigned specialist and compute directly
@@ -291,53 +428,36 @@ r.get("/", async (req, res) => {
         .json({ error: "Service has no assigned specialist" });
     const b = await Specialist.findById(targetId).lean();
     if (!b) return res.status(404).json({ error: "Specialist not found" });
-    const dayStart = new Date(date);
-    const dayEnd = new Date(new Date(date).getTime() + 86400000);
-
     const appts = await Appointment.find({
       specialistId: targetId,
       start: { $gte: dayStart, $lt: dayEnd },
       status: { $not: /^cancelled/ },
     }).lean();
 
-    const appointmentsForSlots = appts.map((a) => ({
-      start: new Date(a.start).toISOString(),
-      end: new Date(a.end).toISOString(),
-      status: a.status,
-    }));
+    const appointmentsForSlots = appts.map(toPlannerAppointment);
 
     slots = computeSlotsForBeautician({
       date,
       salonTz,
       stepMin,
       service: svc,
-      specialist: normalizeBeautician(b),
+      specialist: normalizeBeautician(
+        await attachExternalBlocks(b, {
+          rangeStart: dayStart,
+          rangeEnd: dayEnd,
+        }),
+      ),
       appointments: appointmentsForSlots,
+      extraBlackouts: resourceBlackouts,
+      ...windowParams,
     });
 
-    // Transform slots to include startTime and endTime
-    slots = slots.map((slot) => ({
-      startTime: new Date(slot.startISO).toLocaleTimeString("en-GB", {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
-      endTime: new Date(slot.endISO).toLocaleTimeString("en-GB", {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
-      startISO: slot.startISO,
-      endISO: slot.endISO,
-      specialistId: slot.specialistId,
-    }));
+    // Transform slots to include salon-local startTime and endTime
+    slots = formatSlotsForResponse(slots, salonTz);
   } else {
     const b = await Specialist.findById(specialistId).lean();
     if (!b) return res.status(404).json({ error: "Specialist not found" });
 
-    const normalizedBeautician = normalizeBeautician(b);
-
-    const dayStart = new Date(date);
-    const dayEnd = new Date(new Date(date).getTime() + 86400000);
-
     const appts = await Appointment.find({
       specialistId,
       start: {
@@ -347,37 +467,28 @@ r.get("/", async (req, res) => {
       status: { $not: /^cancelled/ },
     }).lean();
 
-    const appointmentsForSlots = appts.map((a) => ({
-      start: new Date(a.start).toISOString(),
-      end: new Date(a.end).toISOString(),
-      status: a.status,
-    }));
+    const appointmentsForSlots = appts.map(toPlannerAppointment);
 
     slots = computeSlotsForBeautician({
       date,
       salonTz,
       stepMin,
       service: svc,
-      specialist: normalizeBeautician(b),
+      specialist: normalizeBeautician(
+        await attachExternalBlocks(b, {
+          rangeStart: dayStart,
+          rangeEnd: dayEnd,
+        }),
+      ),
       appointments: appointmentsForSlots,
+      extraBlackouts: resourceBlackouts,
+      ...windowParams,
     });
 
-    // Transform slots to include startTime and endTime
-    slots = slots.map((slot) => ({
-      startTime: new Date(slot.startISO).toLocaleTimeString("en-GB", {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
-      endTime: new Date(slot.endISO).toLocaleTimeString("en-GB", {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
-      startISO: slot.startISO,
-      endISO: slot.endISO,
-      specialistId: slot.specialistId,
-    }));
+    // Transform slots to include salon-local startTime and endTime
+    slots = formatSlotsForResponse(slots, salonTz);
   }
 
-  res.json({ slots });
-});
+  res.json({ slots, timezone: salonTz, stepMin });
+}
 export default r;
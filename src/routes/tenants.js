@@ -87,6 +87,12 @@ const updateTenantSchema = z.object({
   branding: z.object({}).passthrough().optional(),
   schedulingSettings: z.object({}).passthrough().optional(),
   paymentSettings: z.object({}).passthrough().optional(),
+  referralSettings: z
+    .object({
+      clientRewardsEnabled: z.boolean().optional(),
+      clientRewardAmount: z.number().min(0).max(1000).optional(),
+    })
+    .optional(),
   features: z.object({}).passthrough().optional(),
 });
 
@@ -772,6 +778,16 @@ router.put("/:id", requireAdmin, async (req, res) => {
       };
     }
 
+    // Referral settings are set key by key so one can change on its own
+    if (validatedData.referralSettings) {
+      delete updateData.referralSettings;
+      for (const [key, value] of Object.entries(
+        validatedData.referralSettings,
+      )) {
+        updateData[`referralSettings.${key}`] = value;
+      }
+    }
+
     const tenant = await Tenant.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
@@ -5,6 +5,7 @@ import Appointment from "../models/Appointment.js";
 import Order from "../models/Order.js";
 import { authenticateUser } from "../middleware/userAuth.js";
 import { autoFillCancelledSlot } from "../services/waitlistAutoFillService.js";
+import { loadSchedulingContext } from "../utils/schedulingContext.js";
 import { createConsoleLogger } from "../utils/logger.js";
 
 const router = Router();
@@ -212,9 +213,14 @@ router.patch("/me/bookings/:id/cancel", async (req, res) => {
 
     let waitlistAutoFill = { filled: false, reason: "not_attempted" };
     try {
+      const { salonTz } = await loadSchedulingContext({
+        tenantId: appointment.tenantId,
+        locationId: appointment.locationId,
+      });
       waitlistAutoFill = await autoFillCancelledSlot({
         appointmentId: appointment._id,
         tenantId: appointment.tenantId,
+        salonTz,
       });
     } catch (waitlistError) {
       console.error("[USER] Waitlist auto-fill error:", waitlistError);
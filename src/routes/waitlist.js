@@ -4,6 +4,10 @@ import WaitlistEntry from "../models/WaitlistEntry.js";
 import Service from "../models/Service.js";
 import Specialist from "../models/Specialist.js";
 import requireAdmin from "../middleware/requireAdmin.js";
+import {
+  loadWaitlistOffer,
+  claimWaitlistOffer,
+} from "../services/waitlistOfferService.js";
 
 const router = Router();
 
@@ -216,6 +220,66 @@ router.post("/", async (req, res) => {
   }
 });
 
+router.get("/offers/:token", async (req, res) => {
+  try {
+    const result = await loadWaitlistOffer({
+      token: req.params.token,
+      tenantId: req.tenantId,
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    const { source, entry, offer } = result;
+    const [service, specialist] = await Promise.all([
+      Service.findById(source.serviceId || source.services?.[0]?.serviceId)
+        .select("name")
+        .lean(),
+      Specialist.findById(source.specialistId).select("name").lean(),
+    ]);
+
+    res.json({
+      success: true,
+      offer: {
+        serviceName: service?.name || entry.variantName,
+        variantName: entry.variantName,
+        specialistName: specialist?.name || "",
+        start: source.start,
+        end: source.end,
+        price: source.price,
+        expiresAt: offer.expiresAt,
+        clientName: entry.client?.name || "",
+      },
+    });
+  } catch (error) {
+    console.error("waitlist_offer_get_err", error);
+    res.status(500).json({ error: "Failed to load waitlist offer" });
+  }
+});
+
+// Reserves the offered slot; the client then pays the deposit through
+// POST /api/checkout/create-session with the returned appointmentId.
+router.post("/offers/:token/claim", async (req, res) => {
+  try {
+    const result = await claimWaitlistOffer({
+      token: req.params.token,
+      tenantId: req.tenantId,
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Slot reserved. Pay the deposit to confirm it.",
+      appointmentId: String(result.appointment._id),
+      checkout: {
+        appointmentId: String(result.appointment._id),
+        mode: "deposit",
+      },
+    });
+  } catch (error) {
+    console.error("waitlist_offer_claim_err", error);
+    res.status(500).json({ error: "Failed to claim waitlist offer" });
+  }
+});
+
 router.get("/", requireAdmin, async (req, res) => {
   try {
     if (!requireTenantId(req, res)) return;
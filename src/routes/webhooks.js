@@ -6,15 +6,12 @@ import Specialist from "../models/Specialist.js";
 import Order from "../models/Order.js";
 import Payment from "../models/Payment.js";
 import GiftCard from "../models/GiftCard.js";
-import Seminar from "../models/Seminar.js";
-import SeminarBooking from "../models/SeminarBooking.js";
 import Tenant from "../models/Tenant.js";
 import {
   sendConfirmationEmail,
   sendOrderConfirmationEmail,
   sendAdminOrderNotification,
   sendBeauticianProductOrderNotification,
-  sendSeminarConfirmationEmail,
 } from "../emails/mailer.js";
 import {
   sendGiftCardPurchaseConfirmation,
@@ -22,6 +19,45 @@ import {
   sendGiftCardSaleNotification,
 } from "../emails/giftCardMailer.js";
 import smsService from "../services/smsService.js";
+import {
+  confirmGroupBooking,
+  releaseGroupBooking,
+} from "../services/groupBookingService.js";
+import { completeWaitlistClaim } from "../services/waitlistOfferService.js";
+import { recordSavedCard } from "../services/appointmentFeeService.js";
+import {
+  releaseGiftCardReservation,
+  settleGiftCardRedemption,
+} from "../services/giftCardRedemptionService.js";
+import {
+  confirmSeminarBooking,
+  giftCardFromMetadata,
+} from "../services/seminarBookingService.js";
+import { releaseSeminarSeatHold } from "../services/seminarSeatService.js";
+import {
+  confirmSeminarOrder,
+  expireSeminarOrder,
+} from "../services/seminarOrderService.js";
+import {
+  activatePackagePurchase,
+  cancelPendingPackagePurchase,
+} from "../services/packageService.js";
+import {
+  expireMembershipCheckout,
+  recordMembershipCheckout,
+  recordMembershipPayment,
+  recordMembershipPaymentFailed,
+  syncMembershipFromSubscription,
+} from "../services/membershipService.js";
+import {
+  commitOrderStock,
+  releaseOrderStock,
+} from "../services/inventoryService.js";
+import {
+  releaseAppointmentPromotion,
+  releaseOrderPromotion,
+} from "../services/promotionService.js";
+import { returnReferralCredit } from "../services/referralRewardService.js";
 import { createConsoleLogger } from "../utils/logger.js";
 
 const r = Router();
@@ -98,13 +134,10 @@ async function releaseGiftCardReservationForAppointment(appointmentId) {
     .select("payment.giftCard")
     .lean();
 
-  const giftCardCode = appointment?.payment?.giftCard?.code;
-  if (!giftCardCode) return;
-
-  const giftCard = await GiftCard.findOne({ code: giftCardCode });
-  if (!giftCard) return;
-
-  await giftCard.releaseReservation({ appointmentId });
+  await releaseGiftCardReservation({
+    application: appointment?.payment?.giftCard,
+    target: { appointmentId },
+  });
 }
 
 // Note: This route expects the raw request body. Ensure server mounts it with express.raw for this path.
@@ -140,9 +173,16 @@ r.post("/stripe", async (req, res) => {
         const session = event.data.object;
         const bookingType = session.metadata?.type;
         const isGiftCardPurchase = bookingType === "gift_card_purchase";
-        const apptId = isGiftCardPurchase
-          ? null
-          : session.client_reference_id || session.metadata?.appointmentId;
+        const isPackagePurchase = bookingType === "package_purchase";
+        const isMembership = bookingType === "client_membership";
+        const isGroupBooking = bookingType === "group_booking";
+        const apptId =
+          isGiftCardPurchase ||
+          isPackagePurchase ||
+          isMembership ||
+          isGroupBooking
+            ? null
+            : session.client_reference_id || session.metadata?.appointmentId;
         const orderId = session.metadata?.orderId;
         const seminarId = session.metadata?.seminarId;
 
@@ -211,6 +251,68 @@ r.post("/stripe", async (req, res) => {
           break;
         }
 
+        if (isPackagePurchase) {
+          try {
+            const result = await activatePackagePurchase({
+              purchaseId:
+                session.metadata?.clientPackageId ||
+                session.client_reference_id,
+              stripeCheckoutSessionId: session.id,
+              stripePaymentIntentId: session.payment_intent || undefined,
+            });
+            console.log(
+              "[WEBHOOK] Package purchase",
+              session.metadata?.clientPackageId,
+              result.ok
+                ? result.activated
+                  ? "activated"
+                  : "already active"
+                : result.body.error,
+            );
+          } catch (packageErr) {
+            console.error("[WEBHOOK] Package activation error:", packageErr);
+          }
+
+          break;
+        }
+
+        if (isMembership) {
+          try {
+            const membership = await recordMembershipCheckout({ session });
+            console.log(
+              "[WEBHOOK] Membership checkout completed:",
+              session.metadata?.membershipId,
+              membership ? membership.status : "not found",
+            );
+          } catch (membershipErr) {
+            console.error(
+              "[WEBHOOK] Membership checkout error:",
+              membershipErr,
+            );
+          }
+
+          break;
+        }
+
+        if (isGroupBooking) {
+          try {
+            const result = await confirmGroupBooking({
+              groupId: session.metadata?.groupId,
+              session,
+              stripe: getStripe(),
+            });
+            console.log(
+              "[WEBHOOK] Group booking",
+              session.metadata?.groupId,
+              result.alreadyConfirmed ? "already confirmed" : "confirmed",
+            );
+          } catch (groupErr) {
+            console.error("[WEBHOOK] Group booking confirm error:", groupErr);
+          }
+
+          break;
+        }
+
         // Handle appointment confirmation
         if (apptId) {
           try {
@@ -273,76 +375,34 @@ r.post("/stripe", async (req, res) => {
               "updated to confirmed",
             );
 
-            // Send confirmation email
-            if (appointment) {
-              const giftCardMeta = appointment?.payment?.giftCard;
-              if (
-                giftCardMeta?.code &&
-                Number(giftCardMeta.appliedAmount) > 0 &&
-                giftCardMeta?.redemptionStatus !== "redeemed"
-              ) {
-                try {
-                  const giftCard = await GiftCard.findOne({
-                    code: giftCardMeta.code,
-                  });
-
-                  if (giftCard && giftCard.isValid()) {
-                    try {
-                      await giftCard.consumeReservation({
-                        appointmentId: appointment._id,
-                        amount: Number(giftCardMeta.appliedAmount),
-                        clientId: appointment.clientId,
-                      });
-                    } catch (reservationError) {
-                      const isMissingReservation =
-                        reservationError?.message ===
-                        "No active gift card reservation found";
-
-                      if (!isMissingReservation) {
-                        throw reservationError;
-                      }
-
-                      await giftCard.redeem(
-                        Number(giftCardMeta.appliedAmount),
-                        appointment.clientId,
-                        appointment._id,
-                      );
-                    }
-
-                    await Appointment.findByIdAndUpdate(appointment._id, {
-                      $set: {
-                        "payment.giftCard.redemptionStatus": "redeemed",
-                        "payment.giftCard.redeemedAt": new Date(),
-                      },
-                    });
-                    console.log(
-                      "[WEBHOOK] Gift card redeemed for appointment",
-                      appointment._id,
-                      giftCardMeta.code,
-                      giftCardMeta.appliedAmount,
-                    );
-                  } else {
-                    await Appointment.findByIdAndUpdate(appointment._id, {
-                      $set: {
-                        "payment.giftCard.redemptionStatus": "failed",
-                        "payment.giftCard.error":
-                          "Gift card invalid during webhook redemption",
-                      },
-                    });
-                  }
-                } catch (giftCardError) {
-                  console.error(
-                    "[WEBHOOK] Gift card redemption failed:",
-                    giftCardError,
-                  );
-                  await Appointment.findByIdAndUpdate(appointment._id, {
-                    $set: {
-                      "payment.giftCard.redemptionStatus": "failed",
-                      "payment.giftCard.error": giftCardError.message,
-                    },
-                  });
-                }
+            let waitlistClaimLost = false;
+            if (appointment?.waitlistClaim) {
+              try {
+                const claim = await completeWaitlistClaim({ appointment });
+                waitlistClaimLost = Boolean(claim.lost);
+              } catch (waitlistError) {
+                console.error(
+                  "[WEBHOOK] Waitlist claim update failed:",
+                  waitlistError,
+                );
               }
+            }
+            if (waitlistClaimLost) {
+              console.log(
+                "[WEBHOOK] Waitlist slot already claimed, refunded",
+                apptId,
+              );
+            }
+
+            // Send confirmation email
+            if (appointment && !waitlistClaimLost) {
+              await settleGiftCardRedemption({
+                Model: Appointment,
+                id: appointment._id,
+                path: "payment.giftCard",
+                target: { appointmentId: appointment._id },
+                clientId: appointment.clientId,
+              });
 
               const hasConfirmationEmailAudit = (appointment.audit || []).some(
                 (entry) => entry?.action === "confirmation_email_sent",
@@ -467,6 +527,21 @@ r.post("/stripe", async (req, res) => {
 
             console.log("[WEBHOOK] Order", orderId, "updated to paid");
 
+            if (order?.giftCard) {
+              await settleGiftCardRedemption({
+                Model: Order,
+                id: order._id,
+                path: "giftCard",
+                target: { orderId: order._id },
+                clientId: order.userId,
+              });
+            }
+
+            // Turn the checkout's stock hold into sales
+            if (order) {
+              await commitOrderStock({ order });
+            }
+
             // Send order confirmation email to customer
             if (order) {
               try {
@@ -542,6 +617,7 @@ r.post("/stripe", async (req, res) => {
         if (seminarId && bookingType === "seminar") {
           try {
             const {
+              bookingId,
               sessionId,
               attendeeName,
               attendeeEmail,
@@ -551,80 +627,68 @@ r.post("/stripe", async (req, res) => {
               tenantId,
             } = session.metadata;
 
-            // Find seminar and session
-            const seminar = await Seminar.findById(seminarId);
-            if (!seminar) {
-              console.error("[WEBHOOK] Seminar not found:", seminarId);
-              break;
-            }
-
-            const seminarSession = seminar.sessions.id(sessionId);
-            if (!seminarSession) {
-              console.error("[WEBHOOK] Session not found:", sessionId);
-              break;
-            }
+            const payment = {
+              stripeSessionId: session.id,
+              stripePaymentIntentId: session.payment_intent,
+              amount: session.amount_total / 100,
+              currency: session.currency.toUpperCase(),
+              status: "paid",
+              paidAt: new Date(),
+            };
+            const giftCard = giftCardFromMetadata(session.metadata);
+
+            // Checkouts started before orders existed carry one booking
+            const confirmed = session.metadata.seminarOrderId
+              ? await confirmSeminarOrder({
+                  orderId: session.metadata.seminarOrderId,
+                  payment,
+                  clientId: session.customer || null,
+                  giftCard,
+                })
+              : await confirmSeminarBooking({
+                  bookingId,
+                  seminarId,
+                  sessionId,
+                  attendee: {
+                    name: attendeeName,
+                    email: attendeeEmail,
+                    phone: attendeePhone,
+                    specialRequests,
+                  },
+                  clientId: session.customer || null,
+                  specialistId,
+                  tenantId,
+                  payment,
+                  giftCard,
+                });
 
-            // Check if session still has space
-            if (
-              seminarSession.currentAttendees >= seminarSession.maxAttendees
-            ) {
-              console.error("[WEBHOOK] Session is full:", sessionId);
-              // TODO: Handle refund
+            if (!confirmed.ok) {
+              console.error(
+                "[WEBHOOK] Seminar booking not created:",
+                confirmed.body.error,
+                sessionId,
+              );
               break;
             }
 
-            // Create booking (using new + save to ensure pre-save hook runs)
-            const booking = new SeminarBooking({
-              seminarId,
-              sessionId,
-              clientId: session.customer || null,
-              specialistId,
-              tenantId,
-              attendeeInfo: {
-                name: attendeeName,
-                email: attendeeEmail,
-                phone: attendeePhone,
-                specialRequests,
-              },
-              payment: {
-                stripeSessionId: session.id,
-                stripePaymentIntentId: session.payment_intent,
-                amount: session.amount_total / 100,
-                currency: session.currency.toUpperCase(),
-                status: "paid",
-                paidAt: new Date(),
-              },
-              status: "confirmed",
-            });
-            await booking.save();
-
-            // Increment session attendees
-            seminarSession.currentAttendees += 1;
-            seminar.updateSessionStatus(sessionId);
-            await seminar.save();
-
-            console.log(
-              "[WEBHOOK] Seminar booking created:",
-              booking.bookingReference,
-            );
-
-            // Send confirmation email
-            try {
-              const tenant = await Tenant.findById(tenantId);
-              await sendSeminarConfirmationEmail({
-                booking,
-                seminar,
-                session: seminarSession,
-                tenant,
-              });
+            if (confirmed.bookings) {
               console.log(
-                "[WEBHOOK] Seminar confirmation email sent to",
-                attendeeEmail,
+                "[WEBHOOK] Seminar order confirmed:",
+                session.metadata.seminarOrderId,
+                confirmed.bookings.map((b) => b.bookingReference).join(", "),
               );
-            } catch (emailErr) {
-              console.error(
-                "[WEBHOOK] Failed to send seminar confirmation email:",
-                emailErr,
+              if (confirmed.failed.length) {
+                console.error(
+                  "[WEBHOOK] Seminar order bookings not created:",
+                  confirmed.failed,
+                );
+              }
+            } else {
+              console.log(
+                confirmed.created
+                  ? "[WEBHOOK] Seminar booking created:"
+                  : "[WEBHOOK] Seminar booking already confirmed:",
+                confirmed.booking.bookingReference,
               );
             }
           } catch (e) {
@@ -768,6 +832,11 @@ r.post("/stripe", async (req, res) => {
 
         if (orderId) {
           try {
+            // Partial refunds are recorded item by item by the refund route
+            if (!charge.refunded) {
+              console.log("[WEBHOOK] Order", orderId, "partially refunded");
+              break;
+            }
             await Order.findByIdAndUpdate(orderId, {
               $set: {
                 paymentStatus: "refunded",
@@ -847,13 +916,44 @@ r.post("/stripe", async (req, res) => {
         break;
       }
 
+      case "setup_intent.succeeded": {
+        // Card saved at booking for no-show/late-cancel fees
+        const setupIntent = event.data.object;
+        const apptId = setupIntent.metadata?.appointmentId;
+        if (!apptId) break;
+
+        try {
+          const result = await recordSavedCard({
+            appointmentId: apptId,
+            setupIntentId: setupIntent.id,
+          });
+          if (!result.ok) {
+            console.warn(
+              "[WEBHOOK] setup_intent.succeeded not recorded:",
+              apptId,
+              result.body?.code,
+            );
+          }
+        } catch (e) {
+          console.error("[WEBHOOK] card setup record err", e);
+        }
+        break;
+      }
+
       case "checkout.session.expired": {
         const session = event.data.object;
         const bookingType = session.metadata?.type;
         const isGiftCardPurchase = bookingType === "gift_card_purchase";
-        const apptId = isGiftCardPurchase
-          ? null
-          : session.client_reference_id || session.metadata?.appointmentId;
+        const isPackagePurchase = bookingType === "package_purchase";
+        const isMembership = bookingType === "client_membership";
+        const isGroupBooking = bookingType === "group_booking";
+        const apptId =
+          isGiftCardPurchase ||
+          isPackagePurchase ||
+          isMembership ||
+          isGroupBooking
+            ? null
+            : session.client_reference_id || session.metadata?.appointmentId;
 
         console.log(
           "[WEBHOOK] checkout.session.expired - apptId:",
@@ -897,9 +997,128 @@ r.post("/stripe", async (req, res) => {
           break;
         }
 
+        if (isPackagePurchase) {
+          try {
+            const purchaseId =
+              session.metadata?.clientPackageId || session.client_reference_id;
+            if (
+              purchaseId &&
+              (await cancelPendingPackagePurchase({ purchaseId }))
+            ) {
+              console.log(
+                "[WEBHOOK] Package purchase cancelled after expired checkout:",
+                purchaseId,
+              );
+            }
+          } catch (packageExpiryErr) {
+            console.error(
+              "[WEBHOOK] Failed to process expired package checkout:",
+              packageExpiryErr,
+            );
+          }
+
+          break;
+        }
+
+        if (isMembership) {
+          try {
+            if (await expireMembershipCheckout({ session })) {
+              console.log(
+                "[WEBHOOK] Membership sign-up expired:",
+                session.metadata?.membershipId,
+              );
+            }
+          } catch (membershipExpiryErr) {
+            console.error(
+              "[WEBHOOK] Failed to process expired membership checkout:",
+              membershipExpiryErr,
+            );
+          }
+
+          break;
+        }
+
+        if (isGroupBooking) {
+          try {
+            // Frees every guest's slot; a paid group is left untouched
+            await releaseGroupBooking({
+              groupId: session.metadata?.groupId,
+              expired: true,
+            });
+          } catch (groupExpiryErr) {
+            console.error(
+              "[WEBHOOK] Failed to release expired group booking:",
+              groupExpiryErr,
+            );
+          }
+
+          break;
+        }
+
+        if (bookingType === "product_order") {
+          try {
+            const order = await Order.findById(session.metadata?.orderId)
+              .select("giftCard")
+              .lean();
+            if (order?.giftCard?.redemptionStatus === "pending") {
+              await releaseGiftCardReservation({
+                application: order.giftCard,
+                target: { orderId: order._id },
+              });
+            }
+            if (order) {
+              await releaseOrderStock({ order });
+              await releaseOrderPromotion({ order });
+            }
+          } catch (orderExpiryErr) {
+            console.error(
+              "[WEBHOOK] Failed to release expired order holds:",
+              orderExpiryErr,
+            );
+          }
+
+          break;
+        }
+
+        if (bookingType === "seminar") {
+          try {
+            // The bookings are never created, only their seat and gift
+            // card holds. A seat offered from the waitlist stays held until
+            // the offer itself runs out.
+            const { bookingId, seminarId, sessionId, seminarOrderId } =
+              session.metadata || {};
+            if (seminarOrderId) {
+              await expireSeminarOrder({ orderId: seminarOrderId });
+            } else if (bookingId && seminarId && sessionId) {
+              await releaseSeminarSeatHold({
+                seminarId,
+                sessionId,
+                bookingId,
+                expiredBy: new Date(),
+              });
+            }
+            const giftCard = giftCardFromMetadata(session.metadata);
+            if (bookingId && giftCard) {
+              await releaseGiftCardReservation({
+                application: giftCard,
+                target: { seminarBookingId: bookingId },
+              });
+            }
+          } catch (seminarExpiryErr) {
+            console.error(
+              "[WEBHOOK] Failed to release expired seminar seat or gift card:",
+              seminarExpiryErr,
+            );
+          }
+
+          break;
+        }
+
         if (apptId) {
           try {
             await releaseGiftCardReservationForAppointment(apptId);
+            await returnReferralCredit({ appointmentId: apptId });
+            await releaseAppointmentPromotion({ appointmentId: apptId });
             await Appointment.findByIdAndUpdate(apptId, {
               $set: {
                 "payment.status": "expired",
@@ -1078,6 +1297,16 @@ r.post("/stripe", async (req, res) => {
           subscription.status,
         );
 
+        // Client memberships live on connected accounts
+        if (subscription.metadata?.type === "client_membership") {
+          try {
+            await syncMembershipFromSubscription({ subscription });
+          } catch (err) {
+            console.error("[WEBHOOK] membership subscription error:", err);
+          }
+          break;
+        }
+
         // Check if this is a no_fee_bookings subscription
         if (subscription.metadata?.feature === "no_fee_bookings") {
           const specialistId = subscription.metadata.specialistId;
@@ -1149,6 +1378,15 @@ r.post("/stripe", async (req, res) => {
           subscription.status,
         );
 
+        if (subscription.metadata?.type === "client_membership") {
+          try {
+            await syncMembershipFromSubscription({ subscription });
+          } catch (err) {
+            console.error("[WEBHOOK] membership subscription error:", err);
+          }
+          break;
+        }
+
         try {
           // Find specialist by subscription ID - check both noFeeBookings and smsConfirmations
           let specialist = await Specialist.findOne({
@@ -1297,6 +1535,15 @@ r.post("/stripe", async (req, res) => {
           subscription.id,
         );
 
+        if (subscription.metadata?.type === "client_membership") {
+          try {
+            await syncMembershipFromSubscription({ subscription });
+          } catch (err) {
+            console.error("[WEBHOOK] membership subscription error:", err);
+          }
+          break;
+        }
+
         try {
           // Find specialist by subscription ID - check both subscription types
           let specialist = await Specialist.findOne({
@@ -1372,6 +1619,39 @@ r.post("/stripe", async (req, res) => {
         break;
       }
 
+      case "invoice.payment_failed": {
+        // Failed client membership renewal: Stripe retries, staff see it
+        // in the client list
+        const invoice = event.data.object;
+        try {
+          const membership = await recordMembershipPaymentFailed({ invoice });
+          if (membership) {
+            console.log(
+              "[WEBHOOK] Membership payment failed:",
+              membership._id,
+              "attempt:",
+              invoice.attempt_count,
+            );
+          }
+        } catch (err) {
+          console.error("[WEBHOOK] membership payment failed error:", err);
+        }
+        break;
+      }
+
+      case "invoice.paid": {
+        const invoice = event.data.object;
+        try {
+          const membership = await recordMembershipPayment({ invoice });
+          if (membership) {
+            console.log("[WEBHOOK] Membership invoice paid:", membership._id);
+          }
+        } catch (err) {
+          console.error("[WEBHOOK] membership invoice paid error:", err);
+        }
+        break;
+      }
+
       // ==================== TAP TO PAY PAYMENT EVENTS ====================
 
       case "payment_intent.succeeded": {
@@ -1576,6 +1856,8 @@ r.post("/stripe", async (req, res) => {
         if (apptId) {
           try {
             await releaseGiftCardReservationForAppointment(apptId);
+            await returnReferralCredit({ appointmentId: apptId });
+            await releaseAppointmentPromotion({ appointmentId: apptId });
             await Appointment.findByIdAndUpdate(apptId, {
               $set: {
                 "payment.giftCard.redemptionStatus": "failed",
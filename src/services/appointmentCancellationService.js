@@ -0,0 +1,475 @@
+import Appointment from "../models/Appointment.js";
+import CancellationPolicy from "../models/CancellationPolicy.js";
+import Specialist from "../models/Specialist.js";
+import { computeCancellationOutcome } from "../controllers/appointments/computeCancellationOutcome.js";
+import { refundPayment, getStripe } from "../payments/stripe.js";
+import { retrieveStripeCheckoutSession } from "../utils/stripeSessionResolver.js";
+import { refundToGiftCard } from "./giftCardLedgerService.js";
+import { returnPackageCredit } from "./packageService.js";
+import { releaseAppointmentPromotion } from "./promotionService.js";
+import { returnReferralCredit } from "./referralRewardService.js";
+
+/**
+ * Appointment cancellation: policy lookup, Stripe refund, gift card refund,
+ * package and referral credit return, promo code use release and status
+ * update.
+ *
+ * Shared by the single-appointment cancel route and series-level
+ * cancellation so both follow computeCancellationOutcome in the same way.
+ * Emails and waitlist auto-fill are left to the caller.
+ */
+
+export const DEFAULT_CANCELLATION_POLICY = {
+  freeCancelHours: 24,
+  noRefundHours: 2,
+  partialRefund: { percent: 50 },
+  appliesTo: "deposit_only",
+  graceMinutes: 15,
+  currency: "GBP",
+};
+
+export const CANCELLED_STATUSES = [
+  "cancelled_no_refund",
+  "cancelled_partial_refund",
+  "cancelled_full_refund",
+];
+
+/**
+ * Policy for a specialist: specialist scope, then salon scope, then default.
+ */
+export async function loadCancellationPolicy({ specialistId, deps = {} }) {
+  const PolicyModel = deps.CancellationPolicyModel || CancellationPolicy;
+  return (
+    (await PolicyModel.findOne({
+      scope: "specialist",
+      specialistId,
+    }).lean()) ||
+    (await PolicyModel.findOne({ scope: "salon" }).lean()) ||
+    DEFAULT_CANCELLATION_POLICY
+  );
+}
+
+/**
+ * Refund part of a Stripe-paid appointment.
+ * Resolves missing payment references from the checkout session first.
+ * @returns {Promise<string>} Stripe refund id
+ * @throws {Error} when no payment reference exists or Stripe rejects the refund
+ */
+export async function refundAppointmentPayment({ appointment: appt, amount }) {
+  const id = String(appt._id);
+  const key = `cancel:${id}:${new Date(
+    appt.updatedAt || appt.createdAt || Date.now(),
+  ).getTime()}`;
+  const ref = { ...(appt.payment?.stripe || {}) };
+  let paymentIntentId = ref.paymentIntentId;
+  let chargeId = ref.chargeId;
+
+  const isConnectedSession =
+    ref.sessionAccount === "connected" || ref.chargeType === "direct_charge";
+  let connectedAccountId = isConnectedSession
+    ? ref.beauticianStripeAccount || null
+    : null;
+
+  if (isConnectedSession && !connectedAccountId) {
+    const specialist = await Specialist.findById(appt.specialistId)
+      .select("stripeAccountId")
+      .lean();
+    connectedAccountId = specialist?.stripeAccountId || null;
+  }
+
+  if (
+    !paymentIntentId &&
+    !chargeId &&
+    (appt.payment?.sessionId || appt.payment?.checkoutSessionId)
+  ) {
+    const sessionId = appt.payment?.sessionId || appt.payment?.checkoutSessionId;
+    try {
+      const preferredSource =
+        ref.sessionAccount === "connected" ? "connected" : "platform";
+      const { session } = await retrieveStripeCheckoutSession({
+        sessionId: String(sessionId),
+        preferredSource,
+        connectedAccountId,
+        getPlatformStripe: () => getStripe(),
+        getConnectedStripe: (accountId) =>
+          accountId ? getStripe(accountId) : null,
+        logger: console,
+      });
+
+      const paymentIntent = session?.payment_intent;
+      paymentIntentId =
+        typeof paymentIntent === "string"
+          ? paymentIntent
+          : paymentIntent?.id || undefined;
+      chargeId =
+        typeof paymentIntent === "object"
+          ? typeof paymentIntent?.latest_charge === "string"
+            ? paymentIntent.latest_charge
+            : paymentIntent?.latest_charge?.id
+          : undefined;
+
+      if (paymentIntentId || chargeId) {
+        await Appointment.findByIdAndUpdate(appt._id, {
+          $set: {
+            "payment.stripe.paymentIntentId":
+              paymentIntentId || ref.paymentIntentId,
+            ...(chargeId ? { "payment.stripe.chargeId": chargeId } : {}),
+          },
+        });
+      }
+    } catch (sessionLookupError) {
+      console.error("refund_reference_lookup_err", {
+        id,
+        sessionId,
+        err: sessionLookupError.message,
+      });
+    }
+  }
+
+  const isDestinationCharge =
+    ref.chargeType === "destination_charge" ||
+    (!ref.chargeType &&
+      ref.beauticianStripeAccount &&
+      ref.sessionAccount !== "connected");
+
+  if (!paymentIntentId && !chargeId) {
+    throw new Error(
+      "Missing Stripe payment reference for refund (payment_intent/charge)",
+    );
+  }
+
+  try {
+    const rf = await refundPayment({
+      paymentIntentId,
+      chargeId,
+      amount,
+      idempotencyKey: key,
+      refundApplicationFee: false,
+      reverseTransfer: isDestinationCharge,
+      connectedAccountId,
+    });
+
+    // Split (group) payments paid the specialist with a separate transfer;
+    // take back the refunded part of their share
+    if (!isDestinationCharge && ref.transferId) {
+      const share =
+        Number(appt.payment?.amountTotal || 0) - Number(ref.platformFee || 0);
+      const reversalAmount = amount ? Math.min(amount, share) : undefined;
+      await getStripe().transfers.createReversal(
+        ref.transferId,
+        reversalAmount ? { amount: reversalAmount } : {},
+        { idempotencyKey: `${key}:reversal` },
+      );
+    }
+    return rf.id;
+  } catch (e) {
+    console.error("Refund error", { id, err: e.message });
+    throw e;
+  }
+}
+
+/**
+ * Gift card share of a cancellation refund: the same policy applied to
+ * what the card paid online. Null when no gift card was redeemed.
+ * @returns {Object|null} outcome as from computeCancellationOutcome (pence)
+ */
+export function computeGiftCardRefundOutcome({
+  appointment: appt,
+  policy,
+  now,
+  salonTz,
+}) {
+  const giftCard = appt.payment?.giftCard;
+  const applied = Number(giftCard?.appliedAmount || 0);
+  if (giftCard?.redemptionStatus !== "redeemed" || !(applied > 0)) {
+    return null;
+  }
+
+  const paidMinor = Math.round(applied * 100);
+  return computeCancellationOutcome({
+    appointment: {
+      ...appt,
+      payment: {
+        mode: appt.payment.mode === "deposit" ? "deposit" : "pay_now",
+        provider: "gift_card",
+        amountTotal: paidMinor,
+        amountDeposit: paidMinor,
+      },
+    },
+    policy,
+    now,
+    salonTz,
+  });
+}
+
+/**
+ * Referral credit share of a cancellation: the same policy applied to the
+ * credit spent on the booking. Null when no credit was applied.
+ * @returns {Object|null} outcome as from computeCancellationOutcome (pence)
+ */
+export function computeReferralCreditRefundOutcome({
+  appointment: appt,
+  policy,
+  now,
+  salonTz,
+}) {
+  const applied = Number(appt.referralCredit?.amount || 0);
+  if (!(applied > 0)) return null;
+
+  const creditMinor = Math.round(applied * 100);
+  return computeCancellationOutcome({
+    appointment: {
+      ...appt,
+      price: creditMinor / 100,
+      payment: {
+        mode: "pay_now",
+        provider: "referral_credit",
+        amountTotal: creditMinor,
+        amountDeposit: creditMinor,
+      },
+    },
+    policy,
+    now,
+    salonTz,
+  });
+}
+
+/**
+ * Whether a booking paid with a package session gets the session back:
+ * only when the policy would refund a payment in full. Null when the
+ * booking wasn't paid with a package.
+ * @returns {Object|null} outcome as from computeCancellationOutcome
+ */
+export function computePackageCreditOutcome({
+  appointment: appt,
+  policy,
+  now,
+  salonTz,
+}) {
+  if (appt.payment?.provider !== "package" || !appt.payment.packageCredit) {
+    return null;
+  }
+
+  // Any positive value works: only full vs. partial matters here
+  const valueMinor = Math.max(1, Math.round(Number(appt.price || 0) * 100));
+  return computeCancellationOutcome({
+    appointment: {
+      ...appt,
+      price: valueMinor / 100,
+      payment: {
+        mode: "pay_now",
+        provider: "package",
+        amountTotal: valueMinor,
+        amountDeposit: valueMinor,
+      },
+    },
+    policy,
+    now,
+    salonTz,
+  });
+}
+
+/**
+ * Cancel an active appointment according to the cancellation policy.
+ * Unpaid reservations are cancelled without refund; paid appointments are
+ * refunded per computeCancellationOutcome, including any gift card share,
+ * which goes back onto the card. A package session is returned when the
+ * policy would give a full refund; referral credit is returned by the same
+ * refund band as the cash.
+ * @param {Object} params
+ * @param {Object} params.appointment lean appointment
+ * @param {Object} params.policy cancellation policy (see loadCancellationPolicy)
+ * @param {"customer"|"staff"} params.requestedBy
+ * @param {string} [params.reason]
+ * @param {string} params.salonTz
+ * @param {Object} [params.auditMeta] extra fields for the audit entry
+ * @returns {Promise<{ updated: Object|null, outcome: Object, status: string, stripeRefundId?: string, giftCardRefund?: Object, packageCredit?: Object, referralCredit: number }>}
+ *   updated is null when the appointment was already processed concurrently
+ * @throws {Error} when a due refund fails (err.code === "REFUND_FAILED")
+ */
+export async function cancelAppointment({
+  appointment: appt,
+  policy,
+  requestedBy,
+  reason,
+  salonTz,
+  auditMeta = {},
+  now = new Date(),
+}) {
+  let outcome;
+  let stripeRefundId;
+  let giftCardRefund;
+  let packageCredit;
+  let newStatus;
+
+  if (appt.status === "reserved_unpaid") {
+    // Unpaid appointment - no refund needed
+    outcome = {
+      refundAmount: 0,
+      outcomeStatus: "cancelled_no_refund",
+      reasonCode: "unpaid_appointment",
+    };
+    newStatus = "cancelled_no_refund";
+  } else {
+    // Paid appointment - calculate refund
+    outcome = computeCancellationOutcome({
+      appointment: appt,
+      policy,
+      now,
+      salonTz,
+    });
+
+    if (outcome.refundAmount > 0 && appt.payment?.provider === "stripe") {
+      try {
+        stripeRefundId = await refundAppointmentPayment({
+          appointment: appt,
+          amount: outcome.refundAmount,
+        });
+      } catch (e) {
+        const err = new Error(e.message);
+        err.code = "REFUND_FAILED";
+        throw err;
+      }
+    }
+
+    const giftCardOutcome = computeGiftCardRefundOutcome({
+      appointment: appt,
+      policy,
+      now,
+      salonTz,
+    });
+    if (giftCardOutcome?.refundAmount > 0) {
+      giftCardRefund = await refundToGiftCard({
+        application: appt.payment.giftCard,
+        amount: giftCardOutcome.refundAmount / 100,
+        target: { appointmentId: appt._id },
+        by: requestedBy,
+        note: "Appointment cancelled",
+      });
+    }
+
+    const packageOutcome = computePackageCreditOutcome({
+      appointment: appt,
+      policy,
+      now,
+      salonTz,
+    });
+    if (packageOutcome?.outcomeStatus === "cancelled_full_refund") {
+      packageCredit = await returnPackageCredit({
+        clientPackageId: appt.payment.packageCredit.clientPackageId,
+        appointmentId: appt._id,
+        now,
+      });
+    }
+
+    if (outcome.refundAmount > 0) {
+      newStatus = outcome.outcomeStatus;
+    } else if (giftCardRefund?.amount > 0) {
+      newStatus = giftCardOutcome.outcomeStatus;
+    } else if (packageCredit?.status === "returned") {
+      newStatus = "cancelled_full_refund";
+    } else {
+      newStatus = "cancelled_no_refund";
+    }
+  }
+
+  const update = {
+    $set: {
+      status: newStatus,
+      cancelledAt: now,
+      cancelledBy: requestedBy,
+      cancelReason: reason,
+      policySnapshot: policy,
+    },
+    $push: {
+      audit: {
+        at: now,
+        action: "cancel",
+        by: requestedBy,
+        meta: {
+          outcome,
+          stripeRefundId,
+          giftCardRefund,
+          packageCredit,
+          ...auditMeta,
+        },
+      },
+    },
+  };
+  if (stripeRefundId) {
+    update.$set["payment.status"] =
+      outcome.refundAmount === (appt.payment?.amountTotal || 0)
+        ? "refunded"
+        : "partial_refunded";
+    update.$set["payment.stripe.refundIds"] = [
+      ...(appt.payment?.stripe?.refundIds || []),
+      stripeRefundId,
+    ];
+  }
+  if (giftCardRefund?.amount > 0) {
+    update.$set["payment.giftCard.refundedAmount"] =
+      Number(appt.payment.giftCard.refundedAmount || 0) + giftCardRefund.amount;
+    if (appt.payment.provider === "gift_card") {
+      update.$set["payment.status"] =
+        giftCardRefund.amount >= Number(appt.payment.giftCard.appliedAmount)
+          ? "refunded"
+          : "partial_refunded";
+    }
+  }
+  if (packageCredit?.status === "returned") {
+    update.$set["payment.status"] = "refunded";
+    update.$set["payment.packageCredit.returnedAt"] = now;
+  }
+  const updated = await Appointment.findOneAndUpdate(
+    { _id: appt._id, status: { $in: ["confirmed", "reserved_unpaid"] } },
+    update,
+    { new: true },
+  ).lean();
+
+  // Referral credit follows the same band as the cash; an unpaid
+  // reservation gets all of it back
+  const creditOutcome =
+    appt.status === "reserved_unpaid"
+      ? null
+      : computeReferralCreditRefundOutcome({
+          appointment: appt,
+          policy,
+          now,
+          salonTz,
+        });
+  const referralCredit =
+    updated && appt.referralCredit
+      ? await returnReferralCredit({
+          appointmentId: appt._id,
+          ...(creditOutcome
+            ? { amount: creditOutcome.refundAmount / 100 }
+            : {}),
+          now,
+        })
+      : 0;
+  // A cancelled booking no longer counts against its promo code's limits
+  if (updated && appt.promotion) {
+    await releaseAppointmentPromotion({ appointmentId: appt._id, now });
+  }
+
+  return {
+    updated,
+    outcome,
+    status: newStatus,
+    stripeRefundId,
+    giftCardRefund,
+    packageCredit,
+    referralCredit,
+  };
+}
+
+export default {
+  DEFAULT_CANCELLATION_POLICY,
+  CANCELLED_STATUSES,
+  loadCancellationPolicy,
+  refundAppointmentPayment,
+  computeGiftCardRefundOutcome,
+  computeReferralCreditRefundOutcome,
+  computePackageCreditOutcome,
+  cancelAppointment,
+};
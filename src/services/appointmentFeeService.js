@@ -0,0 +1,533 @@
+import Appointment from "../models/Appointment.js";
+import Specialist from "../models/Specialist.js";
+import Tenant from "../models/Tenant.js";
+import { getStripe } from "../payments/stripe.js";
+import {
+  CANCELLED_STATUSES,
+  loadCancellationPolicy,
+} from "./appointmentCancellationService.js";
+import { sendReceiptEmail } from "./receiptService.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+const console = createConsoleLogger({
+  scope: "appointment-fees",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+/**
+ * No-show and late-cancellation fees
+ *
+ * When tenant.paymentSettings.saveCardsForFees is on, the client's card is
+ * saved at booking with a SetupIntent on the connected account that takes
+ * the booking. Staff can then charge the policy's noShowFee or
+ * lateCancelFee to that card off-session. Each charge is recorded in
+ * appointment.feeCharges and the audit trail, and a receipt is emailed.
+ *
+ * Fee PaymentIntents carry feeAppointmentId rather than appointmentId in
+ * their metadata so the booking payment webhooks leave the appointment
+ * status alone.
+ */
+
+export const FEE_TYPES = ["no_show", "late_cancel"];
+
+export const APPOINTMENT_FEE_CODES = {
+  CARD_SETUP_DISABLED: "CARD_SETUP_DISABLED",
+  CARD_SETUP_INCOMPLETE: "CARD_SETUP_INCOMPLETE",
+  CARD_NOT_SAVED: "CARD_NOT_SAVED",
+  CONNECTED_ACCOUNT_REQUIRED: "CONNECTED_ACCOUNT_REQUIRED",
+  FEE_NOT_APPLICABLE: "FEE_NOT_APPLICABLE",
+  FEE_NOT_CONFIGURED: "FEE_NOT_CONFIGURED",
+  FEE_ALREADY_CHARGED: "FEE_ALREADY_CHARGED",
+  FEE_CHARGE_FAILED: "FEE_CHARGE_FAILED",
+};
+
+const FEE_POLICY_FIELDS = {
+  no_show: "noShowFee",
+  late_cancel: "lateCancelFee",
+};
+
+const FEE_LABELS = {
+  no_show: "No-show fee",
+  late_cancel: "Late cancellation fee",
+};
+
+// Statuses a client can be marked as a no-show from
+const NO_SHOW_STATUSES = ["confirmed", "completed", "no_show"];
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function notFound() {
+  return failure(404, {
+    error: "Appointment not found",
+    message: "Appointment not found",
+  });
+}
+
+export function isCardSetupEnabled(tenant) {
+  return tenant?.paymentSettings?.saveCardsForFees === true;
+}
+
+/**
+ * Fee in pence: percent of the appointment price, otherwise the fixed fee.
+ * @param {{ percent?: number, fixed?: number } | null} fee
+ * @param {number} price - Appointment price in pounds
+ */
+export function computeFeeAmount(fee, price) {
+  if (!fee) return 0;
+  if (fee.percent != null) {
+    const pricePence = Math.round(Number(price || 0) * 100);
+    return Math.max(0, Math.round((pricePence * Number(fee.percent)) / 100));
+  }
+  return Math.max(0, Math.round(Number(fee.fixed || 0)));
+}
+
+/**
+ * Connected account that holds the saved card: the specialist's when
+ * connected, otherwise the salon's.
+ */
+async function resolveConnectedAccount({ appointment, tenant }) {
+  if (appointment.specialistId) {
+    const specialist = await Specialist.findById(appointment.specialistId)
+      .select("stripeAccountId stripeStatus")
+      .lean();
+    if (
+      specialist?.stripeAccountId &&
+      specialist.stripeStatus === "connected"
+    ) {
+      return specialist.stripeAccountId;
+    }
+  }
+  return tenant?.stripeAccountId || null;
+}
+
+/**
+ * Start saving the client's card for an appointment.
+ * @returns {Promise<{ ok: true, clientSecret: string, setupIntentId: string, stripeAccountId: string } | { ok: true, alreadySaved: true, card: object } | { ok: false, status: number, body: object }>}
+ */
+export async function createCardSetup({ appointmentId, tenant }) {
+  if (!isCardSetupEnabled(tenant)) {
+    return failure(403, {
+      error: "Card saving disabled",
+      message: "This salon does not save cards for fees",
+      code: APPOINTMENT_FEE_CODES.CARD_SETUP_DISABLED,
+    });
+  }
+
+  const appointment = await Appointment.findById(appointmentId).lean();
+  if (!appointment) return notFound();
+  if (
+    CANCELLED_STATUSES.includes(appointment.status) ||
+    appointment.status === "no_show"
+  ) {
+    return failure(409, {
+      error: "Appointment closed",
+      message: "Cards can only be saved for upcoming appointments",
+      code: APPOINTMENT_FEE_CODES.FEE_NOT_APPLICABLE,
+    });
+  }
+  if (appointment.cardOnFile?.status === "saved") {
+    return {
+      ok: true,
+      alreadySaved: true,
+      card: {
+        brand: appointment.cardOnFile.cardBrand,
+        last4: appointment.cardOnFile.cardLast4,
+      },
+    };
+  }
+
+  const stripeAccountId = await resolveConnectedAccount({
+    appointment,
+    tenant,
+  });
+  if (!stripeAccountId) {
+    return failure(409, {
+      error: "Payments not connected",
+      message: "The salon has no connected Stripe account",
+      code: APPOINTMENT_FEE_CODES.CONNECTED_ACCOUNT_REQUIRED,
+    });
+  }
+
+  const stripe = getStripe(stripeAccountId);
+  const metadata = {
+    appointmentId: String(appointment._id),
+    tenantId: String(appointment.tenantId || tenant?._id || ""),
+  };
+  const existing = appointment.cardOnFile;
+  const customerId =
+    existing?.stripeAccountId === stripeAccountId && existing.customerId
+      ? existing.customerId
+      : (
+          await stripe.customers.create({
+            name: appointment.client?.name,
+            email: appointment.client?.email,
+            phone: appointment.client?.phone,
+            metadata,
+          })
+        ).id;
+
+  const setupIntent = await stripe.setupIntents.create({
+    customer: customerId,
+    usage: "off_session",
+    payment_method_types: ["card"],
+    metadata,
+  });
+
+  await Appointment.updateOne(
+    { _id: appointment._id },
+    {
+      $set: {
+        cardOnFile: {
+          status: "pending",
+          stripeAccountId,
+          customerId,
+          setupIntentId: setupIntent.id,
+        },
+      },
+      $push: {
+        audit: {
+          at: new Date(),
+          action: "card_setup_started",
+          meta: { setupIntentId: setupIntent.id, stripeAccountId },
+        },
+      },
+    },
+  );
+
+  return {
+    ok: true,
+    clientSecret: setupIntent.client_secret,
+    setupIntentId: setupIntent.id,
+    stripeAccountId,
+  };
+}
+
+/**
+ * Record the card once the SetupIntent has succeeded. Called from the
+ * checkout confirm route and the setup_intent.succeeded webhook.
+ */
+export async function recordSavedCard({ appointmentId, setupIntentId }) {
+  const appointment = await Appointment.findById(appointmentId).lean();
+  if (!appointment) return notFound();
+
+  const cardOnFile = appointment.cardOnFile;
+  const intentId = setupIntentId || cardOnFile?.setupIntentId;
+  if (!cardOnFile || cardOnFile.setupIntentId !== intentId) {
+    return failure(409, {
+      error: "Card setup not found",
+      message: "No card setup is in progress for this appointment",
+      code: APPOINTMENT_FEE_CODES.CARD_SETUP_INCOMPLETE,
+    });
+  }
+  if (cardOnFile.status === "saved") {
+    return {
+      ok: true,
+      card: { brand: cardOnFile.cardBrand, last4: cardOnFile.cardLast4 },
+    };
+  }
+
+  const stripe = getStripe(cardOnFile.stripeAccountId);
+  const setupIntent = await stripe.setupIntents.retrieve(intentId, {
+    expand: ["payment_method"],
+  });
+  if (setupIntent.status !== "succeeded" || !setupIntent.payment_method) {
+    return failure(409, {
+      error: "Card not saved",
+      message: "The card has not been confirmed yet",
+      code: APPOINTMENT_FEE_CODES.CARD_SETUP_INCOMPLETE,
+    });
+  }
+
+  const paymentMethod = setupIntent.payment_method;
+  const paymentMethodId =
+    typeof paymentMethod === "string" ? paymentMethod : paymentMethod.id;
+  const card = {
+    brand: paymentMethod.card?.brand,
+    last4: paymentMethod.card?.last4,
+  };
+
+  await Appointment.updateOne(
+    {
+      _id: appointment._id,
+      "cardOnFile.setupIntentId": intentId,
+      "cardOnFile.status": "pending",
+    },
+    {
+      $set: {
+        "cardOnFile.status": "saved",
+        "cardOnFile.paymentMethodId": paymentMethodId,
+        "cardOnFile.cardBrand": card.brand,
+        "cardOnFile.cardLast4": card.last4,
+        "cardOnFile.savedAt": new Date(),
+      },
+      $push: {
+        audit: {
+          at: new Date(),
+          action: "card_saved",
+          meta: { setupIntentId: intentId, last4: card.last4 },
+        },
+      },
+    },
+  );
+
+  return { ok: true, card };
+}
+
+function checkFeeApplies(appointment, type) {
+  if (type === "no_show" && NO_SHOW_STATUSES.includes(appointment.status)) {
+    return null;
+  }
+  if (
+    type === "late_cancel" &&
+    CANCELLED_STATUSES.includes(appointment.status)
+  ) {
+    return null;
+  }
+  return failure(409, {
+    error: "Fee not applicable",
+    message:
+      type === "no_show"
+        ? "Only confirmed or completed appointments can be marked as no-show"
+        : "Late-cancellation fees apply to cancelled appointments only",
+    code: APPOINTMENT_FEE_CODES.FEE_NOT_APPLICABLE,
+  });
+}
+
+// Matches while the appointment still has `count` charges of this type.
+// Concurrent attempts share an idempotency key, so only one records it.
+function feeCountFilter(type, count) {
+  return {
+    $expr: {
+      $eq: [
+        {
+          $size: {
+            $filter: {
+              input: { $ifNull: ["$feeCharges", []] },
+              cond: { $eq: ["$$this.type", type] },
+            },
+          },
+        },
+        count,
+      ],
+    },
+  };
+}
+
+function toReceiptClient(client) {
+  const [firstName = "", ...rest] = String(client?.name || "").split(" ");
+  return {
+    firstName,
+    lastName: rest.join(" "),
+    email: client?.email,
+    phone: client?.phone,
+  };
+}
+
+async function sendFeeReceipt({ appointment, charge }) {
+  const email = appointment.client?.email;
+  if (!email) return;
+  const tenant = await Tenant.findById(appointment.tenantId).lean();
+  await sendReceiptEmail(
+    {
+      receipt: { receiptNumber: charge.receiptNumber },
+      method: "card_manual",
+      status: "succeeded",
+      amount: charge.amount,
+      tip: 0,
+      total: charge.amount,
+      processedAt: charge.chargedAt,
+      client: toReceiptClient(appointment.client),
+      stripe: {
+        cardBrand: appointment.cardOnFile.cardBrand,
+        cardLast4: appointment.cardOnFile.cardLast4,
+      },
+      metadata: {
+        services: [
+          { name: FEE_LABELS[charge.type], price: charge.amount, quantity: 1 },
+        ],
+      },
+    },
+    tenant || {},
+    email,
+  );
+}
+
+/**
+ * Charge a no-show or late-cancellation fee to the saved card. Marking a
+ * no-show also sets the appointment status, even when no card is saved.
+ * @returns {Promise<{ ok: true, status: string, charge: object } | { ok: false, status: number, body: object }>}
+ */
+export async function chargeAppointmentFee({
+  appointmentId,
+  type,
+  by = "staff",
+  now = new Date(),
+}) {
+  if (!FEE_TYPES.includes(type)) {
+    return failure(400, {
+      error: "Invalid fee type",
+      message: `Fee type must be one of ${FEE_TYPES.join(", ")}`,
+    });
+  }
+
+  const appointment = await Appointment.findById(appointmentId).lean();
+  if (!appointment) return notFound();
+  const notApplicable = checkFeeApplies(appointment, type);
+  if (notApplicable) return notApplicable;
+
+  if (type === "no_show" && appointment.status !== "no_show") {
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      {
+        $set: { status: "no_show" },
+        $push: { audit: { at: now, action: "marked_no_show", by } },
+      },
+    );
+    appointment.status = "no_show";
+  }
+
+  const previous = (appointment.feeCharges || []).filter(
+    (charge) => charge.type === type,
+  );
+  if (previous.some((charge) => charge.status === "succeeded")) {
+    return failure(409, {
+      error: "Fee already charged",
+      message: `${FEE_LABELS[type]} has already been charged`,
+      code: APPOINTMENT_FEE_CODES.FEE_ALREADY_CHARGED,
+    });
+  }
+
+  const policy = await loadCancellationPolicy({
+    specialistId: appointment.specialistId,
+  });
+  const amount = computeFeeAmount(
+    policy?.[FEE_POLICY_FIELDS[type]],
+    appointment.price,
+  );
+  if (amount <= 0) {
+    return failure(409, {
+      error: "No fee configured",
+      message: `The cancellation policy has no ${FEE_LABELS[
+        type
+      ].toLowerCase()}`,
+      code: APPOINTMENT_FEE_CODES.FEE_NOT_CONFIGURED,
+    });
+  }
+
+  const cardOnFile = appointment.cardOnFile;
+  if (cardOnFile?.status !== "saved" || !cardOnFile.paymentMethodId) {
+    return failure(409, {
+      error: "No saved card",
+      message: "The client has no card saved for this appointment",
+      code: APPOINTMENT_FEE_CODES.CARD_NOT_SAVED,
+    });
+  }
+
+  const id = String(appointment._id);
+  const currency = String(policy?.currency || "GBP").toLowerCase();
+  const charge = {
+    type,
+    amount,
+    currency,
+    chargedAt: now,
+    chargedBy: by,
+  };
+
+  try {
+    const stripe = getStripe(cardOnFile.stripeAccountId);
+    const paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount,
+        currency,
+        customer: cardOnFile.customerId,
+        payment_method: cardOnFile.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        description: FEE_LABELS[type],
+        metadata: {
+          feeAppointmentId: id,
+          feeType: type,
+          tenantId: String(appointment.tenantId || ""),
+        },
+      },
+      { idempotencyKey: `fee:${type}:${id}:${previous.length}` },
+    );
+    charge.paymentIntentId = paymentIntent.id;
+    charge.status =
+      paymentIntent.status === "succeeded" ? "succeeded" : "requires_action";
+  } catch (err) {
+    charge.paymentIntentId = err?.raw?.payment_intent?.id;
+    charge.status =
+      err?.code === "authentication_required" ? "requires_action" : "failed";
+    charge.error = {
+      code: err?.code,
+      message: err?.message,
+      declineCode: err?.decline_code,
+    };
+  }
+
+  if (charge.status === "succeeded") {
+    charge.receiptNumber = `FEE-${id.slice(-6).toUpperCase()}-${
+      previous.length + 1
+    }`;
+  }
+
+  const recorded = await Appointment.updateOne(
+    { _id: appointment._id, ...feeCountFilter(type, previous.length) },
+    {
+      $push: {
+        feeCharges: charge,
+        audit: {
+          at: now,
+          action: `fee_charge_${charge.status}`,
+          by,
+          meta: {
+            type,
+            amount,
+            paymentIntentId: charge.paymentIntentId,
+            error: charge.error?.code,
+          },
+        },
+      },
+    },
+  );
+  if (!recorded.modifiedCount) {
+    return failure(409, {
+      error: "Fee already charged",
+      message: `${FEE_LABELS[type]} is already being charged`,
+      code: APPOINTMENT_FEE_CODES.FEE_ALREADY_CHARGED,
+    });
+  }
+
+  if (charge.status !== "succeeded") {
+    return failure(402, {
+      error: "Fee charge failed",
+      message:
+        charge.status === "requires_action"
+          ? "The card needs the client to authenticate this payment"
+          : charge.error?.message || "The card was declined",
+      code: APPOINTMENT_FEE_CODES.FEE_CHARGE_FAILED,
+      charge,
+    });
+  }
+
+  try {
+    await sendFeeReceipt({ appointment, charge });
+  } catch (err) {
+    console.error("[FEES] Receipt email failed:", err?.message || err);
+  }
+
+  return { ok: true, status: appointment.status, charge };
+}
+
+export default {
+  FEE_TYPES,
+  APPOINTMENT_FEE_CODES,
+  isCardSetupEnabled,
+  computeFeeAmount,
+  createCardSetup,
+  recordSavedCard,
+  chargeAppointmentFee,
+};
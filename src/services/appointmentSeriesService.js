@@ -0,0 +1,673 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import Appointment from "../models/Appointment.js";
+import AppointmentSeries from "../models/AppointmentSeries.js";
+import {
+  computeSlotsForBeautician,
+  computeResourceBlackouts,
+  computeProcessingWindows,
+  normalizeBeautician,
+} from "../utils/slotPlanner.js";
+import { expandRecurrence } from "../utils/recurrence.js";
+import { buildActiveAppointmentFilter } from "../utils/waitlistMatching.js";
+import { attachExternalBlocks } from "../utils/externalCalendarBlocks.js";
+import {
+  resolveBookingWindow,
+  checkBookingWindow,
+} from "../utils/bookingWindow.js";
+import {
+  getRequiredResources,
+  loadResourceBookings,
+} from "./resourceService.js";
+import {
+  loadCancellationPolicy,
+  cancelAppointment,
+} from "./appointmentCancellationService.js";
+import {
+  sendCancellationEmails,
+  sendConfirmationEmail,
+} from "../emails/mailer.js";
+import { computeCancellationOutcome } from "../controllers/appointments/computeCancellationOutcome.js";
+import { autoFillCancelledSlot } from "./waitlistAutoFillService.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Recurring appointment series
+ *
+ * A series expands its recurrence rule into occurrences, checks each one
+ * against the slot planner (working hours, existing bookings, time off,
+ * resources, booking window) and creates an ordinary Appointment for every
+ * free occurrence. Occurrences that cannot be booked are reported back
+ * rather than failing the whole series.
+ */
+
+export const SERIES_OCCURRENCE_CODES = {
+  SLOT_UNAVAILABLE: "SLOT_UNAVAILABLE",
+  RESOURCE_UNAVAILABLE: "RESOURCE_UNAVAILABLE",
+  RESCHEDULE_LOCKED: "RESCHEDULE_LOCKED",
+};
+
+const ACTIVE_OCCURRENCE_STATUSES = ["confirmed", "reserved_unpaid"];
+
+function getOccurrenceEnd(start, variant) {
+  return new Date(
+    start.getTime() +
+      (variant.durationMin +
+        (variant.bufferBeforeMin || 0) +
+        (variant.bufferAfterMin || 0)) *
+        60000,
+  );
+}
+
+function getOccurrenceProcessingWindows(start, variant) {
+  return computeProcessingWindows({
+    start,
+    services: [
+      {
+        ...variant,
+        totalMin: (getOccurrenceEnd(start, variant) - start) / 60000,
+      },
+    ],
+  });
+}
+
+function overlapsRange(booking, rangeStart, rangeEnd) {
+  return (
+    new Date(booking.start) < rangeEnd && new Date(booking.end) > rangeStart
+  );
+}
+
+/**
+ * Check each proposed occurrence against the slot planner.
+ * An occurrence is available when its exact start is one of the planner's
+ * slots for that salon-local day.
+ * @param {Object} params
+ * @param {Date[]} params.starts occurrence start times
+ * @param {string[]} [params.excludeAppointmentIds] bookings to ignore (the series' own occurrences when rescheduling)
+ * @returns {Promise<{ index: number, startISO: string, endISO: string, available: boolean, code?: string, message?: string }[]>}
+ */
+export async function planSeriesOccurrences({
+  tenantId,
+  tenant,
+  salonTz,
+  stepMin,
+  specialist,
+  service,
+  variant,
+  locationId = null,
+  starts,
+  excludeAppointmentIds = [],
+  now = new Date(),
+}) {
+  if (!starts.length) return [];
+  const excluded = new Set(excludeAppointmentIds.map(String));
+
+  const ends = starts.map((start) => getOccurrenceEnd(start, variant));
+  // Whole local days around the series so day-level planning sees everything
+  const rangeStart = dayjs(starts[0]).tz(salonTz).startOf("day").toDate();
+  const rangeEnd = dayjs(ends[ends.length - 1])
+    .tz(salonTz)
+    .add(1, "day")
+    .startOf("day")
+    .toDate();
+
+  const bookings = (
+    await Appointment.find({
+      tenantId,
+      specialistId: specialist._id,
+      ...buildActiveAppointmentFilter({ start: rangeStart, end: rangeEnd }),
+    })
+      .select("start end status processingWindows")
+      .lean()
+  ).filter((appt) => !excluded.has(String(appt._id)));
+
+  const resources = await getRequiredResources({
+    tenantId,
+    services: [service],
+    locationId,
+  });
+  const resourceBookings = (
+    await loadResourceBookings({ tenantId, resources, rangeStart, rangeEnd })
+  ).filter((booking) => !excluded.has(String(booking._id)));
+  const resourceBlackouts = computeResourceBlackouts({
+    resources,
+    bookings: resourceBookings,
+  });
+
+  const window = resolveBookingWindow({ tenant, services: [service] });
+  const normalizedSpecialist = normalizeBeautician(
+    await attachExternalBlocks(specialist, { rangeStart, rangeEnd }),
+  );
+  const plannerService = {
+    durationMin: variant.durationMin,
+    bufferBeforeMin: variant.bufferBeforeMin || 0,
+    bufferAfterMin: variant.bufferAfterMin || 0,
+    ...(variant.phases?.length ? { phases: variant.phases } : {}),
+  };
+
+  return starts.map((start, index) => {
+    const entry = {
+      index,
+      startISO: start.toISOString(),
+      endISO: ends[index].toISOString(),
+    };
+
+    const windowCheck = checkBookingWindow({ start, window, now });
+    if (!windowCheck.ok) {
+      return {
+        ...entry,
+        available: false,
+        code: windowCheck.code,
+        message: windowCheck.message,
+      };
+    }
+
+    const date = dayjs(start).tz(salonTz).format("YYYY-MM-DD");
+    const dayStart = dayjs.tz(date, salonTz).startOf("day").toDate();
+    const dayEnd = dayjs
+      .tz(date, salonTz)
+      .add(1, "day")
+      .startOf("day")
+      .toDate();
+    const slotParams = {
+      date,
+      salonTz,
+      stepMin,
+      service: plannerService,
+      specialist: normalizedSpecialist,
+      appointments: bookings
+        .filter((appt) => overlapsRange(appt, dayStart, dayEnd))
+        .map((appt) => ({
+          start: new Date(appt.start).toISOString(),
+          end: new Date(appt.end).toISOString(),
+          status: appt.status,
+          ...(appt.processingWindows?.length
+            ? {
+                processingWindows: appt.processingWindows.map((w) => ({
+                  start: new Date(w.start).toISOString(),
+                  end: new Date(w.end).toISOString(),
+                })),
+              }
+            : {}),
+        })),
+    };
+    const isFree = (slots) =>
+      slots.some((slot) => slot.startISO === entry.startISO);
+
+    if (
+      isFree(
+        computeSlotsForBeautician({
+          ...slotParams,
+          extraBlackouts: resourceBlackouts,
+        }),
+      )
+    ) {
+      return { ...entry, available: true };
+    }
+
+    // Tell staff whether the specialist or a room/equipment is the problem
+    const resourceOnly =
+      resources.length > 0 && isFree(computeSlotsForBeautician(slotParams));
+    return {
+      ...entry,
+      available: false,
+      code: resourceOnly
+        ? SERIES_OCCURRENCE_CODES.RESOURCE_UNAVAILABLE
+        : SERIES_OCCURRENCE_CODES.SLOT_UNAVAILABLE,
+      message: resourceOnly
+        ? "A required room or piece of equipment is booked at this time"
+        : "The specialist is not available at this time",
+    };
+  });
+}
+
+/**
+ * Create a series and book every available occurrence.
+ * Occurrences are confirmed pay-in-salon bookings, like staff-created
+ * appointments. One confirmation email is sent for the first booked
+ * occurrence; reminders cover the rest.
+ * @returns {Promise<{ series: Object|null, occurrences: Object[] }>}
+ *   series is null for dry runs or when no occurrence could be booked
+ */
+export async function createAppointmentSeries({
+  tenantId,
+  tenant,
+  salonTz,
+  stepMin,
+  specialist,
+  service,
+  variant,
+  recurrence,
+  firstStart,
+  client,
+  userId = null,
+  locationId = null,
+  requestedBy = "staff",
+  dryRun = false,
+  now = new Date(),
+}) {
+  const starts = expandRecurrence({ firstStart, recurrence, salonTz });
+  const plan = await planSeriesOccurrences({
+    tenantId,
+    tenant,
+    salonTz,
+    stepMin,
+    specialist,
+    service,
+    variant,
+    locationId,
+    starts,
+    now,
+  });
+  const available = plan.filter((occurrence) => occurrence.available);
+
+  if (dryRun || !available.length) {
+    return {
+      series: null,
+      occurrences: plan.map(({ available: ok, ...rest }) => ({
+        ...rest,
+        status: ok ? "available" : "skipped",
+      })),
+    };
+  }
+
+  const series = await AppointmentSeries.create({
+    tenantId,
+    client,
+    userId,
+    specialistId: specialist._id,
+    serviceId: service._id,
+    variantName: variant.name,
+    locationId,
+    recurrence,
+    firstStart: starts[0],
+    timezone: salonTz,
+    audit: [
+      {
+        at: now,
+        action: "create",
+        by: requestedBy,
+        meta: {
+          booked: available.length,
+          skipped: plan.length - available.length,
+        },
+      },
+    ],
+  });
+
+  const resources = await getRequiredResources({
+    tenantId,
+    services: [service],
+    locationId,
+  });
+  const processingWindowsFor = (startISO) => {
+    const windows = getOccurrenceProcessingWindows(new Date(startISO), variant);
+    return windows.length ? { processingWindows: windows } : {};
+  };
+  const created = await Appointment.insertMany(
+    available.map((occurrence) => ({
+      tenantId,
+      client,
+      ...(userId ? { userId } : {}),
+      specialistId: specialist._id,
+      serviceId: service._id,
+      variantName: variant.name,
+      start: new Date(occurrence.startISO),
+      end: new Date(occurrence.endISO),
+      price: variant.price,
+      status: "confirmed",
+      payment: {
+        mode: "pay_in_salon",
+        provider: "cash",
+        status: "unpaid",
+        amountTotal: Math.round(Number(variant.price || 0) * 100),
+      },
+      ...(locationId ? { locationId } : {}),
+      ...(resources.length
+        ? { resourceIds: resources.map((resource) => resource._id) }
+        : {}),
+      ...processingWindowsFor(occurrence.startISO),
+      seriesId: series._id,
+      seriesIndex: occurrence.index,
+      audit: [{ at: now, action: "series_create", by: requestedBy }],
+    })),
+  );
+  const appointmentIdByIndex = new Map(
+    created.map((appt) => [appt.seriesIndex, appt._id]),
+  );
+
+  sendConfirmationEmail({
+    appointment: created[0].toObject ? created[0].toObject() : created[0],
+    service,
+    specialist,
+  }).catch((err) => {
+    console.error("Failed to send series confirmation email:", err);
+  });
+
+  return {
+    series,
+    occurrences: plan.map(({ available: ok, ...rest }) => ({
+      ...rest,
+      status: ok ? "created" : "skipped",
+      ...(ok ? { appointmentId: appointmentIdByIndex.get(rest.index) } : {}),
+    })),
+  };
+}
+
+/**
+ * Upcoming, still active occurrences of a series in start order.
+ */
+export async function findUpcomingOccurrences({ series, from = new Date() }) {
+  return Appointment.find({
+    tenantId: series.tenantId,
+    seriesId: series._id,
+    start: { $gte: from },
+    status: { $in: ACTIVE_OCCURRENCE_STATUSES },
+  })
+    .sort({ start: 1 })
+    .lean();
+}
+
+/**
+ * Cancel upcoming occurrences of a series.
+ * Each occurrence goes through the regular cancellation path, so refunds
+ * follow computeCancellationOutcome for that occurrence's own start time.
+ * When `from` is omitted the whole series is closed.
+ * @returns {Promise<{ occurrences: Object[] }>}
+ */
+export async function cancelAppointmentSeries({
+  series,
+  requestedBy,
+  reason,
+  from = null,
+  salonTz,
+  now = new Date(),
+}) {
+  const upcoming = await findUpcomingOccurrences({
+    series,
+    from: from && from > now ? from : now,
+  });
+  const policy = await loadCancellationPolicy({
+    specialistId: series.specialistId,
+  });
+
+  const occurrences = [];
+  for (const appt of upcoming) {
+    const entry = {
+      appointmentId: appt._id,
+      startISO: new Date(appt.start).toISOString(),
+    };
+    let result;
+    try {
+      result = await cancelAppointment({
+        appointment: appt,
+        policy,
+        requestedBy,
+        reason,
+        salonTz,
+        now,
+        auditMeta: { seriesId: String(series._id) },
+      });
+    } catch (err) {
+      console.error("series_cancel_occurrence_err", {
+        appointmentId: String(appt._id),
+        err: err.message,
+      });
+      occurrences.push({ ...entry, status: "failed", error: err.message });
+      continue;
+    }
+
+    if (!result.updated) {
+      occurrences.push({ ...entry, status: "already_processed" });
+      continue;
+    }
+
+    occurrences.push({
+      ...entry,
+      status: result.status,
+      refundAmount: result.outcome.refundAmount,
+      reasonCode: result.outcome.reasonCode,
+      ...(result.stripeRefundId
+        ? { stripeRefundId: result.stripeRefundId }
+        : {}),
+    });
+
+    try {
+      await sendCancellationEmails({
+        appointment: result.updated,
+        policySnapshot: policy,
+        refundAmount: result.outcome.refundAmount,
+        outcomeStatus: result.status,
+        reason,
+      });
+    } catch (e) {
+      console.error("email_err", e.message);
+    }
+    try {
+      await autoFillCancelledSlot({
+        appointmentId: result.updated._id,
+        tenantId: series.tenantId,
+        salonTz,
+      });
+    } catch (waitlistError) {
+      console.error("waitlist_autofill_err", waitlistError);
+    }
+  }
+
+  await AppointmentSeries.updateOne(
+    { _id: series._id, tenantId: series.tenantId },
+    {
+      ...(from ? {} : { $set: { status: "cancelled" } }),
+      $push: {
+        audit: {
+          at: now,
+          action: from ? "cancel_from" : "cancel",
+          by: requestedBy,
+          meta: {
+            reason,
+            from: from ? from.toISOString() : undefined,
+            cancelled: occurrences.filter((o) =>
+              o.status.startsWith("cancelled"),
+            ).length,
+          },
+        },
+      },
+    },
+  );
+
+  return { occurrences };
+}
+
+/**
+ * Whether cancelling an occurrence now would refund nothing under the
+ * policy. Occurrences are usually paid in salon, so a notional payment is
+ * priced; only the band matters.
+ */
+function isInsideNoRefundWindow({ appointment, policy, now, salonTz }) {
+  const { outcomeStatus } = computeCancellationOutcome({
+    appointment: {
+      ...appointment,
+      price: 1,
+      payment: { mode: "pay_now", amountTotal: 100, amountDeposit: 100 },
+    },
+    policy,
+    now,
+    salonTz,
+  });
+  return outcomeStatus === "cancelled_no_refund";
+}
+
+/**
+ * Move the upcoming occurrences of a series to a new start (and optionally a
+ * new cadence). Occurrences are re-planned against the slot planner with the
+ * series' own bookings ignored; those that do not fit keep their current
+ * time and are reported. Customers cannot move occurrences that cancelling
+ * now would no longer refund under the policy.
+ * @returns {Promise<{ occurrences: Object[] }>}
+ */
+export async function rescheduleAppointmentSeries({
+  series,
+  newStart,
+  recurrence = null,
+  tenant,
+  salonTz,
+  stepMin,
+  specialist,
+  service,
+  variant,
+  requestedBy,
+  dryRun = false,
+  now = new Date(),
+}) {
+  const upcoming = await findUpcomingOccurrences({ series, from: now });
+  if (!upcoming.length) return { occurrences: [] };
+
+  const cadence = {
+    frequency: recurrence?.frequency || series.recurrence.frequency,
+    interval: recurrence?.interval || series.recurrence.interval,
+  };
+
+  let policy = null;
+  if (requestedBy === "customer") {
+    policy = await loadCancellationPolicy({
+      specialistId: series.specialistId,
+    });
+  }
+  const locked = new Set(
+    policy
+      ? upcoming
+          .filter((appt) =>
+            isInsideNoRefundWindow({ appointment: appt, policy, now, salonTz }),
+          )
+          .map((appt) => String(appt._id))
+      : [],
+  );
+  const isLocked = (appt) => locked.has(String(appt._id));
+
+  // The new times go, in order, to the occurrences that can still move
+  const movable = upcoming.filter((appt) => !isLocked(appt));
+  const starts = expandRecurrence({
+    firstStart: newStart,
+    recurrence: { ...cadence, count: movable.length },
+    salonTz,
+  });
+  const plan = await planSeriesOccurrences({
+    tenantId: series.tenantId,
+    tenant,
+    salonTz,
+    stepMin,
+    specialist,
+    service,
+    variant,
+    locationId: series.locationId,
+    starts,
+    // Locked occurrences stay put, so they still block the new times
+    excludeAppointmentIds: movable.map((appt) => appt._id),
+    now,
+  });
+  const targetById = new Map(
+    movable.map((appt, i) => [String(appt._id), plan[i]]),
+  );
+
+  const occurrences = [];
+  for (const appt of upcoming) {
+    const fromISO = new Date(appt.start).toISOString();
+    const target = targetById.get(String(appt._id));
+    const entry = {
+      appointmentId: appt._id,
+      fromISO,
+      startISO: target ? target.startISO : fromISO,
+      endISO: target ? target.endISO : new Date(appt.end).toISOString(),
+    };
+
+    if (isLocked(appt)) {
+      occurrences.push({
+        ...entry,
+        status: "unchanged",
+        code: SERIES_OCCURRENCE_CODES.RESCHEDULE_LOCKED,
+        message: "Too close to the appointment to reschedule",
+      });
+      continue;
+    }
+    if (!target.available) {
+      occurrences.push({
+        ...entry,
+        status: "unchanged",
+        code: target.code,
+        message: target.message,
+      });
+      continue;
+    }
+    if (dryRun) {
+      occurrences.push({ ...entry, status: "available" });
+      continue;
+    }
+
+    await Appointment.updateOne(
+      { _id: appt._id, tenantId: series.tenantId },
+      {
+        $set: {
+          start: new Date(target.startISO),
+          end: new Date(target.endISO),
+          processingWindows: getOccurrenceProcessingWindows(
+            new Date(target.startISO),
+            variant,
+          ),
+          "reminder.sent": false,
+        },
+        $push: {
+          audit: {
+            at: now,
+            action: "series_reschedule",
+            by: requestedBy,
+            meta: { from: entry.fromISO, to: target.startISO },
+          },
+        },
+      },
+    );
+    occurrences.push({ ...entry, status: "rescheduled" });
+  }
+
+  if (!dryRun) {
+    await AppointmentSeries.updateOne(
+      { _id: series._id, tenantId: series.tenantId },
+      {
+        ...(recurrence
+          ? {
+              $set: {
+                "recurrence.frequency": cadence.frequency,
+                "recurrence.interval": cadence.interval,
+              },
+            }
+          : {}),
+        $push: {
+          audit: {
+            at: now,
+            action: "reschedule",
+            by: requestedBy,
+            meta: {
+              newStart: new Date(newStart).toISOString(),
+              ...cadence,
+              moved: occurrences.filter((o) => o.status === "rescheduled")
+                .length,
+            },
+          },
+        },
+      },
+    );
+  }
+
+  return { occurrences };
+}
+
+export default {
+  SERIES_OCCURRENCE_CODES,
+  planSeriesOccurrences,
+  createAppointmentSeries,
+  findUpcomingOccurrences,
+  cancelAppointmentSeries,
+  rescheduleAppointmentSeries,
+};
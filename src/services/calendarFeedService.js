@@ -0,0 +1,235 @@
+import jwt from "jsonwebtoken";
+import Appointment from "../models/Appointment.js";
+import Client from "../models/Client.js";
+import Specialist from "../models/Specialist.js";
+import { JWT_SECRET } from "../config/security.js";
+import {
+  buildAppointmentEvent,
+  buildCalendar,
+  describeServices,
+  getInitials,
+} from "../utils/icalendar.js";
+
+/**
+ * iCalendar feeds
+ *
+ * Specialists and clients can subscribe to their bookings from Apple
+ * Calendar, Outlook etc. with a signed feed URL. The token carries the
+ * owner's calendarFeed.version; regenerating the link bumps the version,
+ * which revokes every link issued before it.
+ *
+ * Specialist feeds show client initials only. Client feeds list the
+ * client's own bookings across every business they have booked with.
+ */
+
+export const CALENDAR_FEED_OWNERS = ["specialist", "client"];
+export const FEED_STATUSES = ["confirmed", "reserved_unpaid"];
+export const MAX_FEED_EVENTS = 500;
+export const FEED_REFRESH_INTERVAL = "PT1H";
+
+export const CALENDAR_FEED_CODES = {
+  INVALID: "CALENDAR_FEED_INVALID",
+  REVOKED: "CALENDAR_FEED_REVOKED",
+};
+
+const FEED_TOKEN_TYPE = "calendar_feed";
+// Client contact details never leave the booking system via the feed
+const SPECIALIST_FEED_FIELDS = [
+  "start end status services variantName",
+  "client.name calendarSequence updatedAt",
+].join(" ");
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function getOwnerModel(owner) {
+  return owner === "specialist" ? Specialist : Client;
+}
+
+function formatAddress(address) {
+  if (!address) return "";
+  return [address.street, address.city, address.postalCode]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Signed feed token. Feeds are long-lived, so the token has no expiry.
+ */
+export function signCalendarFeedToken({ owner, id, version = 0 }) {
+  return jwt.sign(
+    { type: FEED_TOKEN_TYPE, owner, id: String(id), v: version },
+    JWT_SECRET,
+  );
+}
+
+/**
+ * @returns {{ ok: true, claim: object } | { ok: false, status: number, body: object }}
+ */
+export function verifyCalendarFeedToken(token) {
+  try {
+    const claim = jwt.verify(String(token || ""), JWT_SECRET);
+    if (
+      claim?.type !== FEED_TOKEN_TYPE ||
+      !CALENDAR_FEED_OWNERS.includes(claim.owner)
+    ) {
+      throw new Error("Wrong token type");
+    }
+    return { ok: true, claim };
+  } catch {
+    return failure(404, {
+      error: "Calendar feed not found",
+      code: CALENDAR_FEED_CODES.INVALID,
+    });
+  }
+}
+
+export function buildCalendarFeedLinks(token) {
+  const backend = process.env.BACKEND_URL || "http://localhost:4000";
+  const url = `${backend}/api/calendar/feeds/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:\/\//, "webcal://") };
+}
+
+/**
+ * Current feed links for a specialist or client
+ * @returns {Promise<{ url: string, webcalUrl: string } | null>}
+ */
+export async function getCalendarFeedLinks({ owner, id }) {
+  const OwnerModel = getOwnerModel(owner);
+  const doc = await OwnerModel.findById(id).select("calendarFeed").lean();
+  if (!doc) return null;
+
+  const token = signCalendarFeedToken({
+    owner,
+    id,
+    version: doc.calendarFeed?.version || 0,
+  });
+  return buildCalendarFeedLinks(token);
+}
+
+/**
+ * Revoke existing feed links and issue a new one
+ * @returns {Promise<{ url: string, webcalUrl: string } | null>}
+ */
+export async function rotateCalendarFeed({ owner, id }) {
+  const OwnerModel = getOwnerModel(owner);
+  const doc = await OwnerModel.findByIdAndUpdate(
+    id,
+    { $inc: { "calendarFeed.version": 1 } },
+    { new: true, projection: { calendarFeed: 1 } },
+  ).lean();
+  if (!doc) return null;
+
+  const token = signCalendarFeedToken({
+    owner,
+    id,
+    version: doc.calendarFeed.version,
+  });
+  return buildCalendarFeedLinks(token);
+}
+
+export function buildSpecialistFeed({ specialist, appointments, now }) {
+  const events = appointments.map((appointment) =>
+    buildAppointmentEvent(appointment, {
+      summary: `${describeServices(appointment)} - ${getInitials(
+        appointment.client?.name,
+      )}`,
+      now,
+    }),
+  );
+  return buildCalendar({
+    events,
+    name: `${specialist.name || "My"} bookings`,
+    refreshInterval: FEED_REFRESH_INTERVAL,
+  });
+}
+
+export function buildClientFeed({ appointments, now }) {
+  const events = appointments.map((appointment) => {
+    const tenant = appointment.tenantId || {};
+    const businessName = tenant.businessName || tenant.name;
+    const specialistName = appointment.specialistId?.name;
+    return buildAppointmentEvent(appointment, {
+      summary: businessName
+        ? `${describeServices(appointment)} at ${businessName}`
+        : describeServices(appointment),
+      description: specialistName ? `With ${specialistName}` : undefined,
+      location: formatAddress(tenant.address),
+      now,
+    });
+  });
+  return buildCalendar({
+    events,
+    name: "My appointments",
+    refreshInterval: FEED_REFRESH_INTERVAL,
+  });
+}
+
+/**
+ * Render the feed a token points at
+ * @returns {Promise<{ ok: true, ics: string } | { ok: false, status: number, body: object }>}
+ */
+export async function renderCalendarFeed({ token, now = new Date() }) {
+  const verified = verifyCalendarFeedToken(token);
+  if (!verified.ok) return verified;
+  const { owner, id, v } = verified.claim;
+
+  const OwnerModel = getOwnerModel(owner);
+  const doc = await OwnerModel.findById(id)
+    .select("name tenantId active isActive calendarFeed")
+    .lean();
+
+  const inactive = !doc || doc.active === false || doc.isActive === false;
+  if (inactive || (doc.calendarFeed?.version || 0) !== v) {
+    return failure(404, {
+      error: "Calendar feed not found",
+      message: "This calendar link has been revoked",
+      code: CALENDAR_FEED_CODES.REVOKED,
+    });
+  }
+
+  const upcoming = {
+    end: { $gte: now },
+    status: { $in: FEED_STATUSES },
+  };
+
+  if (owner === "specialist") {
+    const appointments = await Appointment.find({
+      ...upcoming,
+      tenantId: doc.tenantId,
+      specialistId: doc._id,
+    })
+      .select(SPECIALIST_FEED_FIELDS)
+      .sort({ start: 1 })
+      .limit(MAX_FEED_EVENTS)
+      .lean();
+    return {
+      ok: true,
+      ics: buildSpecialistFeed({ specialist: doc, appointments, now }),
+    };
+  }
+
+  // Same bookings as GET /api/client/bookings, limited to upcoming ones
+  const appointments = await Appointment.find({
+    ...upcoming,
+    clientId: doc._id,
+  })
+    .populate("tenantId", "name businessName address")
+    .populate("specialistId", "name")
+    .sort({ start: 1 })
+    .limit(MAX_FEED_EVENTS)
+    .lean();
+  return { ok: true, ics: buildClientFeed({ appointments, now }) };
+}
+
+export default {
+  signCalendarFeedToken,
+  verifyCalendarFeedToken,
+  buildCalendarFeedLinks,
+  getCalendarFeedLinks,
+  rotateCalendarFeed,
+  buildSpecialistFeed,
+  buildClientFeed,
+  renderCalendarFeed,
+};
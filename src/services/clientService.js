@@ -5,6 +5,13 @@ import bcrypt from "bcryptjs";
 import crypto from "crypto";
 import mongoose from "mongoose";
 import { createConsoleLogger } from "../utils/logger.js";
+import { getClientPackages } from "./packageService.js";
+import {
+  DUNNING_STATUSES,
+  findClientIdsByMembershipStatus,
+  getClientMemberships,
+  getMembershipSummaries,
+} from "./membershipService.js";
 
 const LOG_CLIENT_SERVICE =
   process.env.LOG_CLIENT_SERVICE === "true" ||
@@ -241,6 +248,7 @@ class ClientService {
       skip = 0,
       specialistId = null,
       cursor = null,
+      membershipStatus = null,
     } = options;
 
     const safeLimit = Math.min(
@@ -305,6 +313,25 @@ class ClientService {
       }
     }
 
+    // Filter by membership status ("dunning" = any failed renewal)
+    if (membershipStatus) {
+      const memberIds = await findClientIdsByMembershipStatus({
+        tenantId,
+        statuses:
+          membershipStatus === "dunning"
+            ? DUNNING_STATUSES
+            : [membershipStatus],
+      });
+      const allowedIds = effectiveFilter.clientId?.$in;
+      effectiveFilter.clientId = {
+        $in: allowedIds
+          ? memberIds.filter((id) =>
+              allowedIds.some((allowedId) => allowedId.equals(id)),
+            )
+          : memberIds,
+      };
+    }
+
     const query = TenantClient.find(effectiveFilter)
       .populate("clientId", "name email phone memberSince isActive")
       .sort({ [safeSortBy]: sortDirection, _id: sortDirection })
@@ -344,8 +371,18 @@ class ClientService {
           })
         : null;
 
+    const memberships = await getMembershipSummaries({
+      tenantId,
+      clientIds: tenantClients
+        .map((tc) => tc.clientId?._id)
+        .filter(Boolean),
+    });
+
     return {
-      clients: tenantClients,
+      clients: tenantClients.map((tc) => ({
+        ...tc,
+        membership: memberships.get(String(tc.clientId?._id)) || null,
+      })),
       total,
       hasMore,
       nextCursor,
@@ -376,10 +413,21 @@ class ClientService {
       .limit(100)
       .lean();
 
+    // Prepaid sessions left with this business
+    const { packages, sessionsRemaining } = await getClientPackages({
+      clientId,
+      tenantId,
+    });
+
+    const memberships = await getClientMemberships({ clientId, tenantId });
+
     return {
       client: tenantClient.clientId,
       relationship: tenantClient,
       bookings: appointments,
+      packages,
+      packageSessionsRemaining: sessionsRemaining,
+      memberships,
     };
   }
 
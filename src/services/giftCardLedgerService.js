@@ -0,0 +1,430 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import GiftCard from "../models/GiftCard.js";
+import Tenant from "../models/Tenant.js";
+import { createConsoleLogger } from "../utils/logger.js";
+import {
+  ADJUSTMENT_REASONS,
+  BALANCE_ENTRY_TYPES,
+  roundMoney,
+  summarizeLedger,
+} from "../utils/giftCardLedger.js";
+
+/**
+ * Gift card ledger: refunds back to cards, staff adjustments, expiry
+ * write-offs and the outstanding balance (liability) report.
+ *
+ * The entries themselves are appended by the GiftCard model methods; see
+ * utils/giftCardLedger.js for how the balance is derived.
+ */
+
+const LOG_GIFT_LEDGER =
+  process.env.LOG_GIFT_LEDGER === "true" || process.env.LOG_VERBOSE === "true";
+const console = createConsoleLogger({
+  scope: "gift-card-ledger",
+  verbose: LOG_GIFT_LEDGER,
+});
+
+export const GIFT_CARD_LEDGER_CODES = {
+  NOT_FOUND: "GIFT_CARD_NOT_FOUND",
+  ADJUSTMENT_REJECTED: "GIFT_CARD_ADJUSTMENT_REJECTED",
+  IN_USE: "GIFT_CARD_IN_USE",
+};
+
+export { ADJUSTMENT_REASONS };
+
+// Statuses that count towards the liability report
+const LIABILITY_STATUSES = ["sent", "redeemed", "expired"];
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function notFound() {
+  return failure(404, {
+    error: "Gift card not found",
+    code: GIFT_CARD_LEDGER_CODES.NOT_FOUND,
+  });
+}
+
+function scopeToTenant(filter, tenantId) {
+  return tenantId ? { ...filter, tenantId } : filter;
+}
+
+/**
+ * Load a card and apply a change, reloading once if another save got in
+ * first (GiftCard uses optimistic concurrency)
+ * @returns {Promise<{ giftCard: object|null, result: any }>}
+ */
+async function withVersionRetry(load, apply) {
+  for (let attempt = 0; ; attempt++) {
+    const giftCard = await load();
+    if (!giftCard) return { giftCard: null, result: null };
+    try {
+      return { giftCard, result: await apply(giftCard) };
+    } catch (error) {
+      if (error?.name !== "VersionError" || attempt > 0) throw error;
+    }
+  }
+}
+
+export function describeGiftCard(giftCard) {
+  return {
+    _id: giftCard._id,
+    code: giftCard.code,
+    status: giftCard.status,
+    amount: giftCard.amount,
+    currency: giftCard.currency,
+    expiryDate: giftCard.expiryDate,
+    balance: giftCard.getBalance(),
+    heldAmount: roundMoney(giftCard.getHeldAmount()),
+    remainingBalance: giftCard.getRemainingBalance(),
+  };
+}
+
+/**
+ * Credit a refunded booking/order's gift card share back to the card.
+ * Capped at what was redeemed for the target, so retries don't credit
+ * twice. Failures are reported, not thrown: the Stripe side of a refund
+ * has usually gone through already and staff can fix the card with an
+ * adjustment.
+ * @param {Object} params
+ * @param {Object} params.application Gift card application ({ id, code })
+ * @param {Object} params.target { appointmentId } | { orderId } | { seminarBookingId }
+ * @returns {Promise<{ status: "skipped"|"refunded"|"failed", amount: number, error?: string }>}
+ */
+export async function refundToGiftCard({
+  application,
+  amount,
+  target,
+  by,
+  note,
+}) {
+  const requested = roundMoney(amount);
+  if ((!application?.id && !application?.code) || !(requested > 0)) {
+    return { status: "skipped", amount: 0 };
+  }
+
+  try {
+    const { giftCard, result } = await withVersionRetry(
+      () =>
+        application.id
+          ? GiftCard.findById(application.id)
+          : GiftCard.findOne({ code: application.code }),
+      (card) => card.refund({ ...target, amount: requested, by, note }),
+    );
+    if (!giftCard) {
+      return { status: "failed", amount: 0, error: "Gift card not found" };
+    }
+    if (!(result > 0)) return { status: "skipped", amount: 0 };
+
+    console.log("Gift card refunded:", giftCard.code, result, target);
+    return { status: "refunded", amount: result };
+  } catch (error) {
+    console.error("Gift card refund failed:", error);
+    return { status: "failed", amount: 0, error: error.message };
+  }
+}
+
+/**
+ * A card's ledger, oldest entry first. Cards sold before the ledger
+ * existed show their opening entries.
+ */
+export async function getGiftCardLedger({ giftCardId, tenantId }) {
+  const giftCard = await GiftCard.findOne(
+    scopeToTenant({ _id: giftCardId }, tenantId),
+  );
+  if (!giftCard) return notFound();
+
+  giftCard.openLedger();
+  return {
+    ok: true,
+    giftCard: describeGiftCard(giftCard),
+    summary: summarizeLedger(giftCard.ledger),
+    entries: giftCard.ledger.map((entry) => entry.toObject()),
+  };
+}
+
+/**
+ * Staff correction of a card's balance with a reason code
+ * @param {Object} params
+ * @param {number} params.amount Signed amount in pounds
+ * @returns {Promise<{ ok: true, giftCard: object, entry: object } | { ok: false, status: number, body: object }>}
+ */
+export async function adjustGiftCardBalance({
+  giftCardId,
+  tenantId,
+  amount,
+  reasonCode,
+  note,
+  by,
+}) {
+  try {
+    const { giftCard } = await withVersionRetry(
+      () => GiftCard.findOne(scopeToTenant({ _id: giftCardId }, tenantId)),
+      (card) => card.adjust({ amount, reasonCode, note, by }),
+    );
+    if (!giftCard) return notFound();
+
+    console.log("Gift card adjusted:", giftCard.code, amount, reasonCode);
+    return {
+      ok: true,
+      giftCard: describeGiftCard(giftCard),
+      entry: giftCard.ledger[giftCard.ledger.length - 1].toObject(),
+    };
+  } catch (error) {
+    if (error?.name === "VersionError") {
+      return failure(409, {
+        error: "Gift card is currently being used. Please try again.",
+        code: GIFT_CARD_LEDGER_CODES.IN_USE,
+      });
+    }
+    return failure(400, {
+      error: error.message,
+      code: GIFT_CARD_LEDGER_CODES.ADJUSTMENT_REJECTED,
+    });
+  }
+}
+
+function sumWhereType(type) {
+  return {
+    $sum: {
+      $cond: [{ $eq: ["$ledger.type", type] }, "$ledger.amount", 0],
+    },
+  };
+}
+
+/**
+ * Outstanding gift card balances per tenant (and currency) as they stood
+ * at asOf, with the movements that make them up. Cards with no ledger yet
+ * are counted at amount - redeemedAmount.
+ * @param {Object} params
+ * @param {string|null} [params.tenantId] Omit for every tenant
+ * @param {Date} [params.asOf]
+ */
+export async function buildLiabilityReport({
+  tenantId = null,
+  asOf = new Date(),
+}) {
+  const match = {
+    status: { $in: LIABILITY_STATUSES },
+    ...(tenantId
+      ? { tenantId: new mongoose.Types.ObjectId(String(tenantId)) }
+      : {}),
+  };
+
+  const [ledgered, legacy] = await Promise.all([
+    GiftCard.aggregate([
+      { $match: { ...match, "ledger.0": { $exists: true } } },
+      { $unwind: "$ledger" },
+      {
+        $match: {
+          "ledger.type": { $in: BALANCE_ENTRY_TYPES },
+          "ledger.at": { $lte: asOf },
+        },
+      },
+      {
+        $group: {
+          _id: { card: "$_id", tenantId: "$tenantId", currency: "$currency" },
+          balance: { $sum: "$ledger.amount" },
+          issued: sumWhereType("issue"),
+          redeemed: sumWhereType("redeem"),
+          refunded: sumWhereType("refund"),
+          adjusted: sumWhereType("adjust"),
+          expired: sumWhereType("expire"),
+        },
+      },
+      {
+        $group: {
+          _id: { tenantId: "$_id.tenantId", currency: "$_id.currency" },
+          outstanding: { $sum: "$balance" },
+          cardsWithBalance: {
+            $sum: { $cond: [{ $gt: ["$balance", 0.004] }, 1, 0] },
+          },
+          issued: { $sum: "$issued" },
+          redeemed: { $sum: "$redeemed" },
+          refunded: { $sum: "$refunded" },
+          adjusted: { $sum: "$adjusted" },
+          expired: { $sum: "$expired" },
+        },
+      },
+    ]),
+    GiftCard.aggregate([
+      {
+        $match: {
+          ...match,
+          "ledger.0": { $exists: false },
+          $or: [
+            { sentDate: { $lte: asOf } },
+            { sentDate: null, purchaseDate: { $lte: asOf } },
+          ],
+        },
+      },
+      {
+        $project: {
+          tenantId: 1,
+          currency: 1,
+          amount: 1,
+          balance: {
+            $subtract: ["$amount", { $ifNull: ["$redeemedAmount", 0] }],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { tenantId: "$tenantId", currency: "$currency" },
+          outstanding: { $sum: "$balance" },
+          cardsWithBalance: {
+            $sum: { $cond: [{ $gt: ["$balance", 0.004] }, 1, 0] },
+          },
+          issued: { $sum: "$amount" },
+          unledgeredCards: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const rows = new Map();
+  const rowFor = ({ tenantId: rowTenantId, currency }) => {
+    const key = `${rowTenantId}:${currency || "GBP"}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        tenantId: rowTenantId,
+        currency: currency || "GBP",
+        outstanding: 0,
+        cardsWithBalance: 0,
+        issued: 0,
+        redeemed: 0,
+        refunded: 0,
+        adjusted: 0,
+        expired: 0,
+        unledgeredCards: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const group of ledgered) {
+    const row = rowFor(group._id);
+    row.outstanding += group.outstanding;
+    row.cardsWithBalance += group.cardsWithBalance;
+    row.issued += group.issued;
+    row.redeemed -= group.redeemed;
+    row.refunded += group.refunded;
+    row.adjusted += group.adjusted;
+    row.expired -= group.expired;
+  }
+  for (const group of legacy) {
+    const row = rowFor(group._id);
+    row.outstanding += group.outstanding;
+    row.cardsWithBalance += group.cardsWithBalance;
+    row.issued += group.issued;
+    row.redeemed += group.issued - group.outstanding;
+    row.unledgeredCards += group.unledgeredCards;
+  }
+
+  const tenantIds = [...new Set([...rows.values()].map((r) => r.tenantId))];
+  const tenants = tenantIds.length
+    ? await Tenant.find({ _id: { $in: tenantIds } })
+        .select("name businessName")
+        .lean()
+    : [];
+  const tenantNames = new Map(
+    tenants.map((t) => [String(t._id), t.businessName || t.name]),
+  );
+
+  const totals = {};
+  const report = [...rows.values()].map((row) => {
+    const rounded = {
+      ...row,
+      tenantName: tenantNames.get(String(row.tenantId)) || null,
+      outstanding: roundMoney(row.outstanding),
+      issued: roundMoney(row.issued),
+      redeemed: roundMoney(row.redeemed),
+      refunded: roundMoney(row.refunded),
+      adjusted: roundMoney(row.adjusted),
+      expired: roundMoney(row.expired),
+    };
+    if (!totals[row.currency]) {
+      totals[row.currency] = { outstanding: 0, cardsWithBalance: 0 };
+    }
+    const total = totals[row.currency];
+    total.outstanding = roundMoney(total.outstanding + rounded.outstanding);
+    total.cardsWithBalance += rounded.cardsWithBalance;
+    return rounded;
+  });
+  report.sort((a, b) => b.outstanding - a.outstanding);
+
+  return { asOf, tenants: report, totals };
+}
+
+/**
+ * Write off the balance of cards past their expiry date
+ * @returns {Promise<number>} cards expired
+ */
+export async function expireGiftCards({
+  now = new Date(),
+  limit = 100,
+} = {}) {
+  const due = await GiftCard.find({
+    expiryDate: { $lte: now },
+    $or: [
+      { status: "sent" },
+      // Expired before the ledger existed: balance never written off
+      { status: "expired", "ledger.0": { $exists: false } },
+    ],
+  })
+    .select("_id")
+    .sort({ expiryDate: 1 })
+    .limit(limit)
+    .lean();
+
+  let expired = 0;
+  for (const { _id } of due) {
+    try {
+      const { giftCard } = await withVersionRetry(
+        () => GiftCard.findById(_id),
+        (card) => card.expire(),
+      );
+      if (giftCard) expired++;
+    } catch (error) {
+      console.error(
+        `[GiftCardLedger] Failed to expire gift card ${_id}:`,
+        error,
+      );
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`[GiftCardLedger] Expired ${expired} gift card(s)`);
+  }
+  return expired;
+}
+
+export function startGiftCardExpiryCron() {
+  console.log("[GiftCardLedger] Starting gift card expiry cron (daily)...");
+
+  return cron.schedule(
+    "30 2 * * *",
+    () =>
+      expireGiftCards().catch((error) =>
+        console.error("[GiftCardLedger] Expiry cron error:", error),
+      ),
+    {
+      scheduled: true,
+      timezone: "Europe/London",
+    },
+  );
+}
+
+export default {
+  GIFT_CARD_LEDGER_CODES,
+  ADJUSTMENT_REASONS,
+  describeGiftCard,
+  refundToGiftCard,
+  getGiftCardLedger,
+  adjustGiftCardBalance,
+  buildLiabilityReport,
+  expireGiftCards,
+  startGiftCardExpiryCron,
+};
@@ -0,0 +1,423 @@
+import Appointment from "../models/Appointment.js";
+import GiftCard from "../models/GiftCard.js";
+import { createConsoleLogger } from "../utils/logger.js";
+import { roundMoney } from "../utils/giftCardLedger.js";
+
+/**
+ * Gift card redemption
+ *
+ * One reserve -> consume / release lifecycle for everything a gift card can
+ * pay for online: appointments, product orders and seminar bookings. The
+ * checkout reserves the balance it applies (held for 30 minutes), payment
+ * confirmation consumes the hold and an abandoned checkout releases it.
+ *
+ * At the desk, cards are redeemed straight away against the balance still
+ * due on an appointment (pay in salon, or the remainder after a deposit).
+ *
+ * Amounts are in major units (pounds), like GiftCard.amount.
+ */
+
+const console = createConsoleLogger({
+  scope: "gift-card-redemption",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const GIFT_CARD_CODES = {
+  NOT_FOUND: "GIFT_CARD_NOT_FOUND",
+  WRONG_TENANT: "GIFT_CARD_WRONG_TENANT",
+  INVALID: "GIFT_CARD_INVALID",
+  INSUFFICIENT_BALANCE: "GIFT_CARD_INSUFFICIENT_BALANCE",
+  IN_USE: "GIFT_CARD_IN_USE",
+  NOTHING_DUE: "GIFT_CARD_NOTHING_DUE",
+  AMOUNT_EXCEEDS_DUE: "GIFT_CARD_AMOUNT_EXCEEDS_DUE",
+  IN_SALON_ONLY: "GIFT_CARD_IN_SALON_ONLY",
+};
+
+const MISSING_RESERVATION = "No active gift card reservation found";
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+export { roundMoney };
+
+export function normalizeGiftCardCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+function isInsufficientBalance(error) {
+  return /Insufficient balance/i.test(error?.message || "");
+}
+
+/**
+ * Find a card the tenant can accept
+ * @returns {Promise<{ ok: true, giftCard: object } | { ok: false, status: number, body: object }>}
+ */
+export async function findRedeemableGiftCard({ code, tenantId }) {
+  const giftCard = await GiftCard.findOne({
+    code: normalizeGiftCardCode(code),
+  });
+
+  if (!giftCard) {
+    return failure(400, {
+      error: "Gift card not found",
+      code: GIFT_CARD_CODES.NOT_FOUND,
+    });
+  }
+  if (String(giftCard.tenantId) !== String(tenantId)) {
+    return failure(400, {
+      error: "Gift card is not valid for this business",
+      code: GIFT_CARD_CODES.WRONG_TENANT,
+    });
+  }
+  if (!giftCard.isValid()) {
+    return failure(400, {
+      error: "Gift card is expired, already redeemed, or invalid",
+      code: GIFT_CARD_CODES.INVALID,
+    });
+  }
+
+  giftCard.cleanupExpiredReservations();
+  return { ok: true, giftCard };
+}
+
+/**
+ * Reserve up to amountDue of the card's balance for a checkout.
+ * target is { appointmentId } | { orderId } | { seminarBookingId }.
+ * A concurrent save (VersionError) is retried once with fresh balance.
+ * @returns {Promise<{ ok: true, applied: object|null } | { ok: false, status: number, body: object }>}
+ *   applied is what to store on the booking/order as its giftCard
+ */
+export async function reserveGiftCard({ code, tenantId, target, amountDue }) {
+  const found = await findRedeemableGiftCard({ code, tenantId });
+  if (!found.ok) return found;
+  let { giftCard } = found;
+
+  const remainingBalance = Number(giftCard.getRemainingBalance() || 0);
+  const toApply = roundMoney(
+    Math.min(Number(amountDue || 0), remainingBalance),
+  );
+  if (toApply <= 0) return { ok: true, applied: null };
+
+  let reserveError = null;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await giftCard.reserve({ ...target, amount: toApply });
+      return {
+        ok: true,
+        applied: {
+          id: giftCard._id,
+          code: giftCard.code,
+          appliedAmount: toApply,
+          remainingBeforeApply: remainingBalance,
+          redemptionStatus: "pending",
+        },
+      };
+    } catch (error) {
+      reserveError = error;
+      if (error?.name !== "VersionError" || attempt > 0) break;
+
+      giftCard = await GiftCard.findById(giftCard._id);
+      if (!giftCard) {
+        reserveError = new Error("Gift card not found");
+        break;
+      }
+      giftCard.cleanupExpiredReservations();
+      const refreshedRemaining = Number(giftCard.getRemainingBalance() || 0);
+      if (toApply > refreshedRemaining) {
+        reserveError = new Error(
+          `Insufficient balance. Remaining: ${refreshedRemaining}`,
+        );
+        break;
+      }
+    }
+  }
+
+  if (isInsufficientBalance(reserveError)) {
+    return failure(400, {
+      error: reserveError.message,
+      code: GIFT_CARD_CODES.INSUFFICIENT_BALANCE,
+    });
+  }
+  return failure(409, {
+    error:
+      "Gift card is currently being used in another checkout. Please try again.",
+    code: GIFT_CARD_CODES.IN_USE,
+  });
+}
+
+/**
+ * Record the Stripe session a reservation belongs to
+ */
+export async function attachGiftCardSession({ applied, target, sessionId }) {
+  const [key, id] = Object.entries(target)[0];
+  await GiftCard.updateOne(
+    { _id: applied.id, [`pendingRedemptions.${key}`]: id },
+    { $set: { "pendingRedemptions.$.sessionId": sessionId } },
+  );
+}
+
+/**
+ * Give a reservation's balance back (abandoned or failed checkout).
+ * Missing cards and reservations are ignored.
+ */
+export async function releaseGiftCardReservation({ application, target }) {
+  if (!application?.id && !application?.code) return;
+  const giftCard = application.id
+    ? await GiftCard.findById(application.id)
+    : await GiftCard.findOne({ code: application.code });
+  if (!giftCard) return;
+
+  await giftCard.releaseReservation(target);
+}
+
+/**
+ * Turn a paid checkout's reservation into a redemption. Falls back to a
+ * direct redemption when the hold has already expired.
+ * @returns {Promise<{ status: "skipped"|"redeemed"|"failed", error?: string }>}
+ */
+export async function redeemGiftCardReservation({
+  application,
+  target,
+  clientId,
+}) {
+  const amount = Number(application?.appliedAmount);
+  if (!application?.code || !(amount > 0)) return { status: "skipped" };
+  if (application.redemptionStatus === "redeemed") {
+    return { status: "skipped" };
+  }
+
+  try {
+    const giftCard = await GiftCard.findOne({ code: application.code });
+    if (!giftCard || !giftCard.isValid()) {
+      return { status: "failed", error: "Gift card invalid during redemption" };
+    }
+
+    try {
+      await giftCard.consumeReservation({ ...target, amount, clientId });
+    } catch (reservationError) {
+      if (reservationError?.message !== MISSING_RESERVATION) {
+        throw reservationError;
+      }
+      await giftCard.redeem(amount, clientId, target.appointmentId);
+    }
+
+    console.log("Gift card redeemed:", application.code, amount, target);
+    return { status: "redeemed" };
+  } catch (error) {
+    console.error("Gift card redemption failed:", error);
+    return { status: "failed", error: error.message };
+  }
+}
+
+/**
+ * Redeem the gift card applied to a paid document exactly once, however
+ * many confirmations (redirect, webhook) arrive. The application is stored
+ * at `path` (e.g. "payment.giftCard"); the first caller flips it from
+ * pending to redeeming and records the result.
+ * @param {Object} params
+ * @param {import("mongoose").Model} params.Model Appointment, Order, ...
+ * @returns {Promise<{ status: "skipped"|"redeemed"|"failed", error?: string }>}
+ */
+export async function settleGiftCardRedemption({
+  Model,
+  id,
+  path,
+  target,
+  clientId,
+}) {
+  const statusPath = `${path}.redemptionStatus`;
+  const claimed = await Model.findOneAndUpdate(
+    { _id: id, [statusPath]: "pending" },
+    { $set: { [statusPath]: "redeeming" } },
+    { projection: { [path]: 1 } },
+  ).lean();
+  if (!claimed) return { status: "skipped" };
+
+  const application = path
+    .split(".")
+    .reduce((value, key) => value?.[key], claimed);
+  const result = await redeemGiftCardReservation({
+    application,
+    target,
+    clientId,
+  });
+  await Model.updateOne(
+    { _id: id },
+    {
+      $set:
+        result.status === "skipped"
+          ? { [statusPath]: "pending" }
+          : buildRedemptionUpdate(path, result),
+    },
+  );
+  return result;
+}
+
+/**
+ * $set fields recording a redemption result under `path`
+ * (e.g. "payment.giftCard" or "giftCard")
+ */
+export function buildRedemptionUpdate(path, result, now = new Date()) {
+  if (result.status === "redeemed") {
+    return {
+      [`${path}.redemptionStatus`]: "redeemed",
+      [`${path}.redeemedAt`]: now,
+    };
+  }
+  return {
+    [`${path}.redemptionStatus`]: "failed",
+    [`${path}.error`]: result.error,
+  };
+}
+
+/**
+ * What the client still owes at the salon for an appointment, after any
+ * online payment and gift cards already redeemed at the desk
+ */
+export function getInSalonBalanceDue(appointment) {
+  const price = Number(appointment?.price || 0);
+  const payment = appointment?.payment || {};
+
+  let due = price;
+  if (payment.status === "succeeded") {
+    if (payment.amountBalance != null) {
+      due = Number(payment.amountBalance) / 100;
+    } else if (payment.mode === "deposit") {
+      due = price - Number(payment.depositAmount || 0) / 100;
+    } else if (payment.mode !== "pay_in_salon") {
+      due = 0;
+    }
+  }
+
+  const redeemedAtDesk = (appointment?.giftCardRedemptions || []).reduce(
+    (sum, redemption) => sum + Number(redemption.amount || 0),
+    0,
+  );
+  return roundMoney(Math.max(0, due - redeemedAtDesk));
+}
+
+/**
+ * Redeem a gift card at the desk against an appointment's in-salon balance.
+ * amount defaults to as much of the balance due as the card covers.
+ */
+export async function redeemGiftCardInSalon({
+  appointmentId,
+  code,
+  amount,
+  by,
+  now = new Date(),
+}) {
+  const appointment = await Appointment.findById(appointmentId).lean();
+  if (!appointment) {
+    return failure(404, { error: "Appointment not found" });
+  }
+  if (/^cancelled/.test(appointment.status || "")) {
+    return failure(409, {
+      error: "Appointment is cancelled",
+      code: GIFT_CARD_CODES.NOTHING_DUE,
+    });
+  }
+
+  const balanceDue = getInSalonBalanceDue(appointment);
+  if (balanceDue <= 0) {
+    return failure(409, {
+      error: "Nothing left to pay",
+      message: "This appointment has no balance due at the salon",
+      code: GIFT_CARD_CODES.NOTHING_DUE,
+    });
+  }
+
+  const found = await findRedeemableGiftCard({
+    code,
+    tenantId: appointment.tenantId,
+  });
+  if (!found.ok) return found;
+  let { giftCard } = found;
+
+  const requested =
+    amount != null
+      ? roundMoney(amount)
+      : roundMoney(Math.min(balanceDue, giftCard.getRemainingBalance()));
+  if (requested > balanceDue) {
+    return failure(400, {
+      error: "Amount is more than the balance due",
+      message: `Balance due: ${balanceDue.toFixed(2)}`,
+      code: GIFT_CARD_CODES.AMOUNT_EXCEEDS_DUE,
+    });
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await giftCard.redeem(requested, appointment.clientId, appointment._id);
+      break;
+    } catch (error) {
+      if (error?.name === "VersionError" && attempt === 0) {
+        giftCard = await GiftCard.findById(giftCard._id);
+        if (giftCard) continue;
+      }
+      if (isInsufficientBalance(error)) {
+        return failure(400, {
+          error: error.message,
+          code: GIFT_CARD_CODES.INSUFFICIENT_BALANCE,
+        });
+      }
+      if (error?.name === "VersionError") {
+        return failure(409, {
+          error: "Gift card is currently being used. Please try again.",
+          code: GIFT_CARD_CODES.IN_USE,
+        });
+      }
+      return failure(400, {
+        error: error.message,
+        code: GIFT_CARD_CODES.INVALID,
+      });
+    }
+  }
+
+  const redemption = {
+    giftCardId: giftCard._id,
+    code: giftCard.code,
+    amount: requested,
+    redeemedAt: now,
+    redeemedBy: by,
+  };
+  await Appointment.updateOne(
+    { _id: appointment._id },
+    {
+      $push: {
+        giftCardRedemptions: redemption,
+        audit: {
+          at: now,
+          action: "gift_card_redeemed_in_salon",
+          by,
+          meta: { code: giftCard.code, amount: requested },
+        },
+      },
+    },
+  );
+
+  return {
+    ok: true,
+    redemption,
+    balanceDue: roundMoney(balanceDue - requested),
+    giftCardBalance: giftCard.getRemainingBalance(),
+  };
+}
+
+export default {
+  GIFT_CARD_CODES,
+  roundMoney,
+  normalizeGiftCardCode,
+  findRedeemableGiftCard,
+  reserveGiftCard,
+  attachGiftCardSession,
+  releaseGiftCardReservation,
+  redeemGiftCardReservation,
+  settleGiftCardRedemption,
+  buildRedemptionUpdate,
+  getInSalonBalanceDue,
+  redeemGiftCardInSalon,
+};
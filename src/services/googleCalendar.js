@@ -22,6 +22,9 @@ const oauth2Client = new google.auth.OAuth2(
   GOOGLE_REDIRECT_URI
 );
 
+// Private extended property set on events created for bookings
+export const BOOKING_EVENT_PROPERTY = "bookingAppointmentId";
+
 // Scopes required for calendar access
 const SCOPES = [
   "https://www.googleapis.com/auth/calendar",
@@ -63,32 +66,46 @@ export async function saveTokensForBeautician(specialistId, tokens) {
 
 /**
  * Get authenticated calendar client for specialist
+ * Each specialist gets their own OAuth2 client so concurrent syncs do not
+ * share credentials.
  */
-async function getCalendarClient(specialistId) {
-  const specialist = await Specialist.findById(specialistId);
+export async function getCalendarClient(specialistId) {
+  const specialist = await Specialist.findById(specialistId).select(
+    "+googleCalendar.accessToken +googleCalendar.refreshToken"
+  );
 
   if (
     !specialist?.googleCalendar?.enabled ||
-    !Specialist.googleCalendar.accessToken
+    !specialist.googleCalendar.accessToken
   ) {
     throw new Error("Google Calendar not enabled for this specialist");
   }
 
+  const client = new google.auth.OAuth2(
+    GOOGLE_CLIENT_ID,
+    GOOGLE_CLIENT_SECRET,
+    GOOGLE_REDIRECT_URI
+  );
+
   // Set credentials
-  oauth2Client.setCredentials({
-    access_token: Specialist.googleCalendar.accessToken,
-    refresh_token: Specialist.googleCalendar.refreshToken,
-    expiry_date: Specialist.googleCalendar.expiryDate,
+  client.setCredentials({
+    access_token: specialist.googleCalendar.accessToken,
+    refresh_token: specialist.googleCalendar.refreshToken,
+    expiry_date: specialist.googleCalendar.expiryDate,
   });
 
   // Check if token needs refresh
-  if (Date.now() >= Specialist.googleCalendar.expiryDate) {
-    const { credentials } = await oauth2Client.refreshAccessToken();
-    await saveTokensForBeautician(specialistId, credentials);
-    oauth2Client.setCredentials(credentials);
+  if (Date.now() >= specialist.googleCalendar.expiryDate) {
+    const { credentials } = await client.refreshAccessToken();
+    await saveTokensForBeautician(specialistId, {
+      ...credentials,
+      refresh_token:
+        credentials.refresh_token || specialist.googleCalendar.refreshToken,
+    });
+    client.setCredentials(credentials);
   }
 
-  return google.calendar({ version: "v3", auth: oauth2Client });
+  return google.calendar({ version: "v3", auth: client });
 }
 
 /**
@@ -124,6 +141,10 @@ Booking Reference: ${appointment._id}
       },
       location: appointment.salon?.address || "",
       colorId: "1", // Blue color
+      // Lets the busy-time import skip events created for our own bookings
+      extendedProperties: {
+        private: { [BOOKING_EVENT_PROPERTY]: String(appointment._id) },
+      },
       reminders: {
         useDefault: false,
         overrides: [
@@ -178,6 +199,9 @@ Booking Reference: ${appointment._id}
         dateTime: appointment.endTime,
         timeZone: appointment.timezone || "Europe/London",
       },
+      extendedProperties: {
+        private: { [BOOKING_EVENT_PROPERTY]: String(appointment._id) },
+      },
     };
 
     const response = await calendar.events.update({
@@ -233,4 +257,5 @@ export default {
   updateCalendarEvent,
   deleteCalendarEvent,
   disconnectCalendar,
+  getCalendarClient,
 };
@@ -0,0 +1,561 @@
+/**
+ * Google Calendar busy-time import
+ *
+ * Pulls busy intervals from each connected specialist's Google Calendar
+ * into ExternalCalendarBlock documents, which slot planning treats like
+ * time off. Changes are fetched incrementally with Google sync tokens.
+ * Google push notifications trigger a sync when GOOGLE_CALENDAR_WEBHOOK_URL
+ * is set; a cron polls specialists without a live channel and renews
+ * channels before they expire.
+ *
+ * Events created for our own bookings, free (transparent) events and
+ * events the specialist declined are not imported. When a new or moved
+ * event overlaps an existing booking, the booking is recorded as a
+ * conflict on the block and in the appointment's audit trail.
+ */
+
+import crypto from "crypto";
+import cron from "node-cron";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import Appointment from "../models/Appointment.js";
+import ExternalCalendarBlock from "../models/ExternalCalendarBlock.js";
+import Specialist from "../models/Specialist.js";
+import {
+  BOOKING_EVENT_PROPERTY,
+  getCalendarClient,
+} from "./googleCalendar.js";
+import { buildActiveAppointmentFilter } from "../utils/waitlistMatching.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const console = createConsoleLogger({
+  scope: "calendar-sync",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+const FULL_SYNC_LOOKBACK_DAYS = 1;
+// Recurring events are expanded into instances, so a full sync stops here
+const FULL_SYNC_HORIZON_DAYS = 365;
+const POLL_INTERVAL_MINUTES = 15;
+// Even with a live channel, sync now and then in case a notification is lost
+const SAFETY_SYNC_HOURS = 6;
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+const CHANNEL_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+const syncsInFlight = new Map();
+
+function isSyncTokenExpired(error) {
+  return error?.code === 410 || error?.response?.status === 410;
+}
+
+/**
+ * Busy interval for a Google event, or null when it should not block.
+ * All-day events are read in the calendar's timezone.
+ * @returns {{ externalEventId: string, start: Date, end: Date, allDay: boolean } | null}
+ */
+export function toExternalBlock(event, { calendarTz = "Europe/London" } = {}) {
+  if (!event?.id || event.status === "cancelled") return null;
+  if (event.transparency === "transparent") return null;
+  if (event.extendedProperties?.private?.[BOOKING_EVENT_PROPERTY]) return null;
+  const self = (event.attendees || []).find((attendee) => attendee.self);
+  if (self?.responseStatus === "declined") return null;
+
+  const allDay = Boolean(event.start?.date);
+  const toDate = (edge) =>
+    allDay
+      ? dayjs.tz(edge?.date, calendarTz).toDate()
+      : new Date(edge?.dateTime);
+  const start = toDate(event.start);
+  const end = toDate(event.end);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return null;
+  }
+  if (end <= start) return null;
+
+  return { externalEventId: event.id, start, end, allDay };
+}
+
+async function listEvents(
+  calendar,
+  { calendarId, syncToken, timeMin, timeMax },
+) {
+  const events = [];
+  let pageToken;
+  let data;
+  do {
+    ({ data } = await calendar.events.list({
+      calendarId,
+      singleEvents: true,
+      maxResults: 250,
+      pageToken,
+      ...(syncToken
+        ? { syncToken }
+        : { timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() }),
+    }));
+    events.push(...(data.items || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return {
+    events,
+    nextSyncToken: data.nextSyncToken,
+    calendarTz: data.timeZone,
+  };
+}
+
+/**
+ * Bookings of the specialist that overlap a block, recorded on the block
+ * and in each appointment's audit trail.
+ */
+async function recordConflicts({ specialistId, block, now }) {
+  const appointments = await Appointment.find({
+    specialistId,
+    ...buildActiveAppointmentFilter({ start: block.start, end: block.end }),
+  })
+    .select("_id start end client.name")
+    .lean();
+  const ids = appointments.map((appt) => appt._id);
+
+  await ExternalCalendarBlock.updateOne(
+    { specialistId, source: "google", externalEventId: block.externalEventId },
+    { $set: { conflictAppointmentIds: ids } },
+  );
+  if (!ids.length) return [];
+
+  await Appointment.updateMany(
+    { _id: { $in: ids } },
+    {
+      $push: {
+        audit: {
+          at: now,
+          action: "external_calendar_conflict",
+          by: "calendar_sync",
+          meta: {
+            externalEventId: block.externalEventId,
+            start: block.start,
+            end: block.end,
+          },
+        },
+      },
+    },
+  );
+
+  return appointments.map((appt) => ({
+    appointmentId: appt._id,
+    clientName: appt.client?.name,
+    start: appt.start,
+    end: appt.end,
+    blockStart: block.start,
+    blockEnd: block.end,
+  }));
+}
+
+async function applyEvents({
+  specialist,
+  calendarId,
+  events,
+  calendarTz,
+  now,
+}) {
+  const specialistId = specialist._id;
+  const existing = await ExternalCalendarBlock.find({
+    specialistId,
+    source: "google",
+    externalEventId: { $in: events.map((event) => event.id) },
+  })
+    .select("externalEventId start end")
+    .lean();
+  const existingById = new Map(
+    existing.map((block) => [block.externalEventId, block]),
+  );
+
+  const result = { imported: 0, removed: 0, conflicts: [], keptIds: [] };
+  for (const event of events) {
+    const block = toExternalBlock(event, { calendarTz });
+    const previous = existingById.get(event.id);
+
+    if (!block) {
+      if (previous) {
+        await ExternalCalendarBlock.deleteOne({ _id: previous._id });
+        result.removed += 1;
+      }
+      continue;
+    }
+
+    result.keptIds.push(block.externalEventId);
+    const unchanged =
+      previous &&
+      new Date(previous.start).getTime() === block.start.getTime() &&
+      new Date(previous.end).getTime() === block.end.getTime();
+    if (unchanged) continue;
+
+    await ExternalCalendarBlock.updateOne(
+      {
+        specialistId,
+        source: "google",
+        externalEventId: block.externalEventId,
+      },
+      {
+        $set: {
+          calendarId,
+          start: block.start,
+          end: block.end,
+          allDay: block.allDay,
+        },
+        $setOnInsert: { tenantId: specialist.tenantId },
+      },
+      { upsert: true },
+    );
+    result.imported += 1;
+    result.conflicts.push(
+      ...(await recordConflicts({ specialistId, block, now })),
+    );
+  }
+  return result;
+}
+
+async function runSync({ specialistId, now }) {
+  const specialist = await Specialist.findById(specialistId)
+    .select("tenantId googleCalendar +googleCalendar.syncToken")
+    .lean();
+  if (!specialist?.googleCalendar?.enabled) {
+    return { synced: false, reason: "calendar_not_connected" };
+  }
+
+  const calendarId = specialist.googleCalendar.calendarId || "primary";
+  const calendar = await getCalendarClient(specialistId);
+  let syncToken = specialist.googleCalendar.syncToken;
+  let listed;
+  try {
+    listed = await listEvents(calendar, {
+      calendarId,
+      syncToken,
+      timeMin: dayjs(now).subtract(FULL_SYNC_LOOKBACK_DAYS, "day").toDate(),
+      timeMax: dayjs(now).add(FULL_SYNC_HORIZON_DAYS, "day").toDate(),
+    });
+  } catch (error) {
+    if (!syncToken || !isSyncTokenExpired(error)) throw error;
+    // Google invalidated the sync token: start again with a full sync
+    console.warn(
+      "[CALENDAR SYNC] Sync token expired for",
+      String(specialistId),
+    );
+    syncToken = null;
+    listed = await listEvents(calendar, {
+      calendarId,
+      timeMin: dayjs(now).subtract(FULL_SYNC_LOOKBACK_DAYS, "day").toDate(),
+      timeMax: dayjs(now).add(FULL_SYNC_HORIZON_DAYS, "day").toDate(),
+    });
+  }
+
+  const result = await applyEvents({
+    specialist,
+    calendarId,
+    events: listed.events,
+    calendarTz: listed.calendarTz,
+    now,
+  });
+
+  // A full sync lists every current event, so anything else is stale
+  const staleFilter = syncToken
+    ? {
+        specialistId,
+        end: {
+          $lt: dayjs(now).subtract(FULL_SYNC_LOOKBACK_DAYS, "day").toDate(),
+        },
+      }
+    : { specialistId, externalEventId: { $nin: result.keptIds } };
+  const stale = await ExternalCalendarBlock.deleteMany(staleFilter);
+  result.removed += stale?.deletedCount || 0;
+
+  await Specialist.updateOne(
+    { _id: specialistId },
+    {
+      $set: {
+        "googleCalendar.syncToken": listed.nextSyncToken,
+        "googleCalendar.lastSyncedAt": now,
+        "googleCalendar.lastSyncError": null,
+      },
+    },
+  );
+
+  if (result.conflicts.length) {
+    console.warn(
+      `[CALENDAR SYNC] ${result.conflicts.length} booking(s) overlap imported events for specialist ${specialistId}`,
+    );
+  }
+
+  return {
+    synced: true,
+    fullSync: !syncToken,
+    imported: result.imported,
+    removed: result.removed,
+    conflicts: result.conflicts,
+  };
+}
+
+/**
+ * Pull changes from the specialist's calendar. Concurrent calls for the
+ * same specialist share one sync.
+ * @returns {Promise<{ synced: boolean, reason?: string, fullSync?: boolean, imported?: number, removed?: number, conflicts?: object[] }>}
+ */
+export async function syncSpecialistCalendar({
+  specialistId,
+  now = new Date(),
+}) {
+  const key = String(specialistId);
+  if (syncsInFlight.has(key)) return syncsInFlight.get(key);
+
+  const sync = runSync({ specialistId, now })
+    .catch(async (error) => {
+      await Specialist.updateOne(
+        { _id: specialistId },
+        { $set: { "googleCalendar.lastSyncError": error.message } },
+      );
+      throw error;
+    })
+    .finally(() => syncsInFlight.delete(key));
+  syncsInFlight.set(key, sync);
+  return sync;
+}
+
+/**
+ * Open a push notification channel for the specialist's calendar,
+ * replacing any existing one. Needs GOOGLE_CALENDAR_WEBHOOK_URL.
+ */
+export async function startCalendarWatch({ specialistId }) {
+  const address = process.env.GOOGLE_CALENDAR_WEBHOOK_URL;
+  if (!address) return { watching: false, reason: "webhook_not_configured" };
+
+  const specialist = await Specialist.findById(specialistId)
+    .select("googleCalendar")
+    .lean();
+  if (!specialist?.googleCalendar?.enabled) {
+    return { watching: false, reason: "calendar_not_connected" };
+  }
+
+  const calendar = await getCalendarClient(specialistId);
+  const token = crypto.randomBytes(24).toString("hex");
+  const { data } = await calendar.events.watch({
+    calendarId: specialist.googleCalendar.calendarId || "primary",
+    requestBody: {
+      id: crypto.randomUUID(),
+      type: "web_hook",
+      address,
+      token,
+      params: { ttl: String(CHANNEL_TTL_SECONDS) },
+    },
+  });
+
+  const previous = specialist.googleCalendar.channel;
+  if (previous?.id && previous.resourceId) {
+    try {
+      await calendar.channels.stop({
+        requestBody: { id: previous.id, resourceId: previous.resourceId },
+      });
+    } catch (error) {
+      console.warn(
+        "[CALENDAR SYNC] Failed to stop old channel:",
+        error.message,
+      );
+    }
+  }
+
+  const expiration = new Date(Number(data.expiration));
+  await Specialist.updateOne(
+    { _id: specialistId },
+    {
+      $set: {
+        "googleCalendar.channel": {
+          id: data.id,
+          resourceId: data.resourceId,
+          token,
+          expiration,
+        },
+      },
+    },
+  );
+  return { watching: true, expiration };
+}
+
+/**
+ * Handle a Google push notification. The "sync" state only confirms a new
+ * channel; anything else means the calendar changed.
+ * @returns {Promise<{ ok: boolean, status: number }>}
+ */
+export async function handleCalendarNotification({
+  channelId,
+  channelToken,
+  resourceState,
+}) {
+  if (!channelId) return { ok: false, status: 400 };
+
+  const specialist = await Specialist.findOne({
+    "googleCalendar.channel.id": channelId,
+  })
+    .select("_id googleCalendar.enabled +googleCalendar.channel.token")
+    .lean();
+  const expectedToken = specialist?.googleCalendar?.channel?.token;
+  if (!specialist?.googleCalendar?.enabled || !expectedToken) {
+    return { ok: false, status: 404 };
+  }
+  if (
+    typeof channelToken !== "string" ||
+    channelToken.length !== expectedToken.length ||
+    !crypto.timingSafeEqual(
+      Buffer.from(channelToken),
+      Buffer.from(expectedToken),
+    )
+  ) {
+    return { ok: false, status: 403 };
+  }
+  if (resourceState === "sync") return { ok: true, status: 200 };
+
+  try {
+    await syncSpecialistCalendar({ specialistId: specialist._id });
+  } catch (error) {
+    // The polling fallback will retry
+    console.error("[CALENDAR SYNC] Notification sync failed:", error.message);
+  }
+  return { ok: true, status: 200 };
+}
+
+/**
+ * Polling fallback: renew channels close to expiry, then sync specialists
+ * without a live channel (or not synced for a while).
+ */
+export async function runCalendarSyncPoll({ now = new Date() } = {}) {
+  const specialists = await Specialist.find({
+    "googleCalendar.enabled": true,
+  })
+    .select("_id googleCalendar")
+    .lean();
+
+  const summary = { synced: 0, failed: 0, renewed: 0 };
+  for (const specialist of specialists) {
+    const { channel, lastSyncedAt } = specialist.googleCalendar || {};
+    let expiration = channel?.expiration ? new Date(channel.expiration) : null;
+
+    if (
+      process.env.GOOGLE_CALENDAR_WEBHOOK_URL &&
+      (!expiration ||
+        expiration.getTime() - now.getTime() < CHANNEL_RENEW_BEFORE_MS)
+    ) {
+      try {
+        const watch = await startCalendarWatch({
+          specialistId: specialist._id,
+        });
+        if (watch.watching) {
+          expiration = watch.expiration;
+          summary.renewed += 1;
+        }
+      } catch (error) {
+        console.error(
+          "[CALENDAR SYNC] Channel renewal failed:",
+          error.message,
+        );
+      }
+    }
+
+    const hasLiveChannel = expiration && expiration > now;
+    const maxAgeMs = hasLiveChannel
+      ? SAFETY_SYNC_HOURS * 60 * 60 * 1000
+      : POLL_INTERVAL_MINUTES * 60 * 1000;
+    const due =
+      !lastSyncedAt ||
+      now.getTime() - new Date(lastSyncedAt).getTime() >= maxAgeMs - 60000;
+    if (!due) continue;
+
+    try {
+      await syncSpecialistCalendar({ specialistId: specialist._id, now });
+      summary.synced += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(
+        `[CALENDAR SYNC] Sync failed for specialist ${specialist._id}:`,
+        error.message,
+      );
+    }
+  }
+  return summary;
+}
+
+/**
+ * Stop the channel and drop imported blocks when a calendar is disconnected.
+ */
+export async function stopCalendarSync({ specialistId }) {
+  const specialist = await Specialist.findById(specialistId)
+    .select("googleCalendar")
+    .lean();
+  const channel = specialist?.googleCalendar?.channel;
+  if (channel?.id && channel.resourceId) {
+    try {
+      const calendar = await getCalendarClient(specialistId);
+      await calendar.channels.stop({
+        requestBody: { id: channel.id, resourceId: channel.resourceId },
+      });
+    } catch (error) {
+      console.warn("[CALENDAR SYNC] Failed to stop channel:", error.message);
+    }
+  }
+
+  await ExternalCalendarBlock.deleteMany({ specialistId });
+  await Specialist.updateOne(
+    { _id: specialistId },
+    {
+      $unset: {
+        "googleCalendar.syncToken": "",
+        "googleCalendar.channel": "",
+        "googleCalendar.lastSyncedAt": "",
+        "googleCalendar.lastSyncError": "",
+      },
+    },
+  );
+}
+
+/**
+ * Imported events that overlapped existing bookings, from now on.
+ */
+export async function listCalendarConflicts({
+  specialistId,
+  now = new Date(),
+}) {
+  return ExternalCalendarBlock.find({
+    specialistId,
+    end: { $gt: now },
+    "conflictAppointmentIds.0": { $exists: true },
+  })
+    .sort({ start: 1 })
+    .populate("conflictAppointmentIds", "start end status client.name")
+    .lean();
+}
+
+export function startCalendarSyncCron() {
+  console.log(
+    `[Calendar] Starting calendar sync cron (every ${POLL_INTERVAL_MINUTES} minutes)...`,
+  );
+
+  return cron.schedule(
+    `*/${POLL_INTERVAL_MINUTES} * * * *`,
+    () =>
+      runCalendarSyncPoll().catch((error) =>
+        console.error("[CALENDAR SYNC] Poll failed:", error),
+      ),
+    { scheduled: true, timezone: "UTC" },
+  );
+}
+
+export default {
+  toExternalBlock,
+  syncSpecialistCalendar,
+  startCalendarWatch,
+  handleCalendarNotification,
+  runCalendarSyncPoll,
+  stopCalendarSync,
+  listCalendarConflicts,
+  startCalendarSyncCron,
+};
@@ -0,0 +1,619 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import Appointment from "../models/Appointment.js";
+import BookingGroup from "../models/BookingGroup.js";
+import ConsentTemplate from "../models/ConsentTemplate.js";
+import Service from "../models/Service.js";
+import Specialist from "../models/Specialist.js";
+import ClientService from "./clientService.js";
+import { getLockService } from "./lockService.js";
+import {
+  getRequiredResources,
+  findResourceConflict,
+  resourceConflictErrorBody,
+} from "./resourceService.js";
+import {
+  resolveBookingWindow,
+  checkBookingWindow,
+  bookingWindowErrorBody,
+} from "../utils/bookingWindow.js";
+import {
+  appointmentsClash,
+  computeProcessingWindows,
+} from "../utils/slotPlanner.js";
+import { buildActiveAppointmentFilter } from "../utils/waitlistMatching.js";
+import { sendConfirmationEmail } from "../emails/mailer.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Group bookings: several guests booked in parallel with different
+ * specialists at the same start time, paid for by one organiser.
+ *
+ * Reservation locks every guest's specialist slot in Redis first, checks
+ * all of them, then creates every appointment or none. Payment uses one
+ * Stripe checkout session; when guests are served by specialists with
+ * different connected accounts the charge is split with transfers.
+ */
+
+export const MAX_GROUP_GUESTS = 10;
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function isStripeConnected(specialist) {
+  return Boolean(
+    specialist?.stripeAccountId && specialist?.stripeStatus === "connected",
+  );
+}
+
+function hasNoFeeSubscription(specialist) {
+  return (
+    specialist?.subscription?.noFeeBookings?.enabled === true &&
+    specialist?.subscription?.noFeeBookings?.status === "active"
+  );
+}
+
+/**
+ * LockService key parts for a guest's slot (salon-local date and time).
+ */
+export function getGuestLockParams({ specialistId, start, salonTz }) {
+  const local = dayjs(start).tz(salonTz);
+  return {
+    resourceId: String(specialistId),
+    date: local.format("YYYY-MM-DD"),
+    startTime: local.format("HH:mm"),
+  };
+}
+
+/**
+ * Lock every slot or none: on the first failure the locks already taken
+ * are released.
+ * @returns {Promise<{ ok: boolean, locks: object[], failed?: object }>}
+ */
+export async function acquireGroupLocks({ slots, lockService }) {
+  const locks = [];
+  for (const slot of slots) {
+    const result = await lockService.acquireLock(slot);
+    if (!result.locked) {
+      await releaseGroupLocks({ locks, lockService });
+      return { ok: false, locks: [], failed: slot };
+    }
+    locks.push({ ...slot, lockId: result.lockId });
+  }
+  return { ok: true, locks };
+}
+
+export async function releaseGroupLocks({ locks, lockService }) {
+  await Promise.all(
+    locks.map((lock) =>
+      lockService.releaseLock(lock).catch((err) => {
+        console.error("[GROUP] Failed to release lock:", err.message);
+      }),
+    ),
+  );
+}
+
+/**
+ * Consent forms a guest must sign for their service.
+ * Without a known client every published template counts as unsigned.
+ * @returns {Promise<{ templateId: string, templateName: string, required: boolean, signed: boolean }[]>}
+ */
+export async function getGuestConsentRequirements({
+  tenantId,
+  serviceId,
+  clientId = null,
+}) {
+  const result = clientId
+    ? await ConsentTemplate.isConsentRequired(serviceId, clientId, tenantId)
+    : await ConsentTemplate.getActiveForService(serviceId, tenantId).then(
+        (template) => ({
+          required: Boolean(template),
+          signed: false,
+          template,
+        }),
+      );
+
+  if (!result?.template) return [];
+  return [
+    {
+      templateId: String(result.template._id),
+      templateName: result.template.name,
+      required: result.required,
+      signed: result.signed,
+    },
+  ];
+}
+
+/**
+ * Split what the organiser pays across guests and decide how it reaches
+ * the specialists.
+ * @param {Object} params
+ * @param {{ price: number, specialist: object }[]} params.guests price in major units
+ * @param {number} [params.depositPct] 0 for full payment
+ * @param {number} params.platformFee booking fee in minor units, charged once
+ * @returns {{ shares: number[], totalAmount: number, platformFee: number, payoutMode: "destination"|"transfers", destinationAccountId: string|null, transfers: { accountId: string, amount: number }[] }}
+ */
+export function planGroupPayment({ guests, depositPct = 0, platformFee }) {
+  const shares = guests.map(({ price, specialist }) => {
+    if (specialist?.inSalonPayment) return 0;
+    const amount = depositPct ? (Number(price) * depositPct) / 100 : price;
+    return Math.round((Number(amount) || 0) * 100);
+  });
+
+  const byAccount = new Map();
+  let platformShare = 0;
+  guests.forEach(({ specialist }, i) => {
+    if (!shares[i]) return;
+    if (!isStripeConnected(specialist)) {
+      platformShare += shares[i];
+      return;
+    }
+    const accountId = specialist.stripeAccountId;
+    byAccount.set(accountId, (byAccount.get(accountId) || 0) + shares[i]);
+  });
+  const transfers = [...byAccount.entries()].map(([accountId, amount]) => ({
+    accountId,
+    amount,
+  }));
+
+  // A single payee taking every share can use a destination charge like a
+  // normal booking; anything else is charged on the platform and split
+  const payoutMode =
+    transfers.length === 1 && !platformShare ? "destination" : "transfers";
+  return {
+    shares,
+    totalAmount: shares.reduce((sum, share) => sum + share, 0) + platformFee,
+    platformFee,
+    payoutMode,
+    destinationAccountId:
+      payoutMode === "destination" ? transfers[0]?.accountId || null : null,
+    transfers: payoutMode === "transfers" ? transfers : [],
+  };
+}
+
+/**
+ * Booking fee for the group: waived only when every specialist involved
+ * has a no-fee subscription.
+ */
+export function getGroupPlatformFee(specialists) {
+  if (specialists.length && specialists.every(hasNoFeeSubscription)) return 0;
+  return Number(process.env.STRIPE_PLATFORM_FEE || 99);
+}
+
+/**
+ * The first specialist with something to collect who cannot be paid
+ * online, or null.
+ */
+export function findUnpayableSpecialist(guests, shares) {
+  const guest = guests.find(
+    ({ specialist }, i) =>
+      shares[i] > 0 &&
+      !isStripeConnected(specialist) &&
+      !hasNoFeeSubscription(specialist),
+  );
+  return guest?.specialist || null;
+}
+
+/**
+ * Reserve every guest's slot as reserved_unpaid appointments sharing one
+ * BookingGroup. All slots are locked in Redis while they are checked and
+ * created, so a group never ends up partially booked.
+ * @param {Object} params
+ * @param {{ name: string, email?: string, phone?: string, notes?: string, specialistId: string, serviceId: string, variantName: string }[]} params.guests
+ * @returns {Promise<{ ok: true, group: object, guests: object[] } | { ok: false, status: number, body: object }>}
+ */
+export async function reserveGroupBooking({
+  tenantId,
+  tenant,
+  salonTz,
+  organiser,
+  guests,
+  start,
+  locationId = null,
+  userId = null,
+}) {
+  const lockService = getLockService();
+
+  const specialistIds = guests.map((guest) => String(guest.specialistId));
+  if (new Set(specialistIds).size !== specialistIds.length) {
+    return failure(400, {
+      error: "Each guest needs a different specialist",
+      code: "DUPLICATE_SPECIALIST",
+    });
+  }
+
+  const [services, specialists] = await Promise.all([
+    Service.find({
+      _id: { $in: [...new Set(guests.map((g) => String(g.serviceId)))] },
+    }).lean(),
+    Specialist.find({ _id: { $in: specialistIds }, active: true }).lean(),
+  ]);
+  const serviceById = new Map(services.map((s) => [String(s._id), s]));
+  const specialistById = new Map(specialists.map((s) => [String(s._id), s]));
+
+  const planned = [];
+  for (const guest of guests) {
+    const service = serviceById.get(String(guest.serviceId));
+    if (!service) return failure(404, { error: "Service not found" });
+    const variant = (service.variants || []).find(
+      (v) => v.name === guest.variantName,
+    );
+    if (!variant) return failure(404, { error: "Variant not found" });
+    const specialist = specialistById.get(String(guest.specialistId));
+    if (!specialist) {
+      return failure(400, { error: "No specialist available" });
+    }
+    const duration =
+      variant.durationMin +
+      (variant.bufferBeforeMin || 0) +
+      (variant.bufferAfterMin || 0);
+    planned.push({
+      guest,
+      service,
+      variant,
+      specialist,
+      price: variant.promoPrice || variant.price || 0,
+      duration,
+      end: new Date(start.getTime() + duration * 60000),
+      processingWindows: computeProcessingWindows({
+        start,
+        services: [{ ...variant, totalMin: duration }],
+      }),
+    });
+  }
+
+  const windowCheck = checkBookingWindow({
+    start,
+    window: resolveBookingWindow({ tenant, services }),
+  });
+  if (!windowCheck.ok) return failure(400, bookingWindowErrorBody(windowCheck));
+
+  const lockResult = await acquireGroupLocks({
+    slots: planned.map(({ specialist }) =>
+      getGuestLockParams({ specialistId: specialist._id, start, salonTz }),
+    ),
+    lockService,
+  });
+  if (!lockResult.ok) {
+    return failure(409, {
+      error: "Slot no longer available",
+      code: "SLOT_LOCKED",
+      specialistId: lockResult.failed.resourceId,
+    });
+  }
+
+  try {
+    const heldResources = [];
+    for (const entry of planned) {
+      const overlapping = await Appointment.find({
+        tenantId,
+        specialistId: entry.specialist._id,
+        ...buildActiveAppointmentFilter({ start, end: entry.end }),
+      }).lean();
+      const conflict = overlapping.find((existing) =>
+        appointmentsClash(existing, {
+          start,
+          end: entry.end,
+          processingWindows: entry.processingWindows,
+        }),
+      );
+      if (conflict) {
+        return failure(409, {
+          error: "Slot no longer available",
+          specialistId: String(entry.specialist._id),
+        });
+      }
+
+      entry.resources = await getRequiredResources({
+        tenantId,
+        services: [entry.service],
+        locationId,
+      });
+      const resourceConflict = await findResourceConflict({
+        tenantId,
+        resources: entry.resources,
+        start,
+        end: entry.end,
+        additionalBookings: heldResources,
+      });
+      if (resourceConflict) {
+        return failure(409, resourceConflictErrorBody(resourceConflict));
+      }
+      if (entry.resources.length) {
+        heldResources.push({
+          start,
+          end: entry.end,
+          resourceIds: entry.resources.map((resource) => resource._id),
+          status: "reserved_unpaid",
+        });
+      }
+    }
+
+    const organiserClient = await ClientService.findOrCreateClient(organiser);
+    await ClientService.findOrCreateTenantClient(
+      tenantId,
+      organiserClient._id,
+      { name: organiserClient.name },
+    );
+
+    const group = await BookingGroup.create({
+      tenantId,
+      organiser,
+      clientId: organiserClient._id,
+      userId,
+      start,
+      locationId,
+    });
+
+    const docs = [];
+    for (const entry of planned) {
+      const { guest } = entry;
+      // Guests without their own email are reached through the organiser
+      let clientId = null;
+      if (guest.email) {
+        const guestClient = await ClientService.findOrCreateClient({
+          email: guest.email,
+          name: guest.name,
+          phone: guest.phone,
+        });
+        await ClientService.findOrCreateTenantClient(
+          tenantId,
+          guestClient._id,
+          { name: guestClient.name },
+        );
+        clientId = guestClient._id;
+      }
+      entry.clientId = clientId;
+      docs.push({
+        tenantId,
+        client: {
+          name: guest.name,
+          email: guest.email || organiser.email,
+          phone: guest.phone || organiser.phone,
+          notes: guest.notes,
+        },
+        ...(clientId ? { clientId } : {}),
+        specialistId: entry.specialist._id,
+        services: [
+          {
+            serviceId: entry.service._id,
+            serviceName: entry.service.name,
+            variantName: entry.variant.name,
+            price: entry.price,
+            duration: entry.duration,
+          },
+        ],
+        totalDuration: entry.duration,
+        serviceId: entry.service._id,
+        variantName: entry.variant.name,
+        start,
+        end: entry.end,
+        price: entry.price,
+        status: "reserved_unpaid",
+        groupId: group._id,
+        ...(userId ? { userId } : {}),
+        ...(locationId ? { locationId } : {}),
+        ...(entry.resources.length
+          ? { resourceIds: entry.resources.map((resource) => resource._id) }
+          : {}),
+        ...(entry.processingWindows.length
+          ? { processingWindows: entry.processingWindows }
+          : {}),
+      });
+    }
+
+    let appointments;
+    try {
+      appointments = await Appointment.insertMany(docs);
+    } catch (insertError) {
+      await Appointment.deleteMany({ groupId: group._id });
+      await BookingGroup.deleteOne({ _id: group._id });
+      throw insertError;
+    }
+    await BookingGroup.updateOne(
+      { _id: group._id },
+      { $set: { appointmentIds: appointments.map((appt) => appt._id) } },
+    );
+
+    const guestSummaries = [];
+    for (const [i, entry] of planned.entries()) {
+      guestSummaries.push({
+        appointmentId: appointments[i]._id,
+        name: entry.guest.name,
+        specialistId: entry.specialist._id,
+        serviceId: entry.service._id,
+        variantName: entry.variant.name,
+        price: entry.price,
+        specialist: entry.specialist,
+        service: entry.service,
+        consents: await getGuestConsentRequirements({
+          tenantId,
+          serviceId: entry.service._id,
+          clientId: entry.clientId,
+        }),
+      });
+    }
+
+    return {
+      ok: true,
+      group: {
+        ...(group.toObject ? group.toObject() : group),
+        appointmentIds: appointments.map((appt) => appt._id),
+      },
+      guests: guestSummaries,
+    };
+  } finally {
+    await releaseGroupLocks({ locks: lockResult.locks, lockService });
+  }
+}
+
+/**
+ * Remove an unpaid group so its slots free up (checkout abandoned or its
+ * session expired).
+ * @returns {Promise<boolean>} false when the group was already paid
+ */
+export async function releaseGroupBooking({ groupId, expired = false }) {
+  const group = await BookingGroup.findById(groupId).lean();
+  if (!group || group.status !== "reserved_unpaid") return false;
+
+  await Appointment.deleteMany({
+    groupId: group._id,
+    status: "reserved_unpaid",
+  });
+  await BookingGroup.updateOne(
+    { _id: group._id },
+    {
+      $set: {
+        status: "cancelled",
+        ...(expired ? { "payment.status": "expired" } : {}),
+      },
+      $push: {
+        audit: {
+          at: new Date(),
+          action: expired ? "checkout_session_expired" : "released",
+        },
+      },
+    },
+  );
+  return true;
+}
+
+/**
+ * Confirm every guest once the organiser's checkout is paid and pay out
+ * split payments. Safe to call from both the confirm endpoint and the
+ * webhook: a confirmed group is left as is.
+ * @param {Object} params
+ * @param {Object} params.session Stripe checkout session
+ * @param {Object} params.stripe platform Stripe client
+ * @returns {Promise<{ status: string, alreadyConfirmed?: boolean }>}
+ */
+export async function confirmGroupBooking({ groupId, session, stripe }) {
+  const group = await BookingGroup.findById(groupId).lean();
+  if (!group) throw new Error(`Booking group ${groupId} not found`);
+  if (group.status === "confirmed") {
+    return { status: "confirmed", alreadyConfirmed: true };
+  }
+
+  const paymentIntent = session.payment_intent;
+  const paymentIntentId =
+    typeof paymentIntent === "string" ? paymentIntent : paymentIntent?.id;
+
+  // Split payments: move each specialist's share to their account
+  const transfers = [];
+  if (group.payment?.payoutMode === "transfers") {
+    const pi =
+      typeof paymentIntent === "object" && paymentIntent
+        ? paymentIntent
+        : await stripe.paymentIntents.retrieve(paymentIntentId);
+    const chargeId =
+      typeof pi.latest_charge === "string"
+        ? pi.latest_charge
+        : pi.latest_charge?.id;
+
+    for (const planned of group.payment.transfers || []) {
+      const transfer = await stripe.transfers.create(
+        {
+          amount: planned.amount,
+          currency: session.currency || "gbp",
+          destination: planned.accountId,
+          transfer_group: `group_${group._id}`,
+          ...(chargeId ? { source_transaction: chargeId } : {}),
+          metadata: { groupId: String(group._id) },
+        },
+        { idempotencyKey: `group-transfer:${group._id}:${planned.accountId}` },
+      );
+      transfers.push({ ...planned, transferId: transfer.id });
+    }
+  }
+  const transferIdByAccount = new Map(
+    transfers.map((t) => [t.accountId, t.transferId]),
+  );
+
+  const appointments = await Appointment.find({
+    groupId: group._id,
+    status: "reserved_unpaid",
+  }).lean();
+
+  for (const appt of appointments) {
+    const accountId = appt.payment?.stripe?.beauticianStripeAccount;
+    const transferId = accountId ? transferIdByAccount.get(accountId) : null;
+    await Appointment.updateOne(
+      { _id: appt._id, status: "reserved_unpaid" },
+      {
+        $set: {
+          status: "confirmed",
+          "payment.status": "succeeded",
+          ...(paymentIntentId
+            ? { "payment.stripe.paymentIntentId": paymentIntentId }
+            : {}),
+          ...(transferId ? { "payment.stripe.transferId": transferId } : {}),
+        },
+        $push: {
+          audit: {
+            at: new Date(),
+            action: "group_checkout_completed",
+            meta: { groupId: String(group._id), sessionId: session.id },
+          },
+        },
+      },
+    );
+  }
+
+  await BookingGroup.updateOne(
+    { _id: group._id },
+    {
+      $set: {
+        status: "confirmed",
+        "payment.status": "succeeded",
+        ...(paymentIntentId ? { "payment.paymentIntentId": paymentIntentId } : {}),
+        ...(transfers.length ? { "payment.transfers": transfers } : {}),
+      },
+      $push: {
+        audit: {
+          at: new Date(),
+          action: "checkout_completed",
+          meta: { sessionId: session.id, guests: appointments.length },
+        },
+      },
+    },
+  );
+
+  // Every guest gets their own confirmation (guests without an email are
+  // stored with the organiser's)
+  const confirmed = await Appointment.find({ groupId: group._id })
+    .populate("serviceId")
+    .populate("specialistId", "name email subscription")
+    .lean();
+  for (const appt of confirmed) {
+    if (!appointments.some((a) => String(a._id) === String(appt._id))) continue;
+    try {
+      await sendConfirmationEmail({
+        appointment: appt,
+        service: appt.serviceId,
+        specialist: appt.specialistId,
+      });
+    } catch (emailErr) {
+      console.error("[GROUP] Failed to send confirmation email:", emailErr);
+    }
+  }
+
+  return { status: "confirmed" };
+}
+
+export default {
+  MAX_GROUP_GUESTS,
+  getGuestLockParams,
+  acquireGroupLocks,
+  releaseGroupLocks,
+  getGuestConsentRequirements,
+  planGroupPayment,
+  getGroupPlatformFee,
+  findUnpayableSpecialist,
+  reserveGroupBooking,
+  releaseGroupBooking,
+  confirmGroupBooking,
+};
@@ -0,0 +1,522 @@
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import Specialist from "../models/Specialist.js";
+import StockMovement from "../models/StockMovement.js";
+import { sendLowStockAlertEmail } from "../emails/mailer.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+/**
+ * Product stock, checkout holds and the stock ledger
+ *
+ * A variant's stock is what's left to sell. Opening a shop checkout moves
+ * the basket from stock to reserved with one conditional update per line,
+ * so two checkouts can't both take the last unit. Paying turns the hold
+ * into a sale (a StockMovement); an expired or failed checkout puts it
+ * back. Everything else that changes stock - refunds, staff adjustments,
+ * deliveries - goes through here too and is written to the ledger.
+ *
+ * Products sold without a variant use the product's own stock fields.
+ */
+
+const console = createConsoleLogger({
+  scope: "inventory",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const INVENTORY_CODES = {
+  PRODUCT_NOT_FOUND: "INVENTORY_PRODUCT_NOT_FOUND",
+  INSUFFICIENT_STOCK: "INVENTORY_INSUFFICIENT_STOCK",
+};
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 3;
+
+// How long a shop checkout holds stock. The Stripe session expires then
+// (Stripe won't expire one sooner than 30 minutes), which releases it.
+export const STOCK_HOLD_MINUTES = 30;
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+// Update path prefix for the stock fields of a variant (positional) or of
+// the product itself
+function stockPath(variantId) {
+  return variantId ? "variants.$." : "";
+}
+
+function stockFilter(productId, variantId, condition = {}) {
+  if (!variantId) return { _id: productId, ...condition };
+  return {
+    _id: productId,
+    variants: { $elemMatch: { _id: variantId, ...condition } },
+  };
+}
+
+function stockChange(variantId, change) {
+  const prefix = stockPath(variantId);
+  return Object.fromEntries(
+    Object.entries(change).map(([field, amount]) => [
+      `${prefix}${field}`,
+      amount,
+    ]),
+  );
+}
+
+/**
+ * The variant (or the product, for variant-less lines) holding the stock
+ */
+export function getStockHolder(product, variantId) {
+  if (!variantId) return product || null;
+  return (
+    (product?.variants || []).find(
+      (variant) => String(variant._id) === String(variantId),
+    ) || null
+  );
+}
+
+export function getLowStockThreshold(product, variant) {
+  return (
+    variant?.lowStockThreshold ??
+    product?.lowStockThreshold ??
+    DEFAULT_LOW_STOCK_THRESHOLD
+  );
+}
+
+/**
+ * Email the owning specialist when stock falls to the alert level. Alerts
+ * once per dip: the flag is cleared when stock climbs back above it.
+ */
+export async function checkLowStock({
+  product,
+  variantId = null,
+  now = new Date(),
+}) {
+  const holder = getStockHolder(product, variantId);
+  if (!holder) return { alerted: false };
+  const variant = variantId ? holder : null;
+  const threshold = getLowStockThreshold(product, variant);
+  const stock = Number(holder.stock || 0);
+
+  if (stock > threshold) {
+    if (holder.lowStockAlertedAt) {
+      await Product.updateOne(stockFilter(product._id, variantId), {
+        $set: stockChange(variantId, { lowStockAlertedAt: null }),
+      });
+    }
+    return { alerted: false };
+  }
+  if (holder.lowStockAlertedAt) return { alerted: false };
+
+  // Claim the alert so concurrent checkouts don't both send it
+  const claimed = await Product.updateOne(
+    stockFilter(product._id, variantId, { lowStockAlertedAt: null }),
+    { $set: stockChange(variantId, { lowStockAlertedAt: now }) },
+  );
+  if (!claimed.modifiedCount) return { alerted: false };
+
+  if (!product.specialistId) return { alerted: false };
+  const specialist = await Specialist.findById(product.specialistId)
+    .select("name email")
+    .lean();
+  if (!specialist?.email) return { alerted: false };
+
+  try {
+    await sendLowStockAlertEmail({
+      specialist,
+      product,
+      variant,
+      stock,
+      threshold,
+    });
+  } catch (err) {
+    console.error("[INVENTORY] Low stock alert failed:", err);
+  }
+  return { alerted: true };
+}
+
+async function recordMovement({
+  product,
+  variantId = null,
+  type,
+  quantity,
+  orderId = null,
+  note = "",
+  createdBy = "system",
+}) {
+  const holder = getStockHolder(product, variantId);
+  return StockMovement.create({
+    tenantId: product.tenantId,
+    productId: product._id,
+    variantId,
+    type,
+    quantity,
+    stockAfter: holder ? Number(holder.stock || 0) : null,
+    reservedAfter: holder ? Number(holder.reserved || 0) : null,
+    orderId,
+    note,
+    createdBy,
+  });
+}
+
+async function incrementStock({ item, change, condition = {} }) {
+  const variantId = item.variantId || null;
+  return Product.findOneAndUpdate(
+    stockFilter(item.productId, variantId, condition),
+    { $inc: stockChange(variantId, change) },
+    { new: true },
+  ).lean();
+}
+
+async function releaseItems({ items }) {
+  for (const item of items) {
+    const product = await incrementStock({
+      item,
+      change: { stock: item.quantity, reserved: -item.quantity },
+    });
+    if (product) {
+      await checkLowStock({ product, variantId: item.variantId });
+    }
+  }
+}
+
+/**
+ * Hold an order's items while its checkout is open. All or nothing: if a
+ * line is short, the lines already held are put back.
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, body: object }>}
+ */
+export async function reserveOrderStock({ order, now = new Date() }) {
+  const held = [];
+  for (const item of order.items) {
+    const product = await incrementStock({
+      item,
+      change: { stock: -item.quantity, reserved: item.quantity },
+      condition: { stock: { $gte: item.quantity } },
+    });
+    if (!product) {
+      await releaseItems({ items: held });
+      return failure(409, {
+        error: "Insufficient stock",
+        message: `Not enough stock left for ${item.title}`,
+        code: INVENTORY_CODES.INSUFFICIENT_STOCK,
+        productId: item.productId,
+        variantId: item.variantId || null,
+      });
+    }
+    held.push(item);
+    await checkLowStock({ product, variantId: item.variantId, now });
+  }
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { inventory: { status: "reserved", reservedAt: now } } },
+  );
+  return { ok: true };
+}
+
+/**
+ * Put an unpaid order's hold back on sale (checkout expired or abandoned).
+ * Only the first call does anything.
+ */
+export async function releaseOrderStock({ order, now = new Date() }) {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "inventory.status": "reserved" },
+    {
+      $set: {
+        "inventory.status": "released",
+        "inventory.releasedAt": now,
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!claimed) return { released: false };
+
+  await releaseItems({ items: claimed.items });
+  console.log("[INVENTORY] Released stock held for order", String(order._id));
+  return { released: true };
+}
+
+/**
+ * Turn a paid order's hold into sales. Orders from before reservations
+ * take their stock here instead. Only the first call does anything.
+ */
+export async function commitOrderStock({ order, now = new Date() }) {
+  // The previous state says whether the stock is held or still on sale
+  const previous = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { "inventory.status": "reserved" },
+        { inventory: { $exists: false } },
+      ],
+    },
+    {
+      $set: {
+        "inventory.status": "committed",
+        "inventory.committedAt": now,
+      },
+    },
+    { new: false },
+  ).lean();
+  if (!previous) return { committed: false };
+
+  const wasHeld = previous.inventory?.status === "reserved";
+  for (const item of previous.items) {
+    const product = await incrementStock({
+      item,
+      change: wasHeld
+        ? { reserved: -item.quantity }
+        : { stock: -item.quantity },
+    });
+    if (!product) continue;
+    await recordMovement({
+      product,
+      variantId: item.variantId || null,
+      type: "sale",
+      quantity: -item.quantity,
+      orderId: previous._id,
+      note: previous.orderNumber ? `Order ${previous.orderNumber}` : "",
+    });
+    if (!wasHeld) {
+      await checkLowStock({ product, variantId: item.variantId, now });
+    }
+  }
+  return { committed: true };
+}
+
+/**
+ * Give stock back when an order is cancelled, refunded or deleted: sold
+ * units are restocked (and logged), held units released. Older orders
+ * without a hold are restocked once paid. Only the first call does
+ * anything.
+ */
+export async function restockOrder({
+  order,
+  note = "",
+  createdBy = "system",
+  now = new Date(),
+}) {
+  const released = await releaseOrderStock({ order, now });
+  if (released.released) return { restocked: false, released: true };
+
+  const previous = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { "inventory.status": "committed" },
+        {
+          inventory: { $exists: false },
+          paymentStatus: { $in: ["paid", "refunded"] },
+        },
+      ],
+    },
+    {
+      $set: {
+        "inventory.status": "restocked",
+        "inventory.restockedAt": now,
+      },
+    },
+    { new: false },
+  ).lean();
+  if (!previous) return { restocked: false, released: false };
+
+  // Units refunded earlier have already come back (or were written off)
+  const lines = previous.items.map((item) => ({
+    item,
+    quantity: item.quantity - Number(item.refundedQuantity || 0),
+  }));
+  await restockLines({ order: previous, lines, note, createdBy, now });
+  return { restocked: true, released: false };
+}
+
+async function restockLines({ order, lines, note, createdBy, now }) {
+  for (const { item, quantity } of lines) {
+    if (!(quantity > 0)) continue;
+    const product = await incrementStock({ item, change: { stock: quantity } });
+    if (!product) continue;
+    await recordMovement({
+      product,
+      variantId: item.variantId || null,
+      type: "refund_restock",
+      quantity,
+      orderId: order._id,
+      note: note || `Order ${order.orderNumber}`,
+      createdBy,
+    });
+    await checkLowStock({ product, variantId: item.variantId, now });
+  }
+}
+
+/**
+ * Put returned units from a partial refund back on sale
+ * @param {Object[]} params.lines { item, quantity } per order line
+ */
+export async function restockRefundedItems({
+  order,
+  lines,
+  note = "",
+  createdBy = "staff",
+  now = new Date(),
+}) {
+  await restockLines({ order, lines, note, createdBy, now });
+  return { restocked: lines.some((line) => line.quantity > 0) };
+}
+
+/**
+ * Staff stock change: a count correction (signed) or a received delivery
+ * @returns {Promise<{ ok: true, product: object, movement: object } | { ok: false, status: number, body: object }>}
+ */
+export async function adjustStock({
+  tenantId,
+  productId,
+  variantId = null,
+  quantity,
+  type = "adjustment",
+  note = "",
+  createdBy = "staff",
+  now = new Date(),
+}) {
+  const condition = quantity < 0 ? { stock: { $gte: -quantity } } : {};
+  const product = await Product.findOneAndUpdate(
+    { ...stockFilter(productId, variantId, condition), tenantId },
+    { $inc: stockChange(variantId, { stock: quantity }) },
+    { new: true },
+  ).lean();
+
+  if (!product) {
+    const existing = await Product.findOne({ _id: productId, tenantId })
+      .select("variants stock")
+      .lean();
+    const holder = getStockHolder(existing, variantId);
+    if (!holder) {
+      return failure(404, {
+        error: variantId ? "Variant not found" : "Product not found",
+        code: INVENTORY_CODES.PRODUCT_NOT_FOUND,
+      });
+    }
+    return failure(409, {
+      error: "Insufficient stock",
+      message: `Only ${holder.stock} in stock to take off`,
+      code: INVENTORY_CODES.INSUFFICIENT_STOCK,
+    });
+  }
+
+  const movement = await recordMovement({
+    product,
+    variantId,
+    type,
+    quantity,
+    note,
+    createdBy,
+  });
+  await checkLowStock({ product, variantId, now });
+  return { ok: true, product, movement };
+}
+
+/**
+ * Log stock typed into the product form as adjustments, so the ledger
+ * still adds up after an edit
+ */
+export async function recordProductStockEdit({
+  before,
+  after,
+  note = "Edited on the product",
+  createdBy = "staff",
+}) {
+  const edits = [];
+  for (const variant of after?.variants || []) {
+    const previous = getStockHolder(before, variant._id);
+    const quantity =
+      Number(variant.stock || 0) - Number(previous?.stock || 0);
+    if (quantity !== 0) edits.push({ variantId: variant._id, quantity });
+  }
+
+  for (const edit of edits) {
+    await recordMovement({
+      product: after,
+      variantId: edit.variantId,
+      type: "adjustment",
+      quantity: edit.quantity,
+      note,
+      createdBy,
+    });
+    await checkLowStock({ product: after, variantId: edit.variantId });
+  }
+  return edits.length;
+}
+
+/**
+ * Variants at or below their alert level
+ */
+export async function getLowStockItems({ tenantId, specialistId = null }) {
+  const products = await Product.find({
+    tenantId,
+    active: true,
+    ...(specialistId ? { specialistId } : {}),
+  })
+    .select(
+      "title specialistId stock reserved lowStockThreshold lowStockAlertedAt variants",
+    )
+    .lean();
+
+  const items = [];
+  for (const product of products) {
+    const holders = product.variants?.length
+      ? product.variants.map((variant) => ({ variant, holder: variant }))
+      : [{ variant: null, holder: product }];
+    for (const { variant, holder } of holders) {
+      const threshold = getLowStockThreshold(product, variant);
+      const stock = Number(holder.stock || 0);
+      if (stock > threshold) continue;
+      items.push({
+        productId: product._id,
+        variantId: variant?._id || null,
+        title: product.title,
+        size: variant?.size || "",
+        sku: variant?.sku || "",
+        specialistId: product.specialistId,
+        stock,
+        reserved: Number(holder.reserved || 0),
+        threshold,
+        alertedAt: holder.lowStockAlertedAt || null,
+      });
+    }
+  }
+  return items.sort((a, b) => a.stock - b.stock);
+}
+
+/**
+ * A product's ledger, newest first
+ */
+export async function getStockMovements({
+  tenantId,
+  productId,
+  variantId = null,
+  limit = 50,
+}) {
+  return StockMovement.find({
+    tenantId,
+    productId,
+    ...(variantId ? { variantId } : {}),
+  })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+export default {
+  INVENTORY_CODES,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  STOCK_HOLD_MINUTES,
+  getStockHolder,
+  getLowStockThreshold,
+  checkLowStock,
+  reserveOrderStock,
+  releaseOrderStock,
+  commitOrderStock,
+  restockOrder,
+  restockRefundedItems,
+  adjustStock,
+  recordProductStockEdit,
+  getLowStockItems,
+  getStockMovements,
+};
@@ -0,0 +1,453 @@
+import Appointment from "../models/Appointment.js";
+import Membership from "../models/Membership.js";
+import { priceForMember } from "../utils/memberPricing.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+/**
+ * Memberships with recurring billing
+ *
+ * A client subscribes to a MembershipPlan through a Stripe subscription
+ * Checkout on the business's connected account. The Membership mirrors the
+ * subscription's status from the webhooks; while it is active (or
+ * trialing) booking checkout applies member pricing. Failed renewals leave
+ * it past_due/unpaid while Stripe retries, which pauses the benefits and is
+ * shown to staff in the client list.
+ *
+ * Included bookings are counted from the member's appointments booked this
+ * billing period, so cancelled and abandoned bookings give them back.
+ */
+
+const console = createConsoleLogger({
+  scope: "memberships",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const MEMBERSHIP_CODES = {
+  NOT_FOUND: "MEMBERSHIP_NOT_FOUND",
+  PLAN_NOT_FOUND: "MEMBERSHIP_PLAN_NOT_FOUND",
+  ALREADY_MEMBER: "ALREADY_MEMBER",
+};
+
+// Statuses in which the member gets member pricing
+export const BENEFIT_STATUSES = ["active", "trialing"];
+// Statuses in which Stripe is retrying a failed renewal
+export const DUNNING_STATUSES = ["past_due", "unpaid"];
+// Statuses that stop the client signing up again
+export const LIVE_STATUSES = [
+  ...BENEFIT_STATUSES,
+  ...DUNNING_STATUSES,
+  "paused",
+];
+
+// Sign-ups that never got paid for
+const NEVER_STARTED = ["incomplete", "incomplete_expired"];
+
+// Unpaid reservations older than this no longer hold their slot (or their
+// included booking), matching the checkout conflict check
+const RESERVATION_HOLD_MS = 3 * 60 * 1000;
+
+function stripeId(value) {
+  return typeof value === "string" ? value : value?.id;
+}
+
+function fromUnixSeconds(seconds) {
+  return seconds ? new Date(seconds * 1000) : undefined;
+}
+
+export function hasMemberBenefits(membership, now = new Date()) {
+  if (!BENEFIT_STATUSES.includes(membership?.status)) return false;
+  return (
+    !membership.currentPeriodEnd || new Date(membership.currentPeriodEnd) > now
+  );
+}
+
+export function describeDunning(membership) {
+  return {
+    pastDue: DUNNING_STATUSES.includes(membership?.status),
+    failedPaymentCount: membership?.failedPaymentCount || 0,
+    lastPaymentFailedAt: membership?.lastPaymentFailedAt || null,
+    nextPaymentAttempt: membership?.nextPaymentAttempt || null,
+  };
+}
+
+export function describeMembership(membership, now = new Date()) {
+  return {
+    _id: membership._id,
+    tenantId: membership.tenantId,
+    planId: membership.planId,
+    planName: membership.planName,
+    price: membership.price,
+    currency: membership.currency,
+    discountPercent: membership.discountPercent,
+    includedServices: membership.includedServices,
+    status: membership.status,
+    benefitsActive: hasMemberBenefits(membership, now),
+    currentPeriodStart: membership.currentPeriodStart,
+    currentPeriodEnd: membership.currentPeriodEnd,
+    cancelAtPeriodEnd: Boolean(membership.cancelAtPeriodEnd),
+    canceledAt: membership.canceledAt,
+    dunning: describeDunning(membership),
+  };
+}
+
+/**
+ * A client's memberships, newest first, leaving out unpaid sign-ups
+ * @param {Object} params
+ * @param {string} [params.tenantId] Only this business's memberships
+ */
+export async function getClientMemberships({
+  clientId,
+  tenantId,
+  now = new Date(),
+}) {
+  const memberships = await Membership.find({
+    clientId,
+    status: { $nin: NEVER_STARTED },
+    ...(tenantId ? { tenantId } : {}),
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+  return memberships.map((membership) => describeMembership(membership, now));
+}
+
+/**
+ * Membership status per client for the admin client list
+ * @returns {Promise<Map<string, object>>} keyed by clientId
+ */
+export async function getMembershipSummaries({
+  tenantId,
+  clientIds,
+  now = new Date(),
+}) {
+  const summaries = new Map();
+  if (!clientIds?.length) return summaries;
+
+  const memberships = await Membership.find({
+    tenantId,
+    clientId: { $in: clientIds },
+    status: { $nin: NEVER_STARTED },
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  for (const membership of memberships) {
+    const key = String(membership.clientId);
+    if (summaries.has(key)) continue;
+    summaries.set(key, {
+      membershipId: membership._id,
+      planName: membership.planName,
+      status: membership.status,
+      benefitsActive: hasMemberBenefits(membership, now),
+      cancelAtPeriodEnd: Boolean(membership.cancelAtPeriodEnd),
+      currentPeriodEnd: membership.currentPeriodEnd,
+      ...describeDunning(membership),
+    });
+  }
+  return summaries;
+}
+
+/**
+ * Clients whose membership is in the given statuses, for filtering the
+ * admin client list
+ */
+export async function findClientIdsByMembershipStatus({ tenantId, statuses }) {
+  return Membership.distinct("clientId", {
+    tenantId,
+    status: { $in: statuses },
+  });
+}
+
+/**
+ * The membership giving a client member pricing at this business, if any
+ */
+export async function findMemberBenefits({
+  tenantId,
+  clientId,
+  now = new Date(),
+}) {
+  if (!tenantId || !clientId) return null;
+  const membership = await Membership.findOne({
+    tenantId,
+    clientId,
+    status: { $in: BENEFIT_STATUSES },
+  }).lean();
+  return hasMemberBenefits(membership, now) ? membership : null;
+}
+
+/**
+ * Included lines the member has already booked this billing period
+ */
+export async function getIncludedUsage({
+  membership,
+  excludeAppointmentId,
+  now = new Date(),
+}) {
+  const periodStart = membership.currentPeriodStart || membership.createdAt;
+  const heldSince = new Date(now.getTime() - RESERVATION_HOLD_MS);
+  const appointments = await Appointment.find({
+    tenantId: membership.tenantId,
+    "memberPricing.membershipId": membership._id,
+    "memberPricing.included.0": { $exists: true },
+    ...(periodStart ? { createdAt: { $gte: periodStart } } : {}),
+    ...(excludeAppointmentId ? { _id: { $ne: excludeAppointmentId } } : {}),
+    $and: [
+      { status: { $not: /^cancelled/ } },
+      {
+        $or: [
+          { status: { $ne: "reserved_unpaid" } },
+          { createdAt: { $gte: heldSince } },
+        ],
+      },
+    ],
+  })
+    .select("memberPricing.included")
+    .lean();
+
+  return appointments.flatMap((appt) => appt.memberPricing?.included || []);
+}
+
+/**
+ * Reprice an unpaid booking for the client's membership. The booking must
+ * belong to the signed-in client; it's only ever repriced once.
+ * @param {Object} params
+ * @param {Object} params.appointment lean reserved_unpaid appointment
+ * @param {string} params.clientId signed-in client
+ * @returns {Promise<{ applied: boolean, appointment: object }>}
+ */
+export async function applyMemberPricing({
+  appointment,
+  clientId,
+  now = new Date(),
+}) {
+  const unchanged = { applied: false, appointment };
+  if (!clientId || String(appointment.clientId) !== String(clientId)) {
+    return unchanged;
+  }
+  if (appointment.memberPricing) return { applied: true, appointment };
+
+  const membership = await findMemberBenefits({
+    tenantId: appointment.tenantId,
+    clientId,
+    now,
+  });
+  if (!membership) return unchanged;
+
+  const usedLines = await getIncludedUsage({
+    membership,
+    excludeAppointmentId: appointment._id,
+    now,
+  });
+  const lines = appointment.services?.length
+    ? appointment.services
+    : [
+        {
+          serviceId: appointment.serviceId,
+          variantName: appointment.variantName,
+          price: appointment.price,
+        },
+      ];
+  const pricing = priceForMember({ terms: membership, lines, usedLines });
+  if (pricing.discount <= 0) return unchanged;
+
+  const memberPricing = {
+    membershipId: membership._id,
+    planName: membership.planName,
+    listPrice: pricing.listPrice,
+    discount: pricing.discount,
+    ...(pricing.included.length ? { included: pricing.included } : {}),
+    appliedAt: now,
+  };
+
+  const updated = await Appointment.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      status: "reserved_unpaid",
+      memberPricing: { $exists: false },
+    },
+    {
+      $set: { price: pricing.price, memberPricing },
+      $push: {
+        audit: {
+          at: now,
+          action: "member_pricing_applied",
+          meta: {
+            membershipId: membership._id,
+            discount: pricing.discount,
+            included: pricing.included.length,
+          },
+        },
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!updated) return unchanged;
+
+  return { applied: true, appointment: updated };
+}
+
+/**
+ * Link a completed subscription Checkout to its membership
+ */
+export async function recordMembershipCheckout({ session }) {
+  const membershipId =
+    session.metadata?.membershipId || session.client_reference_id;
+  if (!membershipId) return null;
+
+  return Membership.findOneAndUpdate(
+    { _id: membershipId },
+    {
+      $set: {
+        stripeCheckoutSessionId: session.id,
+        ...(session.subscription
+          ? { stripeSubscriptionId: stripeId(session.subscription) }
+          : {}),
+        ...(session.customer
+          ? { stripeCustomerId: stripeId(session.customer) }
+          : {}),
+      },
+    },
+    { new: true },
+  ).lean();
+}
+
+/**
+ * Give up on a sign-up whose Checkout expired before it was paid
+ * @returns {Promise<boolean>} whether the membership was expired
+ */
+export async function expireMembershipCheckout({ session }) {
+  const membershipId =
+    session.metadata?.membershipId || session.client_reference_id;
+  if (!membershipId) return false;
+
+  const result = await Membership.updateOne(
+    {
+      _id: membershipId,
+      status: "incomplete",
+      stripeSubscriptionId: { $exists: false },
+    },
+    { $set: { status: "incomplete_expired" } },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Mirror a Stripe subscription (customer.subscription.* events) onto its
+ * membership
+ * @returns {Promise<object|null>} the updated membership
+ */
+export async function syncMembershipFromSubscription({ subscription }) {
+  const membershipId = subscription.metadata?.membershipId;
+  const filter = membershipId
+    ? { _id: membershipId }
+    : { stripeSubscriptionId: subscription.id };
+  // Events can arrive out of order: a late "created" (incomplete) must not
+  // undo an activation
+  if (subscription.status === "incomplete") {
+    filter.status = "incomplete";
+  }
+
+  const update = {
+    status: subscription.status,
+    stripeSubscriptionId: subscription.id,
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+  };
+  if (subscription.customer) {
+    update.stripeCustomerId = stripeId(subscription.customer);
+  }
+  const periodStart = fromUnixSeconds(subscription.current_period_start);
+  const periodEnd = fromUnixSeconds(subscription.current_period_end);
+  if (periodStart) update.currentPeriodStart = periodStart;
+  if (periodEnd) update.currentPeriodEnd = periodEnd;
+  if (subscription.canceled_at) {
+    update.canceledAt = fromUnixSeconds(subscription.canceled_at);
+  }
+  if (BENEFIT_STATUSES.includes(subscription.status)) {
+    update.failedPaymentCount = 0;
+    update.nextPaymentAttempt = null;
+  }
+
+  const membership = await Membership.findOneAndUpdate(
+    filter,
+    { $set: update },
+    { new: true },
+  ).lean();
+  if (membership) {
+    console.log(
+      "Membership synced:",
+      String(membership._id),
+      subscription.status,
+    );
+  }
+  return membership;
+}
+
+/**
+ * Record a failed renewal (invoice.payment_failed) for the admin client
+ * list. Stripe moves the subscription to past_due and retries on its own.
+ */
+export async function recordMembershipPaymentFailed({
+  invoice,
+  now = new Date(),
+}) {
+  const subscriptionId = stripeId(invoice.subscription);
+  if (!subscriptionId) return null;
+
+  const membership = await Membership.findOneAndUpdate(
+    { stripeSubscriptionId: subscriptionId },
+    {
+      $set: {
+        failedPaymentCount: Math.max(1, Number(invoice.attempt_count) || 0),
+        lastPaymentFailedAt: now,
+        nextPaymentAttempt:
+          fromUnixSeconds(invoice.next_payment_attempt) || null,
+      },
+    },
+    { new: true },
+  ).lean();
+  if (membership) {
+    console.warn(
+      "Membership payment failed:",
+      String(membership._id),
+      "attempt",
+      membership.failedPaymentCount,
+    );
+  }
+  return membership;
+}
+
+/**
+ * Clear the dunning state once a membership invoice is paid
+ */
+export async function recordMembershipPayment({ invoice, now = new Date() }) {
+  const subscriptionId = stripeId(invoice.subscription);
+  if (!subscriptionId) return null;
+
+  return Membership.findOneAndUpdate(
+    { stripeSubscriptionId: subscriptionId },
+    {
+      $set: {
+        lastPaymentAt: now,
+        failedPaymentCount: 0,
+        nextPaymentAttempt: null,
+      },
+    },
+    { new: true },
+  ).lean();
+}
+
+export default {
+  hasMemberBenefits,
+  describeDunning,
+  describeMembership,
+  getClientMemberships,
+  getMembershipSummaries,
+  findClientIdsByMembershipStatus,
+  findMemberBenefits,
+  getIncludedUsage,
+  applyMemberPricing,
+  recordMembershipCheckout,
+  expireMembershipCheckout,
+  syncMembershipFromSubscription,
+  recordMembershipPaymentFailed,
+  recordMembershipPayment,
+};
@@ -0,0 +1,390 @@
+import Specialist from "../models/Specialist.js";
+import { sendOrderRefundEmail } from "../emails/mailer.js";
+import { refundToGiftCard } from "./giftCardLedgerService.js";
+import { roundMoney } from "./giftCardRedemptionService.js";
+import { restockRefundedItems } from "./inventoryService.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+/**
+ * Product order refunds, whole or by item and quantity
+ *
+ * Each refunded unit gives back its price less its share of the promo
+ * discount; shipping only comes back with the whole order or when asked
+ * for. The money goes back the way the order was paid, split between
+ * card and gift card in the same proportion. Card refunds take the
+ * specialist's share back from their connected account: automatically
+ * for destination charges (reverse_transfer), or with a transfer reversal
+ * where the order paid them with a separate transfer. A reversal that
+ * fails doesn't undo the customer's refund; it's logged and recorded on
+ * the refund for staff to chase.
+ */
+
+const console = createConsoleLogger({
+  scope: "order-refunds",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const ORDER_REFUND_CODES = {
+  NOT_PAID: "ORDER_REFUND_NOT_PAID",
+  ALREADY_REFUNDED: "ORDER_ALREADY_REFUNDED",
+  INVALID_ITEM: "ORDER_REFUND_INVALID_ITEM",
+  NOTHING_TO_REFUND: "ORDER_NOTHING_TO_REFUND",
+  NO_CARD_PAYMENT: "ORDER_REFUND_NO_CARD_PAYMENT",
+};
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function invalidItem(message) {
+  return failure(400, {
+    error: "Invalid refund item",
+    message,
+    code: ORDER_REFUND_CODES.INVALID_ITEM,
+  });
+}
+
+// Split amount across weights, giving the rounding remainder to the last
+function splitByWeight(amount, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!(total > 0)) return weights.map(() => 0);
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return roundMoney(amount - allocated);
+    const share = roundMoney((amount * weight) / total);
+    allocated = roundMoney(allocated + share);
+    return share;
+  });
+}
+
+/**
+ * Work out a refund without touching anything
+ * @param {Object[]|null} params.items { itemIndex, quantity }; none means
+ *   everything not yet refunded, shipping included
+ * @returns {{ ok: true, lines: object[], shipping: number, amount: number, cardAmount: number, giftCardAmount: number, fullyRefunded: boolean, bySpecialist: object[] } | { ok: false, status: number, body: object }}
+ */
+export function planOrderRefund({
+  order,
+  items = null,
+  includeShipping = false,
+}) {
+  if (order.refundStatus === "full") {
+    return failure(400, {
+      error: "Order already fully refunded",
+      code: ORDER_REFUND_CODES.ALREADY_REFUNDED,
+    });
+  }
+
+  const remaining = order.items.map(
+    (item) => item.quantity - Number(item.refundedQuantity || 0),
+  );
+  const wholeOrder = !items?.length;
+  const requested = wholeOrder
+    ? remaining.map((quantity, itemIndex) => ({ itemIndex, quantity }))
+    : items;
+
+  // Merge repeated lines, then check them against what's left
+  const quantities = new Map();
+  for (const { itemIndex, quantity } of requested) {
+    if (!order.items[itemIndex]) {
+      return invalidItem(`Order has no item ${itemIndex}`);
+    }
+    quantities.set(itemIndex, (quantities.get(itemIndex) || 0) + quantity);
+  }
+
+  const discountRate =
+    order.subtotal > 0 ? Number(order.discount || 0) / order.subtotal : 0;
+  const lines = [];
+  for (const [itemIndex, quantity] of quantities) {
+    if (quantity === 0) continue;
+    const item = order.items[itemIndex];
+    if (quantity > remaining[itemIndex]) {
+      return invalidItem(
+        `Only ${remaining[itemIndex]} of ${item.title} left to refund`,
+      );
+    }
+    lines.push({
+      itemIndex,
+      title: item.title,
+      specialistId: item.specialistId || null,
+      quantity,
+      grossAmount: roundMoney(item.price * quantity),
+      amount: roundMoney(item.price * quantity * (1 - discountRate)),
+    });
+  }
+
+  const shipping =
+    (wholeOrder || includeShipping) && !order.shippingRefunded
+      ? Number(order.shipping || 0)
+      : 0;
+  const refundable = roundMoney(
+    Number(order.total || 0) - Number(order.refundedAmount || 0),
+  );
+  const amount = Math.min(
+    roundMoney(lines.reduce((sum, line) => sum + line.amount, 0) + shipping),
+    refundable,
+  );
+  if (!(amount > 0) && !lines.length) {
+    return failure(400, {
+      error: "Nothing left to refund",
+      code: ORDER_REFUND_CODES.NOTHING_TO_REFUND,
+    });
+  }
+
+  // Back the way it was paid: the gift card's share of the order total,
+  // capped by what each method has left
+  const giftCard =
+    order.giftCard?.redemptionStatus === "redeemed" ? order.giftCard : null;
+  const giftCardPaid = Number(giftCard?.appliedAmount || 0);
+  const giftCardLeft = roundMoney(
+    giftCardPaid - Number(giftCard?.refundedAmount || 0),
+  );
+  const cardLeft = roundMoney(refundable - giftCardLeft);
+  let giftCardAmount =
+    order.total > 0
+      ? Math.min(
+          giftCardLeft,
+          roundMoney((amount * giftCardPaid) / order.total),
+        )
+      : 0;
+  let cardAmount = roundMoney(amount - giftCardAmount);
+  if (cardAmount > cardLeft) {
+    cardAmount = Math.max(0, cardLeft);
+    giftCardAmount = roundMoney(amount - cardAmount);
+  }
+
+  // Each paid specialist's share of the card refund: by their lines, or
+  // by what they were paid for a shipping-only refund
+  const payments = (order.stripeConnectPayments || []).filter((payment) =>
+    ["succeeded", "refunded"].includes(payment.status),
+  );
+  const lineWeight = (specialistId) =>
+    lines
+      .filter((line) => String(line.specialistId) === String(specialistId))
+      .reduce((sum, line) => sum + line.amount, 0);
+  const linesTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const weights = payments.map((payment) =>
+    linesTotal > 0
+      ? lineWeight(payment.specialistId)
+      : Number(payment.amount || 0),
+  );
+  // Platform-owned lines keep their share of the card refund
+  const platformWeight =
+    linesTotal > 0
+      ? linesTotal - weights.reduce((sum, weight) => sum + weight, 0)
+      : 0;
+  const shares = splitByWeight(cardAmount, [...weights, platformWeight]);
+  const bySpecialist = payments.map((payment, index) => ({
+    specialistId: payment.specialistId,
+    transferId: payment.transferId || null,
+    amount: shares[index],
+    itemsAmount: roundMoney(
+      lines
+        .filter(
+          (line) => String(line.specialistId) === String(payment.specialistId),
+        )
+        .reduce((sum, line) => sum + line.grossAmount, 0),
+    ),
+  }));
+
+  // Shipping still owed keeps the order open for a shipping-only refund
+  const fullyRefunded =
+    order.items.every(
+      (item, index) =>
+        Number(item.refundedQuantity || 0) + (quantities.get(index) || 0) >=
+        item.quantity,
+    ) &&
+    (shipping > 0 || order.shippingRefunded || !(Number(order.shipping) > 0));
+
+  return {
+    ok: true,
+    lines,
+    shipping,
+    amount,
+    cardAmount,
+    giftCardAmount,
+    fullyRefunded,
+    bySpecialist,
+  };
+}
+
+/**
+ * Refund an order (or some of it) and record it on the order
+ * @param {Object} params.order Order document (saved here)
+ * @param {Object} params.stripe Stripe client
+ * @returns {Promise<{ ok: true, order: object, refund: object, stripeRefund: object|null, giftCardRefund: object|null } | { ok: false, status: number, body: object }>}
+ */
+export async function refundOrder({
+  order,
+  items = null,
+  includeShipping = false,
+  restock = true,
+  reason = "",
+  by = "staff",
+  stripe,
+  now = new Date(),
+}) {
+  if (order.paymentStatus !== "paid") {
+    return failure(400, {
+      error: "Order payment not completed",
+      code: ORDER_REFUND_CODES.NOT_PAID,
+    });
+  }
+
+  const plan = planOrderRefund({ order, items, includeShipping });
+  if (!plan.ok) return plan;
+  if (plan.cardAmount > 0 && !order.stripePaymentIntentId) {
+    return failure(409, {
+      error: "Order has no card payment to refund",
+      code: ORDER_REFUND_CODES.NO_CARD_PAYMENT,
+    });
+  }
+
+  // Destination charges give the money back with the refund itself;
+  // separately transferred payments need a reversal each
+  const separateTransfers = plan.bySpecialist.some((share) => share.transferId);
+  let stripeRefund = null;
+  if (plan.cardAmount > 0) {
+    stripeRefund = await stripe.refunds.create(
+      {
+        payment_intent: order.stripePaymentIntentId,
+        amount: Math.round(plan.cardAmount * 100),
+        reverse_transfer: !separateTransfers,
+        metadata: {
+          orderId: String(order._id),
+          reason: reason || "Customer request",
+          type: "product_order_refund",
+        },
+      },
+      { idempotencyKey: `order-refund-${order._id}-${order.refunds.length}` },
+    );
+  }
+
+  const transferReversals = [];
+  for (const share of plan.bySpecialist) {
+    if (!(share.amount > 0) && !(share.itemsAmount > 0)) continue;
+    let transferReversalId;
+    let reversalError;
+    if (stripeRefund && share.transferId && share.amount > 0) {
+      try {
+        const reversal = await stripe.transfers.createReversal(
+          share.transferId,
+          {
+            amount: Math.round(share.amount * 100),
+            metadata: { orderId: String(order._id) },
+          },
+        );
+        transferReversalId = reversal.id;
+      } catch (err) {
+        reversalError = err.message;
+        console.error(
+          `[ORDER REFUND] Transfer reversal failed for order ${order._id}, specialist ${share.specialistId}:`,
+          err,
+        );
+      }
+    }
+    transferReversals.push({
+      specialistId: share.specialistId,
+      amount: stripeRefund ? share.amount : 0,
+      transferReversalId,
+      error: reversalError,
+    });
+
+    const payment = order.stripeConnectPayments.find(
+      (candidate) =>
+        String(candidate.specialistId) === String(share.specialistId),
+    );
+    payment.refundedAmount = roundMoney(
+      Number(payment.refundedAmount || 0) + share.amount,
+    );
+    if (plan.fullyRefunded) payment.status = "refunded";
+
+    // Earnings were credited at list price, so take it back the same way
+    if (share.itemsAmount > 0) {
+      await Specialist.findByIdAndUpdate(share.specialistId, {
+        $inc: { totalEarnings: -share.itemsAmount },
+      });
+    }
+  }
+
+  let giftCardRefund = null;
+  if (plan.giftCardAmount > 0) {
+    giftCardRefund = await refundToGiftCard({
+      application: order.giftCard,
+      amount: plan.giftCardAmount,
+      target: { orderId: order._id },
+      by,
+      note: reason || "Order refunded",
+    });
+    if (giftCardRefund.amount > 0) {
+      order.giftCard.refundedAmount = roundMoney(
+        Number(order.giftCard.refundedAmount || 0) + giftCardRefund.amount,
+      );
+    }
+  }
+
+  for (const line of plan.lines) {
+    const item = order.items[line.itemIndex];
+    item.refundedQuantity = Number(item.refundedQuantity || 0) + line.quantity;
+  }
+  const refundedNow = roundMoney(
+    (stripeRefund ? plan.cardAmount : 0) + Number(giftCardRefund?.amount || 0),
+  );
+  order.refundedAmount = roundMoney(
+    Number(order.refundedAmount || 0) + refundedNow,
+  );
+  if (plan.shipping > 0) order.shippingRefunded = true;
+  order.refunds.push({
+    amount: refundedNow,
+    cardAmount: stripeRefund ? plan.cardAmount : 0,
+    giftCardAmount: Number(giftCardRefund?.amount || 0),
+    shipping: plan.shipping,
+    items: plan.lines.map(({ itemIndex, title, quantity, amount }) => ({
+      itemIndex,
+      title,
+      quantity,
+      amount,
+    })),
+    transferReversals,
+    restocked: Boolean(restock && plan.lines.length),
+    reason: reason || "Customer request",
+    stripeRefundId: stripeRefund?.id,
+    createdBy: by,
+    createdAt: now,
+  });
+  order.refundStatus = plan.fullyRefunded ? "full" : "partial";
+  if (plan.fullyRefunded) {
+    order.paymentStatus = "refunded";
+    order.orderStatus = "refunded";
+  }
+  order.refundedAt = now;
+  order.refundReason = reason || "Customer request";
+  await order.save();
+
+  if (restock && plan.lines.length) {
+    await restockRefundedItems({
+      order,
+      lines: plan.lines.map((line) => ({
+        item: order.items[line.itemIndex],
+        quantity: line.quantity,
+      })),
+      note: reason ? `Returned: ${reason}` : `Order ${order.orderNumber}`,
+      createdBy: by,
+    });
+  }
+
+  const refund = order.refunds[order.refunds.length - 1];
+  try {
+    await sendOrderRefundEmail({ order, refund });
+  } catch (err) {
+    console.error("[ORDER REFUND] Refund email failed:", err);
+  }
+
+  return { ok: true, order, refund, stripeRefund, giftCardRefund };
+}
+
+export default {
+  ORDER_REFUND_CODES,
+  planOrderRefund,
+  refundOrder,
+};
@@ -0,0 +1,294 @@
+import ClientPackage from "../models/ClientPackage.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+/**
+ * Packages and prepaid course bundles
+ *
+ * A client buys a Package through Stripe and gets a ClientPackage with
+ * sessionCount credits. Booking checkout can spend one credit instead of
+ * taking a payment; cancelling in time for a full refund puts it back.
+ * Credits only cover the package's service (and variant, if set), booked
+ * on its own, and expire validityDays after purchase.
+ */
+
+const console = createConsoleLogger({
+  scope: "packages",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const PACKAGE_CODES = {
+  NOT_FOUND: "PACKAGE_NOT_FOUND",
+  NOT_COVERED: "PACKAGE_NOT_COVERED",
+  NO_CREDITS: "PACKAGE_NO_CREDITS",
+};
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Credits left to book with: 0 until paid for and once expired
+ */
+export function getRemainingSessions(purchase, now = new Date()) {
+  if (purchase?.status !== "active") return 0;
+  if (purchase.expiresAt && new Date(purchase.expiresAt) <= now) return 0;
+  return Math.max(
+    0,
+    Number(purchase.sessionsTotal || 0) - Number(purchase.sessionsUsed || 0),
+  );
+}
+
+export function describeClientPackage(purchase, now = new Date()) {
+  return {
+    _id: purchase._id,
+    packageId: purchase.packageId,
+    tenantId: purchase.tenantId,
+    name: purchase.name,
+    serviceId: purchase.serviceId,
+    variantName: purchase.variantName,
+    sessionsTotal: purchase.sessionsTotal,
+    sessionsUsed: purchase.sessionsUsed,
+    sessionsRemaining: getRemainingSessions(purchase, now),
+    purchasedAt: purchase.purchasedAt,
+    expiresAt: purchase.expiresAt,
+    expired: Boolean(
+      purchase.expiresAt && new Date(purchase.expiresAt) <= now,
+    ),
+  };
+}
+
+/**
+ * Whether a package credit pays for the appointment: a single booked
+ * service matching the package, without add-ons
+ */
+export function packageCoversAppointment(purchase, appointment) {
+  const lines = appointment?.services?.length
+    ? appointment.services
+    : [
+        {
+          serviceId: appointment?.serviceId,
+          variantName: appointment?.variantName,
+        },
+      ];
+  if (lines.length !== 1) return false;
+
+  const [line] = lines;
+  if (String(line.serviceId) !== String(purchase.serviceId)) return false;
+  if (line.addOns?.length) return false;
+  return !purchase.variantName || line.variantName === purchase.variantName;
+}
+
+/**
+ * Paid packages a client holds, soonest to expire first
+ * @param {Object} params
+ * @param {string} [params.tenantId] Only this business's packages
+ * @returns {Promise<{ packages: object[], sessionsRemaining: number }>}
+ */
+export async function getClientPackages({
+  clientId,
+  tenantId,
+  now = new Date(),
+}) {
+  const purchases = await ClientPackage.find({
+    clientId,
+    status: "active",
+    ...(tenantId ? { tenantId } : {}),
+  })
+    .sort({ expiresAt: 1 })
+    .lean();
+
+  const packages = purchases.map((purchase) =>
+    describeClientPackage(purchase, now),
+  );
+  return {
+    packages,
+    sessionsRemaining: packages.reduce(
+      (sum, purchase) => sum + purchase.sessionsRemaining,
+      0,
+    ),
+  };
+}
+
+/**
+ * Mark a package purchase paid and start its validity period. Safe to call
+ * from both the webhook and the confirm endpoint.
+ * @returns {Promise<{ ok: true, purchase: object, activated: boolean } | { ok: false, status: number, body: object }>}
+ */
+export async function activatePackagePurchase({
+  purchaseId,
+  stripeCheckoutSessionId,
+  stripePaymentIntentId,
+  now = new Date(),
+}) {
+  const purchase = await ClientPackage.findById(purchaseId).lean();
+  if (!purchase) {
+    return failure(404, {
+      error: "Package purchase not found",
+      code: PACKAGE_CODES.NOT_FOUND,
+    });
+  }
+  if (purchase.status === "active") {
+    return { ok: true, purchase, activated: false };
+  }
+
+  // A paid checkout wins over a cancel from the abandoned-checkout page
+  const activated = await ClientPackage.findOneAndUpdate(
+    { _id: purchaseId, status: { $in: ["pending", "cancelled"] } },
+    {
+      $set: {
+        status: "active",
+        purchasedAt: now,
+        expiresAt: addDays(now, purchase.validityDays),
+        ...(stripeCheckoutSessionId ? { stripeCheckoutSessionId } : {}),
+        ...(stripePaymentIntentId ? { stripePaymentIntentId } : {}),
+      },
+    },
+    { new: true },
+  ).lean();
+
+  if (!activated) {
+    const current = await ClientPackage.findById(purchaseId).lean();
+    return { ok: true, purchase: current, activated: false };
+  }
+
+  console.log("Package purchase activated:", String(purchaseId));
+  return { ok: true, purchase: activated, activated: true };
+}
+
+/**
+ * Cancel a purchase whose checkout was abandoned or expired. Paid
+ * purchases are left alone.
+ * @returns {Promise<boolean>} whether it was cancelled
+ */
+export async function cancelPendingPackagePurchase({ purchaseId }) {
+  const result = await ClientPackage.updateOne(
+    { _id: purchaseId, status: "pending" },
+    { $set: { status: "cancelled" } },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Spend one credit of a client's package on an appointment
+ * @param {Object} params
+ * @param {Object} params.appointment lean appointment being booked
+ * @returns {Promise<{ ok: true, purchase: object, credit: object } | { ok: false, status: number, body: object }>}
+ */
+export async function consumePackageCredit({
+  purchaseId,
+  clientId,
+  appointment,
+  now = new Date(),
+}) {
+  const purchase = await ClientPackage.findOne({
+    _id: purchaseId,
+    tenantId: appointment.tenantId,
+  }).lean();
+
+  // Someone else's package looks the same as no package
+  const isOwner =
+    purchase && clientId && String(purchase.clientId) === String(clientId);
+  if (!isOwner) {
+    return failure(404, {
+      error: "Package not found",
+      code: PACKAGE_CODES.NOT_FOUND,
+    });
+  }
+
+  if (!packageCoversAppointment(purchase, appointment)) {
+    return failure(400, {
+      error: "Package doesn't cover this booking",
+      message: `${purchase.name} can only be used to book its own service on its own.`,
+      code: PACKAGE_CODES.NOT_COVERED,
+    });
+  }
+
+  const noCredits = failure(409, {
+    error: "No sessions left on this package",
+    code: PACKAGE_CODES.NO_CREDITS,
+  });
+  if (getRemainingSessions(purchase, now) <= 0) return noCredits;
+
+  const updated = await ClientPackage.findOneAndUpdate(
+    {
+      _id: purchase._id,
+      status: "active",
+      expiresAt: { $gt: now },
+      $expr: { $lt: ["$sessionsUsed", "$sessionsTotal"] },
+      "redemptions.appointmentId": { $ne: appointment._id },
+    },
+    {
+      $inc: { sessionsUsed: 1 },
+      $push: {
+        redemptions: {
+          appointmentId: appointment._id,
+          status: "used",
+          usedAt: now,
+        },
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!updated) return noCredits;
+
+  return {
+    ok: true,
+    purchase: updated,
+    credit: {
+      clientPackageId: updated._id,
+      packageId: updated.packageId,
+      name: updated.name,
+      redeemedAt: now,
+    },
+  };
+}
+
+/**
+ * Put the credit spent on an appointment back on its package
+ * @returns {Promise<{ status: "returned"|"skipped" }>}
+ */
+export async function returnPackageCredit({
+  clientPackageId,
+  appointmentId,
+  now = new Date(),
+}) {
+  if (!clientPackageId || !appointmentId) return { status: "skipped" };
+
+  const updated = await ClientPackage.findOneAndUpdate(
+    {
+      _id: clientPackageId,
+      redemptions: { $elemMatch: { appointmentId, status: "used" } },
+    },
+    {
+      $inc: { sessionsUsed: -1 },
+      $set: {
+        "redemptions.$.status": "returned",
+        "redemptions.$.returnedAt": now,
+      },
+    },
+    { new: true },
+  ).lean();
+
+  if (!updated) return { status: "skipped" };
+  console.log(
+    "Package credit returned:",
+    String(clientPackageId),
+    String(appointmentId),
+  );
+  return { status: "returned" };
+}
+
+export default {
+  getRemainingSessions,
+  describeClientPackage,
+  packageCoversAppointment,
+  getClientPackages,
+  activatePackagePurchase,
+  cancelPendingPackagePurchase,
+  consumePackageCredit,
+  returnPackageCredit,
+};
@@ -0,0 +1,195 @@
+import Tenant from "../models/Tenant.js";
+import Specialist from "../models/Specialist.js";
+
+/**
+ * Payout destinations for purchases sold on the platform (gift cards,
+ * packages): which connected Stripe account the money is transferred to,
+ * and the platform's fee.
+ */
+
+/**
+ * Platform fee (STRIPE_PLATFORM_FEE, pence) for a purchase, always leaving
+ * at least 1p for the connected account
+ */
+export const normalizePlatformFeeMinor = (amountMinor) => {
+  const configuredFee = Number(process.env.STRIPE_PLATFORM_FEE || 99);
+  if (!Number.isFinite(configuredFee) || configuredFee < 0) return 0;
+  return Math.min(Math.round(configuredFee), Math.max(0, amountMinor - 1));
+};
+
+/**
+ * Connected accounts that can receive a purchase for the tenant, in order
+ * of preference: the chosen specialist, the tenant, then any other
+ * specialist with payouts enabled.
+ * @returns {Promise<{ accountId: string, recipientType: "specialist"|"tenant", recipientId: string }[]>}
+ */
+export const getPayoutDestinationCandidates = async ({
+  tenantId,
+  specialistId,
+}) => {
+  const candidates = [];
+  const seen = new Set();
+
+  const addCandidate = (candidate) => {
+    if (!candidate?.accountId) return;
+    const key = `${candidate.recipientType}:${candidate.recipientId}:${candidate.accountId}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    candidates.push(candidate);
+  };
+
+  if (specialistId) {
+    const selectedSpecialist = await Specialist.findOne({
+      _id: specialistId,
+      tenantId,
+      active: { $ne: false },
+      stripeAccountId: { $exists: true, $ne: null },
+      stripeStatus: "connected",
+      stripePayoutsEnabled: true,
+    })
+      .select("_id stripeAccountId")
+      .lean();
+
+    if (selectedSpecialist?.stripeAccountId) {
+      addCandidate({
+        accountId: selectedSpecialist.stripeAccountId,
+        recipientType: "specialist",
+        recipientId: String(selectedSpecialist._id),
+      });
+    }
+  }
+
+  const tenant = await Tenant.findById(tenantId)
+    .select("stripeAccountId")
+    .lean();
+
+  if (tenant?.stripeAccountId) {
+    addCandidate({
+      accountId: tenant.stripeAccountId,
+      recipientType: "tenant",
+      recipientId: String(tenantId),
+    });
+  }
+
+  const fallbackSpecialists = await Specialist.find({
+    tenantId,
+    active: { $ne: false },
+    stripeAccountId: { $exists: true, $ne: null },
+    stripeStatus: "connected",
+    stripePayoutsEnabled: true,
+  })
+    .sort({ createdAt: 1 })
+    .select("_id stripeAccountId")
+    .lean();
+
+  fallbackSpecialists.forEach((specialist) => {
+    addCandidate({
+      accountId: specialist.stripeAccountId,
+      recipientType: "specialist",
+      recipientId: String(specialist._id),
+    });
+  });
+
+  return candidates;
+};
+
+/**
+ * Check that Stripe will accept transfers to a connected account
+ * @returns {Promise<{ isValid: boolean, reason: string }>}
+ */
+export const validateStripeDestinationAccount = async ({
+  stripe,
+  accountId,
+}) => {
+  const normalizedAccountId = String(accountId || "").trim();
+  if (
+    !normalizedAccountId ||
+    !/^acct_[A-Za-z0-9]+$/.test(normalizedAccountId)
+  ) {
+    return {
+      isValid: false,
+      reason: "invalid_account_id",
+    };
+  }
+
+  try {
+    const account = await stripe.accounts.retrieve(normalizedAccountId);
+
+    if (!account || account.deleted) {
+      return {
+        isValid: false,
+        reason: "account_not_found",
+      };
+    }
+
+    if (!account.charges_enabled) {
+      return {
+        isValid: false,
+        reason: "charges_not_enabled",
+      };
+    }
+
+    if (!account.payouts_enabled) {
+      return {
+        isValid: false,
+        reason: "payouts_not_enabled",
+      };
+    }
+
+    return {
+      isValid: true,
+      reason: "ok",
+    };
+  } catch (error) {
+    const isMissingAccount = error?.code === "resource_missing";
+    const isInvalidOrRevokedAccount =
+      error?.code === "account_invalid" ||
+      error?.type === "StripePermissionError" ||
+      error?.statusCode === 403;
+
+    if (isMissingAccount || isInvalidOrRevokedAccount) {
+      return {
+        isValid: false,
+        reason: isMissingAccount
+          ? "account_not_found"
+          : "account_not_accessible",
+      };
+    }
+    throw error;
+  }
+};
+
+/**
+ * First candidate whose Stripe account can take the transfer, or null
+ */
+export const findPayoutDestination = async ({
+  stripe,
+  candidates,
+  context = {},
+  logPrefix = "[PAYOUTS]",
+}) => {
+  for (const candidate of candidates) {
+    const destinationValidation = await validateStripeDestinationAccount({
+      stripe,
+      accountId: candidate.accountId,
+    });
+
+    if (destinationValidation.isValid) {
+      return candidate;
+    }
+
+    console.warn(`${logPrefix} Skipping invalid payout destination`, {
+      ...context,
+      destinationAccount: candidate.accountId,
+      reason: destinationValidation.reason,
+    });
+  }
+  return null;
+};
+
+export default {
+  normalizePlatformFeeMinor,
+  getPayoutDestinationCandidates,
+  validateStripeDestinationAccount,
+  findPayoutDestination,
+};
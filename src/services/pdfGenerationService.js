@@ -520,6 +520,181 @@ class PDFGenerationService {
       throw new Error(`Failed to generate preview: ${error.message}`);
     }
   }
+
+  /**
+   * Generate a seminar certificate of completion PDF (A4 landscape)
+   */
+  async generateSeminarCertificatePDF(certificateData) {
+    try {
+      const browser = await this.initBrowser();
+      const page = await browser.newPage();
+
+      const html = this.generateCertificateHTML(certificateData);
+      await page.setContent(html, { waitUntil: "networkidle0" });
+
+      const pdfBuffer = await page.pdf({
+        format: "A4",
+        landscape: true,
+        printBackground: true,
+        margin: { top: "0", right: "0", bottom: "0", left: "0" },
+        displayHeaderFooter: false,
+      });
+
+      await page.close();
+
+      return pdfBuffer;
+    } catch (error) {
+      console.error("Error generating certificate PDF:", error);
+      throw new Error(`Failed to generate PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate HTML content for a seminar certificate
+   */
+  generateCertificateHTML(certificateData) {
+    const {
+      certificateNumber,
+      attendeeName,
+      seminarTitle,
+      sessionDate,
+      startTime,
+      endTime,
+      durationHours,
+      instructorName,
+      businessName,
+      businessLogo,
+      issuedAt,
+      verifyUrl,
+    } = certificateData;
+    const e = (value) => this.escapeHTML(value);
+
+    const formatDate = (date) =>
+      new Date(date).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      });
+    const hours = durationHours
+      ? ` (${durationHours} hour${durationHours === 1 ? "" : "s"})`
+      : "";
+
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <title>Certificate ${e(certificateNumber)}</title>
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+
+          body {
+            font-family: 'Helvetica', 'Arial', sans-serif;
+            color: #1F2937;
+            background: #fff;
+          }
+
+          .certificate {
+            width: 297mm;
+            height: 210mm;
+            padding: 14mm;
+          }
+
+          .frame {
+            height: 100%;
+            border: 3px solid #4F46E5;
+            padding: 16mm 20mm;
+            text-align: center;
+            display: flex;
+            flex-direction: column;
+            justify-content: space-between;
+          }
+
+          .logo { max-width: 160px; max-height: 60px; margin: 0 auto 8px; }
+          .business-name { font-size: 16pt; font-weight: bold; }
+          .title {
+            font-size: 30pt;
+            color: #4F46E5;
+            letter-spacing: 2px;
+            text-transform: uppercase;
+            margin-top: 12px;
+          }
+          .lead { font-size: 12pt; color: #6B7280; margin-top: 18px; }
+          .attendee {
+            font-size: 28pt;
+            font-weight: bold;
+            margin: 10px auto;
+            padding-bottom: 6px;
+            border-bottom: 1px solid #D1D5DB;
+            display: inline-block;
+            min-width: 50%;
+          }
+          .seminar { font-size: 18pt; font-weight: bold; margin-top: 8px; }
+          .details { font-size: 11pt; color: #4B5563; margin-top: 8px; }
+
+          .footer {
+            display: flex;
+            justify-content: space-between;
+            align-items: flex-end;
+            font-size: 9pt;
+            color: #6B7280;
+            text-align: left;
+          }
+          .signature {
+            border-top: 1px solid #9CA3AF;
+            padding-top: 4px;
+            min-width: 60mm;
+            text-align: center;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="certificate">
+          <div class="frame">
+            <div>
+              ${businessLogo ? `<img src="${e(businessLogo)}" class="logo" alt="Logo">` : ""}
+              <div class="business-name">${e(businessName)}</div>
+              <div class="title">Certificate of Completion</div>
+            </div>
+
+            <div>
+              <div class="lead">This is to certify that</div>
+              <div class="attendee">${e(attendeeName)}</div>
+              <div class="lead">attended and completed</div>
+              <div class="seminar">${e(seminarTitle)}</div>
+              <div class="details">
+                ${e(formatDate(sessionDate))}, ${e(startTime)} - ${e(endTime)}${e(hours)}
+              </div>
+            </div>
+
+            <div class="footer">
+              <div>
+                Certificate no. <strong>${e(certificateNumber)}</strong><br>
+                Issued ${e(formatDate(issuedAt))}<br>
+                ${verifyUrl ? `Verify at ${e(verifyUrl)}` : ""}
+              </div>
+              <div class="signature">
+                ${e(instructorName || businessName)}
+              </div>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Escape text for interpolation into HTML
+   */
+  escapeHTML(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,648 @@
+import mongoose from "mongoose";
+import Appointment from "../models/Appointment.js";
+import Order from "../models/Order.js";
+import Promotion from "../models/Promotion.js";
+import Service from "../models/Service.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+/**
+ * Promotions (promo codes) for bookings and the shop
+ *
+ * Checkout takes the discount off the booking price or order subtotal
+ * itself, so it carries through to deposits, in-salon balances and our
+ * reports. Opening the checkout reserves a use on the promotion's own
+ * counters with a conditional $inc, so two checkouts can't both take the
+ * last one. The booking or order records the use it holds; an expired,
+ * failed or cancelled checkout gives it back.
+ */
+
+const console = createConsoleLogger({
+  scope: "promotions",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const PROMOTION_CODES = {
+  NOT_FOUND: "PROMO_NOT_FOUND",
+  NOT_ACTIVE: "PROMO_NOT_ACTIVE",
+  NOT_APPLICABLE: "PROMO_NOT_APPLICABLE",
+  MIN_SPEND: "PROMO_MIN_SPEND",
+  LIMIT_REACHED: "PROMO_LIMIT_REACHED",
+  FIRST_VISIT_ONLY: "PROMO_FIRST_VISIT_ONLY",
+  ALREADY_APPLIED: "PROMO_ALREADY_APPLIED",
+};
+
+// Bookings that count as a use (or a previous visit)
+const REDEEMED_BOOKING_STATUSES = ["confirmed", "completed", "no_show"];
+
+// How long a booking checkout holds a promo code use. The Stripe session
+// expires then (Stripe won't expire one sooner than 30 minutes), which
+// gives it back.
+export const PROMOTION_HOLD_MINUTES = 30;
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function includesId(ids = [], id) {
+  return (
+    id != null && ids.some((candidate) => String(candidate) === String(id))
+  );
+}
+
+function emailMatcher(email) {
+  const escaped = String(email).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+function clientKey(email) {
+  const key = String(email || "")
+    .trim()
+    .toLowerCase();
+  return key || null;
+}
+
+export function normalizePromoCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Whether a booked service or basket line is in the promotion's scope
+ * @param {Object} line { serviceId?, productId?, category?, specialistId? }
+ * @param {"booking"|"order"} kind
+ */
+export function lineQualifies(promotion, line, kind) {
+  const allowed =
+    promotion.appliesTo === "all" ||
+    (kind === "booking" && promotion.appliesTo === "bookings") ||
+    (kind === "order" && promotion.appliesTo === "products");
+  if (!allowed) return false;
+
+  if (
+    promotion.specialistIds?.length &&
+    !includesId(promotion.specialistIds, line.specialistId)
+  ) {
+    return false;
+  }
+
+  const serviceIds = promotion.serviceIds || [];
+  const productIds = promotion.productIds || [];
+  const categories = promotion.categories || [];
+  if (!serviceIds.length && !productIds.length && !categories.length) {
+    return true;
+  }
+  return (
+    includesId(serviceIds, line.serviceId) ||
+    includesId(productIds, line.productId) ||
+    (line.category != null && categories.includes(line.category))
+  );
+}
+
+/**
+ * Discount on the qualifying lines: a percentage of them, or a fixed
+ * amount capped at their total
+ * @returns {{ eligibleAmount: number, discount: number }}
+ */
+export function computePromotionDiscount({ promotion, lines = [], kind }) {
+  const eligibleAmount = roundMoney(
+    lines
+      .filter((line) => lineQualifies(promotion, line, kind))
+      .reduce((sum, line) => sum + Number(line.amount || 0), 0),
+  );
+  const value = Math.max(0, Number(promotion.value) || 0);
+  const discount =
+    promotion.type === "percent"
+      ? eligibleAmount * (Math.min(100, value) / 100)
+      : Math.min(value, eligibleAmount);
+  return { eligibleAmount, discount: roundMoney(discount) };
+}
+
+/**
+ * How many uses of a promotion are held or made, overall and by one client
+ * @returns {{ total: number, byClient: number }}
+ */
+export function getPromotionUses({ promotion, email }) {
+  const key = clientKey(email);
+  const client = key
+    ? (promotion.clientRedemptions || []).find((entry) => entry.email === key)
+    : null;
+  return {
+    total: Number(promotion.redemptions || 0),
+    byClient: Number(client?.count || 0),
+  };
+}
+
+function limitReachedFailure() {
+  return failure(409, {
+    error: "This promo code has already been used up",
+    code: PROMOTION_CODES.LIMIT_REACHED,
+  });
+}
+
+/**
+ * Take one use of a promotion, within its overall and per-client limits.
+ * One conditional update, so concurrent checkouts can't overshoot them.
+ * @returns {Promise<{ ok: true, clientEmail: string|null } | { ok: false, status: number, body: object }>}
+ */
+export async function reservePromotionUse({ promotion, email }) {
+  const clientEmail = clientKey(email);
+  const perClient = promotion.maxRedemptionsPerClient;
+  if (perClient && !clientEmail) return limitReachedFailure();
+
+  if (clientEmail) {
+    // The client's counter has to exist for the update below to match
+    await Promotion.updateOne(
+      { _id: promotion._id, "clientRedemptions.email": { $ne: clientEmail } },
+      { $push: { clientRedemptions: { email: clientEmail, count: 0 } } },
+    );
+  }
+  const reserved = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      ...(promotion.maxRedemptions
+        ? { redemptions: { $lt: promotion.maxRedemptions } }
+        : {}),
+      ...(clientEmail
+        ? {
+            clientRedemptions: {
+              $elemMatch: {
+                email: clientEmail,
+                ...(perClient ? { count: { $lt: perClient } } : {}),
+              },
+            },
+          }
+        : {}),
+    },
+    {
+      $inc: {
+        redemptions: 1,
+        ...(clientEmail ? { "clientRedemptions.$.count": 1 } : {}),
+      },
+    },
+  )
+    .select("_id")
+    .lean();
+  if (!reserved) return limitReachedFailure();
+  return { ok: true, clientEmail };
+}
+
+/**
+ * Give back a use taken by reservePromotionUse
+ */
+export async function releasePromotionUse({ promotionId, clientEmail }) {
+  await Promotion.updateOne(
+    { _id: promotionId, redemptions: { $gt: 0 } },
+    { $inc: { redemptions: -1 } },
+  );
+  if (clientEmail) {
+    await Promotion.updateOne(
+      {
+        _id: promotionId,
+        clientRedemptions: {
+          $elemMatch: { email: clientEmail, count: { $gt: 0 } },
+        },
+      },
+      { $inc: { "clientRedemptions.$.count": -1 } },
+    );
+  }
+}
+
+/**
+ * Whether the client has never had a booking or paid order here
+ */
+export async function isFirstVisit({
+  tenantId,
+  email,
+  clientId,
+  excludeAppointmentId,
+}) {
+  const clientMatch = [
+    ...(clientId ? [{ clientId }] : []),
+    ...(email ? [{ "client.email": emailMatcher(email) }] : []),
+  ];
+  if (clientMatch.length === 0) return false;
+
+  const previousBooking = await Appointment.exists({
+    tenantId,
+    $or: clientMatch,
+    status: { $in: REDEEMED_BOOKING_STATUSES },
+    ...(excludeAppointmentId ? { _id: { $ne: excludeAppointmentId } } : {}),
+  });
+  if (previousBooking) return false;
+
+  if (!email) return true;
+  const previousOrder = await Order.exists({
+    tenantId,
+    "shippingAddress.email": emailMatcher(email),
+    paymentStatus: "paid",
+  });
+  return !previousOrder;
+}
+
+/**
+ * Check a promo code against a booking or basket and work out its discount
+ * @param {Object} params
+ * @param {"booking"|"order"} params.kind
+ * @param {Object[]} params.lines { amount, serviceId?, productId?, category?, specialistId? }
+ * @param {number} params.subtotal booking price or order subtotal (pounds)
+ * @param {string} [params.email] client, for per-client and first-visit rules
+ * @returns {Promise<{ ok: true, promotion: object, discount: number, applied: object } | { ok: false, status: number, body: object }>}
+ */
+export async function evaluatePromotion({
+  code,
+  tenantId,
+  kind,
+  lines,
+  subtotal,
+  email,
+  clientId,
+  excludeAppointmentId,
+  now = new Date(),
+}) {
+  const normalized = normalizePromoCode(code);
+  const promotion = normalized
+    ? await Promotion.findOne({
+        tenantId,
+        code: normalized,
+        active: true,
+      }).lean()
+    : null;
+  if (!promotion) {
+    return failure(404, {
+      error: "Promo code not found",
+      code: PROMOTION_CODES.NOT_FOUND,
+    });
+  }
+
+  const notStarted = promotion.startsAt && new Date(promotion.startsAt) > now;
+  const ended = promotion.endsAt && new Date(promotion.endsAt) <= now;
+  if (notStarted || ended) {
+    return failure(400, {
+      error: notStarted
+        ? "This promo code isn't valid yet"
+        : "This promo code has expired",
+      code: PROMOTION_CODES.NOT_ACTIVE,
+    });
+  }
+
+  const { discount } = computePromotionDiscount({ promotion, lines, kind });
+  if (discount <= 0) {
+    return failure(400, {
+      error: "Promo code doesn't apply",
+      message:
+        kind === "order"
+          ? "This promo code can't be used on these products."
+          : "This promo code can't be used on this booking.",
+      code: PROMOTION_CODES.NOT_APPLICABLE,
+    });
+  }
+
+  const minSpend = Number(promotion.minSpend || 0);
+  if (Number(subtotal || 0) < minSpend) {
+    return failure(400, {
+      error: `Spend at least ${minSpend.toFixed(2)} to use this promo code`,
+      code: PROMOTION_CODES.MIN_SPEND,
+      minSpend,
+    });
+  }
+
+  if (promotion.firstVisitOnly) {
+    const firstVisit = await isFirstVisit({
+      tenantId,
+      email,
+      clientId,
+      excludeAppointmentId,
+    });
+    if (!firstVisit) {
+      return failure(400, {
+        error: "This promo code is for first visits only",
+        code: PROMOTION_CODES.FIRST_VISIT_ONLY,
+      });
+    }
+  }
+
+  // Checkout takes the use itself with reservePromotionUse; this only
+  // turns away codes that are already used up
+  const uses = getPromotionUses({ promotion, email });
+  const overLimit =
+    (promotion.maxRedemptions && uses.total >= promotion.maxRedemptions) ||
+    (promotion.maxRedemptionsPerClient &&
+      (!clientKey(email) ||
+        uses.byClient >= promotion.maxRedemptionsPerClient));
+  if (overLimit) return limitReachedFailure();
+
+  return {
+    ok: true,
+    promotion,
+    discount,
+    applied: {
+      promotionId: promotion._id,
+      code: promotion.code,
+      name: promotion.name,
+      discount,
+    },
+  };
+}
+
+/**
+ * Booked lines in promotion terms. Line prices are scaled to what the
+ * booking actually costs (e.g. after member pricing).
+ */
+export async function getBookingPromotionLines({ appointment }) {
+  const booked = appointment.services?.length
+    ? appointment.services
+    : [{ serviceId: appointment.serviceId, price: appointment.price }];
+  const services = await Service.find({
+    _id: { $in: booked.map((line) => line.serviceId).filter(Boolean) },
+  })
+    .select("category")
+    .lean();
+  const categories = new Map(
+    services.map((service) => [String(service._id), service.category]),
+  );
+
+  const listTotal = booked.reduce(
+    (sum, line) => sum + Number(line.price || 0),
+    0,
+  );
+  const scale = listTotal > 0 ? Number(appointment.price || 0) / listTotal : 0;
+  return booked.map((line) => ({
+    serviceId: line.serviceId,
+    category: categories.get(String(line.serviceId)),
+    specialistId: appointment.specialistId,
+    amount: Number(line.price || 0) * scale,
+  }));
+}
+
+/**
+ * Apply a promo code to an unpaid booking, taking the discount off its
+ * price and holding one of its uses. A booking carries one promotion.
+ * @returns {Promise<{ ok: true, appointment: object } | { ok: false, status: number, body: object }>}
+ */
+export async function applyPromotionToAppointment({
+  appointment,
+  code,
+  now = new Date(),
+}) {
+  if (appointment.promotion) {
+    if (appointment.promotion.code === normalizePromoCode(code)) {
+      return { ok: true, appointment };
+    }
+    return failure(409, {
+      error: "A promo code has already been applied to this booking",
+      code: PROMOTION_CODES.ALREADY_APPLIED,
+    });
+  }
+
+  const lines = await getBookingPromotionLines({ appointment });
+  const result = await evaluatePromotion({
+    code,
+    tenantId: appointment.tenantId,
+    kind: "booking",
+    lines,
+    subtotal: appointment.price,
+    email: appointment.client?.email,
+    clientId: appointment.clientId,
+    excludeAppointmentId: appointment._id,
+    now,
+  });
+  if (!result.ok) return result;
+
+  const use = await reservePromotionUse({
+    promotion: result.promotion,
+    email: appointment.client?.email,
+  });
+  if (!use.ok) return use;
+
+  const updated = await Appointment.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      status: "reserved_unpaid",
+      promotion: { $exists: false },
+    },
+    {
+      $set: {
+        price: roundMoney(Number(appointment.price || 0) - result.discount),
+        promotion: {
+          ...result.applied,
+          appliedAt: now,
+          usage: "held",
+          ...(use.clientEmail ? { clientEmail: use.clientEmail } : {}),
+        },
+      },
+      $push: {
+        audit: {
+          at: now,
+          action: "promotion_applied",
+          meta: { code: result.promotion.code, discount: result.discount },
+        },
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!updated) {
+    await releasePromotionUse({
+      promotionId: result.promotion._id,
+      clientEmail: use.clientEmail,
+    });
+    return failure(400, { error: "Appointment not in payable state" });
+  }
+
+  console.log(
+    "Promotion applied:",
+    result.promotion.code,
+    String(appointment._id),
+  );
+  return { ok: true, appointment: updated };
+}
+
+/**
+ * Give back the promotion use held by a booking whose checkout didn't go
+ * ahead or that was cancelled. A booking that's still active gets its
+ * price back and loses the promotion, so the code can be applied again; a
+ * cancelled one keeps it on record. Safe to call more than once, and for a
+ * booking without a promotion.
+ * @returns {Promise<boolean>} whether a use was given back
+ */
+export async function releaseAppointmentPromotion({
+  appointmentId,
+  now = new Date(),
+}) {
+  // Marking the use released first means it's only given back once
+  const appointment = await Appointment.findOneAndUpdate(
+    { _id: appointmentId, "promotion.usage": "held" },
+    { $set: { "promotion.usage": "released" } },
+  )
+    .select("status promotion")
+    .lean();
+  if (!appointment) return false;
+
+  const { promotion } = appointment;
+  const cancelled = String(appointment.status || "").startsWith("cancelled");
+  const audit = {
+    at: now,
+    action: "promotion_released",
+    meta: { code: promotion.code },
+  };
+  await Promise.all([
+    Appointment.updateOne(
+      { _id: appointmentId },
+      cancelled
+        ? { $push: { audit } }
+        : {
+            $inc: { price: roundMoney(promotion.discount) },
+            $unset: { promotion: "" },
+            $push: { audit },
+          },
+    ),
+    releasePromotionUse({
+      promotionId: promotion.promotionId,
+      clientEmail: promotion.clientEmail,
+    }),
+  ]);
+  return true;
+}
+
+/**
+ * Hold a use of the promotion on a shop order while its checkout is open
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, body: object }>}
+ */
+export async function reserveOrderPromotion({ order }) {
+  const promotion = await Promotion.findById(order.promotion.promotionId)
+    .select("maxRedemptions maxRedemptionsPerClient")
+    .lean();
+  if (!promotion) {
+    return failure(404, {
+      error: "Promo code not found",
+      code: PROMOTION_CODES.NOT_FOUND,
+    });
+  }
+  const use = await reservePromotionUse({
+    promotion,
+    email: order.shippingAddress?.email,
+  });
+  if (!use.ok) return use;
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        "promotion.usage": "held",
+        ...(use.clientEmail
+          ? { "promotion.clientEmail": use.clientEmail }
+          : {}),
+      },
+    },
+  );
+  return { ok: true };
+}
+
+/**
+ * Give back the promotion use held by an order that expired unpaid or was
+ * cancelled. Only the first call does anything.
+ * @returns {Promise<boolean>} whether a use was given back
+ */
+export async function releaseOrderPromotion({ order }) {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "promotion.usage": "held" },
+    { $set: { "promotion.usage": "released" } },
+  )
+    .select("promotion")
+    .lean();
+  if (!claimed) return false;
+
+  await releasePromotionUse({
+    promotionId: claimed.promotion.promotionId,
+    clientEmail: claimed.promotion.clientEmail,
+  });
+  return true;
+}
+
+/**
+ * Redemption stats per promotion: confirmed bookings and paid orders, the
+ * discount given and the revenue they brought in
+ * @returns {Promise<Map<string, object>>} keyed by promotionId
+ */
+export async function getPromotionStats({ tenantId, promotionIds }) {
+  const stats = new Map();
+  if (!promotionIds?.length) return stats;
+
+  const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+  const match = {
+    tenantId: toObjectId(tenantId),
+    "promotion.promotionId": { $in: promotionIds.map(toObjectId) },
+  };
+  const group = (revenueField) => ({
+    $group: {
+      _id: "$promotion.promotionId",
+      count: { $sum: 1 },
+      discount: { $sum: "$promotion.discount" },
+      revenue: { $sum: revenueField },
+    },
+  });
+
+  const [bookings, orders] = await Promise.all([
+    Appointment.aggregate([
+      {
+        $match: { ...match, status: { $in: REDEEMED_BOOKING_STATUSES } },
+      },
+      group("$price"),
+    ]),
+    Order.aggregate([
+      { $match: { ...match, paymentStatus: "paid" } },
+      group("$total"),
+    ]),
+  ]);
+
+  const empty = () => ({ count: 0, discount: 0, revenue: 0 });
+  for (const id of promotionIds) {
+    stats.set(String(id), { bookings: empty(), orders: empty() });
+  }
+  for (const [key, rows] of [
+    ["bookings", bookings],
+    ["orders", orders],
+  ]) {
+    for (const row of rows) {
+      const entry = stats.get(String(row._id));
+      if (!entry) continue;
+      entry[key] = {
+        count: row.count,
+        discount: roundMoney(row.discount),
+        revenue: roundMoney(row.revenue),
+      };
+    }
+  }
+  for (const entry of stats.values()) {
+    entry.redemptions = entry.bookings.count + entry.orders.count;
+    entry.discountTotal = roundMoney(
+      entry.bookings.discount + entry.orders.discount,
+    );
+    entry.revenueTotal = roundMoney(
+      entry.bookings.revenue + entry.orders.revenue,
+    );
+  }
+  return stats;
+}
+
+export default {
+  PROMOTION_HOLD_MINUTES,
+  normalizePromoCode,
+  lineQualifies,
+  computePromotionDiscount,
+  getPromotionUses,
+  reservePromotionUse,
+  releasePromotionUse,
+  isFirstVisit,
+  evaluatePromotion,
+  getBookingPromotionLines,
+  applyPromotionToAppointment,
+  releaseAppointmentPromotion,
+  reserveOrderPromotion,
+  releaseOrderPromotion,
+  getPromotionStats,
+};
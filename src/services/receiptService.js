@@ -4,7 +4,7 @@
  */
 
 import { sendEmail } from "../emails/mailer.js";
-import { sendSMS } from "../utils/smsService.js";
+import smsService from "./smsService.js";
 import PDFDocument from "pdfkit";
 import fs from "fs";
 import path from "path";
@@ -118,10 +118,11 @@ export async function generateReceiptPDF(payment, tenant) {
 
       if (payment.metadata?.services && payment.metadata.services.length > 0) {
         payment.metadata.services.forEach((service) => {
+          const indent = service.addOn ? 15 : 0;
           doc
             .fontSize(10)
             .font("Helvetica")
-            .text(service.name, 50, yPos, { width: 300 });
+            .text(service.name, 50 + indent, yPos, { width: 300 - indent });
           doc.text(`£${((service.price || 0) / 100).toFixed(2)}`, 450, yPos, {
             width: 100,
             align: "right",
@@ -413,7 +414,7 @@ Date: ${payment.processedAt.toLocaleDateString("en-GB")}
 
 Thank you for your business!`;
 
-    await sendSMS(phoneNumber, message);
+    await smsService.sendSMS(phoneNumber, message);
 
     console.log(`✅ Receipt SMS sent to ${phoneNumber}`);
   } catch (error) {
@@ -0,0 +1,520 @@
+import Appointment from "../models/Appointment.js";
+import Client from "../models/Client.js";
+import Referral from "../models/Referral.js";
+import ReferralCode from "../models/ReferralCode.js";
+import Tenant from "../models/Tenant.js";
+import TenantClient from "../models/TenantClient.js";
+import { getStripe } from "../payments/stripe.js";
+import { createConsoleLogger } from "../utils/logger.js";
+import {
+  isValidFormat,
+  normalizeCode,
+} from "../utils/referralCodeGenerator.js";
+import { isFirstVisit } from "./promotionService.js";
+
+/**
+ * Client referral rewards
+ *
+ * A client shares their referral code with a friend, who books a business
+ * with it. When the friend's first appointment there is completed, the
+ * referrer earns the business's reward as booking credit, held on their
+ * TenantClient record and spent at that business's checkout. Spending it
+ * debits the record there and then, so two checkouts can't spend the same
+ * credit, and a booking whose checkout expires or that's cancelled gives it
+ * back.
+ *
+ * A referral that looks like the client referring themselves (the same
+ * email, phone or card as the referrer) is rejected, not rewarded.
+ */
+
+const console = createConsoleLogger({
+  scope: "referral-rewards",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const REFERRAL_REWARD_CODES = {
+  NOT_ENABLED: "REFERRAL_REWARDS_NOT_ENABLED",
+  CODE_NOT_FOUND: "REFERRAL_CODE_NOT_FOUND",
+  SELF_REFERRAL: "REFERRAL_SELF_REFERRAL",
+  NOT_NEW_CLIENT: "REFERRAL_NOT_NEW_CLIENT",
+  ALREADY_REFERRED: "REFERRAL_ALREADY_REFERRED",
+  NO_CREDIT: "REFERRAL_NO_CREDIT",
+};
+
+// Bookings that keep the credit they spent
+const LIVE_BOOKING_STATUSES = ["confirmed", "completed", "no_show"];
+
+// Referrer bookings checked for the card they pay with
+const REFERRER_CARD_LOOKUPS = 3;
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Whether a business rewards client referrals, and with how much credit
+ * @returns {{ enabled: boolean, rewardAmount: number }}
+ */
+export function getClientReferralSettings(tenant) {
+  const settings = tenant?.referralSettings || {};
+  return {
+    enabled: settings.clientRewardsEnabled === true,
+    rewardAmount: roundMoney(Math.max(0, settings.clientRewardAmount ?? 10)),
+  };
+}
+
+// Addresses that reach the same inbox: case, "+tags" and Gmail's dots
+export function normalizeEmail(email) {
+  const [local = "", domain = ""] = String(email || "")
+    .trim()
+    .toLowerCase()
+    .split("@");
+  if (!local || !domain) return "";
+  const name = local.split("+")[0];
+  if (domain === "gmail.com" || domain === "googlemail.com") {
+    return `${name.replace(/\./g, "")}@gmail.com`;
+  }
+  return `${name}@${domain}`;
+}
+
+// The national number, so "+44 7700 900123" and "07700900123" match
+export function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : "";
+}
+
+/**
+ * Whether two clients share an email or phone number
+ * @param {Object[]} a contact details { email?, phone? } of one client
+ * @param {Object[]} b contact details of the other
+ * @returns {"email"|"phone"|null}
+ */
+export function findSharedContact(a, b) {
+  const values = (contacts, key, normalize) =>
+    new Set(contacts.map((c) => normalize(c?.[key])).filter(Boolean));
+  const shares = (key, normalize) => {
+    const theirs = values(b, key, normalize);
+    return [...values(a, key, normalize)].some((v) => theirs.has(v));
+  };
+  if (shares("email", normalizeEmail)) return "email";
+  if (shares("phone", normalizePhone)) return "phone";
+  return null;
+}
+
+/**
+ * Fingerprint of the card a booking was paid or secured with, if Stripe
+ * has one
+ * @returns {Promise<string|null>}
+ */
+export async function getAppointmentCardFingerprint({ appointment }) {
+  const cardOnFile = appointment.cardOnFile;
+  const stripePayment = appointment.payment?.stripe;
+  try {
+    if (cardOnFile?.paymentMethodId) {
+      const method = await getStripe(
+        cardOnFile.stripeAccountId || null,
+      ).paymentMethods.retrieve(cardOnFile.paymentMethodId);
+      return method?.card?.fingerprint || null;
+    }
+    if (stripePayment?.paymentIntentId) {
+      const account =
+        stripePayment.chargeType === "direct_charge"
+          ? stripePayment.beauticianStripeAccount
+          : null;
+      const intent = await getStripe(account).paymentIntents.retrieve(
+        stripePayment.paymentIntentId,
+        { expand: ["payment_method"] },
+      );
+      return intent?.payment_method?.card?.fingerprint || null;
+    }
+  } catch (err) {
+    console.warn(
+      `Card lookup failed for appointment ${appointment._id}:`,
+      err.message,
+    );
+  }
+  return null;
+}
+
+/**
+ * Record that a booking's client was referred by another client. Only a
+ * client new to the business can be referred, and only once; the reward
+ * is fixed now, at the business's current amount.
+ * @param {Object} params.appointment the referred client's booking
+ * @returns {Promise<{ ok: true, referral: object } | { ok: false, status: number, body: object }>}
+ */
+export async function recordClientReferral({ code, appointment }) {
+  const { tenantId, clientId } = appointment;
+
+  const tenant = await Tenant.findById(tenantId)
+    .select("referralSettings")
+    .lean();
+  const settings = getClientReferralSettings(tenant);
+  if (!settings.enabled) {
+    return failure(400, {
+      error: "This business doesn't reward referrals",
+      code: REFERRAL_REWARD_CODES.NOT_ENABLED,
+    });
+  }
+
+  const normalized = normalizeCode(code);
+  const referralCode = isValidFormat(normalized)
+    ? await ReferralCode.findOne({
+        code: normalized,
+        ownerType: "Client",
+        isActive: true,
+      }).lean()
+    : null;
+  if (!referralCode) {
+    return failure(404, {
+      error: "Referral code not found",
+      code: REFERRAL_REWARD_CODES.CODE_NOT_FOUND,
+    });
+  }
+
+  const [referrer, referred] = await Promise.all([
+    Client.findById(referralCode.ownerId).select("email phone").lean(),
+    Client.findById(clientId).select("name email phone").lean(),
+  ]);
+  const selfReferral =
+    String(referralCode.ownerId) === String(clientId) ||
+    findSharedContact([referrer], [referred, appointment.client]);
+  if (selfReferral) {
+    return failure(400, {
+      error: "Cannot use your own referral code",
+      code: REFERRAL_REWARD_CODES.SELF_REFERRAL,
+    });
+  }
+
+  const firstVisit = await isFirstVisit({
+    tenantId,
+    email: appointment.client?.email,
+    clientId,
+    excludeAppointmentId: appointment._id,
+  });
+  if (!firstVisit) {
+    return failure(400, {
+      error: "Referral codes are for new clients",
+      code: REFERRAL_REWARD_CODES.NOT_NEW_CLIENT,
+    });
+  }
+
+  try {
+    const referral = await Referral.create({
+      referralCodeId: referralCode._id,
+      tenantId,
+      referredClientId: clientId,
+      referredClientName: referred?.name || appointment.client?.name,
+      status: "pending",
+      rewardAmount: settings.rewardAmount,
+      rewardStatus: "pending",
+      metadata: { appointmentId: appointment._id },
+    });
+    return { ok: true, referral };
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return failure(409, {
+      error: "This client has already been referred",
+      code: REFERRAL_REWARD_CODES.ALREADY_REFERRED,
+    });
+  }
+}
+
+// Why a referral looks like the referrer referring themselves, if it does
+async function findSelfReferral({ referral, referrerId, appointment }) {
+  const [referrer, referred] = await Promise.all([
+    Client.findById(referrerId).select("email phone").lean(),
+    Client.findById(appointment.clientId).select("email phone").lean(),
+  ]);
+  const shared = findSharedContact([referrer], [referred, appointment.client]);
+  if (shared) return { reason: `Same ${shared} as the referrer` };
+
+  const fingerprint = await getAppointmentCardFingerprint({ appointment });
+  if (!fingerprint) return { fingerprint: null };
+
+  // The referrer's own card, or one already behind another of their
+  // rewarded referrals
+  const [referrerBookings, rewarded] = await Promise.all([
+    Appointment.find({
+      tenantId: appointment.tenantId,
+      clientId: referrerId,
+      status: { $in: LIVE_BOOKING_STATUSES },
+      $or: [
+        { "payment.stripe.paymentIntentId": { $exists: true } },
+        { "cardOnFile.paymentMethodId": { $exists: true } },
+      ],
+    })
+      .select("payment.stripe cardOnFile")
+      .sort({ start: -1 })
+      .limit(REFERRER_CARD_LOOKUPS)
+      .lean(),
+    Referral.find({
+      referralCodeId: referral.referralCodeId,
+      rewardStatus: "paid",
+      cardFingerprint: fingerprint,
+    })
+      .select("_id")
+      .lean(),
+  ]);
+  if (rewarded.length) {
+    return { fingerprint, reason: "Same card as another referral" };
+  }
+  for (const booking of referrerBookings) {
+    const theirs = await getAppointmentCardFingerprint({
+      appointment: booking,
+    });
+    if (theirs === fingerprint) {
+      return { fingerprint, reason: "Same card as the referrer" };
+    }
+  }
+  return { fingerprint };
+}
+
+/**
+ * Reward the referrer when a referred client's first appointment at the
+ * business is completed: their booking credit there goes up by the
+ * referral's reward. Safe to call for any completed appointment.
+ * @returns {Promise<{ rewarded: boolean, reason?: string, referral?: object }>}
+ */
+export async function rewardClientReferral({ appointment, now = new Date() }) {
+  if (!appointment?.clientId || appointment.status !== "completed") {
+    return { rewarded: false };
+  }
+
+  // Claim the referral so it's only rewarded once
+  const referral = await Referral.findOneAndUpdate(
+    {
+      tenantId: appointment.tenantId,
+      referredClientId: appointment.clientId,
+      status: "pending",
+      rewardStatus: "pending",
+    },
+    {
+      $set: {
+        status: "active",
+        firstBookingAt: now,
+        qualifyingAppointmentId: appointment._id,
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!referral) return { rewarded: false };
+
+  const referralCode = await ReferralCode.findById(referral.referralCodeId)
+    .select("ownerId ownerType")
+    .lean();
+  if (referralCode?.ownerType !== "Client") {
+    await Referral.updateOne(
+      { _id: referral._id },
+      { $set: { rewardStatus: "cancelled" } },
+    );
+    return { rewarded: false, reason: "Referral code no longer exists" };
+  }
+  const referrerId = referralCode.ownerId;
+
+  const check = await findSelfReferral({ referral, referrerId, appointment });
+  const fingerprint = check.fingerprint
+    ? { cardFingerprint: check.fingerprint }
+    : {};
+  if (check.reason) {
+    await Referral.updateOne(
+      { _id: referral._id },
+      {
+        $set: {
+          rewardStatus: "rejected",
+          rejectionReason: check.reason,
+          ...fingerprint,
+        },
+      },
+    );
+    console.warn(`Referral ${referral._id} rejected:`, check.reason);
+    return { rewarded: false, reason: check.reason, referral };
+  }
+
+  const amount = roundMoney(referral.rewardAmount);
+  if (amount > 0) {
+    await TenantClient.updateOne(
+      { tenantId: appointment.tenantId, clientId: referrerId },
+      {
+        $inc: { "referralCredit.earned": amount },
+        $set: { "referralCredit.lastEarnedAt": now },
+      },
+      { upsert: true },
+    );
+  }
+  await Referral.updateOne(
+    { _id: referral._id },
+    { $set: { rewardStatus: "paid", rewardedAt: now, ...fingerprint } },
+  );
+  console.log(
+    `Referral ${referral._id} rewarded:`,
+    amount,
+    `to client ${referrerId}`,
+  );
+  return { rewarded: true, referral: { ...referral, rewardAmount: amount } };
+}
+
+/**
+ * A client's referral credit at a business: earned, spent, and what's left
+ * @returns {Promise<{ earned: number, used: number, balance: number }>}
+ */
+export async function getReferralCreditBalance({ tenantId, clientId }) {
+  const tenantClient = await TenantClient.findOne({ tenantId, clientId })
+    .select("referralCredit")
+    .lean();
+  const earned = roundMoney(tenantClient?.referralCredit?.earned);
+  const used = roundMoney(tenantClient?.referralCredit?.used);
+  return { earned, used, balance: roundMoney(Math.max(0, earned - used)) };
+}
+
+/**
+ * Spend a client's referral credit on their unpaid booking, taking it off
+ * the price (up to the whole price)
+ * @returns {Promise<{ ok: true, appointment: object } | { ok: false, status: number, body: object }>}
+ */
+export async function applyReferralCreditToAppointment({
+  appointment,
+  now = new Date(),
+}) {
+  if (appointment.referralCredit) return { ok: true, appointment };
+
+  const { tenantId, clientId } = appointment;
+  const { balance } = await getReferralCreditBalance({ tenantId, clientId });
+  const amount = roundMoney(
+    Math.min(balance, Number(appointment.price || 0)),
+  );
+  if (amount <= 0) {
+    return failure(400, {
+      error: "No referral credit to use",
+      code: REFERRAL_REWARD_CODES.NO_CREDIT,
+    });
+  }
+
+  // Debit the credit only while the balance still covers it (half a penny
+  // of slack for float sums), so a concurrent checkout can't spend it too
+  const debit = await TenantClient.updateOne(
+    {
+      tenantId,
+      clientId,
+      $expr: {
+        $gte: [
+          {
+            $subtract: [
+              "$referralCredit.earned",
+              { $ifNull: ["$referralCredit.used", 0] },
+            ],
+          },
+          amount - 0.005,
+        ],
+      },
+    },
+    { $inc: { "referralCredit.used": amount } },
+  );
+  if (!debit.modifiedCount) {
+    return failure(409, {
+      error: "Your referral credit has just been used on another booking",
+      code: REFERRAL_REWARD_CODES.NO_CREDIT,
+    });
+  }
+
+  const updated = await Appointment.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      status: "reserved_unpaid",
+      referralCredit: { $exists: false },
+    },
+    {
+      $set: {
+        price: roundMoney(Number(appointment.price || 0) - amount),
+        referralCredit: { amount, appliedAt: now },
+      },
+      $push: {
+        audit: {
+          at: now,
+          action: "referral_credit_applied",
+          meta: { amount },
+        },
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!updated) {
+    await TenantClient.updateOne(
+      { tenantId, clientId },
+      { $inc: { "referralCredit.used": -amount } },
+    );
+    return failure(400, { error: "Appointment not in payable state" });
+  }
+  return { ok: true, appointment: updated };
+}
+
+/**
+ * Give back the referral credit on a booking whose checkout didn't go ahead
+ * or that was cancelled. Pass `amount` to give back only part of it (a late
+ * cancellation); the rest stays spent. The price is put back only on a
+ * booking that is still active. Safe to call more than once, and for a
+ * booking without credit.
+ * @returns {Promise<number>} the credit given back
+ */
+export async function returnReferralCredit({
+  appointmentId,
+  amount = null,
+  now = new Date(),
+}) {
+  // Taking the credit off the booking first means it's only returned once
+  const appointment = await Appointment.findOneAndUpdate(
+    { _id: appointmentId, "referralCredit.amount": { $gt: 0 } },
+    { $unset: { referralCredit: "" } },
+  )
+    .select("tenantId clientId status referralCredit")
+    .lean();
+  if (!appointment) return 0;
+
+  const applied = roundMoney(appointment.referralCredit.amount);
+  const returned =
+    amount == null
+      ? applied
+      : roundMoney(Math.max(0, Math.min(applied, Number(amount) || 0)));
+  const forfeited = roundMoney(applied - returned);
+  const cancelled = String(appointment.status || "").startsWith("cancelled");
+  await Promise.all([
+    Appointment.updateOne(
+      { _id: appointmentId },
+      {
+        ...(cancelled ? {} : { $inc: { price: applied } }),
+        $push: {
+          audit: {
+            at: now,
+            action: "referral_credit_returned",
+            meta: { amount: returned, ...(forfeited ? { forfeited } : {}) },
+          },
+        },
+      },
+    ),
+    returned > 0
+      ? TenantClient.updateOne(
+          { tenantId: appointment.tenantId, clientId: appointment.clientId },
+          { $inc: { "referralCredit.used": -returned } },
+        )
+      : null,
+  ]);
+  return returned;
+}
+
+export default {
+  REFERRAL_REWARD_CODES,
+  getClientReferralSettings,
+  normalizeEmail,
+  normalizePhone,
+  findSharedContact,
+  getAppointmentCardFingerprint,
+  recordClientReferral,
+  rewardClientReferral,
+  getReferralCreditBalance,
+  applyReferralCreditToAppointment,
+  returnReferralCredit,
+};
@@ -5,6 +5,7 @@ import Appointment from "../models/Appointment.js";
 import smsService from "./smsService.js";
 import { sendReminderEmail } from "../emails/mailer.js";
 import { createConsoleLogger } from "../utils/logger.js";
+import { resolveSalonTimezone } from "../utils/schedulingContext.js";
 
 const LOG_REMINDER =
   process.env.LOG_REMINDER === "true" || process.env.LOG_VERBOSE === "true";
@@ -29,12 +30,24 @@ const limit = pLimit(10);
  * - Prevents duplicate sends
  */
 
+/**
+ * Local hour (0-23) of a date in the given timezone
+ */
+function getLocalHour(date, tz) {
+  const hour = new Intl.DateTimeFormat("en-GB", {
+    timeZone: tz,
+    hour: "2-digit",
+    hourCycle: "h23",
+  }).format(date);
+  return Number(hour);
+}
+
 /**
  * Check if current time is within allowed reminder window (07:00-21:00)
+ * in the salon's local timezone
  */
-function isWithinAllowedHours() {
-  const now = new Date();
-  const hour = now.getHours();
+function isWithinAllowedHours(now = new Date(), tz = "Europe/London") {
+  const hour = getLocalHour(now, tz);
   return hour >= 7 && hour < 21;
 }
 
@@ -51,7 +64,7 @@ function isValidPhone(phone) {
 /**
  * Send SMS reminder for appointment
  */
-async function sendSMSReminder(appointment) {
+async function sendSMSReminder(appointment, salonTz) {
   if (!appointment.client?.phone) {
     console.log(`[Reminder] No phone for appointment ${appointment._id}`);
     return { success: false, reason: "no_phone" };
@@ -89,11 +102,13 @@ async function sendSMSReminder(appointment) {
     // Format date and time
     const startDate = new Date(appointment.start);
     const dateStr = startDate.toLocaleDateString("en-GB", {
+      timeZone: salonTz,
       weekday: "long",
       day: "numeric",
       month: "short",
     });
     const timeStr = startDate.toLocaleTimeString("en-GB", {
+      timeZone: salonTz,
       hour: "2-digit",
       minute: "2-digit",
     });
@@ -118,7 +133,7 @@ async function sendSMSReminder(appointment) {
 /**
  * Send email reminder for appointment
  */
-async function sendEmailReminder(appointment) {
+async function sendEmailReminder(appointment, salonTz) {
   if (!appointment.client?.email) {
     console.log(`[Reminder] No email for appointment ${appointment._id}`);
     return { success: false, reason: "no_email" };
@@ -132,6 +147,7 @@ async function sendEmailReminder(appointment) {
       appointment,
       service: appointment.serviceId,
       specialist: appointment.specialistId,
+      salonTz,
     });
 
     return { success: true };
@@ -153,17 +169,6 @@ async function processReminders() {
   console.log("[Reminder] Cron job triggered at:", now.toISOString());
   console.log("[Reminder] ========================================");
 
-  // 🔒 CRITICAL: Check if within allowed hours (07:00-21:00)
-  if (!isWithinAllowedHours()) {
-    const hour = now.getHours();
-    console.log(
-      `[Reminder] Skipped - outside allowed hours (current: ${hour}:00, allowed: 07:00-21:00)`
-    );
-    return;
-  }
-
-  console.log("[Reminder] ✓ Within allowed hours, processing reminders...");
-
   try {
     // Find appointments that need reminders
     // Requirements:
@@ -200,7 +205,7 @@ async function processReminders() {
     const Tenant = mongoose.model("Tenant");
     const tenantFeatures = tenantIds.length
       ? await Tenant.find({ _id: { $in: tenantIds } })
-          .select("_id features.smsReminders")
+          .select("_id timezone features.smsReminders")
           .lean()
       : [];
     const smsRemindersByTenant = new Map(
@@ -209,6 +214,12 @@ async function processReminders() {
         tenant.features?.smsReminders === true,
       ])
     );
+    const timezoneByTenant = new Map(
+      tenantFeatures.map((tenant) => [
+        tenant._id.toString(),
+        resolveSalonTimezone({ tenant }),
+      ])
+    );
 
     let successCount = 0;
     let failureCount = 0;
@@ -216,6 +227,20 @@ async function processReminders() {
 
     // Process appointments with bounded concurrency (max 10 concurrent)
     const processAppointment = async (appointment) => {
+      const salonTz =
+        timezoneByTenant.get(appointment.tenantId?.toString()) ||
+        resolveSalonTimezone();
+
+      // 🔒 CRITICAL: Only send within allowed hours (07:00-21:00 salon local time)
+      if (!isWithinAllowedHours(now, salonTz)) {
+        if (process.env.LOG_VERBOSE) {
+          console.log(
+            `[Reminder] Skipped appointment ${appointment._id} - outside allowed hours in ${salonTz}`
+          );
+        }
+        return;
+      }
+
       if (process.env.LOG_VERBOSE) {
         console.log(
           `[Reminder] Processing appointment ${appointment._id} for ${appointment.client?.name}`
@@ -239,7 +264,7 @@ async function processReminders() {
             );
           }
         } else {
-          smsResult = await sendSMSReminder(appointment);
+          smsResult = await sendSMSReminder(appointment, salonTz);
           if (smsResult.success) {
             reminderTypes.push("sms");
             if (process.env.LOG_VERBOSE) {
@@ -266,7 +291,7 @@ async function processReminders() {
 
       // Try to send email
       if (appointment.client?.email) {
-        emailResult = await sendEmailReminder(appointment);
+        emailResult = await sendEmailReminder(appointment, salonTz);
         if (emailResult.success) {
           reminderTypes.push("email");
           if (process.env.LOG_VERBOSE) {
@@ -348,13 +373,12 @@ export function startReminderCron() {
   // "0 * * * *" = At minute 0 of every hour
   const cronJob = cron.schedule("0 * * * *", processReminders, {
     scheduled: true,
-    timezone: "Europe/London", // UK timezone
+    timezone: "UTC", // Hourly tick; allowed hours are checked per tenant timezone
   });
 
   console.log("[Reminder] ✓ Cron job scheduled");
   console.log("[Reminder]   Pattern: Every 1 hour");
-  console.log("[Reminder]   Active hours: 07:00-21:00");
-  console.log("[Reminder]   Timezone: Europe/London");
+  console.log("[Reminder]   Active hours: 07:00-21:00 (salon local time)");
 
   return cronJob;
 }
@@ -0,0 +1,144 @@
+import Appointment from "../models/Appointment.js";
+import Resource from "../models/Resource.js";
+import { computeResourceBlackouts } from "../utils/slotPlanner.js";
+import { buildActiveAppointmentFilter } from "../utils/waitlistMatching.js";
+
+/**
+ * Shared rooms/equipment as booking constraints.
+ *
+ * Services list requiredResourceIds; a booking is only possible when the
+ * specialist and every required resource (at the booking's location) are free.
+ * Appointments record the resources they hold in appointment.resourceIds.
+ */
+
+/**
+ * Load the active resources required by a set of services.
+ * Resources pinned to another location are ignored when locationId is given.
+ * @param {{ tenantId: string, services: object[], locationId?: string|null }} params
+ * @returns {Promise<object[]>}
+ */
+export async function getRequiredResources({
+  tenantId,
+  services = [],
+  locationId = null,
+}) {
+  const resourceIds = [
+    ...new Set(
+      services
+        .filter(Boolean)
+        .flatMap((service) => service.requiredResourceIds || [])
+        .map(String)
+    ),
+  ];
+  if (!resourceIds.length) return [];
+
+  const resources = await Resource.find({
+    _id: { $in: resourceIds },
+    tenantId,
+    active: true,
+  }).lean();
+
+  if (!locationId) return resources;
+  return resources.filter(
+    (resource) =>
+      !resource.locationId || String(resource.locationId) === String(locationId)
+  );
+}
+
+/**
+ * Active bookings holding any of the given resources within a range.
+ * @returns {Promise<{ start: Date, end: Date, resourceIds: any[], status: string }[]>}
+ */
+export async function loadResourceBookings({
+  tenantId,
+  resources = [],
+  rangeStart,
+  rangeEnd,
+  excludeAppointmentId = null,
+}) {
+  if (!resources.length) return [];
+
+  return Appointment.find({
+    tenantId,
+    resourceIds: { $in: resources.map((resource) => resource._id) },
+    ...(excludeAppointmentId ? { _id: { $ne: excludeAppointmentId } } : {}),
+    ...buildActiveAppointmentFilter({ start: rangeStart, end: rangeEnd }),
+  })
+    .select("start end resourceIds status")
+    .lean();
+}
+
+/**
+ * Blackout intervals (slotPlanner extraBlackouts format) for the given
+ * resources within a range.
+ * @returns {Promise<{ startISO: string, endISO: string }[]>}
+ */
+export async function loadResourceBlackouts(params) {
+  const bookings = await loadResourceBookings(params);
+  return computeResourceBlackouts({ resources: params.resources, bookings });
+}
+
+/**
+ * Find the first required resource that is fully booked during [start, end).
+ * additionalBookings are counted as well, for bookings being made together
+ * that are not saved yet (e.g. the other guests of a group booking).
+ * @returns {Promise<object|null>} the unavailable resource, or null when all are free
+ */
+export async function findResourceConflict({
+  tenantId,
+  resources = [],
+  start,
+  end,
+  excludeAppointmentId = null,
+  additionalBookings = [],
+}) {
+  if (!resources.length) return null;
+
+  const bookings = [
+    ...(await loadResourceBookings({
+      tenantId,
+      resources,
+      rangeStart: start,
+      rangeEnd: end,
+      excludeAppointmentId,
+    })),
+    ...additionalBookings,
+  ];
+
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  for (const resource of resources) {
+    // Same rule as slot computation: blocked while the resource is at capacity
+    const blackouts = computeResourceBlackouts({
+      resources: [resource],
+      bookings,
+    });
+    const overlaps = blackouts.some(
+      (b) =>
+        new Date(b.startISO).getTime() < endMs &&
+        new Date(b.endISO).getTime() > startMs
+    );
+    if (overlaps) return resource;
+  }
+  return null;
+}
+
+/**
+ * Standard 409 body for a booking blocked by a resource.
+ */
+export function resourceConflictErrorBody(resource) {
+  return {
+    error: "Slot no longer available",
+    message: `${resource.name} is not available at this time`,
+    code: "RESOURCE_UNAVAILABLE",
+    resourceId: String(resource._id),
+  };
+}
+
+export default {
+  getRequiredResources,
+  loadResourceBookings,
+  loadResourceBlackouts,
+  findResourceConflict,
+  resourceConflictErrorBody,
+};
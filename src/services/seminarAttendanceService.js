@@ -0,0 +1,396 @@
+import crypto from "crypto";
+import Seminar from "../models/Seminar.js";
+import SeminarBooking from "../models/SeminarBooking.js";
+import Specialist from "../models/Specialist.js";
+import Tenant from "../models/Tenant.js";
+import pdfGenerationService from "./pdfGenerationService.js";
+import { sendSeminarCertificateEmail } from "../emails/mailer.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+/**
+ * Seminar attendance and certificates
+ *
+ * Every booking carries a check-in code. The confirmation email shows it
+ * as a QR code holding just that code (utils/qrCode.js); the specialist
+ * scans it at the door and the check-in endpoint takes the scanned code,
+ * marking the booking attended. Once the session has taken place the specialist marks
+ * it completed: bookings nobody checked in for become no-shows and each
+ * attendee is emailed a PDF certificate of completion. Certificate
+ * numbers can be checked by anyone through the public verification URL.
+ */
+
+const console = createConsoleLogger({
+  scope: "seminar-attendance",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const SEMINAR_ATTENDANCE_CODES = {
+  SEMINAR_NOT_FOUND: "SEMINAR_NOT_FOUND",
+  SESSION_NOT_FOUND: "SEMINAR_SESSION_NOT_FOUND",
+  SESSION_CANCELLED: "SEMINAR_SESSION_CANCELLED",
+  SESSION_NOT_STARTED: "SEMINAR_SESSION_NOT_STARTED",
+  BOOKING_NOT_FOUND: "SEMINAR_BOOKING_NOT_FOUND",
+  BOOKING_CANCELLED: "SEMINAR_BOOKING_CANCELLED",
+  WRONG_SESSION: "SEMINAR_CHECK_IN_WRONG_SESSION",
+  CERTIFICATE_NOT_FOUND: "SEMINAR_CERTIFICATE_NOT_FOUND",
+};
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function findSession(seminar, sessionId) {
+  return seminar?.sessions?.find(
+    (s) => String(s._id) === String(sessionId) || s.sessionId === sessionId,
+  );
+}
+
+export function generateCertificateNumber(now = new Date()) {
+  const suffix = crypto.randomBytes(4).toString("hex").toUpperCase();
+  return `CERT-${now.getUTCFullYear()}-${suffix}`;
+}
+
+export function getCertificateVerifyUrl(number) {
+  const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${frontend}/certificates/verify/${encodeURIComponent(number)}`;
+}
+
+// Hours between two "HH:mm" times, to one decimal place
+function sessionHours(session) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = String(time || "").split(":").map(Number);
+    return hours * 60 + (minutes || 0);
+  };
+  const minutes = toMinutes(session.endTime) - toMinutes(session.startTime);
+  return minutes > 0 ? Math.round((minutes / 60) * 10) / 10 : null;
+}
+
+async function loadSession({ seminarId, sessionId }) {
+  const seminar = await Seminar.findById(seminarId).lean();
+  if (!seminar) {
+    return failure(404, {
+      error: "Seminar not found",
+      code: SEMINAR_ATTENDANCE_CODES.SEMINAR_NOT_FOUND,
+    });
+  }
+  const session = findSession(seminar, sessionId);
+  if (!session) {
+    return failure(404, {
+      error: "Session not found",
+      code: SEMINAR_ATTENDANCE_CODES.SESSION_NOT_FOUND,
+    });
+  }
+  return { ok: true, seminar, session };
+}
+
+/**
+ * Give check-in codes to bookings made before codes existed
+ * @param {Array<Object>} bookings Lean bookings; updated in place
+ */
+export async function ensureCheckInCodes({ bookings }) {
+  for (const booking of bookings) {
+    if (booking.checkIn?.code) continue;
+    const code = crypto.randomBytes(12).toString("base64url");
+    await SeminarBooking.updateOne(
+      { _id: booking._id, "checkIn.code": null },
+      { $set: { "checkIn.code": code } },
+    );
+    booking.checkIn = { ...booking.checkIn, code };
+  }
+  return bookings;
+}
+
+/**
+ * Check an attendee in, by the code on their QR ticket or by booking
+ * @param {Object} params
+ * @param {string} [params.code] Scanned check-in code
+ * @param {string} [params.bookingId] For checking someone in by hand
+ * @param {string} [params.checkedInBy] Admin doing the check-in
+ * @returns {Promise<{ ok: true, booking: Object, alreadyCheckedIn: boolean } | { ok: false, status: number, body: object }>}
+ */
+export async function checkInSeminarAttendee({
+  seminarId,
+  sessionId,
+  code,
+  bookingId,
+  checkedInBy,
+  now = new Date(),
+}) {
+  const loaded = await loadSession({ seminarId, sessionId });
+  if (!loaded.ok) return loaded;
+  const { seminar, session } = loaded;
+  if (session.status === "cancelled") {
+    return failure(409, {
+      error: "Session was cancelled",
+      code: SEMINAR_ATTENDANCE_CODES.SESSION_CANCELLED,
+    });
+  }
+
+  const booking = await SeminarBooking.findOne(
+    code
+      ? { seminarId: seminar._id, "checkIn.code": code }
+      : { seminarId: seminar._id, _id: bookingId },
+  ).lean();
+  if (!booking) {
+    return failure(404, {
+      error: "Booking not found",
+      message: "No booking for this seminar matches that ticket.",
+      code: SEMINAR_ATTENDANCE_CODES.BOOKING_NOT_FOUND,
+    });
+  }
+  if (String(booking.sessionId) !== String(session._id)) {
+    return failure(409, {
+      error: "Booking is for another session",
+      message: `${booking.attendeeInfo?.name || "This attendee"} is booked on another date.`,
+      code: SEMINAR_ATTENDANCE_CODES.WRONG_SESSION,
+    });
+  }
+  if (booking.status === "cancelled") {
+    return failure(409, {
+      error: "Booking was cancelled",
+      code: SEMINAR_ATTENDANCE_CODES.BOOKING_CANCELLED,
+    });
+  }
+  if (booking.status === "attended") {
+    return { ok: true, booking, alreadyCheckedIn: true };
+  }
+
+  // No-shows can still be checked in, e.g. when marked completed too soon
+  const updated = await SeminarBooking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: ["confirmed", "no-show"] } },
+    {
+      $set: {
+        status: "attended",
+        "checkIn.checkedInAt": now,
+        "checkIn.checkedInBy": checkedInBy,
+        "checkIn.method": code ? "qr" : "manual",
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!updated) {
+    // Scanned twice at once, or cancelled meanwhile
+    const current = await SeminarBooking.findById(booking._id).lean();
+    if (current?.status === "attended") {
+      return { ok: true, booking: current, alreadyCheckedIn: true };
+    }
+    return failure(409, {
+      error: "Booking was cancelled",
+      code: SEMINAR_ATTENDANCE_CODES.BOOKING_CANCELLED,
+    });
+  }
+
+  // Latecomers to a completed session get their certificate straight away
+  if (session.status === "completed") {
+    await issueSeminarCertificate({ booking: updated, seminar, session });
+  }
+
+  return { ok: true, booking: updated, alreadyCheckedIn: false };
+}
+
+/**
+ * Number, render and email one attendee's certificate. Numbers are kept,
+ * so sending again after a failure reissues the same certificate.
+ * @returns {Promise<{ ok: boolean, number: string, error?: string }>}
+ */
+export async function issueSeminarCertificate({
+  booking,
+  seminar,
+  session,
+  now = new Date(),
+}) {
+  let certificate = booking.certificate;
+  if (!certificate?.number) {
+    const numbered = await SeminarBooking.findOneAndUpdate(
+      { _id: booking._id, "certificate.number": null },
+      {
+        $set: {
+          "certificate.number": generateCertificateNumber(now),
+          "certificate.issuedAt": now,
+        },
+      },
+      { new: true },
+    ).lean();
+    certificate = (
+      numbered || (await SeminarBooking.findById(booking._id).lean())
+    ).certificate;
+  }
+  const number = certificate.number;
+  const verifyUrl = getCertificateVerifyUrl(number);
+
+  try {
+    const [tenant, specialist] = await Promise.all([
+      Tenant.findById(seminar.tenantId)
+        .select("businessName branding")
+        .lean(),
+      Specialist.findById(seminar.specialistId).select("name").lean(),
+    ]);
+
+    const pdf = await pdfGenerationService.generateSeminarCertificatePDF({
+      certificateNumber: number,
+      attendeeName: booking.attendeeInfo?.name,
+      seminarTitle: seminar.title,
+      sessionDate: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      durationHours: sessionHours(session),
+      instructorName: specialist?.name,
+      businessName: tenant?.businessName,
+      businessLogo: tenant?.branding?.logo?.url,
+      issuedAt: certificate.issuedAt || now,
+      verifyUrl,
+    });
+
+    const sent = await sendSeminarCertificateEmail({
+      booking: { ...booking, certificate },
+      seminar,
+      session,
+      tenant,
+      pdf,
+      verifyUrl,
+    });
+    if (!sent) throw new Error("Email is not configured");
+
+    await SeminarBooking.updateOne(
+      { _id: booking._id },
+      {
+        $set: { "certificate.emailedAt": new Date() },
+        $unset: { "certificate.error": "" },
+      },
+    );
+    return { ok: true, number };
+  } catch (error) {
+    console.error(`Failed to send certificate ${number}:`, error.message);
+    await SeminarBooking.updateOne(
+      { _id: booking._id },
+      { $set: { "certificate.error": error.message } },
+    );
+    return { ok: false, number, error: error.message };
+  }
+}
+
+/**
+ * Mark a session that has taken place as completed: bookings nobody
+ * checked in for become no-shows and attendees are sent certificates.
+ * Safe to call again; it retries certificates that weren't sent.
+ * @returns {Promise<{ ok: true, noShows: number, certificates: { sent: string[], failed: string[] } } | { ok: false, status: number, body: object }>}
+ */
+export async function completeSeminarSession({
+  seminarId,
+  sessionId,
+  now = new Date(),
+}) {
+  const loaded = await loadSession({ seminarId, sessionId });
+  if (!loaded.ok) return loaded;
+  const { seminar, session } = loaded;
+  if (session.status === "cancelled") {
+    return failure(409, {
+      error: "Session was cancelled",
+      code: SEMINAR_ATTENDANCE_CODES.SESSION_CANCELLED,
+    });
+  }
+  if (new Date(session.date) > now) {
+    return failure(400, {
+      error: "Session hasn't taken place yet",
+      code: SEMINAR_ATTENDANCE_CODES.SESSION_NOT_STARTED,
+    });
+  }
+
+  if (session.status !== "completed") {
+    await Seminar.updateOne(
+      { _id: seminar._id, "sessions._id": session._id },
+      { $set: { "sessions.$.status": "completed" } },
+    );
+  }
+
+  const sessionKey = String(session._id);
+  const noShows = await SeminarBooking.updateMany(
+    { seminarId: seminar._id, sessionId: sessionKey, status: "confirmed" },
+    { $set: { status: "no-show" } },
+  );
+
+  const attendees = await SeminarBooking.find({
+    seminarId: seminar._id,
+    sessionId: sessionKey,
+    status: "attended",
+    "certificate.emailedAt": null,
+  }).lean();
+
+  const certificates = { sent: [], failed: [] };
+  for (const booking of attendees) {
+    const result = await issueSeminarCertificate({
+      booking,
+      seminar,
+      session,
+      now,
+    });
+    certificates[result.ok ? "sent" : "failed"].push(result.number);
+  }
+
+  console.log(
+    `Session ${sessionKey} completed: ${certificates.sent.length} ` +
+      `certificates sent, ${certificates.failed.length} failed`,
+  );
+  return {
+    ok: true,
+    noShows: noShows.modifiedCount || 0,
+    certificates,
+  };
+}
+
+/**
+ * Public check of a certificate number. Only what's printed on the
+ * certificate is returned.
+ */
+export async function verifySeminarCertificate({ number }) {
+  const notFound = () =>
+    failure(404, {
+      error: "Certificate not found",
+      code: SEMINAR_ATTENDANCE_CODES.CERTIFICATE_NOT_FOUND,
+    });
+
+  const normalized = String(number || "").trim().toUpperCase();
+  if (!normalized) return notFound();
+
+  const booking = await SeminarBooking.findOne({
+    "certificate.number": normalized,
+    status: "attended",
+  })
+    .select("seminarId sessionId attendeeInfo.name certificate")
+    .lean();
+  if (!booking) return notFound();
+
+  const seminar = await Seminar.findById(booking.seminarId)
+    .select("title tenantId sessions")
+    .lean();
+  if (!seminar) return notFound();
+  const session = findSession(seminar, booking.sessionId);
+  const tenant = await Tenant.findById(seminar.tenantId)
+    .select("businessName")
+    .lean();
+
+  return {
+    ok: true,
+    certificate: {
+      number: booking.certificate.number,
+      valid: true,
+      attendeeName: booking.attendeeInfo?.name,
+      seminarTitle: seminar.title,
+      sessionDate: session?.date || null,
+      durationHours: session ? sessionHours(session) : null,
+      issuedBy: tenant?.businessName || null,
+      issuedAt: booking.certificate.issuedAt,
+    },
+  };
+}
+
+export default {
+  SEMINAR_ATTENDANCE_CODES,
+  generateCertificateNumber,
+  getCertificateVerifyUrl,
+  ensureCheckInCodes,
+  checkInSeminarAttendee,
+  issueSeminarCertificate,
+  completeSeminarSession,
+  verifySeminarCertificate,
+};
@@ -0,0 +1,343 @@
+import mongoose from "mongoose";
+import Seminar from "../models/Seminar.js";
+import SeminarBooking from "../models/SeminarBooking.js";
+import SeminarRefund from "../models/SeminarRefund.js";
+import Tenant from "../models/Tenant.js";
+import {
+  sendSeminarConfirmationEmail,
+  sendSeminarSeatRefundEmail,
+} from "../emails/mailer.js";
+import { refundPayment } from "../payments/stripe.js";
+import { roundMoney } from "../utils/giftCardLedger.js";
+import { createConsoleLogger } from "../utils/logger.js";
+import { refundToGiftCard } from "./giftCardLedgerService.js";
+import {
+  releaseGiftCardReservation,
+  settleGiftCardRedemption,
+} from "./giftCardRedemptionService.js";
+import { freeSeminarSeat, takeSeminarSeat } from "./seminarSeatService.js";
+
+/**
+ * Seminar booking confirmation
+ *
+ * Seminar bookings are only created once they are paid for. The checkout
+ * picks the booking's _id up front so a gift card can be reserved against
+ * it, and so confirming the same booking twice (Stripe webhook, the
+ * confirm-payment endpoint, or a checkout fully covered by a gift card)
+ * creates it once. A paid seat that's gone by then is refunded instead.
+ */
+
+const console = createConsoleLogger({
+  scope: "seminar-booking",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const SEMINAR_BOOKING_CODES = {
+  SEMINAR_NOT_FOUND: "SEMINAR_NOT_FOUND",
+  SESSION_NOT_FOUND: "SEMINAR_SESSION_NOT_FOUND",
+  SESSION_FULL: "SEMINAR_SESSION_FULL",
+};
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+/**
+ * Gift card application carried in Stripe checkout metadata
+ * @returns {object|null}
+ */
+export function giftCardFromMetadata(metadata = {}) {
+  const appliedAmount = Number(metadata.giftCardAmount);
+  if (!metadata.giftCardId || !(appliedAmount > 0)) return null;
+  return {
+    id: metadata.giftCardId,
+    code: metadata.giftCardCode,
+    appliedAmount,
+    redemptionStatus: "pending",
+  };
+}
+
+async function findExistingBooking({ bookingId, payment }) {
+  if (bookingId) return SeminarBooking.findById(bookingId);
+  if (payment?.stripeSessionId) {
+    return SeminarBooking.findOne({
+      "payment.stripeSessionId": payment.stripeSessionId,
+    });
+  }
+  return null;
+}
+
+/**
+ * Refund what was paid for a seat that couldn't be booked: the card
+ * payment, and any gift card share already redeemed. Nothing is refunded
+ * once a refund for the seat has succeeded, so confirming it again doesn't
+ * refund it twice.
+ * @returns {Promise<object|null>} the SeminarRefund recorded, if any
+ */
+async function refundUnbookedSeat({
+  bookingId,
+  seminarId,
+  sessionId,
+  tenantId,
+  seminarOrderId,
+  attendee,
+  payment,
+  giftCard,
+  reason,
+}) {
+  // Checkouts from before the booking _id was picked up front don't have
+  // one, so those are keyed on their Stripe session
+  const refunded =
+    bookingId &&
+    (await SeminarRefund.exists({
+      bookingId,
+      cause: "seat_unavailable",
+      status: "succeeded",
+    }));
+  if (refunded) return null;
+
+  const cardAmount = Number(payment?.amount || 0);
+  const audit = {
+    seminarId,
+    sessionId,
+    bookingId: bookingId || new mongoose.Types.ObjectId(),
+    ...(seminarOrderId ? { seminarOrderId } : {}),
+    tenantId,
+    attendeeEmail: attendee?.email,
+    cause: "seat_unavailable",
+    currency: payment?.currency || "GBP",
+    reason,
+    initiatedBy: "system",
+  };
+
+  let stripeRefund = null;
+  if (
+    cardAmount > 0 &&
+    (payment.stripePaymentIntentId || payment.stripeChargeId)
+  ) {
+    try {
+      stripeRefund = await refundPayment({
+        paymentIntentId: payment.stripePaymentIntentId,
+        chargeId: payment.stripeChargeId,
+        amount: Math.round(cardAmount * 100),
+        idempotencyKey: `seminar-seat:${bookingId || payment.stripeSessionId}`,
+        refundApplicationFee: false,
+        reverseTransfer: false,
+      });
+    } catch (error) {
+      console.error(`Seminar seat refund failed for ${bookingId}:`, error);
+      return SeminarRefund.create({
+        ...audit,
+        amount: cardAmount,
+        cardAmount,
+        status: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  // A share still on hold was released when the booking failed; this
+  // credits back any that was already redeemed (capped, so never twice)
+  let giftCardRefund = { status: "skipped", amount: 0 };
+  if (giftCard && bookingId) {
+    giftCardRefund = await refundToGiftCard({
+      application: giftCard,
+      amount: giftCard.appliedAmount,
+      target: { seminarBookingId: bookingId },
+      by: "system",
+      note: "Seminar seat unavailable",
+    });
+  }
+
+  const refundedCard = stripeRefund ? cardAmount : 0;
+  const amount = roundMoney(refundedCard + giftCardRefund.amount);
+  if (!(amount > 0) && giftCardRefund.status !== "failed") return null;
+  return SeminarRefund.create({
+    ...audit,
+    amount,
+    cardAmount: refundedCard,
+    giftCardAmount: giftCardRefund.amount,
+    stripeRefundId: stripeRefund?.id,
+    status: "succeeded",
+    ...(giftCardRefund.status === "failed"
+      ? { error: `Gift card refund failed: ${giftCardRefund.error}` }
+      : {}),
+  });
+}
+
+/**
+ * Create a paid seminar booking, take the seat (held for it at checkout
+ * where there was one), redeem any gift card and send the confirmation
+ * email. Safe to call more than once per booking. When there's no seat
+ * to take the payment is refunded; the failure carries the refund, and
+ * the attendee is told unless the booking is part of an order (the order
+ * tells its buyer).
+ * @param {Object} params
+ * @param {string} [params.bookingId] _id chosen at checkout
+ * @param {Object} params.payment SeminarBooking.payment fields
+ * @param {Object|null} [params.giftCard] Gift card application to redeem
+ * @param {{ key: string, name: string }|null} [params.ticketTier]
+ * @param {string} [params.bundleKey] Bundle the session was booked in
+ * @param {string} [params.seminarOrderId] Checkout the booking came from
+ * @returns {Promise<{ ok: true, booking: object, created: boolean } | { ok: false, status: number, body: object, refund?: object|null }>}
+ */
+export async function confirmSeminarBooking({
+  bookingId,
+  seminarId,
+  sessionId,
+  attendee,
+  clientId = null,
+  specialistId,
+  tenantId,
+  payment,
+  giftCard = null,
+  ticketTier = null,
+  bundleKey = null,
+  seminarOrderId = null,
+}) {
+  const existing = await findExistingBooking({ bookingId, payment });
+  if (existing) return { ok: true, booking: existing, created: false };
+
+  const giftCardTarget = bookingId ? { seminarBookingId: bookingId } : null;
+  const releaseGiftCard = async () => {
+    if (!giftCard || !giftCardTarget) return;
+    await releaseGiftCardReservation({
+      application: giftCard,
+      target: giftCardTarget,
+    });
+  };
+
+  const seminar = await Seminar.findById(seminarId);
+  if (!seminar) {
+    await releaseGiftCard();
+    return failure(404, {
+      error: "Seminar not found",
+      code: SEMINAR_BOOKING_CODES.SEMINAR_NOT_FOUND,
+    });
+  }
+
+  const seminarSession = seminar.sessions.id(sessionId);
+  if (!seminarSession) {
+    await releaseGiftCard();
+    return failure(404, {
+      error: "Session not found",
+      code: SEMINAR_BOOKING_CODES.SESSION_NOT_FOUND,
+    });
+  }
+
+  // The seat held at checkout, or a free one if the hold lapsed
+  const tierKey = ticketTier?.key || null;
+  const seat = await takeSeminarSeat({
+    seminarId,
+    sessionId,
+    bookingId,
+    tierKey,
+  });
+  if (!seat.ok) {
+    await releaseGiftCard();
+    const refund = await refundUnbookedSeat({
+      bookingId,
+      seminarId,
+      sessionId,
+      tenantId,
+      seminarOrderId,
+      attendee,
+      payment,
+      giftCard,
+      reason: seat.body.error,
+    });
+    if (refund && !seminarOrderId) {
+      try {
+        const tenant = await Tenant.findById(tenantId).lean();
+        await sendSeminarSeatRefundEmail({
+          order: null,
+          attendee,
+          seminar,
+          session: seminarSession,
+          refund,
+          tenant,
+        });
+      } catch (emailError) {
+        console.error("Failed to send seminar seat refund email:", emailError);
+      }
+    }
+    return { ...seat, refund };
+  }
+
+  // new + save so the bookingReference pre-save hook runs
+  const booking = new SeminarBooking({
+    ...(bookingId ? { _id: bookingId } : {}),
+    seminarId,
+    sessionId,
+    clientId,
+    specialistId,
+    tenantId,
+    ...(ticketTier?.key ? { ticketTier } : {}),
+    ...(bundleKey ? { bundleKey } : {}),
+    ...(seminarOrderId ? { seminarOrderId } : {}),
+    attendeeInfo: {
+      name: attendee.name,
+      email: attendee.email,
+      phone: attendee.phone,
+      specialRequests: attendee.specialRequests,
+    },
+    payment: {
+      ...payment,
+      ...(giftCard ? { giftCard } : {}),
+    },
+    status: "confirmed",
+  });
+  try {
+    await booking.save();
+  } catch (error) {
+    // Another confirmation of the same checkout got there first and has
+    // its own seat
+    if (error?.code === 11000 && bookingId) {
+      const raced = await SeminarBooking.findById(bookingId);
+      if (raced) {
+        await freeSeminarSeat({ seminarId, sessionId, tierKey });
+        return { ok: true, booking: raced, created: false };
+      }
+    }
+    throw error;
+  }
+
+  console.log("Seminar booking created:", booking.bookingReference);
+
+  if (giftCard && giftCardTarget) {
+    const redemption = await settleGiftCardRedemption({
+      Model: SeminarBooking,
+      id: booking._id,
+      path: "payment.giftCard",
+      target: giftCardTarget,
+      clientId,
+    });
+    if (redemption.status === "failed") {
+      console.error(
+        "Seminar gift card redemption failed:",
+        booking._id,
+        redemption.error,
+      );
+    }
+  }
+
+  try {
+    const tenant = await Tenant.findById(tenantId);
+    await sendSeminarConfirmationEmail({
+      booking,
+      seminar,
+      session: seminarSession,
+      tenant,
+    });
+  } catch (emailError) {
+    // Don't fail the booking if email fails
+    console.error("Failed to send seminar confirmation email:", emailError);
+  }
+
+  return { ok: true, booking, created: true };
+}
+
+export default {
+  giftCardFromMetadata,
+  confirmSeminarBooking,
+};
@@ -0,0 +1,987 @@
+import cron from "node-cron";
+import jwt from "jsonwebtoken";
+import Seminar from "../models/Seminar.js";
+import SeminarBooking from "../models/SeminarBooking.js";
+import SeminarRefund from "../models/SeminarRefund.js";
+import SeminarWaitlistEntry from "../models/SeminarWaitlistEntry.js";
+import Tenant from "../models/Tenant.js";
+import {
+  sendSeminarConfirmationEmail,
+  sendSeminarRefundEmail,
+  sendSeminarSessionCancelledEmail,
+  sendSeminarSessionRescheduledEmail,
+} from "../emails/mailer.js";
+import { JWT_SECRET } from "../config/security.js";
+import { refundPayment } from "../payments/stripe.js";
+import { createConsoleLogger } from "../utils/logger.js";
+import { refundToGiftCard } from "./giftCardLedgerService.js";
+import { roundMoney } from "./giftCardRedemptionService.js";
+import {
+  freeSeminarSeat,
+  releaseSeminarSeatHold,
+  takeSeminarSeat,
+} from "./seminarSeatService.js";
+
+/**
+ * Seminar sessions cancelled or rescheduled by the organiser
+ *
+ * Cancelling a session refunds every booking on it in full: the card
+ * payment through Stripe and any gift card share back onto the gift card.
+ * The organiser can offer other sessions instead; attendees then get a
+ * link to move their booking to one of them or take the refund, and a
+ * booking nobody decides on is refunded when the offer lapses.
+ * Rescheduling moves the session and lets attendees keep the new date or
+ * take a refund.
+ *
+ * Each booking's organiserChange records what it was offered and what
+ * became of it, and every refund attempt is kept as a SeminarRefund. A
+ * refund interrupted part way (left "refunding") is retried once it's
+ * stale, with the same Stripe idempotency key so the card isn't refunded
+ * twice.
+ */
+
+const console = createConsoleLogger({
+  scope: "seminar-cancellation",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const SEMINAR_CANCELLATION_CODES = {
+  SEMINAR_NOT_FOUND: "SEMINAR_NOT_FOUND",
+  SESSION_NOT_FOUND: "SEMINAR_SESSION_NOT_FOUND",
+  SESSION_COMPLETED: "SEMINAR_SESSION_COMPLETED",
+  SESSION_UNAVAILABLE: "SEMINAR_SESSION_UNAVAILABLE",
+  INVALID_DATE: "SEMINAR_RESCHEDULE_INVALID_DATE",
+  INVALID_TRANSFER_SESSION: "SEMINAR_INVALID_TRANSFER_SESSION",
+  CHANGE_INVALID: "SEMINAR_CHANGE_LINK_INVALID",
+  CHANGE_EXPIRED: "SEMINAR_CHANGE_EXPIRED",
+  CHANGE_RESOLVED: "SEMINAR_CHANGE_RESOLVED",
+  INVALID_ACTION: "SEMINAR_CHANGE_INVALID_ACTION",
+  TRANSFER_FULL: "SEMINAR_TRANSFER_SESSION_FULL",
+  REFUND_FAILED: "SEMINAR_REFUND_FAILED",
+};
+
+// How long attendees have to choose between a transfer (or the new date)
+// and a refund; never past the session they'd be attending
+export const CHANGE_DECISION_DAYS = 7;
+
+// A refund still "refunding" after this long was interrupted
+export const REFUND_STALE_MINUTES = 15;
+
+const CHANGE_TOKEN_TYPE = "seminar_booking_change";
+const OPEN_STATUSES = ["scheduled", "full"];
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function findSession(seminar, sessionId) {
+  return seminar?.sessions?.find(
+    (s) => String(s._id) === String(sessionId) || s.sessionId === sessionId,
+  );
+}
+
+function isUpcoming(session, now) {
+  return (
+    OPEN_STATUSES.includes(session.status) && new Date(session.date) > now
+  );
+}
+
+// Matches refunds left "refunding" long enough to retry (or from before
+// refunds recorded when they started)
+function staleRefundFilter(now) {
+  return {
+    "organiserChange.status": "refunding",
+    "organiserChange.refundingAt": {
+      $not: { $gt: new Date(now.getTime() - REFUND_STALE_MINUTES * 60 * 1000) },
+    },
+  };
+}
+
+function isStaleRefund(change, now) {
+  if (change?.status !== "refunding") return false;
+  if (!change.refundingAt) return true;
+  return (
+    now.getTime() - new Date(change.refundingAt).getTime() >=
+    REFUND_STALE_MINUTES * 60 * 1000
+  );
+}
+
+function decisionDeadline(now, sessions) {
+  return new Date(
+    Math.min(
+      now.getTime() + CHANGE_DECISION_DAYS * 24 * 60 * 60 * 1000,
+      ...sessions.map((s) => new Date(s.date).getTime()),
+    ),
+  );
+}
+
+async function loadSession({ seminarId, sessionId }) {
+  const seminar = await Seminar.findById(seminarId).lean();
+  if (!seminar) {
+    return failure(404, {
+      error: "Seminar not found",
+      code: SEMINAR_CANCELLATION_CODES.SEMINAR_NOT_FOUND,
+    });
+  }
+  const session = findSession(seminar, sessionId);
+  if (!session) {
+    return failure(404, {
+      error: "Session not found",
+      code: SEMINAR_CANCELLATION_CODES.SESSION_NOT_FOUND,
+    });
+  }
+  return { ok: true, seminar, session };
+}
+
+export function signSeminarChangeToken({ booking }) {
+  const change = booking.organiserChange;
+  return jwt.sign(
+    {
+      type: CHANGE_TOKEN_TYPE,
+      bookingId: String(booking._id),
+      requestedAt: new Date(change.requestedAt).getTime(),
+      exp: Math.floor(new Date(change.expiresAt).getTime() / 1000),
+    },
+    JWT_SECRET,
+  );
+}
+
+function buildChangeLink(token) {
+  const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${frontend}/seminars/bookings/change?token=${token}`;
+}
+
+/**
+ * Refund what's left of a booking's payment in full and cancel it. The
+ * booking is claimed first (by the organiserChange status it was loaded
+ * with), so the cron and the attendee can't both refund it. A booking
+ * left "refunding" is retried with its original change and Stripe key,
+ * once that refund is stale.
+ * @param {Object} params.booking Lean booking
+ * @param {Object} params.change organiserChange to record on the booking
+ * @param {string} params.initiatedBy Admin, "attendee" or "system"
+ * @returns {Promise<{ ok: true, refund: object|null } | { ok: false, status: number, body: object }>}
+ */
+export async function refundSeminarBooking({
+  booking,
+  change: requested,
+  initiatedBy,
+  now = new Date(),
+}) {
+  const previous = booking.organiserChange;
+  const retrying = previous?.status === "refunding";
+  const change = retrying ? previous : requested;
+  // Interrupted refunds from before keys were stored used the request time
+  const refundKey = retrying
+    ? previous.refundKey || String(new Date(previous.requestedAt).getTime())
+    : String(now.getTime());
+  const claimed = await SeminarBooking.updateOne(
+    retrying
+      ? { _id: booking._id, status: "confirmed", ...staleRefundFilter(now) }
+      : {
+          _id: booking._id,
+          status: "confirmed",
+          "organiserChange.status": previous?.status ?? null,
+        },
+    retrying
+      ? {
+          $set: {
+            "organiserChange.refundingAt": now,
+            "organiserChange.refundKey": refundKey,
+          },
+        }
+      : {
+          $set: {
+            organiserChange: {
+              ...change,
+              status: "refunding",
+              refundingAt: now,
+              refundKey,
+            },
+          },
+        },
+  );
+  if (!claimed.modifiedCount) {
+    return failure(409, {
+      error: "Booking already dealt with",
+      code: SEMINAR_CANCELLATION_CODES.CHANGE_RESOLVED,
+    });
+  }
+
+  const payment = booking.payment || {};
+  const cardAmount =
+    payment.status === "paid"
+      ? roundMoney(Number(payment.amount || 0) - (payment.refundAmount || 0))
+      : 0;
+  const giftCard = payment.giftCard;
+  const giftCardAmount =
+    giftCard?.redemptionStatus === "redeemed"
+      ? roundMoney(
+          Number(giftCard.appliedAmount || 0) - (giftCard.refundedAmount || 0),
+        )
+      : 0;
+  const cause =
+    change.action === "rescheduled"
+      ? "session_rescheduled"
+      : "session_cancelled";
+  const audit = {
+    seminarId: booking.seminarId,
+    sessionId: booking.sessionId,
+    bookingId: booking._id,
+    seminarOrderId: booking.seminarOrderId,
+    tenantId: booking.tenantId,
+    bookingReference: booking.bookingReference,
+    attendeeEmail: booking.attendeeInfo?.email,
+    cause,
+    currency: payment.currency || "GBP",
+    reason: change.reason,
+    initiatedBy,
+  };
+
+  let stripeRefund = null;
+  if (
+    cardAmount > 0 &&
+    (payment.stripePaymentIntentId || payment.stripeChargeId)
+  ) {
+    try {
+      stripeRefund = await refundPayment({
+        paymentIntentId: payment.stripePaymentIntentId,
+        chargeId: payment.stripeChargeId,
+        amount: Math.round(cardAmount * 100),
+        idempotencyKey: `seminar-refund:${booking._id}:${refundKey}`,
+        refundApplicationFee: false,
+        reverseTransfer: false,
+      });
+    } catch (error) {
+      console.error(`Seminar refund failed for ${booking._id}:`, error);
+      await SeminarBooking.updateOne(
+        { _id: booking._id, "organiserChange.status": "refunding" },
+        {
+          $set: {
+            "organiserChange.status": "refund_failed",
+            "organiserChange.error": error.message,
+          },
+        },
+      );
+      await SeminarRefund.create({
+        ...audit,
+        amount: cardAmount,
+        cardAmount,
+        status: "failed",
+        error: error.message,
+      });
+      return failure(502, {
+        error: "Refund failed",
+        message: error.message,
+        code: SEMINAR_CANCELLATION_CODES.REFUND_FAILED,
+      });
+    }
+  }
+
+  let giftCardRefund = { status: "skipped", amount: 0 };
+  if (giftCardAmount > 0) {
+    giftCardRefund = await refundToGiftCard({
+      application: giftCard,
+      amount: giftCardAmount,
+      target: { seminarBookingId: booking._id },
+      by: initiatedBy,
+      note: change.reason || "Seminar session cancelled by organiser",
+    });
+  }
+
+  const refundedCard = stripeRefund ? cardAmount : 0;
+  const refunded = roundMoney(refundedCard + giftCardRefund.amount);
+  // Only refunded once both the card and gift card shares are back
+  const fullyRefunded =
+    refunded > 0 &&
+    refundedCard >= cardAmount &&
+    giftCardRefund.amount >= giftCardAmount;
+  await SeminarBooking.updateOne(
+    { _id: booking._id },
+    {
+      $set: {
+        status: "cancelled",
+        cancellationReason: change.reason || "Cancelled by organiser",
+        cancelledAt: now,
+        "organiserChange.status": "refunded",
+        "organiserChange.resolvedAt": now,
+        ...(fullyRefunded ? { "payment.status": "refunded" } : {}),
+        ...(refunded > 0
+          ? {
+              "payment.refundedAt": now,
+              "payment.refundAmount": roundMoney(
+                (payment.refundAmount || 0) + refundedCard,
+              ),
+            }
+          : {}),
+        ...(giftCardRefund.amount > 0
+          ? {
+              "payment.giftCard.refundedAmount": roundMoney(
+                (giftCard.refundedAmount || 0) + giftCardRefund.amount,
+              ),
+            }
+          : {}),
+      },
+    },
+  );
+
+  await freeSeminarSeat({
+    seminarId: booking.seminarId,
+    sessionId: booking.sessionId,
+    tierKey: booking.ticketTier?.key || null,
+    now,
+  });
+
+  if (!(refunded > 0) && giftCardRefund.status !== "failed") {
+    return { ok: true, refund: null };
+  }
+  const refund = await SeminarRefund.create({
+    ...audit,
+    amount: refunded,
+    cardAmount: refundedCard,
+    giftCardAmount: giftCardRefund.amount,
+    stripeRefundId: stripeRefund?.id,
+    status: "succeeded",
+    ...(giftCardRefund.status === "failed"
+      ? { error: `Gift card refund failed: ${giftCardRefund.error}` }
+      : {}),
+  });
+  return { ok: true, refund };
+}
+
+/**
+ * Cancel a session for everyone booked on it. Bookings are refunded in
+ * full, or offered a move to one of transferSessionIds. Running it again
+ * on a cancelled session retries the refunds that failed.
+ * @param {string[]} [params.transferSessionIds] Other upcoming sessions of
+ *   the seminar attendees can move to
+ * @param {string} params.by Admin cancelling it
+ * @returns {Promise<{ ok: true, session: object, refunded: object[], transferOffered: string[], failed: object[] } | { ok: false, status: number, body: object }>}
+ */
+export async function cancelSeminarSession({
+  seminarId,
+  sessionId,
+  reason = "",
+  transferSessionIds = [],
+  by,
+  now = new Date(),
+}) {
+  const loaded = await loadSession({ seminarId, sessionId });
+  if (!loaded.ok) return loaded;
+  const { seminar, session } = loaded;
+  const sessionKey = String(session._id);
+  if (session.status === "completed") {
+    return failure(409, {
+      error: "Session already took place",
+      code: SEMINAR_CANCELLATION_CODES.SESSION_COMPLETED,
+    });
+  }
+
+  const transferSessions = [];
+  for (const id of new Set(transferSessionIds.map(String))) {
+    const target = findSession(seminar, id);
+    if (
+      !target ||
+      String(target._id) === sessionKey ||
+      !isUpcoming(target, now)
+    ) {
+      return failure(400, {
+        error: "Sessions offered instead must be upcoming sessions",
+        code: SEMINAR_CANCELLATION_CODES.INVALID_TRANSFER_SESSION,
+        sessionId: id,
+      });
+    }
+    transferSessions.push(target);
+  }
+
+  if (session.status !== "cancelled") {
+    await Seminar.updateOne(
+      { _id: seminar._id, "sessions._id": session._id },
+      {
+        $set: {
+          "sessions.$.status": "cancelled",
+          "sessions.$.cancelledAt": now,
+          "sessions.$.cancellationReason": reason,
+        },
+      },
+    );
+    // Nobody else can book it: give up checkout holds and waitlist offers
+    for (const hold of session.seatHolds || []) {
+      await releaseSeminarSeatHold({
+        seminarId: seminar._id,
+        sessionId: session._id,
+        bookingId: hold.bookingId,
+        offerNext: false,
+        now,
+      });
+    }
+    await SeminarWaitlistEntry.updateMany(
+      {
+        seminarId: seminar._id,
+        sessionId: sessionKey,
+        status: { $in: ["waiting", "offered"] },
+      },
+      { $set: { status: "expired" } },
+    );
+  }
+
+  const bookings = await SeminarBooking.find({
+    seminarId: seminar._id,
+    sessionId: sessionKey,
+    status: "confirmed",
+  }).lean();
+  const tenant = await Tenant.findById(seminar.tenantId)
+    .select("businessName")
+    .lean();
+
+  const refunded = [];
+  const transferOffered = [];
+  const failed = [];
+  for (const booking of bookings) {
+    const previous = booking.organiserChange;
+    const interrupted = isStaleRefund(previous, now);
+    if (previous?.status === "refunding") {
+      // A refund under way stands; an interrupted one is retried below
+      if (!interrupted) continue;
+    } else if (
+      previous?.action === "cancelled" &&
+      previous.status !== "refund_failed"
+    ) {
+      // Already refunded or offered a transfer by this cancellation
+      continue;
+    }
+    const change = {
+      action: "cancelled",
+      reason,
+      requestedAt: now,
+      transferSessionIds: transferSessions.map((s) => String(s._id)),
+    };
+
+    let email;
+    if (transferSessions.length && !interrupted) {
+      change.expiresAt = decisionDeadline(now, transferSessions);
+      const offered = await SeminarBooking.updateOne(
+        {
+          _id: booking._id,
+          status: "confirmed",
+          "organiserChange.status": previous?.status ?? null,
+        },
+        { $set: { organiserChange: { ...change, status: "pending" } } },
+      );
+      if (!offered.modifiedCount) continue;
+      transferOffered.push(String(booking._id));
+      const token = signSeminarChangeToken({
+        booking: { ...booking, organiserChange: change },
+      });
+      email = {
+        transferSessions,
+        link: buildChangeLink(token),
+        expiresAt: change.expiresAt,
+      };
+    } else {
+      const result = await refundSeminarBooking({
+        booking,
+        change,
+        initiatedBy: by,
+        now,
+      });
+      if (!result.ok) {
+        if (result.body.code === SEMINAR_CANCELLATION_CODES.REFUND_FAILED) {
+          failed.push({ bookingId: String(booking._id), ...result.body });
+        }
+        continue;
+      }
+      refunded.push({
+        bookingId: String(booking._id),
+        amount: result.refund?.amount || 0,
+      });
+      email = { refund: result.refund };
+    }
+
+    try {
+      await sendSeminarSessionCancelledEmail({
+        booking,
+        seminar,
+        session,
+        reason,
+        tenant,
+        ...email,
+      });
+    } catch (emailError) {
+      console.error("Failed to send seminar cancellation email:", emailError);
+    }
+  }
+
+  return {
+    ok: true,
+    session: { ...session, status: "cancelled" },
+    refunded,
+    transferOffered,
+    failed,
+  };
+}
+
+/**
+ * Move an upcoming session to a new date and time. Everyone booked on it
+ * is emailed a link to keep their seat or take a full refund; keeping it
+ * is assumed if they don't answer.
+ * @param {string|Date} params.date New session date
+ * @param {string} [params.startTime] "HH:mm"; defaults to the current one
+ * @param {string} [params.endTime] "HH:mm"; defaults to the current one
+ * @returns {Promise<{ ok: true, session: object, notified: number } | { ok: false, status: number, body: object }>}
+ */
+export async function rescheduleSeminarSession({
+  seminarId,
+  sessionId,
+  date,
+  startTime,
+  endTime,
+  reason = "",
+  now = new Date(),
+}) {
+  const loaded = await loadSession({ seminarId, sessionId });
+  if (!loaded.ok) return loaded;
+  const { seminar, session } = loaded;
+  if (!OPEN_STATUSES.includes(session.status)) {
+    return failure(409, {
+      error: `Session is ${session.status}`,
+      code: SEMINAR_CANCELLATION_CODES.SESSION_UNAVAILABLE,
+    });
+  }
+  const newDate = new Date(date);
+  if (Number.isNaN(newDate.getTime()) || newDate <= now) {
+    return failure(400, {
+      error: "New date must be in the future",
+      code: SEMINAR_CANCELLATION_CODES.INVALID_DATE,
+    });
+  }
+
+  const previous = {
+    date: session.date,
+    startTime: session.startTime,
+    endTime: session.endTime,
+  };
+  const updated = {
+    ...session,
+    date: newDate,
+    startTime: startTime || session.startTime,
+    endTime: endTime || session.endTime,
+  };
+  await Seminar.updateOne(
+    { _id: seminar._id, "sessions._id": session._id },
+    {
+      $set: {
+        "sessions.$.date": updated.date,
+        "sessions.$.startTime": updated.startTime,
+        "sessions.$.endTime": updated.endTime,
+      },
+    },
+  );
+
+  const bookings = await SeminarBooking.find({
+    seminarId: seminar._id,
+    sessionId: String(session._id),
+    status: "confirmed",
+  }).lean();
+  const tenant = await Tenant.findById(seminar.tenantId)
+    .select("businessName")
+    .lean();
+
+  const change = {
+    action: "rescheduled",
+    reason,
+    requestedAt: now,
+    transferSessionIds: [],
+    previous,
+    expiresAt: decisionDeadline(now, [updated]),
+    status: "pending",
+  };
+  let notified = 0;
+  for (const booking of bookings) {
+    // A refund already under way for an earlier change stands
+    if (booking.organiserChange?.status === "refunding") continue;
+    await SeminarBooking.updateOne(
+      { _id: booking._id, status: "confirmed" },
+      { $set: { organiserChange: change, reminderSent: false } },
+    );
+    const token = signSeminarChangeToken({
+      booking: { ...booking, organiserChange: change },
+    });
+    try {
+      await sendSeminarSessionRescheduledEmail({
+        booking,
+        seminar,
+        session: updated,
+        previous,
+        reason,
+        link: buildChangeLink(token),
+        expiresAt: change.expiresAt,
+        tenant,
+      });
+      notified += 1;
+    } catch (emailError) {
+      console.error("Failed to send seminar reschedule email:", emailError);
+    }
+  }
+
+  return { ok: true, session: updated, notified };
+}
+
+async function loadChange({ token, now }) {
+  const invalid = failure(400, {
+    error: "Invalid link",
+    code: SEMINAR_CANCELLATION_CODES.CHANGE_INVALID,
+  });
+  const expired = failure(410, {
+    error: "This offer has expired",
+    code: SEMINAR_CANCELLATION_CODES.CHANGE_EXPIRED,
+  });
+
+  let claim;
+  try {
+    claim = jwt.verify(String(token || ""), JWT_SECRET, {
+      clockTimestamp: Math.floor(now.getTime() / 1000),
+    });
+  } catch (err) {
+    return err?.name === "TokenExpiredError" ? expired : invalid;
+  }
+  if (claim?.type !== CHANGE_TOKEN_TYPE) return invalid;
+
+  const booking = await SeminarBooking.findById(claim.bookingId).lean();
+  const change = booking?.organiserChange;
+  // A link from an earlier change to the same booking
+  if (!change || new Date(change.requestedAt).getTime() !== claim.requestedAt) {
+    return invalid;
+  }
+  if (change.status !== "pending") {
+    return failure(409, {
+      error: "Already answered",
+      code: SEMINAR_CANCELLATION_CODES.CHANGE_RESOLVED,
+      status: change.status,
+    });
+  }
+  if (new Date(change.expiresAt) <= now) return expired;
+
+  const seminar = await Seminar.findById(booking.seminarId).lean();
+  const session = findSession(seminar, booking.sessionId);
+  if (!session) return invalid;
+  return { ok: true, booking, seminar, session };
+}
+
+/**
+ * What an attendee's change link offers them, for the page it opens
+ * @returns {Promise<{ ok: true, booking: object, seminar: object, session: object, change: object, transferSessions: object[] } | { ok: false, status: number, body: object }>}
+ */
+export async function getSeminarBookingChange({ token, now = new Date() }) {
+  const loaded = await loadChange({ token, now });
+  if (!loaded.ok) return loaded;
+  const { booking, seminar, session } = loaded;
+
+  const transferSessions = booking.organiserChange.transferSessionIds
+    .map((id) => findSession(seminar, id))
+    .filter((s) => s && isUpcoming(s, now))
+    .map((s) => ({
+      _id: s._id,
+      date: s.date,
+      startTime: s.startTime,
+      endTime: s.endTime,
+      spotsAvailable: Math.max(
+        0,
+        s.maxAttendees - s.currentAttendees - (s.heldSeats || 0),
+      ),
+    }));
+
+  return {
+    ok: true,
+    booking: {
+      _id: booking._id,
+      bookingReference: booking.bookingReference,
+      attendeeInfo: { name: booking.attendeeInfo?.name },
+      payment: {
+        amount: booking.payment?.amount,
+        currency: booking.payment?.currency,
+      },
+    },
+    seminar: { _id: seminar._id, title: seminar.title, slug: seminar.slug },
+    session: {
+      _id: session._id,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      status: session.status,
+    },
+    change: booking.organiserChange,
+    transferSessions,
+  };
+}
+
+async function transferSeminarBooking({ booking, seminar, targetId, now }) {
+  const change = booking.organiserChange;
+  const target = change.transferSessionIds.includes(String(targetId))
+    ? findSession(seminar, targetId)
+    : null;
+  if (!target || !isUpcoming(target, now)) {
+    return failure(400, {
+      error: "That session isn't one you were offered",
+      code: SEMINAR_CANCELLATION_CODES.INVALID_TRANSFER_SESSION,
+    });
+  }
+
+  const tierKey = booking.ticketTier?.key || null;
+  const seat = await takeSeminarSeat({
+    seminarId: seminar._id,
+    sessionId: target._id,
+    tierKey,
+  });
+  if (!seat.ok) {
+    return failure(409, {
+      error: "That session is now full",
+      message: "Choose another session or take a refund.",
+      code: SEMINAR_CANCELLATION_CODES.TRANSFER_FULL,
+    });
+  }
+
+  const fromSessionId = booking.sessionId;
+  const moved = await SeminarBooking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: "confirmed",
+      sessionId: fromSessionId,
+      "organiserChange.status": "pending",
+    },
+    {
+      $set: {
+        sessionId: String(target._id),
+        reminderSent: false,
+        "organiserChange.status": "transferred",
+        "organiserChange.resolvedAt": now,
+        "organiserChange.transferredFrom": fromSessionId,
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!moved) {
+    await freeSeminarSeat({
+      seminarId: seminar._id,
+      sessionId: target._id,
+      tierKey,
+      now,
+    });
+    return failure(409, {
+      error: "Already answered",
+      code: SEMINAR_CANCELLATION_CODES.CHANGE_RESOLVED,
+    });
+  }
+
+  await freeSeminarSeat({
+    seminarId: seminar._id,
+    sessionId: fromSessionId,
+    tierKey,
+    now,
+  });
+
+  try {
+    const tenant = await Tenant.findById(seminar.tenantId);
+    await sendSeminarConfirmationEmail({
+      booking: moved,
+      seminar,
+      session: target,
+      tenant,
+    });
+  } catch (emailError) {
+    console.error("Failed to send seminar transfer confirmation:", emailError);
+  }
+  return { ok: true, booking: moved, session: target };
+}
+
+/**
+ * An attendee's answer to a cancelled or rescheduled session: "transfer"
+ * (with sessionId) or "refund" after a cancellation, "keep" or "refund"
+ * after a new date
+ * @returns {Promise<{ ok: true, action: string, booking?: object, session?: object, refund?: object|null } | { ok: false, status: number, body: object }>}
+ */
+export async function respondToSeminarChange({
+  token,
+  action,
+  sessionId,
+  now = new Date(),
+}) {
+  const loaded = await loadChange({ token, now });
+  if (!loaded.ok) return loaded;
+  const { booking, seminar, session } = loaded;
+  const change = booking.organiserChange;
+
+  const allowed =
+    change.action === "cancelled"
+      ? ["refund", ...(change.transferSessionIds.length ? ["transfer"] : [])]
+      : ["keep", "refund"];
+  if (!allowed.includes(action)) {
+    return failure(400, {
+      error: `Choose one of: ${allowed.join(", ")}`,
+      code: SEMINAR_CANCELLATION_CODES.INVALID_ACTION,
+    });
+  }
+
+  if (action === "transfer") {
+    const moved = await transferSeminarBooking({
+      booking,
+      seminar,
+      targetId: sessionId,
+      now,
+    });
+    return moved.ok ? { action, ...moved } : moved;
+  }
+
+  if (action === "keep") {
+    const kept = await SeminarBooking.updateOne(
+      { _id: booking._id, "organiserChange.status": "pending" },
+      {
+        $set: {
+          "organiserChange.status": "kept",
+          "organiserChange.resolvedAt": now,
+        },
+      },
+    );
+    if (!kept.modifiedCount) {
+      return failure(409, {
+        error: "Already answered",
+        code: SEMINAR_CANCELLATION_CODES.CHANGE_RESOLVED,
+      });
+    }
+    return { ok: true, action };
+  }
+
+  const result = await refundSeminarBooking({
+    booking,
+    change,
+    initiatedBy: "attendee",
+    now,
+  });
+  if (!result.ok) return result;
+  try {
+    const tenant = await Tenant.findById(seminar.tenantId)
+      .select("businessName")
+      .lean();
+    await sendSeminarRefundEmail({
+      booking,
+      seminar,
+      session,
+      refund: result.refund,
+      tenant,
+    });
+  } catch (emailError) {
+    console.error("Failed to send seminar refund email:", emailError);
+  }
+  return { ok: true, action, refund: result.refund };
+}
+
+/**
+ * Settle changes nobody answered in time: cancelled bookings are
+ * refunded, rescheduled ones keep the new date. Interrupted refunds are
+ * retried. Run by the cron.
+ * @returns {Promise<{ refunded: number, kept: number, failed: number }>}
+ */
+export async function settleLapsedSeminarChanges({
+  now = new Date(),
+  logger = console,
+} = {}) {
+  const due = await SeminarBooking.find({
+    status: "confirmed",
+    $or: [
+      {
+        "organiserChange.status": "pending",
+        "organiserChange.expiresAt": { $lte: now },
+      },
+      staleRefundFilter(now),
+    ],
+  })
+    .limit(100)
+    .lean();
+
+  const counts = { refunded: 0, kept: 0, failed: 0 };
+  for (const booking of due) {
+    try {
+      if (
+        booking.organiserChange.action === "rescheduled" &&
+        booking.organiserChange.status === "pending"
+      ) {
+        await SeminarBooking.updateOne(
+          { _id: booking._id, "organiserChange.status": "pending" },
+          {
+            $set: {
+              "organiserChange.status": "kept",
+              "organiserChange.resolvedAt": now,
+            },
+          },
+        );
+        counts.kept += 1;
+        continue;
+      }
+
+      const result = await refundSeminarBooking({
+        booking,
+        change: booking.organiserChange,
+        initiatedBy: "system",
+        now,
+      });
+      if (!result.ok) {
+        if (result.body.code === SEMINAR_CANCELLATION_CODES.REFUND_FAILED) {
+          counts.failed += 1;
+        }
+        continue;
+      }
+      counts.refunded += 1;
+
+      const seminar = await Seminar.findById(booking.seminarId).lean();
+      const tenant = await Tenant.findById(seminar?.tenantId)
+        .select("businessName")
+        .lean();
+      await sendSeminarRefundEmail({
+        booking,
+        seminar,
+        session: findSession(seminar, booking.sessionId),
+        refund: result.refund,
+        tenant,
+      });
+    } catch (error) {
+      logger.error?.(
+        `[Seminar cancellation] Failed to settle booking ${booking._id}:`,
+        error,
+      );
+    }
+  }
+  return counts;
+}
+
+/**
+ * Start the seminar change cron (every 15 minutes)
+ */
+export function startSeminarChangeCron() {
+  console.log("[Seminar cancellation] Starting change cron (every 15 min)...");
+
+  return cron.schedule(
+    "*/15 * * * *",
+    () =>
+      settleLapsedSeminarChanges().catch((error) =>
+        console.error("[Seminar cancellation] Change cron error:", error),
+      ),
+    {
+      scheduled: true,
+      timezone: "UTC",
+    },
+  );
+}
+
+export default {
+  SEMINAR_CANCELLATION_CODES,
+  CHANGE_DECISION_DAYS,
+  REFUND_STALE_MINUTES,
+  signSeminarChangeToken,
+  refundSeminarBooking,
+  cancelSeminarSession,
+  rescheduleSeminarSession,
+  getSeminarBookingChange,
+  respondToSeminarChange,
+  settleLapsedSeminarChanges,
+  startSeminarChangeCron,
+};
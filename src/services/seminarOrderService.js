@@ -0,0 +1,322 @@
+import mongoose from "mongoose";
+import Seminar from "../models/Seminar.js";
+import SeminarOrder from "../models/SeminarOrder.js";
+import Tenant from "../models/Tenant.js";
+import { sendSeminarSeatRefundEmail } from "../emails/mailer.js";
+import { createConsoleLogger } from "../utils/logger.js";
+import {
+  MAX_GROUP_ATTENDEES,
+  findTicketTier,
+  priceSeminarBooking,
+  splitAmount,
+} from "../utils/seminarPricing.js";
+import { confirmSeminarBooking } from "./seminarBookingService.js";
+import {
+  holdSeminarSeat,
+  releaseSeminarSeatHold,
+} from "./seminarSeatService.js";
+
+/**
+ * Seminar orders
+ *
+ * A checkout can buy more than one booking: a bundle books every session
+ * of a course, and a group books several attendees. Each attendee gets a
+ * booking per session, so check-in, waitlists and certificates still work
+ * session by session. The order records what was bought so the bookings
+ * can be created once Stripe confirms payment; the Stripe session only
+ * carries the order's id. A seat that's gone by then is refunded to the
+ * buyer.
+ */
+
+const console = createConsoleLogger({
+  scope: "seminar-order",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const SEMINAR_ORDER_CODES = {
+  SESSION_NOT_FOUND: "SEMINAR_SESSION_NOT_FOUND",
+  TIER_NOT_FOUND: "SEMINAR_TIER_NOT_FOUND",
+  BUNDLE_NOT_FOUND: "SEMINAR_BUNDLE_NOT_FOUND",
+  BUNDLE_ONLY: "SEMINAR_BUNDLE_ONLY",
+  TOO_MANY_ATTENDEES: "SEMINAR_TOO_MANY_ATTENDEES",
+  ORDER_NOT_FOUND: "SEMINAR_ORDER_NOT_FOUND",
+};
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function findSession(seminar, sessionId) {
+  return seminar?.sessions?.find(
+    (s) => String(s._id) === String(sessionId) || s.sessionId === sessionId,
+  );
+}
+
+/**
+ * Work out what a checkout books and what it costs: the ticket tier, and
+ * either one session or every session of a bundle
+ * @param {Object} params
+ * @param {string} [params.sessionId] Session to book, without a bundle
+ * @param {string} [params.bundleKey] Bundle to book
+ * @param {string} [params.tierKey] Ticket tier; optional with one tier
+ * @returns {{ ok: true, tier: object, bundle: object|null, sessions: object[], quote: object } | { ok: false, status: number, body: object }}
+ */
+export function selectSeminarBooking({
+  seminar,
+  sessionId,
+  bundleKey,
+  tierKey,
+  attendeeCount,
+  now = new Date(),
+}) {
+  if (attendeeCount > MAX_GROUP_ATTENDEES) {
+    return failure(400, {
+      error: "Too many attendees",
+      message: `Up to ${MAX_GROUP_ATTENDEES} attendees can be booked at once.`,
+      code: SEMINAR_ORDER_CODES.TOO_MANY_ATTENDEES,
+    });
+  }
+
+  const tier = findTicketTier(seminar, tierKey);
+  if (!tier) {
+    return failure(400, {
+      error: "Ticket type not found",
+      message: "Choose one of the seminar's ticket types.",
+      code: SEMINAR_ORDER_CODES.TIER_NOT_FOUND,
+    });
+  }
+
+  const bundles = seminar.bundles || [];
+  let bundle = null;
+  let sessions;
+  if (bundleKey) {
+    bundle = bundles.find((b) => b.key === String(bundleKey).toLowerCase());
+    sessions = bundle
+      ? seminar.sessions
+          .filter((s) => s.bundleKey === bundle.key && s.status !== "cancelled")
+          .sort((a, b) => new Date(a.date) - new Date(b.date))
+      : [];
+    if (!sessions.length) {
+      return failure(404, {
+        error: "Bundle not found",
+        code: SEMINAR_ORDER_CODES.BUNDLE_NOT_FOUND,
+      });
+    }
+  } else {
+    const session = findSession(seminar, sessionId);
+    if (!session) {
+      return failure(404, {
+        error: "Session not found",
+        code: SEMINAR_ORDER_CODES.SESSION_NOT_FOUND,
+      });
+    }
+    const sessionBundle = bundles.find((b) => b.key === session.bundleKey);
+    if (sessionBundle && !sessionBundle.allowSingleSessions) {
+      return failure(400, {
+        error: "Session is only sold as part of a bundle",
+        message: `Book ${sessionBundle.name} to attend this session.`,
+        code: SEMINAR_ORDER_CODES.BUNDLE_ONLY,
+        bundleKey: sessionBundle.key,
+      });
+    }
+    sessions = [session];
+  }
+
+  const quote = priceSeminarBooking({
+    seminar,
+    tier,
+    bundle,
+    sessionCount: sessions.length,
+    attendeeCount,
+    now,
+  });
+  return { ok: true, tier, bundle, sessions, quote };
+}
+
+/**
+ * Give up the seats held for an order's bookings
+ * @param {Date} [params.expiredBy] Only release holds that had lapsed
+ */
+export async function releaseSeminarOrderSeats({
+  seminarId,
+  bookings,
+  expiredBy = null,
+}) {
+  for (const booking of bookings) {
+    await releaseSeminarSeatHold({
+      seminarId,
+      sessionId: booking.sessionId,
+      bookingId: booking.bookingId,
+      expiredBy,
+    });
+  }
+}
+
+/**
+ * Hold a seat on every session for every attendee. All or nothing: if
+ * any seat can't be held, the ones already held are given back.
+ * @returns {Promise<{ ok: true, bookings: { bookingId: object, sessionId: string, attendeeIndex: number }[] } | { ok: false, status: number, body: object }>}
+ */
+export async function holdSeminarOrderSeats({
+  seminar,
+  sessions,
+  tier,
+  attendeeCount,
+  expiresAt,
+  now = new Date(),
+}) {
+  const tierHold = tier.key ? { key: tier.key, capacity: tier.capacity } : null;
+  const bookings = [];
+
+  for (let i = 0; i < attendeeCount; i += 1) {
+    for (const session of sessions) {
+      const booking = {
+        bookingId: new mongoose.Types.ObjectId(),
+        sessionId: String(session._id),
+        attendeeIndex: i,
+      };
+      const hold = await holdSeminarSeat({
+        seminarId: seminar._id,
+        sessionId: session._id,
+        bookingId: booking.bookingId,
+        expiresAt,
+        tier: tierHold,
+        now,
+      });
+      if (!hold.ok) {
+        await releaseSeminarOrderSeats({ seminarId: seminar._id, bookings });
+        return hold;
+      }
+      bookings.push(booking);
+    }
+  }
+  return { ok: true, bookings };
+}
+
+// Tell the buyer about a seat their order couldn't book
+async function notifyUnbookedSeat({ order, slot, refund }) {
+  try {
+    const [seminar, tenant] = await Promise.all([
+      Seminar.findById(order.seminarId).lean(),
+      Tenant.findById(order.tenantId).lean(),
+    ]);
+    await sendSeminarSeatRefundEmail({
+      order,
+      attendee: order.attendees[slot.attendeeIndex],
+      seminar,
+      session: findSession(seminar, slot.sessionId),
+      refund,
+      tenant,
+    });
+  } catch (emailError) {
+    console.error("Failed to send seminar seat refund email:", emailError);
+  }
+}
+
+/**
+ * Create an order's bookings once it's paid for. The amount paid is split
+ * across the bookings so each can be refunded on its own; a gift card is
+ * redeemed on the lead booking. A seat that can't be booked is refunded
+ * and the buyer told. Safe to call more than once.
+ * @param {Object} params.payment SeminarBooking.payment fields for the
+ *   whole order
+ * @returns {Promise<{ ok: true, order: object, bookings: object[], failed: object[] } | { ok: false, status: number, body: object }>}
+ */
+export async function confirmSeminarOrder({
+  orderId,
+  payment,
+  clientId = null,
+  giftCard = null,
+}) {
+  const order = await SeminarOrder.findById(orderId).lean();
+  if (!order) {
+    return failure(404, {
+      error: "Seminar order not found",
+      code: SEMINAR_ORDER_CODES.ORDER_NOT_FOUND,
+    });
+  }
+
+  const amounts = splitAmount(payment.amount, order.bookings.length);
+  const bookings = [];
+  const failed = [];
+  for (const [index, slot] of order.bookings.entries()) {
+    const confirmed = await confirmSeminarBooking({
+      bookingId: slot.bookingId,
+      seminarId: order.seminarId,
+      sessionId: slot.sessionId,
+      attendee: order.attendees[slot.attendeeIndex],
+      clientId,
+      specialistId: order.specialistId,
+      tenantId: order.tenantId,
+      payment: { ...payment, amount: amounts[index] },
+      giftCard: index === 0 ? giftCard : null,
+      ticketTier: order.ticketTier?.key ? order.ticketTier : null,
+      bundleKey: order.bundleKey || null,
+      seminarOrderId: order._id,
+    });
+    if (confirmed.ok) {
+      bookings.push(confirmed.booking);
+    } else {
+      console.error(
+        `Seminar order ${order._id} booking ${slot.bookingId} failed:`,
+        confirmed.body.error,
+      );
+      const refund = confirmed.refund || null;
+      if (refund) await notifyUnbookedSeat({ order, slot, refund });
+      failed.push({
+        bookingId: slot.bookingId,
+        sessionId: slot.sessionId,
+        error: confirmed.body.error,
+        code: confirmed.body.code,
+        refund,
+      });
+    }
+  }
+
+  if (!bookings.length) {
+    return failure(409, { error: failed[0].error, code: failed[0].code });
+  }
+
+  await SeminarOrder.updateOne(
+    { _id: order._id, status: { $ne: "confirmed" } },
+    {
+      $set: {
+        status: "confirmed",
+        confirmedAt: new Date(),
+        ...(payment.stripeSessionId
+          ? { stripeSessionId: payment.stripeSessionId }
+          : {}),
+      },
+    },
+  );
+  return { ok: true, order, bookings, failed };
+}
+
+/**
+ * Give back the seats of an order whose checkout expired unpaid
+ * @returns {Promise<{ expired: boolean }>}
+ */
+export async function expireSeminarOrder({ orderId, now = new Date() }) {
+  const order = await SeminarOrder.findOneAndUpdate(
+    { _id: orderId, status: "pending" },
+    { $set: { status: "expired" } },
+    { new: true },
+  ).lean();
+  if (!order) return { expired: false };
+
+  await releaseSeminarOrderSeats({
+    seminarId: order.seminarId,
+    bookings: order.bookings,
+    expiredBy: now,
+  });
+  return { expired: true };
+}
+
+export default {
+  SEMINAR_ORDER_CODES,
+  selectSeminarBooking,
+  holdSeminarOrderSeats,
+  releaseSeminarOrderSeats,
+  confirmSeminarOrder,
+  expireSeminarOrder,
+};
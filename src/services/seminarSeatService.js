@@ -0,0 +1,811 @@
+import cron from "node-cron";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Seminar from "../models/Seminar.js";
+import SeminarBooking from "../models/SeminarBooking.js";
+import SeminarWaitlistEntry from "../models/SeminarWaitlistEntry.js";
+import Tenant from "../models/Tenant.js";
+import { sendSeminarWaitlistOfferEmail } from "../emails/mailer.js";
+import { JWT_SECRET } from "../config/security.js";
+import { createConsoleLogger } from "../utils/logger.js";
+import { getTierSeatsLeft } from "../utils/seminarPricing.js";
+
+/**
+ * Seminar seats and waitlists
+ *
+ * A session's taken seats are its confirmed attendees (currentAttendees)
+ * plus its held seats (heldSeats / seatHolds): one for each Stripe
+ * checkout in progress and one for each open waitlist offer. Seats are
+ * only handed out by updates conditional on the counters they read, so
+ * two checkouts can't both get the last seat.
+ *
+ * A checkout hold lasts as long as its Stripe session and turns into the
+ * booking's seat when payment confirms it. A seat that comes free
+ * (cancellation, expired hold) goes to the session's waitlist first: it's
+ * held for the next person waiting and they're emailed a link to pay for
+ * it. Offers nobody takes up expire through the cron and move on.
+ *
+ * Ticket tiers with a capacity are counted the same way: the tier's
+ * confirmed attendees (tierAttendees) plus the holds made for it. Those
+ * only change along with the session's own counters, so the same
+ * conditional updates keep a tier from overselling.
+ */
+
+const console = createConsoleLogger({
+  scope: "seminar-seats",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+export const SEMINAR_SEAT_CODES = {
+  SEMINAR_NOT_FOUND: "SEMINAR_NOT_FOUND",
+  SESSION_NOT_FOUND: "SEMINAR_SESSION_NOT_FOUND",
+  SESSION_UNAVAILABLE: "SEMINAR_SESSION_UNAVAILABLE",
+  SESSION_FULL: "SEMINAR_SESSION_FULL",
+  TIER_SOLD_OUT: "SEMINAR_TIER_SOLD_OUT",
+  SEATS_AVAILABLE: "SEMINAR_SEATS_AVAILABLE",
+  ALREADY_BOOKED: "SEMINAR_ALREADY_BOOKED",
+  OFFER_INVALID: "SEMINAR_WAITLIST_OFFER_INVALID",
+  OFFER_EXPIRED: "SEMINAR_WAITLIST_OFFER_EXPIRED",
+};
+
+// Stripe won't expire a checkout session sooner than 30 minutes
+export const CHECKOUT_HOLD_MINUTES = 30;
+export const WAITLIST_OFFER_HOURS = 12;
+
+// Gives Stripe's checkout.session.expired webhook time to release a
+// checkout hold before the cron does
+const STALE_HOLD_GRACE_MINUTES = 10;
+const MAX_SEAT_ATTEMPTS = 5;
+const CLAIM_TOKEN_TYPE = "seminar_waitlist_claim";
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function toObjectId(id) {
+  return new mongoose.Types.ObjectId(String(id));
+}
+
+function findSession(seminar, sessionId) {
+  return seminar?.sessions?.find(
+    (s) => String(s._id) === String(sessionId) || s.sessionId === sessionId,
+  );
+}
+
+function seatsTaken(session) {
+  return session.currentAttendees + (session.heldSeats || 0);
+}
+
+function isSessionOpen(seminar, session, now) {
+  return (
+    seminar.status === "published" &&
+    ["scheduled", "full"].includes(session.status) &&
+    new Date(session.date) > now
+  );
+}
+
+// A counter equal to `value`, treating a missing counter as 0
+function counterIs(value) {
+  return value ? value : { $in: [0, null] };
+}
+
+function sessionFilter(seminarId, sessionId, match = {}) {
+  return {
+    _id: seminarId,
+    sessions: { $elemMatch: { _id: toObjectId(sessionId), ...match } },
+  };
+}
+
+const seminarNotFound = () =>
+  failure(404, {
+    error: "Seminar not found",
+    code: SEMINAR_SEAT_CODES.SEMINAR_NOT_FOUND,
+  });
+
+const sessionNotFound = () =>
+  failure(404, {
+    error: "Session not found",
+    code: SEMINAR_SEAT_CODES.SESSION_NOT_FOUND,
+  });
+
+const sessionFull = () =>
+  failure(409, {
+    error: "Session is full",
+    message: "All seats are taken. Join the waitlist to be offered one.",
+    code: SEMINAR_SEAT_CODES.SESSION_FULL,
+  });
+
+// "full" follows confirmed attendees only; held seats may still come free
+async function syncSessionStatus({ seminarId, session }) {
+  if (!session || !["scheduled", "full"].includes(session.status)) return;
+  const status =
+    session.currentAttendees >= session.maxAttendees ? "full" : "scheduled";
+  if (status === session.status) return;
+  await Seminar.updateOne(
+    sessionFilter(seminarId, session._id, { status: session.status }),
+    { $set: { "sessions.$.status": status } },
+  );
+}
+
+const tierSoldOut = () =>
+  failure(409, {
+    error: "Ticket sold out",
+    message: "This ticket type is sold out for the session.",
+    code: SEMINAR_SEAT_CODES.TIER_SOLD_OUT,
+  });
+
+function tierCounter(tierKey) {
+  return `sessions.$.tierAttendees.${tierKey}`;
+}
+
+/**
+ * Hold a seat for a booking being paid for, or for a waitlist offer
+ * @param {Object} params
+ * @param {string} params.bookingId _id the booking will be created with
+ * @param {Date} params.expiresAt When the hold lapses
+ * @param {string} [params.waitlistEntryId] Set for waitlist offers
+ * @param {{ key: string, capacity?: number }} [params.tier] Ticket tier
+ *   the seat is for
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, body: object }>}
+ */
+export async function holdSeminarSeat({
+  seminarId,
+  sessionId,
+  bookingId,
+  expiresAt,
+  waitlistEntryId = null,
+  tier = null,
+  now = new Date(),
+}) {
+  let swept = false;
+  for (let attempt = 0; attempt < MAX_SEAT_ATTEMPTS; attempt += 1) {
+    const seminar = await Seminar.findById(seminarId)
+      .select("status sessions")
+      .lean();
+    if (!seminar) return seminarNotFound();
+    const session = findSession(seminar, sessionId);
+    if (!session) return sessionNotFound();
+    if (!isSessionOpen(seminar, session, now)) {
+      return failure(400, {
+        error: "Session is not available for booking",
+        code: SEMINAR_SEAT_CODES.SESSION_UNAVAILABLE,
+      });
+    }
+
+    const seatsFull = seatsTaken(session) >= session.maxAttendees;
+    if (seatsFull || getTierSeatsLeft(session, tier) === 0) {
+      // Lapsed checkouts whose expiry webhook hasn't come in yet
+      if (!swept) {
+        swept = true;
+        const released = await releaseLapsedCheckoutHolds({
+          seminarId,
+          session,
+          cutoff: now,
+          offerNext: !waitlistEntryId,
+          now,
+        });
+        if (released) continue;
+      }
+      return seatsFull ? sessionFull() : tierSoldOut();
+    }
+
+    const result = await Seminar.updateOne(
+      sessionFilter(seminarId, session._id, {
+        currentAttendees: session.currentAttendees,
+        heldSeats: counterIs(session.heldSeats),
+      }),
+      {
+        $push: {
+          "sessions.$.seatHolds": {
+            bookingId,
+            expiresAt,
+            waitlistEntryId,
+            tierKey: tier?.key || null,
+          },
+        },
+        $inc: { "sessions.$.heldSeats": 1 },
+      },
+    );
+    if (result.modifiedCount) return { ok: true };
+  }
+
+  return failure(409, {
+    error: "Session is busy",
+    message: "Lots of people are booking this session. Please try again.",
+    code: SEMINAR_SEAT_CODES.SESSION_FULL,
+  });
+}
+
+/**
+ * Give up a booking's held seat. A waitlist offer's entry is expired with
+ * it, and the seat goes to the next person waiting unless offerNext is
+ * false.
+ * @param {Date} [params.expiredBy] Only release the hold if it had
+ *   lapsed by then
+ * @returns {Promise<{ released: boolean }>}
+ */
+export async function releaseSeminarSeatHold({
+  seminarId,
+  sessionId,
+  bookingId,
+  expiredBy = null,
+  offerNext = true,
+  now = new Date(),
+}) {
+  const holdMatch = {
+    bookingId: toObjectId(bookingId),
+    ...(expiredBy ? { expiresAt: { $lte: expiredBy } } : {}),
+  };
+  const before = await Seminar.findOneAndUpdate(
+    sessionFilter(seminarId, sessionId, {
+      seatHolds: { $elemMatch: holdMatch },
+    }),
+    {
+      $pull: { "sessions.$.seatHolds": { bookingId: holdMatch.bookingId } },
+      $inc: { "sessions.$.heldSeats": -1 },
+    },
+    { new: false },
+  )
+    .select("sessions")
+    .lean();
+  if (!before) return { released: false };
+
+  const hold = (findSession(before, sessionId)?.seatHolds || []).find(
+    (item) => String(item.bookingId) === String(bookingId),
+  );
+  if (hold?.waitlistEntryId) {
+    await SeminarWaitlistEntry.updateOne(
+      { _id: hold.waitlistEntryId, status: "offered" },
+      { $set: { status: "expired" } },
+    );
+  }
+
+  if (offerNext) {
+    await offerFreedSeminarSeats({ seminarId, sessionId, now });
+  }
+  return { released: true };
+}
+
+async function releaseLapsedCheckoutHolds({
+  seminarId,
+  session,
+  cutoff,
+  offerNext,
+  now,
+}) {
+  const lapsed = (session.seatHolds || []).filter(
+    (hold) => !hold.waitlistEntryId && new Date(hold.expiresAt) <= cutoff,
+  );
+  let released = 0;
+  for (const hold of lapsed) {
+    const result = await releaseSeminarSeatHold({
+      seminarId,
+      sessionId: session._id,
+      bookingId: hold.bookingId,
+      expiredBy: cutoff,
+      offerNext,
+      now,
+    });
+    if (result.released) released += 1;
+  }
+  return released;
+}
+
+/**
+ * Give a paid booking its seat: the seat held for it at checkout, or a
+ * free one if that hold has lapsed. A paid seat isn't refused for its
+ * tier being sold out, only for the session being full.
+ * @param {string} [params.tierKey] Booking's ticket tier
+ * @returns {Promise<{ ok: true, fromHold: boolean } | { ok: false, status: number, body: object }>}
+ */
+export async function takeSeminarSeat({
+  seminarId,
+  sessionId,
+  bookingId = null,
+  tierKey = null,
+}) {
+  const tierInc = tierKey ? { [tierCounter(tierKey)]: 1 } : {};
+
+  if (bookingId) {
+    const before = await Seminar.findOneAndUpdate(
+      sessionFilter(seminarId, sessionId, {
+        "seatHolds.bookingId": toObjectId(bookingId),
+      }),
+      {
+        $pull: { "sessions.$.seatHolds": { bookingId: toObjectId(bookingId) } },
+        $inc: {
+          "sessions.$.heldSeats": -1,
+          "sessions.$.currentAttendees": 1,
+          ...tierInc,
+        },
+      },
+      { new: false },
+    )
+      .select("sessions")
+      .lean();
+
+    if (before) {
+      const session = findSession(before, sessionId);
+      const hold = session.seatHolds.find(
+        (item) => String(item.bookingId) === String(bookingId),
+      );
+      if (hold?.waitlistEntryId) {
+        await SeminarWaitlistEntry.updateOne(
+          { _id: hold.waitlistEntryId },
+          { $set: { status: "booked", bookingId } },
+        );
+      }
+      await syncSessionStatus({
+        seminarId,
+        session: {
+          ...session,
+          currentAttendees: session.currentAttendees + 1,
+        },
+      });
+      return { ok: true, fromHold: true };
+    }
+  }
+
+  for (let attempt = 0; attempt < MAX_SEAT_ATTEMPTS; attempt += 1) {
+    const seminar = await Seminar.findById(seminarId)
+      .select("sessions")
+      .lean();
+    if (!seminar) return seminarNotFound();
+    const session = findSession(seminar, sessionId);
+    if (!session) return sessionNotFound();
+    if (seatsTaken(session) >= session.maxAttendees) return sessionFull();
+
+    const updated = await Seminar.findOneAndUpdate(
+      sessionFilter(seminarId, session._id, {
+        currentAttendees: session.currentAttendees,
+        heldSeats: counterIs(session.heldSeats),
+      }),
+      { $inc: { "sessions.$.currentAttendees": 1, ...tierInc } },
+      { new: true },
+    )
+      .select("sessions")
+      .lean();
+    if (updated) {
+      await syncSessionStatus({
+        seminarId,
+        session: findSession(updated, session._id),
+      });
+      return { ok: true, fromHold: false };
+    }
+  }
+  return sessionFull();
+}
+
+/**
+ * Give back a cancelled booking's seat and offer it to the waitlist
+ * @param {string} [params.tierKey] Booking's ticket tier
+ * @returns {Promise<{ freed: boolean, offered: string[] }>}
+ */
+export async function freeSeminarSeat({
+  seminarId,
+  sessionId,
+  tierKey = null,
+  now = new Date(),
+}) {
+  const updated = await Seminar.findOneAndUpdate(
+    sessionFilter(seminarId, sessionId, { currentAttendees: { $gt: 0 } }),
+    {
+      $inc: {
+        "sessions.$.currentAttendees": -1,
+        ...(tierKey ? { [tierCounter(tierKey)]: -1 } : {}),
+      },
+    },
+    { new: true },
+  )
+    .select("sessions")
+    .lean();
+  if (!updated) return { freed: false, offered: [] };
+
+  await syncSessionStatus({
+    seminarId,
+    session: findSession(updated, sessionId),
+  });
+  const offered = await offerFreedSeminarSeats({ seminarId, sessionId, now });
+  return { freed: true, offered };
+}
+
+export function signSeminarClaimToken({ waitlistEntryId, expiresAt }) {
+  return jwt.sign(
+    {
+      type: CLAIM_TOKEN_TYPE,
+      waitlistEntryId: String(waitlistEntryId),
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+    },
+    JWT_SECRET,
+  );
+}
+
+function buildOfferLink({ seminar, sessionId, token }) {
+  const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${frontend}/seminars/${seminar.slug}?session=${sessionId}&waitlistToken=${token}`;
+}
+
+/**
+ * Offer a session's free seats to the people waiting, in join order. Each
+ * seat is held for the person offered it until the offer expires (at the
+ * latest when the session starts).
+ * @returns {Promise<string[]>} Ids of the entries offered a seat
+ */
+export async function offerFreedSeminarSeats({
+  seminarId,
+  sessionId,
+  now = new Date(),
+  logger = console,
+}) {
+  const seminar = await Seminar.findById(seminarId).lean();
+  const session = findSession(seminar, sessionId);
+  if (!session || !isSessionOpen(seminar, session, now)) return [];
+
+  const expiresAt = new Date(
+    Math.min(
+      now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000,
+      new Date(session.date).getTime(),
+    ),
+  );
+  const sessionKey = String(session._id);
+
+  const offered = [];
+  for (let i = 0; i < session.maxAttendees; i += 1) {
+    const entry = await SeminarWaitlistEntry.findOne({
+      seminarId: seminar._id,
+      sessionId: sessionKey,
+      status: "waiting",
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+    if (!entry) break;
+
+    const bookingId = new mongoose.Types.ObjectId();
+    const held = await holdSeminarSeat({
+      seminarId: seminar._id,
+      sessionId: session._id,
+      bookingId,
+      expiresAt,
+      waitlistEntryId: entry._id,
+      now,
+    });
+    if (!held.ok) break;
+
+    const updated = await SeminarWaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "waiting" },
+      {
+        $set: {
+          status: "offered",
+          offer: { bookingId, sentAt: now, expiresAt },
+        },
+      },
+      { new: true },
+    ).lean();
+    if (!updated) {
+      // Offered or removed by someone else meanwhile
+      await releaseSeminarSeatHold({
+        seminarId: seminar._id,
+        sessionId: session._id,
+        bookingId,
+        offerNext: false,
+      });
+      continue;
+    }
+    offered.push(updated);
+  }
+  if (!offered.length) return [];
+
+  const tenant = await Tenant.findById(seminar.tenantId)
+    .select("businessName")
+    .lean();
+  for (const entry of offered) {
+    const token = signSeminarClaimToken({
+      waitlistEntryId: entry._id,
+      expiresAt,
+    });
+    try {
+      await sendSeminarWaitlistOfferEmail({
+        entry,
+        seminar,
+        session,
+        link: buildOfferLink({ seminar, sessionId: sessionKey, token }),
+        expiresAt,
+        tenant,
+      });
+    } catch (emailError) {
+      logger.error?.("[Seminar waitlist] Offer email failed", emailError);
+    }
+  }
+
+  return offered.map((entry) => String(entry._id));
+}
+
+/**
+ * Put someone on a full session's waitlist. Joining twice returns the
+ * existing entry.
+ * @returns {Promise<{ ok: true, entry: object, position: number|null, created: boolean } | { ok: false, status: number, body: object }>}
+ */
+export async function joinSeminarWaitlist({
+  seminarId,
+  sessionId,
+  attendee,
+  now = new Date(),
+}) {
+  const seminar = await Seminar.findById(seminarId).lean();
+  if (!seminar) return seminarNotFound();
+  const session = findSession(seminar, sessionId);
+  if (!session) return sessionNotFound();
+  if (!isSessionOpen(seminar, session, now)) {
+    return failure(400, {
+      error: "Session is not available for booking",
+      code: SEMINAR_SEAT_CODES.SESSION_UNAVAILABLE,
+    });
+  }
+  if (seatsTaken(session) < session.maxAttendees) {
+    return failure(409, {
+      error: "Seats are available",
+      message: "This session still has seats. Book one instead.",
+      code: SEMINAR_SEAT_CODES.SEATS_AVAILABLE,
+    });
+  }
+
+  const sessionKey = String(session._id);
+  const email = attendee.email.toLowerCase().trim();
+  const booked = await SeminarBooking.findOne({
+    seminarId: seminar._id,
+    sessionId: sessionKey,
+    "attendeeInfo.email": email,
+    status: "confirmed",
+  }).lean();
+  if (booked) {
+    return failure(409, {
+      error: "Already booked",
+      message: "You already have a seat on this session",
+      code: SEMINAR_SEAT_CODES.ALREADY_BOOKED,
+    });
+  }
+
+  const existing = await SeminarWaitlistEntry.findOne({
+    seminarId: seminar._id,
+    sessionId: sessionKey,
+    "attendeeInfo.email": email,
+    status: { $in: ["waiting", "offered"] },
+  }).lean();
+  const entry =
+    existing ||
+    (
+      await SeminarWaitlistEntry.create({
+        seminarId: seminar._id,
+        sessionId: sessionKey,
+        tenantId: seminar.tenantId,
+        attendeeInfo: {
+          name: attendee.name,
+          email,
+          phone: attendee.phone || "",
+        },
+      })
+    ).toObject();
+
+  // A seat freed while they were joining
+  if (!existing) {
+    await offerFreedSeminarSeats({
+      seminarId: seminar._id,
+      sessionId: session._id,
+      now,
+    });
+  }
+
+  const position =
+    entry.status === "waiting"
+      ? (await SeminarWaitlistEntry.countDocuments({
+          seminarId: seminar._id,
+          sessionId: sessionKey,
+          status: "waiting",
+          createdAt: { $lt: entry.createdAt },
+        })) + 1
+      : null;
+  return { ok: true, entry, position, created: !existing };
+}
+
+/**
+ * Take someone off a waitlist; a seat they'd been offered moves on
+ * @returns {Promise<{ ok: true, entry: object } | { ok: false, status: number, body: object }>}
+ */
+export async function removeSeminarWaitlistEntry({ seminarId, entryId }) {
+  const entry = await SeminarWaitlistEntry.findOneAndUpdate(
+    { _id: entryId, seminarId, status: { $in: ["waiting", "offered"] } },
+    { $set: { status: "removed" } },
+    { new: false },
+  ).lean();
+  if (!entry) {
+    return failure(404, { error: "Waitlist entry not found" });
+  }
+
+  if (entry.status === "offered") {
+    await releaseSeminarSeatHold({
+      seminarId: entry.seminarId,
+      sessionId: entry.sessionId,
+      bookingId: entry.offer.bookingId,
+    });
+  }
+  return { ok: true, entry: { ...entry, status: "removed" } };
+}
+
+/**
+ * Check a waitlist offer link at checkout and keep its seat held while the
+ * checkout is open
+ * @param {Date} params.holdUntil When the checkout session expires
+ * @returns {Promise<{ ok: true, entry: object, bookingId: string } | { ok: false, status: number, body: object }>}
+ */
+export async function claimSeminarWaitlistOffer({
+  token,
+  seminarId,
+  sessionId,
+  holdUntil,
+  now = new Date(),
+}) {
+  const invalid = failure(400, {
+    error: "Invalid offer link",
+    code: SEMINAR_SEAT_CODES.OFFER_INVALID,
+  });
+  const expired = failure(410, {
+    error: "Offer expired",
+    message: "This seat offer has expired",
+    code: SEMINAR_SEAT_CODES.OFFER_EXPIRED,
+  });
+
+  let claim;
+  try {
+    claim = jwt.verify(String(token || ""), JWT_SECRET, {
+      clockTimestamp: Math.floor(now.getTime() / 1000),
+    });
+  } catch (err) {
+    return err?.name === "TokenExpiredError" ? expired : invalid;
+  }
+  if (claim?.type !== CLAIM_TOKEN_TYPE) return invalid;
+
+  const entry = await SeminarWaitlistEntry.findById(
+    claim.waitlistEntryId,
+  ).lean();
+  if (
+    !entry ||
+    String(entry.seminarId) !== String(seminarId) ||
+    entry.sessionId !== String(sessionId)
+  ) {
+    return invalid;
+  }
+  if (entry.status !== "offered" || new Date(entry.offer.expiresAt) <= now) {
+    return expired;
+  }
+
+  const bookingId = entry.offer.bookingId;
+  const expiresAt = new Date(
+    Math.max(new Date(entry.offer.expiresAt).getTime(), holdUntil.getTime()),
+  );
+  const extended = await Seminar.updateOne(
+    sessionFilter(seminarId, sessionId, { "seatHolds.bookingId": bookingId }),
+    { $set: { "sessions.$[session].seatHolds.$[hold].expiresAt": expiresAt } },
+    {
+      arrayFilters: [
+        { "session._id": toObjectId(sessionId) },
+        { "hold.bookingId": toObjectId(bookingId) },
+      ],
+    },
+  );
+  if (!extended.matchedCount) return expired;
+
+  await SeminarWaitlistEntry.updateOne(
+    { _id: entry._id, status: "offered" },
+    { $set: { "offer.expiresAt": expiresAt } },
+  );
+  return { ok: true, entry, bookingId: String(bookingId) };
+}
+
+/**
+ * Expire waitlist offers nobody took up, and checkout holds whose Stripe
+ * session expired without the webhook releasing them. Their seats go to
+ * the next people waiting. Run by the seminar seat cron.
+ * @returns {Promise<{ expiredOffers: number, releasedHolds: number }>}
+ */
+export async function releaseExpiredSeminarHolds({
+  now = new Date(),
+  logger = console,
+} = {}) {
+  const dueOffers = await SeminarWaitlistEntry.find({
+    status: "offered",
+    "offer.expiresAt": { $lte: now },
+  })
+    .sort({ "offer.expiresAt": 1 })
+    .limit(100)
+    .lean();
+
+  for (const entry of dueOffers) {
+    try {
+      const { released } = await releaseSeminarSeatHold({
+        seminarId: entry.seminarId,
+        sessionId: entry.sessionId,
+        bookingId: entry.offer.bookingId,
+        now,
+      });
+      if (!released) {
+        await SeminarWaitlistEntry.updateOne(
+          { _id: entry._id, status: "offered" },
+          { $set: { status: "expired" } },
+        );
+      }
+    } catch (error) {
+      logger.error?.(
+        `[Seminar waitlist] Failed to expire offer ${entry._id}:`,
+        error,
+      );
+    }
+  }
+
+  const cutoff = new Date(now.getTime() - STALE_HOLD_GRACE_MINUTES * 60000);
+  const seminars = await Seminar.find({
+    "sessions.seatHolds": {
+      $elemMatch: { expiresAt: { $lte: cutoff }, waitlistEntryId: null },
+    },
+  })
+    .select("sessions")
+    .limit(100)
+    .lean();
+
+  let releasedHolds = 0;
+  for (const seminar of seminars) {
+    for (const session of seminar.sessions) {
+      try {
+        releasedHolds += await releaseLapsedCheckoutHolds({
+          seminarId: seminar._id,
+          session,
+          cutoff,
+          offerNext: true,
+          now,
+        });
+      } catch (error) {
+        logger.error?.(
+          `[Seminar waitlist] Failed to release holds on ${seminar._id}:`,
+          error,
+        );
+      }
+    }
+  }
+
+  return { expiredOffers: dueOffers.length, releasedHolds };
+}
+
+/**
+ * Start the seminar seat cron (every 5 minutes)
+ */
+export function startSeminarSeatCron() {
+  console.log("[Seminar waitlist] Starting seat hold cron (every 5 min)...");
+
+  return cron.schedule(
+    "*/5 * * * *",
+    () =>
+      releaseExpiredSeminarHolds().catch((error) =>
+        console.error("[Seminar waitlist] Seat hold cron error:", error),
+      ),
+    {
+      scheduled: true,
+      timezone: "UTC",
+    },
+  );
+}
+
+export default {
+  SEMINAR_SEAT_CODES,
+  CHECKOUT_HOLD_MINUTES,
+  WAITLIST_OFFER_HOURS,
+  holdSeminarSeat,
+  releaseSeminarSeatHold,
+  takeSeminarSeat,
+  freeSeminarSeat,
+  signSeminarClaimToken,
+  offerFreedSeminarSeats,
+  joinSeminarWaitlist,
+  removeSeminarWaitlistEntry,
+  claimSeminarWaitlistOffer,
+  releaseExpiredSeminarHolds,
+  startSeminarSeatCron,
+};
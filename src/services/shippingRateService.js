@@ -0,0 +1,290 @@
+import Location from "../models/Location.js";
+import ShippingZone from "../models/ShippingZone.js";
+import Tenant from "../models/Tenant.js";
+import {
+  DEFAULT_ZONES,
+  getZoneRates,
+  matchZone,
+  measureParcel,
+  toCountryCode,
+} from "../utils/shippingRates.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+/**
+ * Shipping quotes for the shop
+ *
+ * Rates come from a provider: the built-in engine (the tenant's
+ * ShippingZones, or DEFAULT_ZONES until it has some) or ShipEngine, when
+ * the tenant picks it and SHIPENGINE_API_KEY is set. Both take the same
+ * quote context and return the same options, and a ShipEngine failure
+ * falls back to the built-in engine. Click-and-collect at each location
+ * that offers it is added on top.
+ */
+
+const LOG_SHIPPING =
+  process.env.LOG_SHIPPING === "true" || process.env.LOG_VERBOSE === "true";
+const console = createConsoleLogger({
+  scope: "shipping",
+  verbose: LOG_SHIPPING,
+});
+
+export const SHIPPING_CODES = {
+  NO_RATES: "SHIPPING_NO_RATES",
+  INVALID_METHOD: "SHIPPING_INVALID_METHOD",
+};
+
+const COLLECTION_PREFIX = "collect:";
+
+// Collection before locations could offer it, at the order's default address
+const STORE_COLLECTION = {
+  id: "collect",
+  type: "collection",
+  name: "Collect in store",
+  price: 0,
+  estimatedDays: "",
+  description: "",
+  locationId: null,
+  address: null,
+};
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function formatAddress(address = {}) {
+  return [address.street, address.city, address.postalCode]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Built-in engine: the tenant's zones
+ */
+export const localProvider = {
+  name: "local",
+  isConfigured: () => true,
+  async getRates({ tenantId, destination, parcel, subtotal }) {
+    const zones = await ShippingZone.find({ tenantId, active: true })
+      .sort({ displayOrder: 1 })
+      .lean();
+    const zone = matchZone(zones.length ? zones : DEFAULT_ZONES, destination);
+    return {
+      zone: zone ? { id: String(zone._id), name: zone.name } : null,
+      options: zone
+        ? getZoneRates(zone, { weight: parcel.weight, subtotal })
+        : [],
+    };
+  },
+};
+
+/**
+ * ShipEngine rate estimates, in the same shape as the built-in engine
+ */
+export const shipEngineProvider = {
+  name: "shipengine",
+  isConfigured: () => Boolean(process.env.SHIPENGINE_API_KEY),
+  async getRates({ destination, parcel, origin }) {
+    const carrierId = process.env.ROYAL_MAIL_CARRIER_ID || "";
+
+    const response = await fetch(
+      "https://api.shipengine.com/v1/rates/estimate",
+      {
+        method: "POST",
+        headers: {
+          "API-Key": process.env.SHIPENGINE_API_KEY,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          carrier_ids: carrierId ? [carrierId] : [],
+          from_country_code: origin.countryCode,
+          from_postal_code: origin.postalCode,
+          to_country_code: destination.countryCode,
+          to_postal_code: destination.postalCode,
+          to_city_locality: destination.city || "",
+          to_state_province: "",
+          weight: { value: parcel.weight, unit: "kilogram" },
+          dimensions: {
+            length: 40,
+            width: 30,
+            height: 15,
+            unit: "centimeter",
+          },
+        }),
+      },
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        `ShipEngine ${response.status}: ${data?.message || "rate error"}`,
+      );
+    }
+
+    const options = (Array.isArray(data) ? data : [])
+      .filter((rate) => rate.shipping_amount?.amount != null)
+      .map((rate) => ({
+        id: `shipengine:${rate.service_code}`,
+        type: "delivery",
+        name: rate.service_type || rate.service_code,
+        price: Number(rate.shipping_amount.amount),
+        estimatedDays: rate.delivery_days
+          ? `${rate.delivery_days} business days`
+          : "",
+        description: rate.carrier_friendly_name || "",
+      }))
+      .sort((a, b) => a.price - b.price);
+    return { zone: null, options };
+  },
+};
+
+export const PROVIDERS = {
+  local: localProvider,
+  shipengine: shipEngineProvider,
+};
+
+/**
+ * Click-and-collect options, one per location offering it
+ */
+export async function getCollectionOptions({ tenantId }) {
+  const locations = await Location.find({
+    tenantId,
+    isActive: true,
+    "settings.collection.enabled": true,
+  })
+    .select("name address settings.collection displayOrder")
+    .sort({ displayOrder: 1 })
+    .lean();
+
+  return locations.map((location) => {
+    const collection = location.settings.collection;
+    return {
+      id: `${COLLECTION_PREFIX}${location._id}`,
+      type: "collection",
+      name: `Collect from ${location.name}`,
+      price: Number(collection.fee || 0),
+      estimatedDays: collection.readyIn || "",
+      description: collection.instructions || "",
+      locationId: location._id,
+      address: formatAddress(location.address),
+    };
+  });
+}
+
+/**
+ * Shipping options for a basket going to an address
+ * @param {Object} params.destination { countryCode, postalCode, city? }
+ * @param {Object[]} params.items { weight (kg per unit), quantity }
+ * @param {number} params.subtotal Basket value for price bands and free
+ *   shipping, after any promo discount
+ * @returns {Promise<{ ok: true, provider: string, zone: object|null, options: object[], weight: number, productWeight: number, packagingWeight: number } | { ok: false, status: number, body: object }>}
+ */
+export async function getShippingQuote({
+  tenantId,
+  destination,
+  items,
+  subtotal = 0,
+}) {
+  const tenant = await Tenant.findById(tenantId)
+    .select("shippingSettings")
+    .lean();
+  const settings = tenant?.shippingSettings || {};
+  const context = {
+    tenantId,
+    destination: {
+      ...destination,
+      countryCode: toCountryCode(destination.countryCode),
+    },
+    parcel: measureParcel(items),
+    subtotal,
+    origin: {
+      postalCode:
+        settings.originPostalCode || process.env.SHIPPING_ORIGIN_POSTCODE || "",
+      countryCode: settings.originCountryCode || "GB",
+    },
+  };
+
+  let provider = PROVIDERS[settings.provider] || PROVIDERS.local;
+  if (!provider.isConfigured()) provider = PROVIDERS.local;
+
+  let rates;
+  try {
+    rates = await provider.getRates(context);
+  } catch (err) {
+    if (provider === PROVIDERS.local) throw err;
+    console.error("[SHIPPING] Provider failed, using local rates:", err);
+    provider = PROVIDERS.local;
+    rates = await provider.getRates(context);
+  }
+  if (provider !== PROVIDERS.local && !rates.options.length) {
+    provider = PROVIDERS.local;
+    rates = await provider.getRates(context);
+  }
+
+  const collection = await getCollectionOptions({ tenantId });
+  const options = [...rates.options, ...collection];
+  if (!options.length) {
+    return failure(422, {
+      error: "We don't deliver to this address",
+      code: SHIPPING_CODES.NO_RATES,
+    });
+  }
+
+  return {
+    ok: true,
+    provider: provider.name,
+    zone: rates.zone,
+    options,
+    weight: context.parcel.weight,
+    productWeight: context.parcel.productWeight,
+    packagingWeight: context.parcel.packagingWeight,
+  };
+}
+
+/**
+ * Price the option a basket picked from a fresh quote, so checkout never
+ * charges a client-sent shipping price. Without a method id it's the
+ * cheapest delivery, or the first collection point when collecting; a
+ * tenant with no collection points keeps the old free in-store collection.
+ * @returns {Promise<{ ok: true, option: object } | { ok: false, status: number, body: object }>}
+ */
+export async function resolveShippingOption({
+  tenantId,
+  methodId = null,
+  collection = false,
+  destination,
+  items,
+  subtotal = 0,
+}) {
+  const quote = await getShippingQuote({
+    tenantId,
+    destination,
+    items,
+    subtotal,
+  });
+  if (!quote.ok && !collection) return quote;
+
+  const options = quote.ok ? quote.options : [];
+  const type = collection ? "collection" : "delivery";
+  let option = methodId
+    ? options.find((candidate) => candidate.id === methodId)
+    : options.find((candidate) => candidate.type === type);
+  if (!option && collection && !methodId) {
+    option = { ...STORE_COLLECTION };
+  }
+  if (!option) {
+    return failure(400, {
+      error: "That shipping option isn't available for this order",
+      code: SHIPPING_CODES.INVALID_METHOD,
+    });
+  }
+  return { ok: true, option };
+}
+
+export default {
+  SHIPPING_CODES,
+  PROVIDERS,
+  localProvider,
+  shipEngineProvider,
+  getCollectionOptions,
+  getShippingQuote,
+  resolveShippingOption,
+};
@@ -5,9 +5,19 @@ import timezone from "dayjs/plugin/timezone.js";
 import Appointment from "../models/Appointment.js";
 import Service from "../models/Service.js";
 import Specialist from "../models/Specialist.js";
+import Tenant from "../models/Tenant.js";
 import WaitlistEntry from "../models/WaitlistEntry.js";
 import { sendConfirmationEmail } from "../emails/mailer.js";
 import smsService from "./smsService.js";
+import {
+  resolveWaitlistOfferSettings,
+  offerCancelledSlot,
+} from "./waitlistOfferService.js";
+import {
+  buildActiveAppointmentFilter,
+  buildWaitlistCandidateQuery,
+  getWaitlistTarget,
+} from "../utils/waitlistMatching.js";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -16,34 +26,6 @@ function isCancelledStatus(status) {
   return typeof status === "string" && status.startsWith("cancelled");
 }
 
-function getDateKey(date, tz = "Europe/London") {
-  return dayjs(date).tz(tz).format("YYYY-MM-DD");
-}
-
-function getTimePreference(date, tz = "Europe/London") {
-  const hour = dayjs(date).tz(tz).hour();
-  if (hour < 12) return "morning";
-  if (hour < 17) return "afternoon";
-  return "evening";
-}
-
-function buildActiveAppointmentFilter({ start, end }) {
-  const threeMinutesAgo = new Date(Date.now() - 3 * 60 * 1000);
-  return {
-    start: { $lt: end },
-    end: { $gt: start },
-    $and: [
-      { status: { $not: /^cancelled/ } },
-      {
-        $or: [
-          { status: { $ne: "reserved_unpaid" } },
-          { createdAt: { $gte: threeMinutesAgo } },
-        ],
-      },
-    ],
-  };
-}
-
 async function sendWaitlistFillSms({
   to,
   serviceName,
@@ -63,10 +45,15 @@ async function sendWaitlistFillSms({
 
 /**
  * Try to auto-fill a newly cancelled slot from active waitlist entries.
+ * salonTz should be the tenant/location timezone (see loadSchedulingContext);
+ * it drives the desiredDate key and morning/afternoon/evening matching.
+ * Tenants in waitlist offer mode get claim links instead (see
+ * waitlistOfferService); the result then carries offered: true.
  */
 export async function autoFillCancelledSlot({
   appointmentId,
   tenantId,
+  salonTz: salonTzParam,
   logger = console,
   deps = {},
 }) {
@@ -78,10 +65,11 @@ export async function autoFillCancelledSlot({
   const WaitlistModel = deps.WaitlistModel || WaitlistEntry;
   const ServiceModel = deps.ServiceModel || Service;
   const SpecialistModel = deps.SpecialistModel || Specialist;
+  const TenantModel = deps.TenantModel || Tenant;
   const sendConfirmation = deps.sendConfirmationEmail || sendConfirmationEmail;
   const sendSms = deps.sendWaitlistFillSms || sendWaitlistFillSms;
 
-  const salonTz = process.env.SALON_TZ || "Europe/London";
+  const salonTz = salonTzParam || process.env.SALON_TZ || "Europe/London";
 
   try {
     const cancelledAppointment = await AppointmentModel.findOne({
@@ -97,50 +85,33 @@ export async function autoFillCancelledSlot({
       return { filled: false, reason: "appointment_not_cancelled" };
     }
 
-    const targetServiceId =
-      cancelledAppointment.serviceId ||
-      cancelledAppointment.services?.[0]?.serviceId;
-    const targetVariantName =
-      cancelledAppointment.variantName ||
-      cancelledAppointment.services?.[0]?.variantName;
-
-    if (!targetServiceId || !targetVariantName) {
+    const target = getWaitlistTarget(cancelledAppointment);
+    if (!target) {
       return { filled: false, reason: "unsupported_service_shape" };
     }
+    const { serviceId: targetServiceId, variantName: targetVariantName } =
+      target;
 
-    const desiredDate = getDateKey(cancelledAppointment.start, salonTz);
-    const slotTimePreference = getTimePreference(cancelledAppointment.start, salonTz);
+    const tenant = await TenantModel.findById(tenantId)
+      .select("slug schedulingSettings")
+      .lean();
+    const offerSettings = resolveWaitlistOfferSettings(tenant);
+    if (offerSettings.mode === "offer") {
+      const offer = await offerCancelledSlot({
+        appointment: cancelledAppointment,
+        tenant,
+        salonTz,
+        settings: offerSettings,
+        deps,
+      });
+      return { filled: false, ...offer };
+    }
 
-    const candidateQuery = {
+    const candidateQuery = buildWaitlistCandidateQuery({
       tenantId,
-      status: "active",
-      serviceId: targetServiceId,
-      variantName: targetVariantName,
-      $and: [
-        {
-          $or: [
-            { specialistId: cancelledAppointment.specialistId },
-            { specialistId: null },
-            { specialistId: { $exists: false } },
-          ],
-        },
-        {
-          $or: [
-            { desiredDate },
-            { desiredDate: null },
-            { desiredDate: "" },
-            { desiredDate: { $exists: false } },
-          ],
-        },
-        {
-          $or: [
-            { timePreference: slotTimePreference },
-            { timePreference: "any" },
-            { timePreference: { $exists: false } },
-          ],
-        },
-      ],
-    };
+      appointment: cancelledAppointment,
+      salonTz,
+    });
 
     const candidates = await WaitlistModel.find(candidateQuery)
       .sort({ priority: -1, createdAt: 1 })
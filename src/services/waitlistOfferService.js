@@ -0,0 +1,933 @@
+import cron from "node-cron";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import Appointment from "../models/Appointment.js";
+import Service from "../models/Service.js";
+import Specialist from "../models/Specialist.js";
+import Tenant from "../models/Tenant.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import ClientService from "./clientService.js";
+import smsService from "./smsService.js";
+import { cancelAppointment } from "./appointmentCancellationService.js";
+import { releaseGiftCardReservation } from "./giftCardRedemptionService.js";
+import {
+  sendCancellationEmails,
+  sendWaitlistOfferEmail,
+} from "../emails/mailer.js";
+import { JWT_SECRET } from "../config/security.js";
+import { loadSchedulingContext } from "../utils/schedulingContext.js";
+import {
+  buildActiveAppointmentFilter,
+  buildWaitlistCandidateQuery,
+  getWaitlistTarget,
+} from "../utils/waitlistMatching.js";
+import { createConsoleLogger } from "../utils/logger.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const console = createConsoleLogger({
+  scope: "waitlist-offers",
+  verbose: process.env.LOG_VERBOSE === "true",
+});
+
+/**
+ * Waitlist offer mode
+ *
+ * Instead of confirming the first matching waitlist entry (auto-fill), a
+ * freed slot is offered to the top N entries by email/SMS with a signed
+ * claim link. Claiming holds the offer for that claim until its checkout
+ * session expires and creates a reserved_unpaid appointment that goes
+ * through checkout. A claim paid after losing the offer is refunded and
+ * cancelled. When a round expires unclaimed, the cron offers the slot to
+ * the next N entries.
+ *
+ * Offer state lives on the cancelled appointment (waitlistOffer); each
+ * entry's offers, expiries and claims are recorded in its audit trail.
+ */
+
+export const WAITLIST_MODES = ["auto_confirm", "offer"];
+export const DEFAULT_OFFER_BATCH_SIZE = 3;
+export const DEFAULT_OFFER_EXPIRY_MINUTES = 30;
+// Claim checkouts last Stripe's shortest session; the hold outlives them
+export const WAITLIST_CLAIM_SESSION_MINUTES = 30;
+const CLAIM_HOLD_MINUTES = WAITLIST_CLAIM_SESSION_MINUTES + 5;
+
+export const WAITLIST_OFFER_CODES = {
+  INVALID: "WAITLIST_OFFER_INVALID",
+  EXPIRED: "WAITLIST_OFFER_EXPIRED",
+  CLOSED: "WAITLIST_OFFER_CLOSED",
+  SLOT_UNAVAILABLE: "SLOT_UNAVAILABLE",
+};
+
+const CLAIM_TOKEN_TYPE = "waitlist_claim";
+
+// A claim that lost the slot gets everything it paid back
+const LOST_CLAIM_POLICY = {
+  refundBands: [{ minHoursBefore: 0, percent: 100 }],
+  appliesTo: "full",
+};
+
+function failure(status, body) {
+  return { ok: false, status, body };
+}
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Waitlist mode and offer sizing from tenant.schedulingSettings.
+ * @returns {{ mode: "auto_confirm"|"offer", batchSize: number, expiryMinutes: number }}
+ */
+export function resolveWaitlistOfferSettings(tenant) {
+  const settings = tenant?.schedulingSettings || {};
+  return {
+    mode: settings.waitlistMode === "offer" ? "offer" : "auto_confirm",
+    batchSize:
+      toPositiveInt(settings.waitlistOfferBatchSize) ||
+      DEFAULT_OFFER_BATCH_SIZE,
+    expiryMinutes:
+      toPositiveInt(settings.waitlistOfferExpiryMinutes) ||
+      DEFAULT_OFFER_EXPIRY_MINUTES,
+  };
+}
+
+/**
+ * Signed claim token for one entry's offer; JWT expiry matches the offer.
+ */
+export function signWaitlistClaimToken({
+  tenantId,
+  waitlistEntryId,
+  appointmentId,
+  expiresAt,
+}) {
+  return jwt.sign(
+    {
+      type: CLAIM_TOKEN_TYPE,
+      tenantId: String(tenantId),
+      waitlistEntryId: String(waitlistEntryId),
+      appointmentId: String(appointmentId),
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+    },
+    JWT_SECRET,
+  );
+}
+
+/**
+ * @returns {{ ok: true, claim: object } | { ok: false, status: number, body: object }}
+ */
+export function verifyWaitlistClaimToken(token, { now = new Date() } = {}) {
+  try {
+    const claim = jwt.verify(String(token || ""), JWT_SECRET, {
+      clockTimestamp: Math.floor(now.getTime() / 1000),
+    });
+    if (claim?.type !== CLAIM_TOKEN_TYPE) throw new Error("Wrong token type");
+    return { ok: true, claim };
+  } catch (err) {
+    if (err?.name === "TokenExpiredError") {
+      return failure(410, {
+        error: "Offer expired",
+        message: "This waitlist offer has expired",
+        code: WAITLIST_OFFER_CODES.EXPIRED,
+      });
+    }
+    return failure(400, {
+      error: "Invalid claim link",
+      code: WAITLIST_OFFER_CODES.INVALID,
+    });
+  }
+}
+
+function buildClaimLink({ tenant, token }) {
+  const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+  const tenantPath = tenant?.slug ? `/salon/${tenant.slug}` : "";
+  return `${frontend}${tenantPath}/waitlist/claim/${token}`;
+}
+
+async function sendWaitlistOfferSms({
+  to,
+  serviceName,
+  start,
+  expiresAt,
+  link,
+  tz,
+}) {
+  if (!to) return;
+
+  const slotLabel = dayjs(start).tz(tz).format("ddd D MMM [at] HH:mm");
+  const expiryLabel = dayjs(expiresAt).tz(tz).format("HH:mm");
+  const message = `A ${serviceName} slot on ${slotLabel} is free. Claim it before ${expiryLabel}: ${link}`;
+
+  await smsService.sendSMS(to, message);
+}
+
+/**
+ * Offer a freed slot to the next round of waitlist entries.
+ * Entries offered this slot before are skipped. The offer is closed when
+ * the slot has been rebooked or nobody is left to offer it to.
+ * @param {Object} params
+ * @param {Object} params.appointment cancelled appointment (lean)
+ * @returns {Promise<{ offered: boolean, reason?: string, round?: number, waitlistEntryIds?: string[], expiresAt?: Date }>}
+ */
+export async function sendWaitlistOfferRound({
+  appointment,
+  tenant,
+  salonTz,
+  settings,
+  now = new Date(),
+  logger = console,
+  deps = {},
+}) {
+  const AppointmentModel = deps.AppointmentModel || Appointment;
+  const WaitlistModel = deps.WaitlistModel || WaitlistEntry;
+  const ServiceModel = deps.ServiceModel || Service;
+  const SpecialistModel = deps.SpecialistModel || Specialist;
+  const sendEmail = deps.sendWaitlistOfferEmail || sendWaitlistOfferEmail;
+  const sendSms = deps.sendWaitlistOfferSms || sendWaitlistOfferSms;
+
+  const tenantId = appointment.tenantId;
+  const previous = appointment.waitlistOffer;
+  const round = (previous?.round || 0) + 1;
+  const offeredIds = (previous?.offers || []).map((offer) =>
+    String(offer.waitlistEntryId),
+  );
+  // Only the process that moved the offer on from this state may send
+  const stateFilter = previous
+    ? { "waitlistOffer.status": "open", "waitlistOffer.round": previous.round }
+    : { waitlistOffer: { $exists: false } };
+
+  const closeOffer = async (reason) => {
+    await AppointmentModel.updateOne(
+      { _id: appointment._id, tenantId, ...stateFilter },
+      {
+        $set: {
+          "waitlistOffer.status": "closed",
+          "waitlistOffer.round": previous?.round || 0,
+          "waitlistOffer.closedAt": now,
+          "waitlistOffer.closeReason": reason,
+        },
+      },
+    );
+    return { offered: false, reason };
+  };
+
+  if (new Date(appointment.start) <= now) return closeOffer("slot_passed");
+
+  const slotConflict = await AppointmentModel.findOne({
+    tenantId,
+    _id: { $ne: appointment._id },
+    specialistId: appointment.specialistId,
+    ...buildActiveAppointmentFilter({
+      start: appointment.start,
+      end: appointment.end,
+    }),
+  }).lean();
+  if (slotConflict) return closeOffer("slot_already_taken");
+
+  const candidates = await WaitlistModel.find({
+    ...buildWaitlistCandidateQuery({ tenantId, appointment, salonTz }),
+    _id: { $nin: offeredIds },
+  })
+    .sort({ priority: -1, createdAt: 1 })
+    .limit(25)
+    .lean();
+
+  const selected = [];
+  for (const candidate of candidates) {
+    if (selected.length >= settings.batchSize) break;
+    if (!candidate.client?.email) continue;
+
+    const existingClientBooking = await AppointmentModel.findOne({
+      tenantId,
+      "client.email": candidate.client.email.toLowerCase().trim(),
+      ...buildActiveAppointmentFilter({
+        start: appointment.start,
+        end: appointment.end,
+      }),
+    }).lean();
+    if (!existingClientBooking) selected.push(candidate);
+  }
+
+  if (!selected.length) return closeOffer("no_waitlist_candidates");
+
+  const expiresAt = new Date(
+    Math.min(
+      now.getTime() + settings.expiryMinutes * 60000,
+      new Date(appointment.start).getTime(),
+    ),
+  );
+  const offers = selected.map((entry) => ({
+    waitlistEntryId: entry._id,
+    round,
+    sentAt: now,
+    expiresAt,
+  }));
+
+  const updated = await AppointmentModel.findOneAndUpdate(
+    { _id: appointment._id, tenantId, ...stateFilter },
+    {
+      $set: {
+        "waitlistOffer.status": "open",
+        "waitlistOffer.round": round,
+        "waitlistOffer.expiresAt": expiresAt,
+      },
+      $push: { "waitlistOffer.offers": { $each: offers } },
+    },
+    { new: true },
+  ).lean();
+  if (!updated) return { offered: false, reason: "offer_already_sent" };
+
+  await WaitlistModel.updateMany(
+    { _id: { $in: selected.map((entry) => entry._id) }, tenantId },
+    {
+      $set: { notifiedAt: now },
+      $push: {
+        audit: {
+          action: "waitlist_offer_sent",
+          at: now,
+          by: "system",
+          meta: {
+            cancelledAppointmentId: String(appointment._id),
+            round,
+            start: appointment.start,
+            expiresAt,
+          },
+        },
+      },
+    },
+  );
+
+  const { serviceId, variantName } = getWaitlistTarget(appointment);
+  const [service, specialist] = await Promise.all([
+    ServiceModel.findById(serviceId).lean(),
+    SpecialistModel.findById(appointment.specialistId).lean(),
+  ]);
+  const serviceName = service?.name || variantName;
+
+  for (const entry of selected) {
+    const link = buildClaimLink({
+      tenant,
+      token: signWaitlistClaimToken({
+        tenantId,
+        waitlistEntryId: entry._id,
+        appointmentId: appointment._id,
+        expiresAt,
+      }),
+    });
+
+    try {
+      await sendEmail({
+        entry,
+        link,
+        serviceName,
+        specialistName: specialist?.name || "our team",
+        start: appointment.start,
+        expiresAt,
+        tz: salonTz,
+      });
+    } catch (emailError) {
+      logger.error?.("[Waitlist] Offer email failed", emailError);
+    }
+
+    try {
+      await sendSms({
+        to: entry.client?.phone,
+        serviceName,
+        start: appointment.start,
+        expiresAt,
+        link,
+        tz: salonTz,
+      });
+    } catch (smsError) {
+      logger.error?.("[Waitlist] Offer SMS failed", smsError);
+    }
+  }
+
+  return {
+    offered: true,
+    round,
+    waitlistEntryIds: selected.map((entry) => String(entry._id)),
+    expiresAt,
+  };
+}
+
+/**
+ * Start offering a newly cancelled slot (offer mode counterpart of
+ * autoFillCancelledSlot). Slots already offered are left alone.
+ */
+export async function offerCancelledSlot({
+  appointment,
+  tenant,
+  salonTz,
+  settings = resolveWaitlistOfferSettings(tenant),
+  now = new Date(),
+  logger = console,
+  deps = {},
+}) {
+  if (appointment.waitlistOffer) {
+    return { offered: false, reason: "already_offered" };
+  }
+  return sendWaitlistOfferRound({
+    appointment,
+    tenant,
+    salonTz,
+    settings,
+    now,
+    logger,
+    deps,
+  });
+}
+
+/**
+ * Reopen offers whose claim was never paid, then expire offer rounds
+ * nobody claimed and offer those slots to the next entries. Run by the
+ * waitlist offer cron.
+ * @returns {Promise<{ processed: number }>}
+ */
+export async function rollExpiredWaitlistOffers({
+  now = new Date(),
+  logger = console,
+  deps = {},
+} = {}) {
+  const AppointmentModel = deps.AppointmentModel || Appointment;
+  const WaitlistModel = deps.WaitlistModel || WaitlistEntry;
+  const TenantModel = deps.TenantModel || Tenant;
+  const loadContext = deps.loadSchedulingContext || loadSchedulingContext;
+
+  await AppointmentModel.updateMany(
+    {
+      "waitlistOffer.status": "claimed",
+      "waitlistOffer.claimExpiresAt": { $lte: now },
+    },
+    {
+      $set: { "waitlistOffer.status": "open" },
+      $unset: {
+        "waitlistOffer.claimedEntryId": "",
+        "waitlistOffer.claimedAppointmentId": "",
+        "waitlistOffer.claimExpiresAt": "",
+      },
+    },
+  );
+
+  const due = await AppointmentModel.find({
+    "waitlistOffer.status": "open",
+    "waitlistOffer.expiresAt": { $lte: now },
+  })
+    .sort({ "waitlistOffer.expiresAt": 1 })
+    .limit(100)
+    .lean();
+
+  for (const appointment of due) {
+    try {
+      const { round, offers = [] } = appointment.waitlistOffer;
+      const expiredIds = offers
+        .filter((offer) => offer.round === round)
+        .map((offer) => offer.waitlistEntryId);
+      await WaitlistModel.updateMany(
+        { _id: { $in: expiredIds }, tenantId: appointment.tenantId },
+        {
+          $push: {
+            audit: {
+              action: "waitlist_offer_expired",
+              at: now,
+              by: "system",
+              meta: { cancelledAppointmentId: String(appointment._id), round },
+            },
+          },
+        },
+      );
+
+      const tenant = await TenantModel.findById(appointment.tenantId)
+        .select("slug timezone schedulingSettings")
+        .lean();
+      const { salonTz } = await loadContext({
+        tenantId: appointment.tenantId,
+        tenant,
+        locationId: appointment.locationId || null,
+      });
+      await sendWaitlistOfferRound({
+        appointment,
+        tenant,
+        salonTz,
+        settings: resolveWaitlistOfferSettings(tenant),
+        now,
+        logger,
+        deps,
+      });
+    } catch (error) {
+      logger.error?.(
+        `[Waitlist] Failed to roll offer for appointment ${appointment._id}:`,
+        error,
+      );
+    }
+  }
+
+  return { processed: due.length };
+}
+
+/**
+ * Whether an entry may claim an offer: it is open, or this entry's own
+ * claim holds it unpaid.
+ */
+function isOfferClaimable(offer, waitlistEntryId, now) {
+  if (offer?.status === "open") return true;
+  return (
+    offer?.status === "claimed" &&
+    String(offer.claimedEntryId) === String(waitlistEntryId) &&
+    Boolean(offer.claimExpiresAt) &&
+    new Date(offer.claimExpiresAt) > now
+  );
+}
+
+/**
+ * Hold an offer for one claim until its checkout session expires. Only an
+ * open offer, or one the same entry already holds unpaid, can be held.
+ * @returns {Promise<object|null>} the source appointment, or null when
+ *   another claim holds the offer or it has closed
+ */
+async function holdWaitlistOffer({
+  sourceId,
+  waitlistEntryId,
+  appointmentId,
+  now,
+  AppointmentModel,
+}) {
+  const claimExpiresAt = new Date(now.getTime() + CLAIM_HOLD_MINUTES * 60000);
+  return AppointmentModel.findOneAndUpdate(
+    {
+      _id: sourceId,
+      $or: [
+        { "waitlistOffer.status": "open" },
+        {
+          "waitlistOffer.status": "claimed",
+          "waitlistOffer.claimedEntryId": waitlistEntryId,
+          "waitlistOffer.claimExpiresAt": { $gt: now },
+        },
+      ],
+    },
+    {
+      $set: {
+        "waitlistOffer.status": "claimed",
+        "waitlistOffer.claimedEntryId": waitlistEntryId,
+        "waitlistOffer.claimedAppointmentId": appointmentId,
+        "waitlistOffer.claimExpiresAt": claimExpiresAt,
+      },
+    },
+    { new: true },
+  ).lean();
+}
+
+/**
+ * Check a claim link and load what it offers.
+ * @returns {Promise<{ ok: true, claim: object, source: object, entry: object, offer: object } | { ok: false, status: number, body: object }>}
+ */
+export async function loadWaitlistOffer({
+  token,
+  tenantId = null,
+  now = new Date(),
+  deps = {},
+}) {
+  const AppointmentModel = deps.AppointmentModel || Appointment;
+  const WaitlistModel = deps.WaitlistModel || WaitlistEntry;
+
+  const verified = verifyWaitlistClaimToken(token, { now });
+  if (!verified.ok) return verified;
+  const { claim } = verified;
+  if (tenantId && String(tenantId) !== claim.tenantId) {
+    return failure(400, {
+      error: "Invalid claim link",
+      code: WAITLIST_OFFER_CODES.INVALID,
+    });
+  }
+
+  const closed = failure(410, {
+    error: "Offer closed",
+    message: "This slot is no longer available",
+    code: WAITLIST_OFFER_CODES.CLOSED,
+  });
+
+  const source = await AppointmentModel.findOne({
+    _id: claim.appointmentId,
+    tenantId: claim.tenantId,
+  }).lean();
+  if (!isOfferClaimable(source?.waitlistOffer, claim.waitlistEntryId, now)) {
+    return closed;
+  }
+
+  const offer = (source.waitlistOffer.offers || []).find(
+    (item) => String(item.waitlistEntryId) === claim.waitlistEntryId,
+  );
+  if (!offer || new Date(offer.expiresAt) <= now) {
+    return failure(410, {
+      error: "Offer expired",
+      message: "This waitlist offer has expired",
+      code: WAITLIST_OFFER_CODES.EXPIRED,
+    });
+  }
+
+  const entry = await WaitlistModel.findOne({
+    _id: claim.waitlistEntryId,
+    tenantId: claim.tenantId,
+    status: "active",
+  }).lean();
+  if (!entry) return closed;
+
+  return { ok: true, claim, source, entry, offer };
+}
+
+/**
+ * Claim an offered slot: reserve it for the entry's client so they can pay
+ * the deposit through checkout (POST /api/checkout/create-session with the
+ * returned appointmentId). The offer is held for this claim, so other
+ * claimants are turned away while its checkout can be paid; the claim
+ * settles when payment completes.
+ * @returns {Promise<{ ok: true, appointment: object } | { ok: false, status: number, body: object }>}
+ */
+export async function claimWaitlistOffer({
+  token,
+  tenantId = null,
+  now = new Date(),
+  deps = {},
+}) {
+  const AppointmentModel = deps.AppointmentModel || Appointment;
+  const WaitlistModel = deps.WaitlistModel || WaitlistEntry;
+  const clients = deps.ClientService || ClientService;
+
+  const loaded = await loadWaitlistOffer({ token, tenantId, now, deps });
+  if (!loaded.ok) return loaded;
+  const { source, entry } = loaded;
+
+  const slotConflict = await AppointmentModel.findOne({
+    tenantId: source.tenantId,
+    _id: { $ne: source._id },
+    specialistId: source.specialistId,
+    ...buildActiveAppointmentFilter({ start: source.start, end: source.end }),
+  }).lean();
+  const slotTaken = failure(409, {
+    error: "Slot no longer available",
+    message: "Someone else is booking this slot right now",
+    code: WAITLIST_OFFER_CODES.SLOT_UNAVAILABLE,
+  });
+  if (slotConflict) return slotTaken;
+
+  const appointmentId = new mongoose.Types.ObjectId();
+  const held = await holdWaitlistOffer({
+    sourceId: source._id,
+    waitlistEntryId: entry._id,
+    appointmentId,
+    now,
+    AppointmentModel,
+  });
+  if (!held) return slotTaken;
+
+  const client = {
+    name: entry.client?.name || "Client",
+    email: entry.client?.email || "",
+    phone: entry.client?.phone || "",
+  };
+  const globalClient = await clients.findOrCreateClient(client);
+  await clients.findOrCreateTenantClient(source.tenantId, globalClient._id, {
+    name: globalClient.name,
+  });
+
+  const { serviceId, variantName } = getWaitlistTarget(source);
+  const appointment = await AppointmentModel.create({
+    _id: appointmentId,
+    tenantId: source.tenantId,
+    client,
+    clientId: globalClient._id,
+    ...(entry.client?.userId ? { userId: entry.client.userId } : {}),
+    specialistId: source.specialistId,
+    serviceId,
+    variantName,
+    ...(source.services?.length ? { services: source.services } : {}),
+    ...(source.totalDuration ? { totalDuration: source.totalDuration } : {}),
+    start: source.start,
+    end: source.end,
+    price: source.price,
+    status: "reserved_unpaid",
+    ...(source.locationId ? { locationId: source.locationId } : {}),
+    ...(source.resourceIds?.length ? { resourceIds: source.resourceIds } : {}),
+    ...(source.processingWindows?.length
+      ? { processingWindows: source.processingWindows }
+      : {}),
+    waitlistClaim: {
+      waitlistEntryId: entry._id,
+      sourceAppointmentId: source._id,
+    },
+    audit: [
+      {
+        at: now,
+        action: "waitlist_offer_claim",
+        by: "client",
+        meta: { waitlistEntryId: String(entry._id) },
+      },
+    ],
+  });
+
+  await WaitlistModel.updateOne(
+    { _id: entry._id, tenantId: source.tenantId },
+    {
+      $push: {
+        audit: {
+          action: "waitlist_offer_claim_started",
+          at: now,
+          by: `client:${client.email}`,
+          meta: {
+            cancelledAppointmentId: String(source._id),
+            appointmentId: String(appointment._id),
+          },
+        },
+      },
+    },
+  );
+
+  return {
+    ok: true,
+    appointment:
+      typeof appointment.toObject === "function"
+        ? appointment.toObject()
+        : appointment,
+  };
+}
+
+/**
+ * Settle a paid waitlist claim: the slot's offer is marked claimed, the
+ * entry converted, and the other offered entries told (in their audit)
+ * that the slot has gone. A claim paid after another claim took the offer
+ * is refunded in full and cancelled instead. Safe to call more than once.
+ * @param {{ appointment: object }} params paid appointment with waitlistClaim
+ * @returns {Promise<{ completed: boolean, lost?: boolean, status?: string }>}
+ */
+export async function completeWaitlistClaim({
+  appointment,
+  now = new Date(),
+  deps = {},
+}) {
+  const claim = appointment?.waitlistClaim;
+  if (!claim?.sourceAppointmentId) return { completed: false };
+
+  const AppointmentModel = deps.AppointmentModel || Appointment;
+  const WaitlistModel = deps.WaitlistModel || WaitlistEntry;
+  const sourceId = String(claim.sourceAppointmentId);
+
+  const source = await AppointmentModel.findOneAndUpdate(
+    {
+      _id: claim.sourceAppointmentId,
+      $or: [
+        { "waitlistOffer.status": "open" },
+        {
+          "waitlistOffer.status": "claimed",
+          "waitlistOffer.claimedAppointmentId": appointment._id,
+        },
+      ],
+    },
+    {
+      $set: {
+        "waitlistOffer.status": "claimed",
+        "waitlistOffer.claimedEntryId": claim.waitlistEntryId,
+        "waitlistOffer.claimedAppointmentId": appointment._id,
+        "waitlistOffer.closedAt": now,
+      },
+      $unset: { "waitlistOffer.claimExpiresAt": "" },
+    },
+    { new: true },
+  ).lean();
+  if (!source) {
+    return refundLostWaitlistClaim({ appointment, now, deps });
+  }
+
+  await WaitlistModel.findOneAndUpdate(
+    { _id: claim.waitlistEntryId, status: "active" },
+    {
+      $set: {
+        status: "converted",
+        convertedAt: now,
+        convertedAppointmentId: appointment._id,
+      },
+      $push: {
+        audit: {
+          action: "waitlist_offer_claimed",
+          at: now,
+          by: "system",
+          meta: {
+            cancelledAppointmentId: sourceId,
+            convertedAppointmentId: String(appointment._id),
+          },
+        },
+      },
+    },
+  );
+
+  const otherIds = (source.waitlistOffer.offers || [])
+    .map((offer) => offer.waitlistEntryId)
+    .filter((id) => String(id) !== String(claim.waitlistEntryId));
+  if (otherIds.length) {
+    await WaitlistModel.updateMany(
+      { _id: { $in: otherIds }, status: "active" },
+      {
+        $push: {
+          audit: {
+            action: "waitlist_offer_closed",
+            at: now,
+            by: "system",
+            meta: {
+              cancelledAppointmentId: sourceId,
+              reason: "claimed_by_another_client",
+            },
+          },
+        },
+      },
+    );
+  }
+
+  return { completed: true };
+}
+
+/**
+ * Refund and cancel a claim that was paid after another claim took the
+ * offer. Claims already cancelled or refunded are left alone.
+ */
+async function refundLostWaitlistClaim({ appointment, now, deps }) {
+  const AppointmentModel = deps.AppointmentModel || Appointment;
+  const WaitlistModel = deps.WaitlistModel || WaitlistEntry;
+  const cancel = deps.cancelAppointment || cancelAppointment;
+  const releaseGiftCard =
+    deps.releaseGiftCardReservation || releaseGiftCardReservation;
+  const sendEmails = deps.sendCancellationEmails || sendCancellationEmails;
+  const claim = appointment.waitlistClaim;
+
+  const paid = await AppointmentModel.findById(appointment._id).lean();
+  if (paid?.status !== "confirmed" || paid.payment?.stripe?.refundIds?.length) {
+    return { completed: false, lost: true, status: paid?.status };
+  }
+
+  await releaseGiftCard({
+    application: paid.payment?.giftCard,
+    target: { appointmentId: paid._id },
+  });
+  const reason = "Another client claimed this slot first";
+  let result;
+  try {
+    result = await cancel({
+      appointment: paid,
+      policy: LOST_CLAIM_POLICY,
+      requestedBy: "system",
+      reason,
+      auditMeta: { waitlistClaimLost: true },
+      now,
+    });
+  } catch (error) {
+    // Still lost: callers must not confirm it, staff refund by hand
+    console.error(
+      `[Waitlist] Refund failed for lost claim ${paid._id}:`,
+      error,
+    );
+    return { completed: false, lost: true, status: paid.status };
+  }
+
+  await WaitlistModel.updateOne(
+    { _id: claim.waitlistEntryId, tenantId: paid.tenantId },
+    {
+      $push: {
+        audit: {
+          action: "waitlist_offer_claim_lost",
+          at: now,
+          by: "system",
+          meta: {
+            cancelledAppointmentId: String(claim.sourceAppointmentId),
+            appointmentId: String(paid._id),
+            stripeRefundId: result.stripeRefundId,
+          },
+        },
+      },
+    },
+  );
+
+  if (result.updated) {
+    try {
+      await sendEmails({
+        appointment: result.updated,
+        policySnapshot: LOST_CLAIM_POLICY,
+        refundAmount: result.outcome.refundAmount,
+        outcomeStatus: result.status,
+        reason,
+      });
+    } catch (emailError) {
+      console.error("[Waitlist] Lost claim email failed", emailError);
+    }
+  }
+
+  return { completed: false, lost: true, status: result.status };
+}
+
+/**
+ * Checkout guard: a claim reservation can only be paid while its claim
+ * holds the offer. Each checkout renews the hold for a session of
+ * WAITLIST_CLAIM_SESSION_MINUTES.
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, body: object }>}
+ */
+export async function checkWaitlistClaimPayable({
+  appointment,
+  now = new Date(),
+  deps = {},
+}) {
+  const claim = appointment?.waitlistClaim;
+  if (!claim?.sourceAppointmentId) return { ok: true };
+
+  const AppointmentModel = deps.AppointmentModel || Appointment;
+  const held = await holdWaitlistOffer({
+    sourceId: claim.sourceAppointmentId,
+    waitlistEntryId: claim.waitlistEntryId,
+    appointmentId: appointment._id,
+    now,
+    AppointmentModel,
+  });
+  if (held) return { ok: true };
+  return failure(410, {
+    error: "Offer closed",
+    message: "This slot is no longer available",
+    code: WAITLIST_OFFER_CODES.CLOSED,
+  });
+}
+
+/**
+ * Start the waitlist offer cron (every 5 minutes)
+ */
+export function startWaitlistOfferCron() {
+  console.log("[Waitlist] Starting waitlist offer cron (every 5 minutes)...");
+
+  return cron.schedule(
+    "*/5 * * * *",
+    () =>
+      rollExpiredWaitlistOffers().catch((error) =>
+        console.error("[Waitlist] Offer cron error:", error),
+      ),
+    {
+      scheduled: true,
+      timezone: "UTC",
+    },
+  );
+}
+
+export default {
+  WAITLIST_MODES,
+  WAITLIST_OFFER_CODES,
+  WAITLIST_CLAIM_SESSION_MINUTES,
+  resolveWaitlistOfferSettings,
+  signWaitlistClaimToken,
+  verifyWaitlistClaimToken,
+  sendWaitlistOfferRound,
+  offerCancelledSlot,
+  rollExpiredWaitlistOffers,
+  loadWaitlistOffer,
+  claimWaitlistOffer,
+  completeWaitlistClaim,
+  checkWaitlistClaimPayable,
+  startWaitlistOfferCron,
+};
@@ -0,0 +1,124 @@
+/**
+ * Advance booking window
+ *
+ * Tenants define how soon (minAdvanceBookingHours) and how far ahead
+ * (maxAdvanceBookingDays) clients may book. Services can tighten or relax
+ * these via service.bookingWindow (e.g. a 48h lead time for patch-test
+ * services). When several services are booked together the strictest
+ * combination applies.
+ */
+
+export const BOOKING_WINDOW_ERROR_CODES = {
+  TOO_SOON: "BOOKING_TOO_SOON",
+  TOO_FAR_AHEAD: "BOOKING_TOO_FAR_AHEAD",
+};
+
+const DEFAULT_MIN_ADVANCE_HOURS = 0;
+const DEFAULT_MAX_ADVANCE_DAYS = null; // unlimited
+
+function toNonNegativeNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Resolve the effective window for a tenant and the services being booked.
+ * @param {{ tenant?: object|null, services?: object[] }} params
+ * @returns {{ minAdvanceHours: number, maxAdvanceDays: number|null }}
+ */
+export function resolveBookingWindow({ tenant, services = [] } = {}) {
+  const settings = tenant?.schedulingSettings || {};
+  const tenantMin = toNonNegativeNumber(settings.minAdvanceBookingHours);
+  const tenantMax = toNonNegativeNumber(settings.maxAdvanceBookingDays);
+
+  let minAdvanceHours = tenantMin ?? DEFAULT_MIN_ADVANCE_HOURS;
+  let maxAdvanceDays = tenantMax || DEFAULT_MAX_ADVANCE_DAYS;
+
+  const overrides = (services || [])
+    .filter(Boolean)
+    .map((service) => service.bookingWindow || {});
+
+  // Per-service overrides replace the tenant value, strictest service wins
+  const serviceMins = overrides
+    .map((o) => toNonNegativeNumber(o.minAdvanceHours))
+    .filter((v) => v !== null);
+  const serviceMaxes = overrides
+    .map((o) => toNonNegativeNumber(o.maxAdvanceDays))
+    .filter((v) => v !== null && v > 0);
+
+  if (serviceMins.length) minAdvanceHours = Math.max(...serviceMins);
+  if (serviceMaxes.length) maxAdvanceDays = Math.min(...serviceMaxes);
+
+  return { minAdvanceHours, maxAdvanceDays };
+}
+
+/**
+ * Absolute bounds for slot starts given a window.
+ * @param {{ minAdvanceHours: number, maxAdvanceDays: number|null }} window
+ * @param {Date} [now]
+ * @returns {{ notBefore: Date, notAfter: Date|null }}
+ */
+export function getBookingWindowBounds(window, now = new Date()) {
+  const nowMs = now.getTime();
+  return {
+    notBefore: new Date(nowMs + (window?.minAdvanceHours || 0) * 3600000),
+    notAfter: window?.maxAdvanceDays
+      ? new Date(nowMs + window.maxAdvanceDays * 86400000)
+      : null,
+  };
+}
+
+/**
+ * Check a requested start against the window.
+ * @param {{ start: Date|string, window: object, now?: Date }} params
+ * @returns {{ ok: true } | { ok: false, code: string, message: string, earliestStart: string, latestStart: string|null }}
+ */
+export function checkBookingWindow({ start, window, now = new Date() }) {
+  const startDate = new Date(start);
+  const { notBefore, notAfter } = getBookingWindowBounds(window, now);
+  const bounds = {
+    earliestStart: notBefore.toISOString(),
+    latestStart: notAfter ? notAfter.toISOString() : null,
+  };
+
+  if (startDate < notBefore) {
+    return {
+      ok: false,
+      code: BOOKING_WINDOW_ERROR_CODES.TOO_SOON,
+      message: `Bookings require at least ${window.minAdvanceHours} hours notice`,
+      ...bounds,
+    };
+  }
+  if (notAfter && startDate > notAfter) {
+    return {
+      ok: false,
+      code: BOOKING_WINDOW_ERROR_CODES.TOO_FAR_AHEAD,
+      message: `Bookings can be made at most ${window.maxAdvanceDays} days in advance`,
+      ...bounds,
+    };
+  }
+  return { ok: true };
+}
+
+/**
+ * Standard 400 body for an out-of-window booking request.
+ * @param {{ code: string, message: string, earliestStart: string, latestStart: string|null }} result
+ */
+export function bookingWindowErrorBody(result) {
+  return {
+    error: "Requested time is outside the booking window",
+    message: result.message,
+    code: result.code,
+    earliestStart: result.earliestStart,
+    latestStart: result.latestStart,
+  };
+}
+
+export default {
+  BOOKING_WINDOW_ERROR_CODES,
+  resolveBookingWindow,
+  getBookingWindowBounds,
+  checkBookingWindow,
+  bookingWindowErrorBody,
+};
@@ -0,0 +1,48 @@
+/**
+ * External calendar blocks for slot planning
+ *
+ * Busy time imported from a specialist's Google Calendar is attached to the
+ * specialist as externalBlocks, which slotPlanner blocks like time off.
+ * Specialists without a connected calendar are returned unchanged.
+ */
+
+import ExternalCalendarBlock from "../models/ExternalCalendarBlock.js";
+
+/**
+ * Blocks overlapping [rangeStart, rangeEnd) for one specialist.
+ * @returns {Promise<{ start: Date, end: Date }[]>}
+ */
+export async function loadExternalBlocks({
+  specialistId,
+  rangeStart,
+  rangeEnd,
+}) {
+  return ExternalCalendarBlock.find({
+    specialistId,
+    start: { $lt: rangeEnd },
+    end: { $gt: rangeStart },
+  })
+    .select("start end")
+    .lean();
+}
+
+/**
+ * @returns {Promise<object>} the specialist with externalBlocks for the range
+ */
+export async function attachExternalBlocks(
+  specialist,
+  { rangeStart, rangeEnd }
+) {
+  if (!specialist?.googleCalendar?.enabled) return specialist;
+  const blocks = await loadExternalBlocks({
+    specialistId: specialist._id,
+    rangeStart,
+    rangeEnd,
+  });
+  return {
+    ...specialist,
+    externalBlocks: blocks.map(({ start, end }) => ({ start, end })),
+  };
+}
+
+export default { loadExternalBlocks, attachExternalBlocks };
@@ -0,0 +1,122 @@
+/**
+ * Gift card ledger
+ *
+ * Every change to a gift card is an append-only ledger entry. The card's
+ * balance is the sum of its balance entries:
+ *
+ *   issue   +  value when the card is paid for (or opening balance)
+ *   redeem  -  spent on a booking, order or at the desk
+ *   refund  +  a redeemed booking/order was refunded back to the card
+ *   adjust  +/- manual correction by staff, with a reason code
+ *   expire  -  balance written off when the card expires
+ *
+ * reserve/release record checkout holds. They carry the held amount but
+ * don't change the balance; a redeem for the same target closes its hold.
+ *
+ * Amounts are in major units (pounds), like GiftCard.amount.
+ */
+
+export const LEDGER_ENTRY_TYPES = [
+  "issue",
+  "redeem",
+  "reserve",
+  "release",
+  "refund",
+  "adjust",
+  "expire",
+];
+
+export const BALANCE_ENTRY_TYPES = [
+  "issue",
+  "redeem",
+  "refund",
+  "adjust",
+  "expire",
+];
+
+export const ADJUSTMENT_REASONS = [
+  "goodwill",
+  "correction",
+  "top_up",
+  "chargeback",
+  "fraud",
+  "other",
+];
+
+export const LEDGER_TARGET_KEYS = [
+  "appointmentId",
+  "orderId",
+  "seminarBookingId",
+];
+
+export function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+export function affectsBalance(type) {
+  return BALANCE_ENTRY_TYPES.includes(type);
+}
+
+function isBefore(entry, asOf) {
+  return !asOf || !entry.at || new Date(entry.at) <= new Date(asOf);
+}
+
+/**
+ * Balance from ledger entries, optionally as it stood at asOf
+ * @param {object[]} entries
+ * @param {{ asOf?: Date }} [options]
+ * @returns {number}
+ */
+export function getLedgerBalance(entries = [], { asOf } = {}) {
+  return roundMoney(
+    entries
+      .filter((entry) => affectsBalance(entry.type) && isBefore(entry, asOf))
+      .reduce((sum, entry) => sum + Number(entry.amount || 0), 0)
+  );
+}
+
+/**
+ * Totals per entry type (as positive amounts, adjustments signed) and
+ * the resulting balance
+ * @returns {{ balance: number, issued: number, redeemed: number, refunded: number, adjusted: number, expired: number }}
+ */
+export function summarizeLedger(entries = [], { asOf } = {}) {
+  const totals = {
+    issue: 0,
+    redeem: 0,
+    refund: 0,
+    adjust: 0,
+    expire: 0,
+  };
+  for (const entry of entries) {
+    if (!affectsBalance(entry.type) || !isBefore(entry, asOf)) continue;
+    totals[entry.type] += Number(entry.amount || 0);
+  }
+  return {
+    balance: getLedgerBalance(entries, { asOf }),
+    issued: roundMoney(totals.issue),
+    redeemed: roundMoney(-totals.redeem),
+    refunded: roundMoney(totals.refund),
+    adjusted: roundMoney(totals.adjust),
+    expired: roundMoney(-totals.expire),
+  };
+}
+
+/**
+ * What can still be refunded to the card for a target: redeemed for it
+ * minus already refunded for it
+ * @param {object[]} entries
+ * @param {{ key: string, id: string }} target
+ */
+export function getRefundableAmount(entries = [], target) {
+  const forTarget = entries.filter(
+    (entry) => String(entry[target.key]) === String(target.id)
+  );
+  const redeemed = forTarget
+    .filter((entry) => entry.type === "redeem")
+    .reduce((sum, entry) => sum - Number(entry.amount || 0), 0);
+  const refunded = forTarget
+    .filter((entry) => entry.type === "refund")
+    .reduce((sum, entry) => sum + Number(entry.amount || 0), 0);
+  return roundMoney(Math.max(0, redeemed - refunded));
+}
@@ -0,0 +1,163 @@
+/**
+ * iCalendar (RFC 5545)
+ *
+ * Builds VCALENDAR documents for subscribed feeds and email attachments.
+ * Each appointment keeps one UID; SEQUENCE goes up on every reschedule so
+ * calendar apps update the existing event instead of adding a second one.
+ */
+
+const PRODID = "-//Elite Booker//Bookings//EN";
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ */
+export function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = "";
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * UTC DATE-TIME, e.g. 20990310T120000Z
+ */
+export function formatDateTime(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+export function getAppointmentUid(appointmentId) {
+  const domain = process.env.ICS_UID_DOMAIN || "elitebooker.co.uk";
+  return `appointment-${appointmentId}@${domain}`;
+}
+
+/**
+ * "Gel Nails", "Gel Nails + Lash Lift" or the legacy variant name
+ */
+export function describeServices(appointment) {
+  const names = (appointment.services || [])
+    .map((s) => s.serviceName || s.variantName)
+    .filter(Boolean);
+  if (names.length) return names.join(" + ");
+  return appointment.variantName || "Appointment";
+}
+
+/**
+ * "Jane Doe" -> "J.D."
+ */
+export function getInitials(name) {
+  const initials = String(name || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part[0].toUpperCase()}.`);
+  return initials.join("") || "Client";
+}
+
+/**
+ * VEVENT lines for one appointment
+ * @param {Object} appointment needs _id, start and end
+ * @param {Object} details
+ * @param {string} details.summary
+ * @param {string} [details.description]
+ * @param {string} [details.location]
+ * @param {Date} [details.now] DTSTAMP
+ */
+export function buildAppointmentEvent(
+  appointment,
+  { summary, description, location, now = new Date() }
+) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${getAppointmentUid(appointment._id)}`,
+    `SEQUENCE:${appointment.calendarSequence || 0}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(appointment.start)}`,
+    `DTEND:${formatDateTime(appointment.end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (appointment.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(appointment.updatedAt)}`);
+  }
+  lines.push(
+    `STATUS:${
+      appointment.status === "reserved_unpaid" ? "TENTATIVE" : "CONFIRMED"
+    }`,
+    "END:VEVENT"
+  );
+  return lines;
+}
+
+/**
+ * Full VCALENDAR document with CRLF line endings
+ * @param {Object} params
+ * @param {string[][]} params.events VEVENT line arrays
+ * @param {string} [params.name] calendar name shown by subscribing apps
+ * @param {string} [params.refreshInterval] ISO 8601 duration for feeds
+ */
+export function buildCalendar({
+  events = [],
+  name,
+  method = "PUBLISH",
+  refreshInterval,
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshInterval) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+      `X-PUBLISHED-TTL:${refreshInterval}`
+    );
+  }
+  for (const event of events) lines.push(...event);
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+export default {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  getAppointmentUid,
+  describeServices,
+  getInitials,
+  buildAppointmentEvent,
+  buildCalendar,
+};
@@ -0,0 +1,105 @@
+/**
+ * Member pricing
+ *
+ * A membership in good standing changes what a booking costs:
+ *
+ *   included  bookings of an includedServices entry are free, up to
+ *             sessionsPerPeriod per billing period
+ *   discount  discountPercent off every other line of a covered service
+ *             (discountServiceIds, or every service when empty)
+ *
+ * Add-ons are never included, but get the discount when their service is
+ * covered. Prices are in major units (pounds), like Appointment.price.
+ */
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function sameId(a, b) {
+  return a != null && b != null && String(a) === String(b);
+}
+
+export function includedRuleMatches(rule, line) {
+  return (
+    sameId(rule.serviceId, line.serviceId) &&
+    (!rule.variantName || rule.variantName === line.variantName)
+  );
+}
+
+export function discountCoversService(terms, serviceId) {
+  if (!(Number(terms?.discountPercent) > 0)) return false;
+  const covered = terms.discountServiceIds || [];
+  return covered.length === 0 || covered.some((id) => sameId(id, serviceId));
+}
+
+/**
+ * Free bookings left on each includedServices entry, given the lines
+ * already booked as included this period
+ * @param {Object} terms membership (or plan) with includedServices
+ * @param {{ serviceId: string, variantName?: string }[]} usedLines
+ * @returns {number[]} remaining, by includedServices index
+ */
+export function remainingIncluded(terms, usedLines = []) {
+  const remaining = (terms?.includedServices || []).map((rule) =>
+    Number(rule.sessionsPerPeriod || 0),
+  );
+  for (const used of usedLines) {
+    const index = (terms.includedServices || []).findIndex(
+      (rule, i) => remaining[i] > 0 && includedRuleMatches(rule, used),
+    );
+    if (index !== -1) remaining[index] -= 1;
+  }
+  return remaining;
+}
+
+/**
+ * Price an appointment's lines for a member
+ * @param {Object} params
+ * @param {Object} params.terms membership with discount and included terms
+ * @param {Object[]} params.lines Appointment.services entries
+ * @param {Object[]} [params.usedLines] lines already booked as included
+ * @returns {{ listPrice: number, price: number, discount: number, included: { serviceId: string, variantName: string }[] }}
+ */
+export function priceForMember({ terms, lines = [], usedLines = [] }) {
+  const remaining = remainingIncluded(terms, usedLines);
+  const pct = Math.min(100, Math.max(0, Number(terms?.discountPercent) || 0));
+  const included = [];
+  let listPrice = 0;
+  let price = 0;
+
+  for (const line of lines) {
+    const linePrice = Number(line.price || 0);
+    const addOnsPrice = (line.addOns || []).reduce(
+      (sum, addOn) => sum + Number(addOn.price || 0),
+      0,
+    );
+    const discounted = discountCoversService(terms, line.serviceId);
+    const withDiscount = (amount) =>
+      discounted ? amount * (1 - pct / 100) : amount;
+
+    const ruleIndex = (terms?.includedServices || []).findIndex(
+      (rule, i) => remaining[i] > 0 && includedRuleMatches(rule, line),
+    );
+    listPrice += linePrice;
+    if (ruleIndex !== -1) {
+      remaining[ruleIndex] -= 1;
+      included.push({
+        serviceId: line.serviceId,
+        variantName: line.variantName,
+      });
+      price += roundMoney(withDiscount(addOnsPrice));
+    } else {
+      price += roundMoney(withDiscount(linePrice));
+    }
+  }
+
+  listPrice = roundMoney(listPrice);
+  price = roundMoney(price);
+  return {
+    listPrice,
+    price,
+    discount: roundMoney(listPrice - price),
+    included,
+  };
+}
@@ -0,0 +1,23 @@
+import QRCode from "qrcode";
+
+/**
+ * QR codes for tickets
+ *
+ * A seminar ticket's QR code holds the booking's check-in code and nothing
+ * else, which is exactly what the check-in endpoint takes from a scanner.
+ */
+
+/**
+ * Render text as a PNG QR code
+ * @param {string} text
+ * @param {{ width?: number }} [options] Width in pixels
+ * @returns {Promise<Buffer>}
+ */
+export function renderQrCodePng(text, { width = 240 } = {}) {
+  return QRCode.toBuffer(String(text), {
+    type: "png",
+    errorCorrectionLevel: "M",
+    margin: 2,
+    width,
+  });
+}
@@ -0,0 +1,126 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import { z } from "zod";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Recurrence rules for appointment series
+ *
+ * A small RRULE subset: FREQ (daily/weekly/monthly), INTERVAL and either
+ * COUNT or UNTIL. Occurrences keep the salon-local wall-clock time of the
+ * first appointment, so a 10:00 booking stays at 10:00 across DST changes.
+ */
+
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly"];
+export const MAX_SERIES_OCCURRENCES = 52;
+
+const FREQUENCY_UNITS = { daily: "day", weekly: "week", monthly: "month" };
+
+export const RecurrenceSchema = z
+  .object({
+    frequency: z.enum(RECURRENCE_FREQUENCIES),
+    interval: z.number().int().min(1).max(52).default(1),
+    count: z.number().int().min(1).max(MAX_SERIES_OCCURRENCES).optional(),
+    until: z.string().datetime({ offset: true }).optional(),
+  })
+  .refine((rule) => rule.count !== undefined || rule.until !== undefined, {
+    message: "Recurrence requires count or until",
+  });
+
+/**
+ * Parse an RRULE string such as "FREQ=WEEKLY;INTERVAL=3;COUNT=8".
+ * UNTIL accepts the RRULE basic format (20300101T000000Z) or ISO 8601.
+ * @param {string} rule
+ * @returns {{ frequency: string, interval: number, count?: number, until?: string }}
+ * @throws {Error} on unsupported or malformed parts
+ */
+export function parseRecurrenceRule(rule) {
+  const body = String(rule || "")
+    .trim()
+    .replace(/^RRULE:/i, "");
+  const parts = Object.fromEntries(
+    body
+      .split(";")
+      .filter(Boolean)
+      .map((part) => {
+        const [key, value] = part.split("=");
+        return [String(key).trim().toUpperCase(), String(value ?? "").trim()];
+      }),
+  );
+
+  const unsupported = Object.keys(parts).filter(
+    (key) => !["FREQ", "INTERVAL", "COUNT", "UNTIL"].includes(key),
+  );
+  if (unsupported.length) {
+    throw new Error(`Unsupported recurrence parts: ${unsupported.join(", ")}`);
+  }
+
+  const recurrence = { frequency: String(parts.FREQ || "").toLowerCase() };
+  if (parts.INTERVAL) recurrence.interval = Number(parts.INTERVAL);
+  if (parts.COUNT) recurrence.count = Number(parts.COUNT);
+  if (parts.UNTIL) {
+    const basic = parts.UNTIL.match(
+      /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/,
+    );
+    recurrence.until = basic
+      ? `${basic[1]}-${basic[2]}-${basic[3]}T${basic[4] || "23"}:${
+          basic[5] || "59"
+        }:${basic[6] || "59"}Z`
+      : parts.UNTIL;
+  }
+
+  const parsed = RecurrenceSchema.safeParse(recurrence);
+  if (!parsed.success) {
+    throw new Error(parsed.error.errors.map((e) => e.message).join(", "));
+  }
+  return parsed.data;
+}
+
+/**
+ * Expand a recurrence into occurrence start times.
+ * Each occurrence is computed from the first start (not chained), so a
+ * monthly series starting on the 31st falls back to the last day of shorter
+ * months without drifting.
+ * @param {Object} params
+ * @param {Date|string} params.firstStart
+ * @param {{ frequency: string, interval?: number, count?: number, until?: string|Date }} params.recurrence
+ * @param {string} params.salonTz
+ * @param {number} [params.maxOccurrences]
+ * @returns {Date[]}
+ */
+export function expandRecurrence({
+  firstStart,
+  recurrence,
+  salonTz,
+  maxOccurrences = MAX_SERIES_OCCURRENCES,
+}) {
+  const unit = FREQUENCY_UNITS[recurrence?.frequency];
+  if (!unit) throw new Error("Invalid recurrence frequency");
+
+  const interval = Math.max(1, Number(recurrence.interval) || 1);
+  const limit = Math.min(recurrence.count ?? maxOccurrences, maxOccurrences);
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+
+  const first = dayjs(firstStart).tz(salonTz);
+  const wallClock = first.format("HH:mm:ss");
+  const out = [];
+
+  for (let i = 0; out.length < limit; i++) {
+    const localDate = first.add(i * interval, unit).format("YYYY-MM-DD");
+    const occurrence = dayjs.tz(`${localDate} ${wallClock}`, salonTz).toDate();
+    if (until && occurrence > until) break;
+    out.push(occurrence);
+  }
+  return out;
+}
+
+export default {
+  RECURRENCE_FREQUENCIES,
+  MAX_SERIES_OCCURRENCES,
+  RecurrenceSchema,
+  parseRecurrenceRule,
+  expandRecurrence,
+};
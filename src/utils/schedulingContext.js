@@ -0,0 +1,120 @@
+/**
+ * Scheduling context resolution
+ *
+ * Resolves the timezone and slot step used for availability, reminders and
+ * waitlist matching. Precedence (first valid value wins):
+ * - timezone: location.settings.timezone -> tenant.timezone -> SALON_TZ -> Europe/London
+ * - step:     location.settings.slotStepMinutes -> tenant.schedulingSettings.slotStepMinutes
+ *             -> SLOTS_STEP_MIN -> 15
+ */
+
+import Tenant from "../models/Tenant.js";
+import Location from "../models/Location.js";
+
+export const DEFAULT_SALON_TZ = "Europe/London";
+export const DEFAULT_SLOT_STEP_MIN = 15;
+
+/**
+ * @param {string} tz
+ * @returns {boolean} true if tz is a valid IANA timezone id
+ */
+export function isValidTimezone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toStepMin(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 && n <= 240 ? n : null;
+}
+
+/**
+ * @param {{ tenant?: object|null, location?: object|null }} ctx
+ * @returns {string} IANA timezone id
+ */
+export function resolveSalonTimezone({ tenant, location } = {}) {
+  const candidates = [
+    location?.settings?.timezone,
+    tenant?.timezone,
+    process.env.SALON_TZ,
+  ];
+  return candidates.find(isValidTimezone) || DEFAULT_SALON_TZ;
+}
+
+/**
+ * @param {{ tenant?: object|null, location?: object|null }} ctx
+ * @returns {number} slot step in minutes
+ */
+export function resolveSlotStepMin({ tenant, location } = {}) {
+  const candidates = [
+    location?.settings?.slotStepMinutes,
+    tenant?.schedulingSettings?.slotStepMinutes,
+    process.env.SLOTS_STEP_MIN,
+  ];
+  for (const value of candidates) {
+    const step = toStepMin(value);
+    if (step) return step;
+  }
+  return DEFAULT_SLOT_STEP_MIN;
+}
+
+/**
+ * @param {{ tenant?: object|null, location?: object|null }} ctx
+ * @returns {{ salonTz: string, stepMin: number }}
+ */
+export function resolveSchedulingContext({ tenant, location } = {}) {
+  return {
+    salonTz: resolveSalonTimezone({ tenant, location }),
+    stepMin: resolveSlotStepMin({ tenant, location }),
+  };
+}
+
+/**
+ * Load tenant (and optional location) and resolve the scheduling context.
+ * An already-resolved tenant (e.g. req.tenant) skips the tenant lookup.
+ * @param {{ tenantId?: string, tenant?: object|null, locationId?: string|null }} params
+ * @returns {Promise<{ salonTz: string, stepMin: number, tenant: object|null, location: object|null }>}
+ */
+export async function loadSchedulingContext({
+  tenantId,
+  tenant = null,
+  locationId = null,
+} = {}) {
+  let resolvedTenant = tenant;
+  if (!resolvedTenant && tenantId) {
+    resolvedTenant = await Tenant.findById(tenantId)
+      .select("timezone schedulingSettings")
+      .lean();
+  }
+
+  let location = null;
+  if (locationId) {
+    location = await Location.findOne({
+      _id: locationId,
+      ...(tenantId || resolvedTenant?._id
+        ? { tenantId: tenantId || resolvedTenant._id }
+        : {}),
+    })
+      .select("settings")
+      .lean();
+  }
+
+  return {
+    ...resolveSchedulingContext({ tenant: resolvedTenant, location }),
+    tenant: resolvedTenant,
+    location,
+  };
+}
+
+export default {
+  resolveSalonTimezone,
+  resolveSlotStepMin,
+  resolveSchedulingContext,
+  loadSchedulingContext,
+  isValidTimezone,
+};
@@ -0,0 +1,148 @@
+/**
+ * Seminar pricing
+ *
+ * A seminar sells seats at pricing.price, or through ticket tiers with a
+ * price of their own. Prices are per session booked:
+ *
+ *   tier      the tier's price, or its early-bird price until
+ *             pricing.earlyBirdDeadline
+ *   bundle    every session of the bundle at the tier price, less the
+ *             bundle's discountPercent
+ *   group     the best groupDiscounts entry the number of attendees
+ *             reaches, off what's left after the bundle discount
+ *
+ * No database access; see services/seminarOrderService.js. Prices are in
+ * major units (pounds), like Seminar.pricing.
+ */
+
+export const MAX_GROUP_ATTENDEES = 20;
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function isEarlyBird(seminar, now) {
+  const deadline = seminar.pricing?.earlyBirdDeadline;
+  return Boolean(deadline) && now < new Date(deadline);
+}
+
+/**
+ * The seminar's ticket tiers. Seminars without tiers sell one implicit
+ * tier (key null) at pricing.price.
+ */
+export function getTicketTiers(seminar) {
+  if (seminar.ticketTiers?.length) return seminar.ticketTiers;
+  return [
+    {
+      key: null,
+      name: "Standard",
+      price: seminar.pricing?.price || 0,
+      earlyBirdPrice: seminar.pricing?.earlyBirdPrice,
+      capacity: null,
+      active: true,
+    },
+  ];
+}
+
+/**
+ * Find a bookable tier; no key picks the only (or implicit) tier
+ * @returns {Object|null}
+ */
+export function findTicketTier(seminar, tierKey) {
+  const tiers = getTicketTiers(seminar).filter((t) => t.active !== false);
+  if (!tierKey) return tiers.length === 1 ? tiers[0] : null;
+  return tiers.find((t) => t.key === String(tierKey).toLowerCase()) || null;
+}
+
+export function getTierPrice(seminar, tier, now = new Date()) {
+  if (tier.earlyBirdPrice != null && isEarlyBird(seminar, now)) {
+    return tier.earlyBirdPrice;
+  }
+  return tier.price;
+}
+
+/**
+ * Lowest price a seat can be bought for, for listings
+ */
+export function getSeminarFromPrice(seminar, now = new Date()) {
+  const prices = getTicketTiers(seminar)
+    .filter((t) => t.active !== false)
+    .map((t) => getTierPrice(seminar, t, now));
+  return prices.length ? Math.min(...prices) : seminar.pricing?.price || 0;
+}
+
+/**
+ * Seats left for a tier on a session, or null when only the session's
+ * own seats limit it
+ */
+export function getTierSeatsLeft(session, tier) {
+  if (!tier?.key || !tier.capacity) return null;
+  const tierAttendees = session.tierAttendees || {};
+  const confirmed =
+    (tierAttendees instanceof Map
+      ? tierAttendees.get(tier.key)
+      : tierAttendees[tier.key]) || 0;
+  const held = (session.seatHolds || []).filter(
+    (hold) => hold.tierKey === tier.key,
+  ).length;
+  return Math.max(0, tier.capacity - confirmed - held);
+}
+
+export function getGroupDiscountPercent(seminar, attendeeCount) {
+  return (seminar.groupDiscounts || [])
+    .filter((d) => attendeeCount >= d.minAttendees)
+    .reduce((best, d) => Math.max(best, d.percentOff), 0);
+}
+
+/**
+ * Price a booking of one tier for some attendees on some sessions
+ * @param {Object} params
+ * @param {Object} params.seminar
+ * @param {Object} params.tier from findTicketTier
+ * @param {Object|null} [params.bundle] bundle being booked, if any
+ * @param {number} params.sessionCount sessions each attendee is booked on
+ * @param {number} params.attendeeCount
+ * @returns {{ unitPrice: number, seats: number, subtotal: number, bundleDiscount: { percent: number, amount: number }, groupDiscount: { percent: number, amount: number }, total: number }}
+ */
+export function priceSeminarBooking({
+  seminar,
+  tier,
+  bundle = null,
+  sessionCount,
+  attendeeCount,
+  now = new Date(),
+}) {
+  const unitPrice = getTierPrice(seminar, tier, now);
+  const seats = sessionCount * attendeeCount;
+  const subtotal = roundMoney(unitPrice * seats);
+
+  const bundlePercent = bundle ? Number(bundle.discountPercent) || 0 : 0;
+  const bundleAmount = roundMoney((subtotal * bundlePercent) / 100);
+
+  const groupPercent = getGroupDiscountPercent(seminar, attendeeCount);
+  const groupAmount = roundMoney(
+    ((subtotal - bundleAmount) * groupPercent) / 100,
+  );
+
+  return {
+    unitPrice,
+    seats,
+    subtotal,
+    bundleDiscount: { percent: bundlePercent, amount: bundleAmount },
+    groupDiscount: { percent: groupPercent, amount: groupAmount },
+    total: roundMoney(Math.max(0, subtotal - bundleAmount - groupAmount)),
+  };
+}
+
+/**
+ * Split an amount across bookings to the penny; the first booking takes
+ * any odd pennies
+ * @returns {number[]}
+ */
+export function splitAmount(amount, count) {
+  const pennies = Math.round((Number(amount) || 0) * 100);
+  const share = Math.floor(pennies / count);
+  return Array.from({ length: count }, (_, i) =>
+    roundMoney((i === 0 ? pennies - share * (count - 1) : share) / 100),
+  );
+}
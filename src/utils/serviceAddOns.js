@@ -0,0 +1,153 @@
+/**
+ * Service add-ons
+ *
+ * Optional extras a client can pick with a service at booking time
+ * (e.g. "+ lash tint, 10 min, £8"). Add-ons are referenced by name, like
+ * variants. Their minutes extend the service time (before the after-buffer)
+ * and their price is added to the booked line.
+ */
+
+export const ADD_ON_ERROR_CODE = "ADD_ON_NOT_AVAILABLE";
+
+/**
+ * Normalise requested add-on names from a body array or a comma separated
+ * query string (?addOns=Lash%20tint,Brow%20shape).
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+export function parseAddOnNames(value) {
+  if (!value) return [];
+  const names = Array.isArray(value) ? value : String(value).split(",");
+  return [
+    ...new Set(names.map((name) => String(name).trim()).filter(Boolean)),
+  ];
+}
+
+/**
+ * Look up the requested add-ons on a service.
+ * @returns {{ ok: true, addOns: { name: string, price: number, duration: number }[] } | { ok: false, missing: string[] }}
+ */
+export function resolveAddOns(service, names = []) {
+  const available = (service?.addOns || []).filter(
+    (addOn) => addOn.active !== false,
+  );
+  const addOns = [];
+  const missing = [];
+  for (const name of parseAddOnNames(names)) {
+    const addOn = available.find((item) => item.name === name);
+    if (!addOn) {
+      missing.push(name);
+      continue;
+    }
+    addOns.push({
+      name: addOn.name,
+      price: Number(addOn.price) || 0,
+      duration: Number(addOn.durationMin) || 0,
+    });
+  }
+  return missing.length ? { ok: false, missing } : { ok: true, addOns };
+}
+
+/**
+ * Total minutes and price of resolved add-ons.
+ * @returns {{ durationMin: number, price: number }}
+ */
+export function summarizeAddOns(addOns = []) {
+  return addOns.reduce(
+    (sum, addOn) => ({
+      durationMin: sum.durationMin + (addOn.duration || 0),
+      price: sum.price + (addOn.price || 0),
+    }),
+    { durationMin: 0, price: 0 },
+  );
+}
+
+/**
+ * The Appointment.services entry for a variant and its add-ons.
+ * price and duration include the add-ons (and the variant's buffers), so
+ * totals can keep summing services[].price / services[].duration.
+ * @returns {{ ok: true, line: object } | { ok: false, missing: string[] }}
+ */
+export function buildServiceLine({ service, variant, addOnNames = [] }) {
+  const resolved = resolveAddOns(service, addOnNames);
+  if (!resolved.ok) return resolved;
+
+  const extras = summarizeAddOns(resolved.addOns);
+  const basePrice = variant.promoPrice || variant.price || 0;
+  const baseDuration =
+    variant.durationMin +
+    (variant.bufferBeforeMin || 0) +
+    (variant.bufferAfterMin || 0);
+  return {
+    ok: true,
+    line: {
+      serviceId: service._id,
+      serviceName: service.name,
+      variantName: variant.name,
+      price: basePrice + extras.price,
+      duration: baseDuration + extras.durationMin,
+      ...(resolved.addOns.length ? { addOns: resolved.addOns } : {}),
+    },
+  };
+}
+
+/**
+ * Display suffix for a booked line's add-ons, e.g. " + Lash tint + Brow shape".
+ */
+export function formatAddOnSuffix(addOns = []) {
+  return (addOns || []).map((addOn) => ` + ${addOn.name}`).join("");
+}
+
+/**
+ * Receipt line items (payment.metadata.services) for booked appointment
+ * services. Add-ons get their own indented line after their service.
+ * @param {Object[]} services - Appointment.services entries (prices in pounds)
+ * @returns {{ name: string, price: number, quantity: number, addOn?: boolean }[]} prices in pence
+ */
+export function buildReceiptLines(services = []) {
+  return services.flatMap((service) => {
+    const addOns = service.addOns || [];
+    const addOnsTotal = addOns.reduce((sum, a) => sum + (a.price || 0), 0);
+    const name =
+      service.variantName && service.variantName !== service.serviceName
+        ? `${service.serviceName || "Service"} (${service.variantName})`
+        : service.serviceName || "Service";
+    return [
+      {
+        serviceId: service.serviceId,
+        name,
+        price: Math.round(((service.price || 0) - addOnsTotal) * 100),
+        quantity: 1,
+      },
+      ...addOns.map((addOn) => ({
+        name: `+ ${addOn.name}`,
+        price: Math.round((addOn.price || 0) * 100),
+        quantity: 1,
+        addOn: true,
+      })),
+    ];
+  });
+}
+
+/**
+ * Standard 400 body for add-ons the service does not offer.
+ */
+export function addOnErrorBody(missing) {
+  return {
+    error: "Add-on not available",
+    message: `Not available for this service: ${missing.join(", ")}`,
+    code: ADD_ON_ERROR_CODE,
+    addOns: missing,
+  };
+}
+
+export default {
+  ADD_ON_ERROR_CODE,
+  parseAddOnNames,
+  resolveAddOns,
+  summarizeAddOns,
+  buildServiceLine,
+  formatAddOnSuffix,
+  buildReceiptLines,
+  addOnErrorBody,
+};
@@ -0,0 +1,232 @@
+/**
+ * Shipping rate maths for the built-in rate engine: parcel weight,
+ * picking the zone for an address and the zone's options for a parcel.
+ * No database access; see services/shippingRateService.js.
+ */
+
+// Products without a weight are assumed to weigh this (kg)
+export const DEFAULT_ITEM_WEIGHT_KG = 0.1;
+
+/**
+ * Used until a tenant sets up its own zones: Royal Mail tracked services
+ * in the UK, a flat rate everywhere else
+ */
+export const DEFAULT_ZONES = [
+  {
+    _id: "default-gb",
+    name: "United Kingdom",
+    countries: ["GB"],
+    postcodePrefixes: [],
+    freeShippingThreshold: 50,
+    rates: [
+      {
+        _id: "tracked-48",
+        name: "Tracked 48",
+        price: 3.55,
+        estimatedDays: "2-3 business days",
+        description: "Two day delivery aim",
+        maxWeight: 2,
+      },
+      {
+        _id: "tracked-24",
+        name: "Tracked 24",
+        price: 4.45,
+        estimatedDays: "1 business day",
+        description: "Next day delivery aim",
+        maxWeight: 2,
+      },
+      {
+        _id: "tracked-24-signature",
+        name: "Tracked 24 with Signature",
+        price: 5.95,
+        estimatedDays: "1 business day",
+        description: "Next day delivery aim",
+        maxWeight: 2,
+      },
+      {
+        _id: "tracked-48-signature",
+        name: "Tracked 48 with Signature",
+        price: 8.55,
+        estimatedDays: "2-3 business days",
+        description: "Two day delivery aim with signature",
+        minWeight: 2,
+        maxWeight: 10,
+      },
+      {
+        _id: "custom-quote",
+        name: "Custom Shipping Quote",
+        price: 15.99,
+        estimatedDays: "Contact us",
+        description: "Please contact us for a custom shipping quote",
+        minWeight: 10,
+      },
+    ],
+  },
+  {
+    _id: "default-international",
+    name: "International",
+    countries: [],
+    postcodePrefixes: [],
+    rates: [
+      {
+        _id: "international-standard",
+        name: "International Standard",
+        price: 15.99,
+        estimatedDays: "7-14 business days",
+        description: "Standard international delivery",
+      },
+      {
+        _id: "international-tracked",
+        name: "International Tracked",
+        price: 22.99,
+        estimatedDays: "5-10 business days",
+        description: "Tracked international delivery",
+      },
+    ],
+  },
+];
+
+const COUNTRY_NAMES = {
+  "UNITED KINGDOM": "GB",
+  UK: "GB",
+  "GREAT BRITAIN": "GB",
+  ENGLAND: "GB",
+  SCOTLAND: "GB",
+  WALES: "GB",
+  "NORTHERN IRELAND": "GB",
+  IRELAND: "IE",
+  "REPUBLIC OF IRELAND": "IE",
+};
+
+function roundWeight(kg) {
+  return Math.round(kg * 1000) / 1000;
+}
+
+export function normalizePostcode(postalCode) {
+  return String(postalCode || "")
+    .toUpperCase()
+    .replace(/\s+/g, "");
+}
+
+/**
+ * ISO country code for a code or the country names the shop form sends
+ */
+export function toCountryCode(country) {
+  const value = String(country || "")
+    .trim()
+    .toUpperCase();
+  if (!value) return "GB";
+  return COUNTRY_NAMES[value] || value;
+}
+
+// Box and padding for the number of items in the parcel
+export function getPackagingWeight(totalItems) {
+  if (totalItems <= 6) return 0.025;
+  if (totalItems <= 12) return 0.05;
+  if (totalItems <= 24) return 0.1;
+  return 0.15;
+}
+
+/**
+ * Parcel weight in kg
+ * @param {Object[]} items { weight (kg per unit), quantity }
+ */
+export function measureParcel(items = []) {
+  const productWeight = items.reduce(
+    (sum, item) =>
+      sum + (item.weight || DEFAULT_ITEM_WEIGHT_KG) * (item.quantity || 1),
+    0,
+  );
+  const totalItems = items.reduce((sum, item) => sum + (item.quantity || 1), 0);
+  const packagingWeight = getPackagingWeight(totalItems);
+  return {
+    productWeight: roundWeight(productWeight),
+    packagingWeight,
+    weight: roundWeight(productWeight + packagingWeight),
+    totalItems,
+  };
+}
+
+/**
+ * The zone an address falls in: the longest postcode prefix match in its
+ * country, then the country's catch-all zone, then a zone without
+ * countries (rest of the world)
+ */
+export function matchZone(zones = [], { countryCode, postalCode }) {
+  const country = toCountryCode(countryCode);
+  const postcode = normalizePostcode(postalCode);
+
+  let best = null;
+  let bestScore = -1;
+  for (const zone of zones) {
+    const countries = zone.countries || [];
+    const inCountry = countries.includes(country);
+    if (countries.length && !inCountry) continue;
+
+    const prefixes = (zone.postcodePrefixes || []).map(normalizePostcode);
+    let score;
+    if (prefixes.length) {
+      if (!inCountry) continue;
+      const matched = prefixes.filter((prefix) => postcode.startsWith(prefix));
+      if (!matched.length) continue;
+      score = 2 + Math.max(...matched.map((prefix) => prefix.length));
+    } else {
+      score = inCountry ? 1 : 0;
+    }
+    if (score > bestScore) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function inBand(value, min, max, { exclusiveMin = false } = {}) {
+  const lower = Number(min || 0);
+  const aboveMin = exclusiveMin && lower > 0 ? value > lower : value >= lower;
+  return aboveMin && (max == null || value <= max);
+}
+
+/**
+ * A zone's delivery options for a parcel, cheapest first. Weight bands run
+ * from over minWeight up to maxWeight, so bands can share their edges.
+ */
+export function getZoneRates(zone, { weight, subtotal = 0 }) {
+  const options = (zone?.rates || [])
+    .filter(
+      (rate) =>
+        inBand(weight, rate.minWeight, rate.maxWeight, {
+          exclusiveMin: true,
+        }) && inBand(subtotal, rate.minSubtotal, rate.maxSubtotal),
+    )
+    .map((rate) => ({
+      id: String(rate._id),
+      type: "delivery",
+      name: rate.name,
+      price: Number(rate.price),
+      estimatedDays: rate.estimatedDays || "",
+      description: rate.description || "",
+    }))
+    .sort((a, b) => a.price - b.price);
+
+  const threshold = zone?.freeShippingThreshold;
+  if (options.length && threshold != null && subtotal >= threshold) {
+    options[0] = {
+      ...options[0],
+      price: 0,
+      description: `Free on orders over £${threshold}`,
+    };
+  }
+  return options;
+}
+
+export default {
+  DEFAULT_ITEM_WEIGHT_KG,
+  DEFAULT_ZONES,
+  normalizePostcode,
+  toCountryCode,
+  getPackagingWeight,
+  measureParcel,
+  matchZone,
+  getZoneRates,
+};
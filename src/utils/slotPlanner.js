@@ -5,6 +5,11 @@
  * - Step alignment is to salon-local minutes from 00:00 (e.g., :00, :15, :30, :45 for stepMin=15).
  * - Appointments that end exactly at slot start do NOT block (end-exclusive), but any strict overlap blocks.
  * - Breaks and time-off block if any part of the slot (including buffers) intersects their window.
+ * - externalBlocks (busy time imported from the specialist's own calendar) block like time-off.
+ * - Optional notBeforeISO/notAfterISO bound slot starts (advance booking window, inclusive).
+ * - Processing phases (e.g. colour developing) free the specialist but not the chair: another
+ *   appointment may overlap them, while breaks, time-off and resource blackouts still block the
+ *   whole slot.
  */
 
 import dayjs from "dayjs";
@@ -56,17 +61,27 @@ const BeauticianSchema = z.object({
     .record(z.array(z.object({ start: HHMM, end: HHMM })))
     .optional(), // Custom date-specific schedule
   timeOff: z.array(TimeOffSchema).optional().default([]),
+  externalBlocks: z.array(TimeOffSchema).optional().default([]),
+});
+
+const PhaseSchema = z.object({
+  kind: z.enum(["active", "processing"]),
+  durationMin: z.number().int().positive(),
 });
 
 const ServiceSchema = z.object({
   durationMin: z.number().int().nonnegative(),
   bufferBeforeMin: z.number().int().nonnegative().optional().default(0),
   bufferAfterMin: z.number().int().nonnegative().optional().default(0),
+  phases: z.array(PhaseSchema).optional(),
 });
 
 const AppointmentSchema = z.object({
   start: z.string(),
   end: z.string(),
+  processingWindows: z
+    .array(z.object({ start: z.string(), end: z.string() }))
+    .optional(),
   status: z
     .enum([
       "reserved_unpaid",
@@ -85,6 +100,8 @@ const CommonParamsSchema = z.object({
   salonTz: z.string().default("Europe/London"),
   stepMin: z.number().int().positive().default(15),
   service: ServiceSchema,
+  notBeforeISO: z.string().optional(),
+  notAfterISO: z.string().optional(),
 });
 
 const ForBeauticianParamsSchema = CommonParamsSchema.and(
@@ -140,6 +157,35 @@ const NextParamsSchema = CommonParamsSchema.and(
 
 // -------------------------- Helpers --------------------------
 
+/**
+ * Normalize specialist object for slot computation
+ * Converts Date objects to ISO strings for timeOff and Map to object for customSchedule
+ */
+export function normalizeBeautician(specialist) {
+  if (!specialist) return specialist;
+
+  const normalized = {
+    ...specialist,
+    timeOff: (specialist.timeOff || []).map((off) => ({
+      start: off.start instanceof Date ? off.start.toISOString() : off.start,
+      end: off.end instanceof Date ? off.end.toISOString() : off.end,
+      reason: off.reason,
+    })),
+    externalBlocks: (specialist.externalBlocks || []).map((block) => ({
+      start:
+        block.start instanceof Date ? block.start.toISOString() : block.start,
+      end: block.end instanceof Date ? block.end.toISOString() : block.end,
+    })),
+    // Convert Map to plain object for customSchedule (only if it's a Map)
+    customSchedule:
+      specialist.customSchedule instanceof Map
+        ? Object.fromEntries(specialist.customSchedule)
+        : specialist.customSchedule || {},
+  };
+
+  return normalized;
+}
+
 /**
  * @param {string} hhmm
  * @returns {number} minutes from 00:00
@@ -161,13 +207,18 @@ export function minutesToHHMM(minutes) {
 
 /**
  * Convert salon-local day minutes to a real Date in tz.
+ * Minutes are wall-clock (09:00 = 540) so DST transition days still map
+ * 09:00 local to 09:00 local; values >= 1440 roll into the next day.
  * @param {string} date YYYY-MM-DD (salon local)
  * @param {number} minutes minutes since 00:00 local
  * @param {string} tz timezone id
  * @returns {Date}
  */
 export function dayMinutesToZonedDate(date, minutes, tz) {
-  return dayjs.tz(date, tz).startOf("day").add(minutes, "minute").toDate();
+  const dayOffset = Math.floor(minutes / 1440);
+  const localDate = dayjs(date).add(dayOffset, "day").format("YYYY-MM-DD");
+  const wallClock = minutesToHHMM(minutes - dayOffset * 1440);
+  return dayjs.tz(`${localDate} ${wallClock}`, tz).toDate();
 }
 
 /**
@@ -289,6 +340,154 @@ export function mergeOverlaps(intervals) {
   return out;
 }
 
+/**
+ * Intervals during which at least one required resource is fully in use.
+ * Each resource may have capacity > 1 (a pool of identical units); it blocks
+ * only while the number of overlapping bookings reaches its capacity.
+ * Feed the result into extraBlackouts so slots need every resource free.
+ * @param {{ resources: { _id:any, capacity?:number }[], bookings: { start:string|Date, end:string|Date, resourceIds?:any[], status?:string }[] }} params
+ * @returns {{ startISO:string, endISO:string }[]}
+ */
+export function computeResourceBlackouts({ resources = [], bookings = [] }) {
+  const blackouts = [];
+  for (const resource of resources) {
+    const resourceId = String(resource._id);
+    const capacity = Math.max(1, Number(resource.capacity) || 1);
+    const events = [];
+    for (const booking of bookings) {
+      if (booking.status && booking.status.startsWith("cancelled")) continue;
+      const usesResource = (booking.resourceIds || []).some(
+        (id) => String(id) === resourceId
+      );
+      if (!usesResource) continue;
+      const start = new Date(booking.start).getTime();
+      const end = new Date(booking.end).getTime();
+      if (!(start < end)) continue;
+      events.push([start, 1], [end, -1]);
+    }
+    // Ends sort before starts at the same instant (end-exclusive intervals)
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let inUse = 0;
+    let fullSince = null;
+    for (const [at, delta] of events) {
+      inUse += delta;
+      if (inUse >= capacity && fullSince === null) {
+        fullSince = at;
+      } else if (inUse < capacity && fullSince !== null) {
+        if (at > fullSince) {
+          blackouts.push({
+            startISO: new Date(fullSince).toISOString(),
+            endISO: new Date(at).toISOString(),
+          });
+        }
+        fullSince = null;
+      }
+    }
+  }
+  return mergeOverlaps(
+    blackouts.map((b) => ({ start: b.startISO, end: b.endISO }))
+  ).map((iv) => ({
+    startISO: iv.start.toISOString(),
+    endISO: iv.end.toISOString(),
+  }));
+}
+
+/**
+ * Processing (hands-free) phases of a service as minute offsets from the
+ * slot start. Phases run after bufferBeforeMin; minutes beyond the phases
+ * (add-ons, bufferAfterMin) are active.
+ * @param {{ bufferBeforeMin?: number, phases?: { kind: string, durationMin: number }[] }} service
+ * @returns {{ startMin: number, endMin: number }[]}
+ */
+export function getProcessingOffsets(service) {
+  const offsets = [];
+  let at = service?.bufferBeforeMin || 0;
+  for (const phase of service?.phases || []) {
+    if (phase.kind === "processing") {
+      offsets.push({ startMin: at, endMin: at + phase.durationMin });
+    }
+    at += phase.durationMin;
+  }
+  return offsets;
+}
+
+/**
+ * Absolute processing windows for a booking, to store on the appointment.
+ * Services are booked back to back in the given order.
+ * @param {{ start: Date|string, services: { bufferBeforeMin?: number, phases?: object[], totalMin: number }[] }} params
+ * @returns {{ start: Date, end: Date }[]}
+ */
+export function computeProcessingWindows({ start, services = [] }) {
+  const startMs = new Date(start).getTime();
+  const windows = [];
+  let offset = 0;
+  for (const service of services) {
+    for (const { startMin, endMin } of getProcessingOffsets(service)) {
+      windows.push({
+        start: new Date(startMs + (offset + startMin) * 60000),
+        end: new Date(startMs + (offset + endMin) * 60000),
+      });
+    }
+    offset += service.totalMin || 0;
+  }
+  return windows;
+}
+
+/**
+ * Parts of an interval not covered by any of the holes.
+ * @param {DateInterval} interval
+ * @param {DateInterval[]} holes
+ * @returns {DateInterval[]}
+ */
+export function subtractIntervals(interval, holes = []) {
+  let parts = [
+    { start: new Date(interval.start), end: new Date(interval.end) },
+  ];
+  for (const hole of mergeOverlaps(holes)) {
+    parts = parts.flatMap((part) => {
+      if (!intervalsOverlap(part, hole)) return [part];
+      const pieces = [];
+      if (+hole.start > +part.start) {
+        pieces.push({ start: part.start, end: new Date(hole.start) });
+      }
+      if (+hole.end < +part.end) {
+        pieces.push({ start: new Date(hole.end), end: part.end });
+      }
+      return pieces;
+    });
+  }
+  return parts;
+}
+
+/**
+ * Intervals during which an appointment occupies its specialist: the whole
+ * appointment minus its processing windows.
+ * @param {{ start: Date|string, end: Date|string, processingWindows?: { start: Date|string, end: Date|string }[] }} appointment
+ * @returns {DateInterval[]}
+ */
+export function getBusyIntervals(appointment) {
+  return subtractIntervals(
+    { start: appointment.start, end: appointment.end },
+    (appointment.processingWindows || []).map((w) => ({
+      start: new Date(w.start),
+      end: new Date(w.end),
+    }))
+  );
+}
+
+/**
+ * Whether two appointments of the same specialist clash, allowing either
+ * to sit inside the other's processing windows.
+ * @returns {boolean}
+ */
+export function appointmentsClash(a, b) {
+  const busyA = getBusyIntervals(a);
+  return getBusyIntervals(b).some((iv) =>
+    busyA.some((other) => intervalsOverlap(iv, other))
+  );
+}
+
 // -------------------------- Core computations --------------------------
 
 function totalBlockMin(service) {
@@ -305,12 +504,23 @@ function roundUpToStep(minute, step) {
 }
 
 function toDateInterval(date, tz, startMin, endMin) {
+  // End is derived from the real duration so slots crossing a DST
+  // transition keep their length
+  const start = dayMinutesToZonedDate(date, startMin, tz);
   return {
-    start: dayMinutesToZonedDate(date, startMin, tz),
-    end: dayMinutesToZonedDate(date, endMin, tz),
+    start,
+    end: new Date(start.getTime() + (endMin - startMin) * 60000),
   };
 }
 
+/**
+ * Blocking intervals for a day, split by how much of a slot they block:
+ * busy (appointments, minus their processing windows) only conflicts with
+ * the slot's active parts; hard (time off, external calendar blocks, extra
+ * blackouts such as fully booked resources) conflicts with any part of the
+ * slot.
+ * @returns {{ busy: DateInterval[], hard: DateInterval[] }}
+ */
 function buildBlockingIntervals({
   date,
   tz,
@@ -318,24 +528,28 @@ function buildBlockingIntervals({
   timeOff,
   extraBlackouts,
 }) {
-  const blocks = [];
+  const busy = [];
+  const hard = [];
   for (const a of appointments || []) {
     // Skip all cancelled appointments (cancelled, cancelled_no_refund, cancelled_partial_refund, cancelled_full_refund)
     if (a.status && a.status.startsWith("cancelled")) {
       continue;
     }
-    blocks.push({ start: new Date(a.start), end: new Date(a.end) });
+    busy.push(...getBusyIntervals(a));
   }
   for (const off of timeOff || []) {
-    blocks.push({ start: new Date(off.start), end: new Date(off.end) });
+    hard.push({ start: new Date(off.start), end: new Date(off.end) });
   }
   for (const bl of extraBlackouts || []) {
-    blocks.push({ start: new Date(bl.startISO), end: new Date(bl.endISO) });
+    hard.push({ start: new Date(bl.startISO), end: new Date(bl.endISO) });
   }
   // clamp to date
-  const clamped = blocks.map((iv) => clampToDay(iv, date, tz)).filter(Boolean);
+  const clamp = (blocks) =>
+    mergeOverlaps(
+      blocks.map((iv) => clampToDay(iv, date, tz)).filter(Boolean)
+    );
 
-  return mergeOverlaps(clamped);
+  return { busy: clamp(busy), hard: clamp(hard) };
 }
 
 /**
@@ -355,6 +569,8 @@ export function computeSlotsForBeautician(params) {
     extraBlackouts,
     dayStartOverride,
     dayEndOverride,
+    notBeforeISO,
+    notAfterISO,
   } = p;
   if (specialist.active === false) return [];
 
@@ -370,17 +586,23 @@ export function computeSlotsForBeautician(params) {
   if (!windows || windows.length === 0) return [];
 
   const totalMin = totalBlockMin(service);
+  const processingOffsets = getProcessingOffsets(service);
   const blocks = buildBlockingIntervals({
     date,
     tz,
     appointments,
-    timeOff: specialist.timeOff || [],
+    timeOff: [
+      ...(specialist.timeOff || []),
+      ...(specialist.externalBlocks || []),
+    ],
     extraBlackouts,
   });
 
   // Get current time in the salon timezone to filter past slots
   const now = dayjs().tz(tz);
   const isToday = now.format("YYYY-MM-DD") === date;
+  const notBefore = notBeforeISO ? new Date(notBeforeISO) : null;
+  const notAfter = notAfterISO ? new Date(notAfterISO) : null;
 
   const out = [];
 
@@ -401,8 +623,30 @@ export function computeSlotsForBeautician(params) {
       // Skip past slots for today
       if (isToday && slotIv.start <= now.toDate()) continue;
 
-      // Check against blocking intervals (appointments + time off + extra)
-      if (blocks.some((b) => intervalsOverlap(slotIv, b))) continue;
+      // Skip slots outside the advance booking window
+      if (notBefore && slotIv.start < notBefore) continue;
+      if (notAfter && slotIv.start > notAfter) continue;
+
+      // Check against blocking intervals (appointments + time off + extra).
+      // During the slot's own processing phases the specialist is free for
+      // other appointments, but not for time off or blacked-out resources.
+      if (blocks.hard.some((b) => intervalsOverlap(slotIv, b))) continue;
+      const activeParts = processingOffsets.length
+        ? subtractIntervals(
+            slotIv,
+            processingOffsets.map(({ startMin, endMin }) => ({
+              start: new Date(slotIv.start.getTime() + startMin * 60000),
+              end: new Date(slotIv.start.getTime() + endMin * 60000),
+            }))
+          )
+        : [slotIv];
+      if (
+        activeParts.some((part) =>
+          blocks.busy.some((b) => intervalsOverlap(part, b))
+        )
+      ) {
+        continue;
+      }
 
       out.push({
         startISO: slotIv.start.toISOString(),
@@ -431,6 +675,8 @@ export function computeSlotsAnyStaff(params) {
     specialists,
     appointmentsByBeautician,
     extraBlackoutsByBeautician,
+    notBeforeISO,
+    notAfterISO,
   } = p;
 
   const map = new Map(); // startISO -> { endISO, beauticianIds:Set }
@@ -444,6 +690,8 @@ export function computeSlotsAnyStaff(params) {
       specialist: b,
       appointments: appointmentsByBeautician[String(b._id)] || [],
       extraBlackouts: (extraBlackoutsByBeautician || {})[String(b._id)] || [],
+      notBeforeISO,
+      notAfterISO,
     });
     for (const s of slots) {
       const key = s.startISO;
@@ -471,7 +719,15 @@ export function computeSlotsAnyStaff(params) {
  */
 export function nextAvailableSlot(params) {
   const p = NextParamsSchema.parse(params);
-  const { date, salonTz: tz, stepMin, service, horizonDays } = p;
+  const {
+    date,
+    salonTz: tz,
+    stepMin,
+    service,
+    horizonDays,
+    notBeforeISO,
+    notAfterISO,
+  } = p;
   let cur = dayjs.tz(date, tz);
 
   for (let i = 0; i < horizonDays; i++) {
@@ -485,6 +741,8 @@ export function nextAvailableSlot(params) {
         specialist: p.specialist,
         appointments: p.appointments || [],
         extraBlackouts: p.extraBlackouts || [],
+        notBeforeISO,
+        notAfterISO,
       });
       if (slots.length) return slots[0];
     } else if (p.specialists) {
@@ -496,6 +754,8 @@ export function nextAvailableSlot(params) {
         specialists: p.specialists,
         appointmentsByBeautician: p.appointmentsByBeautician || {},
         extraBlackoutsByBeautician: p.extraBlackoutsByBeautician || {},
+        notBeforeISO,
+        notAfterISO,
       });
       if (slots.length) return slots[0];
     }
@@ -544,8 +804,15 @@ const anySlots = computeSlotsAnyStaff({
 
 export default {
   computeSlotsForBeautician,
+  getProcessingOffsets,
+  computeProcessingWindows,
+  subtractIntervals,
+  getBusyIntervals,
+  appointmentsClash,
+  normalizeBeautician,
   computeSlotsAnyStaff,
   nextAvailableSlot,
+  computeResourceBlackouts,
   mergeOverlaps,
   hhmmToMinutes,
   dayMinutesToZonedDate,
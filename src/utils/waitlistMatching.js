@@ -0,0 +1,111 @@
+/**
+ * Waitlist matching
+ *
+ * Which active WaitlistEntry documents a freed slot can go to. Shared by
+ * auto-fill (confirm straight away) and offer mode (claim links).
+ * Date and morning/afternoon/evening matching use the salon timezone.
+ */
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export function getDateKey(date, tz = "Europe/London") {
+  return dayjs(date).tz(tz).format("YYYY-MM-DD");
+}
+
+export function getTimePreference(date, tz = "Europe/London") {
+  const hour = dayjs(date).tz(tz).hour();
+  if (hour < 12) return "morning";
+  if (hour < 17) return "afternoon";
+  return "evening";
+}
+
+/**
+ * Appointments overlapping [start, end) that still hold their slot.
+ * Unpaid reservations hold it for 3 minutes.
+ */
+export function buildActiveAppointmentFilter({ start, end }) {
+  const threeMinutesAgo = new Date(Date.now() - 3 * 60 * 1000);
+  return {
+    start: { $lt: end },
+    end: { $gt: start },
+    $and: [
+      { status: { $not: /^cancelled/ } },
+      {
+        $or: [
+          { status: { $ne: "reserved_unpaid" } },
+          { createdAt: { $gte: threeMinutesAgo } },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Service and variant of a freed appointment, for single-service shapes.
+ * @returns {{ serviceId: *, variantName: string } | null}
+ */
+export function getWaitlistTarget(appointment) {
+  const serviceId =
+    appointment.serviceId || appointment.services?.[0]?.serviceId;
+  const variantName =
+    appointment.variantName || appointment.services?.[0]?.variantName;
+  return serviceId && variantName ? { serviceId, variantName } : null;
+}
+
+/**
+ * Query for active entries that would take the freed appointment's slot.
+ * Entries without a specialist, date or time preference match any slot.
+ */
+export function buildWaitlistCandidateQuery({
+  tenantId,
+  appointment,
+  salonTz,
+}) {
+  const { serviceId, variantName } = getWaitlistTarget(appointment) || {};
+  const desiredDate = getDateKey(appointment.start, salonTz);
+  const slotTimePreference = getTimePreference(appointment.start, salonTz);
+
+  return {
+    tenantId,
+    status: "active",
+    serviceId,
+    variantName,
+    $and: [
+      {
+        $or: [
+          { specialistId: appointment.specialistId },
+          { specialistId: null },
+          { specialistId: { $exists: false } },
+        ],
+      },
+      {
+        $or: [
+          { desiredDate },
+          { desiredDate: null },
+          { desiredDate: "" },
+          { desiredDate: { $exists: false } },
+        ],
+      },
+      {
+        $or: [
+          { timePreference: slotTimePreference },
+          { timePreference: "any" },
+          { timePreference: { $exists: false } },
+        ],
+      },
+    ],
+  };
+}
+
+export default {
+  getDateKey,
+  getTimePreference,
+  buildActiveAppointmentFilter,
+  getWaitlistTarget,
+  buildWaitlistCandidateQuery,
+};
@@ -0,0 +1,88 @@
+import { z } from "zod";
+import {
+  RECURRENCE_FREQUENCIES,
+  RecurrenceSchema,
+} from "../utils/recurrence.js";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+const isoDateTime = z.string().datetime({ offset: true });
+
+// Create series schema: recurrence as an object or an RRULE string
+export const createSeriesSchema = z
+  .object({
+    specialistId: objectId,
+    serviceId: objectId,
+    variantName: z.string().min(1, "Variant is required"),
+    startISO: isoDateTime,
+    recurrence: RecurrenceSchema.optional(),
+    rrule: z.string().min(1).optional(),
+    client: z.object({
+      name: z.string().min(1, "Client name is required"),
+      email: z.string().email("Invalid client email"),
+      phone: z.string().optional(),
+      notes: z.string().optional(),
+    }),
+    userId: objectId.optional(),
+    locationId: objectId.optional(),
+    dryRun: z.boolean().optional().default(false),
+  })
+  .refine((data) => Boolean(data.recurrence) !== Boolean(data.rrule), {
+    message: "Provide either recurrence or rrule",
+    path: ["recurrence"],
+  });
+
+// Cancel series schema (fromISO cancels only occurrences from that time on)
+export const cancelSeriesSchema = z.object({
+  requestedBy: z.enum(["customer", "staff"]),
+  reason: z.string().optional(),
+  fromISO: isoDateTime.optional(),
+});
+
+// Reschedule series schema
+export const rescheduleSeriesSchema = z.object({
+  startISO: isoDateTime,
+  frequency: z.enum(RECURRENCE_FREQUENCIES).optional(),
+  interval: z.number().int().min(1).max(52).optional(),
+  requestedBy: z.enum(["customer", "staff"]).default("staff"),
+  dryRun: z.boolean().optional().default(false),
+});
+
+// List series query schema
+export const listSeriesQuerySchema = z.object({
+  specialistId: objectId.optional(),
+  status: z.enum(["active", "cancelled"]).optional(),
+});
+
+// Series ID schema
+export const seriesIdSchema = z.object({
+  id: objectId,
+});
+
+function toResult(result) {
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+// Validation helper functions
+export function validateCreateSeries(data) {
+  return toResult(createSeriesSchema.safeParse(data));
+}
+
+export function validateCancelSeries(data) {
+  return toResult(cancelSeriesSchema.safeParse(data));
+}
+
+export function validateRescheduleSeries(data) {
+  return toResult(rescheduleSeriesSchema.safeParse(data));
+}
+
+export function validateListSeriesQuery(query) {
+  return toResult(listSeriesQuerySchema.safeParse(query));
+}
+
+export function validateSeriesId(params) {
+  return toResult(seriesIdSchema.safeParse(params));
+}
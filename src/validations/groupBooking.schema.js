@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { MAX_GROUP_GUESTS } from "../services/groupBookingService.js";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+// One guest of a group: each needs their own specialist
+const groupGuestSchema = z.object({
+  name: z.string().min(1, "Guest name is required"),
+  email: z.string().email("Invalid guest email").optional(),
+  phone: z.string().optional(),
+  notes: z.string().optional(),
+  specialistId: objectId,
+  serviceId: objectId,
+  variantName: z.string().min(1, "Variant is required"),
+});
+
+// Create group checkout session schema
+export const createGroupSessionSchema = z.object({
+  organiser: z.object({
+    name: z.string().min(1, "Organiser name is required"),
+    email: z.string().email("Invalid organiser email"),
+    phone: z.string().optional(),
+  }),
+  startISO: z.string().datetime({ offset: true }),
+  guests: z
+    .array(groupGuestSchema)
+    .min(2, "A group booking needs at least 2 guests")
+    .max(MAX_GROUP_GUESTS, `At most ${MAX_GROUP_GUESTS} guests per group`),
+  mode: z.enum(["pay_now", "deposit"]).optional().default("pay_now"),
+  currency: z.string().length(3).optional(),
+  locationId: objectId.optional(),
+  userId: objectId.optional(),
+});
+
+// Group ID schema
+export const groupIdSchema = z.object({
+  groupId: objectId,
+});
+
+function toResult(result) {
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+// Validation helper functions
+export function validateCreateGroupSession(data) {
+  return toResult(createGroupSessionSchema.safeParse(data));
+}
+
+export function validateGroupId(params) {
+  return toResult(groupIdSchema.safeParse(params));
+}
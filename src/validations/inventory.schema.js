@@ -0,0 +1,74 @@
+import { z } from "zod";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+// Staff count correction (signed)
+export const stockAdjustmentSchema = z.object({
+  variantId: objectId.nullable().optional(),
+  quantity: z
+    .number()
+    .int("Quantity must be a whole number")
+    .min(-100000)
+    .max(100000)
+    .refine((quantity) => quantity !== 0, "Quantity can't be 0"),
+  note: z.string().trim().min(1, "Say why stock is changing").max(500),
+});
+
+// Delivery received
+export const stockDeliverySchema = z.object({
+  variantId: objectId.nullable().optional(),
+  quantity: z
+    .number()
+    .int("Quantity must be a whole number")
+    .min(1)
+    .max(100000),
+  note: z.string().trim().max(500).optional().default(""),
+});
+
+// Ledger listing
+export const stockMovementsQuerySchema = z.object({
+  variantId: objectId.optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional().default(50),
+});
+
+// Product ID schema
+export const productIdSchema = z.object({
+  id: objectId,
+});
+
+// Validation helper functions
+export function validateStockAdjustment(data) {
+  const result = stockAdjustmentSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateStockDelivery(data) {
+  const result = stockDeliverySchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateStockMovementsQuery(data) {
+  const result = stockMovementsQuerySchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateProductId(params) {
+  const result = productIdSchema.safeParse(params);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
@@ -42,7 +42,16 @@ const imageSchema = z.object({
 const settingsSchema = z.object({
   images: z.array(imageSchema).optional().default([]),
   amenities: z.array(z.string()).optional().default([]),
-  timezone: z.string().optional().default("Europe/London"),
+  timezone: z.string().optional(),
+  slotStepMinutes: z.number().int().min(5).max(240).optional(),
+  collection: z
+    .object({
+      enabled: z.boolean().optional().default(false),
+      fee: z.number().min(0).max(1000).optional().default(0),
+      readyIn: z.string().max(100).optional().default(""),
+      instructions: z.string().max(1000).optional().default(""),
+    })
+    .optional(),
 });
 
 // Create location schema
@@ -0,0 +1,83 @@
+import { z } from "zod";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+const includedServiceSchema = z.object({
+  serviceId: objectId,
+  variantName: z.string().min(1).max(100).nullable().optional(),
+  sessionsPerPeriod: z.number().int().min(1).max(31),
+});
+
+// Create membership plan schema
+export const createMembershipPlanSchema = z.object({
+  name: z
+    .string()
+    .min(1, "Name is required")
+    .max(100, "Name must be less than 100 characters"),
+  description: z.string().max(1000).optional().default(""),
+  price: z.number().positive().max(10000),
+  currency: z.string().length(3).optional().default("GBP"),
+  discountPercent: z.number().min(0).max(100).optional().default(0),
+  discountServiceIds: z.array(objectId).optional().default([]),
+  includedServices: z.array(includedServiceSchema).optional().default([]),
+  active: z.boolean().optional().default(true),
+});
+
+// Update membership plan schema (all fields optional)
+export const updateMembershipPlanSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  description: z.string().max(1000).optional(),
+  price: z.number().positive().max(10000).optional(),
+  currency: z.string().length(3).optional(),
+  discountPercent: z.number().min(0).max(100).optional(),
+  discountServiceIds: z.array(objectId).optional(),
+  includedServices: z.array(includedServiceSchema).optional(),
+  active: z.boolean().optional(),
+});
+
+// Membership sign-up checkout schema
+export const createMembershipSessionSchema = z.object({
+  planId: objectId,
+});
+
+// Membership or plan ID schema
+export const membershipIdSchema = z.object({
+  id: objectId,
+});
+
+// Validation helper functions
+export function validateCreateMembershipPlan(data) {
+  const result = createMembershipPlanSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateUpdateMembershipPlan(data) {
+  const result = updateMembershipPlanSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateCreateMembershipSession(data) {
+  const result = createMembershipSessionSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateMembershipId(params) {
+  const result = membershipIdSchema.safeParse(params);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
@@ -0,0 +1,26 @@
+import { z } from "zod";
+
+// Order refund: some units of some lines, or everything left if no items
+export const refundOrderSchema = z.object({
+  items: z
+    .array(
+      z.object({
+        itemIndex: z.number().int().min(0),
+        quantity: z.number().int("Quantity must be a whole number").min(1),
+      }),
+    )
+    .optional(),
+  includeShipping: z.boolean().optional().default(false),
+  restock: z.boolean().optional().default(true),
+  reason: z.string().trim().max(500).optional().default(""),
+});
+
+// Validation helper functions
+export function validateRefundOrder(data) {
+  const result = refundOrderSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
@@ -0,0 +1,79 @@
+import { z } from "zod";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+// Create package schema
+export const createPackageSchema = z.object({
+  name: z
+    .string()
+    .min(1, "Name is required")
+    .max(100, "Name must be less than 100 characters"),
+  description: z.string().max(1000).optional().default(""),
+  serviceId: objectId,
+  variantName: z.string().min(1).max(100).nullable().optional(),
+  sessionCount: z.number().int().min(1).max(100),
+  price: z.number().positive().max(100000),
+  currency: z.string().length(3).optional().default("GBP"),
+  validityDays: z.number().int().min(1).max(1825).optional().default(365),
+  active: z.boolean().optional().default(true),
+});
+
+// Update package schema (all fields optional)
+export const updatePackageSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  description: z.string().max(1000).optional(),
+  serviceId: objectId.optional(),
+  variantName: z.string().min(1).max(100).nullable().optional(),
+  sessionCount: z.number().int().min(1).max(100).optional(),
+  price: z.number().positive().max(100000).optional(),
+  currency: z.string().length(3).optional(),
+  validityDays: z.number().int().min(1).max(1825).optional(),
+  active: z.boolean().optional(),
+});
+
+// Package purchase checkout schema
+export const createPackageSessionSchema = z.object({
+  packageId: objectId,
+});
+
+// Package ID schema
+export const packageIdSchema = z.object({
+  id: objectId,
+});
+
+// Validation helper functions
+export function validateCreatePackage(data) {
+  const result = createPackageSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateUpdatePackage(data) {
+  const result = updatePackageSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateCreatePackageSession(data) {
+  const result = createPackageSessionSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validatePackageId(params) {
+  const result = packageIdSchema.safeParse(params);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
@@ -0,0 +1,154 @@
+import { z } from "zod";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+const isoDateTime = z.string().datetime({ offset: true });
+
+const promotionFields = {
+  code: z
+    .string()
+    .trim()
+    .min(3, "Code must be at least 3 characters")
+    .max(30, "Code must be less than 30 characters")
+    .regex(
+      /^[A-Za-z0-9_-]+$/,
+      "Code can only contain letters, numbers, - and _",
+    ),
+  name: z
+    .string()
+    .min(1, "Name is required")
+    .max(100, "Name must be less than 100 characters"),
+  description: z.string().max(1000),
+  type: z.enum(["percent", "fixed"]),
+  value: z.number().positive().max(100000),
+  appliesTo: z.enum(["all", "bookings", "products"]),
+  serviceIds: z.array(objectId),
+  productIds: z.array(objectId),
+  categories: z.array(z.string().trim().min(1).max(100)),
+  specialistIds: z.array(objectId),
+  minSpend: z.number().min(0).max(100000),
+  startsAt: isoDateTime.nullable(),
+  endsAt: isoDateTime.nullable(),
+  maxRedemptions: z.number().int().min(1).nullable(),
+  maxRedemptionsPerClient: z.number().int().min(1).nullable(),
+  firstVisitOnly: z.boolean(),
+  active: z.boolean(),
+};
+
+const percentWithinRange = (data) =>
+  data.type !== "percent" || data.value === undefined || data.value <= 100;
+
+const windowInOrder = (data) =>
+  !data.startsAt ||
+  !data.endsAt ||
+  new Date(data.startsAt) < new Date(data.endsAt);
+
+// Create promotion schema
+export const createPromotionSchema = z
+  .object({
+    ...promotionFields,
+    description: promotionFields.description.optional().default(""),
+    appliesTo: promotionFields.appliesTo.optional().default("all"),
+    serviceIds: promotionFields.serviceIds.optional().default([]),
+    productIds: promotionFields.productIds.optional().default([]),
+    categories: promotionFields.categories.optional().default([]),
+    specialistIds: promotionFields.specialistIds.optional().default([]),
+    minSpend: promotionFields.minSpend.optional().default(0),
+    startsAt: promotionFields.startsAt.optional(),
+    endsAt: promotionFields.endsAt.optional(),
+    maxRedemptions: promotionFields.maxRedemptions.optional(),
+    maxRedemptionsPerClient: promotionFields.maxRedemptionsPerClient.optional(),
+    firstVisitOnly: promotionFields.firstVisitOnly.optional().default(false),
+    active: promotionFields.active.optional().default(true),
+  })
+  .refine(percentWithinRange, {
+    message: "Percent off can't be more than 100",
+    path: ["value"],
+  })
+  .refine(windowInOrder, {
+    message: "End date must be after start date",
+    path: ["endsAt"],
+  });
+
+// Update promotion schema (all fields optional)
+export const updatePromotionSchema = z
+  .object(promotionFields)
+  .partial()
+  .refine(percentWithinRange, {
+    message: "Percent off can't be more than 100",
+    path: ["value"],
+  })
+  .refine(windowInOrder, {
+    message: "End date must be after start date",
+    path: ["endsAt"],
+  });
+
+// Promo code check from the booking or shop page
+export const validatePromotionCodeSchema = z.object({
+  code: z.string().trim().min(1, "Code is required").max(30),
+  email: z.string().email().optional(),
+  booking: z
+    .object({
+      specialistId: objectId.optional(),
+      services: z
+        .array(
+          z.object({
+            serviceId: objectId,
+            variantName: z.string().min(1),
+          }),
+        )
+        .min(1),
+    })
+    .optional(),
+  items: z
+    .array(
+      z.object({
+        productId: objectId,
+        variantId: objectId.optional().nullable(),
+        quantity: z.number().int().min(1),
+      }),
+    )
+    .min(1)
+    .optional(),
+});
+
+// Promotion ID schema
+export const promotionIdSchema = z.object({
+  id: objectId,
+});
+
+// Validation helper functions
+export function validateCreatePromotion(data) {
+  const result = createPromotionSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateUpdatePromotion(data) {
+  const result = updatePromotionSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validatePromotionCode(data) {
+  const result = validatePromotionCodeSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validatePromotionId(params) {
+  const result = promotionIdSchema.safeParse(params);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
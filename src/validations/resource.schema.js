@@ -0,0 +1,74 @@
+import { z } from "zod";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+// Create resource schema
+export const createResourceSchema = z.object({
+  name: z
+    .string()
+    .min(1, "Name is required")
+    .max(100, "Name must be less than 100 characters"),
+  type: z.enum(["room", "equipment"]).default("room"),
+  description: z.string().max(500).optional().default(""),
+  locationId: objectId.nullable().optional(),
+  capacity: z.number().int().min(1).max(100).optional().default(1),
+  active: z.boolean().optional().default(true),
+});
+
+// Update resource schema (all fields optional)
+export const updateResourceSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  type: z.enum(["room", "equipment"]).optional(),
+  description: z.string().max(500).optional(),
+  locationId: objectId.nullable().optional(),
+  capacity: z.number().int().min(1).max(100).optional(),
+  active: z.boolean().optional(),
+});
+
+// List resources query schema
+export const listResourcesQuerySchema = z.object({
+  locationId: objectId.optional(),
+  type: z.enum(["room", "equipment"]).optional(),
+});
+
+// Resource ID schema
+export const resourceIdSchema = z.object({
+  id: objectId,
+});
+
+// Validation helper functions
+export function validateCreateResource(data) {
+  const result = createResourceSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateUpdateResource(data) {
+  const result = updateResourceSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateListResourcesQuery(query) {
+  const result = listResourcesQuerySchema.safeParse(query);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateResourceId(params) {
+  const result = resourceIdSchema.safeParse(params);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
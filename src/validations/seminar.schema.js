@@ -0,0 +1,79 @@
+import { z } from "zod";
+
+// Tier and bundle keys are referenced by bookings and sessions
+const key = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9][a-z0-9-]{0,39}$/, "Use letters, numbers and dashes");
+
+const money = z.number().min(0).max(100000);
+const percent = z.number().min(0).max(100);
+
+const ticketTierSchema = z.object({
+  key,
+  name: z.string().trim().min(1, "Ticket name is required").max(100),
+  description: z.string().trim().max(500).optional(),
+  price: money,
+  earlyBirdPrice: money.nullable().optional(),
+  capacity: z.number().int().min(1).nullable().optional(),
+  active: z.boolean().optional().default(true),
+});
+
+const bundleSchema = z.object({
+  key,
+  name: z.string().trim().min(1, "Bundle name is required").max(100),
+  description: z.string().trim().max(500).optional(),
+  discountPercent: percent.optional().default(0),
+  allowSingleSessions: z.boolean().optional().default(false),
+});
+
+const groupDiscountSchema = z.object({
+  minAttendees: z.number().int().min(2).max(100),
+  percentOff: percent,
+});
+
+const uniqueKeys = (items) =>
+  new Set(items.map((item) => item.key)).size === items.length;
+
+// Ticketing fields of a seminar, with the sessions that reference bundles
+export const seminarTicketingSchema = z
+  .object({
+    ticketTiers: z
+      .array(ticketTierSchema)
+      .max(10)
+      .refine(uniqueKeys, "Ticket keys must be unique"),
+    bundles: z
+      .array(bundleSchema)
+      .max(20)
+      .refine(uniqueKeys, "Bundle keys must be unique"),
+    groupDiscounts: z.array(groupDiscountSchema).max(10),
+    sessions: z.array(
+      z
+        .object({ bundleKey: key.nullable().optional() })
+        .passthrough(),
+    ),
+  })
+  .partial()
+  .superRefine((data, ctx) => {
+    const bundleKeys = new Set((data.bundles || []).map((b) => b.key));
+    (data.sessions || []).forEach((session, index) => {
+      if (session.bundleKey && !bundleKeys.has(session.bundleKey)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `No bundle with key "${session.bundleKey}"`,
+          path: ["sessions", index, "bundleKey"],
+        });
+      }
+    });
+  });
+
+// Validation helper functions
+export function validateSeminarTicketing(data) {
+  const result = seminarTicketingSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
@@ -26,18 +26,47 @@ const galleryImageSchema = z.object({
   height: z.number().positive().optional(),
 });
 
+// Variant phase schema (active / processing stretches of the service)
+const phaseSchema = z.object({
+  kind: z.enum(["active", "processing"]),
+  durationMin: z.number().int().positive("Phase duration must be positive"),
+});
+
 // Service variant schema
-const variantSchema = z.object({
-  name: z.string().min(1, "Variant name is required").max(100),
-  durationMin: z.number().int().positive("Duration must be positive"),
-  price: z.number().positive("Price must be positive"),
-  promoPrice: z
-    .number()
-    .positive("Promo price must be positive")
-    .nullable()
-    .optional(),
-  bufferBeforeMin: z.number().int().nonnegative().default(0),
-  bufferAfterMin: z.number().int().nonnegative().default(0),
+const variantSchema = z
+  .object({
+    name: z.string().min(1, "Variant name is required").max(100),
+    durationMin: z.number().int().positive("Duration must be positive"),
+    price: z.number().positive("Price must be positive"),
+    promoPrice: z
+      .number()
+      .positive("Promo price must be positive")
+      .nullable()
+      .optional(),
+    bufferBeforeMin: z.number().int().nonnegative().default(0),
+    bufferAfterMin: z.number().int().nonnegative().default(0),
+    phases: z.array(phaseSchema).optional(),
+  })
+  .refine(
+    (variant) =>
+      !variant.phases?.length ||
+      variant.phases.reduce((sum, phase) => sum + phase.durationMin, 0) ===
+        variant.durationMin,
+    { message: "Phase durations must add up to durationMin", path: ["phases"] }
+  )
+  .refine(
+    (variant) =>
+      !variant.phases?.length ||
+      variant.phases.some((phase) => phase.kind === "active"),
+    { message: "Phases need at least one active phase", path: ["phases"] }
+  );
+
+// Service add-on schema (booking-time extras, referenced by name)
+const addOnSchema = z.object({
+  name: z.string().min(1, "Add-on name is required").max(100),
+  durationMin: z.number().int().nonnegative().default(0),
+  price: z.number().nonnegative("Price cannot be negative").default(0),
+  active: z.boolean().default(true),
 });
 
 // Base service schema (common fields)
@@ -46,6 +75,13 @@ const baseServiceSchema = z.object({
   category: z.string().min(1, "Category is required").max(100),
   description: z.string().max(2000).optional(),
   variants: z.array(variantSchema).min(1, "At least one variant is required"),
+  addOns: z
+    .array(addOnSchema)
+    .refine(
+      (addOns) => new Set(addOns.map((a) => a.name)).size === addOns.length,
+      "Add-on names must be unique"
+    )
+    .optional(),
   primaryBeauticianId: z
     .string()
     .regex(/^[0-9a-fA-F]{24}$/, "Invalid specialist ID"),
@@ -71,6 +107,15 @@ const baseServiceSchema = z.object({
         )
     )
     .optional(),
+  requiredResourceIds: z
+    .array(z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid resource ID"))
+    .optional(),
+  bookingWindow: z
+    .object({
+      minAdvanceHours: z.number().nonnegative().nullable().optional(),
+      maxAdvanceDays: z.number().int().positive().nullable().optional(),
+    })
+    .optional(),
 });
 
 // Create service schema (POST)
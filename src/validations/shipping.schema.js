@@ -0,0 +1,159 @@
+import { z } from "zod";
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+const money = z.number().min(0).max(100000);
+
+const countryCode = z
+  .string()
+  .trim()
+  .toUpperCase()
+  .regex(/^[A-Z]{2}$/, "Use two-letter country codes, e.g. GB");
+
+const shippingRateSchema = z
+  .object({
+    name: z.string().trim().min(1, "Rate name is required").max(100),
+    description: z.string().trim().max(300).optional().default(""),
+    estimatedDays: z.string().trim().max(100).optional().default(""),
+    minWeight: z.number().min(0).max(1000).optional().default(0),
+    maxWeight: z.number().min(0).max(1000).nullable().optional().default(null),
+    minSubtotal: money.optional().default(0),
+    maxSubtotal: money.nullable().optional().default(null),
+    price: money,
+  })
+  .refine(
+    (rate) => rate.maxWeight == null || rate.maxWeight > rate.minWeight,
+    { message: "Max weight must be over min weight", path: ["maxWeight"] },
+  )
+  .refine(
+    (rate) => rate.maxSubtotal == null || rate.maxSubtotal >= rate.minSubtotal,
+    {
+      message: "Max subtotal can't be under min subtotal",
+      path: ["maxSubtotal"],
+    },
+  );
+
+const zoneFields = {
+  name: z.string().trim().min(1, "Zone name is required").max(100),
+  countries: z.array(countryCode).max(300),
+  postcodePrefixes: z
+    .array(z.string().trim().toUpperCase().min(1).max(10))
+    .max(500),
+  rates: z.array(shippingRateSchema).max(50),
+  freeShippingThreshold: money.nullable(),
+  active: z.boolean(),
+  displayOrder: z.number().int().min(0),
+};
+
+const prefixesNeedCountries = (zone) =>
+  !zone.postcodePrefixes?.length || zone.countries?.length > 0;
+const prefixesNeedCountriesError = {
+  message: "Postcode prefixes need a country",
+  path: ["postcodePrefixes"],
+};
+
+// Create zone
+export const createShippingZoneSchema = z
+  .object({
+    ...zoneFields,
+    countries: zoneFields.countries.optional().default([]),
+    postcodePrefixes: zoneFields.postcodePrefixes.optional().default([]),
+    rates: zoneFields.rates.min(1, "Add at least one rate"),
+    freeShippingThreshold: zoneFields.freeShippingThreshold
+      .optional()
+      .default(null),
+    active: zoneFields.active.optional().default(true),
+    displayOrder: zoneFields.displayOrder.optional().default(0),
+  })
+  .refine(prefixesNeedCountries, prefixesNeedCountriesError);
+
+// Update zone (all fields optional)
+export const updateShippingZoneSchema = z
+  .object(zoneFields)
+  .partial()
+  .refine(
+    (zone) => !zone.postcodePrefixes?.length || zone.countries !== undefined,
+    {
+      message: "Send the zone's countries with its postcode prefixes",
+      path: ["countries"],
+    },
+  )
+  .refine(prefixesNeedCountries, prefixesNeedCountriesError);
+
+// Tenant shipping settings
+export const shippingSettingsSchema = z
+  .object({
+    provider: z.enum(["local", "shipengine"]),
+    originPostalCode: z.string().trim().toUpperCase().max(10),
+    originCountryCode: countryCode,
+  })
+  .partial();
+
+const quoteItemSchema = z.object({
+  productId: objectId.optional(),
+  variantId: objectId.optional(),
+  // kg per unit, used when the product isn't given
+  weight: z.number().min(0).max(1000).optional(),
+  quantity: z.number().int().min(1).max(1000),
+  price: money.optional(),
+});
+
+// Shop basket quote
+export const shippingQuoteSchema = z.object({
+  postalCode: z.string().trim().min(1, "Postal code is required").max(12),
+  countryCode: z.string().trim().max(60).optional().default("GB"),
+  city: z.string().trim().max(100).optional(),
+  items: z.array(quoteItemSchema).min(1, "Items are required").max(100),
+  subtotal: money.optional(),
+});
+
+// Zone ID schema
+export const shippingZoneIdSchema = z.object({
+  id: objectId,
+});
+
+// Validation helper functions
+export function validateCreateShippingZone(data) {
+  const result = createShippingZoneSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateUpdateShippingZone(data) {
+  const result = updateShippingZoneSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateShippingSettings(data) {
+  const result = shippingSettingsSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateShippingQuote(data) {
+  const result = shippingQuoteSchema.safeParse(data);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
+
+export function validateShippingZoneId(params) {
+  const result = shippingZoneIdSchema.safeParse(params);
+  return {
+    success: result.success,
+    data: result.success ? result.data : null,
+    errors: result.success ? [] : result.error.errors,
+  };
+}
@@ -0,0 +1,262 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = { findById: jest.fn(), updateOne: jest.fn() };
+const mockSpecialistModel = { findById: jest.fn() };
+const mockTenantModel = { findById: jest.fn() };
+const mockPolicyModel = { findOne: jest.fn() };
+const mockStripe = { getStripe: jest.fn(), refundPayment: jest.fn() };
+const mockReceipts = { sendReceiptEmail: jest.fn() };
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/Specialist.js", () => ({
+  default: mockSpecialistModel,
+}));
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/models/CancellationPolicy.js", () => ({
+  default: mockPolicyModel,
+}));
+jest.unstable_mockModule("../../src/payments/stripe.js", () => ({
+  ...mockStripe,
+  default: mockStripe,
+}));
+jest.unstable_mockModule("../../src/services/receiptService.js", () => ({
+  ...mockReceipts,
+  default: mockReceipts,
+}));
+
+const { chargeAppointmentFee, computeFeeAmount, createCardSetup } =
+  await import("../../src/services/appointmentFeeService.js");
+
+const now = new Date("2099-03-10T12:00:00.000Z");
+const savedCard = {
+  status: "saved",
+  stripeAccountId: "acct_salon",
+  customerId: "cus_1",
+  setupIntentId: "seti_1",
+  paymentMethodId: "pm_1",
+  cardBrand: "visa",
+  cardLast4: "4242",
+};
+
+const appointment = (overrides = {}) => ({
+  _id: "665f1c2b9d3e4a0012345678",
+  tenantId: "tenant_1",
+  specialistId: "sp_1",
+  status: "confirmed",
+  price: 60,
+  client: { name: "Jane Doe", email: "jane@example.com" },
+  cardOnFile: savedCard,
+  ...overrides,
+});
+
+const setUpCharge = ({ appt, paymentIntents, policy }) => {
+  mockAppointmentModel.findById.mockReturnValue(mockQuery(appt));
+  mockAppointmentModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  mockTenantModel.findById.mockReturnValue(
+    mockQuery({ businessName: "Salon" }),
+  );
+  mockStripe.getStripe.mockReturnValue({ paymentIntents });
+  mockPolicyModel.findOne.mockReturnValue(
+    mockQuery({
+      currency: "GBP",
+      noShowFee: { percent: 50 },
+      lateCancelFee: { fixed: 1500 },
+      ...policy,
+    }),
+  );
+  mockReceipts.sendReceiptEmail.mockResolvedValue();
+};
+
+describe("appointmentFeeService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("computes percent fees from the price and fixed fees in pence", () => {
+    expect(computeFeeAmount({ percent: 50 }, 60)).toBe(3000);
+    expect(computeFeeAmount({ fixed: 1500 }, 60)).toBe(1500);
+    expect(computeFeeAmount(undefined, 60)).toBe(0);
+  });
+
+  it("refuses to save cards unless the tenant enables it", async () => {
+    const result = await createCardSetup({
+      appointmentId: "appt_1",
+      tenant: { paymentSettings: {} },
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 403,
+      body: { code: "CARD_SETUP_DISABLED" },
+    });
+    expect(mockAppointmentModel.findById).not.toHaveBeenCalled();
+  });
+
+  it("creates an off-session SetupIntent on the connected account", async () => {
+    const stripe = {
+      customers: { create: jest.fn(async () => ({ id: "cus_new" })) },
+      setupIntents: {
+        create: jest.fn(async () => ({
+          id: "seti_new",
+          client_secret: "seti_new_secret",
+        })),
+      },
+    };
+    mockAppointmentModel.findById.mockReturnValue(
+      mockQuery(appointment({ cardOnFile: undefined })),
+    );
+    mockSpecialistModel.findById.mockReturnValue(
+      mockQuery({ stripeAccountId: "acct_spec", stripeStatus: "connected" }),
+    );
+    mockStripe.getStripe.mockReturnValue(stripe);
+
+    const result = await createCardSetup({
+      appointmentId: "appt_1",
+      tenant: { paymentSettings: { saveCardsForFees: true } },
+    });
+
+    expect(result).toEqual({
+      ok: true,
+      clientSecret: "seti_new_secret",
+      setupIntentId: "seti_new",
+      stripeAccountId: "acct_spec",
+    });
+    expect(mockStripe.getStripe).toHaveBeenCalledWith("acct_spec");
+    expect(stripe.setupIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({ customer: "cus_new", usage: "off_session" }),
+    );
+    expect(
+      mockAppointmentModel.updateOne.mock.calls[0][1].$set.cardOnFile,
+    ).toMatchObject({ status: "pending", setupIntentId: "seti_new" });
+  });
+
+  it("marks a no-show and charges the fee off-session", async () => {
+    const paymentIntents = {
+      create: jest.fn(async () => ({ id: "pi_fee", status: "succeeded" })),
+    };
+    setUpCharge({ appt: appointment(), paymentIntents });
+
+    const result = await chargeAppointmentFee({
+      appointmentId: "appt_1",
+      type: "no_show",
+      by: "owner@example.com",
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: true,
+      status: "no_show",
+      charge: { amount: 3000, status: "succeeded", paymentIntentId: "pi_fee" },
+    });
+    expect(mockStripe.getStripe).toHaveBeenCalledWith("acct_salon");
+    const [params, options] = paymentIntents.create.mock.calls[0];
+    expect(params).toMatchObject({
+      amount: 3000,
+      currency: "gbp",
+      customer: "cus_1",
+      payment_method: "pm_1",
+      off_session: true,
+      confirm: true,
+    });
+    expect(params.metadata.appointmentId).toBeUndefined();
+    expect(options.idempotencyKey).toBe(
+      "fee:no_show:665f1c2b9d3e4a0012345678:0",
+    );
+
+    const [, statusUpdate] = mockAppointmentModel.updateOne.mock.calls[0];
+    expect(statusUpdate.$set.status).toBe("no_show");
+    const [, chargeUpdate] = mockAppointmentModel.updateOne.mock.calls[1];
+    expect(chargeUpdate.$push.audit.action).toBe("fee_charge_succeeded");
+
+    const [receipt, , email] = mockReceipts.sendReceiptEmail.mock.calls[0];
+    expect(email).toBe("jane@example.com");
+    expect(receipt).toMatchObject({ total: 3000, receipt: {} });
+    expect(receipt.receipt.receiptNumber).toMatch(/^FEE-/);
+  });
+
+  it("records a declined card without sending a receipt", async () => {
+    const declined = Object.assign(new Error("Your card was declined."), {
+      code: "card_declined",
+      decline_code: "insufficient_funds",
+      raw: { payment_intent: { id: "pi_declined" } },
+    });
+    const paymentIntents = { create: jest.fn().mockRejectedValue(declined) };
+    setUpCharge({
+      appt: appointment({ status: "cancelled_no_refund" }),
+      paymentIntents,
+    });
+
+    const result = await chargeAppointmentFee({
+      appointmentId: "appt_1",
+      type: "late_cancel",
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 402,
+      body: { code: "FEE_CHARGE_FAILED" },
+    });
+    const [, update] = mockAppointmentModel.updateOne.mock.calls[0];
+    expect(update.$push.feeCharges).toMatchObject({
+      type: "late_cancel",
+      amount: 1500,
+      status: "failed",
+      paymentIntentId: "pi_declined",
+      error: { code: "card_declined", declineCode: "insufficient_funds" },
+    });
+    expect(mockReceipts.sendReceiptEmail).not.toHaveBeenCalled();
+  });
+
+  it("does not charge the same fee twice", async () => {
+    const paymentIntents = { create: jest.fn() };
+    setUpCharge({
+      appt: appointment({
+        status: "no_show",
+        feeCharges: [{ type: "no_show", status: "succeeded" }],
+      }),
+      paymentIntents,
+    });
+
+    const result = await chargeAppointmentFee({
+      appointmentId: "appt_1",
+      type: "no_show",
+      now,
+    });
+
+    expect(result.body.code).toBe("FEE_ALREADY_CHARGED");
+    expect(paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  it("records a fee once when two charges race", async () => {
+    const paymentIntents = {
+      create: jest.fn(async () => ({ id: "pi_fee", status: "succeeded" })),
+    };
+    setUpCharge({
+      appt: appointment({ status: "no_show" }),
+      paymentIntents,
+    });
+    // The other request pushed its charge first
+    mockAppointmentModel.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await chargeAppointmentFee({
+      appointmentId: "appt_1",
+      type: "no_show",
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "FEE_ALREADY_CHARGED" },
+    });
+    const [filter] = mockAppointmentModel.updateOne.mock.calls[0];
+    expect(filter.$expr.$eq[1]).toBe(0);
+    expect(mockReceipts.sendReceiptEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,238 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = { find: jest.fn(), updateOne: jest.fn() };
+const mockSeriesModel = { updateOne: jest.fn() };
+const mockCancellation = {
+  loadCancellationPolicy: jest.fn(),
+  cancelAppointment: jest.fn(),
+};
+const mockMailer = {
+  sendCancellationEmails: jest.fn(),
+  sendConfirmationEmail: jest.fn(),
+};
+const mockAutoFill = { autoFillCancelledSlot: jest.fn() };
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/AppointmentSeries.js", () => ({
+  default: mockSeriesModel,
+}));
+jest.unstable_mockModule(
+  "../../src/services/appointmentCancellationService.js",
+  () => ({ ...mockCancellation, default: mockCancellation }),
+);
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  ...mockMailer,
+  default: mockMailer,
+}));
+jest.unstable_mockModule(
+  "../../src/services/waitlistAutoFillService.js",
+  () => ({
+    ...mockAutoFill,
+    default: mockAutoFill,
+  }),
+);
+
+const {
+  SERIES_OCCURRENCE_CODES,
+  cancelAppointmentSeries,
+  planSeriesOccurrences,
+  rescheduleAppointmentSeries,
+} = await import("../../src/services/appointmentSeriesService.js");
+const { BOOKING_WINDOW_ERROR_CODES } =
+  await import("../../src/utils/bookingWindow.js");
+
+const specialist = {
+  _id: "sp1",
+  workingHours: [{ dayOfWeek: 1, start: "09:00", end: "17:00" }],
+};
+const service = { _id: "svc1" };
+const variant = {
+  name: "Infill",
+  durationMin: 60,
+  bufferBeforeMin: 0,
+  bufferAfterMin: 0,
+};
+const mondays = [
+  new Date("2030-01-14T10:00:00.000Z"),
+  new Date("2030-01-21T10:00:00.000Z"),
+  new Date("2030-01-28T10:00:00.000Z"),
+];
+
+const plan = (overrides = {}) =>
+  planSeriesOccurrences({
+    tenantId: "tenant_1",
+    salonTz: "UTC",
+    stepMin: 15,
+    specialist,
+    service,
+    variant,
+    starts: mondays,
+    now: new Date("2030-01-01T00:00:00.000Z"),
+    ...overrides,
+  });
+
+describe("appointmentSeriesService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("planSeriesOccurrences", () => {
+    it("reports occurrences that clash with existing bookings", async () => {
+      mockAppointmentModel.find.mockReturnValue(
+        mockQuery([
+          {
+            _id: "appt_1",
+            start: new Date("2030-01-21T09:30:00.000Z"),
+            end: new Date("2030-01-21T10:30:00.000Z"),
+            status: "confirmed",
+          },
+        ]),
+      );
+      const result = await plan();
+
+      expect(result.map((o) => o.available)).toEqual([true, false, true]);
+      expect(result[1].code).toBe(SERIES_OCCURRENCE_CODES.SLOT_UNAVAILABLE);
+      expect(result[0]).toMatchObject({
+        index: 0,
+        startISO: "2030-01-14T10:00:00.000Z",
+        endISO: "2030-01-14T11:00:00.000Z",
+      });
+    });
+
+    it("ignores the series' own bookings when rescheduling", async () => {
+      mockAppointmentModel.find.mockReturnValue(
+        mockQuery([
+          {
+            _id: "own_occurrence",
+            start: new Date("2030-01-21T10:00:00.000Z"),
+            end: new Date("2030-01-21T11:00:00.000Z"),
+            status: "confirmed",
+          },
+        ]),
+      );
+      const result = await plan({ excludeAppointmentIds: ["own_occurrence"] });
+      expect(result.every((o) => o.available)).toBe(true);
+    });
+
+    it("applies the booking window to every occurrence", async () => {
+      mockAppointmentModel.find.mockReturnValue(mockQuery([]));
+      const result = await plan({
+        tenant: { schedulingSettings: { maxAdvanceBookingDays: 21 } },
+      });
+      expect(result.map((o) => o.code)).toEqual([
+        undefined,
+        undefined,
+        BOOKING_WINDOW_ERROR_CODES.TOO_FAR_AHEAD,
+      ]);
+    });
+  });
+
+  describe("cancelAppointmentSeries", () => {
+    it("cancels each upcoming occurrence under the policy", async () => {
+      const upcoming = [
+        { _id: "a1", start: new Date("2030-01-14T10:00:00.000Z") },
+        { _id: "a2", start: new Date("2030-02-04T10:00:00.000Z") },
+      ];
+      const policy = { freeCancelHours: 48, noRefundHours: 4 };
+      const { cancelAppointment } = mockCancellation;
+      mockAppointmentModel.find.mockReturnValue(mockQuery(upcoming));
+      mockCancellation.loadCancellationPolicy.mockResolvedValue(policy);
+      cancelAppointment.mockImplementation(async ({ appointment }) => ({
+        updated: { ...appointment, status: "cancelled_no_refund" },
+        outcome: { refundAmount: 0, reasonCode: "base_zero" },
+        status: "cancelled_no_refund",
+      }));
+      mockSeriesModel.updateOne.mockResolvedValue({});
+      mockMailer.sendCancellationEmails.mockResolvedValue();
+      mockAutoFill.autoFillCancelledSlot.mockResolvedValue({ filled: false });
+
+      const result = await cancelAppointmentSeries({
+        series: { _id: "series_1", tenantId: "tenant_1", specialistId: "sp1" },
+        requestedBy: "customer",
+        reason: "Moving away",
+        salonTz: "UTC",
+        now: new Date("2030-01-01T00:00:00.000Z"),
+      });
+
+      expect(cancelAppointment).toHaveBeenCalledTimes(2);
+      expect(cancelAppointment.mock.calls[0][0]).toMatchObject({
+        policy,
+        requestedBy: "customer",
+        auditMeta: { seriesId: "series_1" },
+      });
+      expect(result.occurrences.map((o) => o.status)).toEqual([
+        "cancelled_no_refund",
+        "cancelled_no_refund",
+      ]);
+      expect(mockCancellation.loadCancellationPolicy).toHaveBeenCalledWith({
+        specialistId: "sp1",
+      });
+      expect(mockSeriesModel.updateOne.mock.calls[0][1].$set).toEqual({
+        status: "cancelled",
+      });
+    });
+  });
+
+  describe("rescheduleAppointmentSeries", () => {
+    it("moves only the occurrences the refund bands still allow", async () => {
+      const createdAt = new Date("2030-01-01T00:00:00.000Z");
+      const upcoming = mondays.map((start, i) => ({
+        _id: `a${i + 1}`,
+        start,
+        end: new Date(start.getTime() + 3600000),
+        createdAt,
+      }));
+      // Nothing back inside two days, so the first occurrence is locked
+      const policy = {
+        refundBands: [
+          { minHoursBefore: 48, percent: 100 },
+          { minHoursBefore: 0, percent: 0 },
+        ],
+      };
+      mockAppointmentModel.find.mockReturnValue(mockQuery(upcoming));
+      mockAppointmentModel.updateOne.mockResolvedValue({});
+      mockCancellation.loadCancellationPolicy.mockResolvedValue(policy);
+      mockSeriesModel.updateOne.mockResolvedValue({});
+
+      const result = await rescheduleAppointmentSeries({
+        series: {
+          _id: "series_1",
+          tenantId: "tenant_1",
+          specialistId: "sp1",
+          recurrence: { frequency: "weekly", interval: 1 },
+        },
+        newStart: new Date("2030-01-21T14:00:00.000Z"),
+        salonTz: "UTC",
+        stepMin: 15,
+        specialist,
+        service,
+        variant,
+        requestedBy: "customer",
+        now: new Date("2030-01-13T10:00:00.000Z"),
+      });
+
+      expect(result.occurrences).toEqual([
+        expect.objectContaining({
+          appointmentId: "a1",
+          status: "unchanged",
+          code: SERIES_OCCURRENCE_CODES.RESCHEDULE_LOCKED,
+          startISO: "2030-01-14T10:00:00.000Z",
+        }),
+        expect.objectContaining({
+          appointmentId: "a2",
+          status: "rescheduled",
+          startISO: "2030-01-21T14:00:00.000Z",
+        }),
+        expect.objectContaining({
+          appointmentId: "a3",
+          status: "rescheduled",
+          startISO: "2030-01-28T14:00:00.000Z",
+        }),
+      ]);
+      expect(mockAppointmentModel.updateOne).toHaveBeenCalledTimes(2);
+    });
+  });
+});
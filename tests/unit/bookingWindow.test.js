@@ -0,0 +1,117 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  BOOKING_WINDOW_ERROR_CODES,
+  checkBookingWindow,
+  getBookingWindowBounds,
+  resolveBookingWindow,
+} from "../../src/utils/bookingWindow.js";
+import { computeSlotsForBeautician } from "../../src/utils/slotPlanner.js";
+
+const tenant = {
+  schedulingSettings: { minAdvanceBookingHours: 2, maxAdvanceBookingDays: 60 },
+};
+
+describe("bookingWindow", () => {
+  describe("resolveBookingWindow", () => {
+    it("uses tenant scheduling settings", () => {
+      expect(resolveBookingWindow({ tenant })).toEqual({
+        minAdvanceHours: 2,
+        maxAdvanceDays: 60,
+      });
+    });
+
+    it("treats missing settings as no restriction", () => {
+      expect(resolveBookingWindow({})).toEqual({
+        minAdvanceHours: 0,
+        maxAdvanceDays: null,
+      });
+    });
+
+    it("applies per-service overrides", () => {
+      const patchTest = { bookingWindow: { minAdvanceHours: 48 } };
+      expect(resolveBookingWindow({ tenant, services: [patchTest] })).toEqual({
+        minAdvanceHours: 48,
+        maxAdvanceDays: 60,
+      });
+    });
+
+    it("uses the strictest override across several services", () => {
+      const services = [
+        { bookingWindow: { minAdvanceHours: 48, maxAdvanceDays: 90 } },
+        { bookingWindow: { minAdvanceHours: 24, maxAdvanceDays: 30 } },
+        {},
+      ];
+      expect(resolveBookingWindow({ tenant, services })).toEqual({
+        minAdvanceHours: 48,
+        maxAdvanceDays: 30,
+      });
+    });
+  });
+
+  describe("checkBookingWindow", () => {
+    const now = new Date("2030-01-14T10:00:00.000Z");
+    const window = { minAdvanceHours: 2, maxAdvanceDays: 60 };
+
+    it("accepts starts inside the window", () => {
+      expect(
+        checkBookingWindow({
+          start: "2030-01-14T12:00:00.000Z",
+          window,
+          now,
+        }),
+      ).toEqual({ ok: true });
+    });
+
+    it("rejects starts with too little notice", () => {
+      const result = checkBookingWindow({
+        start: "2030-01-14T11:30:00.000Z",
+        window,
+        now,
+      });
+      expect(result.ok).toBe(false);
+      expect(result.code).toBe(BOOKING_WINDOW_ERROR_CODES.TOO_SOON);
+      expect(result.earliestStart).toBe("2030-01-14T12:00:00.000Z");
+    });
+
+    it("rejects starts too far ahead", () => {
+      const result = checkBookingWindow({
+        start: "2030-03-20T10:00:00.000Z",
+        window,
+        now,
+      });
+      expect(result.ok).toBe(false);
+      expect(result.code).toBe(BOOKING_WINDOW_ERROR_CODES.TOO_FAR_AHEAD);
+      expect(result.latestStart).toBe("2030-03-15T10:00:00.000Z");
+    });
+  });
+
+  describe("slotPlanner integration", () => {
+    it("drops slots outside the window bounds", () => {
+      const now = new Date("2030-01-14T08:00:00.000Z");
+      const { notBefore } = getBookingWindowBounds(
+        { minAdvanceHours: 4, maxAdvanceDays: null },
+        now,
+      );
+
+      const slots = computeSlotsForBeautician({
+        date: "2030-01-14",
+        salonTz: "Europe/London",
+        stepMin: 60,
+        service: { durationMin: 60, bufferBeforeMin: 0, bufferAfterMin: 0 },
+        specialist: {
+          _id: "sp1",
+          workingHours: [{ dayOfWeek: 1, start: "09:00", end: "17:00" }],
+        },
+        appointments: [],
+        notBeforeISO: notBefore.toISOString(),
+        notAfterISO: "2030-01-14T14:00:00.000Z",
+      });
+
+      expect(slots.map((slot) => slot.startISO)).toEqual([
+        "2030-01-14T12:00:00.000Z",
+        "2030-01-14T13:00:00.000Z",
+        "2030-01-14T14:00:00.000Z",
+      ]);
+    });
+  });
+});
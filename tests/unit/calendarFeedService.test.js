@@ -0,0 +1,146 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = { find: jest.fn() };
+const mockClientModel = { findById: jest.fn(), findByIdAndUpdate: jest.fn() };
+const mockSpecialistModel = { findById: jest.fn() };
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/Client.js", () => ({
+  default: mockClientModel,
+}));
+jest.unstable_mockModule("../../src/models/Specialist.js", () => ({
+  default: mockSpecialistModel,
+}));
+
+const { renderCalendarFeed, rotateCalendarFeed, signCalendarFeedToken } =
+  await import("../../src/services/calendarFeedService.js");
+
+const now = new Date("2099-03-10T08:00:00.000Z");
+
+const setUpFeed = ({ owner, appointments = [] }) => {
+  mockSpecialistModel.findById.mockReturnValue(mockQuery(owner));
+  mockClientModel.findById.mockReturnValue(mockQuery(owner));
+  mockAppointmentModel.find.mockReturnValue(mockQuery(appointments));
+};
+
+const upcoming = {
+  _id: "appt_1",
+  start: new Date("2099-03-10T12:00:00.000Z"),
+  end: new Date("2099-03-10T13:00:00.000Z"),
+  status: "confirmed",
+  services: [{ serviceName: "Gel Nails" }],
+  client: { name: "Jane Doe", email: "jane@example.com" },
+};
+
+describe("calendarFeedService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("renders a specialist feed with client initials only", async () => {
+    setUpFeed({
+      owner: {
+        _id: "sp_1",
+        name: "Amy",
+        tenantId: "tenant_1",
+        calendarFeed: { version: 2 },
+      },
+      appointments: [upcoming],
+    });
+    const token = signCalendarFeedToken({
+      owner: "specialist",
+      id: "sp_1",
+      version: 2,
+    });
+
+    const result = await renderCalendarFeed({ token, now });
+
+    expect(result.ok).toBe(true);
+    expect(result.ics).toContain("SUMMARY:Gel Nails - J.D.");
+    expect(result.ics).not.toContain("Jane");
+    expect(result.ics).not.toContain("jane@example.com");
+    expect(mockAppointmentModel.find).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tenantId: "tenant_1",
+        specialistId: "sp_1",
+        end: { $gte: now },
+      }),
+    );
+  });
+
+  it("rejects links issued before the feed was regenerated", async () => {
+    setUpFeed({
+      owner: { _id: "client_1", isActive: true, calendarFeed: { version: 1 } },
+    });
+    const token = signCalendarFeedToken({
+      owner: "client",
+      id: "client_1",
+      version: 0,
+    });
+
+    const result = await renderCalendarFeed({ token, now });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 404,
+      body: { code: "CALENDAR_FEED_REVOKED" },
+    });
+    expect(mockAppointmentModel.find).not.toHaveBeenCalled();
+  });
+
+  it("rejects tokens that are not feed tokens", async () => {
+    const result = await renderCalendarFeed({
+      token: "not-a-token",
+      now,
+    });
+
+    expect(result.body.code).toBe("CALENDAR_FEED_INVALID");
+  });
+
+  it("lists a client's upcoming bookings across businesses", async () => {
+    setUpFeed({
+      owner: { _id: "client_1", isActive: true },
+      appointments: [
+        {
+          ...upcoming,
+          tenantId: {
+            businessName: "Glow Studio",
+            address: { street: "1 High St", city: "Leeds" },
+          },
+          specialistId: { name: "Amy" },
+        },
+      ],
+    });
+    const token = signCalendarFeedToken({ owner: "client", id: "client_1" });
+
+    const result = await renderCalendarFeed({ token, now });
+
+    expect(mockAppointmentModel.find.mock.calls[0][0]).toEqual({
+      end: { $gte: now },
+      status: { $in: ["confirmed", "reserved_unpaid"] },
+      clientId: "client_1",
+    });
+    expect(result.ics).toContain("SUMMARY:Gel Nails at Glow Studio");
+    expect(result.ics).toContain("LOCATION:1 High St\\, Leeds");
+  });
+
+  it("bumps the feed version when regenerating the link", async () => {
+    mockClientModel.findByIdAndUpdate.mockReturnValue(
+      mockQuery({ _id: "client_1", calendarFeed: { version: 3 } }),
+    );
+
+    const links = await rotateCalendarFeed({
+      owner: "client",
+      id: "client_1",
+    });
+
+    expect(mockClientModel.findByIdAndUpdate.mock.calls[0][1]).toEqual({
+      $inc: { "calendarFeed.version": 1 },
+    });
+    expect(links.url).toMatch(/\/api\/calendar\/feeds\/.+\.ics$/);
+    expect(links.webcalUrl).toMatch(/^webcal:\/\//);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, expect, it } from "@jest/globals";
+import { computeCancellationOutcome } from "../../src/controllers/appointments/computeCancellationOutcome.js";
+
+const start = new Date("2030-06-10T12:00:00.000Z");
+const hoursBefore = (hours) => new Date(start.getTime() - hours * 3600000);
+
+const appointment = {
+  start,
+  createdAt: new Date("2030-05-01T12:00:00.000Z"),
+  price: 100,
+  payment: { mode: "pay_now", provider: "cash", amountTotal: 10000 },
+};
+
+const clinicPolicy = {
+  refundBands: [
+    { minHoursBefore: 24, percent: 50 },
+    { minHoursBefore: 72, percent: 100 },
+    { minHoursBefore: 4, percent: 25 },
+    { minHoursBefore: 0, percent: 0 },
+  ],
+};
+
+const outcomeAt = (hours, policy) =>
+  computeCancellationOutcome({
+    appointment,
+    policy,
+    now: hoursBefore(hours),
+    salonTz: "UTC",
+  });
+
+describe("computeCancellationOutcome", () => {
+  it("refunds by the band that matches the notice given", () => {
+    expect(outcomeAt(100, clinicPolicy)).toMatchObject({
+      refundAmount: 10000,
+      outcomeStatus: "cancelled_full_refund",
+      reasonCode: "refund_band",
+      band: { minHoursBefore: 72, maxHoursBefore: null, percent: 100 },
+    });
+    expect(outcomeAt(48, clinicPolicy)).toMatchObject({
+      refundAmount: 5000,
+      outcomeStatus: "cancelled_partial_refund",
+      band: { minHoursBefore: 24, maxHoursBefore: 72 },
+    });
+    expect(outcomeAt(4, clinicPolicy)).toMatchObject({
+      refundAmount: 2500,
+      band: { minHoursBefore: 4, maxHoursBefore: 24 },
+    });
+    expect(outcomeAt(1, clinicPolicy)).toMatchObject({
+      refundAmount: 0,
+      outcomeStatus: "cancelled_no_refund",
+      band: { minHoursBefore: 0, percent: 0 },
+    });
+  });
+
+  it("gives nothing when the notice is shorter than every band", () => {
+    expect(
+      outcomeAt(2, { refundBands: [{ minHoursBefore: 24, percent: 100 }] }),
+    ).toMatchObject({
+      refundAmount: 0,
+      reasonCode: "below_refund_bands",
+      band: null,
+    });
+  });
+
+  it("keeps the two-threshold rules for policies without bands", () => {
+    const policy = {
+      freeCancelHours: 24,
+      noRefundHours: 2,
+      partialRefund: { percent: 50 },
+    };
+
+    expect(outcomeAt(30, policy)).toMatchObject({
+      refundAmount: 10000,
+      reasonCode: "free_window",
+    });
+    expect(outcomeAt(10, policy)).toMatchObject({
+      refundAmount: 5000,
+      outcomeStatus: "cancelled_partial_refund",
+      reasonCode: "partial_window",
+    });
+    expect(outcomeAt(2, policy)).toMatchObject({
+      refundAmount: 0,
+      outcomeStatus: "cancelled_no_refund",
+      reasonCode: "inside_no_refund",
+    });
+  });
+
+  it("still refunds in full inside the grace window", () => {
+    const outcome = computeCancellationOutcome({
+      appointment: { ...appointment, createdAt: hoursBefore(1) },
+      policy: clinicPolicy,
+      now: new Date(hoursBefore(1).getTime() + 5 * 60000),
+      salonTz: "UTC",
+    });
+
+    expect(outcome).toMatchObject({
+      refundAmount: 10000,
+      reasonCode: "grace_window",
+      band: null,
+    });
+  });
+});
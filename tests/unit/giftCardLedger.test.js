@@ -0,0 +1,150 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import mongoose from "mongoose";
+import GiftCard from "../../src/models/GiftCard.js";
+import { refundToGiftCard } from "../../src/services/giftCardLedgerService.js";
+import {
+  getLedgerBalance,
+  getRefundableAmount,
+  summarizeLedger,
+} from "../../src/utils/giftCardLedger.js";
+
+const createGiftCard = (overrides = {}) => {
+  const giftCard = new GiftCard({
+    code: "GIFT-AAAA-BBBB-CCCC",
+    tenantId: new mongoose.Types.ObjectId(),
+    amount: 50,
+    purchaserName: "Pat",
+    purchaserEmail: "pat@example.com",
+    recipientName: "Sam",
+    recipientEmail: "sam@example.com",
+    status: "sent",
+    expiryDate: new Date("2099-01-01T00:00:00.000Z"),
+    ...overrides,
+  });
+  giftCard.save = jest.fn().mockResolvedValue(giftCard);
+  return giftCard;
+};
+
+describe("gift card ledger", () => {
+  const entries = [
+    { type: "issue", amount: 50, at: new Date("2026-01-01T10:00:00Z") },
+    { type: "reserve", amount: 20, at: new Date("2026-02-01T10:00:00Z") },
+    {
+      type: "redeem",
+      amount: -20,
+      orderId: "order_1",
+      at: new Date("2026-02-01T10:05:00Z"),
+    },
+    {
+      type: "refund",
+      amount: 5,
+      orderId: "order_1",
+      at: new Date("2026-03-01T10:00:00Z"),
+    },
+    { type: "adjust", amount: -2.5, at: new Date("2026-04-01T10:00:00Z") },
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("sums balance entries, optionally as of a date", () => {
+    expect(getLedgerBalance(entries)).toBe(32.5);
+    expect(
+      getLedgerBalance(entries, { asOf: new Date("2026-02-15T00:00:00Z") }),
+    ).toBe(30);
+    expect(summarizeLedger(entries)).toEqual({
+      balance: 32.5,
+      issued: 50,
+      redeemed: 20,
+      refunded: 5,
+      adjusted: -2.5,
+      expired: 0,
+    });
+  });
+
+  it("caps refunds at what was redeemed for the target", () => {
+    expect(getRefundableAmount(entries, { key: "orderId", id: "order_1" }))
+      .toBe(15);
+    expect(getRefundableAmount(entries, { key: "orderId", id: "order_2" }))
+      .toBe(0);
+  });
+
+  it("opens the ledger of a card redeemed before it existed", () => {
+    const giftCard = createGiftCard({ redeemedAmount: 12 });
+
+    giftCard.openLedger();
+
+    expect(giftCard.ledger.map(({ type, amount }) => [type, amount])).toEqual([
+      ["issue", 50],
+      ["redeem", -12],
+    ]);
+    expect(giftCard.getBalance()).toBe(38);
+  });
+
+  it("refunds a redemption back onto the card once", async () => {
+    const giftCard = createGiftCard();
+    const appointmentId = new mongoose.Types.ObjectId();
+
+    await giftCard.redeem(50, undefined, appointmentId);
+    expect(giftCard.status).toBe("redeemed");
+
+    expect(await giftCard.refund({ appointmentId, amount: 30 })).toBe(30);
+    expect(await giftCard.refund({ appointmentId, amount: 30 })).toBe(20);
+    expect(await giftCard.refund({ appointmentId, amount: 30 })).toBe(0);
+    expect(giftCard.getBalance()).toBe(50);
+    expect(giftCard.status).toBe("sent");
+  });
+
+  it("won't adjust the balance below what checkouts hold", async () => {
+    const giftCard = createGiftCard();
+    await giftCard.reserve({
+      orderId: new mongoose.Types.ObjectId(),
+      amount: 40,
+    });
+
+    await expect(
+      giftCard.adjust({ amount: -20, reasonCode: "correction", by: "a@b.c" }),
+    ).rejects.toThrow("Adjustment exceeds available balance");
+
+    await giftCard.adjust({ amount: -10, reasonCode: "correction" });
+    expect(giftCard.getBalance()).toBe(40);
+    expect(giftCard.ledger.at(-1)).toMatchObject({
+      type: "adjust",
+      amount: -10,
+      balanceAfter: 40,
+      reasonCode: "correction",
+    });
+  });
+
+  it("writes off the balance and holds when the card expires", async () => {
+    const giftCard = createGiftCard();
+    await giftCard.reserve({
+      orderId: new mongoose.Types.ObjectId(),
+      amount: 15,
+    });
+
+    await giftCard.expire();
+
+    expect(giftCard.status).toBe("expired");
+    expect(giftCard.getBalance()).toBe(0);
+    expect(giftCard.pendingRedemptions).toHaveLength(0);
+    expect(summarizeLedger(giftCard.ledger).expired).toBe(50);
+  });
+
+  it("reports a refund as skipped when nothing is left to refund", async () => {
+    const giftCard = createGiftCard();
+    jest.spyOn(GiftCard, "findById").mockReturnValue(giftCard);
+    const orderId = new mongoose.Types.ObjectId();
+
+    const result = await refundToGiftCard({
+      application: { id: giftCard._id, appliedAmount: 20 },
+      amount: 20,
+      target: { orderId },
+      by: "staff",
+    });
+
+    expect(result).toEqual({ status: "skipped", amount: 0 });
+    expect(giftCard.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,194 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = { findById: jest.fn(), updateOne: jest.fn() };
+const mockGiftCardModel = { findById: jest.fn(), findOne: jest.fn() };
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/GiftCard.js", () => ({
+  default: mockGiftCardModel,
+}));
+
+const {
+  getInSalonBalanceDue,
+  redeemGiftCardInSalon,
+  reserveGiftCard,
+  settleGiftCardRedemption,
+} = await import("../../src/services/giftCardRedemptionService.js");
+
+const createGiftCard = (overrides = {}) => ({
+  _id: "gc_1",
+  code: "GC-ABC123",
+  tenantId: "tenant_1",
+  isValid: () => true,
+  cleanupExpiredReservations: jest.fn(),
+  getRemainingBalance: () => 40,
+  reserve: jest.fn().mockResolvedValue(undefined),
+  consumeReservation: jest.fn().mockResolvedValue(undefined),
+  redeem: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+describe("giftCardRedemptionService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("reserves as much of the amount due as the card covers", async () => {
+    const giftCard = createGiftCard();
+    mockGiftCardModel.findOne.mockReturnValue(giftCard);
+
+    const result = await reserveGiftCard({
+      code: " gc-abc123 ",
+      tenantId: "tenant_1",
+      target: { orderId: "order_1" },
+      amountDue: 55.5,
+    });
+
+    expect(mockGiftCardModel.findOne).toHaveBeenCalledWith({
+      code: "GC-ABC123",
+    });
+    expect(giftCard.reserve).toHaveBeenCalledWith({
+      orderId: "order_1",
+      amount: 40,
+    });
+    expect(result).toEqual({
+      ok: true,
+      applied: {
+        id: "gc_1",
+        code: "GC-ABC123",
+        appliedAmount: 40,
+        remainingBeforeApply: 40,
+        redemptionStatus: "pending",
+      },
+    });
+  });
+
+  it("refuses cards issued by another business", async () => {
+    const giftCard = createGiftCard({ tenantId: "tenant_2" });
+    mockGiftCardModel.findOne.mockReturnValue(giftCard);
+
+    const result = await reserveGiftCard({
+      code: "GC-ABC123",
+      tenantId: "tenant_1",
+      target: { seminarBookingId: "booking_1" },
+      amountDue: 10,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { code: "GIFT_CARD_WRONG_TENANT" },
+    });
+    expect(giftCard.reserve).not.toHaveBeenCalled();
+  });
+
+  it("redeems an order's gift card once across confirmations", async () => {
+    const giftCard = createGiftCard();
+    const application = {
+      id: "gc_1",
+      code: "GC-ABC123",
+      appliedAmount: 25,
+      redemptionStatus: "pending",
+    };
+    const Model = {
+      findOneAndUpdate: jest
+        .fn()
+        .mockReturnValueOnce(mockQuery({ giftCard: application }))
+        .mockReturnValueOnce(mockQuery(null)),
+      updateOne: jest.fn().mockResolvedValue({}),
+    };
+    mockGiftCardModel.findOne.mockReturnValue(giftCard);
+    const params = {
+      Model,
+      id: "order_1",
+      path: "giftCard",
+      target: { orderId: "order_1" },
+      clientId: "client_1",
+    };
+
+    const first = await settleGiftCardRedemption(params);
+    const second = await settleGiftCardRedemption(params);
+
+    expect(first.status).toBe("redeemed");
+    expect(second.status).toBe("skipped");
+    expect(giftCard.consumeReservation).toHaveBeenCalledTimes(1);
+    expect(giftCard.consumeReservation).toHaveBeenCalledWith({
+      orderId: "order_1",
+      amount: 25,
+      clientId: "client_1",
+    });
+    expect(Model.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: "order_1",
+      "giftCard.redemptionStatus": "pending",
+    });
+    expect(Model.updateOne.mock.calls[0][1].$set).toMatchObject({
+      "giftCard.redemptionStatus": "redeemed",
+    });
+  });
+
+  it("works out the balance left to pay at the salon", () => {
+    expect(getInSalonBalanceDue({ price: 60, payment: {} })).toBe(60);
+    expect(
+      getInSalonBalanceDue({
+        price: 60,
+        payment: { status: "succeeded", mode: "deposit", depositAmount: 1500 },
+        giftCardRedemptions: [{ amount: 20 }],
+      }),
+    ).toBe(25);
+    expect(
+      getInSalonBalanceDue({
+        price: 60,
+        payment: { status: "succeeded", mode: "pay_now" },
+      }),
+    ).toBe(0);
+  });
+
+  it("redeems at the desk up to the balance due", async () => {
+    const giftCard = createGiftCard();
+    const appointment = {
+      _id: "appt_1",
+      tenantId: "tenant_1",
+      clientId: "client_1",
+      status: "confirmed",
+      price: 30,
+      payment: { mode: "pay_in_salon" },
+    };
+    mockAppointmentModel.findById.mockImplementation(() =>
+      mockQuery(appointment),
+    );
+    mockAppointmentModel.updateOne.mockResolvedValue({});
+    mockGiftCardModel.findOne.mockReturnValue(giftCard);
+    const now = new Date("2099-03-10T12:00:00.000Z");
+
+    const tooMuch = await redeemGiftCardInSalon({
+      appointmentId: "appt_1",
+      code: "GC-ABC123",
+      amount: 35,
+      by: "desk@example.com",
+      now,
+    });
+    expect(tooMuch.body.code).toBe("GIFT_CARD_AMOUNT_EXCEEDS_DUE");
+
+    const result = await redeemGiftCardInSalon({
+      appointmentId: "appt_1",
+      code: "GC-ABC123",
+      by: "desk@example.com",
+      now,
+    });
+
+    expect(giftCard.redeem).toHaveBeenCalledWith(30, "client_1", "appt_1");
+    expect(result).toMatchObject({ ok: true, balanceDue: 0 });
+    const [, update] = mockAppointmentModel.updateOne.mock.calls[0];
+    expect(update.$push).toMatchObject({
+      giftCardRedemptions: {
+        giftCardId: "gc_1",
+        amount: 30,
+        redeemedBy: "desk@example.com",
+      },
+      audit: { action: "gift_card_redeemed_in_salon" },
+    });
+  });
+});
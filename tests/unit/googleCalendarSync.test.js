@@ -0,0 +1,237 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = { find: jest.fn(), updateMany: jest.fn() };
+const mockBlockModel = {
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+  deleteMany: jest.fn(),
+};
+const mockSpecialistModel = {
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockGoogleCalendar = {
+  BOOKING_EVENT_PROPERTY: "bookingAppointmentId",
+  getCalendarClient: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/ExternalCalendarBlock.js", () => ({
+  default: mockBlockModel,
+}));
+jest.unstable_mockModule("../../src/models/Specialist.js", () => ({
+  default: mockSpecialistModel,
+}));
+jest.unstable_mockModule("../../src/services/googleCalendar.js", () => ({
+  ...mockGoogleCalendar,
+  default: mockGoogleCalendar,
+}));
+
+const { handleCalendarNotification, syncSpecialistCalendar, toExternalBlock } =
+  await import("../../src/services/googleCalendarSync.js");
+
+const now = new Date("2099-03-10T08:00:00.000Z");
+const timed = (id, start, end, extra = {}) => ({
+  id,
+  status: "confirmed",
+  start: { dateTime: start },
+  end: { dateTime: end },
+  ...extra,
+});
+
+const setUpSync = ({ pages, existingBlocks = [], overlapping = [] }) => {
+  const list = jest.fn();
+  for (const page of pages) {
+    if (page instanceof Error) list.mockRejectedValueOnce(page);
+    else list.mockResolvedValueOnce({ data: page });
+  }
+  mockSpecialistModel.findById.mockReturnValue(
+    mockQuery({
+      _id: "sp_1",
+      tenantId: "tenant_1",
+      googleCalendar: { enabled: true, syncToken: "token_old" },
+    }),
+  );
+  mockBlockModel.find.mockReturnValue(mockQuery(existingBlocks));
+  mockBlockModel.deleteMany.mockResolvedValue({ deletedCount: 0 });
+  mockAppointmentModel.find.mockReturnValue(mockQuery(overlapping));
+  mockGoogleCalendar.getCalendarClient.mockResolvedValue({ events: { list } });
+  return list;
+};
+
+describe("googleCalendarSync", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("toExternalBlock", () => {
+    it("imports busy timed events", () => {
+      expect(
+        toExternalBlock(
+          timed("evt_1", "2099-03-10T12:00:00Z", "2099-03-10T13:00:00Z"),
+        ),
+      ).toEqual({
+        externalEventId: "evt_1",
+        start: new Date("2099-03-10T12:00:00.000Z"),
+        end: new Date("2099-03-10T13:00:00.000Z"),
+        allDay: false,
+      });
+    });
+
+    it("reads all-day events in the calendar's timezone", () => {
+      const block = toExternalBlock(
+        {
+          id: "evt_2",
+          start: { date: "2099-07-01" },
+          end: { date: "2099-07-02" },
+        },
+        { calendarTz: "Europe/London" },
+      );
+      expect(block).toMatchObject({
+        allDay: true,
+        start: new Date("2099-06-30T23:00:00.000Z"),
+        end: new Date("2099-07-01T23:00:00.000Z"),
+      });
+    });
+
+    it("skips free, declined, cancelled and booking events", () => {
+      const base = ["2099-03-10T12:00:00Z", "2099-03-10T13:00:00Z"];
+      expect(
+        toExternalBlock(timed("a", ...base, { transparency: "transparent" })),
+      ).toBeNull();
+      expect(
+        toExternalBlock(
+          timed("b", ...base, {
+            attendees: [{ self: true, responseStatus: "declined" }],
+          }),
+        ),
+      ).toBeNull();
+      expect(
+        toExternalBlock(timed("c", ...base, { status: "cancelled" })),
+      ).toBeNull();
+      expect(
+        toExternalBlock(
+          timed("d", ...base, {
+            extendedProperties: {
+              private: { bookingAppointmentId: "appt_1" },
+            },
+          }),
+        ),
+      ).toBeNull();
+    });
+  });
+
+  describe("syncSpecialistCalendar", () => {
+    it("applies incremental changes and reports overlapping bookings", async () => {
+      const list = setUpSync({
+        pages: [
+          {
+            items: [
+              timed("evt_new", "2099-03-10T12:00:00Z", "2099-03-10T13:00:00Z"),
+              { id: "evt_gone", status: "cancelled" },
+            ],
+            nextSyncToken: "token_new",
+            timeZone: "Europe/London",
+          },
+        ],
+        existingBlocks: [{ _id: "block_gone", externalEventId: "evt_gone" }],
+        overlapping: [
+          {
+            _id: "appt_1",
+            start: new Date("2099-03-10T12:30:00.000Z"),
+            end: new Date("2099-03-10T13:30:00.000Z"),
+            client: { name: "Jane" },
+          },
+        ],
+      });
+
+      const result = await syncSpecialistCalendar({
+        specialistId: "sp_1",
+        now,
+      });
+
+      expect(result).toMatchObject({
+        synced: true,
+        fullSync: false,
+        imported: 1,
+        removed: 1,
+      });
+      expect(result.conflicts).toEqual([
+        expect.objectContaining({
+          appointmentId: "appt_1",
+          clientName: "Jane",
+        }),
+      ]);
+      expect(list.mock.calls[0][0]).toMatchObject({
+        syncToken: "token_old",
+      });
+      expect(mockBlockModel.deleteOne).toHaveBeenCalledWith({
+        _id: "block_gone",
+      });
+      const [, upsert, options] = mockBlockModel.updateOne.mock.calls[0];
+      expect(upsert.$setOnInsert).toEqual({ tenantId: "tenant_1" });
+      expect(options).toEqual({ upsert: true });
+      expect(
+        mockAppointmentModel.updateMany.mock.calls[0][1].$push.audit.action,
+      ).toBe("external_calendar_conflict");
+      expect(mockSpecialistModel.updateOne.mock.calls[0][1].$set).toMatchObject(
+        { "googleCalendar.syncToken": "token_new" },
+      );
+    });
+
+    it("falls back to a full sync when the sync token has expired", async () => {
+      const gone = Object.assign(new Error("Sync token is no longer valid"), {
+        code: 410,
+      });
+      const list = setUpSync({
+        pages: [
+          gone,
+          {
+            items: [
+              timed("evt_1", "2099-03-11T09:00:00Z", "2099-03-11T10:00:00Z"),
+            ],
+            nextSyncToken: "token_fresh",
+          },
+        ],
+      });
+
+      const result = await syncSpecialistCalendar({
+        specialistId: "sp_1",
+        now,
+      });
+
+      expect(result.fullSync).toBe(true);
+      expect(list.mock.calls[1][0].syncToken).toBeUndefined();
+      expect(list.mock.calls[1][0].timeMin).toBe("2099-03-09T08:00:00.000Z");
+      expect(list.mock.calls[1][0].timeMax).toBe("2100-03-10T08:00:00.000Z");
+      // Blocks for events no longer listed are removed
+      expect(mockBlockModel.deleteMany.mock.calls[0][0]).toEqual({
+        specialistId: "sp_1",
+        externalEventId: { $nin: ["evt_1"] },
+      });
+    });
+  });
+
+  it("rejects notifications with the wrong channel token", async () => {
+    mockSpecialistModel.findOne.mockReturnValue(
+      mockQuery({
+        _id: "sp_1",
+        googleCalendar: { enabled: true, channel: { token: "secret" } },
+      }),
+    );
+
+    const result = await handleCalendarNotification({
+      channelId: "channel_1",
+      channelToken: "guess!",
+      resourceState: "exists",
+    });
+
+    expect(result).toEqual({ ok: false, status: 403 });
+    expect(mockGoogleCalendar.getCalendarClient).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,237 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = {
+  find: jest.fn(),
+  insertMany: jest.fn(),
+  deleteMany: jest.fn(),
+};
+const mockBookingGroupModel = {
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+};
+const mockConsentTemplateModel = { getActiveForService: jest.fn() };
+const mockServiceModel = { find: jest.fn() };
+const mockSpecialistModel = { find: jest.fn() };
+const mockClientService = {
+  findOrCreateClient: jest.fn(),
+  findOrCreateTenantClient: jest.fn(),
+};
+const mockGetLockService = jest.fn();
+const mockSendConfirmationEmail = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/BookingGroup.js", () => ({
+  default: mockBookingGroupModel,
+}));
+jest.unstable_mockModule("../../src/models/ConsentTemplate.js", () => ({
+  default: mockConsentTemplateModel,
+}));
+jest.unstable_mockModule("../../src/models/Service.js", () => ({
+  default: mockServiceModel,
+}));
+jest.unstable_mockModule("../../src/models/Specialist.js", () => ({
+  default: mockSpecialistModel,
+}));
+jest.unstable_mockModule("../../src/services/clientService.js", () => ({
+  default: mockClientService,
+}));
+jest.unstable_mockModule("../../src/services/lockService.js", () => ({
+  getLockService: mockGetLockService,
+  LockService: jest.fn(),
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  sendConfirmationEmail: mockSendConfirmationEmail,
+  default: { sendConfirmationEmail: mockSendConfirmationEmail },
+}));
+
+const {
+  acquireGroupLocks,
+  getGuestLockParams,
+  planGroupPayment,
+  reserveGroupBooking,
+} = await import("../../src/services/groupBookingService.js");
+
+const connected = (accountId) => ({
+  stripeAccountId: accountId,
+  stripeStatus: "connected",
+});
+
+const createLockService = (lockedIds = []) => ({
+  acquireLock: jest.fn(async ({ resourceId }) =>
+    lockedIds.includes(resourceId)
+      ? { locked: false, reason: "slot_locked" }
+      : { locked: true, lockId: `lock_${resourceId}` },
+  ),
+  releaseLock: jest.fn().mockResolvedValue({ released: true }),
+});
+
+describe("groupBookingService", () => {
+  describe("getGuestLockParams", () => {
+    it("keys locks by the salon-local date and time", () => {
+      expect(
+        getGuestLockParams({
+          specialistId: "sp1",
+          start: new Date("2030-06-01T23:30:00.000Z"),
+          salonTz: "Europe/London",
+        }),
+      ).toEqual({ resourceId: "sp1", date: "2030-06-02", startTime: "00:30" });
+    });
+  });
+
+  describe("acquireGroupLocks", () => {
+    it("releases locks already taken when one slot is locked", async () => {
+      const lockService = createLockService(["sp2"]);
+      const slots = ["sp1", "sp2", "sp3"].map((resourceId) => ({
+        resourceId,
+        date: "2030-06-01",
+        startTime: "10:00",
+      }));
+
+      const result = await acquireGroupLocks({ slots, lockService });
+
+      expect(result.ok).toBe(false);
+      expect(result.failed.resourceId).toBe("sp2");
+      expect(lockService.acquireLock).toHaveBeenCalledTimes(2);
+      expect(lockService.releaseLock).toHaveBeenCalledTimes(1);
+      expect(lockService.releaseLock).toHaveBeenCalledWith(
+        expect.objectContaining({ resourceId: "sp1", lockId: "lock_sp1" }),
+      );
+    });
+  });
+
+  describe("planGroupPayment", () => {
+    it("uses a destination charge when one account takes every share", () => {
+      const plan = planGroupPayment({
+        guests: [
+          { price: 40, specialist: connected("acct_1") },
+          { price: 25.5, specialist: connected("acct_1") },
+        ],
+        platformFee: 99,
+      });
+
+      expect(plan.shares).toEqual([4000, 2550]);
+      expect(plan.totalAmount).toBe(6649);
+      expect(plan.payoutMode).toBe("destination");
+      expect(plan.destinationAccountId).toBe("acct_1");
+      expect(plan.transfers).toEqual([]);
+    });
+
+    it("splits shares across accounts with transfers", () => {
+      const plan = planGroupPayment({
+        guests: [
+          { price: 40, specialist: connected("acct_1") },
+          { price: 30, specialist: connected("acct_2") },
+          {
+            price: 50,
+            specialist: { ...connected("acct_3"), inSalonPayment: true },
+          },
+        ],
+        depositPct: 50,
+        platformFee: 99,
+      });
+
+      expect(plan.shares).toEqual([2000, 1500, 0]);
+      expect(plan.totalAmount).toBe(3599);
+      expect(plan.payoutMode).toBe("transfers");
+      expect(plan.transfers).toEqual([
+        { accountId: "acct_1", amount: 2000 },
+        { accountId: "acct_2", amount: 1500 },
+      ]);
+    });
+  });
+
+  describe("reserveGroupBooking", () => {
+    const start = new Date("2030-06-01T10:00:00.000Z");
+    const service = {
+      _id: "svc1",
+      name: "Gel manicure",
+      variants: [{ name: "Standard", durationMin: 45, price: 30 }],
+    };
+    const guests = [
+      { name: "Amy", specialistId: "sp1", serviceId: "svc1" },
+      { name: "Bea", specialistId: "sp2", serviceId: "svc1" },
+    ].map((guest) => ({ ...guest, variantName: "Standard" }));
+
+    let lockService;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      lockService = createLockService();
+      mockGetLockService.mockReturnValue(lockService);
+      mockServiceModel.find.mockImplementation(() => mockQuery([service]));
+      mockSpecialistModel.find.mockImplementation(() =>
+        mockQuery([
+          { _id: "sp1", name: "Sam" },
+          { _id: "sp2", name: "Jo" },
+        ]),
+      );
+      mockAppointmentModel.find.mockImplementation(() => mockQuery([]));
+      mockAppointmentModel.insertMany.mockImplementation(async (docs) =>
+        docs.map((doc, i) => ({ ...doc, _id: `appt_${i}` })),
+      );
+      mockBookingGroupModel.create.mockImplementation(async (doc) => ({
+        ...doc,
+        _id: "group_1",
+      }));
+      mockConsentTemplateModel.getActiveForService.mockResolvedValue(null);
+      mockClientService.findOrCreateClient.mockImplementation(
+        async ({ email, name }) => ({ _id: `client_${email}`, name }),
+      );
+    });
+
+    const reserve = () =>
+      reserveGroupBooking({
+        tenantId: "tenant_1",
+        tenant: {},
+        salonTz: "UTC",
+        organiser: { name: "Amy", email: "amy@example.com" },
+        guests,
+        start,
+      });
+
+    it("books every guest under one group and releases the locks", async () => {
+      const result = await reserve();
+
+      expect(result.ok).toBe(true);
+      const docs = mockAppointmentModel.insertMany.mock.calls[0][0];
+      expect(docs).toHaveLength(2);
+      expect(docs.every((doc) => doc.groupId === "group_1")).toBe(true);
+      expect(docs[1].client.email).toBe("amy@example.com");
+      expect(lockService.releaseLock).toHaveBeenCalledTimes(2);
+    });
+
+    it("books nobody when one guest's slot is taken", async () => {
+      mockAppointmentModel.find.mockImplementation((query) =>
+        mockQuery(
+          query.specialistId === "sp2"
+            ? [{ _id: "existing", start, end: new Date("2030-06-01T11:00Z") }]
+            : [],
+        ),
+      );
+
+      const result = await reserve();
+
+      expect(result).toMatchObject({ ok: false, status: 409 });
+      expect(mockBookingGroupModel.create).not.toHaveBeenCalled();
+      expect(mockAppointmentModel.insertMany).not.toHaveBeenCalled();
+      expect(lockService.releaseLock).toHaveBeenCalledTimes(2);
+    });
+
+    it("rejects a group whose slot is locked by another checkout", async () => {
+      mockGetLockService.mockReturnValue(createLockService(["sp1"]));
+
+      const result = await reserve();
+
+      expect(result).toMatchObject({
+        ok: false,
+        status: 409,
+        body: { code: "SLOT_LOCKED" },
+      });
+      expect(mockAppointmentModel.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,19 @@
+import { jest } from "@jest/globals";
+
+/**
+ * Stand-in for a mongoose query: chainable, and resolving to `value` from
+ * lean() or when awaited directly
+ */
+export function mockQuery(value) {
+  const query = {
+    select: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    session: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+}
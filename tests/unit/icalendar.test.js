@@ -0,0 +1,81 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  buildAppointmentEvent,
+  buildCalendar,
+  escapeText,
+  foldLine,
+  getInitials,
+} from "../../src/utils/icalendar.js";
+
+const appointment = {
+  _id: "665f1c2b9d3e4a0012345678",
+  start: new Date("2099-03-10T12:00:00.000Z"),
+  end: new Date("2099-03-10T13:30:00.000Z"),
+  status: "confirmed",
+};
+
+describe("icalendar", () => {
+  it("escapes TEXT values", () => {
+    expect(escapeText("Cut, colour; finish\nBack\\room")).toBe(
+      "Cut\\, colour\\; finish\\nBack\\\\room",
+    );
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const line = `SUMMARY:${"é".repeat(60)}`;
+    const parts = foldLine(line).split("\r\n");
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+    }
+    expect(parts.map((part, i) => (i ? part.slice(1) : part)).join("")).toBe(
+      line,
+    );
+  });
+
+  it("reduces client names to initials", () => {
+    expect(getInitials("jane  van doe")).toBe("J.V.D.");
+    expect(getInitials("")).toBe("Client");
+  });
+
+  it("keeps the UID and bumps SEQUENCE when rescheduled", () => {
+    const now = new Date("2099-03-01T09:00:00.000Z");
+    const original = buildAppointmentEvent(appointment, {
+      summary: "Balayage",
+      now,
+    });
+    const moved = buildAppointmentEvent(
+      {
+        ...appointment,
+        start: new Date("2099-03-11T12:00:00.000Z"),
+        end: new Date("2099-03-11T13:30:00.000Z"),
+        calendarSequence: 1,
+      },
+      { summary: "Balayage", now },
+    );
+
+    expect(original).toContain(
+      "UID:appointment-665f1c2b9d3e4a0012345678@elitebooker.co.uk",
+    );
+    expect(moved[1]).toBe(original[1]);
+    expect(original).toContain("SEQUENCE:0");
+    expect(moved).toContain("SEQUENCE:1");
+    expect(moved).toContain("DTSTART:20990311T120000Z");
+    expect(original).toContain("DTSTAMP:20990301T090000Z");
+  });
+
+  it("wraps events in a CRLF-terminated VCALENDAR", () => {
+    const ics = buildCalendar({
+      events: [buildAppointmentEvent(appointment, { summary: "Nails" })],
+      name: "My bookings",
+      refreshInterval: "PT1H",
+    });
+
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics).toContain("METHOD:PUBLISH\r\n");
+    expect(ics).toContain("REFRESH-INTERVAL;VALUE=DURATION:PT1H\r\n");
+    expect(ics).toContain("BEGIN:VEVENT\r\n");
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+});
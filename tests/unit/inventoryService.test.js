@@ -0,0 +1,233 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockProductModel = {
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockOrderModel = { findOneAndUpdate: jest.fn(), updateOne: jest.fn() };
+const mockSpecialistModel = { findById: jest.fn() };
+const mockStockMovementModel = { create: jest.fn() };
+const mockSendLowStockAlertEmail = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Product.js", () => ({
+  default: mockProductModel,
+}));
+jest.unstable_mockModule("../../src/models/Order.js", () => ({
+  default: mockOrderModel,
+}));
+jest.unstable_mockModule("../../src/models/Specialist.js", () => ({
+  default: mockSpecialistModel,
+}));
+jest.unstable_mockModule("../../src/models/StockMovement.js", () => ({
+  default: mockStockMovementModel,
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  sendLowStockAlertEmail: mockSendLowStockAlertEmail,
+  default: { sendLowStockAlertEmail: mockSendLowStockAlertEmail },
+}));
+
+const {
+  adjustStock,
+  checkLowStock,
+  commitOrderStock,
+  reserveOrderStock,
+  restockOrder,
+} = await import("../../src/services/inventoryService.js");
+
+const createProduct = (variant = {}) => ({
+  _id: "prod_1",
+  tenantId: "tenant_1",
+  title: "Hydrating Serum",
+  specialistId: "spec_1",
+  lowStockThreshold: 3,
+  variants: [
+    {
+      _id: "var_1",
+      size: "30ml",
+      stock: 10,
+      reserved: 0,
+      lowStockAlertedAt: null,
+      ...variant,
+    },
+  ],
+});
+
+const order = {
+  _id: "order_1",
+  orderNumber: "ORD-2606-0001",
+  items: [
+    { productId: "prod_1", variantId: "var_1", title: "Serum", quantity: 2 },
+    { productId: "prod_2", variantId: null, title: "Balm", quantity: 1 },
+  ],
+};
+
+describe("inventoryService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("holds every line only while stock lasts", async () => {
+    mockProductModel.findOneAndUpdate
+      .mockReturnValueOnce(mockQuery(createProduct({ stock: 8 })))
+      .mockReturnValueOnce(mockQuery(null))
+      .mockReturnValueOnce(mockQuery(createProduct({ stock: 10 })));
+
+    const result = await reserveOrderStock({ order });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "INVENTORY_INSUFFICIENT_STOCK" },
+    });
+    const [reserveFilter, reserveUpdate] =
+      mockProductModel.findOneAndUpdate.mock.calls[0];
+    expect(reserveFilter).toEqual({
+      _id: "prod_1",
+      variants: {
+        $elemMatch: { _id: "var_1", stock: { $gte: 2 } },
+      },
+    });
+    expect(reserveUpdate).toEqual({
+      $inc: { "variants.$.stock": -2, "variants.$.reserved": 2 },
+    });
+    expect(mockProductModel.findOneAndUpdate.mock.calls[1][0]).toEqual({
+      _id: "prod_2",
+      stock: { $gte: 1 },
+    });
+    // The serum hold is put back and the order never marked as holding
+    expect(mockProductModel.findOneAndUpdate.mock.calls[2][1]).toEqual({
+      $inc: { "variants.$.stock": 2, "variants.$.reserved": -2 },
+    });
+    expect(mockOrderModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("records sales once when a held order is paid", async () => {
+    mockOrderModel.findOneAndUpdate
+      .mockReturnValueOnce(
+        mockQuery({
+          ...order,
+          items: [order.items[0]],
+          inventory: { status: "reserved" },
+        }),
+      )
+      .mockReturnValueOnce(mockQuery(null));
+    mockProductModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(createProduct({ stock: 8, reserved: 0 })),
+    );
+
+    expect(await commitOrderStock({ order })).toEqual({ committed: true });
+    expect(await commitOrderStock({ order })).toEqual({ committed: false });
+
+    expect(mockProductModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(mockProductModel.findOneAndUpdate.mock.calls[0][1]).toEqual({
+      $inc: { "variants.$.reserved": -2 },
+    });
+    expect(mockStockMovementModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tenantId: "tenant_1",
+        type: "sale",
+        quantity: -2,
+        stockAfter: 8,
+        orderId: "order_1",
+      }),
+    );
+  });
+
+  it("restocks a paid order that is refunded", async () => {
+    mockOrderModel.findOneAndUpdate
+      // Nothing held to release
+      .mockReturnValueOnce(mockQuery(null))
+      .mockReturnValueOnce(
+        mockQuery({
+          ...order,
+          items: [order.items[0]],
+          inventory: { status: "committed" },
+        }),
+      );
+    mockProductModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(createProduct({ stock: 10 })),
+    );
+
+    const result = await restockOrder({
+      order,
+      note: "Damaged in transit",
+      createdBy: "owner@example.com",
+    });
+
+    expect(result).toEqual({ restocked: true, released: false });
+    expect(mockStockMovementModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "refund_restock",
+        quantity: 2,
+        note: "Damaged in transit",
+        createdBy: "owner@example.com",
+      }),
+    );
+  });
+
+  it("emails the specialist once when stock gets low", async () => {
+    mockProductModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockSpecialistModel.findById.mockImplementation(() =>
+      mockQuery({ name: "Ana", email: "ana@example.com" }),
+    );
+
+    const low = createProduct({ stock: 2, lowStockThreshold: 2 });
+    expect(await checkLowStock({ product: low, variantId: "var_1" })).toEqual({
+      alerted: true,
+    });
+    expect(mockProductModel.updateOne.mock.calls[0][0]).toEqual({
+      _id: "prod_1",
+      variants: { $elemMatch: { _id: "var_1", lowStockAlertedAt: null } },
+    });
+    expect(mockSendLowStockAlertEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ stock: 2, threshold: 2 }),
+    );
+
+    const alerted = createProduct({ stock: 1, lowStockAlertedAt: new Date() });
+    expect(
+      await checkLowStock({ product: alerted, variantId: "var_1" }),
+    ).toEqual({ alerted: false });
+
+    // Back above the alert level: re-arm
+    const restocked = createProduct({
+      stock: 20,
+      lowStockAlertedAt: new Date(),
+    });
+    await checkLowStock({ product: restocked, variantId: "var_1" });
+    expect(mockProductModel.updateOne).toHaveBeenLastCalledWith(
+      { _id: "prod_1", variants: { $elemMatch: { _id: "var_1" } } },
+      { $set: { "variants.$.lowStockAlertedAt": null } },
+    );
+    expect(mockSendLowStockAlertEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it("won't adjust stock below zero", async () => {
+    mockProductModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(null),
+    );
+    mockProductModel.findOne.mockImplementation(() =>
+      mockQuery(createProduct({ stock: 1 })),
+    );
+
+    const result = await adjustStock({
+      tenantId: "tenant_1",
+      productId: "prod_1",
+      variantId: "var_1",
+      quantity: -2,
+      note: "Broken bottles",
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { message: "Only 1 in stock to take off" },
+    });
+    expect(mockProductModel.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: "prod_1",
+      variants: { $elemMatch: { _id: "var_1", stock: { $gte: 2 } } },
+      tenantId: "tenant_1",
+    });
+  });
+});
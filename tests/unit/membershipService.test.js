@@ -0,0 +1,234 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { priceForMember } from "../../src/utils/memberPricing.js";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = { find: jest.fn(), findOneAndUpdate: jest.fn() };
+const mockMembershipModel = {
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/Membership.js", () => ({
+  default: mockMembershipModel,
+}));
+
+const {
+  applyMemberPricing,
+  getMembershipSummaries,
+  recordMembershipPaymentFailed,
+  syncMembershipFromSubscription,
+} = await import("../../src/services/membershipService.js");
+
+const createMembership = (overrides = {}) => ({
+  _id: "membership_1",
+  tenantId: "tenant_1",
+  clientId: "client_1",
+  planName: "Glow Club",
+  discountPercent: 10,
+  discountServiceIds: [],
+  includedServices: [
+    { serviceId: "facial", variantName: null, sessionsPerPeriod: 1 },
+  ],
+  status: "active",
+  currentPeriodStart: new Date("2026-06-01T00:00:00.000Z"),
+  currentPeriodEnd: new Date("2026-07-01T00:00:00.000Z"),
+  ...overrides,
+});
+
+const lines = [
+  {
+    serviceId: "facial",
+    variantName: "60 min",
+    price: 65,
+    addOns: [{ name: "LED mask", price: 15 }],
+  },
+  { serviceId: "brows", variantName: "Shape", price: 20 },
+];
+
+describe("member pricing", () => {
+  it("makes included services free and discounts the rest", () => {
+    const pricing = priceForMember({ terms: createMembership(), lines });
+
+    expect(pricing).toEqual({
+      listPrice: 85,
+      price: 31.5,
+      discount: 53.5,
+      included: [{ serviceId: "facial", variantName: "60 min" }],
+    });
+  });
+
+  it("charges included services once the period's allowance is used", () => {
+    const pricing = priceForMember({
+      terms: createMembership({ discountServiceIds: ["brows"] }),
+      lines,
+      usedLines: [{ serviceId: "facial", variantName: "30 min" }],
+    });
+
+    expect(pricing.included).toEqual([]);
+    expect(pricing.price).toBe(83);
+  });
+});
+
+describe("membershipService", () => {
+  const now = new Date("2026-06-10T10:00:00.000Z");
+  const appointment = {
+    _id: "appt_1",
+    tenantId: "tenant_1",
+    clientId: "client_1",
+    status: "reserved_unpaid",
+    services: lines,
+    price: 85,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("reprices a member's own unpaid booking once", async () => {
+    mockAppointmentModel.find.mockImplementation(() => mockQuery([]));
+    mockAppointmentModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery({ ...appointment, price: 31.5 }),
+    );
+    mockMembershipModel.findOne.mockImplementation(() =>
+      mockQuery(createMembership()),
+    );
+
+    const result = await applyMemberPricing({
+      appointment,
+      clientId: "client_1",
+      now,
+    });
+
+    expect(result.applied).toBe(true);
+    expect(result.appointment.price).toBe(31.5);
+    const [filter, update] =
+      mockAppointmentModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: "appt_1",
+      status: "reserved_unpaid",
+      memberPricing: { $exists: false },
+    });
+    expect(update.$set.memberPricing).toMatchObject({
+      membershipId: "membership_1",
+      listPrice: 85,
+      discount: 53.5,
+      included: [{ serviceId: "facial", variantName: "60 min" }],
+    });
+    const [usageFilter] = mockAppointmentModel.find.mock.calls[0];
+    expect(usageFilter).toMatchObject({
+      "memberPricing.membershipId": "membership_1",
+      createdAt: { $gte: createMembership().currentPeriodStart },
+      _id: { $ne: "appt_1" },
+    });
+  });
+
+  it("leaves bookings alone for other clients and lapsed members", async () => {
+    mockMembershipModel.findOne.mockImplementation(() =>
+      mockQuery(createMembership()),
+    );
+
+    const otherClient = await applyMemberPricing({
+      appointment,
+      clientId: "client_2",
+      now,
+    });
+    expect(otherClient).toEqual({ applied: false, appointment });
+
+    const lapsed = await applyMemberPricing({
+      appointment,
+      clientId: "client_1",
+      now: new Date("2026-07-02T00:00:00.000Z"),
+    });
+    expect(lapsed.applied).toBe(false);
+    expect(mockAppointmentModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("mirrors subscription status without undoing an activation", async () => {
+    mockMembershipModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(createMembership()),
+    );
+    const subscription = {
+      id: "sub_1",
+      customer: "cus_1",
+      status: "active",
+      cancel_at_period_end: false,
+      current_period_start: 1780272000,
+      current_period_end: 1782864000,
+      metadata: { type: "client_membership", membershipId: "membership_1" },
+    };
+
+    await syncMembershipFromSubscription({ subscription });
+    await syncMembershipFromSubscription({
+      subscription: { ...subscription, status: "incomplete" },
+    });
+
+    const [activeFilter, activeUpdate] =
+      mockMembershipModel.findOneAndUpdate.mock.calls[0];
+    expect(activeFilter).toEqual({ _id: "membership_1" });
+    expect(activeUpdate.$set).toMatchObject({
+      status: "active",
+      stripeSubscriptionId: "sub_1",
+      stripeCustomerId: "cus_1",
+      currentPeriodEnd: new Date(1782864000 * 1000),
+      failedPaymentCount: 0,
+    });
+    const [lateFilter] = mockMembershipModel.findOneAndUpdate.mock.calls[1];
+    expect(lateFilter).toEqual({ _id: "membership_1", status: "incomplete" });
+  });
+
+  it("records failed renewals for the client list", async () => {
+    mockMembershipModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(createMembership({ failedPaymentCount: 2 })),
+    );
+
+    await recordMembershipPaymentFailed({
+      invoice: {
+        subscription: "sub_1",
+        attempt_count: 2,
+        next_payment_attempt: 1781136000,
+      },
+      now,
+    });
+
+    const [filter, update] =
+      mockMembershipModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ stripeSubscriptionId: "sub_1" });
+    expect(update.$set).toEqual({
+      failedPaymentCount: 2,
+      lastPaymentFailedAt: now,
+      nextPaymentAttempt: new Date(1781136000 * 1000),
+    });
+  });
+
+  it("summarises each client's latest membership", async () => {
+    mockMembershipModel.find.mockImplementation(() =>
+      mockQuery([
+        createMembership({
+          status: "past_due",
+          failedPaymentCount: 1,
+          lastPaymentFailedAt: now,
+        }),
+        createMembership({ _id: "membership_0", status: "canceled" }),
+      ]),
+    );
+
+    const summaries = await getMembershipSummaries({
+      tenantId: "tenant_1",
+      clientIds: ["client_1"],
+      now,
+    });
+
+    expect(summaries.get("client_1")).toMatchObject({
+      membershipId: "membership_1",
+      status: "past_due",
+      benefitsActive: false,
+      pastDue: true,
+      failedPaymentCount: 1,
+      lastPaymentFailedAt: now,
+    });
+  });
+});
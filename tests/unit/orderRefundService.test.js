@@ -0,0 +1,295 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const mockSpecialistModel = { findByIdAndUpdate: jest.fn() };
+const mockSendOrderRefundEmail = jest.fn();
+const mockRefundToGiftCard = jest.fn();
+const mockRestockRefundedItems = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Specialist.js", () => ({
+  default: mockSpecialistModel,
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  sendOrderRefundEmail: mockSendOrderRefundEmail,
+  default: { sendOrderRefundEmail: mockSendOrderRefundEmail },
+}));
+jest.unstable_mockModule("../../src/services/giftCardLedgerService.js", () => ({
+  refundToGiftCard: mockRefundToGiftCard,
+  default: { refundToGiftCard: mockRefundToGiftCard },
+}));
+jest.unstable_mockModule("../../src/services/inventoryService.js", () => ({
+  restockRefundedItems: mockRestockRefundedItems,
+  default: { restockRefundedItems: mockRestockRefundedItems },
+}));
+
+const { planOrderRefund, refundOrder } = await import(
+  "../../src/services/orderRefundService.js"
+);
+
+const createOrder = (overrides = {}) => ({
+  _id: "order_1",
+  orderNumber: "ORD-2606-0001",
+  items: [
+    {
+      productId: "prod_1",
+      title: "Serum",
+      price: 20,
+      quantity: 3,
+      specialistId: "spec_1",
+      refundedQuantity: 0,
+    },
+    {
+      productId: "prod_2",
+      title: "Balm",
+      price: 10,
+      quantity: 1,
+      specialistId: "spec_1",
+      refundedQuantity: 0,
+    },
+  ],
+  subtotal: 70,
+  discount: 7,
+  shipping: 5,
+  total: 68,
+  paymentStatus: "paid",
+  orderStatus: "processing",
+  refundStatus: "none",
+  refundedAmount: 0,
+  shippingRefunded: false,
+  stripePaymentIntentId: "pi_123",
+  stripeConnectPayments: [
+    { specialistId: "spec_1", amount: 70, status: "succeeded" },
+  ],
+  refunds: [],
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe("orderRefundService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("refunds one unit less its share of the discount", () => {
+    const plan = planOrderRefund({
+      order: createOrder(),
+      items: [{ itemIndex: 0, quantity: 1 }],
+    });
+
+    expect(plan).toMatchObject({
+      ok: true,
+      amount: 18,
+      shipping: 0,
+      cardAmount: 18,
+      giftCardAmount: 0,
+      fullyRefunded: false,
+    });
+    expect(plan.bySpecialist).toEqual([
+      { specialistId: "spec_1", transferId: null, amount: 18, itemsAmount: 20 },
+    ]);
+  });
+
+  it("won't refund more units than are left", () => {
+    const order = createOrder();
+    order.items[0].refundedQuantity = 2;
+
+    expect(
+      planOrderRefund({ order, items: [{ itemIndex: 0, quantity: 2 }] }),
+    ).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { message: "Only 1 of Serum left to refund" },
+    });
+  });
+
+  it("splits the refund with the gift card that part paid", () => {
+    const plan = planOrderRefund({
+      order: createOrder({
+        giftCard: {
+          code: "GIFT-1",
+          appliedAmount: 34,
+          redemptionStatus: "redeemed",
+        },
+      }),
+      items: [{ itemIndex: 1, quantity: 1 }],
+      includeShipping: true,
+    });
+
+    // £9 balm + £5 shipping, half of the order was gift card
+    expect(plan).toMatchObject({
+      amount: 14,
+      giftCardAmount: 7,
+      cardAmount: 7,
+    });
+  });
+
+  it("refunds part of the card payment and records the return", async () => {
+    const order = createOrder();
+    const stripe = {
+      refunds: { create: jest.fn().mockResolvedValue({ id: "re_1" }) },
+      transfers: { createReversal: jest.fn() },
+    };
+
+    const result = await refundOrder({
+      order,
+      items: [{ itemIndex: 0, quantity: 2 }],
+      reason: "Changed mind",
+      by: "owner@example.com",
+      stripe,
+    });
+
+    expect(result.ok).toBe(true);
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        payment_intent: "pi_123",
+        amount: 3600,
+        reverse_transfer: true,
+      }),
+      { idempotencyKey: "order-refund-order_1-0" },
+    );
+    expect(stripe.transfers.createReversal).not.toHaveBeenCalled();
+    expect(mockSpecialistModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "spec_1",
+      { $inc: { totalEarnings: -40 } },
+    );
+    expect(order).toMatchObject({
+      refundStatus: "partial",
+      paymentStatus: "paid",
+      refundedAmount: 36,
+    });
+    expect(order.items[0].refundedQuantity).toBe(2);
+    expect(order.refunds[0]).toMatchObject({
+      amount: 36,
+      stripeRefundId: "re_1",
+      restocked: true,
+    });
+    expect(mockRestockRefundedItems).toHaveBeenCalledWith(
+      expect.objectContaining({
+        lines: [{ item: order.items[0], quantity: 2 }],
+      }),
+    );
+    expect(mockSendOrderRefundEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it("reverses separate transfers and closes out the last items", async () => {
+    const order = createOrder({
+      refundStatus: "partial",
+      refundedAmount: 54,
+      shippingRefunded: true,
+      stripeConnectPayments: [
+        {
+          specialistId: "spec_1",
+          amount: 70,
+          status: "succeeded",
+          transferId: "tr_1",
+        },
+      ],
+    });
+    order.items[0].refundedQuantity = 3;
+    const stripe = {
+      refunds: { create: jest.fn().mockResolvedValue({ id: "re_2" }) },
+      transfers: {
+        createReversal: jest.fn().mockResolvedValue({ id: "trr_1" }),
+      },
+    };
+
+    const result = await refundOrder({
+      order,
+      restock: false,
+      stripe,
+    });
+
+    expect(result.ok).toBe(true);
+    expect(stripe.refunds.create.mock.calls[0][0]).toMatchObject({
+      amount: 900,
+      reverse_transfer: false,
+    });
+    expect(stripe.transfers.createReversal).toHaveBeenCalledWith("tr_1", {
+      amount: 900,
+      metadata: { orderId: "order_1" },
+    });
+    expect(order).toMatchObject({
+      refundStatus: "full",
+      paymentStatus: "refunded",
+      orderStatus: "refunded",
+    });
+    expect(order.stripeConnectPayments[0].status).toBe("refunded");
+  });
+
+  it("keeps the order open until its shipping is refunded", () => {
+    const order = createOrder({ refundStatus: "partial", refundedAmount: 54 });
+    order.items[0].refundedQuantity = 3;
+
+    const itemsOnly = planOrderRefund({
+      order,
+      items: [{ itemIndex: 1, quantity: 1 }],
+    });
+    expect(itemsOnly).toMatchObject({ ok: true, fullyRefunded: false });
+
+    order.items[1].refundedQuantity = 1;
+    order.refundedAmount = 63;
+    const shippingOnly = planOrderRefund({ order, includeShipping: true });
+    expect(shippingOnly).toMatchObject({
+      ok: true,
+      lines: [],
+      shipping: 5,
+      amount: 5,
+      fullyRefunded: true,
+    });
+  });
+
+  it("won't refund a card share without a payment intent", async () => {
+    const order = createOrder({ stripePaymentIntentId: null });
+
+    const result = await refundOrder({ order, stripe: null });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "ORDER_REFUND_NO_CARD_PAYMENT" },
+    });
+    expect(order.save).not.toHaveBeenCalled();
+    expect(order.refunds).toEqual([]);
+    expect(mockSpecialistModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("records a transfer reversal that fails and still refunds", async () => {
+    const order = createOrder({
+      stripeConnectPayments: [
+        {
+          specialistId: "spec_1",
+          amount: 70,
+          status: "succeeded",
+          transferId: "tr_1",
+        },
+      ],
+    });
+    const stripe = {
+      refunds: { create: jest.fn().mockResolvedValue({ id: "re_3" }) },
+      transfers: {
+        createReversal: jest
+          .fn()
+          .mockRejectedValue(new Error("Insufficient funds")),
+      },
+    };
+
+    const result = await refundOrder({
+      order,
+      items: [{ itemIndex: 1, quantity: 1 }],
+      restock: false,
+      stripe,
+    });
+
+    expect(result.ok).toBe(true);
+    expect(order.refunds[0]).toMatchObject({
+      amount: 9,
+      stripeRefundId: "re_3",
+      transferReversals: [
+        { specialistId: "spec_1", amount: 9, error: "Insufficient funds" },
+      ],
+    });
+    expect(order.refunds[0].transferReversals[0].transferReversalId).toBe(
+      undefined,
+    );
+    expect(order.save).toHaveBeenCalledTimes(1);
+  });
+});
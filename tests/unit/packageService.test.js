@@ -0,0 +1,225 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockClientPackageModel = {
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+};
+
+jest.unstable_mockModule("../../src/models/ClientPackage.js", () => ({
+  default: mockClientPackageModel,
+}));
+
+const {
+  consumePackageCredit,
+  getClientPackages,
+  getRemainingSessions,
+  packageCoversAppointment,
+  returnPackageCredit,
+} = await import("../../src/services/packageService.js");
+const { computePackageCreditOutcome } = await import(
+  "../../src/services/appointmentCancellationService.js"
+);
+
+const createPurchase = (overrides = {}) => ({
+  _id: "pkg_purchase_1",
+  tenantId: "tenant_1",
+  packageId: "pkg_1",
+  clientId: "client_1",
+  name: "6 laser sessions",
+  serviceId: "service_1",
+  variantName: null,
+  sessionsTotal: 6,
+  sessionsUsed: 2,
+  status: "active",
+  expiresAt: new Date("2099-01-01T00:00:00.000Z"),
+  ...overrides,
+});
+
+const appointment = {
+  _id: "appt_1",
+  tenantId: "tenant_1",
+  clientId: "client_1",
+  services: [{ serviceId: "service_1", variantName: "Full legs" }],
+};
+
+describe("packageService", () => {
+  const now = new Date("2026-06-01T10:00:00.000Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("counts sessions left on paid, unexpired packages only", () => {
+    expect(getRemainingSessions(createPurchase(), now)).toBe(4);
+    expect(
+      getRemainingSessions(createPurchase({ status: "pending" }), now),
+    ).toBe(0);
+    expect(
+      getRemainingSessions(
+        createPurchase({ expiresAt: new Date("2026-05-01T00:00:00.000Z") }),
+        now,
+      ),
+    ).toBe(0);
+  });
+
+  it("only covers the package's own service booked on its own", () => {
+    const purchase = createPurchase({ variantName: "Full legs" });
+    expect(packageCoversAppointment(purchase, appointment)).toBe(true);
+    expect(
+      packageCoversAppointment(purchase, {
+        services: [{ serviceId: "service_1", variantName: "Half legs" }],
+      }),
+    ).toBe(false);
+    expect(
+      packageCoversAppointment(purchase, {
+        services: [
+          ...appointment.services,
+          { serviceId: "service_2", variantName: "Brows" },
+        ],
+      }),
+    ).toBe(false);
+    expect(
+      packageCoversAppointment(purchase, {
+        services: [{ ...appointment.services[0], addOns: [{ name: "Aloe" }] }],
+      }),
+    ).toBe(false);
+  });
+
+  it("spends one credit per appointment", async () => {
+    const purchase = createPurchase();
+    mockClientPackageModel.findOne.mockImplementation(() =>
+      mockQuery(purchase),
+    );
+    mockClientPackageModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery({ ...purchase, sessionsUsed: 3 }),
+    );
+
+    const result = await consumePackageCredit({
+      purchaseId: "pkg_purchase_1",
+      clientId: "client_1",
+      appointment,
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: true,
+      credit: { clientPackageId: "pkg_purchase_1", name: "6 laser sessions" },
+    });
+    const [filter, update] =
+      mockClientPackageModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      _id: "pkg_purchase_1",
+      status: "active",
+      $expr: { $lt: ["$sessionsUsed", "$sessionsTotal"] },
+      "redemptions.appointmentId": { $ne: "appt_1" },
+    });
+    expect(update.$inc).toEqual({ sessionsUsed: 1 });
+  });
+
+  it("hides other clients' packages and refuses used-up ones", async () => {
+    mockClientPackageModel.findOne
+      .mockReturnValueOnce(mockQuery(createPurchase()))
+      .mockReturnValueOnce(mockQuery(createPurchase({ sessionsUsed: 6 })));
+
+    const notMine = await consumePackageCredit({
+      purchaseId: "pkg_purchase_1",
+      clientId: "client_2",
+      appointment,
+      now,
+    });
+    expect(notMine).toMatchObject({
+      ok: false,
+      status: 404,
+      body: { code: "PACKAGE_NOT_FOUND" },
+    });
+
+    const usedUp = await consumePackageCredit({
+      purchaseId: "pkg_purchase_1",
+      clientId: "client_1",
+      appointment,
+      now,
+    });
+    expect(usedUp).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "PACKAGE_NO_CREDITS" },
+    });
+  });
+
+  it("returns a credit once", async () => {
+    mockClientPackageModel.findOneAndUpdate
+      .mockReturnValueOnce(mockQuery(createPurchase()))
+      .mockReturnValueOnce(mockQuery(null));
+    const params = {
+      clientPackageId: "pkg_purchase_1",
+      appointmentId: "appt_1",
+      now,
+    };
+
+    expect(await returnPackageCredit(params)).toEqual({ status: "returned" });
+    expect(await returnPackageCredit(params)).toEqual({ status: "skipped" });
+    const [filter, update] =
+      mockClientPackageModel.findOneAndUpdate.mock.calls[0];
+    expect(filter.redemptions).toEqual({
+      $elemMatch: { appointmentId: "appt_1", status: "used" },
+    });
+    expect(update.$inc).toEqual({ sessionsUsed: -1 });
+  });
+
+  it("sums sessions remaining across a client's packages", async () => {
+    mockClientPackageModel.find.mockImplementation(() =>
+      mockQuery([
+        createPurchase(),
+        createPurchase({ _id: "pkg_purchase_2", sessionsUsed: 6 }),
+      ]),
+    );
+
+    const result = await getClientPackages({
+      clientId: "client_1",
+      tenantId: "tenant_1",
+      now,
+    });
+
+    expect(mockClientPackageModel.find).toHaveBeenCalledWith({
+      clientId: "client_1",
+      status: "active",
+      tenantId: "tenant_1",
+    });
+    expect(result.sessionsRemaining).toBe(4);
+    expect(result.packages.map((p) => p.sessionsRemaining)).toEqual([4, 0]);
+  });
+
+  it("gives the session back only when the policy would refund in full", () => {
+    const booking = {
+      start: new Date("2026-06-05T10:00:00.000Z"),
+      createdAt: new Date("2026-05-01T10:00:00.000Z"),
+      price: 60,
+      payment: {
+        provider: "package",
+        packageCredit: { clientPackageId: "pkg_purchase_1" },
+      },
+    };
+    const policy = { freeCancelHours: 24, noRefundHours: 2 };
+
+    expect(
+      computePackageCreditOutcome({ appointment: booking, policy, now })
+        .outcomeStatus,
+    ).toBe("cancelled_full_refund");
+    expect(
+      computePackageCreditOutcome({
+        appointment: booking,
+        policy,
+        now: new Date("2026-06-05T00:00:00.000Z"),
+      }).outcomeStatus,
+    ).not.toBe("cancelled_full_refund");
+    expect(
+      computePackageCreditOutcome({
+        appointment: { ...booking, payment: { provider: "stripe" } },
+        policy,
+        now,
+      }),
+    ).toBeNull();
+  });
+});
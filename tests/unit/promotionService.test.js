@@ -0,0 +1,368 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = {
+  aggregate: jest.fn(),
+  exists: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockOrderModel = {
+  aggregate: jest.fn(),
+  exists: jest.fn(),
+};
+const mockPromotionModel = {
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockServiceModel = { find: jest.fn() };
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/Order.js", () => ({
+  default: mockOrderModel,
+}));
+jest.unstable_mockModule("../../src/models/Promotion.js", () => ({
+  default: mockPromotionModel,
+}));
+jest.unstable_mockModule("../../src/models/Service.js", () => ({
+  default: mockServiceModel,
+}));
+
+const {
+  applyPromotionToAppointment,
+  computePromotionDiscount,
+  evaluatePromotion,
+  getPromotionStats,
+  releaseAppointmentPromotion,
+  reservePromotionUse,
+} = await import("../../src/services/promotionService.js");
+
+const createPromotion = (overrides = {}) => ({
+  _id: "64b000000000000000000001",
+  tenantId: "64a000000000000000000001",
+  code: "SUMMER20",
+  name: "Summer 20% off",
+  type: "percent",
+  value: 20,
+  appliesTo: "all",
+  serviceIds: [],
+  productIds: [],
+  categories: [],
+  specialistIds: [],
+  minSpend: 0,
+  startsAt: null,
+  endsAt: null,
+  maxRedemptions: null,
+  maxRedemptionsPerClient: null,
+  firstVisitOnly: false,
+  active: true,
+  ...overrides,
+});
+
+const usePromotion = (promotion) =>
+  mockPromotionModel.findOne.mockImplementation(() => mockQuery(promotion));
+
+const bookingLines = [
+  { serviceId: "facial", category: "Skin", specialistId: "spec_1", amount: 60 },
+  { serviceId: "brows", category: "Brows", specialistId: "spec_1", amount: 20 },
+];
+
+describe("promotionService", () => {
+  const now = new Date("2026-06-10T10:00:00.000Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAppointmentModel.exists.mockResolvedValue(null);
+    mockOrderModel.exists.mockResolvedValue(null);
+  });
+
+  it("only discounts the lines in scope", () => {
+    expect(
+      computePromotionDiscount({
+        promotion: createPromotion({ categories: ["Skin"] }),
+        lines: bookingLines,
+        kind: "booking",
+      }),
+    ).toEqual({ eligibleAmount: 60, discount: 12 });
+
+    expect(
+      computePromotionDiscount({
+        promotion: createPromotion({ type: "fixed", value: 30 }),
+        lines: bookingLines,
+        kind: "booking",
+      }).discount,
+    ).toBe(30);
+
+    expect(
+      computePromotionDiscount({
+        promotion: createPromotion({ specialistIds: ["spec_2"] }),
+        lines: bookingLines,
+        kind: "booking",
+      }).discount,
+    ).toBe(0);
+
+    expect(
+      computePromotionDiscount({
+        promotion: createPromotion({ appliesTo: "products" }),
+        lines: bookingLines,
+        kind: "booking",
+      }).discount,
+    ).toBe(0);
+  });
+
+  it("refuses codes outside their dates or below the minimum spend", async () => {
+    usePromotion(
+      createPromotion({ endsAt: new Date("2026-06-01T00:00:00.000Z") }),
+    );
+    const expired = await evaluatePromotion({
+      code: "summer20",
+      tenantId: "64a000000000000000000001",
+      kind: "booking",
+      lines: bookingLines,
+      subtotal: 80,
+      now,
+    });
+    expect(expired).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { code: "PROMO_NOT_ACTIVE" },
+    });
+
+    usePromotion(createPromotion({ minSpend: 100 }));
+    const belowMinimum = await evaluatePromotion({
+      code: "summer20",
+      tenantId: "64a000000000000000000001",
+      kind: "booking",
+      lines: bookingLines,
+      subtotal: 80,
+      now,
+    });
+    expect(belowMinimum.body.code).toBe("PROMO_MIN_SPEND");
+    expect(mockPromotionModel.findOne).toHaveBeenCalledWith({
+      tenantId: "64a000000000000000000001",
+      code: "SUMMER20",
+      active: true,
+    });
+  });
+
+  it("enforces first-visit and per-client limits", async () => {
+    const params = {
+      code: "SUMMER20",
+      tenantId: "64a000000000000000000001",
+      kind: "booking",
+      lines: bookingLines,
+      subtotal: 80,
+      email: "jo@example.com",
+      clientId: "client_1",
+      now,
+    };
+
+    usePromotion(createPromotion({ firstVisitOnly: true }));
+    mockAppointmentModel.exists.mockResolvedValue({ _id: 1 });
+    const returning = await evaluatePromotion(params);
+    expect(returning.body.code).toBe("PROMO_FIRST_VISIT_ONLY");
+
+    usePromotion(
+      createPromotion({
+        maxRedemptions: 10,
+        maxRedemptionsPerClient: 1,
+        redemptions: 3,
+        clientRedemptions: [{ email: "jo@example.com", count: 1 }],
+      }),
+    );
+    const usedUp = await evaluatePromotion({
+      ...params,
+      email: "JO@example.com",
+    });
+    expect(usedUp).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "PROMO_LIMIT_REACHED" },
+    });
+  });
+
+  it("reserves a use only while under both limits", async () => {
+    const promotion = createPromotion({
+      maxRedemptions: 10,
+      maxRedemptionsPerClient: 2,
+    });
+    mockPromotionModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockPromotionModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery({ _id: promotion._id }),
+    );
+
+    const reserved = await reservePromotionUse({
+      promotion,
+      email: " Jo@Example.com ",
+    });
+
+    expect(reserved).toEqual({ ok: true, clientEmail: "jo@example.com" });
+    expect(mockPromotionModel.updateOne).toHaveBeenCalledWith(
+      {
+        _id: promotion._id,
+        "clientRedemptions.email": { $ne: "jo@example.com" },
+      },
+      { $push: { clientRedemptions: { email: "jo@example.com", count: 0 } } },
+    );
+    const [filter, update] = mockPromotionModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: promotion._id,
+      redemptions: { $lt: 10 },
+      clientRedemptions: {
+        $elemMatch: { email: "jo@example.com", count: { $lt: 2 } },
+      },
+    });
+    expect(update).toEqual({
+      $inc: { redemptions: 1, "clientRedemptions.$.count": 1 },
+    });
+
+    // Another checkout took the last use first
+    mockPromotionModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(null),
+    );
+    const lost = await reservePromotionUse({
+      promotion,
+      email: "jo@example.com",
+    });
+    expect(lost.body.code).toBe("PROMO_LIMIT_REACHED");
+
+    const anonymous = await reservePromotionUse({ promotion, email: "" });
+    expect(anonymous.ok).toBe(false);
+  });
+
+  it("gives a held use back once and restores the price", async () => {
+    mockAppointmentModel.findOneAndUpdate.mockImplementationOnce(() =>
+      mockQuery({
+        _id: "appt_1",
+        status: "reserved_unpaid",
+        promotion: {
+          promotionId: "promo_1",
+          code: "SUMMER20",
+          discount: 14.4,
+          usage: "held",
+          clientEmail: "jo@example.com",
+        },
+      }),
+    );
+
+    await expect(
+      releaseAppointmentPromotion({ appointmentId: "appt_1", now }),
+    ).resolves.toBe(true);
+
+    expect(mockAppointmentModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "appt_1", "promotion.usage": "held" },
+      { $set: { "promotion.usage": "released" } },
+    );
+    const [, bookingUpdate] = mockAppointmentModel.updateOne.mock.calls[0];
+    expect(bookingUpdate.$inc).toEqual({ price: 14.4 });
+    expect(bookingUpdate.$unset).toEqual({ promotion: "" });
+    expect(mockPromotionModel.updateOne).toHaveBeenCalledWith(
+      { _id: "promo_1", redemptions: { $gt: 0 } },
+      { $inc: { redemptions: -1 } },
+    );
+    expect(mockPromotionModel.updateOne).toHaveBeenCalledWith(
+      {
+        _id: "promo_1",
+        clientRedemptions: {
+          $elemMatch: { email: "jo@example.com", count: { $gt: 0 } },
+        },
+      },
+      { $inc: { "clientRedemptions.$.count": -1 } },
+    );
+
+    // Already given back
+    mockAppointmentModel.findOneAndUpdate.mockImplementationOnce(() =>
+      mockQuery(null),
+    );
+    await expect(
+      releaseAppointmentPromotion({ appointmentId: "appt_1", now }),
+    ).resolves.toBe(false);
+    expect(mockPromotionModel.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  it("takes the discount off a member-priced booking once", async () => {
+    const appointment = {
+      _id: "appt_1",
+      tenantId: "64a000000000000000000001",
+      clientId: "client_1",
+      specialistId: "spec_1",
+      client: { email: "jo@example.com" },
+      status: "reserved_unpaid",
+      services: [
+        { serviceId: "facial", price: 60 },
+        { serviceId: "brows", price: 20 },
+      ],
+      // 10% member discount already applied
+      price: 72,
+    };
+    usePromotion(createPromotion());
+    mockServiceModel.find.mockImplementation(() =>
+      mockQuery([
+        { _id: "facial", category: "Skin" },
+        { _id: "brows", category: "Brows" },
+      ]),
+    );
+    mockPromotionModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery({ _id: "64b000000000000000000001" }),
+    );
+    mockAppointmentModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery({ ...appointment, price: 57.6 }),
+    );
+
+    const result = await applyPromotionToAppointment({
+      appointment,
+      code: "summer20",
+      now,
+    });
+
+    expect(result.ok).toBe(true);
+    const [filter, update] =
+      mockAppointmentModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: "appt_1",
+      status: "reserved_unpaid",
+      promotion: { $exists: false },
+    });
+    expect(update.$set.price).toBe(57.6);
+    expect(update.$set.promotion).toMatchObject({
+      code: "SUMMER20",
+      discount: 14.4,
+      usage: "held",
+      clientEmail: "jo@example.com",
+    });
+    expect(mockPromotionModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+
+    const again = await applyPromotionToAppointment({
+      appointment: { ...appointment, promotion: { code: "SUMMER20" } },
+      code: "OTHER10",
+      now,
+    });
+    expect(again.body.code).toBe("PROMO_ALREADY_APPLIED");
+  });
+
+  it("reports redemptions, discount and revenue per promotion", async () => {
+    const promotionId = "64b000000000000000000001";
+    mockAppointmentModel.aggregate.mockResolvedValue([
+      { _id: promotionId, count: 2, discount: 24, revenue: 96 },
+    ]);
+    mockOrderModel.aggregate.mockResolvedValue([
+      { _id: promotionId, count: 1, discount: 5.5, revenue: 27.49 },
+    ]);
+
+    const stats = await getPromotionStats({
+      tenantId: "64a000000000000000000001",
+      promotionIds: [promotionId],
+    });
+
+    expect(stats.get(promotionId)).toEqual({
+      bookings: { count: 2, discount: 24, revenue: 96 },
+      orders: { count: 1, discount: 5.5, revenue: 27.49 },
+      redemptions: 3,
+      discountTotal: 29.5,
+      revenueTotal: 123.49,
+    });
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, expect, it } from "@jest/globals";
+import QRCode from "qrcode";
+import { renderQrCodePng } from "../../src/utils/qrCode.js";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+describe("renderQrCodePng", () => {
+  it("renders the check-in code itself as a PNG", async () => {
+    const code = "Xy3_kP9-aQ2mZr7LtB0wVcE1";
+    const png = await renderQrCodePng(code);
+
+    expect(png.subarray(0, 4).equals(PNG_SIGNATURE)).toBe(true);
+    // Byte mode keeps the case-sensitive code intact for the scanner
+    const [segment] = QRCode.create(code).segments;
+    expect(segment.mode.id).toBe("Byte");
+    expect(Buffer.from(segment.data).toString()).toBe(code);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  expandRecurrence,
+  parseRecurrenceRule,
+} from "../../src/utils/recurrence.js";
+
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+describe("recurrence", () => {
+  describe("expandRecurrence", () => {
+    it("expands every 3 weeks with a count", () => {
+      const starts = expandRecurrence({
+        firstStart: "2030-01-14T10:00:00.000Z",
+        recurrence: { frequency: "weekly", interval: 3, count: 3 },
+        salonTz: "UTC",
+      });
+      expect(iso(starts)).toEqual([
+        "2030-01-14T10:00:00.000Z",
+        "2030-02-04T10:00:00.000Z",
+        "2030-02-25T10:00:00.000Z",
+      ]);
+    });
+
+    it("keeps the salon wall-clock time across DST", () => {
+      const starts = expandRecurrence({
+        firstStart: "2030-03-25T10:00:00.000Z", // 10:00 GMT
+        recurrence: { frequency: "weekly", interval: 1, count: 2 },
+        salonTz: "Europe/London",
+      });
+      // 10:00 BST after the clocks go forward on 31 March
+      expect(iso(starts)).toEqual([
+        "2030-03-25T10:00:00.000Z",
+        "2030-04-01T09:00:00.000Z",
+      ]);
+    });
+
+    it("clamps monthly occurrences to short months without drifting", () => {
+      const starts = expandRecurrence({
+        firstStart: "2030-01-31T09:00:00.000Z",
+        recurrence: { frequency: "monthly", interval: 1, count: 3 },
+        salonTz: "UTC",
+      });
+      expect(iso(starts)).toEqual([
+        "2030-01-31T09:00:00.000Z",
+        "2030-02-28T09:00:00.000Z",
+        "2030-03-31T09:00:00.000Z",
+      ]);
+    });
+
+    it("stops at until and at the occurrence cap", () => {
+      const untilStarts = expandRecurrence({
+        firstStart: "2030-01-14T10:00:00.000Z",
+        recurrence: {
+          frequency: "daily",
+          interval: 2,
+          until: "2030-01-18T10:00:00.000Z",
+        },
+        salonTz: "UTC",
+      });
+      expect(untilStarts).toHaveLength(3);
+
+      const capped = expandRecurrence({
+        firstStart: "2030-01-14T10:00:00.000Z",
+        recurrence: { frequency: "daily", until: "2031-01-01T00:00:00.000Z" },
+        salonTz: "UTC",
+        maxOccurrences: 5,
+      });
+      expect(capped).toHaveLength(5);
+    });
+  });
+
+  describe("parseRecurrenceRule", () => {
+    it("parses RRULE strings", () => {
+      expect(
+        parseRecurrenceRule("RRULE:FREQ=WEEKLY;INTERVAL=3;COUNT=8"),
+      ).toEqual({ frequency: "weekly", interval: 3, count: 8 });
+      expect(parseRecurrenceRule("FREQ=MONTHLY;UNTIL=20300701")).toEqual({
+        frequency: "monthly",
+        interval: 1,
+        until: "2030-07-01T23:59:59Z",
+      });
+    });
+
+    it("rejects unbounded or unsupported rules", () => {
+      expect(() => parseRecurrenceRule("FREQ=WEEKLY")).toThrow(
+        "Recurrence requires count or until",
+      );
+      expect(() =>
+        parseRecurrenceRule("FREQ=WEEKLY;BYDAY=MO;COUNT=2"),
+      ).toThrow("Unsupported recurrence parts: BYDAY");
+    });
+  });
+});
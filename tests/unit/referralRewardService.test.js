@@ -0,0 +1,392 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = {
+  exists: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockClientModel = { findById: jest.fn() };
+const mockReferralModel = {
+  create: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockReferralCodeModel = { findOne: jest.fn(), findById: jest.fn() };
+const mockTenantModel = { findById: jest.fn() };
+const mockTenantClientModel = { findOne: jest.fn(), updateOne: jest.fn() };
+const mockOrderModel = { exists: jest.fn() };
+const mockGetStripe = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/Client.js", () => ({
+  default: mockClientModel,
+}));
+jest.unstable_mockModule("../../src/models/Referral.js", () => ({
+  default: mockReferralModel,
+}));
+jest.unstable_mockModule("../../src/models/ReferralCode.js", () => ({
+  default: mockReferralCodeModel,
+}));
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/models/TenantClient.js", () => ({
+  default: mockTenantClientModel,
+}));
+jest.unstable_mockModule("../../src/models/Order.js", () => ({
+  default: mockOrderModel,
+}));
+jest.unstable_mockModule("../../src/payments/stripe.js", () => ({
+  getStripe: mockGetStripe,
+  default: { getStripe: mockGetStripe },
+}));
+
+const {
+  applyReferralCreditToAppointment,
+  recordClientReferral,
+  returnReferralCredit,
+  rewardClientReferral,
+} = await import("../../src/services/referralRewardService.js");
+
+const now = new Date("2026-06-10T10:00:00Z");
+const tenantId = new mongoose.Types.ObjectId();
+const referrerId = new mongoose.Types.ObjectId();
+const friendId = new mongoose.Types.ObjectId();
+const codeId = new mongoose.Types.ObjectId();
+
+const clients = {
+  [referrerId]: { email: "amy.smith@gmail.com", phone: "+44 7700 900123" },
+  [friendId]: { name: "Bea", email: "bea@example.com" },
+};
+
+const createAppointment = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  clientId: friendId,
+  client: { name: "Bea", email: "bea@example.com", phone: "07700900456" },
+  price: 40,
+  status: "reserved_unpaid",
+  ...overrides,
+});
+
+describe("referralRewardService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClientModel.findById.mockImplementation((id) =>
+      mockQuery(clients[String(id)] || null),
+    );
+    mockReferralCodeModel.findOne.mockImplementation(() =>
+      mockQuery({ _id: codeId, ownerId: referrerId, ownerType: "Client" }),
+    );
+    mockReferralCodeModel.findById.mockImplementation(() =>
+      mockQuery({ ownerId: referrerId, ownerType: "Client" }),
+    );
+    mockAppointmentModel.exists.mockResolvedValue(null);
+    mockAppointmentModel.find.mockImplementation(() => mockQuery([]));
+    mockOrderModel.exists.mockResolvedValue(null);
+    mockReferralModel.find.mockImplementation(() => mockQuery([]));
+    mockReferralModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it("records a new client's referral at the business's reward", async () => {
+    mockTenantModel.findById.mockImplementation(() =>
+      mockQuery({
+        referralSettings: {
+          clientRewardsEnabled: true,
+          clientRewardAmount: 15,
+        },
+      }),
+    );
+    mockReferralModel.create.mockImplementation(async (doc) => doc);
+
+    const result = await recordClientReferral({
+      code: "abc234",
+      appointment: createAppointment(),
+    });
+
+    expect(result.ok).toBe(true);
+    expect(mockReferralModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        referralCodeId: codeId,
+        tenantId,
+        referredClientId: friendId,
+        referredClientName: "Bea",
+        rewardAmount: 15,
+        rewardStatus: "pending",
+      }),
+    );
+
+    // The referrer booking under another spelling of their own address
+    const self = await recordClientReferral({
+      code: "ABC234",
+      appointment: createAppointment({
+        client: { name: "Amy", email: "AmySmith+spa@googlemail.com" },
+      }),
+    });
+    expect(self).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { code: "REFERRAL_SELF_REFERRAL" },
+    });
+  });
+
+  it("credits the referrer on the friend's first completed visit", async () => {
+    const referral = {
+      _id: new mongoose.Types.ObjectId(),
+      referralCodeId: codeId,
+      rewardAmount: 15,
+    };
+    mockReferralModel.findOneAndUpdate
+      .mockReturnValueOnce(mockQuery(referral))
+      .mockReturnValueOnce(mockQuery(null));
+    mockGetStripe.mockReturnValue({
+      paymentIntents: {
+        retrieve: jest.fn().mockResolvedValue({
+          payment_method: { card: { fingerprint: "fp_friend" } },
+        }),
+      },
+    });
+    const appointment = createAppointment({
+      status: "completed",
+      payment: { stripe: { paymentIntentId: "pi_friend" } },
+    });
+
+    const result = await rewardClientReferral({ appointment, now });
+
+    expect(result.rewarded).toBe(true);
+    expect(mockReferralModel.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      tenantId,
+      referredClientId: friendId,
+      status: "pending",
+      rewardStatus: "pending",
+    });
+    expect(mockTenantClientModel.updateOne).toHaveBeenCalledWith(
+      { tenantId, clientId: referrerId },
+      {
+        $inc: { "referralCredit.earned": 15 },
+        $set: { "referralCredit.lastEarnedAt": now },
+      },
+      { upsert: true },
+    );
+    expect(mockReferralModel.updateOne).toHaveBeenCalledWith(
+      { _id: referral._id },
+      {
+        $set: {
+          rewardStatus: "paid",
+          rewardedAt: now,
+          cardFingerprint: "fp_friend",
+        },
+      },
+    );
+
+    // A later completed visit finds nothing left to reward
+    const again = await rewardClientReferral({ appointment, now });
+    expect(again).toEqual({ rewarded: false });
+    expect(mockTenantClientModel.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects a referral paid for with the referrer's card", async () => {
+    const referral = {
+      _id: new mongoose.Types.ObjectId(),
+      referralCodeId: codeId,
+      rewardAmount: 15,
+    };
+    mockReferralModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(referral),
+    );
+    mockAppointmentModel.find.mockImplementation(() =>
+      mockQuery([{ cardOnFile: { paymentMethodId: "pm_amy" } }]),
+    );
+    mockGetStripe.mockReturnValue({
+      paymentMethods: {
+        retrieve: jest
+          .fn()
+          .mockResolvedValue({ card: { fingerprint: "fp_amy" } }),
+      },
+    });
+
+    const result = await rewardClientReferral({
+      appointment: createAppointment({
+        status: "completed",
+        cardOnFile: { paymentMethodId: "pm_friend", stripeAccountId: "acct_1" },
+      }),
+      now,
+    });
+
+    expect(result).toMatchObject({
+      rewarded: false,
+      reason: "Same card as the referrer",
+    });
+    expect(mockTenantClientModel.updateOne).not.toHaveBeenCalled();
+    expect(mockReferralModel.updateOne).toHaveBeenCalledWith(
+      { _id: referral._id },
+      {
+        $set: {
+          rewardStatus: "rejected",
+          rejectionReason: "Same card as the referrer",
+          cardFingerprint: "fp_amy",
+        },
+      },
+    );
+  });
+
+  it("spends what's left of the credit on a booking", async () => {
+    const appointment = createAppointment({ clientId: referrerId });
+    // £20 earned, £12 already spent
+    mockTenantClientModel.findOne.mockImplementation(() =>
+      mockQuery({ referralCredit: { earned: 20, used: 12 } }),
+    );
+    mockTenantClientModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockAppointmentModel.findOneAndUpdate.mockImplementation((filter, update) =>
+      mockQuery({ ...appointment, ...update.$set }),
+    );
+
+    const result = await applyReferralCreditToAppointment({ appointment, now });
+
+    expect(result.ok).toBe(true);
+    expect(result.appointment).toMatchObject({
+      price: 32,
+      referralCredit: { amount: 8, appliedAt: now },
+    });
+    const [debitFilter, debit] = mockTenantClientModel.updateOne.mock.calls[0];
+    expect(debitFilter).toMatchObject({ tenantId, clientId: referrerId });
+    expect(debitFilter.$expr.$gte[1]).toBeCloseTo(8);
+    expect(debit).toEqual({ $inc: { "referralCredit.used": 8 } });
+    expect(mockAppointmentModel.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: appointment._id,
+      status: "reserved_unpaid",
+      referralCredit: { $exists: false },
+    });
+
+    mockTenantClientModel.findOne.mockReturnValueOnce(
+      mockQuery({ referralCredit: { earned: 20, used: 20 } }),
+    );
+    const spent = await applyReferralCreditToAppointment({ appointment, now });
+    expect(spent).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { code: "REFERRAL_NO_CREDIT" },
+    });
+  });
+
+  it("doesn't spend the same credit on two bookings at once", async () => {
+    mockTenantClientModel.findOne.mockImplementation(() =>
+      mockQuery({ referralCredit: { earned: 10, used: 0 } }),
+    );
+    // The balance only covers the first debit to land
+    mockTenantClientModel.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+    mockAppointmentModel.findOneAndUpdate.mockImplementation((filter, update) =>
+      mockQuery({ _id: filter._id, ...update.$set }),
+    );
+
+    const [first, second] = await Promise.all([
+      applyReferralCreditToAppointment({
+        appointment: createAppointment({ clientId: referrerId }),
+        now,
+      }),
+      applyReferralCreditToAppointment({
+        appointment: createAppointment({ clientId: referrerId }),
+        now,
+      }),
+    ]);
+
+    expect(first.ok).toBe(true);
+    expect(second).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "REFERRAL_NO_CREDIT" },
+    });
+    expect(mockAppointmentModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives the credit back once when a booking doesn't go ahead", async () => {
+    const appointment = createAppointment({
+      clientId: referrerId,
+      price: 32,
+      referralCredit: { amount: 8, appliedAt: now },
+    });
+    mockAppointmentModel.findOneAndUpdate
+      .mockReturnValueOnce(mockQuery(appointment))
+      .mockReturnValueOnce(mockQuery(null));
+
+    const returned = await returnReferralCredit({
+      appointmentId: appointment._id,
+      now,
+    });
+
+    expect(returned).toBe(8);
+    expect(mockAppointmentModel.findOneAndUpdate.mock.calls[0]).toEqual([
+      { _id: appointment._id, "referralCredit.amount": { $gt: 0 } },
+      { $unset: { referralCredit: "" } },
+    ]);
+    expect(mockAppointmentModel.updateOne).toHaveBeenCalledWith(
+      { _id: appointment._id },
+      {
+        $inc: { price: 8 },
+        $push: {
+          audit: {
+            at: now,
+            action: "referral_credit_returned",
+            meta: { amount: 8 },
+          },
+        },
+      },
+    );
+    expect(mockTenantClientModel.updateOne).toHaveBeenCalledWith(
+      { tenantId, clientId: referrerId },
+      { $inc: { "referralCredit.used": -8 } },
+    );
+
+    const again = await returnReferralCredit({
+      appointmentId: appointment._id,
+      now,
+    });
+    expect(again).toBe(0);
+    expect(mockTenantClientModel.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps forfeited credit and a cancelled booking's price", async () => {
+    const appointment = createAppointment({
+      clientId: referrerId,
+      status: "cancelled_partial_refund",
+      price: 32,
+      referralCredit: { amount: 8, appliedAt: now },
+    });
+    mockAppointmentModel.findOneAndUpdate.mockReturnValueOnce(
+      mockQuery(appointment),
+    );
+
+    // The late cancellation band refunds half
+    const returned = await returnReferralCredit({
+      appointmentId: appointment._id,
+      amount: 4,
+      now,
+    });
+
+    expect(returned).toBe(4);
+    expect(mockAppointmentModel.updateOne).toHaveBeenCalledWith(
+      { _id: appointment._id },
+      {
+        $push: {
+          audit: {
+            at: now,
+            action: "referral_credit_returned",
+            meta: { amount: 4, forfeited: 4 },
+          },
+        },
+      },
+    );
+    expect(mockTenantClientModel.updateOne).toHaveBeenCalledWith(
+      { tenantId, clientId: referrerId },
+      { $inc: { "referralCredit.used": -4 } },
+    );
+  });
+});
@@ -0,0 +1,169 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockAppointmentModel = { find: jest.fn() };
+const mockResourceModel = { find: jest.fn() };
+
+jest.unstable_mockModule("../../src/models/Appointment.js", () => ({
+  default: mockAppointmentModel,
+}));
+jest.unstable_mockModule("../../src/models/Resource.js", () => ({
+  default: mockResourceModel,
+}));
+
+const { computeResourceBlackouts, computeSlotsForBeautician } =
+  await import("../../src/utils/slotPlanner.js");
+const { findResourceConflict, getRequiredResources } =
+  await import("../../src/services/resourceService.js");
+
+const room = { _id: "room_1", name: "Treatment room", capacity: 1 };
+const lasers = { _id: "laser_pool", name: "Laser machine", capacity: 2 };
+
+const booking = (start, end, resourceIds, status = "confirmed") => ({
+  start: `2030-01-14T${start}:00.000Z`,
+  end: `2030-01-14T${end}:00.000Z`,
+  resourceIds,
+  status,
+});
+
+describe("resource scheduling", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("computeResourceBlackouts", () => {
+    it("blocks a single-capacity resource for each booking", () => {
+      const blackouts = computeResourceBlackouts({
+        resources: [room],
+        bookings: [
+          booking("10:00", "11:00", ["room_1"]),
+          booking("12:00", "12:30", ["other"]),
+        ],
+      });
+      expect(blackouts).toEqual([
+        {
+          startISO: "2030-01-14T10:00:00.000Z",
+          endISO: "2030-01-14T11:00:00.000Z",
+        },
+      ]);
+    });
+
+    it("blocks a pooled resource only while every unit is in use", () => {
+      const blackouts = computeResourceBlackouts({
+        resources: [lasers],
+        bookings: [
+          booking("10:00", "11:00", ["laser_pool"]),
+          booking("10:30", "11:30", ["laser_pool"]),
+          booking("13:00", "14:00", ["laser_pool"]),
+        ],
+      });
+      expect(blackouts).toEqual([
+        {
+          startISO: "2030-01-14T10:30:00.000Z",
+          endISO: "2030-01-14T11:00:00.000Z",
+        },
+      ]);
+    });
+
+    it("ignores cancelled bookings", () => {
+      const blackouts = computeResourceBlackouts({
+        resources: [room],
+        bookings: [
+          booking("10:00", "11:00", ["room_1"], "cancelled_full_refund"),
+        ],
+      });
+      expect(blackouts).toEqual([]);
+    });
+
+    it("removes slots where the specialist is free but the room is not", () => {
+      const slots = computeSlotsForBeautician({
+        date: "2030-01-14",
+        salonTz: "UTC",
+        stepMin: 60,
+        service: { durationMin: 60, bufferBeforeMin: 0, bufferAfterMin: 0 },
+        specialist: {
+          _id: "sp1",
+          workingHours: [{ dayOfWeek: 1, start: "09:00", end: "12:00" }],
+        },
+        appointments: [],
+        extraBlackouts: computeResourceBlackouts({
+          resources: [room],
+          bookings: [booking("10:00", "11:00", ["room_1"])],
+        }),
+      });
+      expect(slots.map((slot) => slot.startISO)).toEqual([
+        "2030-01-14T09:00:00.000Z",
+        "2030-01-14T11:00:00.000Z",
+      ]);
+    });
+  });
+
+  describe("getRequiredResources", () => {
+    it("skips the lookup when services need no resources", async () => {
+      const resources = await getRequiredResources({
+        tenantId: "tenant_1",
+        services: [{ _id: "svc_1" }],
+      });
+      expect(resources).toEqual([]);
+      expect(mockResourceModel.find).not.toHaveBeenCalled();
+    });
+
+    it("drops resources pinned to a different location", async () => {
+      mockResourceModel.find.mockImplementation(() =>
+        mockQuery([
+          { _id: "r1", locationId: "loc_a" },
+          { _id: "r2", locationId: "loc_b" },
+          { _id: "r3", locationId: null },
+        ]),
+      );
+      const resources = await getRequiredResources({
+        tenantId: "tenant_1",
+        services: [{ requiredResourceIds: ["r1", "r2", "r3"] }],
+        locationId: "loc_a",
+      });
+      expect(resources.map((resource) => resource._id)).toEqual(["r1", "r3"]);
+    });
+  });
+
+  describe("findResourceConflict", () => {
+    it("returns the resource that is fully booked", async () => {
+      mockAppointmentModel.find.mockImplementation(() =>
+        mockQuery([
+          booking("10:00", "11:00", ["laser_pool"]),
+          booking("10:00", "11:00", ["laser_pool", "room_1"]),
+        ]),
+      );
+      const start = new Date("2030-01-14T10:30:00.000Z");
+      const end = new Date("2030-01-14T11:30:00.000Z");
+      const conflict = await findResourceConflict({
+        tenantId: "tenant_1",
+        resources: [room, lasers],
+        start,
+        end,
+      });
+      expect(conflict).toBe(room);
+      // Same active-booking rule as the rest of scheduling
+      const [filter] = mockAppointmentModel.find.mock.calls[0];
+      expect(filter).toMatchObject({
+        tenantId: "tenant_1",
+        resourceIds: { $in: ["room_1", "laser_pool"] },
+        start: { $lt: end },
+        end: { $gt: start },
+      });
+      expect(filter.$and[0]).toEqual({ status: { $not: /^cancelled/ } });
+    });
+
+    it("returns null while a pooled unit is still free", async () => {
+      mockAppointmentModel.find.mockImplementation(() =>
+        mockQuery([booking("10:00", "11:00", ["laser_pool"])]),
+      );
+      const conflict = await findResourceConflict({
+        tenantId: "tenant_1",
+        resources: [lasers],
+        start: new Date("2030-01-14T10:00:00.000Z"),
+        end: new Date("2030-01-14T11:00:00.000Z"),
+      });
+      expect(conflict).toBeNull();
+    });
+  });
+});
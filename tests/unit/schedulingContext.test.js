@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import {
+  resolveSchedulingContext,
+  resolveSalonTimezone,
+  resolveSlotStepMin,
+} from "../../src/utils/schedulingContext.js";
+import { computeSlotsForBeautician } from "../../src/utils/slotPlanner.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const specialist = {
+  _id: "specialist123",
+  active: true,
+  workingHours: [
+    { dayOfWeek: 0, start: "09:00", end: "17:00" },
+    { dayOfWeek: 1, start: "09:00", end: "17:00" },
+  ],
+  timeOff: [],
+};
+
+const service = { durationMin: 60, bufferBeforeMin: 0, bufferAfterMin: 0 };
+
+function computeFor(tenant, date, location = null) {
+  const { salonTz, stepMin } = resolveSchedulingContext({ tenant, location });
+  return computeSlotsForBeautician({
+    date,
+    salonTz,
+    stepMin,
+    service,
+    specialist,
+    appointments: [],
+  });
+}
+
+describe("schedulingContext", () => {
+  const originalTz = process.env.SALON_TZ;
+  const originalStep = process.env.SLOTS_STEP_MIN;
+
+  beforeEach(() => {
+    delete process.env.SALON_TZ;
+    delete process.env.SLOTS_STEP_MIN;
+  });
+
+  afterEach(() => {
+    if (originalTz === undefined) delete process.env.SALON_TZ;
+    else process.env.SALON_TZ = originalTz;
+    if (originalStep === undefined) delete process.env.SLOTS_STEP_MIN;
+    else process.env.SLOTS_STEP_MIN = originalStep;
+  });
+
+  describe("resolution order", () => {
+    it("defaults to Europe/London and 15 minutes", () => {
+      expect(resolveSchedulingContext()).toEqual({
+        salonTz: "Europe/London",
+        stepMin: 15,
+      });
+    });
+
+    it("falls back to environment values when tenant has none", () => {
+      process.env.SALON_TZ = "Europe/Paris";
+      process.env.SLOTS_STEP_MIN = "20";
+      expect(resolveSchedulingContext({ tenant: {} })).toEqual({
+        salonTz: "Europe/Paris",
+        stepMin: 20,
+      });
+    });
+
+    it("prefers tenant settings over environment values", () => {
+      process.env.SALON_TZ = "Europe/Paris";
+      process.env.SLOTS_STEP_MIN = "20";
+      const tenant = {
+        timezone: "America/New_York",
+        schedulingSettings: { slotStepMinutes: 30 },
+      };
+      expect(resolveSchedulingContext({ tenant })).toEqual({
+        salonTz: "America/New_York",
+        stepMin: 30,
+      });
+    });
+
+    it("prefers location overrides over tenant settings", () => {
+      const tenant = {
+        timezone: "Europe/London",
+        schedulingSettings: { slotStepMinutes: 30 },
+      };
+      const location = {
+        settings: { timezone: "Europe/Dublin", slotStepMinutes: 10 },
+      };
+      expect(resolveSchedulingContext({ tenant, location })).toEqual({
+        salonTz: "Europe/Dublin",
+        stepMin: 10,
+      });
+    });
+
+    it("ignores invalid timezones and steps", () => {
+      const tenant = {
+        timezone: "Mars/Olympus_Mons",
+        schedulingSettings: { slotStepMinutes: 0 },
+      };
+      expect(resolveSalonTimezone({ tenant })).toBe("Europe/London");
+      expect(resolveSlotStepMin({ tenant })).toBe(15);
+    });
+  });
+
+  describe("tenant timezone in slot computation", () => {
+    it("computes New York slots in Eastern time, not London time", () => {
+      const slots = computeFor(
+        { timezone: "America/New_York" },
+        "2030-01-14", // Monday, EST (UTC-5)
+      );
+      expect(slots[0].startISO).toBe("2030-01-14T14:00:00.000Z");
+      expect(
+        dayjs(slots[0].startISO).tz("America/New_York").format("HH:mm"),
+      ).toBe("09:00");
+    });
+
+    it("uses the tenant step for slot alignment", () => {
+      const slots = computeFor(
+        {
+          timezone: "Europe/Dublin",
+          schedulingSettings: { slotStepMinutes: 30 },
+        },
+        "2030-01-14",
+      );
+      // 09:00-16:00 starts every 30 minutes
+      expect(slots).toHaveLength(15);
+      slots.forEach((slot) => {
+        expect(dayjs(slot.startISO).tz("Europe/Dublin").minute() % 30).toBe(0);
+      });
+    });
+  });
+
+  describe("DST boundaries", () => {
+    it("handles New York spring forward (2030-03-10)", () => {
+      const tenant = { timezone: "America/New_York" };
+      const before = computeFor(tenant, "2030-03-04"); // Monday before, EST
+      const dstDay = computeFor(tenant, "2030-03-10"); // Sunday, EDT from 02:00
+
+      expect(before[0].startISO).toBe("2030-03-04T14:00:00.000Z");
+      expect(dstDay[0].startISO).toBe("2030-03-10T13:00:00.000Z");
+      expect(dstDay).toHaveLength(before.length);
+      dstDay.forEach((slot) => {
+        expect(
+          dayjs(slot.endISO).diff(dayjs(slot.startISO), "minute"),
+        ).toBe(60);
+      });
+    });
+
+    it("handles Dublin fall back (2030-10-27)", () => {
+      const tenant = { timezone: "Europe/Dublin" };
+      const dstDay = computeFor(tenant, "2030-10-27"); // Sunday, IST -> GMT at 02:00
+      const after = computeFor(tenant, "2030-10-28"); // Monday, GMT
+
+      expect(dstDay[0].startISO).toBe("2030-10-27T09:00:00.000Z");
+      expect(after[0].startISO).toBe("2030-10-28T09:00:00.000Z");
+      expect(
+        dayjs(dstDay[dstDay.length - 1].endISO)
+          .tz("Europe/Dublin")
+          .format("HH:mm"),
+      ).toBe("17:00");
+    });
+
+    it("handles Dublin spring forward (2030-03-31)", () => {
+      const tenant = { timezone: "Europe/Dublin" };
+      const dstDay = computeFor(tenant, "2030-03-31"); // Sunday, GMT -> IST at 01:00
+
+      expect(dstDay[0].startISO).toBe("2030-03-31T08:00:00.000Z");
+      expect(
+        dayjs(dstDay[0].startISO).tz("Europe/Dublin").format("HH:mm"),
+      ).toBe("09:00");
+    });
+  });
+});
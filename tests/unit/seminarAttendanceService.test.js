@@ -0,0 +1,274 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockSeminarModel = { findById: jest.fn(), updateOne: jest.fn() };
+const mockSeminarBookingModel = {
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockSpecialistModel = { findById: jest.fn() };
+const mockTenantModel = { findById: jest.fn() };
+const mockPdfService = { generateSeminarCertificatePDF: jest.fn() };
+const mockSendSeminarCertificateEmail = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Seminar.js", () => ({
+  default: mockSeminarModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarBooking.js", () => ({
+  default: mockSeminarBookingModel,
+}));
+jest.unstable_mockModule("../../src/models/Specialist.js", () => ({
+  default: mockSpecialistModel,
+}));
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/services/pdfGenerationService.js", () => ({
+  default: mockPdfService,
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  sendSeminarCertificateEmail: mockSendSeminarCertificateEmail,
+  default: { sendSeminarCertificateEmail: mockSendSeminarCertificateEmail },
+}));
+
+const {
+  checkInSeminarAttendee,
+  completeSeminarSession,
+  verifySeminarCertificate,
+} = await import("../../src/services/seminarAttendanceService.js");
+
+const now = new Date("2026-05-10T15:00:00Z");
+const seminarId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const adminId = new mongoose.Types.ObjectId();
+
+const createSeminar = (session = {}) => ({
+  _id: seminarId,
+  tenantId: "tenant_1",
+  specialistId: "specialist_1",
+  title: "Bridal Makeup",
+  status: "published",
+  sessions: [
+    {
+      _id: sessionId,
+      sessionId: "uuid-1",
+      date: new Date("2026-05-10T10:00:00Z"),
+      startTime: "10:00",
+      endTime: "13:30",
+      maxAttendees: 10,
+      currentAttendees: 2,
+      status: "full",
+      ...session,
+    },
+  ],
+});
+
+const createBooking = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  seminarId,
+  sessionId: String(sessionId),
+  attendeeInfo: { name: "Amy", email: "amy@example.com" },
+  status: "confirmed",
+  checkIn: { code: "ticket-code" },
+  ...overrides,
+});
+
+describe("seminarAttendanceService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSeminarModel.findById.mockImplementation(() =>
+      mockQuery(createSeminar()),
+    );
+    mockTenantModel.findById.mockImplementation(() =>
+      mockQuery({ businessName: "Glow Studio" }),
+    );
+  });
+
+  it("checks an attendee in from their QR code", async () => {
+    const booking = createBooking();
+    mockSeminarBookingModel.findOne.mockImplementation(() =>
+      mockQuery(booking),
+    );
+    mockSeminarBookingModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery({ ...booking, status: "attended" }),
+    );
+
+    const result = await checkInSeminarAttendee({
+      seminarId,
+      sessionId: String(sessionId),
+      code: "ticket-code",
+      checkedInBy: adminId,
+      now,
+    });
+
+    expect(result).toMatchObject({ ok: true, alreadyCheckedIn: false });
+    expect(mockSeminarBookingModel.findOne).toHaveBeenCalledWith({
+      seminarId,
+      "checkIn.code": "ticket-code",
+    });
+    expect(mockSeminarBookingModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: booking._id, status: { $in: ["confirmed", "no-show"] } },
+      {
+        $set: {
+          status: "attended",
+          "checkIn.checkedInAt": now,
+          "checkIn.checkedInBy": adminId,
+          "checkIn.method": "qr",
+        },
+      },
+      { new: true },
+    );
+  });
+
+  it("turns away tickets for another session of the seminar", async () => {
+    mockSeminarBookingModel.findOne.mockImplementation(() =>
+      mockQuery(createBooking({ sessionId: "other-session" })),
+    );
+
+    const result = await checkInSeminarAttendee({
+      seminarId,
+      sessionId: String(sessionId),
+      code: "ticket-code",
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "SEMINAR_CHECK_IN_WRONG_SESSION" },
+    });
+    expect(mockSeminarBookingModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("won't complete a session before it takes place", async () => {
+    mockSeminarModel.findById.mockImplementation(() =>
+      mockQuery(createSeminar({ date: new Date("2026-05-11T10:00:00Z") })),
+    );
+
+    const result = await completeSeminarSession({
+      seminarId,
+      sessionId: String(sessionId),
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { code: "SEMINAR_SESSION_NOT_STARTED" },
+    });
+    expect(mockSeminarModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("marks no-shows and emails attendees numbered certificates", async () => {
+    const attended = createBooking({ status: "attended" });
+    const failing = createBooking({
+      status: "attended",
+      attendeeInfo: { name: "Bea", email: "bea@example.com" },
+      certificate: { number: "CERT-2026-0000BEEF", issuedAt: now },
+    });
+    mockSeminarModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockSeminarBookingModel.updateMany.mockResolvedValue({ modifiedCount: 3 });
+    mockSeminarBookingModel.find.mockImplementation(() =>
+      mockQuery([attended, failing]),
+    );
+    mockSeminarBookingModel.findOneAndUpdate.mockImplementation(
+      (filter, update) =>
+        mockQuery({
+          ...attended,
+          certificate: {
+            number: update.$set["certificate.number"],
+            issuedAt: now,
+          },
+        }),
+    );
+    mockSeminarBookingModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockSpecialistModel.findById.mockImplementation(() =>
+      mockQuery({ name: "Jo Smith" }),
+    );
+    mockPdfService.generateSeminarCertificatePDF.mockResolvedValue(
+      Buffer.from("%PDF"),
+    );
+    mockSendSeminarCertificateEmail
+      .mockResolvedValueOnce(true)
+      .mockRejectedValueOnce(new Error("SMTP down"));
+
+    const result = await completeSeminarSession({
+      seminarId,
+      sessionId: String(sessionId),
+      now,
+    });
+
+    expect(mockSeminarModel.updateOne).toHaveBeenCalledWith(
+      { _id: seminarId, "sessions._id": sessionId },
+      { $set: { "sessions.$.status": "completed" } },
+    );
+    expect(mockSeminarBookingModel.updateMany).toHaveBeenCalledWith(
+      {
+        seminarId,
+        sessionId: String(sessionId),
+        status: "confirmed",
+      },
+      { $set: { status: "no-show" } },
+    );
+    expect(result.ok).toBe(true);
+    expect(result.noShows).toBe(3);
+    expect(result.certificates.sent).toEqual([
+      expect.stringMatching(/^CERT-2026-[0-9A-F]{8}$/),
+    ]);
+    // Already numbered: resent under the same number, not renumbered
+    expect(result.certificates.failed).toEqual(["CERT-2026-0000BEEF"]);
+    expect(mockSeminarBookingModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+
+    expect(mockPdfService.generateSeminarCertificatePDF).toHaveBeenCalledWith(
+      expect.objectContaining({
+        attendeeName: "Amy",
+        seminarTitle: "Bridal Makeup",
+        durationHours: 3.5,
+        instructorName: "Jo Smith",
+        verifyUrl: expect.stringContaining(
+          `/certificates/verify/${result.certificates.sent[0]}`,
+        ),
+      }),
+    );
+    expect(mockSeminarBookingModel.updateOne).toHaveBeenCalledWith(
+      { _id: failing._id },
+      { $set: { "certificate.error": "SMTP down" } },
+    );
+  });
+
+  it("verifies a certificate without exposing contact details", async () => {
+    mockSeminarBookingModel.findOne.mockImplementation(() =>
+      mockQuery(
+        createBooking({
+          status: "attended",
+          attendeeInfo: { name: "Amy" },
+          certificate: { number: "CERT-2026-0000BEEF", issuedAt: now },
+        }),
+      ),
+    );
+
+    const result = await verifySeminarCertificate({
+      number: " cert-2026-0000beef ",
+    });
+
+    expect(mockSeminarBookingModel.findOne).toHaveBeenCalledWith({
+      "certificate.number": "CERT-2026-0000BEEF",
+      status: "attended",
+    });
+    expect(result.certificate).toEqual({
+      number: "CERT-2026-0000BEEF",
+      valid: true,
+      attendeeName: "Amy",
+      seminarTitle: "Bridal Makeup",
+      sessionDate: new Date("2026-05-10T10:00:00Z"),
+      durationHours: 3.5,
+      issuedBy: "Glow Studio",
+      issuedAt: now,
+    });
+  });
+});
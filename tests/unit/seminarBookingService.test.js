@@ -0,0 +1,151 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockSeminarModel = {
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockSeminarRefundModel = { exists: jest.fn(), create: jest.fn() };
+const mockTenantModel = { findById: jest.fn() };
+const mockMailer = {
+  sendSeminarConfirmationEmail: jest.fn(),
+  sendSeminarSeatRefundEmail: jest.fn(),
+  sendSeminarWaitlistOfferEmail: jest.fn(),
+};
+const mockRefundPayment = jest.fn();
+const mockRefundToGiftCard = jest.fn();
+function MockSeminarBooking(doc) {
+  Object.assign(this, doc);
+  this.save = jest.fn();
+}
+MockSeminarBooking.findById = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Seminar.js", () => ({
+  default: mockSeminarModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarBooking.js", () => ({
+  default: MockSeminarBooking,
+}));
+jest.unstable_mockModule("../../src/models/SeminarRefund.js", () => ({
+  default: mockSeminarRefundModel,
+}));
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  ...mockMailer,
+  default: mockMailer,
+}));
+jest.unstable_mockModule("../../src/payments/stripe.js", () => ({
+  refundPayment: mockRefundPayment,
+  getStripe: jest.fn(),
+  default: { refundPayment: mockRefundPayment },
+}));
+jest.unstable_mockModule("../../src/services/giftCardLedgerService.js", () => ({
+  refundToGiftCard: mockRefundToGiftCard,
+  default: { refundToGiftCard: mockRefundToGiftCard },
+}));
+
+const { confirmSeminarBooking } = await import(
+  "../../src/services/seminarBookingService.js"
+);
+
+const seminarId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const bookingId = new mongoose.Types.ObjectId();
+const attendee = { name: "Amy", email: "amy@example.com" };
+
+const createSeminar = () => {
+  const sessions = [
+    {
+      _id: sessionId,
+      date: new Date("2026-06-01T09:00:00Z"),
+      maxAttendees: 12,
+      currentAttendees: 12,
+      heldSeats: 0,
+      seatHolds: [],
+      status: "full",
+    },
+  ];
+  sessions.id = (id) => sessions.find((s) => String(s._id) === String(id));
+  return { _id: seminarId, title: "Bridal Makeup", sessions };
+};
+
+describe("seminarBookingService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    MockSeminarBooking.findById.mockResolvedValue(null);
+    mockSeminarRefundModel.exists.mockResolvedValue(null);
+    mockSeminarRefundModel.create.mockImplementation(async (doc) => doc);
+    mockTenantModel.findById.mockImplementation(() =>
+      mockQuery({ businessName: "Glow" }),
+    );
+  });
+
+  it("refunds a booking whose seat went before it was paid", async () => {
+    // The hold lapsed and the session filled up meanwhile
+    const seminar = createSeminar();
+    mockSeminarModel.findById.mockImplementation(() => mockQuery(seminar));
+    mockSeminarModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(null),
+    );
+    mockRefundPayment.mockResolvedValue({ id: "re_1" });
+    const params = {
+      bookingId,
+      seminarId,
+      sessionId: String(sessionId),
+      attendee,
+      specialistId: "specialist_1",
+      tenantId: "tenant_1",
+      payment: {
+        stripeSessionId: "cs_1",
+        stripePaymentIntentId: "pi_1",
+        amount: 45,
+        currency: "GBP",
+        status: "paid",
+      },
+    };
+
+    const result = await confirmSeminarBooking(params);
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "SEMINAR_SESSION_FULL" },
+      refund: { amount: 45, status: "succeeded" },
+    });
+    expect(mockRefundPayment).toHaveBeenCalledWith({
+      paymentIntentId: "pi_1",
+      chargeId: undefined,
+      amount: 4500,
+      idempotencyKey: `seminar-seat:${bookingId}`,
+      refundApplicationFee: false,
+      reverseTransfer: false,
+    });
+    expect(mockSeminarRefundModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        bookingId,
+        attendeeEmail: "amy@example.com",
+        cause: "seat_unavailable",
+        cardAmount: 45,
+        stripeRefundId: "re_1",
+      }),
+    );
+    expect(mockMailer.sendSeminarSeatRefundEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        order: null,
+        attendee,
+        refund: expect.objectContaining({ amount: 45 }),
+      }),
+    );
+
+    // The other confirmation of the same checkout doesn't refund again
+    mockSeminarRefundModel.exists.mockResolvedValue({ _id: "refund_1" });
+    const again = await confirmSeminarBooking(params);
+    expect(again.refund).toBe(null);
+    expect(mockRefundPayment).toHaveBeenCalledTimes(1);
+    expect(mockMailer.sendSeminarSeatRefundEmail).toHaveBeenCalledTimes(1);
+  });
+});
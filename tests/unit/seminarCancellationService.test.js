@@ -0,0 +1,478 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockSeminarModel = {
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockSeminarBookingModel = {
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockSeminarRefundModel = { create: jest.fn() };
+const mockSeminarWaitlistEntryModel = { updateMany: jest.fn() };
+const mockTenantModel = { findById: jest.fn() };
+const mockMailer = {
+  sendSeminarConfirmationEmail: jest.fn(),
+  sendSeminarRefundEmail: jest.fn(),
+  sendSeminarSessionCancelledEmail: jest.fn(),
+  sendSeminarSessionRescheduledEmail: jest.fn(),
+  sendSeminarWaitlistOfferEmail: jest.fn(),
+};
+const mockRefundPayment = jest.fn();
+const mockRefundToGiftCard = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Seminar.js", () => ({
+  default: mockSeminarModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarBooking.js", () => ({
+  default: mockSeminarBookingModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarRefund.js", () => ({
+  default: mockSeminarRefundModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarWaitlistEntry.js", () => ({
+  default: mockSeminarWaitlistEntryModel,
+}));
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  ...mockMailer,
+  default: mockMailer,
+}));
+jest.unstable_mockModule("../../src/payments/stripe.js", () => ({
+  refundPayment: mockRefundPayment,
+  getStripe: jest.fn(),
+  default: { refundPayment: mockRefundPayment },
+}));
+jest.unstable_mockModule("../../src/services/giftCardLedgerService.js", () => ({
+  refundToGiftCard: mockRefundToGiftCard,
+  default: { refundToGiftCard: mockRefundToGiftCard },
+}));
+
+const {
+  cancelSeminarSession,
+  respondToSeminarChange,
+  settleLapsedSeminarChanges,
+} = await import("../../src/services/seminarCancellationService.js");
+
+const now = new Date("2026-05-01T09:00:00Z");
+const seminarId = new mongoose.Types.ObjectId();
+const cancelledId = new mongoose.Types.ObjectId();
+const laterId = new mongoose.Types.ObjectId();
+
+const createSession = (_id, overrides = {}) => ({
+  _id,
+  sessionId: String(_id),
+  date: new Date("2026-05-20T09:00:00Z"),
+  startTime: "09:00",
+  endTime: "17:00",
+  maxAttendees: 10,
+  currentAttendees: 2,
+  heldSeats: 0,
+  seatHolds: [],
+  status: "scheduled",
+  ...overrides,
+});
+
+const createSeminar = () => ({
+  _id: seminarId,
+  tenantId: "tenant_1",
+  title: "Lash Academy",
+  slug: "lash-academy",
+  status: "published",
+  sessions: [
+    createSession(cancelledId),
+    createSession(laterId, {
+      date: new Date("2026-05-05T09:00:00Z"),
+      currentAttendees: 4,
+    }),
+  ],
+});
+
+const createBooking = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  seminarId,
+  sessionId: String(cancelledId),
+  tenantId: "tenant_1",
+  bookingReference: "SEM-2026-00001",
+  attendeeInfo: { name: "Amy", email: "amy@example.com" },
+  payment: {
+    stripePaymentIntentId: "pi_1",
+    amount: 50,
+    currency: "GBP",
+    status: "paid",
+  },
+  status: "confirmed",
+  ...overrides,
+});
+
+// Seminar whose seat updates hand it back as it is
+function useSeminar(seminar) {
+  mockSeminarModel.findById.mockImplementation(() => mockQuery(seminar));
+  mockSeminarModel.findOneAndUpdate.mockImplementation(() =>
+    mockQuery(seminar),
+  );
+  mockSeminarModel.updateOne.mockImplementation(async (filter, update) => {
+    const status = update.$set?.["sessions.$.status"];
+    if (status) {
+      seminar.sessions.find(
+        (s) => String(s._id) === String(filter["sessions._id"]),
+      ).status = status;
+    }
+    return { modifiedCount: 1 };
+  });
+}
+
+describe("seminarCancellationService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTenantModel.findById.mockImplementation(() =>
+      mockQuery({ businessName: "Lux" }),
+    );
+    mockSeminarBookingModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockSeminarRefundModel.create.mockImplementation(async (doc) => doc);
+  });
+
+  it("refunds every booking on a cancelled session in full", async () => {
+    const seminar = createSeminar();
+    const paid = createBooking({
+      payment: {
+        ...createBooking().payment,
+        giftCard: {
+          code: "GC1",
+          appliedAmount: 10,
+          redemptionStatus: "redeemed",
+        },
+      },
+    });
+    const offered = createBooking({
+      organiserChange: { action: "cancelled", status: "pending" },
+    });
+    useSeminar(seminar);
+    mockSeminarBookingModel.find.mockImplementation(() =>
+      mockQuery([paid, offered]),
+    );
+    mockRefundPayment.mockResolvedValue({ id: "re_1" });
+    mockRefundToGiftCard.mockResolvedValue({ status: "refunded", amount: 10 });
+    const sendEmail = mockMailer.sendSeminarSessionCancelledEmail;
+
+    const result = await cancelSeminarSession({
+      seminarId,
+      sessionId: String(cancelledId),
+      reason: "Trainer unwell",
+      by: "owner@example.com",
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: true,
+      session: { status: "cancelled" },
+      refunded: [{ bookingId: String(paid._id), amount: 60 }],
+      transferOffered: [],
+      failed: [],
+    });
+    expect(mockRefundPayment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        paymentIntentId: "pi_1",
+        amount: 5000,
+        reverseTransfer: false,
+      }),
+    );
+    expect(mockSeminarRefundModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        bookingId: paid._id,
+        cause: "session_cancelled",
+        amount: 60,
+        cardAmount: 50,
+        giftCardAmount: 10,
+        stripeRefundId: "re_1",
+        status: "succeeded",
+        initiatedBy: "owner@example.com",
+      }),
+    );
+    expect(mockSeminarBookingModel.updateOne).toHaveBeenLastCalledWith(
+      { _id: paid._id },
+      {
+        $set: expect.objectContaining({
+          status: "cancelled",
+          "organiserChange.status": "refunded",
+          "payment.status": "refunded",
+          "payment.refundAmount": 50,
+          "payment.giftCard.refundedAmount": 10,
+        }),
+      },
+    );
+    // The booking already offered a transfer is left to its offer
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({
+      booking: paid,
+      reason: "Trainer unwell",
+      refund: { amount: 60 },
+    });
+    expect(mockSeminarWaitlistEntryModel.updateMany).toHaveBeenCalled();
+  });
+
+  it("records a refund Stripe rejects and leaves it to retry", async () => {
+    const booking = createBooking();
+    useSeminar(createSeminar());
+    mockSeminarBookingModel.find.mockImplementation(() => mockQuery([booking]));
+    mockRefundPayment.mockRejectedValue(new Error("No such pi"));
+
+    const result = await cancelSeminarSession({
+      seminarId,
+      sessionId: String(cancelledId),
+      by: "owner@example.com",
+      now,
+    });
+
+    expect(result.refunded).toEqual([]);
+    expect(result.failed).toEqual([
+      expect.objectContaining({
+        bookingId: String(booking._id),
+        code: "SEMINAR_REFUND_FAILED",
+      }),
+    ]);
+    expect(mockSeminarRefundModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "failed", error: "No such pi" }),
+    );
+    expect(mockSeminarBookingModel.updateOne).toHaveBeenLastCalledWith(
+      { _id: booking._id, "organiserChange.status": "refunding" },
+      {
+        $set: {
+          "organiserChange.status": "refund_failed",
+          "organiserChange.error": "No such pi",
+        },
+      },
+    );
+  });
+
+  it("only marks a payment refunded once the card share is back", async () => {
+    const booking = createBooking({
+      payment: {
+        amount: 50,
+        currency: "GBP",
+        status: "paid",
+        giftCard: {
+          code: "GC1",
+          appliedAmount: 10,
+          redemptionStatus: "redeemed",
+        },
+      },
+    });
+    useSeminar(createSeminar());
+    mockSeminarBookingModel.find.mockImplementation(() => mockQuery([booking]));
+    mockRefundToGiftCard.mockResolvedValue({ status: "refunded", amount: 10 });
+
+    await cancelSeminarSession({
+      seminarId,
+      sessionId: String(cancelledId),
+      by: "owner@example.com",
+      now,
+    });
+
+    // No card payment to refund against: only the gift card share came back
+    expect(mockRefundPayment).not.toHaveBeenCalled();
+    const [, update] = mockSeminarBookingModel.updateOne.mock.calls.at(-1);
+    expect(update.$set).toMatchObject({
+      "payment.refundedAt": now,
+      "payment.giftCard.refundedAmount": 10,
+    });
+    expect(update.$set).not.toHaveProperty("payment.status");
+  });
+
+  it("retries an interrupted refund with its original Stripe key", async () => {
+    const stale = createBooking({
+      organiserChange: {
+        action: "cancelled",
+        reason: "Trainer unwell",
+        status: "refunding",
+        refundingAt: new Date("2026-05-01T08:30:00Z"),
+        refundKey: "1714552200000",
+      },
+    });
+    const underWay = createBooking({
+      organiserChange: {
+        action: "cancelled",
+        status: "refunding",
+        refundingAt: new Date("2026-05-01T08:55:00Z"),
+      },
+    });
+    const seminar = createSeminar();
+    seminar.sessions[0].status = "cancelled";
+    useSeminar(seminar);
+    mockSeminarBookingModel.find.mockImplementation(() =>
+      mockQuery([stale, underWay]),
+    );
+    mockRefundPayment.mockResolvedValue({ id: "re_3" });
+
+    const result = await cancelSeminarSession({
+      seminarId,
+      sessionId: String(cancelledId),
+      by: "owner@example.com",
+      now,
+    });
+
+    expect(result.refunded).toEqual([
+      { bookingId: String(stale._id), amount: 50 },
+    ]);
+    expect(mockRefundPayment).toHaveBeenCalledTimes(1);
+    expect(mockRefundPayment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        idempotencyKey: `seminar-refund:${stale._id}:1714552200000`,
+      }),
+    );
+    const [claimFilter, claim] =
+      mockSeminarBookingModel.updateOne.mock.calls[0];
+    expect(claimFilter).toMatchObject({
+      _id: stale._id,
+      "organiserChange.status": "refunding",
+      "organiserChange.refundingAt": {
+        $not: { $gt: new Date("2026-05-01T08:45:00Z") },
+      },
+    });
+    expect(claim).toEqual({
+      $set: {
+        "organiserChange.refundingAt": now,
+        "organiserChange.refundKey": "1714552200000",
+      },
+    });
+    expect(mockSeminarRefundModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        reason: "Trainer unwell",
+        status: "succeeded",
+      }),
+    );
+  });
+
+  it("offers another session and moves the booking there", async () => {
+    useSeminar(createSeminar());
+    const booking = createBooking({ ticketTier: { key: "standard" } });
+    mockSeminarBookingModel.find.mockImplementation(() => mockQuery([booking]));
+    mockSeminarBookingModel.updateOne.mockImplementation(
+      async (filter, update) => {
+        booking.organiserChange = update.$set.organiserChange;
+        return { modifiedCount: 1 };
+      },
+    );
+
+    const cancelled = await cancelSeminarSession({
+      seminarId,
+      sessionId: String(cancelledId),
+      transferSessionIds: [String(laterId)],
+      by: "owner@example.com",
+      now,
+    });
+
+    expect(cancelled.transferOffered).toEqual([String(booking._id)]);
+    expect(booking.organiserChange).toMatchObject({
+      action: "cancelled",
+      status: "pending",
+      transferSessionIds: [String(laterId)],
+      // The later session comes before the week is up
+      expiresAt: new Date("2026-05-05T09:00:00Z"),
+    });
+    const { link } =
+      mockMailer.sendSeminarSessionCancelledEmail.mock.calls[0][0];
+    const token = new URL(link).searchParams.get("token");
+
+    mockSeminarModel.findOneAndUpdate.mockClear();
+    mockSeminarBookingModel.findById.mockImplementation(() =>
+      mockQuery(booking),
+    );
+    mockSeminarBookingModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery({ ...booking, sessionId: String(laterId) }),
+    );
+    const moved = await respondToSeminarChange({
+      token,
+      action: "transfer",
+      sessionId: String(laterId),
+      now,
+    });
+
+    expect(moved).toMatchObject({ ok: true, action: "transfer" });
+    expect(
+      mockSeminarBookingModel.findOneAndUpdate.mock.calls[0][1].$set,
+    ).toEqual(
+      expect.objectContaining({
+        sessionId: String(laterId),
+        "organiserChange.status": "transferred",
+        "organiserChange.transferredFrom": String(cancelledId),
+      }),
+    );
+    // A seat taken on the new session, the old one given back
+    const seatUpdates = mockSeminarModel.findOneAndUpdate.mock.calls.map(
+      ([filter, update]) => [filter.sessions.$elemMatch._id, update.$inc],
+    );
+    expect(seatUpdates).toEqual([
+      [
+        laterId,
+        {
+          "sessions.$.currentAttendees": 1,
+          "sessions.$.tierAttendees.standard": 1,
+        },
+      ],
+      [
+        cancelledId,
+        {
+          "sessions.$.currentAttendees": -1,
+          "sessions.$.tierAttendees.standard": -1,
+        },
+      ],
+    ]);
+    expect(
+      mockMailer.sendSeminarConfirmationEmail.mock.calls[0][0].session._id,
+    ).toBe(laterId);
+  });
+
+  it("refunds lapsed cancellations and keeps lapsed new dates", async () => {
+    const lapsed = new Date("2026-04-30T09:00:00Z");
+    const cancelled = createBooking({
+      organiserChange: {
+        action: "cancelled",
+        status: "pending",
+        transferSessionIds: [String(laterId)],
+        expiresAt: lapsed,
+      },
+    });
+    const rescheduled = createBooking({
+      sessionId: String(laterId),
+      organiserChange: {
+        action: "rescheduled",
+        status: "pending",
+        expiresAt: lapsed,
+      },
+    });
+    mockSeminarBookingModel.find.mockImplementation(() =>
+      mockQuery([cancelled, rescheduled]),
+    );
+    mockRefundPayment.mockResolvedValue({ id: "re_2" });
+
+    const seminar = createSeminar();
+    seminar.sessions[0].status = "cancelled";
+    useSeminar(seminar);
+
+    const counts = await settleLapsedSeminarChanges({ now });
+
+    expect(counts).toEqual({ refunded: 1, kept: 1, failed: 0 });
+    expect(mockRefundPayment).toHaveBeenCalledTimes(1);
+    expect(mockMailer.sendSeminarRefundEmail.mock.calls[0][0]).toMatchObject({
+      booking: cancelled,
+      refund: { amount: 50, initiatedBy: "system" },
+    });
+    expect(mockSeminarBookingModel.updateOne).toHaveBeenCalledWith(
+      { _id: rescheduled._id, "organiserChange.status": "pending" },
+      {
+        $set: {
+          "organiserChange.status": "kept",
+          "organiserChange.resolvedAt": now,
+        },
+      },
+    );
+  });
+});
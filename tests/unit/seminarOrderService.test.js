@@ -0,0 +1,386 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockSeminarModel = {
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockSeminarOrderModel = { findById: jest.fn(), updateOne: jest.fn() };
+const mockSeminarRefundModel = { exists: jest.fn(), create: jest.fn() };
+const mockTenantModel = { findById: jest.fn() };
+const mockMailer = {
+  sendSeminarConfirmationEmail: jest.fn(),
+  sendSeminarSeatRefundEmail: jest.fn(),
+  sendSeminarWaitlistOfferEmail: jest.fn(),
+};
+const mockRefundPayment = jest.fn();
+const mockRefundToGiftCard = jest.fn();
+const savedBookings = [];
+function MockSeminarBooking(doc) {
+  Object.assign(this, doc);
+  this.save = jest.fn(async () => savedBookings.push(this));
+}
+MockSeminarBooking.findById = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Seminar.js", () => ({
+  default: mockSeminarModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarOrder.js", () => ({
+  default: mockSeminarOrderModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarBooking.js", () => ({
+  default: MockSeminarBooking,
+}));
+jest.unstable_mockModule("../../src/models/SeminarRefund.js", () => ({
+  default: mockSeminarRefundModel,
+}));
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  ...mockMailer,
+  default: mockMailer,
+}));
+jest.unstable_mockModule("../../src/payments/stripe.js", () => ({
+  refundPayment: mockRefundPayment,
+  getStripe: jest.fn(),
+  default: { refundPayment: mockRefundPayment },
+}));
+jest.unstable_mockModule("../../src/services/giftCardLedgerService.js", () => ({
+  refundToGiftCard: mockRefundToGiftCard,
+  default: { refundToGiftCard: mockRefundToGiftCard },
+}));
+
+const { confirmSeminarOrder, selectSeminarBooking } = await import(
+  "../../src/services/seminarOrderService.js"
+);
+const { holdSeminarSeat } = await import(
+  "../../src/services/seminarSeatService.js"
+);
+
+const now = new Date("2026-05-01T09:00:00Z");
+const seminarId = new mongoose.Types.ObjectId();
+const day1 = new mongoose.Types.ObjectId();
+const day2 = new mongoose.Types.ObjectId();
+const dropIn = new mongoose.Types.ObjectId();
+
+const createSession = (_id, overrides = {}) => ({
+  _id,
+  sessionId: String(_id),
+  date: new Date("2026-06-01T09:00:00Z"),
+  startTime: "09:00",
+  endTime: "17:00",
+  maxAttendees: 12,
+  currentAttendees: 0,
+  heldSeats: 0,
+  seatHolds: [],
+  tierAttendees: {},
+  status: "scheduled",
+  ...overrides,
+});
+
+const createSeminar = () => ({
+  _id: seminarId,
+  tenantId: "tenant_1",
+  specialistId: "specialist_1",
+  title: "Lash Academy",
+  status: "published",
+  pricing: {
+    price: 150,
+    currency: "GBP",
+    earlyBirdDeadline: new Date("2026-05-15T00:00:00Z"),
+  },
+  ticketTiers: [
+    { key: "standard", name: "Standard", price: 150, earlyBirdPrice: 120 },
+    { key: "with-kit", name: "With kit", price: 200, capacity: 4 },
+  ],
+  bundles: [
+    { key: "june-course", name: "June course", discountPercent: 10 },
+  ],
+  groupDiscounts: [
+    { minAttendees: 3, percentOff: 5 },
+    { minAttendees: 5, percentOff: 15 },
+  ],
+  sessions: [
+    createSession(day2, {
+      bundleKey: "june-course",
+      date: new Date("2026-06-02T09:00:00Z"),
+    }),
+    createSession(day1, { bundleKey: "june-course" }),
+    createSession(dropIn),
+  ],
+});
+
+describe("seminarOrderService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    savedBookings.length = 0;
+    MockSeminarBooking.findById.mockResolvedValue(null);
+    mockTenantModel.findById.mockImplementation(() => mockQuery({}));
+    mockSeminarOrderModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockSeminarRefundModel.exists.mockResolvedValue(null);
+    mockSeminarRefundModel.create.mockImplementation(async (doc) => doc);
+  });
+
+  it("prices a course bundle for a group, discounts stacked", () => {
+    const selection = selectSeminarBooking({
+      seminar: createSeminar(),
+      bundleKey: "June-Course",
+      tierKey: "with-kit",
+      attendeeCount: 3,
+      now,
+    });
+
+    expect(selection.ok).toBe(true);
+    expect(selection.sessions.map((s) => s._id)).toEqual([day1, day2]);
+    // 3 attendees x 2 days x £200, 10% off the bundle, then 5% group
+    expect(selection.quote).toEqual({
+      unitPrice: 200,
+      seats: 6,
+      subtotal: 1200,
+      bundleDiscount: { percent: 10, amount: 120 },
+      groupDiscount: { percent: 5, amount: 54 },
+      total: 1026,
+    });
+
+    const earlyBird = selectSeminarBooking({
+      seminar: createSeminar(),
+      sessionId: String(dropIn),
+      tierKey: "standard",
+      attendeeCount: 1,
+      now,
+    });
+    expect(earlyBird.quote.total).toBe(120);
+  });
+
+  it("only sells a course's days as the whole course", () => {
+    const result = selectSeminarBooking({
+      seminar: createSeminar(),
+      sessionId: String(day1),
+      tierKey: "standard",
+      attendeeCount: 1,
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { code: "SEMINAR_BUNDLE_ONLY", bundleKey: "june-course" },
+    });
+  });
+
+  it("stops selling a tier at its capacity", async () => {
+    mockSeminarModel.findById.mockImplementation(() =>
+      mockQuery({
+        ...createSeminar(),
+        sessions: [
+          createSession(dropIn, {
+            currentAttendees: 3,
+            heldSeats: 1,
+            tierAttendees: { "with-kit": 3 },
+            seatHolds: [
+              {
+                bookingId: new mongoose.Types.ObjectId(),
+                expiresAt: new Date("2026-05-01T09:20:00Z"),
+                tierKey: "with-kit",
+              },
+            ],
+          }),
+        ],
+      }),
+    );
+
+    const kit = await holdSeminarSeat({
+      seminarId,
+      sessionId: dropIn,
+      bookingId: new mongoose.Types.ObjectId(),
+      expiresAt: new Date("2026-05-01T09:30:00Z"),
+      tier: { key: "with-kit", capacity: 4 },
+      now,
+    });
+
+    expect(kit).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "SEMINAR_TIER_SOLD_OUT" },
+    });
+    expect(mockSeminarModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("books each attendee on each day, splitting the payment", async () => {
+    const slots = [
+      { bookingId: new mongoose.Types.ObjectId(), sessionId: String(day1) },
+      { bookingId: new mongoose.Types.ObjectId(), sessionId: String(day2) },
+      { bookingId: new mongoose.Types.ObjectId(), sessionId: String(day1) },
+      { bookingId: new mongoose.Types.ObjectId(), sessionId: String(day2) },
+    ].map((slot, i) => ({ ...slot, attendeeIndex: i < 2 ? 0 : 1 }));
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      seminarId,
+      tenantId: "tenant_1",
+      specialistId: "specialist_1",
+      ticketTier: { key: "with-kit", name: "With kit" },
+      bundleKey: "june-course",
+      attendees: [
+        { name: "Amy", email: "amy@example.com" },
+        { name: "Bea", email: "bea@example.com" },
+      ],
+      bookings: slots,
+    };
+
+    const seminar = createSeminar();
+    seminar.sessions.id = (id) =>
+      seminar.sessions.find((s) => String(s._id) === String(id));
+    mockSeminarModel.findById.mockResolvedValue(seminar);
+    mockSeminarModel.findOneAndUpdate.mockImplementation((filter) => {
+      const bookingId = filter.sessions.$elemMatch["seatHolds.bookingId"];
+      return mockQuery({
+        sessions: [
+          createSession(filter.sessions.$elemMatch._id, {
+            heldSeats: 1,
+            seatHolds: [{ bookingId, expiresAt: now, tierKey: "with-kit" }],
+          }),
+        ],
+      });
+    });
+    mockSeminarOrderModel.findById.mockImplementation(() => mockQuery(order));
+
+    const result = await confirmSeminarOrder({
+      orderId: order._id,
+      payment: { stripeSessionId: "cs_1", amount: 100.01, status: "paid" },
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.failed).toEqual([]);
+    expect(
+      savedBookings.map((b) => [
+        b.attendeeInfo.name,
+        b.sessionId,
+        b.payment.amount,
+      ]),
+    ).toEqual([
+      ["Amy", String(day1), 25.01],
+      ["Amy", String(day2), 25],
+      ["Bea", String(day1), 25],
+      ["Bea", String(day2), 25],
+    ]);
+    expect(savedBookings[0]).toMatchObject({
+      _id: slots[0].bookingId,
+      ticketTier: { key: "with-kit", name: "With kit" },
+      bundleKey: "june-course",
+      seminarOrderId: order._id,
+    });
+    expect(mockSeminarModel.findOneAndUpdate.mock.calls[0][1].$inc).toEqual({
+      "sessions.$.heldSeats": -1,
+      "sessions.$.currentAttendees": 1,
+      "sessions.$.tierAttendees.with-kit": 1,
+    });
+    expect(mockSeminarOrderModel.updateOne).toHaveBeenCalledWith(
+      { _id: order._id, status: { $ne: "confirmed" } },
+      {
+        $set: {
+          status: "confirmed",
+          confirmedAt: expect.any(Date),
+          stripeSessionId: "cs_1",
+        },
+      },
+    );
+  });
+
+  it("refunds a seat that's gone by the time the order is paid", async () => {
+    const slots = [
+      { bookingId: new mongoose.Types.ObjectId(), sessionId: String(day1) },
+      { bookingId: new mongoose.Types.ObjectId(), sessionId: String(day2) },
+    ].map((slot) => ({ ...slot, attendeeIndex: 0 }));
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      seminarId,
+      tenantId: "tenant_1",
+      specialistId: "specialist_1",
+      attendees: [{ name: "Amy", email: "amy@example.com" }],
+      bookings: slots,
+    };
+
+    // Day 2's hold lapsed and the session has filled since
+    const seminar = createSeminar();
+    seminar.sessions[0].currentAttendees = 12;
+    seminar.sessions.id = (id) =>
+      seminar.sessions.find((s) => String(s._id) === String(id));
+    mockSeminarModel.findById.mockImplementation(() => mockQuery(seminar));
+    mockSeminarModel.findOneAndUpdate.mockImplementation((filter) =>
+      mockQuery(
+        String(filter.sessions.$elemMatch._id) === String(day1)
+          ? {
+              sessions: [
+                createSession(day1, {
+                  heldSeats: 1,
+                  seatHolds: [
+                    { bookingId: slots[0].bookingId, expiresAt: now },
+                  ],
+                }),
+              ],
+            }
+          : null,
+      ),
+    );
+    mockSeminarOrderModel.findById.mockImplementation(() => mockQuery(order));
+    mockRefundPayment.mockResolvedValue({ id: "re_1" });
+    const payment = {
+      stripeSessionId: "cs_1",
+      stripePaymentIntentId: "pi_1",
+      amount: 100,
+      currency: "GBP",
+      status: "paid",
+    };
+
+    const result = await confirmSeminarOrder({ orderId: order._id, payment });
+
+    expect(result.ok).toBe(true);
+    expect(savedBookings.map((b) => b.sessionId)).toEqual([String(day1)]);
+    expect(mockRefundPayment).toHaveBeenCalledWith({
+      paymentIntentId: "pi_1",
+      chargeId: undefined,
+      amount: 5000,
+      idempotencyKey: `seminar-seat:${slots[1].bookingId}`,
+      refundApplicationFee: false,
+      reverseTransfer: false,
+    });
+    expect(mockSeminarRefundModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        bookingId: slots[1].bookingId,
+        seminarOrderId: order._id,
+        cause: "seat_unavailable",
+        amount: 50,
+        cardAmount: 50,
+        giftCardAmount: 0,
+        stripeRefundId: "re_1",
+        status: "succeeded",
+      }),
+    );
+    expect(result.failed).toEqual([
+      expect.objectContaining({
+        bookingId: slots[1].bookingId,
+        code: "SEMINAR_SESSION_FULL",
+        refund: expect.objectContaining({ amount: 50 }),
+      }),
+    ]);
+    expect(mockMailer.sendSeminarSeatRefundEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        order,
+        attendee: order.attendees[0],
+        refund: expect.objectContaining({ amount: 50 }),
+      }),
+    );
+
+    // Confirming the order again doesn't refund the seat twice
+    MockSeminarBooking.findById.mockImplementation(async (id) =>
+      String(id) === String(slots[0].bookingId) ? savedBookings[0] : null,
+    );
+    mockSeminarRefundModel.exists.mockResolvedValue({ _id: "refund_1" });
+    await confirmSeminarOrder({ orderId: order._id, payment });
+    expect(mockRefundPayment).toHaveBeenCalledTimes(1);
+    expect(mockMailer.sendSeminarSeatRefundEmail).toHaveBeenCalledTimes(1);
+  });
+});
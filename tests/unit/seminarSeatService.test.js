@@ -0,0 +1,273 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockSeminarModel = {
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockSeminarBookingModel = { findOne: jest.fn() };
+const mockSeminarWaitlistEntryModel = {
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const mockTenantModel = { findById: jest.fn() };
+const mockSendSeminarWaitlistOfferEmail = jest.fn();
+
+jest.unstable_mockModule("../../src/models/Seminar.js", () => ({
+  default: mockSeminarModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarBooking.js", () => ({
+  default: mockSeminarBookingModel,
+}));
+jest.unstable_mockModule("../../src/models/SeminarWaitlistEntry.js", () => ({
+  default: mockSeminarWaitlistEntryModel,
+}));
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/emails/mailer.js", () => ({
+  sendSeminarWaitlistOfferEmail: mockSendSeminarWaitlistOfferEmail,
+  default: { sendSeminarWaitlistOfferEmail: mockSendSeminarWaitlistOfferEmail },
+}));
+
+const {
+  claimSeminarWaitlistOffer,
+  holdSeminarSeat,
+  offerFreedSeminarSeats,
+  signSeminarClaimToken,
+  takeSeminarSeat,
+} = await import("../../src/services/seminarSeatService.js");
+
+const now = new Date("2026-05-01T09:00:00Z");
+const seminarId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const bookingId = new mongoose.Types.ObjectId();
+const entryId = new mongoose.Types.ObjectId();
+
+const createSeminar = (session = {}) => ({
+  _id: seminarId,
+  tenantId: "tenant_1",
+  slug: "bridal-makeup",
+  title: "Bridal Makeup",
+  status: "published",
+  sessions: [
+    {
+      _id: sessionId,
+      sessionId: "uuid-1",
+      date: new Date("2026-05-10T10:00:00Z"),
+      startTime: "10:00",
+      endTime: "13:00",
+      maxAttendees: 10,
+      currentAttendees: 9,
+      heldSeats: 0,
+      seatHolds: [],
+      status: "scheduled",
+      ...session,
+    },
+  ],
+});
+
+describe("seminarSeatService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("holds the last seat only if nobody took a seat meanwhile", async () => {
+    mockSeminarModel.findById.mockImplementation(() =>
+      mockQuery(createSeminar()),
+    );
+    mockSeminarModel.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+    const expiresAt = new Date("2026-05-01T09:30:00Z");
+
+    const result = await holdSeminarSeat({
+      seminarId,
+      sessionId,
+      bookingId,
+      expiresAt,
+      now,
+    });
+
+    expect(result).toEqual({ ok: true });
+    expect(mockSeminarModel.updateOne).toHaveBeenCalledTimes(2);
+    const [filter, update] = mockSeminarModel.updateOne.mock.calls[0];
+    expect(filter.sessions.$elemMatch).toMatchObject({
+      _id: sessionId,
+      currentAttendees: 9,
+      heldSeats: { $in: [0, null] },
+    });
+    expect(update).toEqual({
+      $push: {
+        "sessions.$.seatHolds": {
+          bookingId,
+          expiresAt,
+          waitlistEntryId: null,
+          tierKey: null,
+        },
+      },
+      $inc: { "sessions.$.heldSeats": 1 },
+    });
+  });
+
+  it("turns a checkout away when every seat is taken or held", async () => {
+    mockSeminarModel.findById.mockImplementation(() =>
+      mockQuery(
+        createSeminar({
+          heldSeats: 1,
+          seatHolds: [
+            {
+              bookingId: new mongoose.Types.ObjectId(),
+              expiresAt: new Date("2026-05-01T09:20:00Z"),
+              waitlistEntryId: null,
+            },
+          ],
+        }),
+      ),
+    );
+
+    const result = await holdSeminarSeat({
+      seminarId,
+      sessionId,
+      bookingId,
+      expiresAt: new Date("2026-05-01T09:30:00Z"),
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "SEMINAR_SESSION_FULL" },
+    });
+    expect(mockSeminarModel.updateOne).not.toHaveBeenCalled();
+    expect(mockSeminarModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("offers a freed seat to the first person waiting", async () => {
+    const seminar = createSeminar();
+    const entry = {
+      _id: entryId,
+      seminarId,
+      sessionId: String(sessionId),
+      attendeeInfo: { name: "Amy", email: "amy@example.com" },
+      status: "waiting",
+    };
+    // The held seat fills the session, so the next round stops
+    mockSeminarModel.findById
+      .mockReturnValueOnce(mockQuery(seminar))
+      .mockReturnValueOnce(mockQuery(seminar))
+      .mockReturnValueOnce(mockQuery(createSeminar({ heldSeats: 1 })));
+    mockSeminarModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockSeminarWaitlistEntryModel.findOne
+      .mockReturnValueOnce(mockQuery(entry))
+      .mockReturnValueOnce(mockQuery(entry));
+    mockSeminarWaitlistEntryModel.findOneAndUpdate.mockReturnValueOnce(
+      mockQuery({ ...entry, status: "offered" }),
+    );
+    mockTenantModel.findById.mockImplementation(() =>
+      mockQuery({ businessName: "X" }),
+    );
+
+    const offered = await offerFreedSeminarSeats({ seminarId, sessionId, now });
+
+    expect(offered).toEqual([String(entryId)]);
+    const hold = mockSeminarModel.updateOne.mock.calls[0][1].$push;
+    expect(hold["sessions.$.seatHolds"]).toMatchObject({
+      waitlistEntryId: entryId,
+      expiresAt: new Date("2026-05-01T21:00:00Z"),
+    });
+    expect(
+      mockSeminarWaitlistEntryModel.findOneAndUpdate,
+    ).toHaveBeenCalledWith(
+      { _id: entryId, status: "waiting" },
+      {
+        $set: {
+          status: "offered",
+          offer: expect.objectContaining({ sentAt: now }),
+        },
+      },
+      { new: true },
+    );
+    expect(mockSendSeminarWaitlistOfferEmail).toHaveBeenCalledTimes(1);
+    expect(mockSendSeminarWaitlistOfferEmail.mock.calls[0][0].link).toContain(
+      `/seminars/bridal-makeup?session=${sessionId}&waitlistToken=`,
+    );
+  });
+
+  it("won't take a waitlist offer after it expires", async () => {
+    const expiresAt = new Date("2026-05-01T08:00:00Z");
+    const token = signSeminarClaimToken({
+      waitlistEntryId: entryId,
+      expiresAt: new Date("2026-05-02T00:00:00Z"),
+    });
+    mockSeminarWaitlistEntryModel.findById.mockImplementation(() =>
+      mockQuery({
+        _id: entryId,
+        seminarId,
+        sessionId: String(sessionId),
+        status: "offered",
+        offer: { bookingId, expiresAt },
+      }),
+    );
+
+    const result = await claimSeminarWaitlistOffer({
+      token,
+      seminarId,
+      sessionId,
+      holdUntil: new Date("2026-05-01T09:30:00Z"),
+      now,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 410,
+      body: { code: "SEMINAR_WAITLIST_OFFER_EXPIRED" },
+    });
+    expect(jwt.decode(token).type).toBe("seminar_waitlist_claim");
+  });
+
+  it("turns the checkout's hold into the booking's seat", async () => {
+    const before = createSeminar({
+      currentAttendees: 9,
+      heldSeats: 1,
+      seatHolds: [
+        {
+          bookingId,
+          expiresAt: new Date("2026-05-01T09:30:00Z"),
+          waitlistEntryId: entryId,
+        },
+      ],
+    });
+    mockSeminarModel.findOneAndUpdate.mockImplementation(() =>
+      mockQuery(before),
+    );
+    mockSeminarModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await takeSeminarSeat({
+      seminarId,
+      sessionId: String(sessionId),
+      bookingId: String(bookingId),
+    });
+
+    expect(result).toEqual({ ok: true, fromHold: true });
+    expect(mockSeminarModel.findOneAndUpdate.mock.calls[0][1]).toMatchObject({
+      $inc: {
+        "sessions.$.heldSeats": -1,
+        "sessions.$.currentAttendees": 1,
+      },
+    });
+    expect(mockSeminarWaitlistEntryModel.updateOne).toHaveBeenCalledWith(
+      { _id: entryId },
+      { $set: { status: "booked", bookingId: String(bookingId) } },
+    );
+    // Last seat confirmed: the session is now full
+    expect(mockSeminarModel.updateOne.mock.calls[0][1]).toEqual({
+      $set: { "sessions.$.status": "full" },
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  buildReceiptLines,
+  buildServiceLine,
+  parseAddOnNames,
+  resolveAddOns,
+} from "../../src/utils/serviceAddOns.js";
+
+const service = {
+  _id: "svc1",
+  name: "Lash lift",
+  addOns: [
+    { name: "Lash tint", durationMin: 10, price: 8 },
+    { name: "Brow shape", durationMin: 15, price: 12 },
+    { name: "Retired extra", durationMin: 5, price: 3, active: false },
+  ],
+};
+const variant = {
+  name: "Standard",
+  durationMin: 45,
+  price: 40,
+  bufferBeforeMin: 0,
+  bufferAfterMin: 10,
+};
+
+describe("serviceAddOns", () => {
+  it("parses comma separated and array input without duplicates", () => {
+    expect(parseAddOnNames("Lash tint, Brow shape,,Lash tint")).toEqual([
+      "Lash tint",
+      "Brow shape",
+    ]);
+    expect(parseAddOnNames(["Lash tint"])).toEqual(["Lash tint"]);
+    expect(parseAddOnNames(undefined)).toEqual([]);
+  });
+
+  it("rejects add-ons the service does not offer", () => {
+    expect(resolveAddOns(service, ["Lash tint", "Retired extra"])).toEqual({
+      ok: false,
+      missing: ["Retired extra"],
+    });
+  });
+
+  it("extends the booked line's duration and price", () => {
+    const { ok, line } = buildServiceLine({
+      service,
+      variant,
+      addOnNames: ["Lash tint", "Brow shape"],
+    });
+
+    expect(ok).toBe(true);
+    expect(line).toEqual({
+      serviceId: "svc1",
+      serviceName: "Lash lift",
+      variantName: "Standard",
+      price: 60,
+      duration: 80,
+      addOns: [
+        { name: "Lash tint", price: 8, duration: 10 },
+        { name: "Brow shape", price: 12, duration: 15 },
+      ],
+    });
+  });
+
+  it("lists add-ons as their own receipt lines", () => {
+    const { line } = buildServiceLine({
+      service,
+      variant,
+      addOnNames: ["Lash tint"],
+    });
+
+    expect(buildReceiptLines([line])).toEqual([
+      {
+        serviceId: "svc1",
+        name: "Lash lift (Standard)",
+        price: 4000,
+        quantity: 1,
+      },
+      { name: "+ Lash tint", price: 800, quantity: 1, addOn: true },
+    ]);
+  });
+});
@@ -0,0 +1,204 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import {
+  DEFAULT_ZONES,
+  getZoneRates,
+  matchZone,
+} from "../../src/utils/shippingRates.js";
+import { mockQuery } from "./helpers/mockQuery.js";
+
+const mockTenantModel = { findById: jest.fn() };
+const mockShippingZoneModel = { find: jest.fn() };
+const mockLocationModel = { find: jest.fn() };
+
+jest.unstable_mockModule("../../src/models/Tenant.js", () => ({
+  default: mockTenantModel,
+}));
+jest.unstable_mockModule("../../src/models/ShippingZone.js", () => ({
+  default: mockShippingZoneModel,
+}));
+jest.unstable_mockModule("../../src/models/Location.js", () => ({
+  default: mockLocationModel,
+}));
+
+const { getShippingQuote, resolveShippingOption, shipEngineProvider } =
+  await import("../../src/services/shippingRateService.js");
+
+const zones = [
+  {
+    _id: "zone_gb",
+    name: "UK mainland",
+    countries: ["GB"],
+    postcodePrefixes: [],
+    freeShippingThreshold: 40,
+    rates: [
+      { _id: "small", name: "Small parcel", price: 3, maxWeight: 2 },
+      { _id: "large", name: "Large parcel", price: 9, minWeight: 2 },
+      { _id: "express", name: "Express", price: 7, maxWeight: 2 },
+    ],
+  },
+  {
+    _id: "zone_highlands",
+    name: "Highlands & Islands",
+    countries: ["GB"],
+    postcodePrefixes: ["HS", "ZE"],
+    rates: [{ _id: "islands", name: "Islands", price: 12 }],
+  },
+  {
+    _id: "zone_ze1",
+    name: "Lerwick",
+    countries: ["GB"],
+    postcodePrefixes: ["ZE1"],
+    rates: [{ _id: "lerwick", name: "Lerwick", price: 10 }],
+  },
+];
+
+const useTenant = ({
+  tenantZones = zones,
+  locations = [],
+  shippingSettings = {},
+} = {}) => {
+  mockTenantModel.findById.mockImplementation(() =>
+    mockQuery({ shippingSettings }),
+  );
+  mockShippingZoneModel.find.mockImplementation(() => mockQuery(tenantZones));
+  mockLocationModel.find.mockImplementation(() => mockQuery(locations));
+};
+
+describe("shipping rates", () => {
+  it("matches the longest postcode prefix, then the country", () => {
+    expect(
+      matchZone(zones, { countryCode: "GB", postalCode: "ze1 0aa" })._id,
+    ).toBe("zone_ze1");
+    expect(
+      matchZone(zones, { countryCode: "GB", postalCode: "ZE2 9AA" })._id,
+    ).toBe("zone_highlands");
+    expect(
+      matchZone(zones, { countryCode: "United Kingdom", postalCode: "SW1A" })
+        ._id,
+    ).toBe("zone_gb");
+    expect(matchZone(zones, { countryCode: "FR", postalCode: "75001" })).toBe(
+      null,
+    );
+    expect(
+      matchZone(DEFAULT_ZONES, { countryCode: "FR", postalCode: "75001" })._id,
+    ).toBe("default-international");
+  });
+
+  it("picks rates by weight band and makes the cheapest free", () => {
+    expect(
+      getZoneRates(zones[0], { weight: 2, subtotal: 20 }).map((o) => o.id),
+    ).toEqual(["small", "express"]);
+    expect(
+      getZoneRates(zones[0], { weight: 2.5, subtotal: 20 }).map((o) => o.id),
+    ).toEqual(["large"]);
+
+    const free = getZoneRates(zones[0], { weight: 1, subtotal: 40 });
+    expect(free.map((o) => [o.id, o.price])).toEqual([
+      ["small", 0],
+      ["express", 7],
+    ]);
+  });
+});
+
+describe("shippingRateService", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    useTenant();
+  });
+
+  it("quotes delivery and click-and-collect together", async () => {
+    useTenant({
+      locations: [
+        {
+          _id: "loc_1",
+          name: "High Street",
+          address: { street: "1 High St", city: "Leeds", postalCode: "LS1" },
+          settings: {
+            collection: { enabled: true, fee: 0, readyIn: "Same day" },
+          },
+        },
+      ],
+    });
+
+    const quote = await getShippingQuote({
+      tenantId: "tenant_1",
+      destination: { countryCode: "GB", postalCode: "LS1 4AP" },
+      items: [{ weight: 0.5, quantity: 2 }],
+      subtotal: 30,
+    });
+
+    expect(quote).toMatchObject({
+      ok: true,
+      provider: "local",
+      zone: { id: "zone_gb", name: "UK mainland" },
+      weight: 1.025,
+    });
+    expect(quote.options.map((o) => o.id)).toEqual([
+      "small",
+      "express",
+      "collect:loc_1",
+    ]);
+    expect(quote.options[2]).toMatchObject({
+      type: "collection",
+      name: "Collect from High Street",
+      address: "1 High St, Leeds, LS1",
+    });
+  });
+
+  it("falls back to local rates when ShipEngine fails", async () => {
+    jest.spyOn(shipEngineProvider, "isConfigured").mockReturnValue(true);
+    const getRates = jest
+      .spyOn(shipEngineProvider, "getRates")
+      .mockRejectedValue(new Error("timeout"));
+    useTenant({ shippingSettings: { provider: "shipengine" } });
+
+    const quote = await getShippingQuote({
+      tenantId: "tenant_1",
+      destination: { countryCode: "GB", postalCode: "HS1 2AA" },
+      items: [{ quantity: 1 }],
+    });
+
+    expect(getRates).toHaveBeenCalledTimes(1);
+    expect(quote).toMatchObject({ ok: true, provider: "local" });
+    expect(quote.options.map((o) => o.id)).toEqual(["islands"]);
+  });
+
+  it("prices the chosen option itself and rejects unknown ones", async () => {
+    const resolved = await resolveShippingOption({
+      tenantId: "tenant_1",
+      methodId: "express",
+      destination: { countryCode: "GB", postalCode: "M1 1AA" },
+      items: [{ quantity: 1 }],
+      subtotal: 45,
+    });
+    expect(resolved.option).toMatchObject({ id: "express", price: 7 });
+
+    const invalid = await resolveShippingOption({
+      tenantId: "tenant_1",
+      methodId: "islands",
+      destination: { countryCode: "GB", postalCode: "M1 1AA" },
+      items: [{ quantity: 1 }],
+    });
+    expect(invalid).toMatchObject({
+      ok: false,
+      status: 400,
+      body: { code: "SHIPPING_INVALID_METHOD" },
+    });
+  });
+
+  it("keeps free in-store collection without collection points", async () => {
+    const resolved = await resolveShippingOption({
+      tenantId: "tenant_1",
+      collection: true,
+      destination: { countryCode: "FR", postalCode: "75001" },
+      items: [{ quantity: 1 }],
+    });
+
+    expect(resolved.option).toMatchObject({
+      id: "collect",
+      type: "collection",
+      price: 0,
+    });
+  });
+});
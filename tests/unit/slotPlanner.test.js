@@ -1,7 +1,11 @@
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
-import { computeSlotsForBeautician } from "../../src/utils/slotPlanner.js";
+import {
+  computeProcessingWindows,
+  computeSlotsForBeautician,
+  normalizeBeautician,
+} from "../../src/utils/slotPlanner.js";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -527,6 +531,35 @@ describe("SlotPlanner - computeSlotsForBeautician", () => {
       expect(morningSlots.length > 0).toBeTruthy(); // Should have morning slots;
       expect(afternoonSlots.length).toBe(0); // Should not have afternoon slots during time-off;
     });
+
+    it("should block imported external calendar events like time-off", () => {
+      const specialist = normalizeBeautician({
+        ...createSpecialist(),
+        externalBlocks: [
+          {
+            start: dayjs.tz(`${baseDate} 12:00`, salonTz).toDate(),
+            end: dayjs.tz(`${baseDate} 13:00`, salonTz).toDate(),
+          },
+        ],
+      });
+
+      const slots = computeSlotsForBeautician({
+        date: baseDate,
+        salonTz,
+        stepMin: 15,
+        service: createService({ durationMin: 30, bufferAfterMin: 0 }),
+        specialist,
+        appointments: [],
+      });
+      const startTimes = slots.map((slot) =>
+        dayjs(slot.startISO).tz(salonTz).format("HH:mm")
+      );
+
+      expect(startTimes).toContain("11:30");
+      expect(startTimes).not.toContain("11:45");
+      expect(startTimes).not.toContain("12:30");
+      expect(startTimes).toContain("13:00");
+    });
   });
 
   describe("Edge Cases", () => {
@@ -771,4 +804,112 @@ describe("SlotPlanner - computeSlotsForBeautician", () => {
       expect(lastSlot.hour() <= 15).toBeTruthy(); // Should end at custom schedule time;
     });
   });
+
+  describe("Processing Phases", () => {
+    const colour = {
+      start: "2024-01-15T10:00:00.000Z",
+      end: "2024-01-15T12:00:00.000Z",
+      status: "confirmed",
+      processingWindows: [
+        { start: "2024-01-15T10:30:00.000Z", end: "2024-01-15T11:30:00.000Z" },
+      ],
+    };
+    const startTimes = (slots) => slots.map((slot) => slot.startISO);
+
+    it("should offer short slots inside another booking's processing window", () => {
+      const slots = computeSlotsForBeautician({
+        date: baseDate,
+        salonTz,
+        stepMin: 15,
+        service: createService({ durationMin: 30, bufferAfterMin: 0 }),
+        specialist: createSpecialist(),
+        appointments: [colour],
+      });
+
+      expect(startTimes(slots)).toContain("2024-01-15T10:30:00.000Z");
+      expect(startTimes(slots)).toContain("2024-01-15T11:00:00.000Z");
+      expect(startTimes(slots)).not.toContain("2024-01-15T10:15:00.000Z");
+      expect(startTimes(slots)).not.toContain("2024-01-15T11:15:00.000Z");
+    });
+
+    it("should fit a phased service around an existing short booking", () => {
+      const slots = computeSlotsForBeautician({
+        date: baseDate,
+        salonTz,
+        stepMin: 15,
+        service: createService({
+          durationMin: 120,
+          bufferAfterMin: 0,
+          phases: [
+            { kind: "active", durationMin: 30 },
+            { kind: "processing", durationMin: 60 },
+            { kind: "active", durationMin: 30 },
+          ],
+        }),
+        specialist: createSpecialist(),
+        appointments: [
+          {
+            start: "2024-01-15T11:00:00.000Z",
+            end: "2024-01-15T11:30:00.000Z",
+            status: "confirmed",
+          },
+        ],
+      });
+
+      expect(startTimes(slots)).toContain("2024-01-15T10:30:00.000Z");
+      expect(startTimes(slots)).not.toContain("2024-01-15T10:45:00.000Z");
+    });
+
+    it("should keep resource blackouts blocking the whole appointment", () => {
+      const slots = computeSlotsForBeautician({
+        date: baseDate,
+        salonTz,
+        stepMin: 15,
+        service: createService({
+          durationMin: 120,
+          bufferAfterMin: 0,
+          phases: [
+            { kind: "active", durationMin: 30 },
+            { kind: "processing", durationMin: 60 },
+            { kind: "active", durationMin: 30 },
+          ],
+        }),
+        specialist: createSpecialist(),
+        appointments: [],
+        extraBlackouts: [
+          {
+            startISO: "2024-01-15T11:00:00.000Z",
+            endISO: "2024-01-15T11:30:00.000Z",
+          },
+        ],
+      });
+
+      expect(startTimes(slots)).not.toContain("2024-01-15T10:30:00.000Z");
+    });
+
+    it("should place processing windows after buffers and earlier services", () => {
+      const windows = computeProcessingWindows({
+        start: "2024-01-15T10:00:00.000Z",
+        services: [
+          { totalMin: 30 },
+          {
+            bufferBeforeMin: 10,
+            totalMin: 100,
+            phases: [
+              { kind: "active", durationMin: 20 },
+              { kind: "processing", durationMin: 45 },
+              { kind: "active", durationMin: 25 },
+            ],
+          },
+        ],
+      });
+
+      expect(windows).toEqual([
+        {
+          start: new Date("2024-01-15T11:00:00.000Z"),
+          end: new Date("2024-01-15T11:45:00.000Z"),
+        },
+      ]);
+    });
+  });
 });
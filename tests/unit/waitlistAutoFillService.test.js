@@ -13,6 +13,12 @@ const toWaitlistFindChain = (value) => ({
   }),
 });
 
+const toTenantQuery = (tenant) => ({
+  select: jest.fn().mockReturnValue(toQueryResult(tenant)),
+});
+
+const TenantModel = { findById: jest.fn(() => toTenantQuery(null)) };
+
 describe("waitlistAutoFillService", () => {
   it("returns not_cancelled when appointment is not cancelled", async () => {
     const AppointmentModel = {
@@ -72,6 +78,7 @@ describe("waitlistAutoFillService", () => {
       deps: {
         AppointmentModel,
         WaitlistModel,
+        TenantModel,
       },
     });
 
@@ -159,6 +166,7 @@ describe("waitlistAutoFillService", () => {
         WaitlistModel,
         ServiceModel,
         SpecialistModel,
+        TenantModel,
         sendConfirmationEmail,
         sendWaitlistFillSms,
       },
@@ -240,6 +248,7 @@ describe("waitlistAutoFillService", () => {
             toQueryResult({ _id: "sp_1", name: "Spec" })
           ),
         },
+        TenantModel,
         sendConfirmationEmail: jest.fn().mockResolvedValue(),
         sendWaitlistFillSms: jest.fn().mockResolvedValue(),
       },
@@ -253,4 +262,65 @@ describe("waitlistAutoFillService", () => {
     expect(AppointmentModel.create).toHaveBeenCalledTimes(1);
     expect(WaitlistModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
   });
+
+  it("offers the slot instead of confirming when the tenant uses offer mode", async () => {
+    const cancelledAppointment = {
+      _id: "appt_cancelled_3",
+      tenantId: "tenant_1",
+      status: "cancelled_full_refund",
+      serviceId: "svc_1",
+      variantName: "Standard",
+      specialistId: "sp_1",
+      start: new Date("2099-03-10T10:00:00.000Z"),
+      end: new Date("2099-03-10T11:00:00.000Z"),
+    };
+
+    const AppointmentModel = {
+      findOne: jest
+        .fn()
+        .mockReturnValueOnce(toQueryResult(cancelledAppointment))
+        .mockReturnValue(toQueryResult(null)),
+      findOneAndUpdate: jest
+        .fn()
+        .mockReturnValue(toQueryResult(cancelledAppointment)),
+      create: jest.fn(),
+    };
+    const WaitlistModel = {
+      find: jest.fn().mockReturnValue(
+        toWaitlistFindChain([
+          { _id: "wait_1", client: { name: "A", email: "a@example.com" } },
+        ])
+      ),
+      updateMany: jest.fn(),
+    };
+
+    const result = await autoFillCancelledSlot({
+      appointmentId: "appt_cancelled_3",
+      tenantId: "tenant_1",
+      deps: {
+        AppointmentModel,
+        WaitlistModel,
+        ServiceModel: {
+          findById: jest.fn().mockReturnValue(toQueryResult({ name: "Cut" })),
+        },
+        SpecialistModel: {
+          findById: jest.fn().mockReturnValue(toQueryResult({ name: "Spec" })),
+        },
+        TenantModel: {
+          findById: jest.fn(() =>
+            toTenantQuery({ schedulingSettings: { waitlistMode: "offer" } })
+          ),
+        },
+        sendWaitlistOfferEmail: jest.fn().mockResolvedValue(),
+        sendWaitlistOfferSms: jest.fn().mockResolvedValue(),
+      },
+    });
+
+    expect(result).toMatchObject({
+      filled: false,
+      offered: true,
+      waitlistEntryIds: ["wait_1"],
+    });
+    expect(AppointmentModel.create).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,388 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import {
+  claimWaitlistOffer,
+  completeWaitlistClaim,
+  resolveWaitlistOfferSettings,
+  sendWaitlistOfferRound,
+  signWaitlistClaimToken,
+  verifyWaitlistClaimToken,
+} from "../../src/services/waitlistOfferService.js";
+
+const toQueryResult = (value) => ({
+  lean: jest.fn().mockResolvedValue(value),
+});
+
+const toWaitlistFindChain = (value) => ({
+  sort: jest.fn().mockReturnValue({
+    limit: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(value),
+    }),
+  }),
+});
+
+const now = new Date("2099-03-10T08:00:00.000Z");
+const cancelledAppointment = {
+  _id: "appt_cancelled",
+  tenantId: "tenant_1",
+  status: "cancelled_no_refund",
+  serviceId: "svc_1",
+  variantName: "Standard",
+  specialistId: "sp_1",
+  start: new Date("2099-03-10T10:00:00.000Z"),
+  end: new Date("2099-03-10T11:00:00.000Z"),
+  price: 50,
+};
+
+const entry = (id) => ({
+  _id: id,
+  variantName: "Standard",
+  client: { name: `Client ${id}`, email: `${id}@example.com` },
+});
+
+const createRoundDeps = (candidates) => ({
+  AppointmentModel: {
+    findOne: jest.fn(() => toQueryResult(null)),
+    findOneAndUpdate: jest.fn(() => toQueryResult({ _id: "appt_cancelled" })),
+    updateOne: jest.fn(),
+  },
+  WaitlistModel: {
+    find: jest.fn(() => toWaitlistFindChain(candidates)),
+    updateMany: jest.fn(),
+  },
+  ServiceModel: { findById: jest.fn(() => toQueryResult({ name: "Colour" })) },
+  SpecialistModel: { findById: jest.fn(() => toQueryResult({ name: "Sam" })) },
+  sendWaitlistOfferEmail: jest.fn().mockResolvedValue(),
+  sendWaitlistOfferSms: jest.fn().mockResolvedValue(),
+});
+
+const openOffer = (overrides = {}) => ({
+  ...cancelledAppointment,
+  waitlistOffer: {
+    status: "open",
+    round: 1,
+    expiresAt: new Date("2099-03-10T08:30:00.000Z"),
+    offers: [
+      {
+        waitlistEntryId: "wait_1",
+        round: 1,
+        expiresAt: new Date("2099-03-10T08:30:00.000Z"),
+      },
+      {
+        waitlistEntryId: "wait_2",
+        round: 1,
+        expiresAt: new Date("2099-03-10T08:30:00.000Z"),
+      },
+    ],
+    ...overrides,
+  },
+});
+
+const tokenFor = (waitlistEntryId) =>
+  signWaitlistClaimToken({
+    tenantId: "tenant_1",
+    waitlistEntryId,
+    appointmentId: "appt_cancelled",
+    expiresAt: new Date("2099-03-10T08:30:00.000Z"),
+  });
+
+describe("waitlistOfferService", () => {
+  it("defaults to auto-confirm and reads offer sizing from the tenant", () => {
+    expect(resolveWaitlistOfferSettings(null)).toEqual({
+      mode: "auto_confirm",
+      batchSize: 3,
+      expiryMinutes: 30,
+    });
+    expect(
+      resolveWaitlistOfferSettings({
+        schedulingSettings: {
+          waitlistMode: "offer",
+          waitlistOfferBatchSize: 2,
+          waitlistOfferExpiryMinutes: 15,
+        },
+      }),
+    ).toEqual({ mode: "offer", batchSize: 2, expiryMinutes: 15 });
+  });
+
+  it("offers the next entries only and records the offer in their audit", async () => {
+    const deps = createRoundDeps(["wait_3", "wait_4", "wait_5"].map(entry));
+
+    const result = await sendWaitlistOfferRound({
+      appointment: openOffer(),
+      tenant: { slug: "salon" },
+      salonTz: "Europe/London",
+      settings: { batchSize: 2, expiryMinutes: 30 },
+      now,
+      deps,
+    });
+
+    expect(result).toMatchObject({
+      offered: true,
+      round: 2,
+      waitlistEntryIds: ["wait_3", "wait_4"],
+    });
+    expect(deps.WaitlistModel.find.mock.calls[0][0]._id).toEqual({
+      $nin: ["wait_1", "wait_2"],
+    });
+    const [filter, update] = deps.WaitlistModel.updateMany.mock.calls[0];
+    expect(filter._id).toEqual({ $in: ["wait_3", "wait_4"] });
+    expect(update.$push.audit).toMatchObject({
+      action: "waitlist_offer_sent",
+      meta: { cancelledAppointmentId: "appt_cancelled", round: 2 },
+    });
+
+    const { link } = deps.sendWaitlistOfferEmail.mock.calls[0][0];
+    expect(link).toContain("/salon/salon/waitlist/claim/");
+    const verified = verifyWaitlistClaimToken(link.split("/").pop(), { now });
+    expect(verified.claim).toMatchObject({
+      waitlistEntryId: "wait_3",
+      appointmentId: "appt_cancelled",
+    });
+  });
+
+  it("closes the offer when nobody is left on the waitlist", async () => {
+    const deps = createRoundDeps([]);
+
+    const result = await sendWaitlistOfferRound({
+      appointment: openOffer(),
+      tenant: {},
+      salonTz: "Europe/London",
+      settings: { batchSize: 2, expiryMinutes: 30 },
+      now,
+      deps,
+    });
+
+    expect(result).toEqual({
+      offered: false,
+      reason: "no_waitlist_candidates",
+    });
+    expect(deps.AppointmentModel.updateOne.mock.calls[0][1].$set).toMatchObject(
+      { "waitlistOffer.status": "closed" },
+    );
+    expect(deps.sendWaitlistOfferEmail).not.toHaveBeenCalled();
+  });
+
+  it("rejects a claim once another client has taken the slot", async () => {
+    const deps = {
+      AppointmentModel: {
+        findOne: jest.fn(() => toQueryResult(openOffer({ status: "claimed" }))),
+        create: jest.fn(),
+      },
+      WaitlistModel: { findOne: jest.fn() },
+    };
+
+    const result = await claimWaitlistOffer({
+      token: tokenFor("wait_2"),
+      now,
+      deps,
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      status: 410,
+      body: { code: "WAITLIST_OFFER_CLOSED" },
+    });
+    expect(deps.AppointmentModel.create).not.toHaveBeenCalled();
+  });
+
+  it("reserves the slot for checkout when a claim is made in time", async () => {
+    const deps = {
+      AppointmentModel: {
+        findOne: jest
+          .fn()
+          .mockReturnValueOnce(toQueryResult(openOffer()))
+          .mockReturnValueOnce(toQueryResult(null)),
+        findOneAndUpdate: jest.fn(() =>
+          toQueryResult(openOffer({ status: "claimed" })),
+        ),
+        create: jest.fn(async (doc) => doc),
+      },
+      WaitlistModel: {
+        findOne: jest.fn(() => toQueryResult(entry("wait_2"))),
+        updateOne: jest.fn(),
+      },
+      ClientService: {
+        findOrCreateClient: jest.fn(async () => ({ _id: "client_1" })),
+        findOrCreateTenantClient: jest.fn(),
+      },
+    };
+
+    const result = await claimWaitlistOffer({
+      token: tokenFor("wait_2"),
+      tenantId: "tenant_1",
+      now,
+      deps,
+    });
+
+    expect(result.ok).toBe(true);
+    expect(deps.AppointmentModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: "reserved_unpaid",
+        start: cancelledAppointment.start,
+        waitlistClaim: {
+          waitlistEntryId: "wait_2",
+          sourceAppointmentId: "appt_cancelled",
+        },
+      }),
+    );
+    const [holdFilter, hold] =
+      deps.AppointmentModel.findOneAndUpdate.mock.calls[0];
+    expect(holdFilter.$or[0]).toEqual({ "waitlistOffer.status": "open" });
+    expect(hold.$set).toMatchObject({
+      "waitlistOffer.status": "claimed",
+      "waitlistOffer.claimedEntryId": "wait_2",
+      "waitlistOffer.claimedAppointmentId": result.appointment._id,
+      "waitlistOffer.claimExpiresAt": new Date("2099-03-10T08:35:00.000Z"),
+    });
+  });
+
+  it("converts the paying entry and closes the offer for the others", async () => {
+    const deps = {
+      AppointmentModel: {
+        findOneAndUpdate: jest.fn(() => toQueryResult(openOffer())),
+      },
+      WaitlistModel: {
+        findOneAndUpdate: jest.fn(() => toQueryResult({ _id: "wait_2" })),
+        updateMany: jest.fn(),
+      },
+    };
+
+    const result = await completeWaitlistClaim({
+      appointment: {
+        _id: "appt_claim",
+        waitlistClaim: {
+          waitlistEntryId: "wait_2",
+          sourceAppointmentId: "appt_cancelled",
+        },
+      },
+      now,
+      deps,
+    });
+
+    expect(result).toEqual({ completed: true });
+    expect(
+      deps.AppointmentModel.findOneAndUpdate.mock.calls[0][1].$set,
+    ).toMatchObject({
+      "waitlistOffer.status": "claimed",
+      "waitlistOffer.claimedAppointmentId": "appt_claim",
+    });
+    expect(
+      deps.WaitlistModel.findOneAndUpdate.mock.calls[0][1].$set.status,
+    ).toBe("converted");
+    expect(deps.WaitlistModel.updateMany.mock.calls[0][0]._id).toEqual({
+      $in: ["wait_1"],
+    });
+  });
+
+  it("gives the slot to the first claimant and refunds a second", async () => {
+    // Offer state changes only through the atomic hold and settle updates
+    let offer = openOffer().waitlistOffer;
+    const matches = (filter) =>
+      filter.$or.some(
+        (branch) =>
+          branch["waitlistOffer.status"] === offer.status &&
+          (!branch["waitlistOffer.claimedEntryId"] ||
+            branch["waitlistOffer.claimedEntryId"] === offer.claimedEntryId) &&
+          (!branch["waitlistOffer.claimedAppointmentId"] ||
+            String(branch["waitlistOffer.claimedAppointmentId"]) ===
+              String(offer.claimedAppointmentId)),
+      );
+    const lostClaim = {
+      _id: "appt_lost",
+      tenantId: "tenant_1",
+      status: "confirmed",
+      payment: { provider: "stripe", amountTotal: 5000 },
+      waitlistClaim: {
+        waitlistEntryId: "wait_2",
+        sourceAppointmentId: "appt_cancelled",
+      },
+    };
+    const deps = {
+      AppointmentModel: {
+        findOne: jest.fn((filter) =>
+          toQueryResult(
+            filter._id === "appt_cancelled"
+              ? { ...cancelledAppointment, waitlistOffer: offer }
+              : null,
+          ),
+        ),
+        findOneAndUpdate: jest.fn((filter, update) => {
+          if (!matches(filter)) return toQueryResult(null);
+          offer = { ...offer };
+          for (const [path, value] of Object.entries(update.$set)) {
+            offer[path.split(".")[1]] = value;
+          }
+          return toQueryResult({
+            ...cancelledAppointment,
+            waitlistOffer: offer,
+          });
+        }),
+        findById: jest.fn(() => toQueryResult(lostClaim)),
+        create: jest.fn(async (doc) => doc),
+      },
+      WaitlistModel: {
+        findOne: jest.fn((filter) => toQueryResult(entry(filter._id))),
+        findOneAndUpdate: jest.fn(() => toQueryResult({ _id: "wait_1" })),
+        updateOne: jest.fn(),
+        updateMany: jest.fn(),
+      },
+      ClientService: {
+        findOrCreateClient: jest.fn(async () => ({ _id: "client_1" })),
+        findOrCreateTenantClient: jest.fn(),
+      },
+      cancelAppointment: jest.fn(async ({ appointment }) => ({
+        updated: { ...appointment, status: "cancelled_full_refund" },
+        outcome: { refundAmount: 5000 },
+        status: "cancelled_full_refund",
+        stripeRefundId: "re_1",
+      })),
+      releaseGiftCardReservation: jest.fn(),
+      sendCancellationEmails: jest.fn().mockResolvedValue(),
+    };
+
+    const [first, second] = await Promise.all([
+      claimWaitlistOffer({ token: tokenFor("wait_1"), now, deps }),
+      claimWaitlistOffer({ token: tokenFor("wait_2"), now, deps }),
+    ]);
+
+    expect(first.ok).toBe(true);
+    expect(second).toMatchObject({
+      ok: false,
+      status: 409,
+      body: { code: "SLOT_UNAVAILABLE" },
+    });
+    expect(deps.AppointmentModel.create).toHaveBeenCalledTimes(1);
+
+    // A checkout wait_2 started before the hold still gets paid
+    const lost = await completeWaitlistClaim({
+      appointment: lostClaim,
+      now,
+      deps,
+    });
+    const won = await completeWaitlistClaim({
+      appointment: first.appointment,
+      now,
+      deps,
+    });
+
+    expect(lost).toEqual({
+      completed: false,
+      lost: true,
+      status: "cancelled_full_refund",
+    });
+    expect(deps.cancelAppointment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        appointment: lostClaim,
+        requestedBy: "system",
+        policy: expect.objectContaining({ appliesTo: "full" }),
+      }),
+    );
+    expect(deps.sendCancellationEmails).toHaveBeenCalledTimes(1);
+    expect(won).toEqual({ completed: true });
+    expect(offer).toMatchObject({
+      status: "claimed",
+      claimedEntryId: "wait_1",
+      claimedAppointmentId: first.appointment._id,
+    });
+    expect(deps.cancelAppointment).toHaveBeenCalledTimes(1);
+  });
+});